@@ -61,6 +61,7 @@ const _instancePeakNtCols = networkTypes.flatMap(nt => {
  */
 class MetricsDB {
   constructor(dbPath) {
+    this.dbPath = dbPath;
     try {
       // Ensure database directory exists
       const dbDir = path.dirname(dbPath);
@@ -674,6 +675,23 @@ class MetricsDB {
     }
   }
 
+  /**
+   * Get the most recent metrics row for each instance (restart-adjusted lifetime totals)
+   * @returns {Array<object>} [{ instance_id, client_type, timestamp, upload_speed, download_speed, total_uploaded, total_downloaded }]
+   */
+  getLatestInstanceMetrics() {
+    return this.db.prepare(`
+      SELECT im.instance_id, im.client_type, im.timestamp, im.upload_speed, im.download_speed,
+             im.total_uploaded, im.total_downloaded
+      FROM instance_metrics im
+      INNER JOIN (
+        SELECT instance_id, MAX(timestamp) as max_ts
+        FROM instance_metrics
+        GROUP BY instance_id
+      ) l ON im.instance_id = l.instance_id AND im.timestamp = l.max_ts
+    `).all();
+  }
+
   /**
    * Clean up old data based on retention period
    * @param {number} retentionDays - Number of days to retain
@@ -685,6 +703,17 @@ class MetricsDB {
     return stmt.run(cutoffTime).changes;
   }
 
+  /**
+   * Close and reopen the database file, re-running schema migrations.
+   * Used after a backup restore replaced the file on disk.
+   */
+  reopen() {
+    this.db.close();
+    this.db = new Database(this.dbPath, { fileMustExist: false });
+    this.db.pragma('journal_mode = WAL');
+    this.initSchema();
+  }
+
   /**
    * Close database connection
    */
@@ -0,0 +1,601 @@
+/**
+ * BackupManager - Full configuration and data backup/restore
+ *
+ * A backup is a gzipped tar archive containing:
+ * - manifest.json: format version, app version, redaction flag, DB schema versions
+ * - config/*.json: config.json, categories.json, notifications.json, arr-state.json,
+ *   item-speed-limits.json
+ * - db/*.db: consistent SQLite snapshots (online backup API) of every database
+ *
+ * With redaction, passwords, API keys, service tokens and webhook secrets are
+ * masked or removed. Restoring a redacted backup fills those fields back in
+ * from the running installation where a match exists (same client id, service
+ * id, username or webhook URL).
+ *
+ * Restore validates everything before touching live data, then swaps the
+ * database files in place (reopening each store runs its schema migrations),
+ * reloads the JSON configs and restarts all client managers — no process restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const Database = require('better-sqlite3');
+const BaseModule = require('./BaseModule');
+const config = require('../modules/config');
+const configAPI = require('../modules/configAPI');
+const authManager = require('../modules/authManager');
+const registry = require('./ClientRegistry');
+const categoryManager = require('./CategoryManager');
+const notificationManager = require('./NotificationManager');
+const moveOperationManager = require('./MoveOperationManager');
+const rssManager = require('./RssManager');
+const webhookManager = require('./WebhookManager');
+const versionManager = require('./versionManager');
+const { writeTar, extractTar } = require('./backup/tarStream');
+
+const FORMAT_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const CONFIG_FILES = ['config.json', 'categories.json', 'notifications.json', 'arr-state.json', 'item-speed-limits.json'];
+const MASK = '********';
+
+// Upper bound on the uncompressed archive contents accepted on restore
+const MAX_EXTRACTED_BYTES = 8 * 1024 * 1024 * 1024;
+
+/**
+ * Error for an archive that fails validation (HTTP 400)
+ * @param {string} message
+ * @returns {Error}
+ */
+function invalidBackup(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// ============================================================================
+// SCHEMA VERSION READERS
+// ============================================================================
+
+/**
+ * Version stored in a `schema_version` table (DownloadHistory, UserManager)
+ * @param {Database} db - better-sqlite3 handle
+ * @returns {number|null}
+ */
+function readSchemaVersionTable(db) {
+  try {
+    return db.prepare('SELECT version FROM schema_version WHERE id = 1').get()?.version ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Version stored in the metrics `metadata` table (MetricsDB)
+ * @param {Database} db - better-sqlite3 handle
+ * @returns {number|null}
+ */
+function readMetadataVersion(db) {
+  try {
+    const row = db.prepare('SELECT value FROM metadata WHERE key = ?').get('schema_version');
+    return row ? parseInt(row.value, 10) : null;
+  } catch {
+    return null;
+  }
+}
+
+class BackupManager extends BaseModule {
+  constructor() {
+    super();
+    this.reinitializeClients = null;
+    // config file name → reload callback, for stores outside lib/
+    this._configReloaders = new Map();
+    this._busy = false;
+  }
+
+  setReinitializeClients(fn) {
+    this.reinitializeClients = fn;
+  }
+
+  /**
+   * Register a callback that reloads a config file after it was restored
+   * @param {string} name - File name in CONFIG_FILES
+   * @param {Function} reload - Async callback
+   */
+  setConfigReloader(name, reload) {
+    this._configReloaders.set(name, reload);
+  }
+
+  /**
+   * Databases included in backups, with their live store objects.
+   * Stores that are not initialized (e.g. before first-run setup) are skipped.
+   * @returns {Array<{key: string, label: string, store: Object, path: string, readVersion: Function|null}>}
+   */
+  _getDatabases() {
+    return [
+      { key: 'metrics', label: 'Metrics', store: this.metricsDB, path: config.getMetricsDbPath(), readVersion: readMetadataVersion },
+      { key: 'history', label: 'Download history', store: this.downloadHistoryDB, path: config.getHistoryDbPath(), readVersion: readSchemaVersionTable },
+      { key: 'hashes', label: 'Hash store', store: this.hashStore, path: config.getHashDbPath(), readVersion: null },
+      { key: 'moveOps', label: 'Move operations', store: moveOperationManager.db, path: config.getMoveOpsDbPath(), readVersion: null },
+      { key: 'rss', label: 'RSS', store: rssManager.db, path: config.getRssDbPath(), readVersion: null },
+      { key: 'webhooks', label: 'Webhooks', store: webhookManager.db, path: config.getWebhookDbPath(), readVersion: null },
+      { key: 'users', label: 'Users', store: this.userManager, path: config.getUserDbPath(), readVersion: readSchemaVersionTable }
+    ].filter(d => d.store?.db);
+  }
+
+  /**
+   * Run fn while holding the backup/restore lock
+   * @private
+   */
+  async _exclusive(fn) {
+    if (this._busy) {
+      throw Object.assign(new Error('Another backup or restore is in progress'), { status: 409 });
+    }
+    this._busy = true;
+    try {
+      return await fn();
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  /**
+   * Create a temporary working directory inside the data dir
+   * (same filesystem as the live files, so restores can rename into place)
+   * @private
+   */
+  _makeWorkDir(prefix) {
+    return fs.promises.mkdtemp(path.join(config.getDataDir(), prefix));
+  }
+
+  // ==========================================================================
+  // REDACTION
+  // ==========================================================================
+
+  /**
+   * Mask secrets in a config file's parsed JSON
+   * @param {string} name - File name (config.json, notifications.json, ...)
+   * @param {Object} json - Parsed file content
+   * @returns {Object} Redacted copy
+   * @private
+   */
+  _redactConfigFile(name, json) {
+    if (name === 'config.json') {
+      const masked = config.maskSensitiveFields(json);
+      if (masked.server?.auth?.sessionSecret) delete masked.server.auth.sessionSecret;
+      return masked;
+    }
+    if (name === 'notifications.json') {
+      return notificationManager.maskConfig(json);
+    }
+    return json;
+  }
+
+  /**
+   * Remove password hashes, API keys and two-factor secrets from a users.db snapshot
+   * @param {string} dbPath - Path to the snapshot (not the live DB)
+   * @private
+   */
+  _redactUsersDb(dbPath) {
+    const db = new Database(dbPath);
+    try {
+      db.prepare('UPDATE users SET password_hash = NULL, api_key = NULL, totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL').run();
+      db.prepare('DELETE FROM user_recovery_codes').run();
+      db.exec('VACUUM');
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Remove signing secrets from a webhooks.db snapshot
+   * @param {string} dbPath - Path to the snapshot (not the live DB)
+   * @private
+   */
+  _redactWebhooksDb(dbPath) {
+    const db = new Database(dbPath);
+    try {
+      db.prepare("UPDATE webhook_endpoints SET secret = ''").run();
+      db.exec('VACUUM');
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Prepare a config.json from a backup for this installation:
+   * keeps the current directories and session secret, and fills masked or
+   * missing secrets from the running config.
+   * @param {Object} restored - Parsed config.json from the backup
+   * @returns {Object}
+   * @private
+   */
+  _prepareMainConfig(restored) {
+    const current = config.getConfig() || {};
+
+    // Directories are host-specific (and decide where the restored files live)
+    if (current.directories) {
+      restored.directories = { ...current.directories };
+    } else {
+      delete restored.directories;
+    }
+
+    configAPI.mergeMissingPasswords(restored, current);
+
+    if (!restored.server) restored.server = {};
+    if (!restored.server.auth) restored.server.auth = {};
+    const auth = restored.server.auth;
+    const currentAuth = current.server?.auth || {};
+    if (currentAuth.sessionSecret) auth.sessionSecret = currentAuth.sessionSecret;
+    if (auth.password === MASK) {
+      if (currentAuth.password) auth.password = currentAuth.password;
+      else delete auth.password;
+    }
+
+    return restored;
+  }
+
+  /**
+   * Fill redacted password hashes / API keys / two-factor secrets in a users.db
+   * snapshot from the live user database, matching by username
+   * @param {string} dbPath - Path to the staged users.db
+   * @returns {number} Number of users that could not be matched
+   * @private
+   */
+  _fillRedactedUsers(dbPath) {
+    const db = new Database(dbPath);
+    let unmatched = 0;
+    try {
+      // Backups taken before two-factor support have no TOTP columns to fill
+      const hasTotp = !!db.prepare("SELECT 1 FROM pragma_table_info('users') WHERE name = 'totp_secret'").get();
+      const rows = db.prepare('SELECT id, username, password_hash, api_key FROM users WHERE password_hash IS NULL OR api_key IS NULL').all();
+      const update = db.prepare('UPDATE users SET password_hash = COALESCE(password_hash, ?), api_key = COALESCE(api_key, ?) WHERE id = ?');
+      const updateTotp = hasTotp && db.prepare('UPDATE users SET totp_secret = ?, totp_enabled = 1, totp_last_step = ? WHERE id = ? AND totp_secret IS NULL');
+      const insertCode = hasTotp && db.prepare('INSERT OR IGNORE INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)');
+      for (const row of rows) {
+        const current = this.userManager.getUserByUsername(row.username);
+        if (!current) {
+          if (!row.password_hash) unmatched++;
+          continue;
+        }
+        update.run(current.password_hash || null, current.api_key || null, row.id);
+        if (hasTotp && current.totp_enabled && updateTotp.run(current.totp_secret, current.totp_last_step, row.id).changes > 0) {
+          for (const hash of this.userManager.getRecoveryCodeHashes(current.id)) {
+            insertCode.run(row.id, hash);
+          }
+        }
+      }
+    } finally {
+      db.close();
+    }
+    return unmatched;
+  }
+
+  /**
+   * Fill redacted webhook secrets in a webhooks.db snapshot from the live
+   * endpoints with the same URL; endpoints without a match get a new secret
+   * @param {string} dbPath - Path to the staged webhooks.db
+   * @returns {number} Number of endpoints that got a new secret
+   * @private
+   */
+  _fillRedactedWebhooks(dbPath) {
+    const db = new Database(dbPath);
+    let regenerated = 0;
+    try {
+      const current = new Map((webhookManager.db?.getEndpoints() || []).map(e => [e.url, e.secret]));
+      const update = db.prepare('UPDATE webhook_endpoints SET secret = ? WHERE id = ?');
+      for (const row of db.prepare("SELECT id, url FROM webhook_endpoints WHERE secret = ''").all()) {
+        const secret = current.get(row.url);
+        if (!secret) regenerated++;
+        update.run(secret || webhookManager.generateSecret(), row.id);
+      }
+    } finally {
+      db.close();
+    }
+    return regenerated;
+  }
+
+  // ==========================================================================
+  // EXPORT
+  // ==========================================================================
+
+  /**
+   * Write a backup archive (.tar.gz) to a writable stream
+   * @param {Writable} output - Destination (e.g. HTTP response)
+   * @param {Object} [options]
+   * @param {boolean} [options.redact=false] - Mask passwords, API keys and tokens
+   * @returns {Promise<Object>} The archive manifest
+   */
+  async createBackup(output, { redact = false } = {}) {
+    return this._exclusive(async () => {
+      const workDir = await this._makeWorkDir('.backup-');
+      try {
+        const manifest = {
+          format: FORMAT_VERSION,
+          appVersion: versionManager.getVersion(),
+          createdAt: new Date().toISOString(),
+          redacted: redact,
+          configFiles: [],
+          databases: {}
+        };
+        const entries = [];
+
+        // JSON config files
+        for (const name of CONFIG_FILES) {
+          let json;
+          try {
+            json = JSON.parse(await fs.promises.readFile(path.join(config.getDataDir(), name), 'utf8'));
+          } catch (err) {
+            if (err.code === 'ENOENT') continue;
+            throw new Error(`Could not read ${name}: ${err.message}`);
+          }
+          if (redact) json = this._redactConfigFile(name, json);
+          entries.push({ name: `config/${name}`, data: Buffer.from(JSON.stringify(json, null, 2)) });
+          manifest.configFiles.push(name);
+        }
+
+        // Database snapshots
+        for (const { key, store, path: livePath, readVersion } of this._getDatabases()) {
+          const fileName = path.basename(livePath);
+          const snapshotPath = path.join(workDir, fileName);
+          await store.db.backup(snapshotPath);
+          if (redact && key === 'users') this._redactUsersDb(snapshotPath);
+          if (redact && key === 'webhooks') this._redactWebhooksDb(snapshotPath);
+
+          manifest.databases[key] = {
+            file: `db/${fileName}`,
+            schemaVersion: readVersion ? readVersion(store.db) : null
+          };
+          entries.push({ name: `db/${fileName}`, filePath: snapshotPath });
+        }
+
+        entries.unshift({ name: MANIFEST_NAME, data: Buffer.from(JSON.stringify(manifest, null, 2)) });
+
+        const gzip = zlib.createGzip();
+        const piping = pipeline(gzip, output);
+        try {
+          await writeTar(entries, gzip);
+          gzip.end();
+        } catch (err) {
+          gzip.destroy(err);
+          await piping.catch(() => {});
+          throw err;
+        }
+        await piping;
+
+        this.log(`💾 Backup created (${manifest.configFiles.length} config files, ${Object.keys(manifest.databases).length} databases${redact ? ', redacted' : ''})`);
+        return manifest;
+      } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+      }
+    });
+  }
+
+  // ==========================================================================
+  // IMPORT
+  // ==========================================================================
+
+  /**
+   * Extract an archive into workDir and return its parsed manifest
+   * @private
+   */
+  async _extractArchive(archivePath, workDir, databases) {
+    const allowedNames = new Set([
+      MANIFEST_NAME,
+      ...CONFIG_FILES.map(name => `config/${name}`),
+      ...databases.map(d => `db/${path.basename(d.path)}`)
+    ]);
+
+    const gunzip = zlib.createGunzip();
+    const reading = pipeline(fs.createReadStream(archivePath), gunzip);
+    try {
+      await extractTar(gunzip, workDir, { allowedNames, maxBytes: MAX_EXTRACTED_BYTES });
+      await reading;
+    } catch (err) {
+      gunzip.destroy();
+      await reading.catch(() => {});
+      if (err.code === 'Z_DATA_ERROR' || err.code === 'Z_BUF_ERROR') {
+        throw invalidBackup('Not a valid backup archive (expected .tar.gz)');
+      }
+      // Archive format errors from extractTar carry no code; I/O errors do
+      if (!err.code) err.status = 400;
+      throw err;
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.promises.readFile(path.join(workDir, MANIFEST_NAME), 'utf8'));
+    } catch {
+      throw invalidBackup('Not a valid backup archive (manifest missing or invalid)');
+    }
+    if (manifest.format !== FORMAT_VERSION) {
+      throw invalidBackup(`Unsupported backup format version: ${manifest.format}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Check every database in the archive opens, passes an integrity check and
+   * is not newer than this build supports
+   * @returns {Array<{def: Object, stagedPath: string, fromVersion: number|null}>}
+   * @private
+   */
+  _validateDatabases(manifest, workDir, databases) {
+    const validated = [];
+    for (const [key, entry] of Object.entries(manifest.databases || {})) {
+      const def = databases.find(d => d.key === key);
+      if (!def || entry.file !== `db/${path.basename(def.path)}`) {
+        throw invalidBackup(`Unknown database in backup: ${key}`);
+      }
+
+      const stagedPath = path.join(workDir, entry.file);
+      if (!fs.existsSync(stagedPath)) {
+        throw invalidBackup(`${def.label} database listed in manifest but missing from archive`);
+      }
+
+      let db;
+      try {
+        db = new Database(stagedPath, { readonly: true, fileMustExist: true });
+        const check = db.pragma('quick_check', { simple: true });
+        if (check !== 'ok') {
+          throw new Error(`integrity check failed (${check})`);
+        }
+
+        const fromVersion = def.readVersion ? def.readVersion(db) : null;
+        const supported = def.readVersion ? def.readVersion(def.store.db) : null;
+        if (fromVersion != null && supported != null && fromVersion > supported) {
+          throw new Error(`schema v${fromVersion} is newer than this version supports (v${supported}) — upgrade aMuTorrent first`);
+        }
+        validated.push({ def, stagedPath, fromVersion });
+      } catch (err) {
+        throw invalidBackup(`${def.label} database: ${err.message}`);
+      } finally {
+        if (db) db.close();
+      }
+    }
+    return validated;
+  }
+
+  /**
+   * Parse, adapt and validate the JSON config files from the archive
+   * @returns {Array<{name: string, json: Object}>}
+   * @private
+   */
+  async _prepareConfigFiles(manifest, workDir) {
+    const prepared = [];
+    for (const name of CONFIG_FILES) {
+      let json;
+      try {
+        json = JSON.parse(await fs.promises.readFile(path.join(workDir, 'config', name), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        throw invalidBackup(`${name} in backup is not valid JSON`);
+      }
+      if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw invalidBackup(`${name} in backup has an unexpected format`);
+      }
+
+      if (name === 'config.json') {
+        json = this._prepareMainConfig(json);
+        // Validate what loadConfig() will build from it (defaults and env vars applied)
+        const merged = config.mergeConfig(JSON.parse(JSON.stringify(json)), config.getDefaults());
+        const validation = config.validateConfig(merged);
+        if (!validation.valid) {
+          throw invalidBackup(`config.json in backup is invalid: ${validation.errors.join(', ')}`);
+        }
+      } else if (name === 'notifications.json' && manifest.redacted) {
+        json = notificationManager.unmaskConfig(json);
+      }
+      prepared.push({ name, json });
+    }
+    return prepared;
+  }
+
+  /**
+   * Replace a live database file with a staged one and reopen its store
+   * @private
+   */
+  async _swapDatabase(def, stagedPath) {
+    def.store.db.close();
+    for (const suffix of ['-wal', '-shm']) {
+      await fs.promises.rm(def.path + suffix, { force: true });
+    }
+    await fs.promises.rename(stagedPath, def.path);
+    def.store.reopen();
+  }
+
+  /**
+   * Restore a backup archive. Nothing live is modified until the whole archive
+   * has been validated.
+   * @param {string} archivePath - Path to the uploaded .tar.gz
+   * @returns {Promise<Object>} Summary { appVersion, createdAt, redacted, configFiles, databases, warnings }
+   */
+  async restoreBackup(archivePath) {
+    return this._exclusive(async () => {
+      const workDir = await this._makeWorkDir('.restore-');
+      try {
+        const databases = this._getDatabases();
+        const manifest = await this._extractArchive(archivePath, workDir, databases);
+        const validated = this._validateDatabases(manifest, workDir, databases);
+        const warnings = [];
+
+        // Redacted backups: take password hashes / API keys from current users
+        const usersEntry = validated.find(v => v.def.key === 'users');
+        if (usersEntry && manifest.redacted) {
+          const unmatched = this._fillRedactedUsers(usersEntry.stagedPath);
+          if (unmatched > 0) {
+            warnings.push(`${unmatched} restored user(s) have no password (not present on this installation) — set one in User Management`);
+          }
+        }
+
+        // Redacted backups: take webhook secrets from current endpoints
+        const webhooksEntry = validated.find(v => v.def.key === 'webhooks');
+        if (webhooksEntry && manifest.redacted) {
+          const regenerated = this._fillRedactedWebhooks(webhooksEntry.stagedPath);
+          if (regenerated > 0) {
+            warnings.push(`${regenerated} restored webhook endpoint(s) got a new signing secret (URL not present on this installation) — update the receivers`);
+          }
+        }
+
+        const configFiles = await this._prepareConfigFiles(manifest, workDir);
+
+        this.log(`♻️  Restoring backup from ${manifest.createdAt} (v${manifest.appVersion})...`);
+
+        // ── Point of no return ──────────────────────────────────────────
+        for (const mgr of registry.getAll()) {
+          try {
+            await mgr.shutdown();
+          } catch (err) {
+            this.warn(`⚠️  Error shutting down ${mgr.instanceId}:`, err.message);
+          }
+        }
+
+        const restoredDatabases = {};
+        for (const { def, stagedPath, fromVersion } of validated) {
+          await this._swapDatabase(def, stagedPath);
+          const toVersion = def.readVersion ? def.readVersion(def.store.db) : null;
+          restoredDatabases[def.key] = { fromVersion, toVersion };
+          this.log(`♻️  Restored ${def.label} database${fromVersion != null && fromVersion !== toVersion ? ` (migrated v${fromVersion} → v${toVersion})` : ''}`);
+        }
+
+        const dataDir = config.getDataDir();
+        for (const { name, json } of configFiles) {
+          await fs.promises.writeFile(path.join(dataDir, name), JSON.stringify(json, null, 2), 'utf8');
+        }
+        const restoredNames = configFiles.map(f => f.name);
+        if (restoredNames.includes('config.json')) await config.loadConfig();
+        if (restoredNames.includes('categories.json')) await categoryManager.load();
+        if (restoredNames.includes('notifications.json')) notificationManager.init();
+        for (const [name, reload] of this._configReloaders) {
+          if (restoredNames.includes(name)) await reload();
+        }
+
+        // User IDs in existing sessions may now refer to different accounts
+        if (usersEntry) authManager.invalidateAllSessions();
+
+        if (this.reinitializeClients) {
+          try {
+            await this.reinitializeClients();
+          } catch (err) {
+            this.warn('⚠️  Client reinitialization failed:', err.message);
+            warnings.push(`Client reinitialization failed: ${err.message}`);
+          }
+        }
+
+        this.log('✅ Backup restored');
+        return {
+          appVersion: manifest.appVersion,
+          createdAt: manifest.createdAt,
+          redacted: !!manifest.redacted,
+          configFiles: restoredNames,
+          databases: restoredDatabases,
+          sessionsInvalidated: !!usersEntry,
+          warnings
+        };
+      } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+      }
+    });
+  }
+}
+
+module.exports = new BackupManager();
@@ -9,9 +9,21 @@
  * Only download client managers (AmuleManager, RtorrentManager, QbittorrentManager)
  * should extend this class. All other modules extend BaseModule directly.
  */
+const fs = require('fs').promises;
+const path = require('path');
 const BaseModule = require('./BaseModule');
 const logger = require('./logger');
 
+/**
+ * Normalized per-file priority for multi-file torrents. setFilePriority()
+ * accepts these values and each manager maps them onto its client's native
+ * scale (clients without a distinct "max" level treat it as high). The
+ * rTorrent, Deluge and Transmission getFiles() report them too; qBittorrent's
+ * getFiles() returns raw qBittorrent priorities (0/1/6/7), which only the
+ * /api/qbittorrent/files route normalizes.
+ */
+const FILE_PRIORITY = Object.freeze({ SKIP: 0, NORMAL: 1, HIGH: 2, MAX: 3 });
+
 class BaseClientManager extends BaseModule {
   constructor() {
     super();
@@ -154,12 +166,13 @@ class BaseClientManager extends BaseModule {
    * @param {number|null} size - Size in bytes
    * @param {string|null} username - Username
    * @param {string|null} category - Category/label name
+   * @param {string|null} feedName - RSS feed that triggered the add
    */
-  trackDownload(hash, name, size = null, username = null, category = null) {
+  trackDownload(hash, name, size = null, username = null, category = null, feedName = null) {
     if (!this.isHistoryEnabled() || !hash) return;
 
     try {
-      this.downloadHistoryDB.addDownload(hash, name || 'Unknown', size, username, this.clientType, category, this.instanceId);
+      this.downloadHistoryDB.addDownload(hash, name || 'Unknown', size, username, this.clientType, category, this.instanceId, feedName);
     } catch (err) {
       logger.warn(`[${this.clientType}] Failed to track download:`, err.message);
     }
@@ -296,6 +309,61 @@ class BaseClientManager extends BaseModule {
     }
   }
 
+  /**
+   * Re-fetch trackers and peers for a single item right away (after a tracker
+   * edit), instead of waiting for the next periodic refresh.
+   * @param {string} hash - Item hash
+   */
+  async refreshItemTrackers(hash) {
+    if (!this.client || !hash) return;
+    const key = hash.toLowerCase();
+    try {
+      const items = await this._getItemsForTrackerRefresh();
+      const item = (items || []).find(i => (i.hash || i.hashString || '').toLowerCase() === key);
+      if (!item) return;
+
+      const { trackersByHash, peersByHash } = await this._fetchTrackersAndPeers([item]);
+      const now = Date.now();
+      const trackerData = trackersByHash.get(key);
+      if (trackerData) this._trackerCache.set(key, { ...trackerData, lastUpdated: now });
+      const peers = peersByHash.get(key);
+      if (peers) this._peerCache.set(key, { peers, lastUpdated: now });
+    } catch (err) {
+      this.warn(`⚠️  Failed to refresh trackers for ${hash}:`, err.message);
+    }
+  }
+
+  /**
+   * Fetch the announce URLs of every item on the instance right away (and
+   * update the tracker cache), so bulk edits don't depend on how far the
+   * periodic refresh has got. Pseudo-trackers (qBittorrent's "** [DHT] **"
+   * rows) are skipped.
+   * @returns {Promise<Object>} { urls: Map<hash, string[]>, unchecked: string[] }
+   *   — unchecked lists hashes whose trackers could not be fetched
+   */
+  async fetchAllTrackerUrls() {
+    const items = (await this._getItemsForTrackerRefresh()) || [];
+    const { trackersByHash } = await this._fetchTrackersAndPeers(items);
+    const now = Date.now();
+    const urls = new Map();
+    const unchecked = [];
+
+    for (const item of items) {
+      const hash = (item.hash || item.hashString || '').toLowerCase();
+      if (!hash) continue;
+      const trackerData = trackersByHash.get(hash);
+      if (!trackerData) {
+        unchecked.push(hash);
+        continue;
+      }
+      this._trackerCache.set(hash, { ...trackerData, lastUpdated: now });
+      const list = trackerData.trackers ||
+        (trackerData.trackersDetailed || []).map(t => t.url || t.announce);
+      urls.set(hash, list.filter(url => typeof url === 'string' && /^[a-z]+:\/\//i.test(url)));
+    }
+    return { urls, unchecked };
+  }
+
   /**
    * Override in subclass: return cached items or fetch fresh ones for tracker refresh.
    * @returns {Promise<Array>} Array of items with .hash property
@@ -387,6 +455,185 @@ class BaseClientManager extends BaseModule {
     throw new Error(`setCategoryOrLabel() not implemented for ${this.clientType}`);
   }
 
+  // ============================================================================
+  // FILES
+  // ============================================================================
+
+  /**
+   * Set the download priority of files inside a torrent.
+   * Override in managers that support per-file priority (clientMeta `filePriority`).
+   * @param {string} _hash - Torrent hash
+   * @param {number[]} _fileIndices - File indices as reported by getFiles()
+   * @param {number} _priority - Normalized priority (FILE_PRIORITY)
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async setFilePriority(_hash, _fileIndices, _priority) {
+    throw new Error(`setFilePriority() not implemented for ${this.clientType}`);
+  }
+
+  // ============================================================================
+  // TRACKER EDITING
+  // ============================================================================
+  // Overridden by managers with the clientMeta `trackerEdit` capability.
+  // All return { success, error? }.
+
+  /**
+   * Add announce URLs to a torrent.
+   * @param {string} _hash - Torrent hash
+   * @param {string[]} _urls - Announce URLs
+   * @returns {Promise<Object>}
+   */
+  async addTrackers(_hash, _urls) {
+    throw new Error(`addTrackers() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Replace one announce URL of a torrent with another.
+   * @param {string} _hash - Torrent hash
+   * @param {string} _oldUrl - Current announce URL
+   * @param {string} _newUrl - Replacement announce URL
+   * @returns {Promise<Object>}
+   */
+  async editTracker(_hash, _oldUrl, _newUrl) {
+    throw new Error(`editTracker() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Remove announce URLs from a torrent.
+   * @param {string} _hash - Torrent hash
+   * @param {string[]} _urls - Announce URLs
+   * @returns {Promise<Object>}
+   */
+  async removeTrackers(_hash, _urls) {
+    throw new Error(`removeTrackers() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Force an announce to all trackers of a torrent.
+   * @param {string} _hash - Torrent hash
+   * @returns {Promise<Object>}
+   */
+  async reannounce(_hash) {
+    throw new Error(`reannounce() not implemented for ${this.clientType}`);
+  }
+
+  // ============================================================================
+  // METAINFO EXPORT
+  // ============================================================================
+
+  /**
+   * Read back a torrent's .torrent metainfo.
+   * Override in managers with the clientMeta `exportTorrent` capability.
+   * @param {string} _hash - Torrent hash
+   * @returns {Promise<Buffer>} Raw .torrent file contents
+   */
+  async exportTorrent(_hash) {
+    throw new Error(`exportTorrent() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Read the client's own copy of a .torrent from its state directory, which
+   * aMuTorrent reaches at the instance's `torrentStateDir` setting (clients
+   * whose API only reports where the file lives on their disk).
+   * @param {string} remotePath - File name, or the path as the client reports it
+   * @returns {Promise<Buffer>}
+   * @throws {Error} If the setting is missing or the file is not readable
+   */
+  async _readStateTorrent(remotePath) {
+    const stateDir = this._clientConfig?.torrentStateDir;
+    if (!stateDir) {
+      const name = this.displayName || this.clientType || 'client';
+      throw new Error(`Set the torrent state directory of ${name} to export its .torrent files`);
+    }
+    // Only the file name is meaningful here: the client's own directory layout may differ
+    const localPath = path.join(stateDir, remotePath.split(/[\\/]/).pop());
+    try {
+      return await fs.readFile(localPath);
+    } catch (err) {
+      throw new Error(`Cannot read ${localPath} (${err.code || err.message}) — check the torrent state directory setting`);
+    }
+  }
+
+  // ============================================================================
+  // BANDWIDTH LIMITS
+  // ============================================================================
+
+  /**
+   * Get the client's global transfer rate limits.
+   * Override in each manager. All values are bytes/s, 0 = unlimited.
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit }
+   */
+  async getSpeedLimits() {
+    throw new Error(`getSpeedLimits() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Set the client's global transfer rate limits.
+   * Override in each manager. Omitted (undefined) values are left unchanged.
+   * @param {Object} _limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   * @returns {Promise<Object>} The limits now in effect: { downloadLimit, uploadLimit }
+   */
+  async setSpeedLimits(_limits) {
+    throw new Error(`setSpeedLimits() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Set transfer rate limits on a single item (torrent).
+   * Override in managers with the itemSpeedLimits capability. Omitted
+   * (undefined) values are left unchanged.
+   * @param {string} _hash - Item hash
+   * @param {Object} _limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   * @returns {Promise<void>}
+   */
+  async setItemSpeedLimits(_hash, _limits) {
+    throw new Error(`setItemSpeedLimits() not implemented for ${this.clientType}`);
+  }
+
+  // ============================================================================
+  // QUEUE
+  // ============================================================================
+
+  /**
+   * Move torrents within the client's queue.
+   * Override in managers with the clientMeta `queue` capability.
+   * @param {string|Array<string>} _hashes - Torrent hash(es)
+   * @param {'top'|'up'|'down'|'bottom'} _direction - Where to move them
+   * @returns {Promise<void>}
+   */
+  async queueMove(_hashes, _direction) {
+    throw new Error(`queueMove() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Start torrents regardless of the max active limits (or clear that flag).
+   * Override in managers with the clientMeta `forceStart` capability.
+   * @param {string|Array<string>} _hashes - Torrent hash(es)
+   * @param {boolean} _value - Force start on/off
+   * @returns {Promise<void>}
+   */
+  async setForceStart(_hashes, _value) {
+    throw new Error(`setForceStart() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Get the client's max active torrent limits.
+   * Override in managers with the clientMeta `queue` capability. 0 = unlimited.
+   * @returns {Promise<Object>} { maxActiveDownloads, maxActiveSeeds }
+   */
+  async getQueueSettings() {
+    throw new Error(`getQueueSettings() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Set the client's max active torrent limits.
+   * Override in managers. Omitted (undefined) values are left unchanged.
+   * @param {Object} _settings - { maxActiveDownloads, maxActiveSeeds }, 0 = unlimited
+   * @returns {Promise<Object>} The limits now in effect: { maxActiveDownloads, maxActiveSeeds }
+   */
+  async setQueueSettings(_settings) {
+    throw new Error(`setQueueSettings() not implemented for ${this.clientType}`);
+  }
+
   // ============================================================================
   // CATEGORY CRUD (options-object pattern)
   // ============================================================================
@@ -457,4 +704,6 @@ class BaseClientManager extends BaseModule {
 }
 
 
+BaseClientManager.FILE_PRIORITY = FILE_PRIORITY;
+
 module.exports = BaseClientManager;
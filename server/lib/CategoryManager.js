@@ -14,6 +14,7 @@ const path = require('path');
 const BaseModule = require('./BaseModule');
 const configTester = require('./configTester');
 const clientMeta = require('./clientMeta');
+const { normalizeSeedingPolicy } = require('./seedingPolicy');
 
 // Client registry - replaces direct singleton manager imports
 const registry = require('./ClientRegistry');
@@ -397,6 +398,7 @@ class CategoryManager extends BaseModule {
             pathMappings: cat.pathMappings || null,
             comment: cat.comment || '',
             priority: cat.priority ?? 0,
+            seedingPolicy: normalizeSeedingPolicy(cat.seedingPolicy),
             amuleIds,
             createdAt: cat.createdAt || new Date().toISOString(),
             updatedAt: cat.updatedAt || new Date().toISOString()
@@ -446,6 +448,7 @@ class CategoryManager extends BaseModule {
           pathMappings: cat.pathMappings,
           comment: cat.comment,
           priority: cat.priority,
+          seedingPolicy: cat.seedingPolicy || null,
           amuleIds: cat.amuleIds || {},
           createdAt: cat.createdAt,
           updatedAt: cat.updatedAt
@@ -479,6 +482,7 @@ class CategoryManager extends BaseModule {
         pathMappings: null,
         comment: '',
         priority: 0,
+        seedingPolicy: null,
         amuleIds: {},
         createdAt: now,
         updatedAt: now
@@ -502,6 +506,7 @@ class CategoryManager extends BaseModule {
       pathMappings: cat.pathMappings || null,
       comment: cat.comment || '',
       priority: cat.priority ?? 0,
+      seedingPolicy: cat.seedingPolicy || null,
       // Additional unified fields
       name: cat.name,
       hexColor: cat.color,
@@ -518,6 +523,18 @@ class CategoryManager extends BaseModule {
     };
   }
 
+  /**
+   * Get enabled seeding policies keyed by category name
+   * @returns {Map<string, Object>} Category name → normalized policy
+   */
+  getSeedingPolicies() {
+    const policies = new Map();
+    for (const [name, cat] of this.categories) {
+      if (cat.seedingPolicy?.enabled) policies.set(name, cat.seedingPolicy);
+    }
+    return policies;
+  }
+
   /**
    * Get category by name
    * @param {string} name - Category name
@@ -581,6 +598,7 @@ class CategoryManager extends BaseModule {
       pathMappings: null,
       comment: comment || '',
       priority: priority ?? 0,
+      seedingPolicy: null,
       amuleIds: amuleIds || {},
       createdAt: now,
       updatedAt: now
@@ -691,10 +709,11 @@ class CategoryManager extends BaseModule {
    * @param {Object|null} options.pathMappings - Per-client path mappings { amule: '/path', rtorrent: '/path' }
    * @param {string} options.comment - Comment
    * @param {number} options.priority - Priority (0=Normal, 1=High, 2=Low, 3=Auto)
+   * @param {Object|null} options.seedingPolicy - Seeding policy (see lib/seedingPolicy.js)
    * @param {boolean} options.skipClients - Skip creating in clients (used during sync)
    * @returns {Promise<Object>} Created category
    */
-  async create(name, { color = null, path = null, pathMappings = null, comment = '', priority = 0, skipClients = false } = {}) {
+  async create(name, { color = null, path = null, pathMappings = null, comment = '', priority = 0, seedingPolicy = null, skipClients = false } = {}) {
     if (!name || typeof name !== 'string') {
       throw new Error('Category name is required');
     }
@@ -718,6 +737,7 @@ class CategoryManager extends BaseModule {
       pathMappings: normalizedMappings,
       comment: comment || '',
       priority: priority ?? 0,
+      seedingPolicy: normalizeSeedingPolicy(seedingPolicy),
       amuleIds: {},
       createdAt: now,
       updatedAt: now
@@ -760,10 +780,11 @@ class CategoryManager extends BaseModule {
    * @param {Object} [updates.pathMappings] - Per-client path mappings
    * @param {string} [updates.comment] - Category comment
    * @param {number} [updates.priority] - Category priority
+   * @param {Object|null} [updates.seedingPolicy] - Seeding policy (null removes it)
    * @param {boolean} [updates.skipClients] - Skip updating in clients (used during sync)
    * @returns {Promise<{category: Object, clientVerification: Object|null}>} Updated category and verification result
    */
-  async update(name, { color, path, pathMappings, comment, priority, skipClients = false } = {}) {
+  async update(name, { color, path, pathMappings, comment, priority, seedingPolicy, skipClients = false } = {}) {
     const category = this.categories.get(name);
     if (!category) {
       throw new Error(`Category "${name}" not found`);
@@ -778,6 +799,7 @@ class CategoryManager extends BaseModule {
     }
     if (comment !== undefined) category.comment = comment;
     if (priority !== undefined) category.priority = priority;
+    if (seedingPolicy !== undefined) category.seedingPolicy = normalizeSeedingPolicy(seedingPolicy);
     category.updatedAt = new Date().toISOString();
 
     // Update in all connected clients with category support
@@ -867,6 +889,13 @@ class CategoryManager extends BaseModule {
     this.categories.delete(oldName);
     this.categories.set(newName, category);
 
+    // Keep seeding policies that move items into this category pointing at it
+    for (const other of this.categories.values()) {
+      if (other.seedingPolicy?.targetCategory === oldName) {
+        other.seedingPolicy.targetCategory = newName;
+      }
+    }
+
     await this.save();
 
     this.log(`📝 Renamed category: ${oldName} -> ${newName}`);
@@ -993,6 +1022,47 @@ class CategoryManager extends BaseModule {
     return clientPath;
   }
 
+  /**
+   * Translate an app path back to the path a client sees — the inverse of
+   * translatePath(), used when handing a path reported by one client to another
+   * @param {string} appPath - Path as aMuTorrent sees it
+   * @param {string} clientType - Target client type
+   * @param {string} instanceId - Target instance ID for per-instance path mapping lookup
+   * @returns {string} Client path, or the original if no mapping applies
+   */
+  toClientPath(appPath, clientType, instanceId) {
+    if (!appPath || !clientType) return appPath;
+
+    const normalizedAppPath = appPath.replace(/\/+$/, '');
+    const isUnder = (prefix) => normalizedAppPath === prefix || normalizedAppPath.startsWith(prefix + '/');
+
+    // Find the category whose mapped path contains the app path (longest match wins)
+    let bestMatch = null;
+
+    for (const category of this.categories.values()) {
+      if (category.name === 'Default') continue;
+      if (!category.path) continue;
+
+      const mappedPath = ((instanceId && category.pathMappings?.[instanceId]) || category.pathMappings?.[clientType] || category.path).replace(/\/+$/, '');
+      if (isUnder(mappedPath) && (!bestMatch || mappedPath.length > bestMatch.appPath.length)) {
+        bestMatch = { appPath: mappedPath, clientPath: category.path.replace(/\/+$/, '') };
+      }
+    }
+
+    // Fallback: Default category's mapping onto the client's default directory
+    if (!bestMatch) {
+      const defaultCategory = this.categories.get('Default');
+      const defaultAppPath = (instanceId && defaultCategory?.pathMappings?.[instanceId]) || defaultCategory?.pathMappings?.[clientType];
+      const clientDefaultPath = defaultCategory?.path || (instanceId ? this.clientDefaultPaths[instanceId] : null);
+      if (defaultAppPath && clientDefaultPath && isUnder(defaultAppPath.replace(/\/+$/, ''))) {
+        bestMatch = { appPath: defaultAppPath.replace(/\/+$/, ''), clientPath: clientDefaultPath.replace(/\/+$/, '') };
+      }
+    }
+
+    if (!bestMatch) return appPath;
+    return bestMatch.clientPath + normalizedAppPath.slice(bestMatch.appPath.length);
+  }
+
   // ==========================================================================
   // STATIC COLOR UTILITIES (exported for frontend compatibility)
   // ==========================================================================
@@ -1,16 +1,21 @@
 /**
- * EventScriptingManager - Execute user-defined scripts on specific events
+ * EventScriptingManager - Execute user-defined scripts and webhooks on specific events
  *
  * Supports events: downloadAdded, downloadFinished, categoryChanged, fileMoved, fileDeleted,
- *                  clientUnavailable, clientAvailable
+ *                  seedingGoalReached, recheckFinished, clientUnavailable, clientAvailable,
+ *                  downloadStalled, downloadErrored, moveFailed, diskSpaceLow, searchCompleted
  *
  * Script invocation:
  * - Event type as first argument
  * - Environment variables: EVENT_TYPE, EVENT_HASH, EVENT_FILENAME, EVENT_CLIENT_TYPE,
- *   EVENT_INSTANCE_ID, EVENT_INSTANCE_NAME, EVENT_OWNER, EVENT_TRIGGERED_BY
+ *   EVENT_INSTANCE_ID, EVENT_INSTANCE_NAME, EVENT_OWNER, EVENT_TRIGGERED_BY,
+ *   EVENT_FEED_NAME (downloadAdded from the RSS watcher), EVENT_MOUNT_POINT (diskSpaceLow),
+ *   EVENT_QUERY (searchCompleted)
  * - Full JSON event data via stdin
  *
  * Execution is fire-and-forget (non-blocking), errors are logged only.
+ *
+ * The same JSON is queued for subscribed webhook endpoints (see WebhookManager).
  */
 
 const { spawn } = require('child_process');
@@ -19,14 +24,21 @@ const path = require('path');
 const BaseModule = require('./BaseModule');
 const config = require('../modules/config');
 const notificationManager = require('./NotificationManager');
+const webhookManager = require('./WebhookManager');
 const registry = require('./ClientRegistry');
 const { itemKey } = require('./itemKey');
 const FloodGuard = require('./FloodGuard');
 
+// Events that can arrive in bursts — their notifications go through the flood guard
+const FLOOD_GUARDED_EVENTS = new Set([
+  'clientAvailable', 'clientUnavailable', 'downloadStalled', 'downloadErrored', 'moveFailed', 'diskSpaceLow'
+]);
+
 class EventScriptingManager extends BaseModule {
   constructor() {
     super();
     this._floodGuard = new FloodGuard();
+    this.scriptStats = { succeeded: {}, failed: {} }; // eventType → count (since startup)
   }
 
   /**
@@ -50,7 +62,19 @@ class EventScriptingManager extends BaseModule {
   }
 
   /**
-   * Emit an event - fire-and-forget script execution and Apprise notifications
+   * Check whether emitting an event would reach anything: a notification,
+   * a webhook endpoint or the event script
+   * @param {string} eventType - Event type to check
+   * @returns {boolean}
+   */
+  isEventHandled(eventType) {
+    return notificationManager.isEventEnabled(eventType) ||
+      webhookManager.hasSubscribers(eventType) ||
+      this.isEventEnabled(eventType);
+  }
+
+  /**
+   * Emit an event - fire-and-forget notifications, webhooks and script execution
    * @param {string} eventType - Event type (downloadAdded, downloadFinished, etc.)
    * @param {Object} eventData - Event data object
    */
@@ -68,7 +92,8 @@ class EventScriptingManager extends BaseModule {
     this._enrichWithUserInfo(eventData);
 
     // Send Apprise notification (if enabled for this event AND for the source
-    // instance). Client health events use flood prevention to avoid spam.
+    // instance). Burst-prone events (client health, detector alerts) use flood
+    // prevention per instance (or filesystem) and event to avoid spam.
     // Per-instance opt-out gates both branches — users flipping notifications
     // off on a chatty client expect silence from that client entirely,
     // including its availability alerts.
@@ -78,11 +103,11 @@ class EventScriptingManager extends BaseModule {
     if (!notificationsAllowed) {
       // Skip Apprise entirely for this instance. Event script execution below
       // still runs — scripts are automation, not messaging.
-    } else if (eventType === 'clientAvailable' || eventType === 'clientUnavailable') {
-      const floodKey = `${eventData.instanceId || 'global'}:${eventType}`;
+    } else if (FLOOD_GUARDED_EVENTS.has(eventType)) {
+      const floodKey = `${eventData.instanceId || eventData.device || 'global'}:${eventType}`;
       const { allowed, isFinalWarning } = this._floodGuard.check(floodKey);
       if (allowed) {
-        notificationManager.notifyClientHealth(eventType, eventData, isFinalWarning).catch(err => {
+        notificationManager.notifyFloodGuarded(eventType, eventData, isFinalWarning).catch(err => {
           this.error(`[Notification] Error sending notification for ${eventType}: ${err.message}`);
         });
       }
@@ -92,6 +117,14 @@ class EventScriptingManager extends BaseModule {
       });
     }
 
+    // Queue webhooks for subscribed endpoints. Like scripts, webhooks are
+    // automation, so the per-instance notifications opt-out doesn't apply.
+    try {
+      webhookManager.enqueue(eventType, eventData);
+    } catch (err) {
+      this.error(`[Webhook] Error queueing ${eventType}: ${err.message}`);
+    }
+
     // Execute custom script (if enabled)
     if (!this.isEventEnabled(eventType)) {
       return;
@@ -160,6 +193,7 @@ class EventScriptingManager extends BaseModule {
       await fs.promises.access(scriptPath, fs.constants.X_OK);
     } catch (err) {
       this.warn(`[EventScript] Script not found or not executable: ${scriptPath}`);
+      this._recordRun(eventType, false);
       return;
     }
 
@@ -187,6 +221,9 @@ class EventScriptingManager extends BaseModule {
       EVENT_INSTANCE_NAME: eventData.instanceName || eventData.clientType || '',
       EVENT_OWNER: eventData.owner || '',
       EVENT_TRIGGERED_BY: eventData.triggeredBy || '',
+      EVENT_FEED_NAME: eventData.feedName || '',
+      EVENT_MOUNT_POINT: eventData.mountPoint || '',
+      EVENT_QUERY: eventData.query || '',
       // Client health event fields
       EVENT_STATUS: eventData.status || '',
       EVENT_PREVIOUS_STATUS: eventData.previousStatus || '',
@@ -238,11 +275,13 @@ class EventScriptingManager extends BaseModule {
       child.on('error', (err) => {
         if (timeoutId) clearTimeout(timeoutId);
         this.error(`[EventScript] Failed to start script for ${eventType}: ${err.message}`);
+        this._recordRun(eventType, false);
         resolve();
       });
 
       child.on('close', (code) => {
         if (timeoutId) clearTimeout(timeoutId);
+        this._recordRun(eventType, !killed && code === 0);
 
         if (!killed) {
           if (stderr) {
@@ -259,6 +298,24 @@ class EventScriptingManager extends BaseModule {
     });
   }
 
+  /**
+   * Count a script run for monitoring
+   * @param {string} eventType - Event type
+   * @param {boolean} success - Exit code 0 within the timeout
+   */
+  _recordRun(eventType, success) {
+    const bucket = success ? this.scriptStats.succeeded : this.scriptStats.failed;
+    bucket[eventType] = (bucket[eventType] || 0) + 1;
+  }
+
+  /**
+   * Get script run counters since startup
+   * @returns {{ succeeded: Object, failed: Object }} eventType → count
+   */
+  getScriptStats() {
+    return { succeeded: { ...this.scriptStats.succeeded }, failed: { ...this.scriptStats.failed } };
+  }
+
   /**
    * Test if the configured script path is valid and executable
    * @param {string} scriptPath - Path to test
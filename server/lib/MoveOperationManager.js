@@ -17,6 +17,8 @@
  * - aMule: Always single files (no directory support)
  *
  * Supports recovery on restart and error handling.
+ * Emits fileMoved when a move completes and moveFailed when it fails
+ * (including moves interrupted by a restart).
  */
 
 const fs = require('fs').promises;
@@ -121,6 +123,14 @@ class MoveOperationManager extends BaseModule {
     return this.activeOperations;
   }
 
+  /**
+   * Get move operation counts by status (for monitoring)
+   * @returns {Object} status → count (empty before initDB)
+   */
+  getQueueStats() {
+    return this.db ? this.db.countByStatus() : {};
+  }
+
   /**
    * Process the operation queue (one at a time to avoid disk thrashing)
    */
@@ -207,6 +217,7 @@ class MoveOperationManager extends BaseModule {
       // Update status to failed
       this.db.updateStatus(hash, instanceId, 'failed', err.message);
       this.updateActiveOperation(hash, instanceId);
+      this.emitMoveFailed(operation, err.message);
 
       // Try to resume download at original location (skip for clients with native move - they handle this)
       if (!clientMeta.hasCapability(clientType, 'nativeMove')) {
@@ -719,6 +730,7 @@ class MoveOperationManager extends BaseModule {
         // Interrupted mid-move - mark as failed and cleanup
         this.log(`📦 Marking interrupted operation as failed: ${op.name} (${clientType})`);
         this.db.updateStatus(op.hash, op.instanceId, 'failed', 'Operation interrupted by restart');
+        this.emitMoveFailed(op, 'Operation interrupted by restart');
         await this.cleanupPartialDest(op);
 
         // Try to resume download at original location
@@ -734,6 +746,25 @@ class MoveOperationManager extends BaseModule {
     this.processQueue();
   }
 
+  /**
+   * Emit moveFailed for a failed operation
+   * @param {Object} operation - Operation record from database
+   * @param {string} error - Failure reason
+   */
+  emitMoveFailed(operation, error) {
+    const { hash, instanceId, name, clientType, sourcePath, destPath, remoteSourcePath, remoteDestPath, categoryName } = operation;
+    eventScriptingManager.emit('moveFailed', {
+      hash: hash.toLowerCase(),
+      instanceId: instanceId || null,
+      filename: name,
+      clientType: clientType || 'unknown',
+      category: categoryName || null,
+      sourcePath: remoteSourcePath || sourcePath,
+      destPath: remoteDestPath || destPath,
+      error
+    });
+  }
+
   /**
    * Update active operation cache from database
    * @param {string} hash - Torrent hash
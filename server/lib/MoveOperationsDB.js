@@ -20,6 +20,7 @@ const logger = require('./logger');
 
 class MoveOperationsDB {
   constructor(dbPath) {
+    this.dbPath = dbPath;
     try {
       // Ensure database directory exists
       const dbDir = path.dirname(dbPath);
@@ -323,6 +324,15 @@ class MoveOperationsDB {
     return stmt.all(status).map(row => this._rowToObject(row));
   }
 
+  /**
+   * Count operations grouped by status
+   * @returns {Object} status → count
+   */
+  countByStatus() {
+    const rows = this.db.prepare('SELECT status, COUNT(*) as count FROM move_operations GROUP BY status').all();
+    return Object.fromEntries(rows.map(r => [r.status, r.count]));
+  }
+
   /**
    * Remove completed operations older than specified duration
    * @param {number} maxAgeMs - Maximum age in milliseconds (default: 1 hour)
@@ -376,6 +386,17 @@ class MoveOperationsDB {
     };
   }
 
+  /**
+   * Close and reopen the database file, re-running schema migrations.
+   * Used after a backup restore replaced the file on disk.
+   */
+  reopen() {
+    this.db.close();
+    this.db = new Database(this.dbPath, { fileMustExist: false });
+    this.db.pragma('journal_mode = WAL');
+    this.initSchema();
+  }
+
   /**
    * Close database connection
    */
@@ -1,8 +1,23 @@
 /**
- * NotificationManager - Manage Apprise notification services
+ * NotificationManager - Manage notification services
  *
  * Handles CRUD operations for notification services and sends notifications
- * via the Apprise CLI.
+ * through each service's transport:
+ * - native: built-in Node transports (lib/notifications/transports.js)
+ * - apprise: the Apprise CLI (also the only option for custom Apprise URLs)
+ * - auto (default): native, falling back to Apprise when it is installed
+ *
+ * Retryable failures are retried with backoff; per-service delivery status
+ * is kept in memory and returned with the service list.
+ *
+ * Message text comes from templates (lib/notifications/templates.js):
+ * service overrides, then the global templates, then the defaults, rendered
+ * in each service's output format.
+ *
+ * Services can be limited to some events (routing) and set to hourly or
+ * daily digests; during quiet hours events are held as well. Held events are
+ * queued per service (notification-queue.json, so they survive restarts) and
+ * sent as one digest message once due (lib/notifications/schedule.js).
  */
 
 const crypto = require('crypto');
@@ -12,7 +27,24 @@ const os = require('os');
 const { spawn, execSync } = require('child_process');
 const BaseModule = require('./BaseModule');
 const config = require('../modules/config');
-const { formatDuration } = require('./timeRange');
+const { hasNativeTransport, sendNative, withRetry, deliveryError } = require('./notifications/transports');
+const {
+  FORMATS, DEFAULT_TEMPLATES, TEMPLATE_VARIABLES, SAMPLE_EVENT_DATA,
+  resolveTemplate, renderMessage, renderDigest, compactTemplates
+} = require('./notifications/templates');
+const {
+  DEFAULT_QUIET_HOURS, DEFAULT_DIGEST_TIME, isHeldByQuietHours, serviceReceivesEvent, isQueueDue, normalizeQuietHours
+} = require('./notifications/schedule');
+
+const TRANSPORTS = ['auto', 'native', 'apprise'];
+
+// How often held notifications are checked for delivery (in milliseconds)
+const QUEUE_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+// Held notifications kept per service; the oldest are dropped beyond this
+const MAX_QUEUED_PER_SERVICE = 500;
+
+const DIGEST_REASONS = { hourly: 'hourly digest', daily: 'daily digest' };
 
 // Common paths where pipx/pip install apprise
 const APPRISE_SEARCH_PATHS = [
@@ -38,6 +70,13 @@ class NotificationManager extends BaseModule {
     this.notificationConfig = null;
     this.appriseAvailable = null; // cached result
     this.apprisePath = null; // full path to apprise binary
+    this.deliveryStats = { sent: {}, failed: {} }; // eventType → count (since startup)
+    this.serviceStatus = new Map(); // serviceId → delivery status (since startup)
+    this.retryDelays = undefined; // transports' RETRY_DELAYS_MS unless overridden
+    this.queuePath = null;
+    this.queue = {}; // serviceId → held entries { eventType, eventData, suffix, at }, oldest first
+    this.flushTimeout = null;
+    this._flushing = false;
   }
 
   /**
@@ -47,7 +86,9 @@ class NotificationManager extends BaseModule {
   init() {
     const dataDir = config.getDataDir();
     this.configPath = path.join(dataDir, 'notifications.json');
+    this.queuePath = path.join(dataDir, 'notification-queue.json');
     this._loadConfig();
+    this._loadQueue();
     this._checkAppriseAvailable();
   }
 
@@ -141,9 +182,18 @@ class NotificationManager extends BaseModule {
             categoryChanged: false,
             fileMoved: true,
             fileDeleted: true,
+            seedingGoalReached: false,
+            recheckFinished: true,
             clientUnavailable: true,
-            clientAvailable: true
+            clientAvailable: true,
+            downloadStalled: false,
+            downloadErrored: true,
+            moveFailed: true,
+            diskSpaceLow: true,
+            searchCompleted: false
           },
+          quietHours: { ...DEFAULT_QUIET_HOURS },
+          templates: {},
           services: []
         };
         this._saveConfig();
@@ -175,6 +225,34 @@ class NotificationManager extends BaseModule {
     }
   }
 
+  /**
+   * Load held notifications from file
+   */
+  _loadQueue() {
+    try {
+      if (fs.existsSync(this.queuePath)) {
+        this.queue = JSON.parse(fs.readFileSync(this.queuePath, 'utf8')) || {};
+        const count = Object.values(this.queue).reduce((sum, entries) => sum + entries.length, 0);
+        if (count > 0) this.log(`[NotificationManager] ${count} held notification(s) restored`);
+      }
+    } catch (err) {
+      this.error(`[NotificationManager] Error loading notification queue: ${err.message}`);
+      this.queue = {};
+    }
+  }
+
+  /**
+   * Save held notifications to file
+   */
+  _saveQueue() {
+    if (!this.queuePath) return;
+    try {
+      fs.writeFileSync(this.queuePath, JSON.stringify(this.queue));
+    } catch (err) {
+      this.error(`[NotificationManager] Error saving notification queue: ${err.message}`);
+    }
+  }
+
   /**
    * Validate a string component for use in Apprise URLs.
    * Rejects control characters, newlines, and other dangerous chars.
@@ -240,14 +318,17 @@ class NotificationManager extends BaseModule {
         if (!cfg.user_key || !cfg.api_token) return null;
         return `pover://${e(cfg.user_key)}@${e(cfg.api_token)}`;
 
-      case 'ntfy':
+      case 'ntfy': {
         if (!cfg.topic) return null;
-        const host = cfg.host || 'ntfy.sh';
-        return `ntfy://${e(host)}/${e(cfg.topic)}`;
+        const { host, secure } = this._splitHostScheme(cfg.host || 'ntfy.sh');
+        return `ntfy${secure ? 's' : ''}://${e(host)}/${e(cfg.topic)}`;
+      }
 
-      case 'gotify':
+      case 'gotify': {
         if (!cfg.host || !cfg.token) return null;
-        return `gotify://${e(cfg.host)}/${e(cfg.token)}`;
+        const { host, secure } = this._splitHostScheme(cfg.host);
+        return `gotify${secure ? 's' : ''}://${e(host)}/${e(cfg.token)}`;
+      }
 
       case 'email':
         if (!cfg.smtp_host || !cfg.smtp_user || !cfg.to_email) return null;
@@ -278,6 +359,17 @@ class NotificationManager extends BaseModule {
     }
   }
 
+  /**
+   * Split an optional http(s):// prefix off a configured host
+   * @param {string} value - Host, or URL for self-hosted services
+   * @returns {{host: string, secure: boolean}}
+   */
+  _splitHostScheme(value) {
+    const match = String(value).trim().match(/^(https?):\/\/(.*?)\/*$/i);
+    if (!match) return { host: String(value).trim(), secure: false };
+    return { host: match[2], secure: match[1].toLowerCase() === 'https' };
+  }
+
   /**
    * Generate a unique ID for a service
    * @returns {string} UUID-like string
@@ -305,30 +397,48 @@ class NotificationManager extends BaseModule {
    */
   isEventEnabled(eventType) {
     if (!this.isEnabled()) return false;
-    if (!this.appriseAvailable?.available) return false;
     return this.notificationConfig?.events?.[eventType] === true;
   }
 
   /**
-   * Get notification configuration (enabled state and events)
+   * Get notification configuration (enabled state, events, quiet hours and
+   * global templates)
    * @returns {Object} Configuration object
    */
   getConfig() {
     return {
       enabled: this.notificationConfig?.enabled || false,
-      events: this.notificationConfig?.events || {}
+      events: this.notificationConfig?.events || {},
+      quietHours: this._getQuietHours(),
+      templates: this.notificationConfig?.templates || {}
     };
   }
 
   /**
-   * Save notification configuration (enabled state and events)
-   * @param {Object} cfg - Configuration to save
+   * Quiet hours with defaults filled in
+   * @returns {Object}
+   */
+  _getQuietHours() {
+    return normalizeQuietHours(this.notificationConfig?.quietHours);
+  }
+
+  /**
+   * Save notification configuration (enabled state, events, quiet hours and
+   * global templates)
+   * @param {Object} cfg - Configuration to save (quiet hours and templates validated by the caller)
    */
   saveConfig(cfg) {
     this.notificationConfig.enabled = cfg.enabled === true;
     if (cfg.events) {
       this.notificationConfig.events = { ...cfg.events };
     }
+    if (cfg.quietHours) {
+      const { enabled, days, start, end, bypassEvents } = normalizeQuietHours(cfg.quietHours);
+      this.notificationConfig.quietHours = { enabled, days, start, end, bypassEvents };
+    }
+    if (cfg.templates) {
+      this.notificationConfig.templates = compactTemplates(cfg.templates);
+    }
     this._saveConfig();
     this.log('[NotificationManager] Configuration updated');
   }
@@ -338,10 +448,28 @@ class NotificationManager extends BaseModule {
    * @returns {Array} Array of services (config passwords masked)
    */
   getServices() {
-    return (this.notificationConfig?.services || []).map(service => ({
+    return (this.notificationConfig?.services || []).map(service => this._toPublicService(service));
+  }
+
+  /**
+   * Service as returned by the API: masked config, effective transport,
+   * routing and digest settings, delivery status and held notifications
+   * @param {Object} service - Stored service
+   * @returns {Object}
+   */
+  _toPublicService(service) {
+    return {
       ...service,
-      config: this._maskServiceConfig(service.type, service.config)
-    }));
+      transport: service.transport || 'auto',
+      format: service.format || 'plain',
+      templates: service.templates || {},
+      events: service.events || [],
+      digest: service.digest || 'off',
+      digestTime: service.digestTime || DEFAULT_DIGEST_TIME,
+      config: this._maskServiceConfig(service.type, service.config),
+      deliveryStatus: this._getServiceStatus(service.id),
+      queued: this.queue[service.id]?.length || 0
+    };
   }
 
   /**
@@ -375,9 +503,46 @@ class NotificationManager extends BaseModule {
     return masked;
   }
 
+  /**
+   * Get a copy of a notification config with service credentials masked
+   * (used for redacted backups)
+   * @param {Object} cfg - Notification config as stored in notifications.json
+   * @returns {Object} Masked copy
+   */
+  maskConfig(cfg) {
+    return {
+      ...cfg,
+      services: (cfg?.services || []).map(s => ({ ...s, config: this._maskServiceConfig(s.type, s.config) }))
+    };
+  }
+
+  /**
+   * Fill masked ('********') service credentials from the current config,
+   * matching services by id. Masked values without a match are dropped.
+   * @param {Object} cfg - Notification config (e.g. from a redacted backup)
+   * @returns {Object} Copy with credentials restored where possible
+   */
+  unmaskConfig(cfg) {
+    const current = this.notificationConfig?.services || [];
+    return {
+      ...cfg,
+      services: (cfg?.services || []).map(s => {
+        const existing = current.find(c => c.id === s.id);
+        const merged = { ...s.config };
+        for (const [key, value] of Object.entries(merged)) {
+          if (value !== '********') continue;
+          if (existing?.config?.[key]) merged[key] = existing.config[key];
+          else delete merged[key];
+        }
+        return { ...s, config: merged };
+      })
+    };
+  }
+
   /**
    * Add a new notification service
-   * @param {Object} serviceData - Service data (name, type, enabled, config)
+   * @param {Object} serviceData - Service data (name, type, enabled, transport, format, templates,
+   *   events, digest, digestTime, config)
    * @returns {Object} Created service
    */
   addService(serviceData) {
@@ -386,6 +551,12 @@ class NotificationManager extends BaseModule {
       name: serviceData.name,
       type: serviceData.type,
       enabled: serviceData.enabled !== false,
+      transport: serviceData.transport || 'auto',
+      format: serviceData.format || 'plain',
+      templates: compactTemplates(serviceData.templates),
+      events: serviceData.events || [],
+      digest: serviceData.digest || 'off',
+      digestTime: serviceData.digestTime || DEFAULT_DIGEST_TIME,
       config: serviceData.config || {}
     };
 
@@ -393,10 +564,7 @@ class NotificationManager extends BaseModule {
     this._saveConfig();
     this.log(`[NotificationManager] Added service: ${service.name} (${service.type})`);
 
-    return {
-      ...service,
-      config: this._maskServiceConfig(service.type, service.config)
-    };
+    return this._toPublicService(service);
   }
 
   /**
@@ -426,17 +594,23 @@ class NotificationManager extends BaseModule {
       ...existing,
       name: updates.name !== undefined ? updates.name : existing.name,
       enabled: updates.enabled !== undefined ? updates.enabled : existing.enabled,
+      transport: updates.transport !== undefined ? updates.transport : (existing.transport || 'auto'),
+      format: updates.format !== undefined ? updates.format : (existing.format || 'plain'),
+      templates: updates.templates !== undefined ? compactTemplates(updates.templates) : (existing.templates || {}),
+      events: updates.events !== undefined ? (updates.events || []) : (existing.events || []),
+      digest: updates.digest !== undefined ? updates.digest : (existing.digest || 'off'),
+      digestTime: updates.digestTime || existing.digestTime || DEFAULT_DIGEST_TIME,
       config: newConfig
     };
 
     this.notificationConfig.services[index] = updated;
     this._saveConfig();
+
+    // Disabling a service discards what it was holding
+    if (!updated.enabled) this._dropQueue(id);
     this.log(`[NotificationManager] Updated service: ${updated.name}`);
 
-    return {
-      ...updated,
-      config: this._maskServiceConfig(updated.type, updated.config)
-    };
+    return this._toPublicService(updated);
   }
 
   /**
@@ -450,22 +624,19 @@ class NotificationManager extends BaseModule {
 
     const service = this.notificationConfig.services[index];
     this.notificationConfig.services.splice(index, 1);
+    this.serviceStatus.delete(id);
     this._saveConfig();
+    this._dropQueue(id);
     this.log(`[NotificationManager] Deleted service: ${service.name}`);
     return true;
   }
 
   /**
-   * Test notification services
+   * Test notification services (single attempt, no retries)
    * @param {string|null} serviceId - Specific service ID to test, or null for all
-   * @returns {Promise<Object>} Test results
+   * @returns {Promise<Object>} { success, message, results: [{ id, name, success, transport?, message? }] }
    */
   async testServices(serviceId = null) {
-    // Check if Apprise is available
-    if (!this.appriseAvailable?.available) {
-      return { success: false, message: 'Apprise CLI is not installed' };
-    }
-
     const services = serviceId
       ? this.notificationConfig.services.filter(s => s.id === serviceId)
       : this.notificationConfig.services.filter(s => s.enabled);
@@ -474,20 +645,25 @@ class NotificationManager extends BaseModule {
       return { success: false, message: 'No services to test' };
     }
 
-    const urls = services.map(s => this._buildAppriseUrl(s)).filter(u => u);
-    if (urls.length === 0) {
-      return { success: false, message: 'No valid service configurations' };
-    }
+    const message = {
+      title: 'aMuTorrent Test Notification',
+      body: 'This is a test notification from aMuTorrent Web Controller.'
+    };
 
-    const testTitle = 'aMuTorrent Test Notification';
-    const testBody = 'This is a test notification from aMuTorrent Web Controller.';
+    const results = await Promise.all(services.map(async service => ({
+      id: service.id,
+      name: service.name,
+      ...(await this._deliver(service, { ...message, format: service.format || 'plain' }, { retry: false }))
+    })));
 
-    try {
-      const result = await this._sendApprise(testTitle, testBody, urls);
-      return result;
-    } catch (err) {
-      return { success: false, message: err.message };
-    }
+    const failures = results.filter(r => !r.success);
+    return {
+      success: failures.length === 0,
+      message: failures.length === 0
+        ? 'Notification sent successfully'
+        : failures.map(f => services.length > 1 ? `${f.name}: ${f.message}` : f.message).join('; '),
+      results
+    };
   }
 
   /**
@@ -500,147 +676,373 @@ class NotificationManager extends BaseModule {
       return;
     }
 
-    const enabledServices = this.notificationConfig.services.filter(s => s.enabled);
-    if (enabledServices.length === 0) {
-      return;
-    }
+    await this._dispatch(eventType, eventData, { label: eventType });
+  }
 
-    const urls = enabledServices.map(s => this._buildAppriseUrl(s)).filter(u => u);
-    if (urls.length === 0) {
-      return;
-    }
+  /**
+   * Send a notification for a burst-prone event (client health, detector
+   * alerts) that EventScriptingManager rate-limits with its flood guard.
+   * @param {string} eventType - Event type
+   * @param {Object} eventData - Event data
+   * @param {boolean} isFinalWarning - If true, append suppression notice
+   */
+  async notifyFloodGuarded(eventType, eventData, isFinalWarning = false) {
+    if (!this.isEventEnabled(eventType)) return;
 
-    const title = this._buildNotificationTitle(eventType, eventData);
-    const body = this._buildNotificationBody(eventType, eventData);
+    const isClientHealth = eventType === 'clientAvailable' || eventType === 'clientUnavailable';
+    const source = eventData.instanceName || eventData.instanceId || eventData.mountPoint;
+    await this._dispatch(eventType, eventData, {
+      label: source ? `${eventType}: ${source}` : eventType,
+      suffix: !isFinalWarning ? ''
+        : isClientHealth ? '\n\n⚠️ Further notifications for this client will be suppressed for 1 hour.'
+        : '\n\n⚠️ Further notifications like this will be suppressed for 1 hour.'
+    });
+  }
 
-    try {
-      await this._sendApprise(title, body, urls);
-      this.log(`[NotificationManager] Notification sent for ${eventType}`);
-    } catch (err) {
-      this.error(`[NotificationManager] Failed to send notification: ${err.message}`);
+  // ==========================================================================
+  // QUIET HOURS & DIGESTS
+  // ==========================================================================
+
+  /**
+   * Hold an event for a service until its quiet hours or digest are due
+   * @param {Object} service - Stored service
+   * @param {Object} entry - { eventType, eventData, suffix, at }
+   */
+  _enqueue(service, entry) {
+    const entries = this.queue[service.id] || (this.queue[service.id] = []);
+    entries.push(entry);
+    if (entries.length > MAX_QUEUED_PER_SERVICE) {
+      entries.splice(0, entries.length - MAX_QUEUED_PER_SERVICE);
+      this.warn(`[NotificationManager] ${service.name}: more than ${MAX_QUEUED_PER_SERVICE} held notifications, dropping the oldest`);
     }
   }
 
   /**
-   * Send a client health notification with flood prevention support.
-   * Called from autoRefreshManager when a client state transition is detected.
-   * @param {string} eventType - 'clientAvailable' or 'clientUnavailable'
-   * @param {Object} eventData - Event data
-   * @param {boolean} isFinalWarning - If true, append suppression notice
+   * Discard a service's held notifications
+   * @param {string} id - Service ID
    */
-  async notifyClientHealth(eventType, eventData, isFinalWarning = false) {
-    if (!this.isEventEnabled(eventType)) return;
+  _dropQueue(id) {
+    if (!this.queue[id]) return;
+    delete this.queue[id];
+    this._saveQueue();
+  }
 
-    const enabledServices = this.notificationConfig.services.filter(s => s.enabled);
-    if (enabledServices.length === 0) return;
+  /**
+   * Send every service's held notifications that are due
+   * @param {Date} [date] - Moment to check (local time)
+   */
+  async flushDue(date = new Date()) {
+    if (this._flushing) return;
+    this._flushing = true;
+    try {
+      const quietHours = this._getQuietHours();
+      for (const [id, entries] of Object.entries(this.queue)) {
+        const service = this.notificationConfig?.services?.find(s => s.id === id);
+        if (!service || entries.length === 0) {
+          this._dropQueue(id);
+          continue;
+        }
+        if (isQueueDue(service, entries[0].at, quietHours, date)) {
+          await this.flushService(id);
+        }
+      }
+    } finally {
+      this._flushing = false;
+    }
+  }
 
-    const urls = enabledServices.map(s => this._buildAppriseUrl(s)).filter(u => u);
-    if (urls.length === 0) return;
+  /**
+   * Send a service's held notifications now, as one message
+   * @param {string} id - Service ID
+   * @returns {Promise<Object|null>} { success, count, message? }, or null if the service doesn't exist
+   */
+  async flushService(id) {
+    const service = this.notificationConfig?.services?.find(s => s.id === id);
+    if (!service) return null;
+
+    // Entries stay queued until delivery succeeds; a failed send is retried
+    // on the next check. Events held while sending are kept for the next one.
+    const entries = [...(this.queue[id] || [])];
+    if (entries.length === 0) return { success: true, count: 0 };
+
+    const messages = entries.map(entry => ({
+      ...this.buildMessage(service, entry.eventType, entry.eventData, entry.suffix),
+      at: entry.at
+    }));
+    const message = messages.length === 1 ? messages[0] : renderDigest(messages, {
+      format: service.format || 'plain',
+      reason: DIGEST_REASONS[service.digest] || 'quiet hours'
+    });
 
-    const title = this._buildNotificationTitle(eventType, eventData);
-    let body = this._buildNotificationBody(eventType, eventData);
+    const result = await this._deliver(service, message);
+    for (const entry of entries) this._recordDelivery(entry.eventType, result.success);
 
-    if (isFinalWarning) {
-      body += '\n\n⚠️ Further notifications for this client will be suppressed for 1 hour.';
+    if (result.success) {
+      const sent = new Set(entries);
+      const remaining = (this.queue[id] || []).filter(entry => !sent.has(entry));
+      if (remaining.length > 0) {
+        this.queue[id] = remaining;
+        this._saveQueue();
+      } else {
+        this._dropQueue(id);
+      }
+      this.log(`[NotificationManager] Sent ${entries.length} held notification(s) to ${service.name}`);
+    } else {
+      this.error(`[NotificationManager] ${entries.length} held notification(s) for ${service.name} failed, keeping them queued: ${result.message}`);
     }
+    return { success: result.success, count: entries.length, message: result.message };
+  }
 
+  // Check loop for held notifications
+  async flushLoop() {
     try {
-      await this._sendApprise(title, body, urls);
-      this.log(`[NotificationManager] Notification sent for ${eventType}: ${eventData.instanceName || eventData.instanceId}`);
+      await this.flushDue();
     } catch (err) {
-      this.error(`[NotificationManager] Failed to send ${eventType} notification: ${err.message}`);
+      this.error(`[NotificationManager] Error sending held notifications: ${err.message}`);
+    }
+    this.flushTimeout = setTimeout(() => this.flushLoop(), QUEUE_CHECK_INTERVAL);
+  }
+
+  // Start the check loop
+  start() {
+    this.flushLoop();
+  }
+
+  // Stop the check loop (held notifications stay on disk)
+  stop() {
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
     }
   }
 
+  // ==========================================================================
+  // TEMPLATES
+  // ==========================================================================
+
   /**
-   * Build notification title based on event type
+   * Render an event's message for a service
+   * @param {Object|null} service - Stored service (null: global templates, plain)
    * @param {string} eventType - Event type
    * @param {Object} eventData - Event data
-   * @returns {string} Title
-   */
-  _buildNotificationTitle(eventType, eventData) {
-    const client = eventData.instanceName || eventData.clientType || null;
-    let label;
-    switch (eventType) {
-      case 'downloadAdded':      label = '⬇️ New Download'; break;
-      case 'downloadFinished':   label = '✅ Download Complete'; break;
-      case 'categoryChanged':    label = '🏷️ Category Changed'; break;
-      case 'fileMoved':          label = '📦 File Moved'; break;
-      case 'fileDeleted':        label = '🗑️ File Deleted'; break;
-      case 'clientUnavailable':  label = '🔴 Client Offline'; break;
-      case 'clientAvailable':    label = '🟢 Client Online'; break;
-      default:                   label = 'aMuTorrent Event'; break;
-    }
-    return client ? `${label} · ${client}` : label;
+   * @param {string} [suffix] - Text appended to the body
+   * @returns {{title: string, body: string, format: string}}
+   */
+  buildMessage(service, eventType, eventData, suffix = '') {
+    const message = renderMessage(eventType, eventData, {
+      template: resolveTemplate(eventType, service?.templates, this.notificationConfig?.templates),
+      format: service?.format
+    });
+    if (suffix) message.body += suffix;
+    return message;
+  }
+
+  /**
+   * Template defaults, variables and formats for the editor
+   * @returns {{defaults: Object, variables: Array, formats: string[]}}
+   */
+  getTemplateInfo() {
+    return { defaults: DEFAULT_TEMPLATES, variables: TEMPLATE_VARIABLES, formats: FORMATS };
   }
 
   /**
-   * Build notification body based on event type
+   * Render sample event data with unsaved templates
+   * @param {Object} options
+   * @param {string} options.eventType - Event type
+   * @param {string} [options.format] - Output format
+   * @param {Object} [options.serviceTemplates] - Service overrides being edited
+   * @param {Object} [options.globalTemplates] - Global templates being edited (default: saved ones)
+   * @returns {{title: string, body: string, format: string}}
+   */
+  previewMessage({ eventType, format, serviceTemplates, globalTemplates }) {
+    return renderMessage(eventType, SAMPLE_EVENT_DATA, {
+      template: resolveTemplate(eventType, serviceTemplates, globalTemplates ?? this.notificationConfig?.templates),
+      format
+    });
+  }
+
+  // ==========================================================================
+  // DELIVERY
+  // ==========================================================================
+
+  /**
+   * Render an event for every enabled service it is routed to and deliver
+   * in parallel. Services on a digest, and all services during quiet hours,
+   * hold it instead.
    * @param {string} eventType - Event type
    * @param {Object} eventData - Event data
-   * @returns {string} Body
-   */
-  _buildNotificationBody(eventType, eventData) {
-    const filename = eventData.filename || eventData.name || 'Unknown file';
-    const userCatLine = this._buildUserCategoryLine(eventData);
-    const userCatSuffix = userCatLine ? `\n${userCatLine}` : '';
-
-    switch (eventType) {
-      case 'downloadAdded':
-        return `${filename}${userCatSuffix}`;
-      case 'downloadFinished':
-        return `${filename}${userCatSuffix}`;
-      case 'categoryChanged':
-        const oldCat = eventData.oldCategory || 'None';
-        const newCat = eventData.newCategory || eventData.category || 'None';
-        const catUserLine = this._buildUserCategoryLine({ ...eventData, category: '' });
-        return `${filename}\n🏷️ ${oldCat} → ${newCat}${catUserLine ? `\n${catUserLine}` : ''}`;
-      case 'fileMoved':
-        const dest = eventData.destPath || 'Unknown';
-        return `${filename}\n📂 ${dest}${userCatSuffix}`;
-      case 'fileDeleted':
-        return `${filename}${userCatSuffix}`;
-      case 'clientUnavailable': {
-        let msg = `${eventData.instanceName || eventData.instanceId} is unreachable`;
-        if (eventData.error) msg += `\nError: ${eventData.error}`;
-        return msg;
-      }
-      case 'clientAvailable': {
-        const dur = eventData.downtimeDuration ? formatDuration(eventData.downtimeDuration) : 'unknown';
-        return `${eventData.instanceName || eventData.instanceId} is back online (was offline for ${dur})`;
+   * @param {Object} options - { label: what to call it in logs, suffix: appended to the body }
+   */
+  async _dispatch(eventType, eventData, { label, suffix = '' }) {
+    const services = this.notificationConfig.services.filter(s => s.enabled && serviceReceivesEvent(s, eventType));
+    if (services.length === 0) return;
+
+    const now = new Date();
+    const quiet = isHeldByQuietHours(this._getQuietHours(), eventType, now);
+    const enabledServices = [];
+    for (const service of services) {
+      if (quiet || (service.digest && service.digest !== 'off')) {
+        this._enqueue(service, { eventType, eventData, suffix, at: now.getTime() });
+      } else {
+        enabledServices.push(service);
       }
-      default:
-        return filename;
+    }
+    if (enabledServices.length < services.length) {
+      this._saveQueue();
+      this.log(`[NotificationManager] Held ${label} for ${services.length - enabledServices.length} service(s)${quiet ? ' (quiet hours)' : ''}`);
+    }
+    if (enabledServices.length === 0) return;
+
+    const results = await Promise.all(enabledServices.map(s =>
+      this._deliver(s, this.buildMessage(s, eventType, eventData, suffix))
+    ));
+    const failed = results.filter(r => !r.success).length;
+    this._recordDelivery(eventType, failed === 0);
+
+    if (failed === 0) {
+      this.log(`[NotificationManager] Notification sent for ${label}`);
+    } else {
+      this.error(`[NotificationManager] Notification for ${label} failed on ${failed} of ${results.length} service(s)`);
     }
   }
 
   /**
-   * Build the combined user + category line for notification body
-   * @param {Object} eventData - Event data with owner, triggeredBy, category
-   * @returns {string} Combined line or empty string
+   * Transport a service is set to use ('native' or 'apprise')
+   * @param {Object} service - Stored service
+   * @returns {string}
    */
-  _buildUserCategoryLine(eventData) {
-    const owner = eventData.owner || '';
-    const triggeredBy = eventData.triggeredBy || '';
-    const category = eventData.category || '';
+  _resolveTransport(service) {
+    if (service.transport === 'apprise' || !hasNativeTransport(service.type)) return 'apprise';
+    return 'native';
+  }
 
-    const parts = [];
+  /**
+   * Single delivery attempt through one transport
+   * @param {Object} service - Stored service
+   * @param {string} transport - 'native' or 'apprise'
+   * @param {Object} message - { title, body, format }
+   * @throws {Error} With `retryable`
+   */
+  async _sendVia(service, transport, message) {
+    if (transport === 'native') {
+      return sendNative(service.type, service.config, message);
+    }
 
-    // Build user part: "👤 owner" or "👤 owner (by triggerer)"
-    if (owner) {
-      let userPart = `👤 ${owner}`;
-      if (triggeredBy && triggeredBy !== owner) {
-        userPart += ` (by ${triggeredBy})`;
+    if (!this.appriseAvailable?.available) {
+      throw deliveryError('Apprise CLI is not installed');
+    }
+    const url = this._buildAppriseUrl(service);
+    if (!url) throw deliveryError('Invalid service configuration');
+
+    let result;
+    try {
+      result = await this._sendApprise(message.title, message.body, [url], message.format);
+    } catch (err) {
+      throw deliveryError(err.message, { retryable: true });
+    }
+    if (!result.success) throw deliveryError(result.message, { retryable: true });
+  }
+
+  /**
+   * Deliver a message to one service and update its status. Retryable
+   * failures are retried with backoff; in auto mode a failed native
+   * delivery is handed to Apprise when it is installed.
+   * @param {Object} service - Stored service
+   * @param {Object} message - { title, body, format }
+   * @param {Object} [options] - { retry: boolean }
+   * @returns {Promise<Object>} { success, transport, message? } (never rejects)
+   */
+  async _deliver(service, message, { retry = true } = {}) {
+    const status = this._statusEntry(service.id);
+    status.lastAttemptAt = Date.now();
+
+    const attempt = (transport) => retry
+      ? withRetry(() => this._sendVia(service, transport, message), {
+          delays: this.retryDelays,
+          onRetry: (err, delay, next) => this.warn(
+            `[NotificationManager] ${service.name} failed (${err.message}), attempt ${next} in ${Math.round(delay / 1000)}s`
+          )
+        })
+      : this._sendVia(service, transport, message);
+
+    let transport = this._resolveTransport(service);
+    try {
+      try {
+        await attempt(transport);
+      } catch (err) {
+        const canFallBack = transport === 'native' && (service.transport || 'auto') === 'auto' && this.appriseAvailable?.available;
+        if (!canFallBack) throw err;
+        this.warn(`[NotificationManager] ${service.name}: native delivery failed (${err.message}), falling back to Apprise`);
+        transport = 'apprise';
+        await attempt(transport);
       }
-      parts.push(userPart);
+    } catch (err) {
+      Object.assign(status, {
+        transport,
+        lastError: err.message,
+        lastErrorAt: Date.now(),
+        consecutiveFailures: status.consecutiveFailures + 1,
+        failed: status.failed + 1
+      });
+      this.warn(`[NotificationManager] ${service.name} (${service.type} via ${transport}) failed: ${err.message}`);
+      return { success: false, transport, message: err.message };
     }
 
-    // Build category part
-    if (category) {
-      parts.push(`🏷️ ${category}`);
+    Object.assign(status, {
+      transport,
+      lastSuccessAt: Date.now(),
+      consecutiveFailures: 0,
+      sent: status.sent + 1
+    });
+    return { success: true, transport };
+  }
+
+  /**
+   * Mutable delivery status for a service, created on first use
+   * @param {string} id - Service ID
+   * @returns {Object}
+   */
+  _statusEntry(id) {
+    if (!this.serviceStatus.has(id)) {
+      this.serviceStatus.set(id, {
+        transport: null,
+        lastAttemptAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        lastErrorAt: null,
+        consecutiveFailures: 0,
+        sent: 0,
+        failed: 0
+      });
     }
+    return this.serviceStatus.get(id);
+  }
 
-    return parts.join(' · ');
+  /**
+   * Delivery status snapshot for a service
+   * @param {string} id - Service ID
+   * @returns {Object} { transport, lastAttemptAt, lastSuccessAt, lastError, lastErrorAt, consecutiveFailures, sent, failed }
+   */
+  _getServiceStatus(id) {
+    return { ...this._statusEntry(id) };
+  }
+
+  /**
+   * Count a delivery attempt for monitoring
+   * @param {string} eventType - Event type
+   * @param {boolean} success - Whether every service delivered it
+   */
+  _recordDelivery(eventType, success) {
+    const bucket = success ? this.deliveryStats.sent : this.deliveryStats.failed;
+    bucket[eventType] = (bucket[eventType] || 0) + 1;
+  }
+
+  /**
+   * Get delivery counters since startup (test notifications are not counted)
+   * @returns {{ sent: Object, failed: Object }} eventType → count
+   */
+  getDeliveryStats() {
+    return { sent: { ...this.deliveryStats.sent }, failed: { ...this.deliveryStats.failed } };
   }
 
   /**
@@ -648,14 +1050,16 @@ class NotificationManager extends BaseModule {
    * @param {string} title - Notification title
    * @param {string} body - Notification body
    * @param {Array<string>} urls - Apprise URLs
+   * @param {string} [format='plain'] - Body format ('plain' | 'markdown' | 'html')
    * @returns {Promise<Object>} Result
    */
-  _sendApprise(title, body, urls) {
+  _sendApprise(title, body, urls, format = 'plain') {
     return new Promise((resolve, reject) => {
       // Use apprise CLI directly with URLs
       const args = [
         '-t', title,
         '-b', body,
+        '-i', format === 'plain' ? 'text' : format,
         ...urls
       ];
 
@@ -686,6 +1090,7 @@ class NotificationManager extends BaseModule {
       });
 
       child.on('close', (code) => {
+        clearTimeout(timer);
         if (code === 0) {
           resolve({ success: true, message: 'Notification sent successfully' });
         } else {
@@ -695,7 +1100,7 @@ class NotificationManager extends BaseModule {
       });
 
       // Set a timeout
-      setTimeout(() => {
+      const timer = setTimeout(() => {
         child.kill('SIGTERM');
         reject(new Error('Notification timed out after 30 seconds'));
       }, 30000);
@@ -704,3 +1109,4 @@ class NotificationManager extends BaseModule {
 }
 
 module.exports = new NotificationManager();
+module.exports.TRANSPORTS = TRANSPORTS;
@@ -0,0 +1,284 @@
+/**
+ * RssDB - SQLite database for RSS feed subscriptions and seen items
+ *
+ * Feeds hold their filter rules as JSON. Every processed feed entry is recorded
+ * per feed (keyed by guid) so it is only acted on once, across restarts.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+
+// Item status values:
+// - added: matched a rule and was sent to a client
+// - duplicate: matched a rule but the hash is already in download history
+// - skipped: no rule matched (re-evaluated when the feed's rules change)
+// - failed: matched but adding failed (retried up to MAX_ATTEMPTS)
+
+const MAX_ATTEMPTS = 3;
+
+class RssDB {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    try {
+      // Ensure database directory exists
+      const dbDir = path.dirname(dbPath);
+      if (!fs.existsSync(dbDir)) {
+        logger.log(`Creating database directory: ${dbDir}`);
+        fs.mkdirSync(dbDir, { recursive: true });
+      }
+
+      // Verify directory is writable
+      fs.accessSync(dbDir, fs.constants.W_OK);
+
+      // Create database
+      this.db = new Database(dbPath, { fileMustExist: false });
+      this.db.pragma('journal_mode = WAL');
+      this.initSchema();
+
+      logger.log(`📡 RSS database initialized: ${dbPath}`);
+    } catch (error) {
+      logger.error(`Failed to initialize RSS database at ${dbPath}:`, error);
+      throw new Error(`RSS DB initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Initialize database schema
+   */
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rss_feeds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        enabled INTEGER DEFAULT 1,
+        interval_minutes INTEGER DEFAULT 15,
+        rules TEXT NOT NULL DEFAULT '[]',
+        last_checked_at TEXT,
+        last_error TEXT,
+        last_item_count INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS rss_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        feed_id INTEGER NOT NULL,
+        guid TEXT NOT NULL,
+        title TEXT,
+        link TEXT,
+        size INTEGER,
+        status TEXT NOT NULL,
+        rule_name TEXT,
+        instance_id TEXT,
+        hash TEXT,
+        error_message TEXT,
+        attempts INTEGER DEFAULT 0,
+        seen_at TEXT NOT NULL,
+        UNIQUE(feed_id, guid)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_rss_items_feed ON rss_items(feed_id, seen_at);
+      CREATE INDEX IF NOT EXISTS idx_rss_items_status ON rss_items(status);
+    `);
+  }
+
+  // ============================================================================
+  // FEEDS
+  // ============================================================================
+
+  /**
+   * Convert a DB row to the API feed shape
+   * @private
+   */
+  _toFeed(row) {
+    if (!row) return null;
+    let rules = [];
+    try {
+      rules = JSON.parse(row.rules || '[]');
+    } catch {
+      // Corrupt rules column — treat as no rules
+    }
+    return {
+      id: row.id,
+      name: row.name,
+      url: row.url,
+      enabled: row.enabled === 1,
+      intervalMinutes: row.interval_minutes,
+      rules,
+      lastCheckedAt: row.last_checked_at,
+      lastError: row.last_error,
+      lastItemCount: row.last_item_count,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Get all feeds
+   * @returns {Array<Object>}
+   */
+  getFeeds() {
+    return this.db.prepare('SELECT * FROM rss_feeds ORDER BY name COLLATE NOCASE').all().map(r => this._toFeed(r));
+  }
+
+  /**
+   * Get a feed by ID
+   * @param {number} id - Feed ID
+   * @returns {Object|null}
+   */
+  getFeed(id) {
+    return this._toFeed(this.db.prepare('SELECT * FROM rss_feeds WHERE id = ?').get(id));
+  }
+
+  /**
+   * Create a feed
+   * @param {Object} feed - { name, url, enabled, intervalMinutes, rules }
+   * @returns {Object} Created feed
+   */
+  addFeed({ name, url, enabled = true, intervalMinutes = 15, rules = [] }) {
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      INSERT INTO rss_feeds (name, url, enabled, interval_minutes, rules, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(name, url, enabled ? 1 : 0, intervalMinutes, JSON.stringify(rules), now, now);
+    return this.getFeed(result.lastInsertRowid);
+  }
+
+  /**
+   * Update a feed. Changing the rules forgets previously skipped items so
+   * they get evaluated again against the new rules.
+   * @param {number} id - Feed ID
+   * @param {Object} updates - Any of { name, url, enabled, intervalMinutes, rules }
+   * @returns {Object|null} Updated feed, or null if not found
+   */
+  updateFeed(id, updates) {
+    const existing = this.getFeed(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...updates };
+    this.db.prepare(`
+      UPDATE rss_feeds
+      SET name = ?, url = ?, enabled = ?, interval_minutes = ?, rules = ?, updated_at = ?
+      WHERE id = ?
+    `).run(merged.name, merged.url, merged.enabled ? 1 : 0, merged.intervalMinutes,
+      JSON.stringify(merged.rules || []), new Date().toISOString(), id);
+
+    if (updates.rules !== undefined) {
+      this.db.prepare("DELETE FROM rss_items WHERE feed_id = ? AND status = 'skipped'").run(id);
+    }
+
+    return this.getFeed(id);
+  }
+
+  /**
+   * Delete a feed and its seen items
+   * @param {number} id - Feed ID
+   * @returns {boolean} True if a feed was deleted
+   */
+  deleteFeed(id) {
+    const remove = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM rss_items WHERE feed_id = ?').run(id);
+      return this.db.prepare('DELETE FROM rss_feeds WHERE id = ?').run(id).changes > 0;
+    });
+    return remove();
+  }
+
+  /**
+   * Record the outcome of a poll
+   * @param {number} id - Feed ID
+   * @param {Object} result - { error, itemCount }
+   */
+  markChecked(id, { error = null, itemCount = 0 } = {}) {
+    this.db.prepare(`
+      UPDATE rss_feeds SET last_checked_at = ?, last_error = ?, last_item_count = ? WHERE id = ?
+    `).run(new Date().toISOString(), error, itemCount, id);
+  }
+
+  // ============================================================================
+  // SEEN ITEMS
+  // ============================================================================
+
+  /**
+   * Check whether an item still needs processing (never seen, or failed with
+   * attempts left)
+   * @param {number} feedId - Feed ID
+   * @param {string} guid - Item guid
+   * @returns {boolean}
+   */
+  needsProcessing(feedId, guid) {
+    const row = this.db.prepare('SELECT status, attempts FROM rss_items WHERE feed_id = ? AND guid = ?').get(feedId, guid);
+    if (!row) return true;
+    return row.status === 'failed' && row.attempts < MAX_ATTEMPTS;
+  }
+
+  /**
+   * Record a processed item (upsert by feed + guid)
+   * @param {number} feedId - Feed ID
+   * @param {Object} item - { guid, title, link, size, status, ruleName, instanceId, hash, error }
+   */
+  recordItem(feedId, { guid, title, link, size, status, ruleName = null, instanceId = null, hash = null, error = null }) {
+    this.db.prepare(`
+      INSERT INTO rss_items (feed_id, guid, title, link, size, status, rule_name, instance_id, hash, error_message, attempts, seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(feed_id, guid) DO UPDATE SET
+        status = excluded.status,
+        rule_name = excluded.rule_name,
+        instance_id = excluded.instance_id,
+        hash = excluded.hash,
+        error_message = excluded.error_message,
+        attempts = rss_items.attempts + excluded.attempts,
+        seen_at = excluded.seen_at
+    `).run(feedId, guid, title, link, size || null, status, ruleName, instanceId,
+      hash ? hash.toLowerCase() : null, error, status === 'failed' ? 1 : 0, new Date().toISOString());
+  }
+
+  /**
+   * Get recently processed items for a feed
+   * @param {number} feedId - Feed ID
+   * @param {number} limit - Max rows
+   * @returns {Array<Object>}
+   */
+  getItems(feedId, limit = 100) {
+    return this.db.prepare(`
+      SELECT guid, title, link, size, status, rule_name AS ruleName, instance_id AS instanceId,
+             hash, error_message AS error, seen_at AS seenAt
+      FROM rss_items WHERE feed_id = ? ORDER BY seen_at DESC, id DESC LIMIT ?
+    `).all(feedId, limit);
+  }
+
+  /**
+   * Remove old seen items. Items still present in a feed after this are
+   * evaluated again, and history deduplication keeps them from being re-added.
+   * @param {number} retentionDays - Keep items seen within this many days
+   * @returns {number} Deleted rows
+   */
+  cleanup(retentionDays = 90) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const result = this.db.prepare('DELETE FROM rss_items WHERE seen_at < ?').run(cutoff);
+    if (result.changes > 0) {
+      logger.log(`📡 Cleaned up ${result.changes} old RSS items`);
+    }
+    return result.changes;
+  }
+
+  /**
+   * Close and reopen the database file, re-running schema migrations.
+   * Used after a backup restore replaced the file on disk.
+   */
+  reopen() {
+    this.db.close();
+    this.db = new Database(this.dbPath, { fileMustExist: false });
+    this.db.pragma('journal_mode = WAL');
+    this.initSchema();
+  }
+
+  close() {
+    this.db.close();
+    logger.log('📡 RSS database closed');
+  }
+}
+
+module.exports = RssDB;
@@ -0,0 +1,344 @@
+/**
+ * RssManager - Watches RSS/Atom feeds and auto-adds matching items
+ *
+ * Each feed is polled on its own interval. New entries are matched against the
+ * feed's filter rules (first match wins), deduplicated against download history,
+ * and added to the rule's target instance through the same WebSocket handlers
+ * the UI uses (handleAddMagnetLinks / handleAddEd2kLinks / handleAddTorrentFile),
+ * so categories, save paths and history tracking behave exactly like a manual add.
+ * Resulting downloadAdded events carry the feed name.
+ */
+
+const BaseModule = require('./BaseModule');
+const RssDB = require('./RssDB');
+const logger = require('./logger');
+const registry = require('./ClientRegistry');
+const categoryManager = require('./CategoryManager');
+const { parseFeed } = require('./rss/feedParser');
+const { findMatchingRule } = require('./rss/feedFilter');
+const { parseMagnetUri, parseTorrentBuffer, parseEd2kLink } = require('./torrentUtils');
+
+// How often to look for feeds that are due (each feed has its own interval)
+const POLL_INTERVAL = 60 * 1000; // 1 minute
+// Network timeout for feed and .torrent downloads
+const FETCH_TIMEOUT = 30 * 1000;
+// Seen items are kept this long
+const ITEM_RETENTION_DAYS = 90;
+const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // daily
+// Shortest allowed feed interval
+const MIN_INTERVAL_MINUTES = 5;
+
+const SOURCE = 'rss';
+
+class RssManager extends BaseModule {
+  constructor() {
+    super();
+    this.db = null;
+    this.handlers = null;
+    this.pollTimeout = null;
+    this.cleanupInterval = null;
+    // Feed IDs currently being checked (prevents overlapping polls)
+    this._checking = new Set();
+  }
+
+  /**
+   * Initialize the database
+   * @param {string} dbPath - Path to SQLite database
+   */
+  initDB(dbPath) {
+    this.db = new RssDB(dbPath);
+
+    this.cleanupInterval = setInterval(() => {
+      this.db?.cleanup(ITEM_RETENTION_DAYS);
+    }, CLEANUP_INTERVAL);
+
+    this.log('📡 RSS manager database initialized');
+  }
+
+  /**
+   * Set the WebSocket handlers used to add downloads
+   * @param {Object} handlers - webSocketHandlers module
+   */
+  setHandlers(handlers) {
+    this.handlers = handlers;
+  }
+
+  // ============================================================================
+  // POLLING
+  // ============================================================================
+
+  // Poll loop
+  async pollLoop() {
+    try {
+      await this.checkDueFeeds();
+    } catch (err) {
+      this.warn('⚠️  Error polling RSS feeds:', logger.errorDetail(err));
+    }
+    this.pollTimeout = setTimeout(() => this.pollLoop(), POLL_INTERVAL);
+  }
+
+  /**
+   * Check every enabled feed whose interval has elapsed
+   * @param {Date} now - Reference time
+   */
+  async checkDueFeeds(now = new Date()) {
+    if (!this.db) return;
+
+    for (const feed of this.db.getFeeds()) {
+      if (!feed.enabled) continue;
+      const intervalMs = Math.max(MIN_INTERVAL_MINUTES, feed.intervalMinutes || 0) * 60 * 1000;
+      const lastChecked = feed.lastCheckedAt ? Date.parse(feed.lastCheckedAt) : 0;
+      if (now.getTime() - lastChecked < intervalMs) continue;
+      await this.checkFeed(feed);
+    }
+  }
+
+  /**
+   * Fetch a feed and process its new items
+   * @param {Object} feed - Feed from RssDB
+   * @returns {Promise<{checked: boolean, error?: string, items?: number, added?: number}>}
+   */
+  async checkFeed(feed) {
+    if (this._checking.has(feed.id)) {
+      return { checked: false, error: 'Feed is already being checked' };
+    }
+    this._checking.add(feed.id);
+
+    try {
+      let parsed;
+      try {
+        const res = await fetch(feed.url, {
+          signal: AbortSignal.timeout(FETCH_TIMEOUT),
+          headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml;q=0.9, */*;q=0.8' }
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+        parsed = parseFeed(await res.text());
+      } catch (err) {
+        const message = err.name === 'TimeoutError' ? 'Request timed out' : err.message;
+        this.db.markChecked(feed.id, { error: message });
+        this.warn(`⚠️  RSS feed "${feed.name}" failed: ${message}`);
+        return { checked: true, error: message };
+      }
+
+      // Feeds list newest first — add oldest first so clients see them in order
+      const items = parsed.items.filter(item => item.guid).reverse();
+      const addedHashes = new Set();
+      let added = 0;
+
+      for (const item of items) {
+        if (!this.db.needsProcessing(feed.id, item.guid)) continue;
+        const status = await this._processItem(feed, item, addedHashes);
+        if (status === 'added') added++;
+      }
+
+      this.db.markChecked(feed.id, { itemCount: parsed.items.length });
+      if (added > 0) {
+        this.log(`📡 RSS feed "${feed.name}": added ${added} new item(s)`);
+      }
+      return { checked: true, items: parsed.items.length, added };
+    } finally {
+      this._checking.delete(feed.id);
+    }
+  }
+
+  /**
+   * Match, deduplicate and add a single item, recording the outcome
+   * @returns {Promise<string>} Recorded status
+   */
+  async _processItem(feed, item, addedHashes) {
+    const base = { guid: item.guid, title: item.title, link: item.link, size: item.size };
+    const rule = item.link ? findMatchingRule(item, feed.rules) : null;
+
+    if (!rule) {
+      this.db.recordItem(feed.id, { ...base, status: 'skipped' });
+      return 'skipped';
+    }
+
+    const outcome = { ruleName: rule.name || 'Unnamed rule', instanceId: rule.instanceId };
+
+    try {
+      let hash = item.infoHash;
+      let torrentBuffer = null;
+      if (item.linkType === 'magnet') {
+        hash = parseMagnetUri(item.link).hash || hash;
+      } else if (item.linkType === 'ed2k') {
+        hash = parseEd2kLink(item.link).hash;
+      } else if (item.linkType === 'torrent') {
+        const download = await this._fetchTorrent(item.link);
+        if (download.magnet) {
+          // Indexer redirected to a magnet link — add that instead
+          item = { ...item, link: download.magnet, linkType: 'magnet' };
+          hash = parseMagnetUri(download.magnet).hash || hash;
+        } else {
+          torrentBuffer = download.buffer;
+          hash = parseTorrentBuffer(torrentBuffer).hash;
+          if (!hash) throw new Error('Link did not return a valid torrent file');
+        }
+      }
+      outcome.hash = hash || null;
+
+      if (hash && (addedHashes.has(hash.toLowerCase()) || this.downloadHistoryDB?.hasHash(hash))) {
+        this.db.recordItem(feed.id, { ...base, ...outcome, status: 'duplicate' });
+        return 'duplicate';
+      }
+
+      await this._addToClient(feed, item, rule, torrentBuffer);
+      if (hash) addedHashes.add(hash.toLowerCase());
+
+      this.db.recordItem(feed.id, { ...base, ...outcome, status: 'added' });
+      this.log(`📡 "${item.title}" matched rule "${outcome.ruleName}" (${feed.name})`);
+      return 'added';
+    } catch (err) {
+      this.db.recordItem(feed.id, { ...base, ...outcome, status: 'failed', error: err.message });
+      this.warn(`⚠️  Failed to add "${item.title}" from RSS feed "${feed.name}": ${err.message}`);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Download a .torrent file linked from a feed. Indexers may answer with a
+   * redirect to a magnet link instead.
+   * @param {string} url - Torrent URL
+   * @returns {Promise<{buffer?: Buffer, magnet?: string}>}
+   */
+  async _fetchTorrent(url) {
+    let res = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    const location = res.headers.get('location');
+    if (res.status >= 300 && res.status < 400 && location) {
+      if (location.startsWith('magnet:')) return { magnet: location };
+      res = await fetch(new URL(location, url), { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status} downloading torrent`);
+    return { buffer: Buffer.from(await res.arrayBuffer()) };
+  }
+
+  // ============================================================================
+  // ADDING
+  // ============================================================================
+
+  /**
+   * Build a handler context for server-initiated adds. Replies sent by the
+   * handler are captured so the outcome can be inspected.
+   * @param {string} feedName - Feed name (tags downloadAdded events)
+   * @returns {{context: Object, replies: Array<Object>}}
+   */
+  _createContext(feedName) {
+    const replies = [];
+    const source = `rss(${feedName})`;
+    return {
+      replies,
+      context: {
+        ws: null,
+        log: (...args) => logger.infoFor(source, ...args),
+        info: (...args) => logger.infoFor(source, ...args),
+        warn: (...args) => logger.warnFor(source, ...args),
+        error: (...args) => logger.errorFor(source, ...args),
+        debug: (...args) => logger.debugFor(source, ...args),
+        send: (data) => replies.push(data),
+        clientInfo: { username: 'unknown', nickname: SOURCE, clientIp: 'local', feedName },
+        broadcast: this.broadcast || (() => {}),
+        categoryManager
+      }
+    };
+  }
+
+  /**
+   * Add an item to the rule's target instance through the WebSocket handlers
+   * @throws {Error} If the instance is unavailable or the client rejected the add
+   */
+  async _addToClient(feed, item, rule, torrentBuffer) {
+    if (!this.handlers) throw new Error('Download handlers not available');
+
+    const manager = registry.get(rule.instanceId);
+    if (!manager) throw new Error(`Client instance "${rule.instanceId}" not found`);
+    if (!manager.isConnected()) throw new Error(`${manager.displayName} is not connected`);
+
+    const label = rule.category || '';
+    const { context, replies } = this._createContext(feed.name);
+    // Feeds do their own duplicate check against the history (see _processItem)
+    const common = { instanceId: manager.instanceId, clientId: manager.clientType, onDuplicate: 'add' };
+
+    if (item.linkType === 'ed2k') {
+      if (manager.clientType !== 'amule') throw new Error(`${manager.displayName} cannot download ED2K links`);
+      await this.handlers.handleAddEd2kLinks({ ...common, links: [item.link], categoryName: label }, context);
+    } else {
+      if (manager.clientType === 'amule') throw new Error(`${manager.displayName} cannot download torrents`);
+      if (item.linkType === 'magnet') {
+        await this.handlers.handleAddMagnetLinks({ ...common, links: [item.link], label }, context);
+      } else {
+        await this.handlers.handleAddTorrentFile({
+          ...common,
+          fileData: torrentBuffer.toString('base64'),
+          fileName: `${item.title || 'rss'}.torrent`,
+          label
+        }, context);
+      }
+    }
+
+    const reply = replies[replies.length - 1];
+    if (!reply) throw new Error('No response from client');
+    if (reply.type === 'error') throw new Error(reply.message);
+    const failed = (reply.results || []).find(r => !r.success);
+    if (failed) throw new Error(failed.error || 'Client rejected the link');
+  }
+
+  // ============================================================================
+  // FEED MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Check a feed now, regardless of its interval
+   * @param {number} id - Feed ID
+   * @returns {Promise<Object|null>} Check result, or null if the feed does not exist
+   */
+  async refreshFeed(id) {
+    const feed = this.db?.getFeed(id);
+    if (!feed) return null;
+    return this.checkFeed(feed);
+  }
+
+  /**
+   * Validate feed settings (rules are validated separately)
+   * @param {Object} feed - { name, url, intervalMinutes }
+   * @param {boolean} partial - Only check the fields present (updates)
+   * @returns {string[]} Errors (empty when valid)
+   */
+  validateFeed(feed, partial = false) {
+    const errors = [];
+    if ((!partial || feed.name !== undefined) && !String(feed.name || '').trim()) {
+      errors.push('Feed name is required');
+    }
+    if ((!partial || feed.url !== undefined) && !/^https?:\/\//i.test(String(feed.url || '').trim())) {
+      errors.push('Feed URL must start with http:// or https://');
+    }
+    const interval = Number(feed.intervalMinutes);
+    if (feed.intervalMinutes !== undefined && (!Number.isInteger(interval) || interval < MIN_INTERVAL_MINUTES)) {
+      errors.push(`Check interval must be a whole number of at least ${MIN_INTERVAL_MINUTES} minutes`);
+    }
+    return errors;
+  }
+
+  // Start the poll loop
+  start() {
+    if (!this.db) return;
+    this.pollLoop();
+  }
+
+  // Stop polling and close the database
+  shutdown() {
+    if (this.pollTimeout) {
+      clearTimeout(this.pollTimeout);
+      this.pollTimeout = null;
+    }
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = new RssManager();
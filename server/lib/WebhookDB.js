@@ -0,0 +1,340 @@
+/**
+ * WebhookDB - SQLite database for webhook endpoints and their delivery queue
+ *
+ * Every event sent to an endpoint is one delivery row. Pending rows are the
+ * retry queue (picked up again after a restart); delivered and failed rows
+ * are the delivery history shown in the UI.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+
+// Delivery status values:
+// - pending: queued, or waiting for its next retry (next_attempt_at)
+// - delivered: endpoint answered 2xx
+// - failed: permanent error, or out of attempts
+
+class WebhookDB {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    try {
+      // Ensure database directory exists
+      const dbDir = path.dirname(dbPath);
+      if (!fs.existsSync(dbDir)) {
+        logger.log(`Creating database directory: ${dbDir}`);
+        fs.mkdirSync(dbDir, { recursive: true });
+      }
+
+      // Verify directory is writable
+      fs.accessSync(dbDir, fs.constants.W_OK);
+
+      // Create database
+      this.db = new Database(dbPath, { fileMustExist: false });
+      this.db.pragma('journal_mode = WAL');
+      this.initSchema();
+
+      logger.log(`🪝 Webhook database initialized: ${dbPath}`);
+    } catch (error) {
+      logger.error(`Failed to initialize webhook database at ${dbPath}:`, error);
+      throw new Error(`Webhook DB initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Initialize database schema
+   */
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL DEFAULT '[]',
+        enabled INTEGER DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        endpoint_id INTEGER NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT,
+        last_attempt_at TEXT,
+        response_status INTEGER,
+        response_body TEXT,
+        error_message TEXT,
+        duration_ms INTEGER,
+        redelivery_of INTEGER,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at);
+    `);
+  }
+
+  // ============================================================================
+  // ENDPOINTS
+  // ============================================================================
+
+  /**
+   * Convert a DB row to the API endpoint shape
+   * @private
+   */
+  _toEndpoint(row) {
+    if (!row) return null;
+    let events = [];
+    try {
+      events = JSON.parse(row.events || '[]');
+    } catch {
+      // Corrupt events column — treat as no subscriptions
+    }
+    return {
+      id: row.id,
+      name: row.name,
+      url: row.url,
+      secret: row.secret,
+      events,
+      enabled: row.enabled === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Get all endpoints
+   * @returns {Array<Object>}
+   */
+  getEndpoints() {
+    return this.db.prepare('SELECT * FROM webhook_endpoints ORDER BY name COLLATE NOCASE').all().map(r => this._toEndpoint(r));
+  }
+
+  /**
+   * Get an endpoint by ID
+   * @param {number} id - Endpoint ID
+   * @returns {Object|null}
+   */
+  getEndpoint(id) {
+    return this._toEndpoint(this.db.prepare('SELECT * FROM webhook_endpoints WHERE id = ?').get(id));
+  }
+
+  /**
+   * Create an endpoint
+   * @param {Object} endpoint - { name, url, secret, events, enabled }
+   * @returns {Object} Created endpoint
+   */
+  addEndpoint({ name, url, secret, events = [], enabled = true }) {
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      INSERT INTO webhook_endpoints (name, url, secret, events, enabled, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(name, url, secret, JSON.stringify(events), enabled ? 1 : 0, now, now);
+    return this.getEndpoint(result.lastInsertRowid);
+  }
+
+  /**
+   * Update an endpoint
+   * @param {number} id - Endpoint ID
+   * @param {Object} updates - Any of { name, url, secret, events, enabled }
+   * @returns {Object|null} Updated endpoint, or null if not found
+   */
+  updateEndpoint(id, updates) {
+    const existing = this.getEndpoint(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...updates };
+    this.db.prepare(`
+      UPDATE webhook_endpoints
+      SET name = ?, url = ?, secret = ?, events = ?, enabled = ?, updated_at = ?
+      WHERE id = ?
+    `).run(merged.name, merged.url, merged.secret, JSON.stringify(merged.events || []),
+      merged.enabled ? 1 : 0, new Date().toISOString(), id);
+
+    return this.getEndpoint(id);
+  }
+
+  /**
+   * Delete an endpoint and its deliveries
+   * @param {number} id - Endpoint ID
+   * @returns {boolean} True if an endpoint was deleted
+   */
+  deleteEndpoint(id) {
+    const remove = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM webhook_deliveries WHERE endpoint_id = ?').run(id);
+      return this.db.prepare('DELETE FROM webhook_endpoints WHERE id = ?').run(id).changes > 0;
+    });
+    return remove();
+  }
+
+  // ============================================================================
+  // DELIVERIES
+  // ============================================================================
+
+  /**
+   * Convert a DB row to the API delivery shape
+   * @private
+   */
+  _toDelivery(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      endpointId: row.endpoint_id,
+      endpointName: row.endpoint_name ?? null,
+      eventType: row.event_type,
+      payload: row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastAttemptAt: row.last_attempt_at,
+      responseStatus: row.response_status,
+      responseBody: row.response_body,
+      error: row.error_message,
+      durationMs: row.duration_ms,
+      redeliveryOf: row.redelivery_of,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+
+  /**
+   * Queue a delivery, due immediately
+   * @param {Object} delivery - { endpointId, eventType, payload (JSON string), redeliveryOf }
+   * @returns {Object} Created delivery
+   */
+  addDelivery({ endpointId, eventType, payload, redeliveryOf = null }) {
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      INSERT INTO webhook_deliveries (endpoint_id, event_type, payload, status, next_attempt_at, redelivery_of, created_at)
+      VALUES (?, ?, ?, 'pending', ?, ?, ?)
+    `).run(endpointId, eventType, payload, now, redeliveryOf, now);
+    return this.getDelivery(result.lastInsertRowid);
+  }
+
+  /**
+   * Get a delivery by ID
+   * @param {number} id - Delivery ID
+   * @returns {Object|null}
+   */
+  getDelivery(id) {
+    return this._toDelivery(this.db.prepare(`
+      SELECT d.*, e.name AS endpoint_name
+      FROM webhook_deliveries d LEFT JOIN webhook_endpoints e ON e.id = d.endpoint_id
+      WHERE d.id = ?
+    `).get(id));
+  }
+
+  /**
+   * Pending deliveries whose next attempt is due, oldest first. Deliveries of
+   * disabled endpoints stay queued until the endpoint is enabled again.
+   * @param {Date} now - Reference time
+   * @param {number} limit - Max rows
+   * @returns {Array<Object>}
+   */
+  getDueDeliveries(now = new Date(), limit = 20) {
+    return this.db.prepare(`
+      SELECT d.*, e.name AS endpoint_name
+      FROM webhook_deliveries d JOIN webhook_endpoints e ON e.id = d.endpoint_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND e.enabled = 1
+      ORDER BY d.next_attempt_at ASC, d.id ASC LIMIT ?
+    `).all(now.toISOString(), limit).map(r => this._toDelivery(r));
+  }
+
+  /**
+   * Record the outcome of one attempt
+   * @param {number} id - Delivery ID
+   * @param {Object} result
+   * @param {string} result.status - New status (pending when a retry is scheduled)
+   * @param {Date|null} result.nextAttemptAt - When to retry (pending only)
+   * @param {number|null} result.responseStatus - HTTP status, null on network errors
+   * @param {string|null} result.responseBody - Start of the response body
+   * @param {string|null} result.error - Error message
+   * @param {number} result.durationMs - Request time
+   */
+  recordAttempt(id, { status, nextAttemptAt = null, responseStatus = null, responseBody = null, error = null, durationMs = 0 }) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = attempts + 1, next_attempt_at = ?, last_attempt_at = ?,
+          response_status = ?, response_body = ?, error_message = ?, duration_ms = ?,
+          delivered_at = ?
+      WHERE id = ?
+    `).run(status, nextAttemptAt ? nextAttemptAt.toISOString() : null, now, responseStatus, responseBody,
+      error, durationMs, status === 'delivered' ? now : null, id);
+  }
+
+  /**
+   * Delivery history, newest first
+   * @param {Object} [filter]
+   * @param {number} [filter.endpointId] - Only this endpoint
+   * @param {string} [filter.status] - Only this status
+   * @param {number} [filter.limit=50] - Max rows
+   * @returns {Array<Object>}
+   */
+  getDeliveries({ endpointId, status, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    if (endpointId) {
+      where.push('d.endpoint_id = ?');
+      params.push(endpointId);
+    }
+    if (status) {
+      where.push('d.status = ?');
+      params.push(status);
+    }
+    return this.db.prepare(`
+      SELECT d.*, e.name AS endpoint_name
+      FROM webhook_deliveries d LEFT JOIN webhook_endpoints e ON e.id = d.endpoint_id
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY d.created_at DESC, d.id DESC LIMIT ?
+    `).all(...params, limit).map(r => this._toDelivery(r));
+  }
+
+  /**
+   * Count deliveries grouped by status
+   * @returns {Object} status → count
+   */
+  countByStatus() {
+    const rows = this.db.prepare('SELECT status, COUNT(*) as count FROM webhook_deliveries GROUP BY status').all();
+    return Object.fromEntries(rows.map(r => [r.status, r.count]));
+  }
+
+  /**
+   * Remove finished deliveries (pending ones are kept regardless of age)
+   * @param {number} retentionDays - Keep deliveries created within this many days
+   * @returns {number} Deleted rows
+   */
+  cleanup(retentionDays = 30) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const result = this.db.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?").run(cutoff);
+    if (result.changes > 0) {
+      logger.log(`🪝 Cleaned up ${result.changes} old webhook deliveries`);
+    }
+    return result.changes;
+  }
+
+  /**
+   * Close and reopen the database file, re-running schema migrations.
+   * Used after a backup restore replaced the file on disk.
+   */
+  reopen() {
+    this.db.close();
+    this.db = new Database(this.dbPath, { fileMustExist: false });
+    this.db.pragma('journal_mode = WAL');
+    this.initSchema();
+  }
+
+  close() {
+    this.db.close();
+    logger.log('🪝 Webhook database closed');
+  }
+}
+
+module.exports = WebhookDB;
@@ -0,0 +1,345 @@
+/**
+ * WebhookManager - Delivers events to HTTP webhook endpoints
+ *
+ * Endpoints subscribe to a subset of events. Each event becomes a delivery row
+ * in WebhookDB, and a worker POSTs it with the same JSON payload event scripts
+ * receive on stdin. Requests are signed with HMAC-SHA256 over
+ * "<timestamp>.<body>" using the endpoint's secret:
+ *
+ *   X-aMuTorrent-Event:     event type
+ *   X-aMuTorrent-Delivery:  delivery ID (stable across retries, for deduplication)
+ *   X-aMuTorrent-Timestamp: unix seconds of this attempt
+ *   X-aMuTorrent-Signature: sha256=<hex>
+ *
+ * Network errors, timeouts and HTTP 408/429/5xx are retried with exponential
+ * backoff; other responses outside 2xx fail the delivery. The queue lives in
+ * SQLite, so pending retries survive restarts (delivery is at-least-once).
+ */
+
+const crypto = require('crypto');
+const BaseModule = require('./BaseModule');
+const WebhookDB = require('./WebhookDB');
+const logger = require('./logger');
+const versionManager = require('./versionManager');
+
+const EVENT_TYPES = [
+  'downloadAdded',
+  'downloadFinished',
+  'categoryChanged',
+  'fileMoved',
+  'fileDeleted',
+  'seedingGoalReached',
+  'recheckFinished',
+  'clientUnavailable',
+  'clientAvailable',
+  'downloadStalled',
+  'downloadErrored',
+  'moveFailed',
+  'diskSpaceLow',
+  'searchCompleted'
+];
+
+// Fallback poll for due retries (new events are sent right away)
+const POLL_INTERVAL = 15 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+// Deliveries handled per worker pass
+const BATCH_SIZE = 20;
+// Attempts per delivery: 30s, 1m, 2m, ... between them, capped at 6h (~4h in total)
+const MAX_ATTEMPTS = 10;
+const BACKOFF_BASE = 30 * 1000;
+const BACKOFF_MAX = 6 * 60 * 60 * 1000;
+// Stored start of the endpoint's response
+const RESPONSE_BODY_LIMIT = 1000;
+// Delivered and failed deliveries are kept this long
+const DELIVERY_RETENTION_DAYS = 30;
+const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // daily
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Endpoint secret
+ * @param {number|string} timestamp - Unix seconds sent in X-aMuTorrent-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (≥ 1)
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** Math.max(0, attempts - 1));
+}
+
+class WebhookManager extends BaseModule {
+  constructor() {
+    super();
+    this.db = null;
+    this.pollTimeout = null;
+    this.cleanupInterval = null;
+    this._processing = false;
+    this._rerun = false;
+  }
+
+  /**
+   * Initialize the database
+   * @param {string} dbPath - Path to SQLite database
+   */
+  initDB(dbPath) {
+    this.db = new WebhookDB(dbPath);
+
+    this.cleanupInterval = setInterval(() => {
+      this.db?.cleanup(DELIVERY_RETENTION_DAYS);
+    }, CLEANUP_INTERVAL);
+
+    this.log('🪝 Webhook manager database initialized');
+  }
+
+  // ============================================================================
+  // ENDPOINTS
+  // ============================================================================
+
+  /**
+   * Generate a random signing secret
+   * @returns {string}
+   */
+  generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Validate endpoint settings
+   * @param {Object} endpoint - { name, url, secret, events }
+   * @param {boolean} partial - Only check the fields present (updates)
+   * @returns {string[]} Errors (empty when valid)
+   */
+  validateEndpoint(endpoint, partial = false) {
+    const errors = [];
+    if ((!partial || endpoint.name !== undefined) && !String(endpoint.name || '').trim()) {
+      errors.push('Endpoint name is required');
+    }
+    if ((!partial || endpoint.url !== undefined) && !/^https?:\/\/[^/\s]+/i.test(String(endpoint.url || '').trim())) {
+      errors.push('Endpoint URL must start with http:// or https://');
+    }
+    if (endpoint.secret !== undefined && String(endpoint.secret).length < 16) {
+      errors.push('Secret must be at least 16 characters');
+    }
+    if (!partial || endpoint.events !== undefined) {
+      if (!Array.isArray(endpoint.events) || endpoint.events.length === 0) {
+        errors.push('Select at least one event');
+      } else {
+        const unknown = endpoint.events.filter(e => !EVENT_TYPES.includes(e));
+        if (unknown.length > 0) errors.push(`Unknown event type: ${unknown.join(', ')}`);
+      }
+    }
+    return errors;
+  }
+
+  // ============================================================================
+  // QUEUE
+  // ============================================================================
+
+  /**
+   * Check whether any enabled endpoint subscribes to an event
+   * @param {string} eventType - Event type
+   * @returns {boolean}
+   */
+  hasSubscribers(eventType) {
+    return !!this.db && this.db.getEndpoints().some(e => e.enabled && e.events.includes(eventType));
+  }
+
+  /**
+   * Queue an event for every enabled endpoint subscribed to it
+   * @param {string} eventType - Event type
+   * @param {Object} eventData - Event data (sent as the JSON body)
+   * @returns {number} Deliveries queued
+   */
+  enqueue(eventType, eventData) {
+    if (!this.db) return 0;
+
+    const endpoints = this.db.getEndpoints().filter(e => e.enabled && e.events.includes(eventType));
+    if (endpoints.length === 0) return 0;
+
+    const payload = JSON.stringify(eventData);
+    for (const endpoint of endpoints) {
+      this.db.addDelivery({ endpointId: endpoint.id, eventType, payload });
+    }
+    this._kick();
+    return endpoints.length;
+  }
+
+  /**
+   * Send a past delivery again as a new delivery with the same payload
+   * @param {number} id - Delivery ID
+   * @returns {Object|null} The new delivery, or null if not found
+   */
+  redeliver(id) {
+    const original = this.db?.getDelivery(id);
+    if (!original || !this.db.getEndpoint(original.endpointId)) return null;
+
+    const delivery = this.db.addDelivery({
+      endpointId: original.endpointId,
+      eventType: original.eventType,
+      payload: original.payload,
+      redeliveryOf: original.id
+    });
+    this.log(`🪝 Redelivering webhook #${original.id} as #${delivery.id}`);
+    this._kick();
+    return delivery;
+  }
+
+  // Process the queue soon without waiting for the next poll
+  _kick() {
+    setImmediate(() => {
+      this.processDue().catch(err => {
+        this.warn('⚠️  Error processing webhook deliveries:', logger.errorDetail(err));
+      });
+    });
+  }
+
+  // ============================================================================
+  // DELIVERY
+  // ============================================================================
+
+  /**
+   * Attempt every due delivery (batches run in parallel)
+   * @param {Date} [now] - Reference time
+   */
+  async processDue(now) {
+    if (!this.db) return;
+    if (this._processing) {
+      this._rerun = true;
+      return;
+    }
+    this._processing = true;
+
+    try {
+      do {
+        this._rerun = false;
+        let batch;
+        do {
+          batch = this.db.getDueDeliveries(now || new Date(), BATCH_SIZE);
+          await Promise.all(batch.map(d => this._attempt(d)));
+        } while (batch.length === BATCH_SIZE);
+      } while (this._rerun);
+    } finally {
+      this._processing = false;
+    }
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   * @param {Object} delivery - Delivery from WebhookDB
+   */
+  async _attempt(delivery) {
+    const endpoint = this.db.getEndpoint(delivery.endpointId);
+    if (!endpoint) return;
+
+    const attempts = delivery.attempts + 1;
+    const started = Date.now();
+    let result;
+    try {
+      result = await this._send(endpoint, delivery);
+    } catch (err) {
+      result = { error: err.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT / 1000}s` : err.message, retryable: true };
+    }
+    const durationMs = Date.now() - started;
+
+    if (result.ok) {
+      this.db.recordAttempt(delivery.id, { status: 'delivered', responseStatus: result.status, responseBody: result.body, durationMs });
+      return;
+    }
+
+    const error = result.error || `HTTP ${result.status}`;
+    if (result.retryable && attempts < MAX_ATTEMPTS) {
+      const nextAttemptAt = new Date(Date.now() + backoffDelay(attempts));
+      this.db.recordAttempt(delivery.id, {
+        status: 'pending', nextAttemptAt, responseStatus: result.status ?? null, responseBody: result.body ?? null, error, durationMs
+      });
+      this.warn(`⚠️  Webhook "${endpoint.name}" ${delivery.eventType} #${delivery.id} failed (${error}), retry ${attempts}/${MAX_ATTEMPTS - 1} at ${nextAttemptAt.toISOString()}`);
+    } else {
+      this.db.recordAttempt(delivery.id, {
+        status: 'failed', responseStatus: result.status ?? null, responseBody: result.body ?? null, error, durationMs
+      });
+      this.warn(`⚠️  Webhook "${endpoint.name}" ${delivery.eventType} #${delivery.id} failed permanently after ${attempts} attempt(s): ${error}`);
+    }
+  }
+
+  /**
+   * POST a delivery's payload to its endpoint
+   * @param {Object} endpoint - Endpoint from WebhookDB
+   * @param {Object} delivery - Delivery from WebhookDB
+   * @returns {Promise<{ok: boolean, status: number, body: string, retryable: boolean}>}
+   * @throws {Error} On network errors and timeouts
+   */
+  async _send(endpoint, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const res = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `aMuTorrent-Webhook/${versionManager.getVersion()}`,
+        'X-aMuTorrent-Event': delivery.eventType,
+        'X-aMuTorrent-Delivery': String(delivery.id),
+        'X-aMuTorrent-Timestamp': String(timestamp),
+        'X-aMuTorrent-Signature': signPayload(endpoint.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      // Redirects would re-send (or drop) the signed body somewhere else
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    const body = (await res.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT);
+    return {
+      ok: res.status >= 200 && res.status < 300,
+      status: res.status,
+      body,
+      retryable: res.status === 408 || res.status === 429 || res.status >= 500
+    };
+  }
+
+  // ============================================================================
+  // LIFECYCLE
+  // ============================================================================
+
+  // Poll loop for retries that became due
+  async pollLoop() {
+    try {
+      await this.processDue();
+    } catch (err) {
+      this.warn('⚠️  Error processing webhook deliveries:', logger.errorDetail(err));
+    }
+    this.pollTimeout = setTimeout(() => this.pollLoop(), POLL_INTERVAL);
+  }
+
+  // Start the worker (sends anything left in the queue from before a restart)
+  start() {
+    if (!this.db) return;
+    this.pollLoop();
+  }
+
+  // Stop the worker and close the database
+  shutdown() {
+    if (this.pollTimeout) {
+      clearTimeout(this.pollTimeout);
+      this.pollTimeout = null;
+    }
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = new WebhookManager();
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+module.exports.signPayload = signPayload;
+module.exports.backoffDelay = backoffDelay;
@@ -0,0 +1,264 @@
+/**
+ * Minimal streaming tar (ustar) writer and reader
+ *
+ * Only what backups need: flat regular files, no directories, links or
+ * extended headers. Files are streamed so large databases never have to be
+ * held in memory.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+
+const BLOCK_SIZE = 512;
+const NAME_MAX = 100;
+const SIZE_MAX = 0o77777777777; // 11 octal digits (~8 GiB)
+const SAFE_NAME_PATTERN = /^[a-zA-Z0-9._-]+(\/[a-zA-Z0-9._-]+)*$/;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Check a member name is a plain relative path (no traversal, no absolute paths)
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isSafeName(name) {
+  return typeof name === 'string'
+    && name.length > 0
+    && name.length < NAME_MAX
+    && SAFE_NAME_PATTERN.test(name)
+    && !name.split('/').some(part => part === '.' || part === '..');
+}
+
+function writeOctal(buf, value, offset, length) {
+  buf.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+function readString(buf, offset, length) {
+  const end = buf.indexOf(0, offset);
+  return buf.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function readOctal(buf, offset, length) {
+  const str = readString(buf, offset, length).trim();
+  return str ? parseInt(str, 8) : 0;
+}
+
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // The checksum field itself counts as spaces
+    sum += (i >= 148 && i < 156) ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+function paddingFor(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+/**
+ * Build a ustar header block for a regular file
+ * @param {string} name - Member name
+ * @param {number} size - File size in bytes
+ * @param {number} mtime - Modification time (ms)
+ * @returns {Buffer}
+ */
+function createHeader(name, size, mtime) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, NAME_MAX, 'utf8');
+  writeOctal(header, 0o644, 100, 8);             // mode
+  writeOctal(header, 0, 108, 8);                 // uid
+  writeOctal(header, 0, 116, 8);                 // gid
+  writeOctal(header, size, 124, 12);             // size
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.write('0', 156, 1, 'ascii');            // typeflag: regular file
+  header.write('ustar\0', 257, 6, 'ascii');      // magic
+  header.write('00', 263, 2, 'ascii');           // version
+  const sum = checksum(header);
+  header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
+
+async function writeChunk(output, chunk) {
+  if (!output.write(chunk)) await once(output, 'drain');
+}
+
+// ============================================================================
+// WRITER
+// ============================================================================
+
+/**
+ * Write entries as a tar stream. Does not end the output stream.
+ * @param {Array<{name: string, filePath?: string, data?: Buffer}>} entries
+ * @param {Writable} output
+ */
+async function writeTar(entries, output) {
+  for (const entry of entries) {
+    if (!isSafeName(entry.name)) {
+      throw new Error(`Invalid archive member name: ${entry.name}`);
+    }
+
+    let size;
+    let mtime = Date.now();
+    if (entry.filePath) {
+      const stat = await fs.promises.stat(entry.filePath);
+      size = stat.size;
+      mtime = stat.mtimeMs;
+    } else {
+      size = entry.data.length;
+    }
+    if (size > SIZE_MAX) {
+      throw new Error(`Archive member too large: ${entry.name}`);
+    }
+
+    await writeChunk(output, createHeader(entry.name, size, mtime));
+
+    if (entry.filePath) {
+      let written = 0;
+      for await (const chunk of fs.createReadStream(entry.filePath)) {
+        // Never write past the size recorded in the header, even if the file grew
+        const part = written + chunk.length > size ? chunk.subarray(0, size - written) : chunk;
+        written += part.length;
+        await writeChunk(output, part);
+        if (written >= size) break;
+      }
+      if (written < size) {
+        throw new Error(`File changed while archiving: ${entry.name}`);
+      }
+    } else {
+      await writeChunk(output, entry.data);
+    }
+
+    const padding = paddingFor(size);
+    if (padding > 0) await writeChunk(output, Buffer.alloc(padding));
+  }
+
+  // End-of-archive marker: two zero blocks
+  await writeChunk(output, Buffer.alloc(BLOCK_SIZE * 2));
+}
+
+// ============================================================================
+// READER
+// ============================================================================
+
+/**
+ * Extract a tar stream into a directory.
+ * @param {Readable} input - Uncompressed tar stream
+ * @param {string} destDir - Existing directory to extract into
+ * @param {Object} [options]
+ * @param {Set<string>} [options.allowedNames] - Reject members not in this set
+ * @param {number} [options.maxBytes] - Reject archives whose members exceed this total size
+ * @returns {Promise<Array<{name: string, size: number}>>} Extracted members
+ */
+async function extractTar(input, destDir, { allowedNames = null, maxBytes = Infinity } = {}) {
+  const extracted = [];
+  const seen = new Set();
+  let buffer = Buffer.alloc(0);
+  let current = null;   // { name, remaining, padding, out }
+  let totalBytes = 0;
+  let finished = false;
+
+  const closeCurrent = async () => {
+    current.out.end();
+    await once(current.out, 'finish');
+    extracted.push({ name: current.name, size: current.size });
+    current = null;
+  };
+
+  // Discard a partially written member (waits for the file handle to close)
+  const abortCurrent = async () => {
+    if (!current) return;
+    const { out } = current;
+    current = null;
+    out.on('error', () => {});
+    if (!out.closed) {
+      const closed = once(out, 'close');
+      out.destroy();
+      await closed;
+    }
+  };
+
+  try {
+    for await (const chunk of input) {
+      if (finished) continue;
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+      while (!finished) {
+        if (current) {
+          // File body
+          if (current.remaining > 0) {
+            if (buffer.length === 0) break;
+            const take = Math.min(current.remaining, buffer.length);
+            await writeChunk(current.out, buffer.subarray(0, take));
+            buffer = buffer.subarray(take);
+            current.remaining -= take;
+            continue;
+          }
+          // Block padding after the body
+          if (buffer.length < current.padding) break;
+          buffer = buffer.subarray(current.padding);
+          await closeCurrent();
+          continue;
+        }
+
+        // Header
+        if (buffer.length < BLOCK_SIZE) break;
+        const header = buffer.subarray(0, BLOCK_SIZE);
+        buffer = buffer.subarray(BLOCK_SIZE);
+
+        if (header.every(b => b === 0)) {
+          finished = true;
+          break;
+        }
+        if (readOctal(header, 148, 8) !== checksum(header)) {
+          throw new Error('Archive is corrupt (header checksum mismatch)');
+        }
+
+        const name = readString(header, 0, NAME_MAX);
+        const type = String.fromCharCode(header[156]);
+        const size = readOctal(header, 124, 12);
+
+        if (type !== '0' && type !== '\0') {
+          throw new Error(`Unsupported archive member type for ${name}`);
+        }
+        if (!isSafeName(name) || (allowedNames && !allowedNames.has(name))) {
+          throw new Error(`Unexpected archive member: ${name}`);
+        }
+        if (seen.has(name)) {
+          throw new Error(`Duplicate archive member: ${name}`);
+        }
+        seen.add(name);
+
+        totalBytes += size;
+        if (totalBytes > maxBytes) {
+          throw new Error('Archive exceeds the maximum allowed size');
+        }
+
+        const target = path.join(destDir, name);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        current = { name, size, remaining: size, padding: paddingFor(size), out: fs.createWriteStream(target) };
+      }
+    }
+  } catch (err) {
+    await abortCurrent();
+    throw err;
+  }
+
+  if (current || !finished) {
+    await abortCurrent();
+    throw new Error('Archive is truncated');
+  }
+
+  return extracted;
+}
+
+module.exports = {
+  writeTar,
+  extractTar,
+  isSafeName
+};
@@ -0,0 +1,88 @@
+/**
+ * Bandwidth Schedule Utilities
+ * Pure rule matching for the time-of-day speed limit scheduler
+ *
+ * Rule shape (stored in config.bandwidthSchedule.rules):
+ *   {
+ *     id: 'r1', name: 'Work hours', enabled: true,
+ *     days: [1, 2, 3, 4, 5],        // 0 = Sunday ... 6 = Saturday
+ *     start: '09:00', end: '18:00', // local time; end < start wraps past midnight
+ *     instanceIds: [],              // empty = every client instance
+ *     downloadLimit: 0,             // bytes/s, 0 = unlimited
+ *     uploadLimit: 0
+ *   }
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse a 'HH:MM' string into minutes since midnight
+ * @param {string} value - Time of day ('00:00' - '23:59', '24:00' allowed as end of day)
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a rule covers the given moment.
+ * Overnight rules (end before start) belong to the day they start on, so
+ * 'Fri 22:00-06:00' is active Friday night and early Saturday morning.
+ * Equal start and end times cover the whole day.
+ * @param {Object} rule - Schedule rule
+ * @param {Date} date - Moment to check (local time)
+ * @returns {boolean}
+ */
+function isRuleActive(rule, date) {
+  if (!rule || rule.enabled === false || !Array.isArray(rule.days) || rule.days.length === 0) return false;
+
+  const start = parseTimeOfDay(rule.start);
+  const end = parseTimeOfDay(rule.end);
+  if (start === null || end === null) return false;
+
+  const day = date.getDay();
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const hasDay = (d) => rule.days.includes(d);
+
+  if (start === end || (start === 0 && end === MINUTES_PER_DAY)) return hasDay(day);
+  if (start < end) return hasDay(day) && minute >= start && minute < end;
+
+  // Overnight: evening part of today, or morning part of a rule that started yesterday
+  const previousDay = (day + 6) % 7;
+  return (hasDay(day) && minute >= start) || (hasDay(previousDay) && minute < end);
+}
+
+/**
+ * Check whether a rule targets a client instance
+ * @param {Object} rule - Schedule rule
+ * @param {string} instanceId - Client instance ID
+ * @returns {boolean}
+ */
+function ruleAppliesTo(rule, instanceId) {
+  return !Array.isArray(rule.instanceIds) || rule.instanceIds.length === 0 || rule.instanceIds.includes(instanceId);
+}
+
+/**
+ * Find the rule in effect for an instance. Rules are evaluated in list order
+ * and the first match wins, so more specific rules should be placed first.
+ * @param {Array<Object>} rules - Schedule rules
+ * @param {string} instanceId - Client instance ID
+ * @param {Date} date - Moment to check (local time)
+ * @returns {Object|null} Matching rule, or null when none is active
+ */
+function findActiveRule(rules, instanceId, date) {
+  if (!Array.isArray(rules)) return null;
+  return rules.find(rule => ruleAppliesTo(rule, instanceId) && isRuleActive(rule, date)) || null;
+}
+
+module.exports = {
+  parseTimeOfDay,
+  isRuleActive,
+  ruleAppliesTo,
+  findActiveRule
+};
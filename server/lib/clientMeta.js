@@ -31,6 +31,7 @@ const CLIENT_TYPES = {
     defaults: {
       downloadPriority: null,
       uploadPriority: null,
+      a4afAuto: null,
       uploadSession: null,
       requestsAccepted: null,
       requestsAcceptedTotal: null,
@@ -61,6 +62,15 @@ const CLIENT_TYPES = {
       logs: true,                  // has fetchable log output
       renameFile: true,            // can rename downloads and shared files
       fileRatingComment: true,     // can set a per-file rating + comment (shared files only in aMule)
+      filePriority: false,         // ed2k items are single files
+      trackerEdit: false,          // ed2k has no trackers
+      recheck: false,              // no user-triggered hash check
+      exportTorrent: false,        // no .torrent metainfo
+      queue: false,                // ed2k downloads use priorities, not a queue
+      forceStart: false,
+      ed2kPriority: true,          // set download/upload priority (low/normal/high/auto)
+      a4af: true,                  // swap Asked-For-Another-File sources between downloads
+      itemSpeedLimits: false,      // aMule has no per-file speed limits (core or EC)
       customSavePath: false        // ed2k uses category paths only
     }
   },
@@ -90,6 +100,12 @@ const CLIENT_TYPES = {
       trackers: [],
       trackersDetailed: [],
       message: null,
+      checkProgress: null,         // hash check progress 0–100 while checking, null otherwise
+      queuePosition: null,         // 1-based position in the client's queue, null when unqueued
+      queued: false,               // waiting for a free active slot
+      forceStart: false,           // started regardless of queue limits
+      downloadLimit: null,         // per-item limits in bytes/s (0 = unlimited, null = not supported)
+      uploadLimit: null,
       magnetLink: null,
       directory: null,
       multiFile: false,
@@ -116,6 +132,15 @@ const CLIENT_TYPES = {
       tracksPid: true,             // reports PID for restart detection
       logs: false,                 // no fetchable log API
       fileRatingComment: false,
+      filePriority: true,          // per-file skip/priority inside multi-file torrents
+      trackerEdit: true,           // add/edit/remove trackers, force reannounce
+      recheck: true,               // force a full hash recheck of downloaded data
+      exportTorrent: true,         // read back .torrent metainfo from the torrentStateDir setting
+      queue: false,                // no download queue
+      forceStart: false,           // no force-start
+      ed2kPriority: false,         // no ed2k download/upload priorities
+      a4af: false,                 // no A4AF sources
+      itemSpeedLimits: false,      // only shared throttle groups, not settable on active torrents
       customSavePath: true         // can set download directory per torrent
     },
     seedingStatuses: ['seeding'],
@@ -148,6 +173,7 @@ const CLIENT_TYPES = {
       'checkingDL':        'checking',
       'checkingUP':        'checking',
       'checkingResumeData': 'checking',
+      'queuedForChecking': 'hashing-queued',
       'moving':            'moving',
       'error':             'error',
       'missingFiles':      'error',
@@ -162,6 +188,12 @@ const CLIENT_TYPES = {
       trackers: [],
       trackersDetailed: [],
       message: null,
+      checkProgress: null,         // hash check progress 0–100 while checking, null otherwise
+      queuePosition: null,         // 1-based position in the client's queue, null when unqueued
+      queued: false,               // waiting for a free active slot
+      forceStart: false,           // started regardless of queue limits
+      downloadLimit: null,         // per-item limits in bytes/s (0 = unlimited, null = not supported)
+      uploadLimit: null,
       magnetLink: null,
       directory: null,
       multiFile: false,
@@ -187,6 +219,15 @@ const CLIENT_TYPES = {
       categories: true,            // supports named categories
       logs: true,                  // has fetchable log output
       fileRatingComment: false,
+      filePriority: true,          // per-file skip/priority inside multi-file torrents
+      trackerEdit: true,           // add/edit/remove trackers, force reannounce
+      recheck: true,               // force a full hash recheck of downloaded data
+      exportTorrent: true,         // read back .torrent metainfo (export, transfer between instances)
+      queue: true,                 // reorder the download queue, max active limits
+      forceStart: true,            // start bypassing queue limits
+      ed2kPriority: false,         // no ed2k download/upload priorities
+      a4af: false,                 // no A4AF sources
+      itemSpeedLimits: true,       // per-torrent download/upload caps
       customSavePath: true         // can set download directory per torrent
     },
     seedingStatuses: ['uploading', 'stalledUP', 'queuedUP', 'forcedUP']
@@ -215,6 +256,12 @@ const CLIENT_TYPES = {
       trackers: [],
       trackersDetailed: [],
       message: null,
+      checkProgress: null,         // hash check progress 0–100 while checking, null otherwise
+      queuePosition: null,         // 1-based position in the client's queue, null when unqueued
+      queued: false,               // waiting for a free active slot
+      forceStart: false,           // started regardless of queue limits
+      downloadLimit: null,         // per-item limits in bytes/s (0 = unlimited, null = not supported)
+      uploadLimit: null,
       magnetLink: null,
       directory: null,
       multiFile: false,
@@ -240,6 +287,15 @@ const CLIENT_TYPES = {
       categories: false,           // uses labels via Label plugin, not named categories
       logs: false,                 // no fetchable log API
       fileRatingComment: false,
+      filePriority: true,          // per-file skip/priority inside multi-file torrents
+      trackerEdit: true,           // add/edit/remove trackers, force reannounce
+      recheck: true,               // force a full hash recheck of downloaded data
+      exportTorrent: true,         // read back .torrent metainfo from the torrentStateDir setting
+      queue: true,                 // reorder the download queue, max active limits
+      forceStart: false,           // no force-start
+      ed2kPriority: false,         // no ed2k download/upload priorities
+      a4af: false,                 // no A4AF sources
+      itemSpeedLimits: true,       // per-torrent download/upload caps
       customSavePath: true,        // can set download directory per torrent
       tracksCounterReset: true     // session-only byte counters; detect resets by value-decrease (no stable PID exposed via WebUI JSON-RPC)
     },
@@ -269,6 +325,12 @@ const CLIENT_TYPES = {
       trackers: [],
       trackersDetailed: [],
       message: null,
+      checkProgress: null,         // hash check progress 0–100 while checking, null otherwise
+      queuePosition: null,         // 1-based position in the client's queue, null when unqueued
+      queued: false,               // waiting for a free active slot
+      forceStart: false,           // started regardless of queue limits
+      downloadLimit: null,         // per-item limits in bytes/s (0 = unlimited, null = not supported)
+      uploadLimit: null,
       magnetLink: null,
       directory: null,
       multiFile: false,
@@ -294,6 +356,15 @@ const CLIENT_TYPES = {
       categories: false,             // uses labels, not named categories
       logs: false,                   // no fetchable log API
       fileRatingComment: false,
+      filePriority: true,          // per-file skip/priority inside multi-file torrents
+      trackerEdit: true,           // add/edit/remove trackers, force reannounce
+      recheck: true,               // force a full hash recheck of downloaded data
+      exportTorrent: true,         // read back .torrent metainfo from the torrentStateDir setting
+      queue: true,                 // reorder the download queue, max active limits
+      forceStart: true,            // start bypassing queue limits
+      ed2kPriority: false,         // no ed2k download/upload priorities
+      a4af: false,                 // no A4AF sources
+      itemSpeedLimits: true,       // per-torrent download/upload caps
       customSavePath: true           // can set download directory per torrent
     },
     seedingStatuses: ['Seeding', 'Seed Pending']
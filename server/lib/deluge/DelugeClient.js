@@ -233,7 +233,8 @@ class DelugeClient {
       'tracker_host', 'trackers', 'label', 'message',
       'is_finished', 'paused', 'move_on_completed', 'move_on_completed_path',
       'num_files', 'comment', 'active_time', 'seeding_time',
-      'all_time_download', 'total_payload_download', 'total_payload_upload'
+      'all_time_download', 'total_payload_download', 'total_payload_upload', 'queue',
+      'max_download_speed', 'max_upload_speed'
     ];
   }
 
@@ -317,6 +318,30 @@ class DelugeClient {
     return await this._call('core.get_free_space', [path]);
   }
 
+  // ============================================================================
+  // CORE CONFIG
+  // ============================================================================
+
+  /**
+   * Get several daemon config values at once.
+   * @param {Array<string>} keys - Config keys (e.g. 'max_download_speed')
+   * @returns {Promise<Object>} Map of key → value
+   */
+  async getConfigValues(keys) {
+    await this.ensureLoggedIn();
+    return await this._call('core.get_config_values', [keys]);
+  }
+
+  /**
+   * Update daemon config values.
+   * @param {Object} values - Map of key → value
+   * @returns {Promise<void>}
+   */
+  async setConfig(values) {
+    await this.ensureLoggedIn();
+    await this._call('core.set_config', [values]);
+  }
+
   // ============================================================================
   // TORRENT CONTROL
   // ============================================================================
@@ -365,6 +390,28 @@ class DelugeClient {
     await this._call('core.force_recheck', [hashList]);
   }
 
+  /**
+   * Force a tracker reannounce for one or more torrents.
+   * @param {string|Array<string>} ids - Torrent hash(es)
+   * @returns {Promise<void>}
+   */
+  async forceReannounce(ids) {
+    await this.ensureLoggedIn();
+    const hashList = Array.isArray(ids) ? ids : [ids];
+    await this._call('core.force_reannounce', [hashList]);
+  }
+
+  /**
+   * Replace the tracker list of a torrent.
+   * @param {string} hash - Torrent hash
+   * @param {Array<{url: string, tier: number}>} trackers - Complete tracker list
+   * @returns {Promise<void>}
+   */
+  async setTorrentTrackers(hash, trackers) {
+    await this.ensureLoggedIn();
+    await this._call('core.set_torrent_trackers', [hash, trackers]);
+  }
+
   /**
    * Move storage for one or more torrents to a new location.
    * @param {string|Array<string>} ids - Torrent hash(es)
@@ -389,6 +436,18 @@ class DelugeClient {
     await this._call('core.set_torrent_options', [hashList, options]);
   }
 
+  /**
+   * Move one or more torrents within the queue.
+   * @param {string|Array<string>} ids - Torrent hash(es)
+   * @param {'top'|'up'|'down'|'bottom'} direction - Where to move them
+   * @returns {Promise<void>}
+   */
+  async queueMove(ids, direction) {
+    await this.ensureLoggedIn();
+    const hashList = Array.isArray(ids) ? ids : [ids];
+    await this._call(`core.queue_${direction}`, [hashList]);
+  }
+
   // ============================================================================
   // ADD DOWNLOADS
   // ============================================================================
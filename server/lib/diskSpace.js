@@ -1,6 +1,7 @@
 /**
  * Disk Space Utility
- * Aggregates disk space across real filesystems
+ * Aggregates disk space across real filesystems, or reports it per
+ * filesystem with low-space threshold checks
  * Works both natively and inside Docker
  */
 
@@ -114,6 +115,105 @@ async function getDiskSpace() {
     }
 }
 
+/**
+ * Disk space per filesystem (one entry per device)
+ * mountPoints lists every mount of the device; mountPoint is the first one
+ * that isn't a file bind-mounted by Docker (/etc/hosts, /etc/resolv.conf)
+ */
+async function getMountSpace() {
+    const mounts = (await getMounts()).filter(shouldIncludeMount);
+
+    const byDevice = new Map();
+    for (const mount of mounts) {
+        const entry = byDevice.get(mount.device);
+        if (entry) {
+            entry.mountPoints.push(mount.mountPoint);
+        } else {
+            byDevice.set(mount.device, {device: mount.device, fsType: mount.fsType, mountPoints: [mount.mountPoint]});
+        }
+    }
+
+    const result = [];
+    for (const entry of byDevice.values()) {
+        const mountPoint = entry.mountPoints.find(m => !m.startsWith('/etc/')) || entry.mountPoints[0];
+        try {
+            const stats = await statMount(mountPoint);
+            if (stats.total === 0) continue;
+            result.push({
+                ...entry,
+                mountPoint,
+                ...stats,
+                percentUsed: Math.round((stats.used / stats.total) * 100),
+                percentFree: Math.round((stats.free / stats.total) * 100)
+            });
+        } catch {
+            // Ignore mounts we cannot stat
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Find the filesystem a path lives on (longest matching mount point)
+ * @param {Array} mounts - Entries from getMountSpace()
+ * @param {string} targetPath - Absolute path
+ * @returns {Object|null} Mount entry
+ */
+function findMountForPath(mounts, targetPath) {
+    let best = null;
+    let bestLength = -1;
+
+    for (const mount of mounts) {
+        for (const mountPoint of mount.mountPoints) {
+            const prefix = mountPoint === '/' ? '/' : `${mountPoint}/`;
+            if ((targetPath === mountPoint || targetPath.startsWith(prefix)) && mountPoint.length > bestLength) {
+                best = mount;
+                bestLength = mountPoint.length;
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Check filesystems against low-space thresholds. A filesystem is low when
+ * its free space is under minFreePercent or under minFreeGB (0 = not checked).
+ * Per-mount overrides name any path on the filesystem; the most specific
+ * path wins when several land on the same one.
+ * @param {Array} mounts - Entries from getMountSpace()
+ * @param {Object} thresholds - { minFreePercent, minFreeGB, mounts: [{ path, minFreePercent, minFreeGB }] }
+ * @returns {Array<{mount: Object, minFreePercent: number, minFreeBytes: number, low: boolean}>}
+ */
+function evaluateThresholds(mounts, thresholds = {}) {
+    const overrides = new Map(); // device → { length, override }
+    for (const override of thresholds.mounts || []) {
+        if (!override?.path) continue;
+        const mount = findMountForPath(mounts, override.path);
+        if (!mount) continue;
+        const current = overrides.get(mount.device);
+        if (!current || override.path.length > current.length) {
+            overrides.set(mount.device, {length: override.path.length, override});
+        }
+    }
+
+    return mounts.map(mount => {
+        const override = overrides.get(mount.device)?.override || {};
+        const minFreePercent = Math.max(0, Number(override.minFreePercent ?? thresholds.minFreePercent) || 0);
+        const minFreeGB = Math.max(0, Number(override.minFreeGB ?? thresholds.minFreeGB) || 0);
+        const minFreeBytes = minFreeGB * 1024 * 1024 * 1024;
+        const freePercent = (mount.free / mount.total) * 100;
+
+        return {
+            mount,
+            minFreePercent,
+            minFreeBytes,
+            low: (minFreePercent > 0 && freePercent < minFreePercent) || (minFreeBytes > 0 && mount.free < minFreeBytes)
+        };
+    });
+}
+
 /**
  * Format bytes to human-readable size
  */
@@ -128,5 +228,5 @@ function formatBytes(bytes) {
 }
 
 module.exports = {
-    getDiskSpace, formatBytes
+    getDiskSpace, getMountSpace, findMountForPath, evaluateThresholds, formatBytes
 };
@@ -19,6 +19,7 @@ const CURRENT_VERSION = 4;
 
 class DownloadHistory {
   constructor(dbPath) {
+    this.dbPath = dbPath;
     try {
       // Ensure database directory exists
       const dbDir = path.dirname(dbPath);
@@ -320,8 +321,9 @@ class DownloadHistory {
    * @param {string} [clientType='amule'] - Client type ('amule', 'rtorrent', or 'qbittorrent')
    * @param {string|null} [category] - Category name
    * @param {string} instanceId - Client instance identifier
+   * @param {string|null} [feedName] - RSS feed that triggered the add
    */
-  addDownload(hash, filename, size, username = null, clientType = 'amule', category = null, instanceId) {
+  addDownload(hash, filename, size, username = null, clientType = 'amule', category = null, instanceId, feedName = null) {
     const stmt = this.db.prepare(`
       INSERT INTO download_history (hash, instance_id, filename, size, started_at, username, client_type)
       VALUES (?, ?, ?, ?, ?, ?, ?)
@@ -357,7 +359,8 @@ class DownloadHistory {
       instanceId,
       category: category || null,
       owner: effectiveUsername,
-      triggeredBy: effectiveUsername
+      triggeredBy: effectiveUsername,
+      ...(feedName && { feedName })
     });
   }
 
@@ -444,6 +447,7 @@ class DownloadHistory {
           if (entry) {
             const dir = meta?.directory || null;
             const fullPath = dir ? `${dir.replace(/\/+$/, '')}/${entry.filename}` : null;
+            const downloadDuration = Date.parse(entry.completed_at) - Date.parse(entry.started_at);
 
             eventScriptingManager.emit('downloadFinished', {
               hash: hash.toLowerCase(),
@@ -457,7 +461,8 @@ class DownloadHistory {
               trackerDomain: entry.tracker_domain || null,
               category: meta?.category || null,
               path: fullPath,
-              multiFile: meta?.multiFile || false
+              multiFile: meta?.multiFile || false,
+              downloadDuration: downloadDuration > 0 ? downloadDuration : null
             });
           }
         }
@@ -580,6 +585,31 @@ class DownloadHistory {
     return false;
   }
 
+  /**
+   * Re-home an entry on another instance, keeping its timestamps and stats
+   * (used when a torrent is transferred between clients). Skipped when the
+   * target instance already has an entry for the hash.
+   * @param {string} hash - File hash
+   * @param {string} fromInstanceId - Current instance identifier
+   * @param {string} toInstanceId - New instance identifier
+   * @param {string} clientType - Client type of the new instance
+   * @returns {boolean} True if an entry was moved
+   */
+  moveToInstance(hash, fromInstanceId, toInstanceId, clientType) {
+    const h = hash.toLowerCase();
+    const result = this.db.prepare(`
+      UPDATE OR IGNORE download_history
+      SET instance_id = ?, client_type = ?
+      WHERE hash = ? AND instance_id = ?
+    `).run(toInstanceId, clientType, h, fromInstanceId);
+
+    if (result.changes > 0) {
+      logger.log(`🔀 History: Moved ${hash} [${fromInstanceId} → ${toInstanceId}]`);
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Get all pending downloads (started but not completed or deleted)
    * Used for completion detection on startup/refresh
@@ -604,6 +634,26 @@ class DownloadHistory {
     return this.db.prepare('SELECT * FROM download_history WHERE hash = ? AND instance_id = ?').get(h, instanceId);
   }
 
+  /**
+   * Get history entries for a hash across all instances
+   * @param {string} hash - File hash
+   * @returns {Array} History entries (newest first)
+   */
+  getAllByHash(hash) {
+    if (!hash) return [];
+    return this.db.prepare('SELECT * FROM download_history WHERE hash = ? ORDER BY started_at DESC').all(hash.toLowerCase());
+  }
+
+  /**
+   * Check whether a hash has ever been added on any instance
+   * @param {string} hash - File hash
+   * @returns {boolean}
+   */
+  hasHash(hash) {
+    if (!hash) return false;
+    return !!this.db.prepare('SELECT 1 FROM download_history WHERE hash = ? LIMIT 1').get(hash.toLowerCase());
+  }
+
   /**
    * Get all known compound keys from the database
    * Used for detecting externally added downloads
@@ -615,6 +665,23 @@ class DownloadHistory {
     return new Set(rows.map(r => itemKey(r.instance_id, r.hash)));
   }
 
+  /**
+   * Get completed downloads that are still present (not deleted or missing)
+   * Used by the local library Torznab indexer
+   * @param {string} [clientType] - Only entries of this client type
+   * @returns {Array<object>} Entries, newest completion first
+   */
+  getCompletedEntries(clientType) {
+    const where = clientType ? "WHERE status = 'completed' AND client_type = ?" : "WHERE status = 'completed'";
+    const params = clientType ? [clientType] : [];
+    return this.db.prepare(`
+      SELECT hash, instance_id, filename, size, completed_at, client_type
+      FROM download_history
+      ${where}
+      ORDER BY completed_at DESC
+    `).all(...params);
+  }
+
   /**
    * Add externally detected download (not added through the web UI)
    * @param {string} hash - File hash
@@ -739,6 +806,17 @@ class DownloadHistory {
     return stmt.get();
   }
 
+  /**
+   * Close and reopen the database file, re-running schema migrations.
+   * Used after a backup restore replaced the file on disk.
+   */
+  reopen() {
+    this.db.close();
+    this.db = new Database(this.dbPath, { fileMustExist: false });
+    this.db.pragma('journal_mode = WAL');
+    this.initSchema();
+  }
+
   /**
    * Close the database connection
    */
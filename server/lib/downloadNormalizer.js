@@ -3,6 +3,7 @@
  * Shared utility functions for normalizing download data from different clients
  */
 
+const path = require('path');
 const { getClientSoftwareName, CLIENT_SOFTWARE_LABELS } = require('./networkUtils');
 
 // ============================================================================
@@ -138,6 +139,7 @@ function normalizeAmuleDownload(download, resolveCategoryName = () => 'Default')
     sourceCountXfer: download.sourceCountXfer || 0,
     sourceCountA4AF: download.sourceCountA4AF || 0,
     sourceCountNotCurrent: download.sourceCountNotCurrent || 0,
+    a4afAuto: Boolean(download.a4afAuto ?? download.EC_TAG_PARTFILE_A4AFAUTO ?? download.raw?.EC_TAG_PARTFILE_A4AFAUTO),
     partStatus: download.partStatus || null,
     gapStatus: flattenRangePairs(download.gapStatus),
     reqStatus: flattenRangePairs(download.reqStatus),
@@ -291,6 +293,8 @@ function normalizeRtorrentDownload(download) {
     category: download.label || '', // Alias for consistency with qBittorrent
     label: download.label,
     directory: download.directory,
+    // d.directory is the torrent's own folder for multi-file torrents
+    savePath: download.isMultiFile && download.directory ? path.posix.dirname(download.directory) : (download.directory || ''),
     peerCounts: download.peers,
     isComplete: download.isComplete,
     isActive: download.isActive,
@@ -301,6 +305,7 @@ function normalizeRtorrentDownload(download) {
     trackerDomain,
     peersDetailed: (download.peersDetailed || []).map(p => ({ ...p, role: 'peer' })),
     message: download.message || '',
+    checkProgress: download.checkProgress ?? null,
 
     raw: { clientType: 'rtorrent', ...download },
 
@@ -316,6 +321,11 @@ function normalizeRtorrentDownload(download) {
 // QBITTORRENT NORMALIZERS
 // ============================================================================
 
+// Data verification states (checkingResumeData is a fast-resume load, not a hash check)
+const QB_CHECKING_STATES = new Set(['checkingDL', 'checkingUP']);
+// Waiting for a free active slot
+const QB_QUEUED_STATES = new Set(['queuedDL', 'queuedUP']);
+
 /**
  * Find the best tracker from qBittorrent tracker list
  * Picks the working tracker with the most peers (seeds + leeches)
@@ -402,6 +412,10 @@ function getQBittorrentMessage(torrent) {
  */
 function normalizeQBittorrentDownload(torrent) {
   const progress = parseFloat(((torrent.progress || 0) * 100).toFixed(2));
+  // While checking, qBittorrent's progress is the share of pieces verified so far
+  const checkProgress = QB_CHECKING_STATES.has(torrent.state) ? progress
+    : torrent.state === 'queuedForChecking' ? 0
+    : null;
   const trackers = torrent.trackersDetailed || [];
 
   // Find the best tracker (most peers) instead of just using the first one
@@ -434,12 +448,23 @@ function normalizeQBittorrentDownload(torrent) {
     category: torrent.category || '',
     label: torrent.category || '', // Alias for compatibility with rtorrent
     directory,
+    savePath: torrent.save_path || '',
     uploadTotal: torrent.uploaded || 0,
     // Use raw 0–1 fraction, not the toFixed(2) display value.
     isComplete: (torrent.progress || 0) >= 1.0,
     isActive: ['downloading', 'uploading', 'stalledDL', 'stalledUP', 'forcedDL', 'forcedUP'].includes(torrent.state),
     isMultiFile: multiFile,
     message: getQBittorrentMessage(torrent), // Error message or tracker status
+    checkProgress,
+
+    // Queue (qBittorrent's `priority` is the 1-based queue position, 0 or -1 when unqueued)
+    queuePosition: torrent.priority > 0 ? torrent.priority : null,
+    queued: QB_QUEUED_STATES.has(torrent.state),
+    forceStart: !!torrent.force_start || torrent.state === 'forcedDL' || torrent.state === 'forcedUP',
+
+    // Per-torrent speed limits (bytes/s, -1 or 0 when unlimited)
+    downloadLimit: torrent.dl_limit > 0 ? torrent.dl_limit : 0,
+    uploadLimit: torrent.up_limit > 0 ? torrent.up_limit : 0,
 
     // Peers
     peerCounts: {
@@ -511,12 +536,24 @@ function normalizeDelugeDownload(hash, torrent) {
     category: torrent.label || '',
     label: torrent.label || '',
     directory: torrent.save_path || '',
+    savePath: torrent.save_path || '',
     uploadTotal: torrent.total_uploaded || 0,
     // Use raw 0–100 value, not the toFixed(2) display value.
     isComplete: (torrent.progress || 0) >= 100,
     isActive: ['Downloading', 'Seeding'].includes(torrent.state),
     isMultiFile,
     message: torrent.state === 'Error' ? (torrent.message || 'Error') : '',
+    // While checking, Deluge's progress is the share of pieces verified so far
+    checkProgress: torrent.state === 'Checking' ? progress : null,
+
+    // Queue (Deluge's `queue` is 0-based, -1 when unqueued; no force-start)
+    queuePosition: torrent.queue >= 0 ? torrent.queue + 1 : null,
+    queued: torrent.state === 'Queued',
+    forceStart: false,
+
+    // Per-torrent speed limits (KiB/s, -1 when unlimited)
+    downloadLimit: torrent.max_download_speed > 0 ? Math.round(torrent.max_download_speed * 1024) : 0,
+    uploadLimit: torrent.max_upload_speed > 0 ? Math.round(torrent.max_upload_speed * 1024) : 0,
 
     // Peers
     peerCounts: {
@@ -561,6 +598,10 @@ const TRANSMISSION_STATUS = {
   6: 'Seeding'
 };
 
+// Bytes per "kB" in Transmission's per-torrent speed limits (the RPC's
+// speed-bytes unit, fixed at 1000 since Transmission 2.x)
+const TRANSMISSION_SPEED_UNIT = 1000;
+
 /**
  * Map Transmission bandwidthPriority to unified priority
  * Transmission: -1=Low, 0=Normal, 1=High
@@ -605,11 +646,24 @@ function normalizeTransmissionDownload(torrent) {
     category: label,
     label,
     directory: torrent.downloadDir || '',
+    savePath: torrent.downloadDir || '',
     uploadTotal: torrent.uploadedEver || 0,
     isComplete: torrent.percentDone >= 1.0,
     isActive: torrent.status === 4 || torrent.status === 6,
     isMultiFile,
     message: torrent.error > 0 ? (torrent.errorString || 'Error') : '',
+    checkProgress: torrent.status === 2 ? parseFloat(((torrent.recheckProgress || 0) * 100).toFixed(2))
+      : torrent.status === 1 ? 0
+      : null,
+
+    // Queue (Transmission's `queuePosition` is 0-based; torrent-start-now isn't reported back)
+    queuePosition: Number.isInteger(torrent.queuePosition) ? torrent.queuePosition + 1 : null,
+    queued: torrent.status === 3 || torrent.status === 5,
+    forceStart: false,
+
+    // Per-torrent speed limits (kB/s, only in effect while the *Limited flag is set)
+    downloadLimit: torrent.downloadLimited ? (torrent.downloadLimit || 0) * TRANSMISSION_SPEED_UNIT : 0,
+    uploadLimit: torrent.uploadLimited ? (torrent.uploadLimit || 0) * TRANSMISSION_SPEED_UNIT : 0,
 
     // Peers
     peerCounts: {
@@ -645,5 +699,6 @@ module.exports = {
   normalizeQBittorrentDownload,
   normalizeDelugeDownload,
   normalizeTransmissionDownload,
+  TRANSMISSION_SPEED_UNIT,
   extractTrackerDomain
 };
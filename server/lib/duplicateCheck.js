@@ -0,0 +1,86 @@
+/**
+ * Duplicate Download Detection
+ * Matches the hashes of links and .torrent files about to be added against
+ * what is already known: live items on every instance (downloads, seeding
+ * torrents and aMule shared files) and the download history.
+ */
+
+'use strict';
+
+const { parseMagnetUri, parseEd2kLink } = require('./torrentUtils');
+
+/**
+ * Extract the content hash from an ED2K file link or a magnet URI
+ * @param {string} link - ed2k:// or magnet: link
+ * @returns {string|null} Lower-case hash, or null when the link carries none
+ */
+function linkHash(link) {
+  const value = String(link || '');
+  if (/^ed2k:/i.test(value)) return parseEd2kLink(value).hash;
+  if (/^magnet:/i.test(value)) return parseMagnetUri(value).hash;
+  return null;
+}
+
+/**
+ * Find existing copies of the given hashes.
+ * History entries are only reported for instances that no longer hold the
+ * item live, so an active download isn't listed twice.
+ * @param {Array<string>} hashes - Hashes about to be added
+ * @param {Object} sources
+ * @param {Array} sources.items - Unified items from the batch cache
+ * @param {Object|null} sources.history - DownloadHistory instance
+ * @returns {Array<{ hash: string, name: string, matches: Array }>} One entry per
+ *   duplicated hash. Each match is { source: 'live'|'history', instanceId,
+ *   clientType, name, status, downloading, shared, progress }
+ */
+function findDuplicates(hashes, { items = [], history = null } = {}) {
+  const wanted = new Set((hashes || []).filter(Boolean).map(h => h.toLowerCase()));
+  if (wanted.size === 0) return [];
+
+  const byHash = new Map();
+  const addMatch = (hash, match) => {
+    if (!byHash.has(hash)) byHash.set(hash, []);
+    byHash.get(hash).push(match);
+  };
+
+  for (const item of items) {
+    const hash = item.hash?.toLowerCase();
+    if (!wanted.has(hash)) continue;
+    addMatch(hash, {
+      source: 'live',
+      instanceId: item.instanceId,
+      clientType: item.client,
+      name: item.name,
+      status: item.status,
+      downloading: !!item.downloading,
+      shared: !!item.shared,
+      progress: item.progress || 0
+    });
+  }
+
+  if (history) {
+    for (const hash of wanted) {
+      const liveInstances = new Set((byHash.get(hash) || []).map(m => m.instanceId));
+      for (const entry of history.getAllByHash(hash)) {
+        if (liveInstances.has(entry.instance_id)) continue;
+        addMatch(hash, {
+          source: 'history',
+          instanceId: entry.instance_id,
+          clientType: entry.client_type,
+          name: entry.filename,
+          status: entry.status,
+          downloading: false,
+          shared: false,
+          progress: entry.completed_at ? 100 : 0
+        });
+      }
+    }
+  }
+
+  return [...byHash].map(([hash, matches]) => ({ hash, name: matches[0].name, matches }));
+}
+
+module.exports = {
+  linkHash,
+  findDuplicates
+};
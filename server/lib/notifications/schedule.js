@@ -0,0 +1,174 @@
+/**
+ * Notification Scheduling
+ * Pure helpers for quiet hours, per-service digests and event routing
+ *
+ * Quiet hours (notifications.json `quietHours`):
+ *   {
+ *     enabled: true,
+ *     days: [0, 1, 2, 3, 4, 5, 6],   // 0 = Sunday ... 6 = Saturday
+ *     start: '22:00', end: '07:00',  // local time; end < start wraps past midnight
+ *     bypassEvents: ['clientUnavailable'] // still delivered immediately
+ *   }
+ *
+ * Service fields:
+ *   events: ['downloadFinished']  // routing: empty = every enabled event
+ *   digest: 'off' | 'hourly' | 'daily'
+ *   digestTime: '08:00'           // daily digests only
+ */
+
+const { parseTimeOfDay, isRuleActive } = require('../bandwidthSchedule');
+
+const DIGEST_MODES = ['off', 'hourly', 'daily'];
+
+const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  days: [0, 1, 2, 3, 4, 5, 6],
+  start: '22:00',
+  end: '07:00',
+  bypassEvents: []
+};
+
+const DEFAULT_DIGEST_TIME = '08:00';
+
+/**
+ * Check whether quiet hours cover the given moment
+ * (same window semantics as bandwidth schedule rules)
+ * @param {Object} quietHours - Quiet hours config
+ * @param {Date} date - Moment to check (local time)
+ * @returns {boolean}
+ */
+function isQuietTime(quietHours, date) {
+  if (!quietHours?.enabled) return false;
+  return isRuleActive({ ...quietHours, enabled: true }, date);
+}
+
+/**
+ * Check whether an event would be held back by quiet hours
+ * @param {Object} quietHours - Quiet hours config
+ * @param {string} eventType - Event type
+ * @param {Date} date - Moment to check (local time)
+ * @returns {boolean}
+ */
+function isHeldByQuietHours(quietHours, eventType, date) {
+  if (Array.isArray(quietHours?.bypassEvents) && quietHours.bypassEvents.includes(eventType)) return false;
+  return isQuietTime(quietHours, date);
+}
+
+/**
+ * Check whether a service receives an event
+ * @param {Object} service - Stored service
+ * @param {string} eventType - Event type
+ * @returns {boolean}
+ */
+function serviceReceivesEvent(service, eventType) {
+  return !Array.isArray(service.events) || service.events.length === 0 || service.events.includes(eventType);
+}
+
+/**
+ * Most recent digest boundary at or before a moment: the start of the hour
+ * for hourly digests, today's (or yesterday's) digest time for daily ones
+ * @param {Object} service - Stored service
+ * @param {Date} date - Moment (local time)
+ * @returns {number|null} Timestamp (ms), or null when the service has no digest
+ */
+function lastDigestBoundary(service, date) {
+  const boundary = new Date(date);
+  if (service.digest === 'hourly') {
+    boundary.setMinutes(0, 0, 0);
+    return boundary.getTime();
+  }
+  if (service.digest !== 'daily') return null;
+
+  const minutes = parseTimeOfDay(service.digestTime) ?? parseTimeOfDay(DEFAULT_DIGEST_TIME);
+  boundary.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  if (boundary > date) boundary.setDate(boundary.getDate() - 1);
+  return boundary.getTime();
+}
+
+/**
+ * Check whether a service's queue should be sent now. Entries held by quiet
+ * hours go out once they end; digest services wait for their next boundary
+ * after the oldest entry.
+ * @param {Object} service - Stored service
+ * @param {number} oldestAt - Queue time of the oldest entry (ms)
+ * @param {Object} quietHours - Quiet hours config
+ * @param {Date} date - Moment to check (local time)
+ * @returns {boolean}
+ */
+function isQueueDue(service, oldestAt, quietHours, date) {
+  if (isQuietTime(quietHours, date)) return false;
+  const boundary = lastDigestBoundary(service, date);
+  return boundary === null || oldestAt < boundary;
+}
+
+/**
+ * Validate quiet hours settings
+ * @param {*} quietHours
+ * @param {Object} eventTypes - Known event types (name → anything)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateQuietHours(quietHours, eventTypes) {
+  if (quietHours === undefined || quietHours === null) return null;
+  if (typeof quietHours !== 'object' || Array.isArray(quietHours)) return 'quietHours must be an object';
+  if (parseTimeOfDay(quietHours.start) === null || parseTimeOfDay(quietHours.end) === null) {
+    return 'Quiet hours need a start and end time (HH:MM)';
+  }
+  if (!Array.isArray(quietHours.days) || quietHours.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return 'Quiet hours days must be numbers from 0 (Sunday) to 6 (Saturday)';
+  }
+  if (quietHours.enabled && quietHours.days.length === 0) return 'Select at least one day for quiet hours';
+  return validateEventList(quietHours.bypassEvents, eventTypes, 'bypassEvents');
+}
+
+/**
+ * Validate a service's routing and digest fields
+ * @param {Object} fields - { events, digest, digestTime } (undefined keeps the current value)
+ * @param {Object} eventTypes - Known event types (name → anything)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateServiceSchedule({ events, digest, digestTime }, eventTypes) {
+  if (digest !== undefined && !DIGEST_MODES.includes(digest)) {
+    return `Invalid digest mode. Must be one of: ${DIGEST_MODES.join(', ')}`;
+  }
+  if (digestTime !== undefined && digestTime !== null && parseTimeOfDay(digestTime) === null) {
+    return 'Digest time must be HH:MM';
+  }
+  return validateEventList(events, eventTypes, 'events');
+}
+
+/**
+ * Validate an optional list of event types
+ */
+function validateEventList(list, eventTypes, field) {
+  if (list === undefined || list === null) return null;
+  if (!Array.isArray(list)) return `${field} must be an array`;
+  const unknown = list.find(eventType => !eventTypes[eventType]);
+  return unknown !== undefined ? `Unknown event type in ${field}: ${unknown}` : null;
+}
+
+/**
+ * Quiet hours with defaults filled in
+ * @param {Object} [quietHours] - Stored quiet hours
+ * @returns {Object}
+ */
+function normalizeQuietHours(quietHours) {
+  return {
+    ...DEFAULT_QUIET_HOURS,
+    ...quietHours,
+    enabled: quietHours?.enabled === true
+  };
+}
+
+module.exports = {
+  DIGEST_MODES,
+  DEFAULT_QUIET_HOURS,
+  DEFAULT_DIGEST_TIME,
+  isQuietTime,
+  isHeldByQuietHours,
+  serviceReceivesEvent,
+  lastDigestBoundary,
+  isQueueDue,
+  validateQuietHours,
+  validateServiceSchedule,
+  normalizeQuietHours
+};
@@ -0,0 +1,278 @@
+/**
+ * Minimal SMTP client for notification mails
+ *
+ * Just enough of RFC 5321 to hand one text or HTML message to a submission
+ * server: EHLO, STARTTLS (or implicit TLS on port 465), AUTH PLAIN/LOGIN,
+ * MAIL FROM, RCPT TO, DATA, QUIT. Bodies are base64-encoded UTF-8, so no
+ * dot-stuffing or line-length handling is needed.
+ *
+ * Failures carry `retryable`: network errors and 4xx replies are transient,
+ * 5xx replies (bad credentials, rejected recipient) are not.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Create an error with delivery metadata
+ * @param {string} message
+ * @param {Object} props - { retryable, code }
+ * @returns {Error}
+ */
+function smtpError(message, props) {
+  return Object.assign(new Error(message), props);
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it isn't plain ASCII
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  const clean = String(value).replace(/[\r\n]+/g, ' ');
+  if (/^[\x20-\x7e]*$/.test(clean)) return clean;
+  return `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the RFC 5322 message
+ * @param {Object} mail - { from, to: string[], subject, text, html?, hostname }
+ * @returns {string}
+ */
+function buildMessage({ from, to, subject, text, html, hostname }) {
+  const body = Buffer.from(String(html ?? text).replace(/\r?\n/g, '\r\n'), 'utf8')
+    .toString('base64')
+    .replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${hostname}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: ${html !== undefined ? 'text/html' : 'text/plain'}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * One SMTP session over a socket that may be upgraded to TLS mid-way
+ */
+class SmtpSession {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.buffer = '';
+    this.lines = [];
+    this.waiter = null;
+    this.failure = null;
+    this._attach(socket);
+  }
+
+  _attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => {
+      socket.destroy(smtpError(`SMTP server timed out after ${this.timeout / 1000}s`, { retryable: true }));
+    });
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('error', (err) => this._fail(err.retryable !== undefined ? err
+      : smtpError(`SMTP connection failed: ${err.message}`, { retryable: true, code: err.code })));
+    socket.on('close', () => this._fail(smtpError('SMTP connection closed unexpectedly', { retryable: true })));
+  }
+
+  _detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+    this.socket.setTimeout(0);
+  }
+
+  _fail(err) {
+    if (this.failure) return;
+    this.failure = err;
+    if (this.waiter) {
+      const { reject } = this.waiter;
+      this.waiter = null;
+      reject(err);
+    }
+  }
+
+  _onData(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line, 10), lines: this.lines.map(l => l.slice(4)) };
+        this.lines = [];
+        if (this.waiter) {
+          const { resolve } = this.waiter;
+          this.waiter = null;
+          resolve(reply);
+        }
+      }
+    }
+  }
+
+  /**
+   * Wait for the next complete reply
+   * @returns {Promise<Object>} { code, lines }
+   */
+  read() {
+    if (this.failure) return Promise.reject(this.failure);
+    return new Promise((resolve, reject) => { this.waiter = { resolve, reject }; });
+  }
+
+  /**
+   * Send a command (or nothing, for the greeting) and check the reply code
+   * @param {string|null} line - Command without CRLF
+   * @param {number|number[]} expected - Expected reply code(s)
+   * @param {string} [label] - Command name for errors (hides AUTH payloads)
+   * @returns {Promise<Object>} { code, lines }
+   */
+  async command(line, expected, label) {
+    const pending = this.read();
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await pending;
+    if (![].concat(expected).includes(reply.code)) {
+      const what = label || (line ? line.split(' ')[0] : 'Greeting');
+      throw smtpError(`SMTP ${what} failed: ${reply.code} ${reply.lines.join(' ')}`.trim(), {
+        retryable: reply.code >= 400 && reply.code < 500,
+        code: reply.code
+      });
+    }
+    return reply;
+  }
+
+  /**
+   * Switch the session to TLS after a successful STARTTLS
+   * @param {Object} options - tls.connect options
+   */
+  async upgrade(options) {
+    this._detach();
+    const plain = this.socket;
+    const secure = await new Promise((resolve, reject) => {
+      const socket = tls.connect({ ...options, socket: plain }, () => resolve(socket));
+      socket.once('error', (err) => reject(smtpError(`SMTP TLS negotiation failed: ${err.message}`, { retryable: false })));
+    });
+    secure.removeAllListeners('error');
+    this._attach(secure);
+  }
+
+  close() {
+    this._detach();
+    this.socket.on('error', () => {});
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Open a plain or TLS connection
+ * @returns {Promise<net.Socket|tls.TLSSocket>}
+ */
+function connect({ host, port, implicitTls, tlsOptions, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = implicitTls
+      ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ...tlsOptions })
+      : net.connect({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(smtpError(`SMTP connection to ${host}:${port} timed out`, { retryable: true }));
+    }, timeout);
+    socket.once(implicitTls ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      socket.removeAllListeners('error');
+      resolve(socket);
+    });
+    socket.once('error', (err) => {
+      clearTimeout(timer);
+      reject(smtpError(`SMTP connection to ${host}:${port} failed: ${err.message}`, { retryable: true, code: err.code }));
+    });
+  });
+}
+
+/**
+ * Send one mail
+ * @param {Object} options
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - SMTP port
+ * @param {boolean} [options.implicitTls] - Connect with TLS straight away (port 465)
+ * @param {boolean} [options.requireTls] - Fail unless the session is encrypted
+ * @param {boolean} [options.allowInsecureAuth] - Send the password over an
+ *   unencrypted session (refused by default)
+ * @param {string} [options.user] - Login (AUTH is skipped without a password)
+ * @param {string} [options.password]
+ * @param {string} options.from - Envelope and header sender
+ * @param {string[]} options.to - Recipients
+ * @param {string} options.subject
+ * @param {string} options.text
+ * @param {string} [options.html] - HTML body, sent instead of the text
+ * @param {number} [options.timeout] - Per-step timeout in ms
+ * @param {Object} [options.tlsOptions] - Extra tls.connect options (e.g. ca)
+ * @returns {Promise<void>}
+ * @throws {Error} With `retryable` and, for server replies, `code`
+ */
+async function sendMail(options) {
+  const { host, port, implicitTls = false, requireTls = false, allowInsecureAuth = false, user, password,
+    from, to, subject, text, html, timeout = DEFAULT_TIMEOUT_MS, tlsOptions = {} } = options;
+  const hostname = os.hostname() || 'localhost';
+
+  const session = new SmtpSession(await connect({ host, port, implicitTls, tlsOptions, timeout }), timeout);
+  let encrypted = implicitTls;
+  try {
+    await session.command(null, 220);
+    let ehlo = await session.command(`EHLO ${hostname}`, 250);
+    const offers = (keyword) => ehlo.lines.some(l => l.toUpperCase().split(' ')[0] === keyword);
+
+    if (!encrypted && offers('STARTTLS')) {
+      await session.command('STARTTLS', 220);
+      await session.upgrade({ servername: net.isIP(host) ? undefined : host, ...tlsOptions });
+      encrypted = true;
+      ehlo = await session.command(`EHLO ${hostname}`, 250);
+    }
+    if (requireTls && !encrypted) {
+      throw smtpError('SMTP server does not support STARTTLS', { retryable: false });
+    }
+
+    if (password && !encrypted && !allowInsecureAuth) {
+      throw smtpError('SMTP server does not support STARTTLS, refusing to send the password unencrypted', { retryable: false });
+    }
+    if (password) {
+      const authLine = ehlo.lines.find(l => /^AUTH[ =]/i.test(l)) || '';
+      const mechanisms = authLine.toUpperCase().split(/[ =]/).slice(1);
+      if (mechanisms.includes('PLAIN')) {
+        const token = Buffer.from(`\0${user}\0${password}`, 'utf8').toString('base64');
+        await session.command(`AUTH PLAIN ${token}`, 235, 'AUTH');
+      } else if (mechanisms.includes('LOGIN')) {
+        await session.command('AUTH LOGIN', 334, 'AUTH');
+        await session.command(Buffer.from(user, 'utf8').toString('base64'), 334, 'AUTH');
+        await session.command(Buffer.from(password, 'utf8').toString('base64'), 235, 'AUTH');
+      } else {
+        throw smtpError('SMTP server offers no supported AUTH mechanism (PLAIN, LOGIN)', { retryable: false });
+      }
+    }
+
+    await session.command(`MAIL FROM:<${from}>`, 250);
+    for (const recipient of to) {
+      // 251: not local, the server forwards it
+      await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await session.command('DATA', 354);
+    await session.command(`${buildMessage({ from, to, subject, text, html, hostname })}\r\n.`, 250, 'DATA');
+    await session.command('QUIT', 221).catch(() => {});
+  } finally {
+    session.close();
+  }
+}
+
+module.exports = { sendMail, buildMessage, encodeHeader };
@@ -0,0 +1,395 @@
+/**
+ * Notification templates
+ *
+ * Every event type has a title and body template. Users can override them
+ * globally and per service; empty fields fall back to the defaults below.
+ *
+ * Syntax:
+ * - {{name}}                 variable, escaped for the output format
+ * - {{#name}}...{{/name}}    only when the variable is not empty
+ * - {{^name}}...{{/name}}    only when the variable is empty
+ * - A line that contained a tag and renders blank is dropped, so optional
+ *   lines disappear instead of leaving gaps.
+ *
+ * Output formats: plain (no escaping), markdown (escapes _ * ` [ as
+ * Telegram's and Discord's Markdown need) and html (escapes & < > ").
+ * Titles are always plain text; the format applies to the body.
+ *
+ * Held notifications (quiet hours, digests) are combined into one message by
+ * renderDigest: each entry's rendered title and body, oldest first.
+ */
+
+const { formatBytes } = require('../diskSpace');
+const { formatDuration } = require('../timeRange');
+
+const FORMATS = ['plain', 'markdown', 'html'];
+const MAX_TEMPLATE_LENGTH = 2000;
+
+const DEFAULT_TITLE_SUFFIX = '{{#instance}} · {{instance}}{{/instance}}';
+
+const DEFAULT_TEMPLATES = {
+  downloadAdded: {
+    title: `⬇️ New Download${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n{{userLine}}\n{{#feedName}}📡 {{feedName}}{{/feedName}}'
+  },
+  downloadFinished: {
+    title: `✅ Download Complete${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n{{userLine}}'
+  },
+  categoryChanged: {
+    title: `🏷️ Category Changed${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n🏷️ {{oldCategory}} → {{newCategory}}\n{{#user}}👤 {{user}}{{/user}}'
+  },
+  fileMoved: {
+    title: `📦 File Moved${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n📂 {{destPath}}\n{{userLine}}'
+  },
+  fileDeleted: {
+    title: `🗑️ File Deleted${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n{{userLine}}'
+  },
+  seedingGoalReached: {
+    title: `🌱 Seeding Goal Reached${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n📈 Ratio {{ratio}} · {{action}}{{outcome}}\n{{userLine}}'
+  },
+  recheckFinished: {
+    title: `🔍 Recheck Finished${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n🔍 {{progress}}% complete after recheck\n{{userLine}}'
+  },
+  clientUnavailable: {
+    title: `🔴 Client Offline${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{instance}} is unreachable\n{{#error}}Error: {{error}}{{/error}}'
+  },
+  clientAvailable: {
+    title: `🟢 Client Online${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{instance}} is back online (was offline for {{duration}})'
+  },
+  downloadStalled: {
+    title: `🐢 Download Stalled${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n⏳ No progress for {{duration}} at {{progress}}%\n{{userLine}}'
+  },
+  downloadErrored: {
+    title: `⚠️ Download Error${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n{{#error}}Error: {{error}}{{/error}}\n{{userLine}}'
+  },
+  moveFailed: {
+    title: `❌ Move Failed${DEFAULT_TITLE_SUFFIX}`,
+    body: '{{filename}}\n📂 {{destPath}}\n{{#error}}Error: {{error}}{{/error}}\n{{userLine}}'
+  },
+  diskSpaceLow: {
+    title: '💾 Low Disk Space',
+    body: '{{mount}}: {{free}} free ({{percentFree}}%)'
+  },
+  searchCompleted: {
+    title: `🔎 Search Complete${DEFAULT_TITLE_SUFFIX}`,
+    body: '"{{query}}": {{results}} results · {{source}}\n{{#triggeredBy}}👤 {{triggeredBy}}{{/triggeredBy}}'
+  }
+};
+
+// Variables available in templates (events: where they are filled; omitted = all)
+const TEMPLATE_VARIABLES = [
+  { name: 'filename', description: 'File or torrent name' },
+  { name: 'size', description: 'Size, e.g. 1.40 GB' },
+  { name: 'category', description: 'Category' },
+  { name: 'owner', description: 'User who owns the download' },
+  { name: 'triggeredBy', description: 'User who triggered the action' },
+  { name: 'user', description: 'Owner, with "(by user)" when someone else triggered it' },
+  { name: 'userLine', description: 'Owner and category line: 👤 user · 🏷️ category' },
+  { name: 'instance', description: 'Client instance name' },
+  { name: 'client', description: 'Client type, e.g. qbittorrent' },
+  { name: 'speed', description: 'Average download speed', events: ['downloadFinished'] },
+  { name: 'duration', description: 'Download, seeding, down, stall or search time', events: ['downloadFinished', 'seedingGoalReached', 'clientAvailable', 'downloadStalled', 'searchCompleted'] },
+  { name: 'ratio', description: 'Share ratio', events: ['downloadFinished', 'seedingGoalReached'] },
+  { name: 'oldCategory', description: 'Previous category', events: ['categoryChanged'] },
+  { name: 'newCategory', description: 'New category', events: ['categoryChanged'] },
+  { name: 'destPath', description: 'Destination directory', events: ['fileMoved', 'moveFailed'] },
+  { name: 'path', description: 'Full path on the client', events: ['downloadFinished', 'fileDeleted', 'categoryChanged'] },
+  { name: 'feedName', description: 'RSS feed that added the download', events: ['downloadAdded'] },
+  { name: 'action', description: 'Seeding policy action', events: ['seedingGoalReached'] },
+  { name: 'outcome', description: '" (dry run)" or " failed: …"', events: ['seedingGoalReached'] },
+  { name: 'progress', description: 'Completion (%)', events: ['recheckFinished', 'downloadStalled', 'downloadErrored'] },
+  { name: 'error', description: 'Error message', events: ['clientUnavailable', 'seedingGoalReached', 'downloadErrored', 'moveFailed'] },
+  { name: 'mount', description: 'Filesystem mount point', events: ['diskSpaceLow'] },
+  { name: 'free', description: 'Free space, e.g. 8.00 GB', events: ['diskSpaceLow'] },
+  { name: 'percentFree', description: 'Free space (%)', events: ['diskSpaceLow'] },
+  { name: 'query', description: 'Search query', events: ['searchCompleted'] },
+  { name: 'results', description: 'Number of search results', events: ['searchCompleted'] },
+  { name: 'source', description: 'Search source: aMule or Prowlarr', events: ['searchCompleted'] },
+  { name: 'event', description: 'Event type, e.g. downloadFinished' }
+];
+
+// Event data used for previews
+const SAMPLE_EVENT_DATA = {
+  hash: 'b0c9f1a3e5d7c9b1a3e5d7c9b1a3e5d7c9b1a3e5',
+  filename: 'ubuntu-24.04-desktop-amd64.iso',
+  size: 6114656256,
+  category: 'Linux',
+  owner: 'john',
+  triggeredBy: 'admin',
+  instanceId: 'qbittorrent-1',
+  instanceName: 'qBittorrent',
+  clientType: 'qbittorrent',
+  downloadDuration: 754000,
+  ratio: 1.52,
+  oldCategory: 'Default',
+  newCategory: 'Linux',
+  destPath: '/data/linux',
+  path: '/data/downloads/ubuntu-24.04-desktop-amd64.iso',
+  feedName: 'Distro releases',
+  action: 'pause',
+  progress: 100,
+  error: 'connect ECONNREFUSED 10.0.0.5:8080',
+  downtimeDuration: 1860000,
+  seedingDuration: 259200000,
+  stalledDuration: 5400000,
+  mountPoint: '/data',
+  free: 8589934592,
+  percentFree: 2,
+  query: 'ubuntu 24.04',
+  source: 'prowlarr',
+  resultCount: 42,
+  duration: 3400
+};
+
+// ============================================================================
+// VARIABLES
+// ============================================================================
+
+// Events that aren't about a single download (no "Unknown file" fallback)
+const NO_FILE_EVENTS = new Set(['clientAvailable', 'clientUnavailable', 'diskSpaceLow', 'searchCompleted']);
+
+const DURATION_FIELDS = {
+  clientAvailable: 'downtimeDuration',
+  seedingGoalReached: 'seedingDuration',
+  downloadStalled: 'stalledDuration',
+  searchCompleted: 'duration'
+};
+
+const SEARCH_SOURCES = { amule: 'aMule', prowlarr: 'Prowlarr' };
+
+/**
+ * Template variables for an event, as display strings
+ * @param {string} eventType - Event type
+ * @param {Object} eventData - Event data as emitted by EventScriptingManager
+ * @returns {Object} name → string
+ */
+function buildVariables(eventType, eventData = {}) {
+  const str = (value) => (value === undefined || value === null ? '' : String(value));
+  const owner = str(eventData.owner);
+  const triggeredBy = str(eventData.triggeredBy);
+  const category = str(eventData.category);
+  const user = owner && triggeredBy && triggeredBy !== owner ? `${owner} (by ${triggeredBy})` : owner;
+  const userLine = [user && `👤 ${user}`, category && `🏷️ ${category}`].filter(Boolean).join(' · ');
+
+  const durationMs = eventData[DURATION_FIELDS[eventType] || 'downloadDuration'];
+  const size = Number(eventData.size) || 0;
+  const speed = size && durationMs > 0 ? size / (durationMs / 1000) : Number(eventData.speed) || 0;
+
+  let outcome = '';
+  if (eventType === 'seedingGoalReached') {
+    outcome = eventData.dryRun ? ' (dry run)' : eventData.success === false ? ` failed: ${str(eventData.error)}` : '';
+  }
+
+  return {
+    event: eventType,
+    filename: str(eventData.filename || eventData.name) || (NO_FILE_EVENTS.has(eventType) ? '' : 'Unknown file'),
+    size: size ? formatBytes(size) : '',
+    category,
+    owner,
+    triggeredBy,
+    user,
+    userLine,
+    instance: str(eventData.instanceName || eventData.instanceId || eventData.clientType),
+    client: str(eventData.clientType),
+    speed: speed ? `${formatBytes(speed)}/s` : '',
+    duration: durationMs > 0 ? formatDuration(durationMs) : (eventType === 'clientAvailable' ? 'unknown' : ''),
+    ratio: eventData.ratio !== undefined && eventData.ratio !== null ? Number(eventData.ratio).toFixed(2) : '',
+    oldCategory: str(eventData.oldCategory) || 'None',
+    newCategory: str(eventData.newCategory || eventData.category) || 'None',
+    destPath: str(eventData.destPath) || 'Unknown',
+    path: str(eventData.path),
+    feedName: str(eventData.feedName),
+    action: str(eventData.action),
+    outcome,
+    progress: str(eventData.progress ?? 0),
+    error: str(eventData.error),
+    mount: str(eventData.mountPoint),
+    free: eventType === 'diskSpaceLow' ? formatBytes(Number(eventData.free) || 0) : '',
+    percentFree: str(eventData.percentFree),
+    query: str(eventData.query),
+    results: str(eventData.resultCount),
+    source: SEARCH_SOURCES[eventData.source] || str(eventData.source)
+  };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+const ESCAPERS = {
+  plain: (value) => value,
+  markdown: (value) => value.replace(/([_*`[])/g, '\\$1'),
+  html: (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+};
+
+// Stands in for a removed section so its line still counts as "had a tag"
+const SECTION_MARK = '\u0000';
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+
+/**
+ * Resolve {{#name}} / {{^name}} sections (nested sections included)
+ */
+function renderSections(template, variables) {
+  return template.replace(SECTION_PATTERN, (match, kind, name, inner) => {
+    const present = Boolean(variables[name]);
+    const keep = kind === '#' ? present : !present;
+    return keep ? `${SECTION_MARK}${renderSections(inner, variables)}` : SECTION_MARK;
+  });
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} variables - name → string (see buildVariables)
+ * @param {string} [format='plain'] - 'plain' | 'markdown' | 'html'
+ * @returns {string}
+ */
+function renderTemplate(template, variables, format = 'plain') {
+  const escape = ESCAPERS[format] || ESCAPERS.plain;
+  return renderSections(String(template || ''), variables)
+    .split('\n')
+    .map(line => {
+      const hadTag = line.includes(SECTION_MARK) || /\{\{\w+\}\}/.test(line);
+      const text = line
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => escape(variables[name] || ''))
+        .split(SECTION_MARK).join('');
+      return hadTag && !text.trim() ? null : text;
+    })
+    .filter(line => line !== null)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Pick the title/body templates for an event: service override, then the
+ * global template, then the default — per field, ignoring blank ones
+ * @param {string} eventType - Event type
+ * @param {...Object} sources - Template maps (eventType → { title, body }), most specific first
+ * @returns {{title: string, body: string}}
+ */
+function resolveTemplate(eventType, ...sources) {
+  const pick = (field) => {
+    for (const source of sources) {
+      const value = source?.[eventType]?.[field];
+      if (typeof value === 'string' && value.trim()) return value;
+    }
+    return DEFAULT_TEMPLATES[eventType]?.[field] ?? (field === 'title' ? 'aMuTorrent Event' : '{{filename}}');
+  };
+  return { title: pick('title'), body: pick('body') };
+}
+
+/**
+ * Render an event's notification
+ * @param {string} eventType - Event type
+ * @param {Object} eventData - Event data
+ * @param {Object} [options]
+ * @param {Object} [options.template] - { title, body } to use (see resolveTemplate)
+ * @param {string} [options.format='plain'] - Body format
+ * @returns {{title: string, body: string, format: string}}
+ */
+function renderMessage(eventType, eventData, { template, format = 'plain' } = {}) {
+  const { title, body } = template || resolveTemplate(eventType);
+  const variables = buildVariables(eventType, eventData);
+  const outputFormat = FORMATS.includes(format) ? format : 'plain';
+  return {
+    // Titles go into subjects and headers, so they stay plain text
+    title: renderTemplate(title, variables, 'plain').replace(/\s*\n\s*/g, ' '),
+    body: renderTemplate(body, variables, outputFormat),
+    format: outputFormat
+  };
+}
+
+// Entries listed in full in a digest; the rest are only counted
+const MAX_DIGEST_ENTRIES = 50;
+
+/**
+ * Combine rendered messages into one digest message
+ * @param {Array<Object>} entries - { title, body, at } rendered in `format`, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.format='plain'] - Body format of the entries
+ * @param {string} [options.reason] - Why they were held ('quiet hours', 'hourly digest', ...)
+ * @returns {{title: string, body: string, format: string}}
+ */
+function renderDigest(entries, { format = 'plain', reason } = {}) {
+  const outputFormat = FORMATS.includes(format) ? format : 'plain';
+  const escape = ESCAPERS[outputFormat];
+  const heading = (text) => {
+    if (outputFormat === 'markdown') return `*${escape(text)}*`;
+    if (outputFormat === 'html') return `<b>${escape(text)}</b>`;
+    return text;
+  };
+  const time = (at) => new Date(at).toTimeString().slice(0, 5);
+
+  const listed = entries.slice(0, MAX_DIGEST_ENTRIES);
+  const blocks = listed.map(entry => [heading(`${time(entry.at)} · ${entry.title}`), entry.body].filter(Boolean).join('\n'));
+  if (entries.length > listed.length) blocks.push(`…and ${entries.length - listed.length} more`);
+
+  const count = `${entries.length} notification${entries.length === 1 ? '' : 's'}`;
+  return {
+    title: `📬 ${count}${reason ? ` · ${reason}` : ''}`,
+    body: blocks.join('\n\n'),
+    format: outputFormat
+  };
+}
+
+/**
+ * Validate a template map (eventType → { title, body })
+ * @param {*} templates
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTemplates(templates) {
+  if (templates === undefined || templates === null) return null;
+  if (typeof templates !== 'object' || Array.isArray(templates)) return 'templates must be an object';
+  for (const [eventType, template] of Object.entries(templates)) {
+    if (!DEFAULT_TEMPLATES[eventType]) return `Unknown event type in templates: ${eventType}`;
+    if (!template || typeof template !== 'object') return `Template for ${eventType} must be an object`;
+    for (const field of ['title', 'body']) {
+      const value = template[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'string') return `${eventType} ${field} must be a string`;
+      if (value.length > MAX_TEMPLATE_LENGTH) return `${eventType} ${field} is longer than ${MAX_TEMPLATE_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop blank fields and events so stored templates only hold overrides
+ * @param {Object} templates - Validated template map
+ * @returns {Object}
+ */
+function compactTemplates(templates) {
+  const result = {};
+  for (const [eventType, template] of Object.entries(templates || {})) {
+    const kept = {};
+    for (const field of ['title', 'body']) {
+      if (typeof template?.[field] === 'string' && template[field].trim()) kept[field] = template[field];
+    }
+    if (Object.keys(kept).length > 0) result[eventType] = kept;
+  }
+  return result;
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_VARIABLES,
+  SAMPLE_EVENT_DATA,
+  buildVariables,
+  renderTemplate,
+  resolveTemplate,
+  renderMessage,
+  renderDigest,
+  validateTemplates,
+  compactTemplates
+};
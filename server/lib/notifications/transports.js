@@ -0,0 +1,332 @@
+/**
+ * Native notification transports
+ *
+ * Node implementations of the service types offered in the notifications UI,
+ * so delivery doesn't depend on the Apprise CLI being installed. Each
+ * transport takes the service's stored config (same keys the Apprise URL
+ * builder uses) and a { title, body, format } message, where format
+ * ('plain' | 'markdown' | 'html', see templates.js) describes the body and
+ * is passed on as the service's parse mode where it has one.
+ *
+ * Errors carry `retryable`: network failures, timeouts, 408/429 and 5xx
+ * responses are worth another attempt; bad configuration and other 4xx
+ * responses are not. 429 responses also carry `retryAfterMs` when the
+ * service sends Retry-After.
+ */
+
+const { sendMail } = require('./smtpClient');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Base URLs of the hosted services (overridable for tests and proxies)
+const DEFAULT_ENDPOINTS = {
+  discord: 'https://discord.com',
+  slack: 'https://hooks.slack.com',
+  telegram: 'https://api.telegram.org',
+  pushover: 'https://api.pushover.net'
+};
+
+// Delays between attempts: 3 retries over ~40 seconds
+const RETRY_DELAYS_MS = [2000, 10000, 30000];
+// Longest Retry-After we are willing to honour
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Create an error with delivery metadata
+ * @param {string} message
+ * @param {Object} props - { retryable, status, retryAfterMs }
+ * @returns {Error}
+ */
+function deliveryError(message, props = {}) {
+  return Object.assign(new Error(message), { retryable: false, ...props });
+}
+
+/**
+ * Throw a non-retryable error unless every listed config key is set
+ * @param {Object} cfg - Service config
+ * @param {string[]} keys
+ */
+function requireFields(cfg, keys) {
+  const missing = keys.filter(key => !cfg?.[key] || !String(cfg[key]).trim());
+  if (missing.length > 0) throw deliveryError(`Missing configuration: ${missing.join(', ')}`);
+}
+
+/**
+ * Turn a configured host into a base URL. A bare host name gets http://
+ * (what Apprise's gotify:// and ntfy:// did); give https:// explicitly
+ * for TLS.
+ * @param {string} host - "host[:port][/path]" or a full http(s) URL
+ * @returns {string} URL without trailing slash
+ */
+function toBaseUrl(host) {
+  const value = String(host).trim().replace(/\/+$/, '');
+  if (/^https?:\/\//i.test(value)) return value;
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) throw deliveryError(`Unsupported URL scheme in "${value}"`);
+  return `http://${value}`;
+}
+
+/**
+ * Cut text to a service's length limit
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function truncate(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+/**
+ * Escape a plain-text title for a markup body format
+ * @param {string} text
+ * @param {string} format - 'plain' | 'markdown' | 'html'
+ * @returns {string}
+ */
+function escapeTitle(text, format) {
+  if (format === 'markdown') return text.replace(/([_*`[])/g, '\\$1');
+  if (format === 'html') return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return text;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value
+ * @returns {number|undefined} Milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : undefined;
+}
+
+/**
+ * POST to a service and fail on anything but a 2xx response
+ * @param {string} url
+ * @param {Object} options - { json, form, headers, timeout }
+ * @returns {Promise<string>} Response body
+ */
+async function post(url, { json, form, headers = {}, timeout = DEFAULT_TIMEOUT_MS }) {
+  const body = json !== undefined ? JSON.stringify(json) : new URLSearchParams(form).toString();
+  const contentType = json !== undefined ? 'application/json' : 'application/x-www-form-urlencoded';
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType, ...headers },
+      body,
+      signal: AbortSignal.timeout(timeout)
+    });
+  } catch (err) {
+    const message = err.name === 'TimeoutError'
+      ? `Request timed out after ${timeout / 1000}s`
+      : `Request failed: ${err.cause?.message || err.message}`;
+    throw deliveryError(message, { retryable: true });
+  }
+
+  const text = await res.text().catch(() => '');
+  if (!res.ok) {
+    const detail = text.trim().slice(0, 200);
+    throw deliveryError(`HTTP ${res.status}${detail ? `: ${detail}` : ''}`, {
+      retryable: res.status >= 500 || res.status === 408 || res.status === 429,
+      status: res.status,
+      retryAfterMs: parseRetryAfter(res.headers.get('retry-after'))
+    });
+  }
+  return text;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a delivery attempt, retrying retryable failures with backoff
+ * @param {function(number): Promise<*>} attempt - Called with the attempt number (1-based)
+ * @param {Object} [options]
+ * @param {number[]} [options.delays] - Wait before each retry (its length is the retry count)
+ * @param {function(number): Promise} [options.wait] - Sleep function (tests pass a fake)
+ * @param {function(Error, number, number)} [options.onRetry] - (err, delayMs, nextAttempt)
+ * @returns {Promise<*>} The attempt's result
+ * @throws {Error} The last error once retries are used up or it isn't retryable
+ */
+async function withRetry(attempt, { delays = RETRY_DELAYS_MS, wait = sleep, onRetry } = {}) {
+  for (let n = 1; ; n++) {
+    try {
+      return await attempt(n);
+    } catch (err) {
+      if (err.retryable !== true || n > delays.length) throw err;
+      const delay = Math.max(delays[n - 1], err.retryAfterMs || 0);
+      onRetry?.(err, delay, n + 1);
+      await wait(delay);
+    }
+  }
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+/**
+ * Each transport: send(cfg, { title, body, format }, { timeout, endpoints }) → Promise<void>
+ */
+const NATIVE_TRANSPORTS = {
+  /**
+   * Same JSON payload Apprise's json:// sends, so existing receivers keep working
+   */
+  webhook: {
+    async send(cfg, { title, body }, { timeout }) {
+      requireFields(cfg, ['url']);
+      if (!/^https?:\/\//i.test(cfg.url)) throw deliveryError('Webhook URL must start with http:// or https://');
+      await post(cfg.url, {
+        json: { version: '1.0', title, message: body, attachments: [], type: 'info' },
+        timeout
+      });
+    }
+  },
+
+  ntfy: {
+    async send(cfg, { title, body, format }, { timeout }) {
+      requireFields(cfg, ['topic']);
+      const host = String(cfg.host || '').trim();
+      const base = !host || /^(https?:\/\/)?ntfy\.sh\/?$/i.test(host) ? 'https://ntfy.sh' : toBaseUrl(host);
+      // JSON publishing keeps non-ASCII titles out of HTTP headers
+      const payload = { topic: cfg.topic, title, message: body };
+      if (format === 'markdown') payload.markdown = true;
+      await post(base, { json: payload, timeout });
+    }
+  },
+
+  gotify: {
+    async send(cfg, { title, body, format }, { timeout }) {
+      requireFields(cfg, ['host', 'token']);
+      const payload = { title, message: body, priority: 5 };
+      if (format === 'markdown') payload.extras = { 'client::display': { contentType: 'text/markdown' } };
+      await post(`${toBaseUrl(cfg.host)}/message`, {
+        json: payload,
+        headers: { 'X-Gotify-Key': cfg.token },
+        timeout
+      });
+    }
+  },
+
+  discord: {
+    async send(cfg, { title, body }, { timeout, endpoints }) {
+      requireFields(cfg, ['webhook_id', 'webhook_token']);
+      const url = `${endpoints.discord}/api/webhooks/${encodeURIComponent(cfg.webhook_id)}/${encodeURIComponent(cfg.webhook_token)}`;
+      await post(url, { json: { content: truncate(`**${title}**\n${body}`, 2000) }, timeout });
+    }
+  },
+
+  slack: {
+    async send(cfg, { title, body }, { timeout, endpoints }) {
+      requireFields(cfg, ['token_a', 'token_b', 'token_c']);
+      const tokens = [cfg.token_a, cfg.token_b, cfg.token_c].map(encodeURIComponent).join('/');
+      const payload = { text: `*${title}*\n${body}` };
+      if (cfg.channel) payload.channel = `#${String(cfg.channel).replace(/^#/, '')}`;
+      await post(`${endpoints.slack}/services/${tokens}`, { json: payload, timeout });
+    }
+  },
+
+  telegram: {
+    async send(cfg, { title, body, format }, { timeout, endpoints }) {
+      requireFields(cfg, ['bot_token', 'chat_id']);
+      // Plain bodies go without parse_mode, so file names need no escaping;
+      // markdown uses the legacy Markdown mode (templates escape _ * ` [)
+      const payload = { chat_id: cfg.chat_id };
+      if (format === 'markdown') {
+        payload.parse_mode = 'Markdown';
+        payload.text = truncate(`*${escapeTitle(title, format)}*\n${body}`, 4096);
+      } else if (format === 'html') {
+        payload.parse_mode = 'HTML';
+        payload.text = truncate(`<b>${escapeTitle(title, format)}</b>\n${body}`, 4096);
+      } else {
+        payload.text = truncate(`${title}\n${body}`, 4096);
+      }
+      // Bot tokens are "<id>:<secret>"; the API wants the colon as-is
+      const token = encodeURIComponent(cfg.bot_token).replace(/%3A/gi, ':');
+      await post(`${endpoints.telegram}/bot${token}/sendMessage`, { json: payload, timeout });
+    }
+  },
+
+  pushover: {
+    async send(cfg, { title, body, format }, { timeout, endpoints }) {
+      requireFields(cfg, ['user_key', 'api_token']);
+      const form = {
+        token: cfg.api_token,
+        user: cfg.user_key,
+        title: truncate(title, 250),
+        message: truncate(body, 1024)
+      };
+      if (format === 'html') form.html = '1';
+      await post(`${endpoints.pushover}/1/messages.json`, { form, timeout });
+    }
+  },
+
+  email: {
+    async send(cfg, { title, body, format }, { timeout }) {
+      requireFields(cfg, ['smtp_host', 'smtp_user', 'to_email']);
+      const to = String(cfg.to_email).split(/[,;\s]+/).filter(Boolean);
+      const from = cfg.smtp_user.includes('@') ? cfg.smtp_user : `${cfg.smtp_user}@${cfg.smtp_host}`;
+      const address = /^[^\s<>@]+@[^\s<>@]+$/;
+      const invalid = [from, ...to].find(a => !address.test(a));
+      if (invalid) throw deliveryError(`Invalid email address: ${invalid}`);
+
+      const port = parseInt(cfg.smtp_port, 10) || 587;
+      try {
+        await sendMail({
+          host: cfg.smtp_host,
+          port,
+          implicitTls: port === 465,
+          requireTls: cfg.smtp_secure === true,
+          allowInsecureAuth: cfg.smtp_allow_insecure_auth === true,
+          user: cfg.smtp_user,
+          password: cfg.smtp_password,
+          from,
+          to,
+          subject: title,
+          text: body,
+          html: format === 'html' ? `<html><body>${body.replace(/\n/g, '<br>\n')}</body></html>` : undefined,
+          timeout
+        });
+      } catch (err) {
+        throw deliveryError(err.message, { retryable: err.retryable === true });
+      }
+    }
+  }
+};
+
+/**
+ * Whether a service type has a built-in transport
+ * @param {string} type - Service type
+ * @returns {boolean}
+ */
+function hasNativeTransport(type) {
+  return Object.prototype.hasOwnProperty.call(NATIVE_TRANSPORTS, type);
+}
+
+/**
+ * Deliver a message with a type's built-in transport (single attempt)
+ * @param {string} type - Service type
+ * @param {Object} cfg - Service config
+ * @param {Object} message - { title, body }
+ * @param {Object} [options] - { timeout, endpoints }
+ * @returns {Promise<void>}
+ */
+async function sendNative(type, cfg, message, { timeout = DEFAULT_TIMEOUT_MS, endpoints = {} } = {}) {
+  if (!hasNativeTransport(type)) throw deliveryError(`No built-in transport for ${type}`);
+  await NATIVE_TRANSPORTS[type].send(cfg || {}, message, {
+    timeout,
+    endpoints: { ...DEFAULT_ENDPOINTS, ...endpoints }
+  });
+}
+
+module.exports = {
+  RETRY_DELAYS_MS,
+  hasNativeTransport,
+  sendNative,
+  withRetry,
+  deliveryError
+};
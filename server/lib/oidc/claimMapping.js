@@ -0,0 +1,156 @@
+/**
+ * OIDC Claim Mapping - turn verified ID token claims into a local identity
+ *
+ * Mapping config (server.auth.oidc):
+ *   {
+ *     usernameClaim: 'preferred_username',   // dotted paths allowed ('realm_access.roles')
+ *     groupsClaim: 'groups',
+ *     allowedGroups: ['media'],              // empty = any authenticated user may sign in
+ *     adminGroups: ['admins'],               // empty = admin flag is managed locally
+ *     groupCapabilities: [                   // empty = capabilities are managed locally
+ *       { group: 'media', capabilities: ['search', 'add_downloads'] }
+ *     ],
+ *     linkExistingAccounts: false            // also link local accounts that have a password
+ *   }
+ */
+
+const USERNAME_MAX_LENGTH = 32;
+const USERNAME_MIN_LENGTH = 3;
+
+/**
+ * Read a claim by name or dotted path
+ * @param {Object} claims
+ * @param {string} path - e.g. 'groups' or 'realm_access.roles'
+ * @returns {*} Claim value, or undefined
+ */
+function getClaim(claims, path) {
+  if (!claims || !path) return undefined;
+  // Exact key first: some providers use URLs with dots as claim names
+  if (Object.prototype.hasOwnProperty.call(claims, path)) return claims[path];
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+}
+
+/**
+ * Turn a claim value into a valid local username (3-32 chars of [a-zA-Z0-9_]).
+ * Email addresses use their local part; other characters become underscores.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function sanitizeUsername(value) {
+  if (typeof value !== 'string') return null;
+  let name = value.trim();
+  if (name.includes('@')) name = name.split('@')[0];
+  name = name.replace(/[^a-zA-Z0-9_]/g, '_').slice(0, USERNAME_MAX_LENGTH);
+  return name.length >= USERNAME_MIN_LENGTH ? name : null;
+}
+
+/**
+ * Derive the local username from claims: the configured claim, then
+ * preferred_username, then email
+ * @param {Object} claims
+ * @param {string} [usernameClaim='preferred_username']
+ * @returns {string|null}
+ */
+function deriveUsername(claims, usernameClaim = 'preferred_username') {
+  const candidates = [usernameClaim, 'preferred_username', 'email'];
+  for (const claim of candidates) {
+    const username = sanitizeUsername(getClaim(claims, claim));
+    if (username) return username;
+  }
+  return null;
+}
+
+/**
+ * Read group memberships from claims. Accepts arrays or a comma/space separated string.
+ * @param {Object} claims
+ * @param {string} [groupsClaim='groups']
+ * @returns {string[]}
+ */
+function getGroups(claims, groupsClaim = 'groups') {
+  const value = getClaim(claims, groupsClaim);
+  if (Array.isArray(value)) return value.filter(g => typeof g === 'string' && g);
+  if (typeof value === 'string') return value.split(/[\s,]+/).filter(Boolean);
+  return [];
+}
+
+/**
+ * Normalize a configured group list (settings UI may leave blanks and padding)
+ * @param {*} list
+ * @returns {string[]}
+ */
+function normalizeGroupList(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(g => typeof g === 'string').map(g => g.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve access for a set of groups
+ * @param {string[]} groups - User's groups from the provider
+ * @param {Object} mapping - OIDC config (allowedGroups, adminGroups, groupCapabilities)
+ * @param {string[]} validCapabilities - Known capability names
+ * @returns {{ allowed: boolean, isAdmin: boolean|null, capabilities: string[]|null }}
+ *   isAdmin/capabilities are null when the provider does not manage them
+ */
+function resolveAccess(groups, mapping = {}, validCapabilities = []) {
+  const memberOf = new Set(groups);
+  const inAny = (list) => list.some(g => memberOf.has(g));
+
+  const allowedGroups = normalizeGroupList(mapping.allowedGroups);
+  const adminGroups = normalizeGroupList(mapping.adminGroups);
+  const groupCapabilities = Array.isArray(mapping.groupCapabilities) ? mapping.groupCapabilities : [];
+
+  const isAdmin = adminGroups.length > 0 ? inAny(adminGroups) : null;
+
+  // Admin groups always grant access, even when not listed in allowedGroups
+  const allowed = allowedGroups.length === 0 || inAny(allowedGroups) || isAdmin === true;
+
+  let capabilities = null;
+  const matched = groupCapabilities.filter(m => m && typeof m.group === 'string' && memberOf.has(m.group.trim()));
+  if (matched.length > 0) {
+    const caps = new Set();
+    for (const m of matched) {
+      for (const cap of m.capabilities || []) {
+        if (validCapabilities.includes(cap)) caps.add(cap);
+      }
+    }
+    capabilities = validCapabilities.filter(c => caps.has(c));
+  }
+
+  return { allowed, isAdmin, capabilities };
+}
+
+/**
+ * Decide whether a first OIDC login may link an existing local account with
+ * the same username. The username comes from the provider, where users can
+ * often pick or change it, so linking must not hand over accounts that are
+ * protected locally:
+ * - admins and accounts with two-factor authentication are never linked
+ * - accounts with a password are only linked when linkExistingAccounts is
+ *   enabled and the provider vouches for the email (email_verified)
+ * - password-less accounts (created for SSO) are linked
+ * @param {Object} user - Local user row (is_admin, totp_enabled, password_hash)
+ * @param {Object} claims - Verified claims
+ * @param {Object} mapping - OIDC config (linkExistingAccounts)
+ * @returns {string|null} Reason the account can't be linked, or null to link it
+ */
+function getLinkRefusal(user, claims, mapping = {}) {
+  if (user.is_admin) {
+    return `"${user.username}" is an admin account and can't be linked automatically`;
+  }
+  if (user.totp_enabled) {
+    return `"${user.username}" uses two-factor authentication and can't be linked automatically`;
+  }
+  if (user.password_hash && (mapping.linkExistingAccounts !== true || claims?.email_verified !== true)) {
+    return `"${user.username}" is a local account with a password and can't be linked automatically`;
+  }
+  return null;
+}
+
+module.exports = {
+  getClaim,
+  sanitizeUsername,
+  deriveUsername,
+  getGroups,
+  resolveAccess,
+  getLinkRefusal
+};
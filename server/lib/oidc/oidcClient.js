@@ -0,0 +1,391 @@
+/**
+ * OpenID Connect Client - authorization code flow with PKCE
+ *
+ * Covers what a relying party needs to sign users in:
+ * - Provider discovery (.well-known/openid-configuration) with caching
+ * - Authorization URL building (state, nonce, S256 code challenge)
+ * - Code exchange at the token endpoint (client_secret_basic/post or public client)
+ * - ID token signature and claim validation against the provider's JWKS
+ * - Optional userinfo lookup (some providers only expose groups there)
+ *
+ * Supported ID token algorithms: RS256/384/512, PS256/384/512, ES256/384/512.
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;      // Re-read provider metadata hourly
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: { hash: 'sha256', kty: 'RSA', pss: true },
+  PS384: { hash: 'sha384', kty: 'RSA', pss: true },
+  PS512: { hash: 'sha512', kty: 'RSA', pss: true },
+  ES256: { hash: 'sha256', kty: 'EC' },
+  ES384: { hash: 'sha384', kty: 'EC' },
+  ES512: { hash: 'sha512', kty: 'EC' }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Random URL-safe token for state and nonce values
+ * @param {number} [bytes=32]
+ * @returns {string}
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ * @returns {{ codeVerifier: string, codeChallenge: string }}
+ */
+function createPkcePair() {
+  const codeVerifier = randomToken(32);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Strip a trailing slash so issuer URLs compare consistently
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeIssuer(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Decode a JWT without verifying it
+ * @param {string} token
+ * @returns {{ header: Object, payload: Object, signingInput: string, signature: Buffer }}
+ * @throws {Error} If the token is not a well-formed JWS
+ */
+function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) throw new Error('Malformed ID token');
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch {
+    throw new Error('Malformed ID token');
+  }
+}
+
+/**
+ * Verify a JWS signature with a JWK
+ * @param {Object} decoded - Result of decodeJwt()
+ * @param {Object} jwk - Public key
+ * @returns {boolean}
+ */
+function verifySignature(decoded, jwk) {
+  const alg = SIGNING_ALGORITHMS[decoded.header.alg];
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const options = { key };
+  if (alg.pss) {
+    options.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (alg.kty === 'EC') {
+    options.dsaEncoding = 'ieee-p1363';
+  }
+  return crypto.verify(alg.hash, Buffer.from(decoded.signingInput), options, decoded.signature);
+}
+
+/**
+ * Pick the JWKS keys that could have signed a token
+ * @param {Object[]} keys - JWKS "keys" array
+ * @param {Object} header - JWT header
+ * @returns {Object[]}
+ */
+function findSigningKeys(keys, header) {
+  const { kty } = SIGNING_ALGORITHMS[header.alg];
+  return (keys || []).filter(k =>
+    k.kty === kty
+    && (!k.use || k.use === 'sig')
+    && (!k.alg || k.alg === header.alg)
+    && (!header.kid || k.kid === header.kid)
+  );
+}
+
+/**
+ * Validate ID token claims (OIDC Core 3.1.3.7)
+ * @param {Object} claims
+ * @param {Object} expected
+ * @param {string} expected.issuer
+ * @param {string} expected.clientId
+ * @param {string} expected.nonce
+ * @param {number} [expected.now] - Seconds since epoch
+ * @throws {Error} On the first failing check
+ */
+function validateClaims(claims, { issuer, clientId, nonce, now = Math.floor(Date.now() / 1000) }) {
+  if (normalizeIssuer(claims.iss) !== normalizeIssuer(issuer)) {
+    throw new Error('ID token issuer mismatch');
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(clientId)) {
+    throw new Error('ID token audience mismatch');
+  }
+  if (audiences.length > 1 && claims.azp && claims.azp !== clientId) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE_SECONDS < now) {
+    throw new Error('ID token expired');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_TOLERANCE_SECONDS > now) {
+    throw new Error('ID token issued in the future');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+    throw new Error('ID token not yet valid');
+  }
+
+  if (!nonce || claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+class OidcClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.issuerUrl - Provider issuer URL
+   * @param {string} options.clientId
+   * @param {string} [options.clientSecret] - Omit for public clients (PKCE only)
+   * @param {number} [options.timeout=10000] - HTTP timeout in ms
+   */
+  constructor({ issuerUrl, clientId, clientSecret = '', timeout = REQUEST_TIMEOUT_MS }) {
+    this.issuerUrl = normalizeIssuer(issuerUrl);
+    this.clientId = clientId;
+    this.clientSecret = clientSecret || '';
+    this.timeout = timeout;
+
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.jwks = null;
+  }
+
+  /**
+   * GET a JSON document from the provider
+   * @param {string} url
+   * @param {Object} [headers]
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _getJson(url, headers = {}) {
+    const res = await fetch(url, {
+      headers: { Accept: 'application/json', ...headers },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!res.ok) {
+      throw new Error(`${url} returned HTTP ${res.status}`);
+    }
+    return res.json();
+  }
+
+  /**
+   * Load (and cache) the provider metadata
+   * @param {boolean} [force=false] - Bypass the cache
+   * @returns {Promise<Object>} Discovery document
+   */
+  async discover(force = false) {
+    if (!force && this.metadata && Date.now() - this.metadataFetchedAt < DISCOVERY_TTL_MS) {
+      return this.metadata;
+    }
+
+    const metadata = await this._getJson(`${this.issuerUrl}/.well-known/openid-configuration`);
+    if (normalizeIssuer(metadata.issuer) !== this.issuerUrl) {
+      throw new Error(`Discovery issuer "${metadata.issuer}" does not match configured issuer "${this.issuerUrl}"`);
+    }
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!metadata[field]) throw new Error(`Discovery document is missing ${field}`);
+    }
+
+    this.metadata = metadata;
+    this.metadataFetchedAt = Date.now();
+    return metadata;
+  }
+
+  /**
+   * Build the URL the browser is sent to for login
+   * @param {Object} params
+   * @param {string} params.redirectUri
+   * @param {string} params.state
+   * @param {string} params.nonce
+   * @param {string} params.codeChallenge - S256 PKCE challenge
+   * @param {string} [params.scopes='openid profile email']
+   * @returns {Promise<string>}
+   */
+  async getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge, scopes = 'openid profile email' }) {
+    const metadata = await this.discover();
+
+    const scopeList = String(scopes).split(/[\s,]+/).filter(Boolean);
+    if (!scopeList.includes('openid')) scopeList.unshift('openid');
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', scopeList.join(' '));
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {Object} params
+   * @param {string} params.code
+   * @param {string} params.redirectUri - Must match the authorization request
+   * @param {string} params.codeVerifier - PKCE verifier
+   * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+   */
+  async exchangeCode({ code, redirectUri, codeVerifier }) {
+    const metadata = await this.discover();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+
+    // Prefer HTTP Basic (the spec default); fall back to POST body when that's all the provider takes
+    const authMethods = metadata.token_endpoint_auth_methods_supported;
+    if (!this.clientSecret) {
+      body.set('client_id', this.clientId);
+    } else if (Array.isArray(authMethods) && !authMethods.includes('client_secret_basic') && authMethods.includes('client_secret_post')) {
+      body.set('client_id', this.clientId);
+      body.set('client_secret', this.clientSecret);
+    } else {
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const res = await fetch(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: body.toString(),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    let data = null;
+    try {
+      data = await res.json();
+    } catch {
+      // Non-JSON error page — reported below
+    }
+
+    if (!res.ok || !data) {
+      const detail = data?.error_description || data?.error || `HTTP ${res.status}`;
+      throw new Error(`Token exchange failed: ${detail}`);
+    }
+    if (!data.id_token) {
+      throw new Error('Token response did not include an ID token');
+    }
+    return data;
+  }
+
+  /**
+   * Load the provider signing keys
+   * @param {boolean} [force=false] - Re-fetch even if cached (key rotation)
+   * @returns {Promise<Object[]>}
+   */
+  async getSigningKeys(force = false) {
+    if (!force && this.jwks) return this.jwks;
+    const metadata = await this.discover();
+    const doc = await this._getJson(metadata.jwks_uri);
+    this.jwks = Array.isArray(doc.keys) ? doc.keys : [];
+    return this.jwks;
+  }
+
+  /**
+   * Verify an ID token's signature and claims
+   * @param {string} idToken
+   * @param {Object} options
+   * @param {string} options.nonce - Nonce sent with the authorization request
+   * @param {number} [options.now] - Seconds since epoch (tests)
+   * @returns {Promise<Object>} Verified claims
+   */
+  async verifyIdToken(idToken, { nonce, now } = {}) {
+    const metadata = await this.discover();
+    const decoded = decodeJwt(idToken);
+
+    if (!SIGNING_ALGORITHMS[decoded.header.alg]) {
+      throw new Error(`Unsupported ID token algorithm: ${decoded.header.alg}`);
+    }
+
+    let candidates = findSigningKeys(await this.getSigningKeys(), decoded.header);
+    if (candidates.length === 0) {
+      // Unknown kid — the provider may have rotated keys since we cached them
+      candidates = findSigningKeys(await this.getSigningKeys(true), decoded.header);
+    }
+    if (candidates.length === 0) {
+      throw new Error('No matching signing key for ID token');
+    }
+
+    const valid = candidates.some(jwk => {
+      try {
+        return verifySignature(decoded, jwk);
+      } catch {
+        return false;
+      }
+    });
+    if (!valid) {
+      throw new Error('Invalid ID token signature');
+    }
+
+    validateClaims(decoded.payload, {
+      issuer: metadata.issuer,
+      clientId: this.clientId,
+      nonce,
+      now
+    });
+    return decoded.payload;
+  }
+
+  /**
+   * Fetch userinfo claims for an access token
+   * @param {string} accessToken
+   * @returns {Promise<Object|null>} Claims, or null if the provider has no userinfo endpoint
+   */
+  async fetchUserInfo(accessToken) {
+    const metadata = await this.discover();
+    if (!metadata.userinfo_endpoint || !accessToken) return null;
+    return this._getJson(metadata.userinfo_endpoint, { Authorization: `Bearer ${accessToken}` });
+  }
+}
+
+module.exports = {
+  OidcClient,
+  randomToken,
+  createPkcePair,
+  decodeJwt,
+  validateClaims,
+  normalizeIssuer,
+  SIGNING_ALGORITHMS
+};
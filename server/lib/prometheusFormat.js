@@ -0,0 +1,117 @@
+/**
+ * Prometheus Text Exposition Format
+ *
+ * Minimal builder/serializer for the Prometheus text format (version 0.0.4).
+ * Collectors add samples to MetricFamily objects; formatMetricFamilies()
+ * renders them with HELP/TYPE headers and escaped label values.
+ */
+
+'use strict';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const METRIC_TYPES = ['counter', 'gauge', 'untyped'];
+
+/**
+ * Escape a label value (backslash, double quote and newline)
+ * @param {*} value - Label value (coerced to string)
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape HELP text (backslash and newline only)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value
+ * @param {number|boolean} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * A named metric with a type, help text and labelled samples
+ */
+class MetricFamily {
+  /**
+   * @param {string} name - Metric name (e.g. amutorrent_items)
+   * @param {string} type - 'counter', 'gauge' or 'untyped'
+   * @param {string} help - One-line description
+   */
+  constructor(name, type, help) {
+    if (!METRIC_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    if (!METRIC_TYPES.includes(type)) {
+      throw new Error(`Invalid metric type for ${name}: ${type}`);
+    }
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.samples = [];
+  }
+
+  /**
+   * Add a sample. Null/undefined values are ignored so collectors can pass
+   * optional fields straight through.
+   * @param {Object} labels - Label name → value
+   * @param {number|boolean|null} value
+   * @returns {MetricFamily} this (chainable)
+   */
+  add(labels, value) {
+    if (value === null || value === undefined) return this;
+    for (const key of Object.keys(labels)) {
+      if (!LABEL_NAME_PATTERN.test(key)) {
+        throw new Error(`Invalid label name for ${this.name}: ${key}`);
+      }
+    }
+    this.samples.push({ labels, value });
+    return this;
+  }
+}
+
+/**
+ * Render metric families to exposition text
+ * @param {Array<MetricFamily>} families
+ * @returns {string} Text ending with a newline
+ */
+function formatMetricFamilies(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${escapeHelp(family.help)}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const { labels, value } of family.samples) {
+      const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`);
+      const labelStr = pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+      lines.push(`${family.name}${labelStr} ${formatValue(value)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  MetricFamily,
+  escapeLabelValue,
+  formatValue,
+  formatMetricFamilies
+};
@@ -293,6 +293,20 @@ class QBittorrentClient {
     return this._get('/api/v2/torrents/properties', { hash });
   }
 
+  /**
+   * Export a torrent's .torrent metainfo (qBittorrent 4.5+)
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Buffer>} Raw .torrent file contents
+   */
+  async exportTorrent(hash) {
+    await this.ensureLoggedIn();
+    const response = await this._fetch(`/api/v2/torrents/export?${new URLSearchParams({ hash })}`, { method: 'GET' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
   /**
    * Get global transfer info (speeds, all-time totals)
    * Uses /sync/maindata for all-time stats that persist across qBittorrent restarts
@@ -321,6 +335,16 @@ class QBittorrentClient {
     return this._get('/api/v2/app/preferences');
   }
 
+  /**
+   * Update application preferences (only the keys given are changed)
+   * @param {Object} prefs - Preference key/value pairs
+   * @returns {Promise<void>}
+   */
+  async setPreferences(prefs) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/app/setPreferences', { json: JSON.stringify(prefs) });
+  }
+
   /**
    * Get application log entries
    * @param {Object} options - Filter options
@@ -460,6 +484,22 @@ class QBittorrentClient {
     });
   }
 
+  /**
+   * Set the download priority of files in a torrent
+   * @param {string} hash - Torrent hash
+   * @param {number[]} ids - File indices
+   * @param {number} priority - 0=Do not download, 1=Normal, 6=High, 7=Maximal
+   * @returns {Promise<void>}
+   */
+  async setFilePriority(hash, ids, priority) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/filePrio', {
+      hash,
+      id: ids.join('|'),
+      priority
+    });
+  }
+
   /**
    * Set location (save path) for a torrent
    * @param {string} hash - Torrent hash
@@ -539,6 +579,127 @@ class QBittorrentClient {
     await this._post('/api/v2/torrents/reannounce', { hashes: hash });
   }
 
+  /**
+   * Add trackers to a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Tracker announce URLs
+   * @returns {Promise<void>}
+   */
+  async addTrackers(hash, urls) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/addTrackers', { hash, urls: urls.join('\n') });
+  }
+
+  /**
+   * Replace a tracker URL on a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string} origUrl - Current announce URL
+   * @param {string} newUrl - New announce URL
+   * @returns {Promise<void>}
+   */
+  async editTracker(hash, origUrl, newUrl) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/editTracker', { hash, origUrl, newUrl });
+  }
+
+  /**
+   * Remove trackers from a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Tracker announce URLs
+   * @returns {Promise<void>}
+   */
+  async removeTrackers(hash, urls) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/removeTrackers', { hash, urls: urls.join('|') });
+  }
+
+  // ============================================================================
+  // QUEUE
+  // ============================================================================
+
+  /**
+   * Move torrents within the queue (requires queueing to be enabled)
+   * @param {string|Array<string>} hashes - Torrent hash(es)
+   * @param {'top'|'up'|'down'|'bottom'} direction - Where to move them
+   * @returns {Promise<void>}
+   */
+  async queueMove(hashes, direction) {
+    const endpoint = { top: 'topPrio', up: 'increasePrio', down: 'decreasePrio', bottom: 'bottomPrio' }[direction];
+    if (!endpoint) throw new Error(`Unknown queue direction: ${direction}`);
+    await this.ensureLoggedIn();
+    await this._post(`/api/v2/torrents/${endpoint}`, { hashes: [].concat(hashes).join('|') });
+  }
+
+  /**
+   * Set or clear force start (ignores queue limits)
+   * @param {string|Array<string>} hashes - Torrent hash(es)
+   * @param {boolean} value - Force start on/off
+   * @returns {Promise<void>}
+   */
+  async setForceStart(hashes, value) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/setForceStart', { hashes: [].concat(hashes).join('|'), value: !!value });
+  }
+
+  // ============================================================================
+  // TRANSFER LIMITS
+  // ============================================================================
+
+  /**
+   * Get global download and upload limits
+   * @returns {Promise<{download: number, upload: number}>} Bytes/s, 0 = unlimited
+   */
+  async getTransferLimits() {
+    await this.ensureLoggedIn();
+    const [download, upload] = await Promise.all([
+      this._get('/api/v2/transfer/downloadLimit'),
+      this._get('/api/v2/transfer/uploadLimit')
+    ]);
+    return { download: Number(download) || 0, upload: Number(upload) || 0 };
+  }
+
+  /**
+   * Set global download limit
+   * @param {number} limit - Bytes/s, 0 = unlimited
+   * @returns {Promise<void>}
+   */
+  async setDownloadLimit(limit) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/transfer/setDownloadLimit', { limit });
+  }
+
+  /**
+   * Set global upload limit
+   * @param {number} limit - Bytes/s, 0 = unlimited
+   * @returns {Promise<void>}
+   */
+  async setUploadLimit(limit) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/transfer/setUploadLimit', { limit });
+  }
+
+  /**
+   * Set the download limit of individual torrents
+   * @param {string|Array<string>} hashes - Torrent hash(es)
+   * @param {number} limit - Bytes/s, 0 = unlimited
+   * @returns {Promise<void>}
+   */
+  async setTorrentDownloadLimit(hashes, limit) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/setDownloadLimit', { hashes: [].concat(hashes).join('|'), limit });
+  }
+
+  /**
+   * Set the upload limit of individual torrents
+   * @param {string|Array<string>} hashes - Torrent hash(es)
+   * @param {number} limit - Bytes/s, 0 = unlimited
+   * @returns {Promise<void>}
+   */
+  async setTorrentUploadLimit(hashes, limit) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/setUploadLimit', { hashes: [].concat(hashes).join('|'), limit });
+  }
+
   // ============================================================================
   // CONNECTION TESTING
   // ============================================================================
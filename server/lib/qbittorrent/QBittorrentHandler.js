@@ -11,6 +11,7 @@ const logger = require('../logger');
 const response = require('../responseFormatter');
 const { minutesToMs } = require('../timeRange');
 const { verifyPassword } = require('../authUtils');
+const authManager = require('../../modules/authManager');
 const { convertToQBittorrentInfo, convertToQBittorrentProperties, convertToQBittorrentFiles } = require('./stateMapping');
 const { convertMagnetToEd2k } = require('../linkConverter');
 const { itemKey } = require('../itemKey');
@@ -92,9 +93,10 @@ class QBittorrentHandler {
   /**
    * POST /api/v2/auth/login
    *
-   * Verifies credentials against users.db (username + password or API key)
-   * and, on success, issues a SID cookie scoped to /api/v2/. Sonarr's
-   * username/password mode (and qBit-native browser clients) need the cookie
+   * Verifies credentials against users.db (username + password or API key;
+   * two-factor accounts must use the API key) and, on success, issues a SID
+   * cookie scoped to /api/v2/. Sonarr's username/password mode (and
+   * qBit-native browser clients) need the cookie
    * to authenticate subsequent requests; without it our protected middleware
    * returns 401 even after a successful login.
    */
@@ -121,11 +123,15 @@ class QBittorrentHandler {
       let authedUser = null;
       let authMode = null;
 
-      // Try username + password
+      // Try username + password (not for 2FA accounts — there is no code prompt here)
       if (username) {
         const user = this.userManager.getUserByUsername(username);
         if (user && !user.disabled && user.is_admin && user.password_hash) {
           const isValid = await verifyPassword(password, user.password_hash);
+          if (isValid && authManager.hasSecondFactor(user)) {
+            logger.warn(`[qBittorrent] Login refused: "${username}" uses two-factor authentication, use an API key`);
+            return res.send('Fails.');
+          }
           if (isValid) {
             authedUser = user;
             authMode = 'password';
@@ -14,6 +14,7 @@ const logger = require('../logger');
  */
 class HashStore {
   constructor(dbPath) {
+    this.dbPath = dbPath;
     try {
       // Ensure database directory exists
       const dbDir = path.dirname(dbPath);
@@ -139,6 +140,17 @@ class HashStore {
     return result.changes;
   }
 
+  /**
+   * Close and reopen the database file, re-running schema migrations.
+   * Used after a backup restore replaced the file on disk.
+   */
+  reopen() {
+    this.db.close();
+    this.db = new Database(this.dbPath, { fileMustExist: false });
+    this.db.pragma('journal_mode = WAL');
+    this.initSchema();
+  }
+
   /**
    * Close the database connection
    */
@@ -0,0 +1,108 @@
+/**
+ * Feed Filter - rule matching for the RSS watcher
+ *
+ * Rule shape (stored per feed):
+ *   {
+ *     id: 'r1', name: 'Show Alpha 1080p', enabled: true,
+ *     include: 'show\\.alpha.*1080p',   // regex, case-insensitive ('' = everything)
+ *     exclude: '\\b(cam|ts)\\b',        // regex, case-insensitive ('' = nothing)
+ *     minSize: 0, maxSize: 0,           // bytes, 0 = no bound
+ *     feedCategories: ['TV'],           // item must carry one of these (substring, case-insensitive)
+ *     instanceId: 'qbittorrent-...',    // target client instance
+ *     category: 'tv'                    // app category assigned on add
+ *   }
+ */
+
+/**
+ * Compile a user-supplied pattern
+ * @param {string} pattern - Regex source
+ * @returns {RegExp|null} Compiled regex, or null for an empty pattern
+ * @throws {Error} If the pattern is invalid
+ */
+function compilePattern(pattern) {
+  if (!pattern || !String(pattern).trim()) return null;
+  try {
+    return new RegExp(String(pattern).trim(), 'i');
+  } catch (err) {
+    throw new Error(`Invalid regular expression "${pattern}": ${err.message}`);
+  }
+}
+
+/**
+ * Validate a rule, returning a list of human-readable problems
+ * @param {Object} rule - Filter rule
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateRule(rule) {
+  const errors = [];
+  const label = rule?.name || 'Unnamed rule';
+  for (const field of ['include', 'exclude']) {
+    try {
+      compilePattern(rule?.[field]);
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`);
+    }
+  }
+  const minSize = Number(rule?.minSize) || 0;
+  const maxSize = Number(rule?.maxSize) || 0;
+  if (minSize < 0 || maxSize < 0) errors.push(`${label}: sizes cannot be negative`);
+  if (maxSize > 0 && minSize > maxSize) errors.push(`${label}: minimum size is larger than maximum size`);
+  if (!rule?.instanceId) errors.push(`${label}: a target client is required`);
+  return errors;
+}
+
+/**
+ * Check whether a feed item satisfies a rule.
+ * Items with an unknown size pass size bounds (many feeds omit it).
+ * @param {Object} item - Parsed feed item ({ title, size, categories })
+ * @param {Object} rule - Filter rule
+ * @returns {boolean}
+ */
+function matchesRule(item, rule) {
+  if (!rule || rule.enabled === false) return false;
+
+  let include, exclude;
+  try {
+    include = compilePattern(rule.include);
+    exclude = compilePattern(rule.exclude);
+  } catch {
+    return false;
+  }
+
+  const title = item.title || '';
+  if (include && !include.test(title)) return false;
+  if (exclude && exclude.test(title)) return false;
+
+  if (item.size) {
+    const minSize = Number(rule.minSize) || 0;
+    const maxSize = Number(rule.maxSize) || 0;
+    if (minSize > 0 && item.size < minSize) return false;
+    if (maxSize > 0 && item.size > maxSize) return false;
+  }
+
+  const wanted = (rule.feedCategories || []).map(c => String(c).trim().toLowerCase()).filter(Boolean);
+  if (wanted.length > 0) {
+    const itemCategories = (item.categories || []).map(c => String(c).toLowerCase());
+    if (!wanted.some(w => itemCategories.some(c => c.includes(w)))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find the first rule matching an item (rules are evaluated in list order)
+ * @param {Object} item - Parsed feed item
+ * @param {Array<Object>} rules - Filter rules
+ * @returns {Object|null} Matching rule, or null
+ */
+function findMatchingRule(item, rules) {
+  if (!Array.isArray(rules)) return null;
+  return rules.find(rule => matchesRule(item, rule)) || null;
+}
+
+module.exports = {
+  compilePattern,
+  validateRule,
+  matchesRule,
+  findMatchingRule
+};
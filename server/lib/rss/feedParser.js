@@ -0,0 +1,173 @@
+/**
+ * Feed Parser - RSS 2.0 / Atom parsing for the RSS watcher
+ *
+ * Normalizes feed entries into { guid, title, link, linkType, size, categories,
+ * publishedAt }, picking the most useful download link per entry:
+ * magnet / ed2k links first, then .torrent enclosures, then the plain link.
+ * Understands the common torrent extensions (torrent:*, torznab:attr, <size>).
+ */
+
+const { create } = require('xmlbuilder2');
+
+/**
+ * Classify a download link
+ * @param {string} url - Link URL
+ * @returns {'magnet'|'ed2k'|'torrent'|null} Link type, or null if not downloadable
+ */
+function getLinkType(url) {
+  if (!url || typeof url !== 'string') return null;
+  const trimmed = url.trim();
+  if (/^magnet:\?/i.test(trimmed)) return 'magnet';
+  if (/^ed2k:\/\//i.test(trimmed)) return 'ed2k';
+  if (/^https?:\/\//i.test(trimmed)) return 'torrent';
+  return null;
+}
+
+// Direct element children, matched by local name (ignores namespace prefixes)
+const childElements = (node, localName) =>
+  Array.from(node.childNodes || []).filter(c => c.nodeType === 1 && c.localName === localName);
+
+const childText = (node, localName) => {
+  const el = childElements(node, localName)[0];
+  const text = el?.textContent?.trim();
+  return text || null;
+};
+
+const toSize = (value) => {
+  const num = parseInt(value, 10);
+  return Number.isFinite(num) && num > 0 ? num : null;
+};
+
+/**
+ * Read torznab/newznab <attr name="..." value="..."/> extensions into a map
+ */
+const readAttrs = (node) => {
+  const attrs = {};
+  for (const el of childElements(node, 'attr')) {
+    const name = el.getAttribute('name');
+    if (name) attrs[name.toLowerCase()] = el.getAttribute('value');
+  }
+  return attrs;
+};
+
+/**
+ * Pick the best download link out of a list of candidates
+ * @param {Array<string|null>} candidates - Links in preference order
+ * @returns {{link: string|null, linkType: string|null}}
+ */
+function pickLink(candidates) {
+  const valid = candidates.filter(Boolean).map(c => c.trim());
+  const direct = valid.find(c => ['magnet', 'ed2k'].includes(getLinkType(c)));
+  const link = direct || valid.find(c => getLinkType(c) === 'torrent') || null;
+  return { link, linkType: getLinkType(link) };
+}
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+/**
+ * Parse an RSS <item>
+ */
+function parseRssItem(item) {
+  const attrs = readAttrs(item);
+  const enclosure = childElements(item, 'enclosure')[0];
+  const enclosureUrl = enclosure?.getAttribute('url') || null;
+  const enclosureType = enclosure?.getAttribute('type') || '';
+
+  const link = childText(item, 'link');
+  const guid = childText(item, 'guid');
+  const { link: downloadLink, linkType } = pickLink([
+    childText(item, 'magnetURI'),
+    attrs.magneturl,
+    // Prefer a torrent enclosure over an HTML details page
+    enclosureType.includes('bittorrent') ? enclosureUrl : null,
+    link,
+    enclosureUrl,
+    guid
+  ]);
+
+  return {
+    guid: guid || downloadLink || childText(item, 'title'),
+    title: childText(item, 'title') || '',
+    link: downloadLink,
+    linkType,
+    size: toSize(attrs.size) || toSize(childText(item, 'contentLength')) || toSize(childText(item, 'size')) ||
+      toSize(enclosure?.getAttribute('length')),
+    categories: childElements(item, 'category').map(c => c.textContent.trim()).filter(Boolean),
+    infoHash: (attrs.infohash || childText(item, 'infoHash') || '').toLowerCase() || null,
+    publishedAt: parseDate(childText(item, 'pubDate'))
+  };
+}
+
+/**
+ * Parse an Atom <entry>
+ */
+function parseAtomEntry(entry) {
+  const links = childElements(entry, 'link');
+  const enclosure = links.find(l => l.getAttribute('rel') === 'enclosure');
+  const alternate = links.find(l => !l.getAttribute('rel') || l.getAttribute('rel') === 'alternate');
+  const { link, linkType } = pickLink([
+    enclosure?.getAttribute('href'),
+    ...links.map(l => l.getAttribute('href')),
+    alternate?.getAttribute('href')
+  ]);
+  const id = childText(entry, 'id');
+
+  return {
+    guid: id || link || childText(entry, 'title'),
+    title: childText(entry, 'title') || '',
+    link,
+    linkType,
+    size: toSize(enclosure?.getAttribute('length')),
+    categories: childElements(entry, 'category')
+      .map(c => (c.getAttribute('term') || c.textContent || '').trim())
+      .filter(Boolean),
+    infoHash: null,
+    publishedAt: parseDate(childText(entry, 'updated') || childText(entry, 'published'))
+  };
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document
+ * @param {string} xml - Feed XML
+ * @returns {{title: string|null, items: Array<Object>}}
+ * @throws {Error} If the document is not RSS or Atom
+ */
+function parseFeed(xml) {
+  let doc;
+  try {
+    doc = create(String(xml || '').trim()).node;
+  } catch (err) {
+    throw new Error(`Invalid feed XML: ${err.message}`);
+  }
+
+  const root = doc.documentElement;
+  if (!root) throw new Error('Invalid feed XML: empty document');
+
+  if (root.localName === 'feed') {
+    return {
+      title: childText(root, 'title'),
+      items: childElements(root, 'entry').map(parseAtomEntry)
+    };
+  }
+
+  // RSS 2.0 (<rss><channel>) and RSS 1.0/RDF (<rdf:RDF><item>)
+  const channel = childElements(root, 'channel')[0];
+  if (root.localName === 'rss' || root.localName === 'RDF') {
+    const itemParent = root.localName === 'RDF' ? root : channel;
+    return {
+      title: channel ? childText(channel, 'title') : null,
+      items: itemParent ? childElements(itemParent, 'item').map(parseRssItem) : []
+    };
+  }
+
+  throw new Error(`Unsupported feed format: <${root.localName}>`);
+}
+
+module.exports = {
+  parseFeed,
+  getLinkType
+};
@@ -175,7 +175,9 @@ class RtorrentHandler {
       message,
       isMultiFile,
       hashing,
-      priority
+      priority,
+      chunksHashed,
+      sizeChunks
     ] = row;
 
     // Handle null/undefined values and convert to numbers
@@ -218,6 +220,17 @@ class RtorrentHandler {
       status = completeInt === 1 ? 'seeding' : 'downloading';
     }
 
+    // Hash check progress (0–100) while checking or queued for a check
+    let checkProgress = null;
+    if (status === 'checking') {
+      const totalChunks = parseInt(sizeChunks, 10) || 0;
+      checkProgress = totalChunks > 0
+        ? parseFloat((Math.min(parseInt(chunksHashed, 10) || 0, totalChunks) / totalChunks * 100).toFixed(2))
+        : 0;
+    } else if (status === 'hashing-queued') {
+      checkProgress = 0;
+    }
+
     return {
       hash: (hash || '').toUpperCase(),
       name: name || `[Magnet] ${(hash || '').substring(0, 8)}...`,
@@ -246,6 +259,7 @@ class RtorrentHandler {
       message: message || '',  // Tracker/download message (errors, etc.)
       isMultiFile: parseInt(isMultiFile, 10) === 1,
       priority: parseInt(priority, 10) || 0,  // 0=off, 1=low, 2=normal, 3=high
+      checkProgress,
       clientType: 'rtorrent'
     };
   }
@@ -286,7 +300,9 @@ class RtorrentHandler {
         'd.message=',         // Tracker/download message (errors, etc.)
         'd.is_multi_file=',   // Whether torrent has multiple files
         'd.hashing=',         // Hashing state: 0=none, 1=initial, 2=end-game, 3=rehash
-        'd.priority='         // Priority: 0=off, 1=low, 2=normal, 3=high
+        'd.priority=',        // Priority: 0=off, 1=low, 2=normal, 3=high
+        'd.chunks_hashed=',   // Chunks verified so far by the running hash check
+        'd.size_chunks='
       ]);
 
       if (!result || !Array.isArray(result)) {
@@ -588,6 +604,32 @@ class RtorrentHandler {
     };
   }
 
+  /**
+   * Get global throttle limits
+   * @returns {Promise<{download: number, upload: number}>} Bytes/s, 0 = unlimited
+   */
+  async getThrottleLimits() {
+    const results = await this.multicall([
+      { method: 'throttle.global_down.max_rate', params: [] },
+      { method: 'throttle.global_up.max_rate', params: [] }
+    ]);
+    return {
+      download: parseInt(results[0], 10) || 0,
+      upload: parseInt(results[1], 10) || 0
+    };
+  }
+
+  /**
+   * Set global throttle limits. Omitted values are left unchanged.
+   * @param {Object} limits - { download, upload } in bytes/s, 0 = unlimited
+   * @returns {Promise<void>}
+   */
+  async setThrottleLimits({ download, upload } = {}) {
+    // Global setters still take the (empty) target as first parameter
+    if (download !== undefined) await this.call('throttle.global_down.max_rate.set', ['', download]);
+    if (upload !== undefined) await this.call('throttle.global_up.max_rate.set', ['', upload]);
+  }
+
   /**
    * Get the default download directory configured in rTorrent
    * @returns {Promise<string>} Default directory path
@@ -643,6 +685,61 @@ class RtorrentHandler {
     }
   }
 
+  /**
+   * Set the priority of files in a torrent and apply it
+   * @param {string} hash - Torrent info hash
+   * @param {number[]} indices - File indices
+   * @param {number} priority - File priority (0=off, 1=normal, 2=high)
+   * @returns {Promise<Array>} Per-call multicall results
+   */
+  async setFilePriorities(hash, indices, priority) {
+    const validPriority = Math.max(0, Math.min(2, parseInt(priority, 10) || 0));
+    return await this.multicall([
+      ...indices.map(index => ({ method: 'f.priority.set', params: [`${hash}:f${index}`, validPriority] })),
+      { method: 'd.update_priorities', params: [hash] }
+    ]);
+  }
+
+  /**
+   * Get the announce URLs of a torrent in tracker-index order
+   * (unlike getAllTrackersDetailed, nothing is filtered out, so positions
+   * can be used as `t<index>` targets)
+   * @param {string} hash - Torrent info hash
+   * @returns {Promise<Array<{index: number, url: string, enabled: boolean}>>}
+   */
+  async getTrackerList(hash) {
+    const rows = await this.call('t.multicall', [hash, '', 't.url=', 't.is_enabled=']);
+    return (rows || []).map(([url, enabled], index) => ({ index, url, enabled: enabled === 1 || enabled === '1' }));
+  }
+
+  /**
+   * Add a tracker to a torrent
+   * @param {string} hash - Torrent info hash
+   * @param {number} group - Tracker group (tier)
+   * @param {string} url - Announce URL
+   */
+  async insertTracker(hash, group, url) {
+    await this.call('d.tracker.insert', [hash, String(group), url]);
+  }
+
+  /**
+   * Enable or disable a tracker (rTorrent cannot delete trackers)
+   * @param {string} hash - Torrent info hash
+   * @param {number} index - Tracker index
+   * @param {boolean} enabled - New state
+   */
+  async setTrackerEnabled(hash, index, enabled) {
+    await this.call('t.is_enabled.set', [`${hash}:t${index}`, enabled ? 1 : 0]);
+  }
+
+  /**
+   * Force a tracker announce
+   * @param {string} hash - Torrent info hash
+   */
+  async announce(hash) {
+    await this.call('d.tracker_announce', [hash]);
+  }
+
   /**
    * Start a download
    * @param {string} hash - Torrent info hash
@@ -672,6 +769,23 @@ class RtorrentHandler {
     await this.call('d.close', [hash]);
   }
 
+  /**
+   * Force a full hash recheck of the downloaded data
+   * @param {string} hash - Torrent info hash
+   */
+  async checkHash(hash) {
+    await this.call('d.check_hash', [hash]);
+  }
+
+  /**
+   * Get the path of a download's copy of its .torrent in the session directory
+   * @param {string} hash - Torrent info hash
+   * @returns {Promise<string>} Path as rTorrent sees it ('' when sessions are disabled)
+   */
+  async getSessionFile(hash) {
+    return await this.call('d.session_file', [hash]);
+  }
+
   /**
    * Remove a download (keeps files)
    * @param {string} hash - Torrent info hash
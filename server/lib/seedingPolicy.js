@@ -0,0 +1,88 @@
+/**
+ * Seeding Policy Utilities
+ * Pure goal evaluation for the per-category seeding policy engine
+ *
+ * Policy shape (stored per category in categories.json as `seedingPolicy`):
+ *   {
+ *     enabled: true,
+ *     ratio: 2,                  // target upload ratio, 0 = no ratio goal
+ *     minSeedTimeMinutes: 1440,  // never act before seeding this long
+ *     maxIdleMinutes: 0,         // act after this long without uploading, 0 = no idle goal
+ *     action: 'pause',           // see SEEDING_ACTIONS
+ *     targetCategory: '',        // moveCategory only
+ *     dryRun: false              // log and emit events without touching the client
+ *   }
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const SEEDING_ACTIONS = ['pause', 'stop', 'remove', 'removeWithFiles', 'moveCategory'];
+
+const nonNegative = (value) => Math.max(0, Number(value) || 0);
+
+/**
+ * Normalize a stored or submitted policy, filling in defaults
+ * @param {Object|null} policy - Raw policy
+ * @returns {Object|null} Normalized policy, or null when none is set
+ */
+function normalizeSeedingPolicy(policy) {
+  if (!policy || typeof policy !== 'object') return null;
+  return {
+    enabled: policy.enabled === true,
+    ratio: nonNegative(policy.ratio),
+    minSeedTimeMinutes: Math.floor(nonNegative(policy.minSeedTimeMinutes)),
+    maxIdleMinutes: Math.floor(nonNegative(policy.maxIdleMinutes)),
+    action: SEEDING_ACTIONS.includes(policy.action) ? policy.action : 'pause',
+    targetCategory: typeof policy.targetCategory === 'string' ? policy.targetCategory.trim() : '',
+    dryRun: policy.dryRun === true
+  };
+}
+
+/**
+ * Validate a normalized policy before saving
+ * @param {Object|null} policy - Normalized policy
+ * @param {string} categoryName - Category the policy belongs to
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSeedingPolicy(policy, categoryName) {
+  if (!policy || !policy.enabled) return null;
+  if (!policy.ratio && !policy.minSeedTimeMinutes && !policy.maxIdleMinutes) {
+    return 'Seeding policy needs a target ratio, minimum seed time or maximum idle time';
+  }
+  if (policy.action === 'moveCategory') {
+    if (!policy.targetCategory) return 'Seeding policy needs a target category to move to';
+    if (policy.targetCategory === categoryName) return 'Seeding policy cannot move items into their own category';
+  }
+  return null;
+}
+
+/**
+ * Decide whether an item has met its seeding goal.
+ *
+ * Nothing happens before the minimum seed time. After that the goal is met
+ * when the target ratio is reached or the item has been idle too long; a
+ * policy with only a minimum seed time is met as soon as that time passes.
+ *
+ * @param {Object} policy - Normalized, enabled policy
+ * @param {Object} progress
+ * @param {number} progress.ratio - Current upload ratio
+ * @param {number} progress.seedingMs - Time since the item completed
+ * @param {number} progress.idleMs - Time since the item last uploaded
+ * @returns {'ratio'|'idle'|'seedTime'|null} Which goal was met, or null
+ */
+function evaluateSeedingGoal(policy, { ratio, seedingMs, idleMs }) {
+  if (!policy?.enabled) return null;
+  if (seedingMs < policy.minSeedTimeMinutes * MS_PER_MINUTE) return null;
+
+  if (policy.ratio > 0 && ratio >= policy.ratio) return 'ratio';
+  if (policy.maxIdleMinutes > 0 && idleMs >= policy.maxIdleMinutes * MS_PER_MINUTE) return 'idle';
+  if (!policy.ratio && !policy.maxIdleMinutes && policy.minSeedTimeMinutes > 0) return 'seedTime';
+  return null;
+}
+
+module.exports = {
+  SEEDING_ACTIONS,
+  normalizeSeedingPolicy,
+  validateSeedingPolicy,
+  evaluateSeedingGoal
+};
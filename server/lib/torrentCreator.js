@@ -0,0 +1,242 @@
+/**
+ * Torrent Creator
+ *
+ * Builds BitTorrent v1 metainfo for a local file or directory: collects the
+ * files, hashes them into SHA-1 pieces and bencodes the result.
+ * Used by torrentCreationManager; has no state of its own.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Piece length bounds (both powers of two)
+const MIN_PIECE_LENGTH = 16 * 1024;
+const MAX_PIECE_LENGTH = 16 * 1024 * 1024;
+// Automatic piece length aims for roughly this many pieces
+const TARGET_PIECE_COUNT = 1500;
+// Read size while hashing
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+const CREATED_BY = 'aMuTorrent';
+
+// ============================================================================
+// BENCODE
+// ============================================================================
+
+/**
+ * Bencode a value. Strings are UTF-8, numbers must be integers, object keys
+ * are sorted and null/undefined values are left out.
+ * @param {Buffer|string|number|Array|Object} value
+ * @returns {Buffer}
+ */
+function bencode(value) {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([Buffer.from(`${value.length}:`), value]);
+  }
+  if (typeof value === 'string') {
+    return bencode(Buffer.from(value, 'utf8'));
+  }
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) throw new Error(`Cannot bencode non-integer ${value}`);
+    return Buffer.from(`i${value}e`);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from('l'), ...value.map(bencode), Buffer.from('e')]);
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter(key => value[key] !== undefined && value[key] !== null)
+      .sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)));
+    return Buffer.concat([
+      Buffer.from('d'),
+      ...keys.flatMap(key => [bencode(key), bencode(value[key])]),
+      Buffer.from('e')
+    ]);
+  }
+  throw new Error(`Cannot bencode ${typeof value}`);
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * Collect the files of a torrent. Directories are walked recursively in
+ * byte order; symlinks and special files are skipped.
+ * @param {string} sourcePath - File or directory (absolute)
+ * @returns {Promise<Object>} { name, isDirectory, files: [{ absPath, path: [segments], length }], totalSize }
+ * @throws {Error} If the path is missing or holds no data
+ */
+async function collectFiles(sourcePath) {
+  const stats = await fs.promises.stat(sourcePath);
+  const name = path.basename(sourcePath);
+  let files;
+
+  if (stats.isFile()) {
+    files = [{ absPath: sourcePath, path: [name], length: stats.size }];
+  } else if (stats.isDirectory()) {
+    files = [];
+    const walk = async (dir, segments) => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      entries.sort((a, b) => Buffer.compare(Buffer.from(a.name), Buffer.from(b.name)));
+      for (const entry of entries) {
+        const absPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(absPath, [...segments, entry.name]);
+        } else if (entry.isFile()) {
+          const { size } = await fs.promises.stat(absPath);
+          files.push({ absPath, path: [...segments, entry.name], length: size });
+        }
+      }
+    };
+    await walk(sourcePath, []);
+  } else {
+    throw new Error('Not a regular file or directory');
+  }
+
+  const totalSize = files.reduce((sum, file) => sum + file.length, 0);
+  if (totalSize === 0) throw new Error('Nothing to hash: no data in the selected path');
+  return { name, isDirectory: stats.isDirectory(), files, totalSize };
+}
+
+// ============================================================================
+// PIECES
+// ============================================================================
+
+/**
+ * Whether a piece length is a power of two within the supported range
+ * @param {number} pieceLength - Bytes
+ * @returns {boolean}
+ */
+function isValidPieceLength(pieceLength) {
+  return Number.isInteger(pieceLength) &&
+    pieceLength >= MIN_PIECE_LENGTH && pieceLength <= MAX_PIECE_LENGTH &&
+    (pieceLength & (pieceLength - 1)) === 0;
+}
+
+/**
+ * Pick a piece length for a torrent of the given size
+ * @param {number} totalSize - Bytes
+ * @returns {number} Piece length in bytes
+ */
+function choosePieceLength(totalSize) {
+  let pieceLength = MIN_PIECE_LENGTH;
+  while (pieceLength < MAX_PIECE_LENGTH && totalSize / pieceLength > TARGET_PIECE_COUNT) {
+    pieceLength *= 2;
+  }
+  return pieceLength;
+}
+
+/**
+ * Hash files into concatenated SHA-1 piece digests. Pieces span file
+ * boundaries, as the v1 format requires.
+ * @param {Array} files - From collectFiles()
+ * @param {number} pieceLength - Bytes
+ * @param {Object} options
+ * @param {function} options.onProgress - Called with the total bytes hashed so far
+ * @param {AbortSignal} options.signal - Aborts hashing
+ * @returns {Promise<Buffer>} Piece digests (20 bytes each)
+ * @throws {Error} If a file changes size while hashing or hashing is aborted
+ */
+async function hashPieces(files, pieceLength, { onProgress, signal } = {}) {
+  const digests = [];
+  const piece = Buffer.allocUnsafe(pieceLength);
+  let filled = 0;
+  let hashed = 0;
+
+  for (const file of files) {
+    let read = 0;
+    const stream = fs.createReadStream(file.absPath, { highWaterMark: Math.min(pieceLength, READ_CHUNK_SIZE) });
+    for await (const chunk of stream) {
+      if (signal?.aborted) {
+        stream.destroy();
+        throw new Error('Cancelled');
+      }
+      read += chunk.length;
+      let offset = 0;
+      while (offset < chunk.length) {
+        const copied = chunk.copy(piece, filled, offset, Math.min(chunk.length, offset + pieceLength - filled));
+        filled += copied;
+        offset += copied;
+        if (filled === pieceLength) {
+          digests.push(crypto.createHash('sha1').update(piece).digest());
+          filled = 0;
+        }
+      }
+      hashed += chunk.length;
+      onProgress?.(hashed);
+    }
+    if (read !== file.length) {
+      throw new Error(`File changed while hashing: ${file.path.join('/')}`);
+    }
+  }
+
+  if (filled > 0) {
+    digests.push(crypto.createHash('sha1').update(piece.subarray(0, filled)).digest());
+  }
+  return Buffer.concat(digests);
+}
+
+// ============================================================================
+// METAINFO
+// ============================================================================
+
+/**
+ * Assemble and bencode the metainfo
+ * @param {Object} options
+ * @param {string} options.name - Torrent name (file or directory name)
+ * @param {boolean} options.isDirectory - Multi-file layout
+ * @param {Array} options.files - From collectFiles()
+ * @param {number} options.pieceLength - Bytes
+ * @param {Buffer} options.pieces - From hashPieces()
+ * @param {boolean} options.isPrivate - Set the private flag (no DHT/PEX)
+ * @param {Array<Array<string>>} options.trackers - Announce URL tiers
+ * @param {Array<string>} options.webSeeds - HTTP seed URLs (BEP 19)
+ * @param {string} options.comment - Free-form comment
+ * @param {number} options.creationDate - Unix seconds (default: now)
+ * @returns {Object} { torrent: Buffer, infoHash: string }
+ */
+function buildMetainfo({ name, isDirectory, files, pieceLength, pieces, isPrivate = false, trackers = [], webSeeds = [], comment = '', creationDate }) {
+  const info = {
+    name,
+    'piece length': pieceLength,
+    pieces,
+    private: isPrivate ? 1 : undefined
+  };
+  if (isDirectory) {
+    info.files = files.map(file => ({ length: file.length, path: file.path }));
+  } else {
+    info.length = files[0].length;
+  }
+
+  const tiers = trackers.filter(tier => tier.length > 0);
+  const announceCount = tiers.reduce((sum, tier) => sum + tier.length, 0);
+  const metainfo = {
+    announce: tiers[0]?.[0],
+    'announce-list': announceCount > 1 ? tiers : undefined,
+    comment: comment || undefined,
+    'created by': CREATED_BY,
+    'creation date': creationDate ?? Math.floor(Date.now() / 1000),
+    info,
+    'url-list': webSeeds.length > 0 ? webSeeds : undefined
+  };
+
+  return {
+    torrent: bencode(metainfo),
+    infoHash: crypto.createHash('sha1').update(bencode(info)).digest('hex')
+  };
+}
+
+module.exports = {
+  MIN_PIECE_LENGTH,
+  MAX_PIECE_LENGTH,
+  bencode,
+  collectFiles,
+  isValidPieceLength,
+  choosePieceLength,
+  hashPieces,
+  buildMetainfo
+};
@@ -162,6 +162,118 @@ function parseTorrentBuffer(torrentData) {
   return { hash, name, size };
 }
 
+/**
+ * Decode one bencoded value starting at `pos`. Byte strings stay Buffers.
+ * @param {Buffer} data
+ * @param {number} pos
+ * @param {Function} onInfo - Called with the raw bytes of a top-level "info" value
+ * @param {number} depth - Nesting depth (0 = top level)
+ * @returns {Object} { value, end }
+ */
+function decodeAt(data, pos, onInfo, depth = 0) {
+  const char = data[pos];
+  if (char === 0x69) { // i<int>e
+    const end = data.indexOf(0x65, pos);
+    if (end === -1) throw new Error('Unterminated integer');
+    return { value: Number(data.toString('ascii', pos + 1, end)), end: end + 1 };
+  }
+  if (char === 0x6c) { // l...e
+    const list = [];
+    pos++;
+    while (data[pos] !== 0x65) {
+      if (pos >= data.length) throw new Error('Unterminated list');
+      const item = decodeAt(data, pos, onInfo, depth + 1);
+      list.push(item.value);
+      pos = item.end;
+    }
+    return { value: list, end: pos + 1 };
+  }
+  if (char === 0x64) { // d...e
+    const dict = {};
+    pos++;
+    while (data[pos] !== 0x65) {
+      if (pos >= data.length) throw new Error('Unterminated dictionary');
+      const key = decodeAt(data, pos, onInfo, depth + 1);
+      const keyName = key.value.toString('utf8');
+      const item = decodeAt(data, key.end, onInfo, depth + 1);
+      if (depth === 0 && keyName === 'info') onInfo?.(data.subarray(key.end, item.end));
+      dict[keyName] = item.value;
+      pos = item.end;
+    }
+    return { value: dict, end: pos + 1 };
+  }
+  if (char >= 0x30 && char <= 0x39) { // <len>:<bytes>
+    const colon = data.indexOf(0x3a, pos);
+    if (colon === -1) throw new Error('Unterminated string length');
+    const end = colon + 1 + Number(data.toString('ascii', pos, colon));
+    if (end > data.length) throw new Error('Truncated string');
+    return { value: data.subarray(colon + 1, end), end };
+  }
+  throw new Error(`Unexpected byte at ${pos}`);
+}
+
+/**
+ * Fully decode torrent metainfo (unlike parseTorrentBuffer, this keeps
+ * trackers, web seeds and flags)
+ * @param {Buffer} torrentData - Raw torrent file data
+ * @returns {Object} { hash, name, size, isPrivate, trackers: [[url]], webSeeds: [url] }
+ * @throws {Error} If the data is not valid metainfo
+ */
+function readMetainfo(torrentData) {
+  let infoBytes = null;
+  const { value: meta } = decodeAt(torrentData, 0, (bytes) => { infoBytes = bytes; });
+  const info = meta?.info;
+  if (!infoBytes || !info || typeof info !== 'object') {
+    throw new Error('Not a torrent file: missing info dictionary');
+  }
+
+  const toString = (value) => (Buffer.isBuffer(value) ? value.toString('utf8') : null);
+  const size = Array.isArray(info.files)
+    ? info.files.reduce((sum, file) => sum + (Number(file.length) || 0), 0)
+    : Number(info.length) || 0;
+
+  // announce-list supersedes announce (BEP 12)
+  let trackers = Array.isArray(meta['announce-list'])
+    ? meta['announce-list']
+      .map(tier => (Array.isArray(tier) ? tier.map(toString).filter(Boolean) : []))
+      .filter(tier => tier.length > 0)
+    : [];
+  if (trackers.length === 0 && toString(meta.announce)) {
+    trackers = [[toString(meta.announce)]];
+  }
+
+  const urlList = meta['url-list'];
+  const webSeeds = (Array.isArray(urlList) ? urlList : [urlList]).map(toString).filter(Boolean);
+
+  return {
+    hash: crypto.createHash('sha1').update(infoBytes).digest('hex'),
+    name: toString(info['name.utf-8']) || toString(info.name),
+    size,
+    isPrivate: info.private === 1,
+    trackers,
+    webSeeds
+  };
+}
+
+/**
+ * Build a magnet URI (BEP 9) including every tracker and web seed
+ * @param {Object} options
+ * @param {string} options.hash - Info hash (hex)
+ * @param {string} options.name - Display name
+ * @param {number} options.size - Total size in bytes
+ * @param {Array<string|Array<string>>} options.trackers - Tracker URLs or tiers (flattened, deduplicated)
+ * @param {Array<string>} options.webSeeds - Web seed URLs
+ * @returns {string} Magnet URI
+ */
+function buildMagnetLink({ hash, name, size, trackers = [], webSeeds = [] }) {
+  const params = [`xt=urn:btih:${hash.toLowerCase()}`];
+  if (name) params.push(`dn=${encodeURIComponent(name)}`);
+  if (size > 0) params.push(`xl=${size}`);
+  for (const url of new Set(trackers.flat())) params.push(`tr=${encodeURIComponent(url)}`);
+  for (const url of new Set(webSeeds)) params.push(`ws=${encodeURIComponent(url)}`);
+  return `magnet:?${params.join('&')}`;
+}
+
 /**
  * Parse ed2k link to extract hash, filename, and size
  * @param {string} link - ed2k:// link
@@ -187,5 +299,7 @@ module.exports = {
   base32ToHex,
   parseMagnetUri,
   parseTorrentBuffer,
+  readMetainfo,
+  buildMagnetLink,
   parseEd2kLink
 };
@@ -0,0 +1,120 @@
+/**
+ * LibraryHandler - Torznab indexer over the local library
+ *
+ * Answers Sonarr/Radarr searches from files aMuTorrent already has instead of
+ * searching a network, so *arr apps can see releases we already hold before
+ * grabbing them again. One instance serves each network:
+ * - ED2K: completed aMule downloads and aMule shared files. Grabbing a result
+ *   adds the ED2K link to aMule, which recognizes the file as complete.
+ * - BitTorrent: completed torrents. Results carry the torrent's own magnet
+ *   link, so the *arr app must send them to the BitTorrent client holding it.
+ *
+ * Reuses TorznabHandler's caps handling and result cache. No rate limiting:
+ * searches never leave this process.
+ */
+
+const logger = require('../logger');
+const TorznabHandler = require('./TorznabHandler');
+const { convertToTorznabFeed } = require('./search');
+const { searchLibrary, listLibrary, filterByCategories } = require('./library');
+
+class LibraryHandler extends TorznabHandler {
+  /**
+   * @param {Object} [feedInfo] - Feed title, description and path overrides
+   */
+  constructor(feedInfo = {}) {
+    super();
+    // Dependencies
+    this.getLibraryFiles = null;
+
+    // The library changes as downloads complete — keep cached matches short-lived
+    this.cacheTtlMs = parseInt(process.env.LIBRARY_CACHE_TTL_MS || '60000', 10);
+
+    this.feedInfo = {
+      title: 'aMuTorrent Local Library',
+      description: 'Files already downloaded or shared by aMuTorrent',
+      path: '/indexer/library/api',
+      ...feedInfo
+    };
+  }
+
+  /**
+   * Set dependencies
+   * @param {Object} deps
+   * @param {Function} deps.getLibraryFiles - async () => Array of library files
+   * @param {Function} [deps.resolveTitle] - async (type, ids) => { title, year } | null
+   * @param {Function} [deps.canResolveTitles] - (type) => boolean
+   */
+  setDependencies({ getLibraryFiles, resolveTitle, canResolveTitles }) {
+    this.getLibraryFiles = getLibraryFiles;
+    this.resolveTitle = resolveTitle || null;
+    this.canResolveTitles = canResolveTitles || null;
+  }
+
+  /**
+   * Handle search requests (search, tvsearch, movie)
+   */
+  async handleSearch(req, res) {
+    const { t, limit = 100, offset = 0, cat = '' } = req.query;
+    const { season, ep, tvdbid, rid, imdbid, tmdbid } = req.query;
+    let { q } = req.query;
+
+    logger.log(`[Torznab Library] Search request: t=${t}, q=${q || '(empty)'}, season=${season || 'none'}, ep=${ep || 'none'}, offset=${offset}, limit=${limit}, cat=${cat || 'none'}`);
+
+    const sendFeed = (results, query) => {
+      res.set('Content-Type', 'application/xml');
+      return res.send(convertToTorznabFeed(results, query, cat, this.feedInfo));
+    };
+
+    // No search params - *arr indexer validation / RSS sync. Return the most
+    // recent library files, or the sample result while the library is empty.
+    const hasSearchParams = q || season || ep || tvdbid || rid || imdbid || tmdbid;
+    if (!hasSearchParams) {
+      const files = this.getLibraryFiles ? await this.getLibraryFiles() : [];
+      const recent = filterByCategories(listLibrary(files), cat);
+      if (recent.length === 0) {
+        logger.log('[Torznab Library] Library empty, returning sample result for validation');
+        return sendFeed(this.getValidationResults(), 'test');
+      }
+      return sendFeed(recent.slice(0, parseInt(limit, 10) || 100), 'recent');
+    }
+
+    // ID-only search - match on the resolved title. The movie year only
+    // narrows names that carry a year (see matchesQuery)
+    if (!q) {
+      const resolved = await this.resolveSearchTitle(t, req.query);
+      if (resolved) {
+        q = resolved.type === 'movie' && resolved.year ? `${resolved.title} ${resolved.year}` : resolved.title;
+      }
+    }
+
+    // Has params but no text query - nothing to match names against
+    if (!q) {
+      logger.warn('[Torznab Library] Search has metadata params but no text query - cannot match without query text');
+      return sendFeed([], 'no-query');
+    }
+
+    const cacheKey = this.getCacheKey(t, q, season, ep);
+    let matches = this.getCachedResults(cacheKey);
+
+    if (!matches) {
+      const files = this.getLibraryFiles ? await this.getLibraryFiles() : [];
+      matches = searchLibrary(files, { q, season: t === 'tvsearch' ? season : undefined, ep: t === 'tvsearch' ? ep : undefined });
+      logger.log(`[Torznab Library] ${matches.length} of ${files.length} library files match "${q}"`);
+      this.setCachedResults(cacheKey, matches);
+    }
+
+    // Category filter after the cache — the same query is often repeated with different cats
+    const filtered = filterByCategories(matches, cat);
+
+    const offsetNum = parseInt(offset, 10) || 0;
+    const limitNum = parseInt(limit, 10) || 100;
+    const paginatedResults = filtered.slice(offsetNum, offsetNum + limitNum);
+
+    logger.log(`[Torznab Library] Returning ${paginatedResults.length} results (offset: ${offsetNum}, limit: ${limitNum}, total: ${filtered.length})`);
+
+    return sendFeed(paginatedResults, q);
+  }
+}
+
+module.exports = LibraryHandler;
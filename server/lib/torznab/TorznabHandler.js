@@ -8,6 +8,7 @@
  * - Rate limiting to avoid ED2K server flood protection
  * - Result caching for Sonarr pagination support
  * - TV search format variations (S01E01, 1x01)
+ * - ID searches (imdbid/tvdbid/tmdbid) resolved to titles via Sonarr/Radarr
  */
 
 const logger = require('../logger');
@@ -25,10 +26,17 @@ const { convertToTorznabFeed } = require('./search');
 // they auto-append operators; reserve headroom then.
 const MAX_AMULE_QUERY_WORDS = 11;
 
+// ID → title resolutions rarely change; failed lookups are retried sooner
+// (the show may simply not be added to Sonarr/Radarr yet)
+const TITLE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const TITLE_MISS_TTL_MS = 10 * 60 * 1000;
+
 class TorznabHandler {
   constructor() {
     // Dependencies
     this.getAmuleClient = null;
+    this.resolveTitle = null;       // async (type, ids) => { title, year } | null
+    this.canResolveTitles = null;   // (type) => boolean
 
     // Rate limiting state
     this.searchDelayMs = parseInt(process.env.ED2K_SEARCH_DELAY_MS || '10000', 10);
@@ -37,6 +45,14 @@ class TorznabHandler {
     // Cache state
     this.cacheTtlMs = parseInt(process.env.ED2K_CACHE_TTL_MS || '600000', 10);
     this.searchCache = new Map();
+    this.titleCache = new Map();
+
+    // Channel metadata for caps and feeds (subclasses serving other sources override)
+    this.feedInfo = {
+      title: 'aMule ED2K Indexer',
+      description: 'aMule ED2K/Kad Network Search Results',
+      path: '/indexer/amule/api'
+    };
 
     // Bind handler method
     this.handleRequest = this.handleRequest.bind(this);
@@ -45,8 +61,10 @@ class TorznabHandler {
   /**
    * Set dependencies
    */
-  setDependencies({ getAmuleClient }) {
+  setDependencies({ getAmuleClient, resolveTitle, canResolveTitles }) {
     this.getAmuleClient = getAmuleClient;
+    this.resolveTitle = resolveTitle || null;
+    this.canResolveTitles = canResolveTitles || null;
   }
 
   // ============================================================================
@@ -220,6 +238,110 @@ class TorznabHandler {
     return { primaryQuery, fallbackQuery, normalizedQuery };
   }
 
+  /**
+   * Build the movie query for a title resolved from an ID search.
+   * The year is left out of the query — many ED2K names omit it and aMule
+   * ANDs every word — and applied afterwards with filterResultsByYear.
+   *
+   * @param {string} title - Title from Radarr (may already carry a year)
+   * @returns {{ primaryQuery: string, normalizedQuery: string }}
+   */
+  buildMovieSearchQuery(title) {
+    const normalizedQuery = this._capQueryWords(this.stripYear(title), 0);
+    return { primaryQuery: normalizedQuery, normalizedQuery };
+  }
+
+  /**
+   * Drop results whose name carries a year that doesn't match the movie's
+   * (±1 for festival vs. release year). Names without a year are kept.
+   *
+   * @param {Array} results - Search results with fileName
+   * @param {number|null} year - Release year, or null to keep everything
+   * @returns {Array}
+   */
+  filterResultsByYear(results, year) {
+    if (!year) return results;
+    return results.filter(result => {
+      const years = (String(result.fileName || '').match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+      return years.length === 0 || years.some(y => Math.abs(y - year) <= 1);
+    });
+  }
+
+  // ============================================================================
+  // ID RESOLUTION
+  // ============================================================================
+
+  /**
+   * Normalize Torznab ID params. imdbid arrives with or without the "tt"
+   * prefix depending on the *arr app; it is returned with the prefix.
+   *
+   * @param {Object} params - Request query
+   * @returns {{ imdbid: string|null, tvdbid: string|null, tmdbid: string|null }|null} null without IDs
+   */
+  normalizeMediaIds({ imdbid, tvdbid, tmdbid } = {}) {
+    const numeric = (value) => {
+      const digits = String(value ?? '').trim().replace(/^tt/i, '');
+      return /^\d+$/.test(digits) && Number(digits) > 0 ? String(Number(digits)) : null;
+    };
+
+    const imdbDigits = numeric(imdbid);
+    const ids = {
+      imdbid: imdbDigits ? `tt${imdbDigits.padStart(7, '0')}` : null,
+      tvdbid: numeric(tvdbid),
+      tmdbid: numeric(tmdbid)
+    };
+    return ids.imdbid || ids.tvdbid || ids.tmdbid ? ids : null;
+  }
+
+  /**
+   * Check whether ID searches can be resolved for a media type
+   * @param {'tv'|'movie'} type
+   * @returns {boolean}
+   */
+  supportsIdSearch(type) {
+    return !!(this.resolveTitle && this.canResolveTitles?.(type));
+  }
+
+  /**
+   * Resolve an ID-only search to a title (and year), with caching
+   *
+   * @param {string} t - Torznab function (tvsearch, movie, search)
+   * @param {Object} params - Request query
+   * @returns {Promise<{ title: string, year: number|null, type: 'tv'|'movie' }|null>}
+   */
+  async resolveSearchTitle(t, params) {
+    const ids = this.normalizeMediaIds(params);
+    if (!ids || !this.resolveTitle) return null;
+
+    // Generic search: tvdb IDs only exist for series
+    const type = t === 'tvsearch' || (t !== 'movie' && ids.tvdbid) ? 'tv' : 'movie';
+    const cacheKey = [type, ids.tvdbid, ids.imdbid, ids.tmdbid].map(v => v || '').join(':');
+
+    const cached = this.titleCache.get(cacheKey);
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.resolved && { ...cached.resolved, type };
+    }
+
+    let resolved;
+    try {
+      resolved = await this.resolveTitle(type, ids);
+    } catch (err) {
+      // Not cached — Sonarr/Radarr may just be restarting
+      logger.warn(`[Torznab] Title lookup failed for ${cacheKey}: ${err.message}`);
+      return null;
+    }
+
+    resolved = resolved?.title ? { title: resolved.title, year: resolved.year || null } : null;
+    this.titleCache.set(cacheKey, {
+      resolved,
+      expiresAt: Date.now() + (resolved ? TITLE_CACHE_TTL_MS : TITLE_MISS_TTL_MS)
+    });
+    logger.log(resolved
+      ? `[Torznab] Resolved ${cacheKey} to "${resolved.title}"${resolved.year ? ` (${resolved.year})` : ''}`
+      : `[Torznab] No title found for ${cacheKey}`);
+    return resolved && { ...resolved, type };
+  }
+
   // ============================================================================
   // RATE LIMITING
   // ============================================================================
@@ -245,6 +367,21 @@ class TorznabHandler {
   // REQUEST HANDLER
   // ============================================================================
 
+  /**
+   * Placeholder result for *arr indexer validation (searches without parameters).
+   * Sonarr/Radarr reject an indexer whose test search returns nothing.
+   * @returns {Array}
+   */
+  getValidationResults() {
+    return [{
+      fileName: 'Sample.Test.File.mkv',
+      fileHash: 'A1B2C3D4E5F6A1B2C3D4E5F6A1B2C3D4',
+      fileSize: 1073741824,
+      sourceCount: 10,
+      category: '5040'
+    }];
+  }
+
   /**
    * Main Torznab request handler
    */
@@ -254,7 +391,11 @@ class TorznabHandler {
     try {
       // Capabilities endpoint
       if (t === 'caps') {
-        const xml = generateCapabilities();
+        const xml = generateCapabilities({
+          title: this.feedInfo.title,
+          tvIds: this.supportsIdSearch('tv'),
+          movieIds: this.supportsIdSearch('movie')
+        });
         res.set('Content-Type', 'application/xml');
         return res.send(xml);
       }
@@ -268,7 +409,7 @@ class TorznabHandler {
       res.status(400).send('Invalid t parameter (expected: caps, search, tvsearch, or movie)');
     } catch (error) {
       logger.error('[Torznab] Error:', error);
-      const emptyFeed = convertToTorznabFeed([], q || '', cat || '');
+      const emptyFeed = convertToTorznabFeed([], q || '', cat || '', this.feedInfo);
       res.set('Content-Type', 'application/xml');
       res.status(500).send(emptyFeed);
     }
@@ -278,33 +419,37 @@ class TorznabHandler {
    * Handle search requests (search, tvsearch, movie)
    */
   async handleSearch(req, res) {
-    const { t, q, limit = 100, offset = 0, cat = '' } = req.query;
-    const { season, ep, tvdbid, rid, imdbid } = req.query;
+    const { t, limit = 100, offset = 0, cat = '' } = req.query;
+    const { season, ep, tvdbid, rid, imdbid, tmdbid } = req.query;
+    let { q } = req.query;
 
-    logger.log(`[Torznab] Search request: t=${t}, q=${q || '(empty)'}, season=${season || 'none'}, ep=${ep || 'none'}, offset=${offset}, limit=${limit}, cat=${cat || 'none'}`);
+    logger.log(`[Torznab] Search request: t=${t}, q=${q || '(empty)'}, season=${season || 'none'}, ep=${ep || 'none'}, ids=${[imdbid, tvdbid, tmdbid].filter(Boolean).join('/') || 'none'}, offset=${offset}, limit=${limit}, cat=${cat || 'none'}`);
 
     // Check if this is a real search or just validation
-    const hasSearchParams = q || season || ep || tvdbid || rid || imdbid;
+    const hasSearchParams = q || season || ep || tvdbid || rid || imdbid || tmdbid;
 
     // No search params - return sample result for indexer validation
     if (!hasSearchParams) {
       logger.log('[Torznab] No search parameters, returning sample result for validation');
-      const sampleResult = [{
-        fileName: 'Sample.Test.File.mkv',
-        fileHash: 'A1B2C3D4E5F6A1B2C3D4E5F6A1B2C3D4',
-        fileSize: 1073741824,
-        sourceCount: 10,
-        category: '5040'
-      }];
-      const testFeed = convertToTorznabFeed(sampleResult, 'test', cat);
+      const testFeed = convertToTorznabFeed(this.getValidationResults(), 'test', cat, this.feedInfo);
       res.set('Content-Type', 'application/xml');
       return res.send(testFeed);
     }
 
+    // ID-only search - resolve the title via Sonarr/Radarr
+    let resolvedYear = null;
+    if (!q) {
+      const resolved = await this.resolveSearchTitle(t, req.query);
+      if (resolved) {
+        q = resolved.title;
+        resolvedYear = resolved.type === 'movie' ? resolved.year : null;
+      }
+    }
+
     // Has params but no text query - can't search ED2K
     if (!q) {
       logger.warn('[Torznab] Search has metadata params but no text query - cannot search ED2K without query text');
-      const emptyFeed = convertToTorznabFeed([], 'no-query', cat);
+      const emptyFeed = convertToTorznabFeed([], 'no-query', cat, this.feedInfo);
       res.set('Content-Type', 'application/xml');
       return res.send(emptyFeed);
     }
@@ -312,7 +457,7 @@ class TorznabHandler {
     const amuleClient = this.getAmuleClient?.();
     if (!amuleClient) {
       logger.log('[Torznab] aMule not connected, returning empty feed');
-      const emptyFeed = convertToTorznabFeed([], q, cat);
+      const emptyFeed = convertToTorznabFeed([], q, cat, this.feedInfo);
       res.set('Content-Type', 'application/xml');
       return res.send(emptyFeed);
     }
@@ -329,6 +474,11 @@ class TorznabHandler {
       primaryQuery = result.primaryQuery;
       fallbackQuery = result.fallbackQuery;
       normalizedQuery = result.normalizedQuery;
+    } else if (resolvedYear) {
+      // Movie title from an ID lookup: search the bare title, filter by year below
+      const result = this.buildMovieSearchQuery(q);
+      primaryQuery = result.primaryQuery;
+      normalizedQuery = result.normalizedQuery;
     } else {
       // Non-tvsearch: cap the free-text query so long *arr queries
       // (Medusa passes series + full episode title as `q`) don't trip
@@ -390,14 +540,17 @@ class TorznabHandler {
       this.setCachedResults(cacheKey, allResults);
     }
 
+    // Year filter after the cache — the bare-title results are shared with text searches
+    const matchedResults = this.filterResultsByYear(allResults, resolvedYear);
+
     // Apply pagination
     const offsetNum = parseInt(offset, 10) || 0;
     const limitNum = parseInt(limit, 10) || 100;
-    const paginatedResults = allResults.slice(offsetNum, offsetNum + limitNum);
+    const paginatedResults = matchedResults.slice(offsetNum, offsetNum + limitNum);
 
-    logger.log(`[Torznab] Returning ${paginatedResults.length} results (offset: ${offsetNum}, limit: ${limitNum}, total: ${allResults.length})`);
+    logger.log(`[Torznab] Returning ${paginatedResults.length} results (offset: ${offsetNum}, limit: ${limitNum}, total: ${matchedResults.length})`);
 
-    const xml = convertToTorznabFeed(paginatedResults, q, cat);
+    const xml = convertToTorznabFeed(paginatedResults, q, cat, this.feedInfo);
     res.set('Content-Type', 'application/xml');
     return res.send(xml);
   }
@@ -1,131 +1,116 @@
 const { create } = require('xmlbuilder2');
 
+/**
+ * Torznab categories advertised by our indexers (Newznab standard IDs).
+ * Shared by the capabilities response and result category tagging.
+ */
+const TORZNAB_CATEGORIES = [
+  {
+    id: '2000',
+    name: 'Movies',
+    subcats: [
+      { id: '2010', name: 'Movies/Foreign' },
+      { id: '2020', name: 'Movies/Other' },
+      { id: '2030', name: 'Movies/SD' },
+      { id: '2040', name: 'Movies/HD' },
+      { id: '2045', name: 'Movies/UHD' },
+      { id: '2050', name: 'Movies/BluRay' },
+      { id: '2060', name: 'Movies/3D' },
+      { id: '2070', name: 'Movies/DVD' },
+      { id: '2080', name: 'Movies/WEB-DL' },
+      { id: '2090', name: 'Movies/x265' }
+    ]
+  },
+  {
+    id: '5000',
+    name: 'TV',
+    subcats: [
+      { id: '5010', name: 'TV/WEB-DL' },
+      { id: '5020', name: 'TV/Foreign' },
+      { id: '5030', name: 'TV/SD' },
+      { id: '5040', name: 'TV/HD' },
+      { id: '5045', name: 'TV/UHD' },
+      { id: '5050', name: 'TV/Other' },
+      { id: '5060', name: 'TV/Sport' },
+      { id: '5070', name: 'TV/Anime' },
+      { id: '5080', name: 'TV/Documentary' },
+      { id: '5090', name: 'TV/x265' }
+    ]
+  }
+];
+
+/**
+ * Get the parent category ID for a category or subcategory ID.
+ * Newznab groups by thousands, so '5040' (and non-standard '5999') → '5000'.
+ * @param {string} id - Category ID (e.g. '5040')
+ * @returns {string|null} Parent ID (e.g. '5000'), or null for unsupported groups
+ */
+function getParentCategory(id) {
+  const parent = TORZNAB_CATEGORIES.find(c => c.id[0] === String(id)[0]);
+  return parent ? parent.id : null;
+}
+
+/**
+ * Expand requested category IDs into the set to tag a result with.
+ * The Torznab spec requires both parent and child categories; with no
+ * request, every advertised category is returned.
+ * @param {string[]} requested - Requested category IDs
+ * @returns {string[]}
+ */
+function expandCategories(requested) {
+  const categories = new Set();
+
+  if (requested.length === 0) {
+    for (const cat of TORZNAB_CATEGORIES) {
+      categories.add(cat.id);
+      cat.subcats.forEach(sub => categories.add(sub.id));
+    }
+    return Array.from(categories);
+  }
+
+  for (const id of requested) {
+    categories.add(id);
+    const parent = getParentCategory(id);
+    if (parent) categories.add(parent);
+  }
+  return Array.from(categories);
+}
+
 /**
  * Generate Torznab capabilities XML
  *
  * This endpoint declares what search types and categories the indexer supports.
  * Sonarr/Radarr query this to understand how to interact with the indexer.
  *
+ * @param {Object} [options]
+ * @param {string} [options.title='aMule ED2K Indexer'] - Indexer title
+ * @param {boolean} [options.tvIds=false] - Advertise tvdbid/imdbid/tmdbid on tv-search
+ * @param {boolean} [options.movieIds=false] - Advertise imdbid/tmdbid on movie-search
  * @returns {string} XML capabilities response
  */
-function generateCapabilities() {
-  const root = create({ version: '1.0', encoding: 'UTF-8' })
-    .ele('caps')
-      .ele('server')
-        .att('version', '1.0')
-        .att('title', 'aMule ED2K Indexer')
-      .up()
-      .ele('limits')
-        .att('max', '100')
-        .att('default', '100')
-      .up()
-      .ele('searching')
-        .ele('search')
-          .att('available', 'yes')
-          .att('supportedParams', 'q')
-        .up()
-        .ele('tv-search')
-          .att('available', 'yes')
-          .att('supportedParams', 'q,season,ep')
-        .up()
-        .ele('movie-search')
-          .att('available', 'yes')
-          .att('supportedParams', 'q')
-        .up()
-      .up()
-      .ele('categories')
-        .ele('category')
-          .att('id', '2000')
-          .att('name', 'Movies')
-          .ele('subcat')
-            .att('id', '2010')
-            .att('name', 'Movies/Foreign')
-          .up()
-          .ele('subcat')
-            .att('id', '2020')
-            .att('name', 'Movies/Other')
-          .up()
-          .ele('subcat')
-            .att('id', '2030')
-            .att('name', 'Movies/SD')
-          .up()
-          .ele('subcat')
-            .att('id', '2040')
-            .att('name', 'Movies/HD')
-          .up()
-          .ele('subcat')
-            .att('id', '2045')
-            .att('name', 'Movies/UHD')
-          .up()
-          .ele('subcat')
-            .att('id', '2050')
-            .att('name', 'Movies/BluRay')
-          .up()
-          .ele('subcat')
-            .att('id', '2060')
-            .att('name', 'Movies/3D')
-          .up()
-          .ele('subcat')
-            .att('id', '2070')
-            .att('name', 'Movies/DVD')
-          .up()
-          .ele('subcat')
-            .att('id', '2080')
-            .att('name', 'Movies/WEB-DL')
-          .up()
-          .ele('subcat')
-            .att('id', '2090')
-            .att('name', 'Movies/x265')
-          .up()
-        .up()
-        .ele('category')
-          .att('id', '5000')
-          .att('name', 'TV')
-          .ele('subcat')
-            .att('id', '5010')
-            .att('name', 'TV/WEB-DL')
-          .up()
-          .ele('subcat')
-            .att('id', '5020')
-            .att('name', 'TV/Foreign')
-          .up()
-          .ele('subcat')
-            .att('id', '5030')
-            .att('name', 'TV/SD')
-          .up()
-          .ele('subcat')
-            .att('id', '5040')
-            .att('name', 'TV/HD')
-          .up()
-          .ele('subcat')
-            .att('id', '5045')
-            .att('name', 'TV/UHD')
-          .up()
-          .ele('subcat')
-            .att('id', '5050')
-            .att('name', 'TV/Other')
-          .up()
-          .ele('subcat')
-            .att('id', '5060')
-            .att('name', 'TV/Sport')
-          .up()
-          .ele('subcat')
-            .att('id', '5070')
-            .att('name', 'TV/Anime')
-          .up()
-          .ele('subcat')
-            .att('id', '5080')
-            .att('name', 'TV/Documentary')
-          .up()
-          .ele('subcat')
-            .att('id', '5090')
-            .att('name', 'TV/x265')
-          .up()
-        .up()
-      .up()
-    .up();
+function generateCapabilities({ title = 'aMule ED2K Indexer', tvIds = false, movieIds = false } = {}) {
+  const root = create({ version: '1.0', encoding: 'UTF-8' });
+  const caps = root.ele('caps');
+
+  caps.ele('server').att('version', '1.0').att('title', title).up();
+  caps.ele('limits').att('max', '100').att('default', '100').up();
+
+  const searching = caps.ele('searching');
+  searching.ele('search').att('available', 'yes').att('supportedParams', 'q').up();
+  searching.ele('tv-search').att('available', 'yes')
+    .att('supportedParams', tvIds ? 'q,season,ep,tvdbid,imdbid,tmdbid' : 'q,season,ep').up();
+  searching.ele('movie-search').att('available', 'yes')
+    .att('supportedParams', movieIds ? 'q,imdbid,tmdbid' : 'q').up();
+
+  const categories = caps.ele('categories');
+  for (const cat of TORZNAB_CATEGORIES) {
+    const category = categories.ele('category').att('id', cat.id).att('name', cat.name);
+    for (const sub of cat.subcats) {
+      category.ele('subcat').att('id', sub.id).att('name', sub.name).up();
+    }
+  }
 
   return root.end({ prettyPrint: true });
 }
 
-module.exports = { generateCapabilities };
+module.exports = { TORZNAB_CATEGORIES, getParentCategory, expandCategories, generateCapabilities };
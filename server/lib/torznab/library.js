@@ -0,0 +1,176 @@
+/**
+ * Local Library Search - match Torznab queries against files we already have
+ *
+ * Library files come from completed download history, files currently
+ * shared by aMule and completed torrents in the BitTorrent clients (one
+ * indexer per network). Matching is word-based (not substring) so short query
+ * words like "it" don't match every release, and punctuation/separators in
+ * release names ("Show.Name_S01E05") are treated as spaces.
+ *
+ * File shape: { fileName, fileHash, fileSize, sourceCount, publishDate, magnetLink }
+ * (magnetLink is the torrent's own link for BitTorrent files, null for ED2K)
+ */
+
+const { getParentCategory } = require('./capabilities');
+
+// S01E05, S01.E05, s1e5 — and the 1x05 style
+const EPISODE_PATTERNS = [
+  /\bs(\d{1,2})[ .-]?e(\d{1,3})\b/i,
+  /\b(\d{1,2})x(\d{2,3})\b/i
+];
+// Season packs: S01, Season 1, Season.01
+const SEASON_PATTERN = /\b(?:s|season[ .-]?)(\d{1,2})\b/i;
+const YEAR_PATTERN = /^(19|20)\d{2}$/;
+
+/**
+ * Lowercase, strip accents and turn everything but letters/digits into spaces
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeTitle(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a title into normalized words
+ * @param {string} value
+ * @returns {string[]}
+ */
+function tokenize(value) {
+  const normalized = normalizeTitle(value);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Parse season/episode numbers from a release name
+ * @param {string} fileName
+ * @returns {{ season: number, episode: number|null }|null} episode is null for season packs
+ */
+function parseEpisode(fileName) {
+  const name = String(fileName || '').replace(/_/g, ' ');
+  for (const pattern of EPISODE_PATTERNS) {
+    const match = name.match(pattern);
+    if (match) return { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) };
+  }
+  const seasonMatch = name.match(SEASON_PATTERN);
+  if (seasonMatch) return { season: parseInt(seasonMatch[1], 10), episode: null };
+  return null;
+}
+
+/**
+ * Guess Torznab categories from a release name: TV when it carries
+ * season/episode numbers, movie otherwise; subcategory from the resolution.
+ * @param {string} fileName
+ * @returns {string[]} [parent, subcategory]
+ */
+function detectCategories(fileName) {
+  const isTv = parseEpisode(fileName) !== null;
+  const name = String(fileName || '');
+
+  let offset;
+  if (/\b(2160p|4k|uhd)\b/i.test(name)) offset = 45;
+  else if (/\b(720p|1080p)\b/i.test(name)) offset = 40;
+  else if (/\b(480p|576p|dvdrip|xvid|sdtv)\b/i.test(name)) offset = 30;
+  else offset = isTv ? 50 : 20;   // TV/Other, Movies/Other
+
+  const parent = isTv ? 5000 : 2000;
+  return [String(parent), String(parent + offset)];
+}
+
+/**
+ * Magnet link for a torrent known only by hash, name and size (history entries)
+ * @param {string} hash - Info hash
+ * @param {string} fileName
+ * @param {number} [fileSize]
+ * @returns {string}
+ */
+function buildTorrentMagnet(hash, fileName, fileSize = 0) {
+  return `magnet:?xt=urn:btih:${hash}&dn=${encodeURIComponent(fileName)}&xl=${fileSize || 0}`;
+}
+
+/**
+ * Check whether a release name matches a search.
+ * Every query word must appear in the name. Years in the query are only
+ * enforced when the name carries a year itself ("Movie 2010" finds
+ * "Movie.1080p.mkv" but not "Movie.1998.1080p.mkv").
+ *
+ * @param {string} fileName
+ * @param {Object} params
+ * @param {string} [params.q] - Free-text query
+ * @param {string|number} [params.season]
+ * @param {string|number} [params.ep]
+ * @returns {boolean}
+ */
+function matchesQuery(fileName, { q, season, ep } = {}) {
+  const nameTokens = tokenize(fileName);
+  const nameWords = new Set(nameTokens);
+  const nameHasYear = nameTokens.some(t => YEAR_PATTERN.test(t));
+
+  const queryTokens = tokenize(q);
+  if (queryTokens.length === 0) return false;
+
+  for (const token of queryTokens) {
+    if (YEAR_PATTERN.test(token) && !nameHasYear) continue;
+    if (!nameWords.has(token)) return false;
+  }
+
+  if (season !== undefined && season !== null && season !== '') {
+    const parsed = parseEpisode(fileName);
+    if (!parsed || parsed.season !== parseInt(season, 10)) return false;
+    if (ep !== undefined && ep !== null && ep !== '') {
+      if (parsed.episode !== parseInt(ep, 10)) return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Search library files
+ * @param {Array} files - Library files
+ * @param {Object} params - { q, season, ep }
+ * @returns {Array} Matching files tagged with detected `categories`, newest first
+ */
+function searchLibrary(files, params = {}) {
+  return listLibrary(files.filter(file => matchesQuery(file.fileName, params)));
+}
+
+/**
+ * Tag library files with detected categories, newest first (no query)
+ * @param {Array} files - Library files
+ * @returns {Array}
+ */
+function listLibrary(files) {
+  return files
+    .map(file => ({ ...file, categories: detectCategories(file.fileName) }))
+    .sort((a, b) => String(b.publishDate || '').localeCompare(String(a.publishDate || '')));
+}
+
+/**
+ * Keep results whose detected category group was requested
+ * @param {Array} results - Results with `categories`
+ * @param {string} requestedCategories - Comma-separated category IDs ('' = all)
+ * @returns {Array}
+ */
+function filterByCategories(results, requestedCategories = '') {
+  const requested = requestedCategories.split(',').filter(Boolean);
+  if (requested.length === 0) return results;
+  const parents = new Set(requested.map(getParentCategory).filter(Boolean));
+  return results.filter(r => r.categories.some(c => parents.has(getParentCategory(c))));
+}
+
+module.exports = {
+  normalizeTitle,
+  parseEpisode,
+  detectCategories,
+  buildTorrentMagnet,
+  matchesQuery,
+  searchLibrary,
+  listLibrary,
+  filterByCategories
+};
@@ -1,5 +1,6 @@
 const { create } = require('xmlbuilder2');
 const { convertEd2kToMagnet } = require('../linkConverter');
+const { expandCategories } = require('./capabilities');
 
 /**
  * Convert aMule search results to Torznab RSS feed
@@ -7,12 +8,25 @@ const { convertEd2kToMagnet } = require('../linkConverter');
  * aMule returns results with: fileHash, fileName, fileSize, sourceCount
  * Torznab expects: RSS 2.0 format with custom torznab:attr elements
  *
+ * Results may carry their own `categories` (e.g. local library items detected
+ * as TV or movie); otherwise they are tagged with the requested categories.
+ *
  * @param {Array} amuleResults - Results from amule
  * @param {string} query - Original search query
  * @param {string} requestedCategories - Comma-separated category IDs from request
+ * @param {Object} [feed] - Channel metadata
+ * @param {string} [feed.title='aMule ED2K Indexer']
+ * @param {string} [feed.description='aMule ED2K/Kad Network Search Results']
+ * @param {string} [feed.path='/indexer/amule/api']
  * @returns {string} XML RSS feed
  */
-function convertToTorznabFeed(amuleResults, query, requestedCategories = '') {
+function convertToTorznabFeed(amuleResults, query, requestedCategories = '', feed = {}) {
+  const {
+    title = 'aMule ED2K Indexer',
+    description = 'aMule ED2K/Kad Network Search Results',
+    path = '/indexer/amule/api'
+  } = feed;
+
   const root = create({ version: '1.0', encoding: 'UTF-8' });
   const rss = root.ele('rss', {
     version: '1.0',
@@ -21,12 +35,12 @@ function convertToTorznabFeed(amuleResults, query, requestedCategories = '') {
   });
 
   const channel = rss.ele('channel');
-  channel.ele('title').txt('aMule ED2K Indexer').up();
-  channel.ele('description').txt('aMule ED2K/Kad Network Search Results').up();
+  channel.ele('title').txt(title).up();
+  channel.ele('description').txt(description).up();
   channel.ele('link').txt('http://localhost').up();
   channel.ele('language').txt('en-us').up();
   channel.ele('atom:link', {
-    href: 'http://localhost/indexer/amule/api',
+    href: `http://localhost${path}`,
     rel: 'self',
     type: 'application/rss+xml'
   }).up();
@@ -46,13 +60,15 @@ function convertToTorznabFeed(amuleResults, query, requestedCategories = '') {
 
     item.ele('title').txt(fileName).up();
     item.ele('guid').txt(fileHash).up();
-    item.ele('pubDate').txt(new Date().toUTCString()).up();
+    const pubDate = result.publishDate ? new Date(result.publishDate) : new Date();
+    item.ele('pubDate').txt((isNaN(pubDate) ? new Date() : pubDate).toUTCString()).up();
 
     // Size
     item.ele('size').txt(String(fileSize)).up();
 
-    // Convert ed2k hash to magnet link (using urn:btih format for Sonarr compatibility)
-    const { magnetLink } = convertEd2kToMagnet(fileHash, fileName, fileSize);
+    // Torrents keep their own magnet link; ed2k hashes become one in urn:btih
+    // format (for Sonarr compatibility)
+    const magnetLink = result.magnetLink || convertEd2kToMagnet(fileHash, fileName, fileSize).magnetLink;
     item.ele('link').txt(magnetLink).up();
     item.ele('enclosure', {
       url: magnetLink,
@@ -68,33 +84,12 @@ function convertToTorznabFeed(amuleResults, query, requestedCategories = '') {
 
     // Categories - Since aMule doesn't have categories, match what Prowlarr requested
     // Torznab spec requires BOTH parent and child categories
-    const requestedCats = requestedCategories.split(',').filter(Boolean);
-    const categoriesToAdd = new Set();
-
-    // All available categories
-    const allMovieCategories = ['2000', '2010', '2020', '2030', '2040', '2045', '2050', '2060', '2070', '2080', '2090'];
-    const allTVCategories = ['5000', '5010', '5020', '5030', '5040', '5045', '5050', '5060', '5070', '5080', '5090'];
-
-    if (requestedCats.length === 0) {
-      // No categories requested - return both TV and Movies with all subcategories
-      allMovieCategories.forEach(cat => categoriesToAdd.add(cat));
-      allTVCategories.forEach(cat => categoriesToAdd.add(cat));
-    } else {
-      // Add requested categories AND their parent categories
-      requestedCats.forEach(cat => {
-        categoriesToAdd.add(cat);
-
-        // Add parent category if this is a child category
-        if (cat.startsWith('2') && cat !== '2000') {
-          categoriesToAdd.add('2000'); // Movies parent
-        } else if (cat.startsWith('5') && cat !== '5000') {
-          categoriesToAdd.add('5000'); // TV parent
-        }
-      });
-    }
+    const categoriesToAdd = Array.isArray(result.categories)
+      ? result.categories
+      : expandCategories(requestedCategories.split(',').filter(Boolean));
 
     // Add all determined categories to the item
-    Array.from(categoriesToAdd).forEach(cat => {
+    categoriesToAdd.forEach(cat => {
       item.ele('torznab:attr', { name: 'category', value: cat }).up();
     });
   });
@@ -0,0 +1,214 @@
+/**
+ * TOTP Utilities
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s steps)
+ * and recovery code helpers for two-factor authentication
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+// Recovery codes avoid look-alike characters (0/O, 1/I/L)
+const RECOVERY_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_LENGTH = 10;
+const RECOVERY_CODE_COUNT = 10;
+
+// ============================================================================
+// BASE32
+// ============================================================================
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32 (case-insensitive, ignores spaces and padding)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ============================================================================
+// TOTP
+// ============================================================================
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Get the time step counter for a moment
+ * @param {number} [time=Date.now()] - Milliseconds since epoch
+ * @returns {number}
+ */
+function getTimeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @param {number} [digits=6]
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter, digits = DIGITS) {
+  const key = base32Decode(secret);
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+}
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way.
+ * Steps at or before lastStep are rejected so a code cannot be replayed.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - Milliseconds since epoch
+ * @param {number} [options.window=1] - Steps accepted before/after the current one
+ * @param {number|null} [options.lastStep=null] - Last step accepted for this secret
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+function verifyCode(secret, code, { time = Date.now(), window = 1, lastStep = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized) || !secret) return null;
+
+  const current = getTimeStep(time);
+  const expected = Buffer.from(normalized);
+  for (let step = current - window; step <= current + window; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), expected)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI scanned by authenticator apps
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account name (username)
+ * @param {string} [params.issuer='aMuTorrent']
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, account, issuer = 'aMuTorrent' }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ============================================================================
+// RECOVERY CODES
+// ============================================================================
+
+/**
+ * Normalize a recovery code for hashing (uppercase, no separators)
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Generate one-time recovery codes formatted as XXXXX-XXXXX
+ * @param {number} [count=10]
+ * @returns {string[]}
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    let code = '';
+    for (let j = 0; j < RECOVERY_CODE_LENGTH; j++) {
+      code += RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)];
+    }
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  return codes;
+}
+
+/**
+ * Hash a recovery code for storage. Codes carry ~50 bits of randomness, so a
+ * fast hash is enough and lets login check them without a bcrypt round per code.
+ * @param {string} code
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Check whether input looks like a recovery code rather than a TOTP code
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isRecoveryCodeFormat(code) {
+  return normalizeRecoveryCode(code).length === RECOVERY_CODE_LENGTH;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isRecoveryCodeFormat
+};
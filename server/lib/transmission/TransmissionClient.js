@@ -15,11 +15,12 @@ const TORRENT_FIELDS = [
   'id', 'name', 'hashString', 'status', 'error', 'errorString',
   'downloadDir', 'totalSize', 'sizeWhenDone', 'leftUntilDone',
   'downloadedEver', 'uploadedEver', 'rateDownload', 'rateUpload',
-  'uploadRatio', 'percentDone', 'metadataPercentComplete', 'eta',
+  'uploadRatio', 'percentDone', 'metadataPercentComplete', 'recheckProgress', 'eta',
   'activityDate', 'addedDate', 'doneDate', 'startDate',
   'peersConnected', 'labels', 'isPrivate', 'isFinished', 'isStalled',
-  'comment', 'creator', 'dateCreated', 'bandwidthPriority',
-  'pieceCount', 'pieceSize', 'trackers', 'files', 'fileStats'
+  'comment', 'creator', 'dateCreated', 'bandwidthPriority', 'queuePosition',
+  'pieceCount', 'pieceSize', 'trackers', 'files', 'fileStats',
+  'downloadLimit', 'downloadLimited', 'uploadLimit', 'uploadLimited'
 ];
 
 class TransmissionClient {
@@ -212,6 +213,15 @@ class TransmissionClient {
     return await this._call('session-get');
   }
 
+  /**
+   * Update session configuration.
+   * @param {Object} args - session-set arguments (e.g. 'speed-limit-down')
+   * @returns {Promise<void>}
+   */
+  async setSession(args) {
+    await this._call('session-set', args);
+  }
+
   /**
    * Test if the peer port is reachable from the outside.
    * @returns {Promise<boolean>} True if port is open
@@ -303,6 +313,23 @@ class TransmissionClient {
     });
   }
 
+  /**
+   * Start one or more torrents immediately, bypassing the queue.
+   * @param {Array} ids - Torrent IDs
+   */
+  async startTorrentsNow(ids) {
+    await this._call('torrent-start-now', { ids: Array.isArray(ids) ? ids : [ids] });
+  }
+
+  /**
+   * Move one or more torrents within the queue.
+   * @param {Array} ids - Torrent IDs
+   * @param {'top'|'up'|'down'|'bottom'} direction - Where to move them
+   */
+  async queueMove(ids, direction) {
+    await this._call(`queue-move-${direction}`, { ids: Array.isArray(ids) ? ids : [ids] });
+  }
+
   // ============================================================================
   // ADD DOWNLOADS
   // ============================================================================
@@ -139,6 +139,7 @@ function applyDownloadData(item, download, categoryManager = null) {
 
     // Priority
     item.downloadPriority = download.priority ?? item.downloadPriority;
+    item.a4afAuto = download.a4afAuto ?? item.a4afAuto;
 
     // Visualization
     item.partStatus = download.partStatus || item.partStatus;
@@ -196,6 +197,16 @@ function applyDownloadData(item, download, categoryManager = null) {
     item.trackers = download.trackers || item.trackers;
     item.trackersDetailed = download.trackersDetailed || item.trackersDetailed;
     item.message = download.message || item.message;
+    item.checkProgress = download.checkProgress ?? null;
+
+    // Queue
+    item.queuePosition = download.queuePosition ?? null;
+    item.queued = !!download.queued;
+    item.forceStart = !!download.forceStart;
+
+    // Per-item speed limits
+    item.downloadLimit = download.downloadLimit ?? null;
+    item.uploadLimit = download.uploadLimit ?? null;
 
     // Transfer stats
     item.uploadTotal = download.uploadTotal || item.uploadTotal;
@@ -204,6 +215,7 @@ function applyDownloadData(item, download, categoryManager = null) {
     // Client-specific fields
     item.downloadPriority = download.priority ?? item.downloadPriority;
     item.directory = download.directory || item.directory;
+    item.savePath = download.savePath || item.savePath;
     item.multiFile = download.isMultiFile || item.multiFile;
 
     // Copy BitTorrent peers from peersDetailed (role-stamped in normalizer)
@@ -0,0 +1,98 @@
+/**
+ * Minimal in-memory zip writer
+ *
+ * Only what torrent exports need: small files, stored without compression
+ * (metainfo is mostly SHA-1 digests and doesn't compress), no directories,
+ * no zip64. Names are written as UTF-8.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+const VERSION = 20;           // 2.0 — stored entries
+const FLAG_UTF8 = 0x0800;     // general purpose bit 11: names are UTF-8
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+/**
+ * Encode a date as MS-DOS time and date words (local time, 2-second precision)
+ * @param {Date} date
+ * @returns {Object} { time, date }
+ */
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<Object>} entries - [{ name, data: Buffer|string }] (names must be unique)
+ * @param {Date} modified - Modification time stamped on every entry (default: now)
+ * @returns {Buffer} Zip file contents
+ * @throws {Error} If there are too many entries or the archive would need zip64
+ */
+function createZip(entries, modified = new Date()) {
+  if (entries.length > MAX_ENTRIES) throw new Error(`Too many files for a zip archive (${entries.length})`);
+  const { time, date } = dosDateTime(modified);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(LOCAL_HEADER_SIZE);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(0, 8);                 // stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);      // compressed size
+    local.writeUInt32LE(data.length, 22);      // uncompressed size
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);                // extra field length
+
+    const central = Buffer.alloc(CENTRAL_HEADER_SIZE);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(VERSION, 4);         // made by
+    central.writeUInt16LE(VERSION, 6);         // needed to extract
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // extra/comment length, disk number, attributes: all zero
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += LOCAL_HEADER_SIZE + name.length + data.length;
+    if (offset > MAX_SIZE) throw new Error('Archive too large for a zip without zip64');
+  }
+
+  const centralSize = centrals.reduce((sum, buf) => sum + buf.length, 0);
+  const end = Buffer.alloc(END_RECORD_SIZE);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);        // entries on this disk
+  end.writeUInt16LE(entries.length, 10);       // total entries
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+module.exports = { createZip };
@@ -15,6 +15,30 @@ const {
   normalizeAmuleDownloadSource
 } = require('../lib/downloadNormalizer');
 
+// Priority names → aMule PR_* values. EC reports auto priorities as the
+// current level + 10 (see formatPriority in the UI); setting PR_AUTO (5)
+// hands the level back to aMule.
+const DOWNLOAD_PRIORITIES = { low: 0, normal: 1, high: 2, auto: 5 };
+const UPLOAD_PRIORITIES = { veryLow: 4, low: 0, normal: 1, high: 2, release: 3, auto: 5 };
+
+// A4AF swap modes → EC operations on a part file
+const A4AF_MODES = {
+  this: 'swapA4AFThis',          // pull A4AF sources of other files to this one
+  others: 'swapA4AFOthers',      // push this file's A4AF sources to other files
+  auto: 'swapA4AFThisAuto'       // toggle automatic A4AF swapping to this file
+};
+
+// amule-ec-node write methods used below → the EC opcode each sends. Older
+// library builds lack some of them, so they are checked before every call.
+const EC_WRITE_OPS = {
+  setDownloadPriority: 'EC_OP_PARTFILE_PRIO_SET',
+  setSharedFilePriority: 'EC_OP_SHARED_SET_PRIO',
+  swapA4AFThis: 'EC_OP_PARTFILE_SWAP_A4AF_THIS',
+  swapA4AFOthers: 'EC_OP_PARTFILE_SWAP_A4AF_OTHERS',
+  swapA4AFThisAuto: 'EC_OP_PARTFILE_SWAP_A4AF_THIS_AUTO',
+  setConnectionPreferences: 'EC_OP_SET_PREFERENCES'
+};
+
 class AmuleManager extends BaseClientManager {
   constructor() {
     super();
@@ -682,6 +706,125 @@ class AmuleManager extends BaseClientManager {
     // aMule manages directories automatically via categories
   }
 
+  // ============================================================================
+  // PRIORITY & A4AF
+  // ============================================================================
+
+  /**
+   * Send an EC write operation through amule-ec-node
+   * @param {string} method - Library method (key of EC_WRITE_OPS)
+   * @param {...*} args - Method arguments
+   * @returns {Promise<boolean>} false if aMule rejected the request (the
+   *   queued client resolves failed requests to null)
+   * @throws {Error} If the installed amule-ec-node lacks the method
+   */
+  async _sendEcWrite(method, ...args) {
+    if (typeof this.client[method] !== 'function') {
+      throw new Error(`The installed amule-ec-node has no ${method}() (${EC_WRITE_OPS[method]}) — update amule-ec-node to use this feature`);
+    }
+    const result = await this.client[method](...args);
+    return result !== null && result !== false;
+  }
+
+  /**
+   * Set the download priority of a part file
+   * @param {string} hash - File hash
+   * @param {string} priority - 'low' | 'normal' | 'high' | 'auto'
+   * @returns {Promise<boolean>} false if aMule rejected the request
+   */
+  async setDownloadPriority(hash, priority) {
+    if (!this.client) {
+      throw new Error('aMule not connected');
+    }
+    if (!(priority in DOWNLOAD_PRIORITIES)) {
+      throw new Error(`Invalid download priority: ${priority}`);
+    }
+    return await this._sendEcWrite('setDownloadPriority', hash, DOWNLOAD_PRIORITIES[priority]);
+  }
+
+  /**
+   * Set the upload priority of a shared file (includes files still downloading)
+   * @param {string} hash - File hash
+   * @param {string} priority - 'veryLow' | 'low' | 'normal' | 'high' | 'release' | 'auto'
+   * @returns {Promise<boolean>} false if aMule rejected the request
+   */
+  async setUploadPriority(hash, priority) {
+    if (!this.client) {
+      throw new Error('aMule not connected');
+    }
+    if (!(priority in UPLOAD_PRIORITIES)) {
+      throw new Error(`Invalid upload priority: ${priority}`);
+    }
+    return await this._sendEcWrite('setSharedFilePriority', hash, UPLOAD_PRIORITIES[priority]);
+  }
+
+  /**
+   * Swap Asked-For-Another-File sources for a part file
+   * @param {string} hash - File hash
+   * @param {string} mode - 'this' | 'others' | 'auto' (see A4AF_MODES)
+   * @returns {Promise<boolean>} false if aMule rejected the request
+   */
+  async swapA4AF(hash, mode) {
+    if (!this.client) {
+      throw new Error('aMule not connected');
+    }
+    if (!(mode in A4AF_MODES)) {
+      throw new Error(`Invalid A4AF mode: ${mode}`);
+    }
+    const swapped = await this._sendEcWrite(A4AF_MODES[mode], hash);
+    if (swapped) this.log(`🔀 A4AF swap (${mode}) for ${hash}`);
+    return swapped;
+  }
+
+  // ============================================================================
+  // BANDWIDTH LIMITS
+  // ============================================================================
+
+  /**
+   * Get global speed limits from the EC connection preferences.
+   * aMule stores KiB/s with 0 meaning unlimited.
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   */
+  async getSpeedLimits() {
+    if (!this.client) {
+      throw new Error('aMule not connected');
+    }
+    const prefs = await this.client.getConnectionPreferences();
+    return {
+      downloadLimit: (prefs?.maxDownload || 0) * 1024,
+      uploadLimit: (prefs?.maxUpload || 0) * 1024
+    };
+  }
+
+  /**
+   * Set global speed limits via EC connection preferences
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit }
+   */
+  async setSpeedLimits({ downloadLimit, uploadLimit } = {}) {
+    if (!this.client) {
+      throw new Error('aMule not connected');
+    }
+    // aMule works in whole KiB/s; keep non-zero limits from rounding down to unlimited
+    const toKib = (bytes) => (bytes > 0 ? Math.max(1, Math.round(bytes / 1024)) : 0);
+    const prefs = {};
+    if (downloadLimit !== undefined) prefs.maxDownload = toKib(downloadLimit);
+    if (uploadLimit !== undefined) prefs.maxUpload = toKib(uploadLimit);
+    if (Object.keys(prefs).length > 0 && !(await this._sendEcWrite('setConnectionPreferences', prefs))) {
+      throw new Error('aMule rejected the new speed limits');
+    }
+    this.log(`🚦 Speed limits set: ↓ ${downloadLimit ?? 'unchanged'} ↑ ${uploadLimit ?? 'unchanged'} (bytes/s)`);
+    return await this.getSpeedLimits();
+  }
+
+  /**
+   * aMule only has global bandwidth limits — neither the core nor EC offers
+   * per-file caps.
+   */
+  async setItemSpeedLimits() {
+    throw new Error('aMule does not support per-file speed limits');
+  }
+
   // ============================================================================
   // DOWNLOAD OPERATIONS
   // ============================================================================
@@ -724,9 +867,10 @@ class AmuleManager extends BaseClientManager {
    * @param {string} link - ED2K link
    * @param {number} categoryId - aMule category ID (0 = default)
    * @param {string|null} username - Username for history tracking
+   * @param {string|null} feedName - RSS feed that triggered the add
    * @returns {Promise<boolean>} Success
    */
-  async addEd2kLink(link, categoryId = 0, username = null) {
+  async addEd2kLink(link, categoryId = 0, username = null, feedName = null) {
     if (!this.client) {
       throw new Error('aMule not connected');
     }
@@ -738,7 +882,7 @@ class AmuleManager extends BaseClientManager {
       const parsed = parseEd2kLink(link);
       const categoryName = this._resolveCategoryName(categoryId);
       this.trackDownload(
-        parsed.hash, parsed.filename || 'Unknown', parsed.size, username, categoryName
+        parsed.hash, parsed.filename || 'Unknown', parsed.size, username, categoryName, feedName
       );
     }
 
@@ -133,6 +133,77 @@ class ArrManager extends BaseModule {
     return configs[service];
   }
 
+  // ============================================================================
+  // TITLE LOOKUP (Torznab ID searches)
+  // ============================================================================
+
+  /**
+   * Check whether titles can be looked up for a media type
+   * @param {'tv'|'movie'} type - 'tv' uses Sonarr, 'movie' uses Radarr
+   * @returns {boolean}
+   */
+  canLookupMediaTitle(type) {
+    const cfg = this.getServiceConfig(type === 'tv' ? 'sonarr' : 'radarr');
+    return !!(cfg && cfg.url && cfg.apiKey);
+  }
+
+  /**
+   * Resolve external IDs to a title and year via Sonarr (tv) or Radarr (movie).
+   * Sonarr: series already in the library first, then its metadata lookup.
+   * Radarr: its TMDB/IMDb lookup endpoints (which also cover library movies).
+   *
+   * @param {'tv'|'movie'} type
+   * @param {Object} ids - { imdbid: 'tt0000000'|null, tvdbid: string|null, tmdbid: string|null }
+   * @returns {Promise<{ title: string, year: number|null }|null>} null when not found
+   */
+  async lookupMediaTitle(type, ids) {
+    if (!this.canLookupMediaTitle(type)) return null;
+
+    const service = type === 'tv' ? 'sonarr' : 'radarr';
+    const cfg = this.getServiceConfig(service);
+    const get = (endpoint) => this.fetchJson(`${cfg.url}/api/v3/${endpoint}`, {
+      headers: { 'X-Api-Key': cfg.apiKey }
+    });
+    const toResult = (item) => item?.title ? { title: item.title, year: item.year || null } : null;
+
+    if (type === 'tv') {
+      const series = await get('series');
+      const known = (series || []).find(s =>
+        (ids.tvdbid && String(s.tvdbId) === ids.tvdbid) ||
+        (ids.imdbid && s.imdbId === ids.imdbid) ||
+        (ids.tmdbid && String(s.tmdbId) === ids.tmdbid)
+      );
+      if (known) return toResult(known);
+
+      const terms = [
+        ids.tvdbid && `tvdb:${ids.tvdbid}`,
+        ids.imdbid && `imdb:${ids.imdbid}`,
+        ids.tmdbid && `tmdb:${ids.tmdbid}`
+      ].filter(Boolean);
+      for (const term of terms) {
+        const matches = await get(`series/lookup?term=${encodeURIComponent(term)}`);
+        const result = toResult(matches?.[0]);
+        if (result) return result;
+      }
+      return null;
+    }
+
+    const endpoints = [
+      ids.tmdbid && `movie/lookup/tmdb?tmdbId=${ids.tmdbid}`,
+      ids.imdbid && `movie/lookup/imdb?imdbId=${ids.imdbid}`
+    ].filter(Boolean);
+    for (const endpoint of endpoints) {
+      try {
+        const result = toResult(await get(endpoint));
+        if (result) return result;
+      } catch (err) {
+        // Radarr answers 404 for unknown IDs — try the next one
+        if (!err.message.startsWith('HTTP 404')) throw err;
+      }
+    }
+    return null;
+  }
+
   // Helper function to poll command status with timeout
   async waitForCommandCompletion(service, commandId, timeoutMs = config.COMMAND_TIMEOUT_MS) {
     const pollInterval = 5000; // 5 seconds
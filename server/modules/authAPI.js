@@ -1,19 +1,189 @@
 /**
  * Authentication API Module
- * Handles authentication endpoints: login, logout, status
+ * Handles authentication endpoints: login (with optional TOTP second step),
+ * logout, status, profile and two-factor enrollment
  */
 
+const QRCode = require('qrcode');
 const BaseModule = require('../lib/BaseModule');
 const config = require('./config');
 const { getClientIP, hashPassword } = require('../lib/authUtils');
 const { validatePassword } = require('../lib/passwordValidator');
 const response = require('../lib/responseFormatter');
-const { MS_PER_HOUR, MS_PER_DAY } = require('../lib/timeRange');
+const totp = require('../lib/totp');
+const { MS_PER_MINUTE, MS_PER_HOUR, MS_PER_DAY } = require('../lib/timeRange');
 
 // Singleton managers - imported directly instead of injected
 const authManager = require('./authManager');
+const oidcAPI = require('./oidcAPI');
+
+// Password-verified logins waiting for a TOTP code (or enrollment) expire after this
+const PENDING_TWO_FACTOR_TTL = 5 * MS_PER_MINUTE;
+// Wrong codes allowed per pending login before the password must be entered again
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+// Unconfirmed enrollment secrets expire after this
+const TOTP_SETUP_TTL = 10 * MS_PER_MINUTE;
 
 class AuthAPI extends BaseModule {
+  // ==========================================================================
+  // LOGIN HELPERS
+  // ==========================================================================
+
+  /**
+   * Reject or delay a login attempt based on previous failures from this IP
+   * @param {Object} res - Express response
+   * @param {string} clientIp
+   * @returns {Promise<boolean>} True if a rate-limit response was sent
+   */
+  async _throttleLogin(res, clientIp) {
+    // Check if IP is blocked
+    if (authManager.checkIPBlocked(clientIp)) {
+      const timeRemaining = authManager.getBlockTimeRemaining(clientIp);
+      const minutesRemaining = Math.ceil(timeRemaining / 60000);
+
+      this.log(`🚫 Blocked login attempt from ${clientIp} (${minutesRemaining} minutes remaining)`);
+
+      response.rateLimited(res,
+        'Too many failed attempts.',
+        Math.ceil(timeRemaining / 1000)
+      );
+      return true;
+    }
+
+    // Check global rate limit (only blocks IPs with prior failed attempts)
+    if (authManager.isGlobalLimitReached() && authManager.getAttemptCount(clientIp) > 0) {
+      this.log(`🚫 Global rate limit reached, blocking ${clientIp} (has prior failed attempts)`);
+      response.rateLimited(res, 'Too many login attempts.', 900);
+      return true;
+    }
+
+    // Apply delay if needed based on previous failed attempts
+    const attemptCount = authManager.getAttemptCount(clientIp);
+    if (attemptCount > 0) {
+      const delay = authManager.getDelayForAttempts(attemptCount);
+      if (delay > 0) {
+        this.log(`⏳ Applying ${delay}ms delay for IP ${clientIp} (${attemptCount} previous attempts)`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a failed attempt and send a 401 with the next retry delay
+   * @param {Object} res - Express response
+   * @param {string} clientIp
+   * @param {string} message
+   */
+  _rejectLogin(res, clientIp, message) {
+    authManager.recordFailedAttempt(clientIp);
+    const newCount = authManager.getAttemptCount(clientIp);
+    const retryDelay = authManager.getDelayForAttempts(newCount) / 1000;
+    response.error(res, message, 401, { retryDelay });
+  }
+
+  /**
+   * Mark the session as authenticated for a user and send the response
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} user - User row
+   * @param {Object} options
+   * @param {boolean} options.rememberMe
+   * @param {string} options.clientIp
+   * @param {Object} [options.extra] - Additional response fields
+   */
+  _completeLogin(req, res, user, { rememberMe, clientIp, extra = {} }) {
+    authManager.recordSuccessfulLogin(clientIp);
+
+    delete req.session.pendingTwoFactor;
+    delete req.session.totpSetup;
+    req.session.authenticated = true;
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    req.session.isAdmin = user.is_admin;
+    req.session.capabilities = this.userManager.resolveCapabilities(user);
+
+    this.userManager.updateLastLogin(user.id);
+
+    if (rememberMe) {
+      req.session.cookie.maxAge = 30 * MS_PER_DAY;
+    } else {
+      req.session.cookie.maxAge = 24 * MS_PER_HOUR;
+    }
+
+    req.session.save((err) => {
+      if (err) {
+        this.error('❌ Session save error:', err);
+        return response.serverError(res, 'Failed to save session');
+      }
+
+      this.log(`✅ Successful login: ${user.username} from ${clientIp} (remember me: ${rememberMe})`);
+      response.success(res, { message: 'Login successful', ...extra });
+    });
+  }
+
+  /**
+   * Get the password-verified login waiting for its second factor, if still valid
+   * @param {Object} req - Express request
+   * @returns {Object|null} { userId, rememberMe, setup, attempts, expiresAt }
+   */
+  _getPendingTwoFactor(req) {
+    const pending = req.session?.pendingTwoFactor;
+    if (!pending) return null;
+    if (pending.expiresAt < Date.now()) {
+      delete req.session.pendingTwoFactor;
+      return null;
+    }
+    return pending;
+  }
+
+  /**
+   * Check a TOTP or recovery code for a user with two-factor enabled
+   * @param {Object} user - User row
+   * @param {string} code
+   * @returns {'totp'|'recovery'|null} How the user verified, or null if the code is invalid
+   */
+  _verifySecondFactor(user, code) {
+    if (typeof code !== 'string' || !user.totp_enabled) return null;
+
+    if (totp.isRecoveryCodeFormat(code)) {
+      return this.userManager.consumeRecoveryCode(user.id, totp.hashRecoveryCode(code)) ? 'recovery' : null;
+    }
+
+    const step = totp.verifyCode(user.totp_secret, code, { lastStep: user.totp_last_step });
+    // setTotpLastStep only moves forward, so a code raced through two requests is accepted once
+    if (step === null || !this.userManager.setTotpLastStep(user.id, step)) return null;
+    return 'totp';
+  }
+
+  /**
+   * Resolve the user managing their two-factor settings: a signed-in local
+   * user, or (for enrollment only) a login waiting on mandatory setup
+   * @param {Object} req - Express request
+   * @returns {{ user: Object, pending: boolean }|null}
+   */
+  _getTwoFactorSubject(req) {
+    if (!this.userManager) return null;
+
+    if (req.session?.authenticated && req.session.userId && !req.session.sso) {
+      const user = this.userManager.getUser(req.session.userId);
+      return user && !user.disabled && user.password_hash ? { user, pending: false } : null;
+    }
+
+    const pending = this._getPendingTwoFactor(req);
+    if (pending?.setup) {
+      const user = this.userManager.getUser(pending.userId);
+      return user && !user.disabled ? { user, pending: true } : null;
+    }
+
+    return null;
+  }
+
+  // ==========================================================================
+  // ROUTES
+  // ==========================================================================
+
   /**
    * Register authentication routes
    * @param {Express} app - Express application instance
@@ -35,34 +205,7 @@ class AuthAPI extends BaseModule {
           return response.success(res, { message: 'Authentication is disabled' });
         }
 
-        // Check if IP is blocked
-        if (authManager.checkIPBlocked(clientIp)) {
-          const timeRemaining = authManager.getBlockTimeRemaining(clientIp);
-          const minutesRemaining = Math.ceil(timeRemaining / 60000);
-
-          this.log(`🚫 Blocked login attempt from ${clientIp} (${minutesRemaining} minutes remaining)`);
-
-          return response.rateLimited(res,
-            'Too many failed attempts.',
-            Math.ceil(timeRemaining / 1000)
-          );
-        }
-
-        // Check global rate limit (only blocks IPs with prior failed attempts)
-        if (authManager.isGlobalLimitReached() && authManager.getAttemptCount(clientIp) > 0) {
-          this.log(`🚫 Global rate limit reached, blocking ${clientIp} (has prior failed attempts)`);
-          return response.rateLimited(res, 'Too many login attempts.', 900);
-        }
-
-        // Apply delay if needed based on previous failed attempts
-        const attemptCount = authManager.getAttemptCount(clientIp);
-        if (attemptCount > 0) {
-          const delay = authManager.getDelayForAttempts(attemptCount);
-          if (delay > 0) {
-            this.log(`⏳ Applying ${delay}ms delay for IP ${clientIp} (${attemptCount} previous attempts)`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-          }
-        }
+        if (await this._throttleLogin(res, clientIp)) return;
 
         if (!username || typeof username !== 'string') {
           return response.badRequest(res, 'username is required');
@@ -74,65 +217,100 @@ class AuthAPI extends BaseModule {
 
         const user = this.userManager.getUserByUsername(username);
 
-        if (!user) {
-          authManager.recordFailedAttempt(clientIp);
-          const newCount = authManager.getAttemptCount(clientIp);
-          const retryDelay = authManager.getDelayForAttempts(newCount) / 1000;
-          return response.error(res, 'Invalid username or password', 401, { retryDelay });
-        }
-
-        if (user.disabled) {
-          authManager.recordFailedAttempt(clientIp);
-          const newCount = authManager.getAttemptCount(clientIp);
-          const retryDelay = authManager.getDelayForAttempts(newCount) / 1000;
-          return response.error(res, 'Invalid username or password', 401, { retryDelay });
+        if (!user || user.disabled) {
+          return this._rejectLogin(res, clientIp, 'Invalid username or password');
         }
 
         if (!user.password_hash) {
           // SSO-only user — cannot log in via form
-          authManager.recordFailedAttempt(clientIp);
-          const newCount = authManager.getAttemptCount(clientIp);
-          const retryDelay = authManager.getDelayForAttempts(newCount) / 1000;
-          return response.error(res, 'Invalid username or password', 401, { retryDelay });
+          return this._rejectLogin(res, clientIp, 'Invalid username or password');
         }
 
         const isValid = await authManager.verifyPassword(password, user.password_hash);
 
         if (!isValid) {
-          authManager.recordFailedAttempt(clientIp);
-          const newCount = authManager.getAttemptCount(clientIp);
-          const retryDelay = authManager.getDelayForAttempts(newCount) / 1000;
-          return response.error(res, 'Invalid username or password', 401, { retryDelay });
+          return this._rejectLogin(res, clientIp, 'Invalid username or password');
         }
 
-        // Successful login
-        authManager.recordSuccessfulLogin(clientIp);
+        // Second step: enrolled users confirm a code; users the policy requires
+        // two-factor for must enroll before the session is authenticated
+        if (user.totp_enabled || authManager.isTwoFactorRequired(user)) {
+          const setup = !user.totp_enabled;
+          req.session.pendingTwoFactor = {
+            userId: user.id,
+            rememberMe: !!rememberMe,
+            setup,
+            attempts: 0,
+            expiresAt: Date.now() + PENDING_TWO_FACTOR_TTL
+          };
+
+          return req.session.save((err) => {
+            if (err) {
+              this.error('❌ Session save error:', err);
+              return response.serverError(res, 'Failed to save session');
+            }
 
-        req.session.authenticated = true;
-        req.session.userId = user.id;
-        req.session.username = user.username;
-        req.session.isAdmin = user.is_admin;
-        req.session.capabilities = this.userManager.resolveCapabilities(user);
+            this.log(`🔑 Password accepted for ${user.username} from ${clientIp}, awaiting two-factor ${setup ? 'enrollment' : 'code'}`);
+            response.success(res, setup
+              ? { message: 'Two-factor enrollment required', twoFactorSetupRequired: true }
+              : { message: 'Two-factor code required', twoFactorRequired: true });
+          });
+        }
 
-        this.userManager.updateLastLogin(user.id);
+        this._completeLogin(req, res, user, { rememberMe, clientIp });
+      } catch (err) {
+        this.error('❌ Login error:', err);
+        response.serverError(res, 'Login failed: ' + err.message);
+      }
+    });
 
-        if (rememberMe) {
-          req.session.cookie.maxAge = 30 * MS_PER_DAY;
-        } else {
-          req.session.cookie.maxAge = 24 * MS_PER_HOUR;
+    // POST /api/auth/login/2fa — second login step (TOTP or recovery code)
+    app.post('/api/auth/login/2fa', async (req, res) => {
+      try {
+        const { code } = req.body;
+        const clientIp = getClientIP(req);
+
+        const pending = this._getPendingTwoFactor(req);
+        if (!pending || pending.setup) {
+          return response.unauthorized(res, 'Sign in with your password first');
         }
 
-        req.session.save((err) => {
-          if (err) {
-            this.error('❌ Session save error:', err);
-            return response.serverError(res, 'Failed to save session');
+        if (!code || typeof code !== 'string') {
+          return response.badRequest(res, 'code is required');
+        }
+
+        if (await this._throttleLogin(res, clientIp)) return;
+
+        const user = this.userManager?.getUser(pending.userId);
+        if (!user || user.disabled || !user.totp_enabled) {
+          delete req.session.pendingTwoFactor;
+          return response.unauthorized(res, 'Sign in with your password first');
+        }
+
+        const method = this._verifySecondFactor(user, code);
+        if (!method) {
+          pending.attempts++;
+          if (pending.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+            delete req.session.pendingTwoFactor;
+            this.log(`🚫 Too many invalid two-factor codes for ${user.username} from ${clientIp}`);
+            return this._rejectLogin(res, clientIp, 'Too many invalid codes. Sign in again.');
           }
+          return this._rejectLogin(res, clientIp, 'Invalid verification code');
+        }
 
-          this.log(`✅ Successful login: ${user.username} from ${clientIp} (remember me: ${rememberMe})`);
-          response.success(res, { message: 'Login successful' });
-        });
+        if (method === 'recovery') {
+          const remaining = this.userManager.countRecoveryCodes(user.id);
+          this.log(`🔑 ${user.username} signed in with a recovery code (${remaining} left)`);
+          return this._completeLogin(req, res, user, {
+            rememberMe: pending.rememberMe,
+            clientIp,
+            extra: { recoveryCodesRemaining: remaining }
+          });
+        }
+
+        this._completeLogin(req, res, user, { rememberMe: pending.rememberMe, clientIp });
       } catch (err) {
-        this.error('❌ Login error:', err);
+        this.error('❌ Two-factor login error:', err);
         response.serverError(res, 'Login failed: ' + err.message);
       }
     });
@@ -180,6 +358,17 @@ class AuthAPI extends BaseModule {
         // Tell the frontend whether this session was created via SSO
         result.sso = !!(req.session && req.session.sso);
 
+        // "Sign in with ..." button for OpenID Connect
+        if (authEnabled && !authenticated) {
+          result.oidc = oidcAPI.getLoginInfo();
+        }
+
+        // Resume a login waiting on its second factor ('verify' or 'setup')
+        if (authEnabled && !authenticated) {
+          const pending = this._getPendingTwoFactor(req);
+          if (pending) result.twoFactor = pending.setup ? 'setup' : 'verify';
+        }
+
         // Include delay/block info for unauthenticated clients
         if (authEnabled && !authenticated) {
           const clientIp = getClientIP(req);
@@ -264,6 +453,152 @@ class AuthAPI extends BaseModule {
         response.serverError(res, 'Failed to update profile');
       }
     });
+
+    // GET /api/auth/2fa — two-factor status for the current user
+    app.get('/api/auth/2fa', (req, res) => {
+      try {
+        const subject = this._getTwoFactorSubject(req);
+        if (!subject) {
+          return response.unauthorized(res, 'Not authenticated');
+        }
+
+        const { user } = subject;
+        response.success(res, {
+          enabled: user.totp_enabled,
+          required: authManager.isTwoFactorRequired(user),
+          policy: config.getTwoFactorPolicy(),
+          recoveryCodesRemaining: user.totp_enabled ? this.userManager.countRecoveryCodes(user.id) : 0
+        });
+      } catch (err) {
+        this.error('❌ Two-factor status error:', err);
+        response.serverError(res, 'Failed to get two-factor status');
+      }
+    });
+
+    // POST /api/auth/2fa/setup — start enrollment (new secret + QR code)
+    app.post('/api/auth/2fa/setup', async (req, res) => {
+      try {
+        const subject = this._getTwoFactorSubject(req);
+        if (!subject) {
+          return response.unauthorized(res, 'Not authenticated');
+        }
+
+        const { user } = subject;
+        if (user.totp_enabled) {
+          return response.badRequest(res, 'Two-factor authentication is already enabled');
+        }
+
+        const secret = totp.generateSecret();
+        const otpauthUri = totp.buildOtpauthUri({ secret, account: user.username });
+        const qrCode = await QRCode.toDataURL(otpauthUri, { margin: 1, width: 220 });
+
+        // The secret only reaches the users DB once a code from it is confirmed
+        req.session.totpSetup = { userId: user.id, secret, expiresAt: Date.now() + TOTP_SETUP_TTL };
+
+        response.success(res, { secret, otpauthUri, qrCode });
+      } catch (err) {
+        this.error('❌ Two-factor setup error:', err);
+        response.serverError(res, 'Failed to start two-factor setup');
+      }
+    });
+
+    // POST /api/auth/2fa/enable — confirm enrollment with a code from the app
+    app.post('/api/auth/2fa/enable', (req, res) => {
+      try {
+        const subject = this._getTwoFactorSubject(req);
+        if (!subject) {
+          return response.unauthorized(res, 'Not authenticated');
+        }
+
+        const { user, pending } = subject;
+        const setup = req.session.totpSetup;
+        if (!setup || setup.userId !== user.id || setup.expiresAt < Date.now()) {
+          delete req.session.totpSetup;
+          return response.badRequest(res, 'Two-factor setup expired, start again');
+        }
+
+        const step = totp.verifyCode(setup.secret, req.body.code);
+        if (step === null) {
+          return response.badRequest(res, 'Invalid verification code');
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        this.userManager.enableTotp(user.id, setup.secret, step, recoveryCodes.map(totp.hashRecoveryCode));
+        delete req.session.totpSetup;
+        this.log(`🔑 ${user.username} enabled two-factor authentication`);
+
+        // Mandatory enrollment during login: the login completes now
+        if (pending) {
+          const { rememberMe } = req.session.pendingTwoFactor;
+          return this._completeLogin(req, res, user, {
+            rememberMe,
+            clientIp: getClientIP(req),
+            extra: { recoveryCodes }
+          });
+        }
+
+        // Sign out other sessions that were created with the password alone
+        authManager.invalidateUserSessions(user.id, req.sessionID);
+        response.success(res, { message: 'Two-factor authentication enabled', recoveryCodes });
+      } catch (err) {
+        this.error('❌ Two-factor enable error:', err);
+        response.serverError(res, 'Failed to enable two-factor authentication');
+      }
+    });
+
+    // POST /api/auth/2fa/disable — turn off two-factor (requires password)
+    app.post('/api/auth/2fa/disable', async (req, res) => {
+      try {
+        const subject = this._getTwoFactorSubject(req);
+        if (!subject || subject.pending) {
+          return response.unauthorized(res, 'Not authenticated');
+        }
+
+        const { user } = subject;
+        if (!user.totp_enabled) {
+          return response.badRequest(res, 'Two-factor authentication is not enabled');
+        }
+        if (authManager.isTwoFactorRequired(user)) {
+          return response.forbidden(res, 'Two-factor authentication is required for your account');
+        }
+        if (!await authManager.verifyPassword(req.body.password, user.password_hash)) {
+          return response.error(res, 'Password is incorrect', 401);
+        }
+
+        this.userManager.disableTotp(user.id);
+        this.log(`🔑 ${user.username} disabled two-factor authentication`);
+        response.success(res, { message: 'Two-factor authentication disabled' });
+      } catch (err) {
+        this.error('❌ Two-factor disable error:', err);
+        response.serverError(res, 'Failed to disable two-factor authentication');
+      }
+    });
+
+    // POST /api/auth/2fa/recovery-codes — replace recovery codes (requires password)
+    app.post('/api/auth/2fa/recovery-codes', async (req, res) => {
+      try {
+        const subject = this._getTwoFactorSubject(req);
+        if (!subject || subject.pending) {
+          return response.unauthorized(res, 'Not authenticated');
+        }
+
+        const { user } = subject;
+        if (!user.totp_enabled) {
+          return response.badRequest(res, 'Two-factor authentication is not enabled');
+        }
+        if (!await authManager.verifyPassword(req.body.password, user.password_hash)) {
+          return response.error(res, 'Password is incorrect', 401);
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        this.userManager.replaceRecoveryCodes(user.id, recoveryCodes.map(totp.hashRecoveryCode));
+        this.log(`🔑 ${user.username} regenerated two-factor recovery codes`);
+        response.success(res, { recoveryCodes });
+      } catch (err) {
+        this.error('❌ Recovery code error:', err);
+        response.serverError(res, 'Failed to regenerate recovery codes');
+      }
+    });
   }
 }
 
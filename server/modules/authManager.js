@@ -246,6 +246,29 @@ class AuthManager extends BaseModule {
     return verifyPasswordUtil(inputPassword, hashedPassword);
   }
 
+  /**
+   * Check whether the two-factor policy requires TOTP for a user's password login
+   * @param {Object} user - User row (is_admin resolved to boolean)
+   * @returns {boolean}
+   */
+  isTwoFactorRequired(user) {
+    const policy = config.getTwoFactorPolicy();
+    if (policy === 'all') return true;
+    if (policy === 'admins') return !!user.is_admin;
+    return false;
+  }
+
+  /**
+   * Check whether a user's password alone is not enough to sign in, because
+   * TOTP is enabled or required by policy. Endpoints that cannot ask for a code
+   * (qBittorrent-compatible API, /metrics) must accept only API keys for them.
+   * @param {Object} user - User row
+   * @returns {boolean}
+   */
+  hasSecondFactor(user) {
+    return !!user.totp_enabled || this.isTwoFactorRequired(user);
+  }
+
   /**
    * Validate session by checking if it exists and is not expired
    * @param {string} sessionId - Session ID from cookie
@@ -403,6 +426,39 @@ class AuthManager extends BaseModule {
       return 0;
     }
   }
+
+  /**
+   * Invalidate every session and force-disconnect all WebSocket users.
+   * Used after the user database was replaced (user IDs may now point at different accounts).
+   * @returns {number} Number of sessions invalidated
+   */
+  invalidateAllSessions() {
+    const db = this.getSessionDB();
+
+    try {
+      const userIds = new Set();
+      for (const row of db.prepare('SELECT sess FROM sessions').all()) {
+        try {
+          const sess = JSON.parse(row.sess);
+          if (sess.userId != null) userIds.add(sess.userId);
+        } catch { /* skip malformed session data */ }
+      }
+
+      const count = db.prepare('DELETE FROM sessions').run().changes;
+      if (count > 0) {
+        this.log(`🔐 Invalidated all ${count} session(s)`);
+      }
+
+      if (this._disconnectCallback) {
+        for (const userId of userIds) this._disconnectCallback(userId);
+      }
+
+      return count;
+    } catch (err) {
+      this.warn('⚠️  Error invalidating sessions:', err.message);
+      return 0;
+    }
+  }
 }
 
 module.exports = new AuthManager();
@@ -17,6 +17,12 @@ const registry = require('../lib/ClientRegistry');
 const HealthTracker = require('../lib/HealthTracker');
 const eventScriptingManager = require('../lib/EventScriptingManager');
 const clientMeta = require('../lib/clientMeta');
+const bandwidthScheduler = require('./bandwidthScheduler');
+const seedingPolicyManager = require('./seedingPolicyManager');
+const recheckMonitor = require('./recheckMonitor');
+const downloadWatchdog = require('./downloadWatchdog');
+const itemSpeedLimitManager = require('./itemSpeedLimitManager');
+const instanceTransferManager = require('./instanceTransferManager');
 const { itemKey } = require('../lib/itemKey');
 
 // How often to update download history status (in milliseconds)
@@ -42,6 +48,15 @@ class AutoRefreshManager extends BaseModule {
     return this._cachedBatchUpdate;
   }
 
+  /**
+   * Get the debounced health state of a client instance
+   * @param {string} instanceId
+   * @returns {Object|null} HealthTracker state or null if not tracked yet
+   */
+  getHealthState(instanceId) {
+    return this._healthTracker.getState(instanceId);
+  }
+
   // Auto-refresh loop
   async autoRefreshLoop() {
     const connectedManagers = registry.getConnected();
@@ -98,8 +113,13 @@ class AutoRefreshManager extends BaseModule {
       const historyEnabled = this.downloadHistoryDB && config.getConfig()?.history?.enabled;
       const historyDue = historyEnabled && now - this._lastHistoryUpdate >= HISTORY_UPDATE_INTERVAL;
       const hasWsClients = this.wss.clients.size > 0;
+      const hasSeedingPolicies = seedingPolicyManager.hasActivePolicies();
+      const hasRechecks = recheckMonitor.isTracking();
+      const watchdogDue = downloadWatchdog.isDue(now);
+      const hasTransfers = instanceTransferManager.isTracking();
+      const hasItemLimits = itemSpeedLimitManager.hasLimits();
 
-      if (!hasWsClients && !historyDue) {
+      if (!hasWsClients && !historyDue && !hasSeedingPolicies && !hasRechecks && !watchdogDue && !hasTransfers && !hasItemLimits) {
         // Nothing to do — skip data fetching entirely
         return;
       }
@@ -117,9 +137,31 @@ class AutoRefreshManager extends BaseModule {
         this._lastHistoryUpdate = now;
       }
 
+      // Seeding goals — not awaited, client actions must not hold up the broadcast
+      if (hasSeedingPolicies) {
+        seedingPolicyManager.evaluate(batchData.items);
+      }
+
+      // Hash checks — emits recheckFinished when a check ends
+      recheckMonitor.evaluate(batchData.items);
+
+      // Stalled and errored downloads — emits downloadStalled / downloadErrored
+      downloadWatchdog.evaluate(batchData.items);
+
+      // Instance transfers — not awaited, verification steps call the clients
+      if (hasTransfers) {
+        instanceTransferManager.evaluate(batchData.items);
+      }
+
+      // Per-item speed limits — not awaited, reapplying calls the clients
+      if (hasItemLimits) {
+        itemSpeedLimitManager.evaluate(batchData.items);
+      }
+
       // ── Build stats (always — needed for cache and broadcast) ──────────
       const combinedStats = {};
       combinedStats.prowlarrEnabled = config.getConfig()?.integrations?.prowlarr?.enabled === true;
+      combinedStats.bandwidthSchedule = bandwidthScheduler.getStatus();
 
       combinedStats.instanceSpeeds = {};
       for (const { instanceId, metrics } of instanceStats) {
@@ -328,6 +370,11 @@ class AutoRefreshManager extends BaseModule {
     }
     this._deltaEngine.reset();
     this._healthTracker.reset();
+    seedingPolicyManager.reset();
+    recheckMonitor.reset();
+    downloadWatchdog.reset();
+    instanceTransferManager.reset();
+    itemSpeedLimitManager.reset();
   }
 
   /**
@@ -0,0 +1,129 @@
+/**
+ * Backup API Module
+ * Admin-only export/import of the full configuration and databases
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const BaseModule = require('../lib/BaseModule');
+const backupManager = require('../lib/BackupManager');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+// Largest archive accepted for import (compressed)
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024 * 1024;
+
+class BackupAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Build the download file name for a backup
+   * @param {boolean} redact
+   * @returns {string}
+   */
+  _fileName(redact) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `amutorrent-backup-${stamp}${redact ? '-redacted' : ''}.tar.gz`;
+  }
+
+  /**
+   * Stream the request body to a temporary file, enforcing MAX_UPLOAD_BYTES
+   * @param {Object} req - Express request
+   * @returns {Promise<string>} Temp file path
+   */
+  async _receiveUpload(req) {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > MAX_UPLOAD_BYTES) {
+      throw Object.assign(new Error('Backup archive is too large'), { status: 413 });
+    }
+
+    const tmpPath = path.join(os.tmpdir(), `amutorrent-restore-${crypto.randomBytes(8).toString('hex')}.tar.gz`);
+    let received = 0;
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > MAX_UPLOAD_BYTES) {
+        req.destroy(Object.assign(new Error('Backup archive is too large'), { status: 413 }));
+      }
+    });
+
+    try {
+      await pipeline(req, fs.createWriteStream(tmpPath));
+    } catch (err) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw err;
+    }
+    if (received === 0) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw Object.assign(new Error('No backup file uploaded'), { status: 400 });
+    }
+    return tmpPath;
+  }
+
+  /**
+   * GET /api/backup/export?redact=true
+   */
+  async exportBackup(req, res) {
+    const redact = req.query.redact === 'true' || req.query.redact === '1';
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${this._fileName(redact)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      await backupManager.createBackup(res, { redact });
+    } catch (err) {
+      this.error('❌ Backup export failed:', err.message);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        return response.serverError(res, `Backup failed: ${err.message}`);
+      }
+      res.destroy(err);
+    }
+  }
+
+  /**
+   * POST /api/backup/import (body: raw .tar.gz)
+   */
+  async importBackup(req, res) {
+    let tmpPath = null;
+    try {
+      tmpPath = await this._receiveUpload(req);
+      const result = await backupManager.restoreBackup(tmpPath);
+      response.success(res, { message: 'Backup restored successfully', ...result });
+    } catch (err) {
+      // Validation errors carry a 4xx status; anything else is our failure
+      const status = err.status || 500;
+      if (status >= 500) {
+        this.error('❌ Backup import failed:', err);
+      } else {
+        this.warn(`⚠️  Backup import rejected: ${err.message}`);
+      }
+      response.error(res, err.message, status);
+    } finally {
+      if (tmpPath) await fs.promises.rm(tmpPath, { force: true });
+    }
+  }
+
+  /**
+   * Register backup API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    router.use(requireAdmin);
+
+    router.get('/export', this.exportBackup.bind(this));
+    router.post('/import', this.importBackup.bind(this));
+
+    app.use('/api/backup', router);
+
+    this.log('💾 Backup API routes registered');
+  }
+}
+
+module.exports = new BackupAPI();
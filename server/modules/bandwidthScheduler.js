@@ -0,0 +1,211 @@
+/**
+ * Bandwidth Scheduler Module
+ * Applies time-of-day speed limits from config.bandwidthSchedule to every
+ * client instance through the managers' setSpeedLimits(), re-evaluating on a
+ * fixed timer. Limits are only pushed when the resolved rule (or its values)
+ * changes, so manual changes made between transitions are left alone.
+ *
+ * Outside rule windows the default limits are applied where they are set;
+ * otherwise the limits a client had before its first rule started are
+ * restored, and a client no rule has touched is left alone.
+ */
+
+const config = require('./config');
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const { formatBytes } = require('../lib/diskSpace');
+const { findActiveRule } = require('../lib/bandwidthSchedule');
+
+const toLimit = (value) => Math.max(0, Number(value) || 0);
+// Default limits are optional: null/undefined = not set
+const toOptionalLimit = (value) => (value === null || value === undefined || value === '' ? null : toLimit(value));
+
+// How often to re-evaluate the schedule (in milliseconds)
+const SCHEDULE_CHECK_INTERVAL = 30000; // 30 seconds
+
+const formatLimit = (bytes) => (bytes > 0 ? `${formatBytes(bytes)}/s` : 'unlimited');
+
+class BandwidthScheduler extends BaseModule {
+  constructor() {
+    super();
+    this.checkTimeout = null;
+    // instanceId → { manager, ruleId, ruleName, downloadLimit, uploadLimit, since }
+    this._applied = new Map();
+    // instanceId → last error message (warn once per distinct failure)
+    this._failures = new Map();
+    // instanceId → { downloadLimit, uploadLimit } the client had before a rule started
+    this._savedLimits = new Map();
+  }
+
+  /**
+   * Get schedule settings with defaults filled in
+   * @returns {{enabled: boolean, rules: Array, defaultDownloadLimit: number|null, defaultUploadLimit: number|null}}
+   */
+  _getSettings() {
+    const settings = config.getConfig()?.bandwidthSchedule || {};
+    return {
+      enabled: settings.enabled === true,
+      rules: Array.isArray(settings.rules) ? settings.rules : [],
+      defaultDownloadLimit: toOptionalLimit(settings.defaultDownloadLimit),
+      defaultUploadLimit: toOptionalLimit(settings.defaultUploadLimit)
+    };
+  }
+
+  /**
+   * Remember an instance's current limits before the first rule changes them
+   * (kept across reconnects until they are restored)
+   * @param {Object} manager - Client manager
+   */
+  async _saveLimits(manager) {
+    if (this._savedLimits.has(manager.instanceId)) return;
+    try {
+      const { downloadLimit, uploadLimit } = await manager.getSpeedLimits();
+      this._savedLimits.set(manager.instanceId, { downloadLimit: toLimit(downloadLimit), uploadLimit: toLimit(uploadLimit) });
+    } catch (err) {
+      this.warn(`⚠️  Could not read current speed limits of ${manager.displayName}, they won't be restored: ${err.message}`);
+    }
+  }
+
+  // Schedule loop
+  async scheduleLoop() {
+    try {
+      await this.evaluate();
+    } catch (err) {
+      this.warn('⚠️  Error evaluating bandwidth schedule:', logger.errorDetail(err));
+    }
+    this.checkTimeout = setTimeout(() => this.scheduleLoop(), SCHEDULE_CHECK_INTERVAL);
+  }
+
+  /**
+   * Resolve the active rule for every connected instance and push limits
+   * where the target changed. Instances that disconnect (or are replaced by a
+   * config reload) are forgotten so their limits get reapplied on reconnect.
+   * @param {Date} now - Moment to evaluate (defaults to current time)
+   */
+  async evaluate(now = new Date()) {
+    const settings = this._getSettings();
+
+    if (!settings.enabled) {
+      if (this._applied.size > 0) {
+        this.log('🕒 Bandwidth schedule disabled — current client limits left in place');
+        this._applied.clear();
+      }
+      this._failures.clear();
+      this._savedLimits.clear();
+      return;
+    }
+
+    const applied = [];
+
+    for (const manager of registry.getAll()) {
+      const { instanceId } = manager;
+      const previous = this._applied.get(instanceId);
+
+      if (!manager.isConnected()) {
+        if (previous) this._applied.delete(instanceId);
+        continue;
+      }
+
+      const rule = findActiveRule(settings.rules, instanceId, now);
+      // Outside rules: defaults where set, else the saved limits, else null (left alone)
+      const saved = this._savedLimits.get(instanceId);
+      const target = rule
+        ? {
+            ruleId: rule.id,
+            ruleName: rule.name || 'Unnamed rule',
+            downloadLimit: toLimit(rule.downloadLimit),
+            uploadLimit: toLimit(rule.uploadLimit)
+          }
+        : {
+            ruleId: null,
+            ruleName: null,
+            downloadLimit: settings.defaultDownloadLimit ?? saved?.downloadLimit ?? null,
+            uploadLimit: settings.defaultUploadLimit ?? saved?.uploadLimit ?? null
+          };
+
+      if (previous && previous.manager === manager && previous.ruleId === target.ruleId &&
+          previous.downloadLimit === target.downloadLimit && previous.uploadLimit === target.uploadLimit) {
+        continue;
+      }
+
+      if (!rule && target.downloadLimit === null && target.uploadLimit === null) {
+        this._applied.set(instanceId, { manager, ...target, since: now.getTime() });
+        continue;
+      }
+      if (rule) await this._saveLimits(manager);
+
+      let limits;
+      try {
+        limits = await manager.setSpeedLimits({
+          downloadLimit: target.downloadLimit ?? undefined,
+          uploadLimit: target.uploadLimit ?? undefined
+        });
+      } catch (err) {
+        // Not recorded, so the next cycle retries
+        if (this._failures.get(instanceId) !== err.message) {
+          this._failures.set(instanceId, err.message);
+          this.warn(`⚠️  Failed to apply bandwidth schedule on ${manager.displayName}: ${err.message}`);
+        }
+        continue;
+      }
+      this._failures.delete(instanceId);
+      if (!rule) this._savedLimits.delete(instanceId);
+
+      this._applied.set(instanceId, { manager, ...target, since: now.getTime() });
+      applied.push({ instanceId, clientType: manager.clientType, instanceName: manager.displayName, ...limits });
+
+      const formatTarget = (value) => (value === null ? 'unchanged' : formatLimit(value));
+      const limitsText = `↓ ${formatTarget(target.downloadLimit)} ↑ ${formatTarget(target.uploadLimit)}`;
+      if (target.ruleId) {
+        this.log(`🕒 Schedule "${target.ruleName}" active on ${manager.displayName}: ${limitsText}`);
+      } else {
+        const source = settings.defaultDownloadLimit === null && settings.defaultUploadLimit === null ? 'previous' : 'default';
+        this.log(`🕒 No schedule rule active on ${manager.displayName}, ${source} limits: ${limitsText}`);
+      }
+    }
+
+    // Keep open speed limit dialogs in sync
+    if (applied.length > 0 && this.broadcast) {
+      this.broadcast({ type: 'speed-limits', data: applied });
+    }
+  }
+
+  /**
+   * Current schedule state for the UI
+   * @returns {{enabled: boolean, instances: Array<Object>}}
+   */
+  getStatus() {
+    const instances = [];
+    for (const [instanceId, entry] of this._applied) {
+      instances.push({
+        instanceId,
+        instanceName: entry.manager.displayName,
+        ruleId: entry.ruleId,
+        ruleName: entry.ruleName,
+        downloadLimit: entry.downloadLimit,
+        uploadLimit: entry.uploadLimit,
+        since: entry.since
+      });
+    }
+    return { enabled: this._getSettings().enabled, instances };
+  }
+
+  // Start the schedule loop
+  start() {
+    this.scheduleLoop();
+  }
+
+  // Stop the schedule loop
+  stop() {
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+    this._applied.clear();
+    this._failures.clear();
+    this._savedLimits.clear();
+  }
+}
+
+module.exports = new BandwidthScheduler();
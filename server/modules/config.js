@@ -10,6 +10,7 @@ const crypto = require('crypto');
 const BaseModule = require('../lib/BaseModule');
 const clientMeta = require('../lib/clientMeta');
 const instanceId = require('../lib/instanceId');
+const { parseTimeOfDay } = require('../lib/bandwidthSchedule');
 
 // ============================================================================
 // APP CONSTANTS
@@ -34,10 +35,24 @@ const ENV_VAR_MAP = {
   WEB_AUTH_ENABLED: { path: 'server.auth.enabled', type: 'boolean' },
   WEB_AUTH_PASSWORD: { path: 'server.auth.password', type: 'string' },
   WEB_AUTH_ADMIN_USERNAME: { path: 'server.auth.adminUsername', type: 'string' },
+  WEB_AUTH_TWO_FACTOR_POLICY: { path: 'server.auth.twoFactorPolicy', type: 'string' },
   TRUSTED_PROXY_ENABLED: { path: 'server.auth.trustedProxy.enabled', type: 'boolean' },
   TRUSTED_PROXY_USERNAME_HEADER: { path: 'server.auth.trustedProxy.usernameHeader', type: 'string' },
   TRUSTED_PROXY_AUTO_PROVISION: { path: 'server.auth.trustedProxy.autoProvision', type: 'boolean' },
   TRUSTED_PROXY_IPS: { path: 'server.auth.trustedProxy.trustedProxyIPs', type: 'csv' },
+  OIDC_ENABLED: { path: 'server.auth.oidc.enabled', type: 'boolean' },
+  OIDC_ISSUER_URL: { path: 'server.auth.oidc.issuerUrl', type: 'string' },
+  OIDC_CLIENT_ID: { path: 'server.auth.oidc.clientId', type: 'string' },
+  OIDC_CLIENT_SECRET: { path: 'server.auth.oidc.clientSecret', type: 'string' },
+  OIDC_REDIRECT_URI: { path: 'server.auth.oidc.redirectUri', type: 'string' },
+  OIDC_SCOPES: { path: 'server.auth.oidc.scopes', type: 'string' },
+  OIDC_BUTTON_LABEL: { path: 'server.auth.oidc.buttonLabel', type: 'string' },
+  OIDC_USERNAME_CLAIM: { path: 'server.auth.oidc.usernameClaim', type: 'string' },
+  OIDC_GROUPS_CLAIM: { path: 'server.auth.oidc.groupsClaim', type: 'string' },
+  OIDC_ALLOWED_GROUPS: { path: 'server.auth.oidc.allowedGroups', type: 'csv' },
+  OIDC_ADMIN_GROUPS: { path: 'server.auth.oidc.adminGroups', type: 'csv' },
+  OIDC_AUTO_PROVISION: { path: 'server.auth.oidc.autoProvision', type: 'boolean' },
+  OIDC_LINK_EXISTING_ACCOUNTS: { path: 'server.auth.oidc.linkExistingAccounts', type: 'boolean' },
   SONARR_URL: { path: 'integrations.sonarr.url', type: 'string', enablesIntegration: 'integrations.sonarr.enabled' },
   SONARR_API_KEY: { path: 'integrations.sonarr.apiKey', type: 'string' },
   SONARR_SEARCH_INTERVAL_HOURS: { path: 'integrations.sonarr.searchIntervalHours', type: 'int' },
@@ -48,11 +63,17 @@ const ENV_VAR_MAP = {
   PROWLARR_API_KEY: { path: 'integrations.prowlarr.apiKey', type: 'string' }
 };
 
+/**
+ * Allowed values for server.auth.twoFactorPolicy
+ */
+const TWO_FACTOR_POLICIES = ['optional', 'admins', 'all'];
+
 /**
  * Paths to sensitive fields that should be masked
  */
 const SENSITIVE_PATHS = [
   'server.auth.password',
+  'server.auth.oidc.clientSecret',
   'integrations.sonarr.apiKey',
   'integrations.radarr.apiKey',
   'integrations.prowlarr.apiKey'
@@ -106,6 +127,7 @@ const CLIENT_ENV_FIELDS = {
     USERNAME: { field: 'username', type: 'string' },
     PASSWORD: { field: 'password', type: 'string', sensitive: true },
     USE_SSL: { field: 'useSsl', type: 'boolean' },
+    TORRENT_STATE_DIR: { field: 'torrentStateDir', type: 'string' },
     ID: { field: 'id', type: 'string' },
     NAME: { field: 'name', type: 'string' }
   },
@@ -127,6 +149,7 @@ const CLIENT_ENV_FIELDS = {
     PATH: { field: 'path', type: 'string' },
     PASSWORD: { field: 'password', type: 'string', sensitive: true },
     USE_SSL: { field: 'useSsl', type: 'boolean' },
+    TORRENT_STATE_DIR: { field: 'torrentStateDir', type: 'string' },
     ID: { field: 'id', type: 'string' },
     NAME: { field: 'name', type: 'string' }
   },
@@ -138,6 +161,7 @@ const CLIENT_ENV_FIELDS = {
     PASSWORD: { field: 'password', type: 'string', sensitive: true },
     USE_SSL: { field: 'useSsl', type: 'boolean' },
     PATH: { field: 'path', type: 'string' },
+    TORRENT_STATE_DIR: { field: 'torrentStateDir', type: 'string' },
     ID: { field: 'id', type: 'string' },
     NAME: { field: 'name', type: 'string' }
   }
@@ -368,12 +392,30 @@ class Config extends BaseModule {
           password: '',         // Bcrypt hashed password
           sessionSecret: '',    // Generated on first run
           adminUsername: '',    // Admin username for migration (default: 'admin')
+          twoFactorPolicy: 'optional',  // 'optional' | 'admins' | 'all' — who must use TOTP for password login
           trustedProxy: {
             enabled: false,
             usernameHeader: '',        // e.g. 'X-Remote-User'
             autoProvision: false,      // auto-create users from proxy header
             trustedProxyIPs: []        // empty = default private/local IPs; set to restrict further
             // defaultCapabilities: derived at runtime from ALL_CAPABILITIES
+          },
+          oidc: {
+            enabled: false,
+            issuerUrl: '',             // e.g. 'https://auth.example.com/application/o/amutorrent/'
+            clientId: '',
+            clientSecret: '',          // empty = public client (PKCE only)
+            redirectUri: '',           // empty = derived from the request (<origin>/api/auth/oidc/callback)
+            scopes: 'openid profile email groups',
+            buttonLabel: 'SSO',        // login page shows "Sign in with <label>"
+            usernameClaim: 'preferred_username',
+            groupsClaim: 'groups',
+            autoProvision: false,      // auto-create users on first login
+            linkExistingAccounts: false, // also link local accounts that have a password (verified email only)
+            allowedGroups: [],         // empty = any user the provider authenticates
+            adminGroups: [],           // empty = admin flag managed locally
+            groupCapabilities: []      // [{ group, capabilities }] — empty = capabilities managed locally
+            // defaultCapabilities: new users without a mapped group (default: SSO defaults)
           }
         }
       },
@@ -415,9 +457,30 @@ class Config extends BaseModule {
           downloadFinished: true,
           categoryChanged: true,
           fileMoved: true,
-          fileDeleted: true
+          fileDeleted: true,
+          seedingGoalReached: true,
+          recheckFinished: true,
+          downloadStalled: true,
+          downloadErrored: true,
+          moveFailed: true,
+          diskSpaceLow: true,
+          searchCompleted: true
         },
         timeout: 30000           // Script execution timeout in milliseconds
+      },
+      eventDetectors: {
+        stalledMinutes: 60,      // downloadStalled after this long without progress (0 = off)
+        diskSpace: {
+          minFreePercent: 5,     // diskSpaceLow below this share of free space (0 = not checked)
+          minFreeGB: 0,          // ...or below this many GiB free (0 = not checked)
+          mounts: []             // per-filesystem overrides: [{ path, minFreePercent?, minFreeGB? }]
+        }
+      },
+      bandwidthSchedule: {
+        enabled: false,
+        defaultDownloadLimit: null, // bytes/s applied when no rule is active (0 = unlimited,
+        defaultUploadLimit: null,   // null = restore the limits set before the first rule)
+        rules: []                // see lib/bandwidthSchedule.js for the rule shape
       }
     };
   }
@@ -734,6 +797,26 @@ class Config extends BaseModule {
       }
     }
 
+    // Validate two-factor policy
+    const twoFactorPolicy = config.server?.auth?.twoFactorPolicy;
+    if (twoFactorPolicy !== undefined && !TWO_FACTOR_POLICIES.includes(twoFactorPolicy)) {
+      errors.push(`Invalid two-factor policy (must be one of: ${TWO_FACTOR_POLICIES.join(', ')})`);
+    }
+
+    // Validate OpenID Connect
+    const oidc = config.server?.auth?.oidc;
+    if (oidc?.enabled) {
+      if (!oidc.issuerUrl || !/^https?:\/\//i.test(oidc.issuerUrl)) {
+        errors.push('OIDC issuer URL must start with http:// or https://');
+      }
+      if (!oidc.clientId) {
+        errors.push('OIDC client ID is required when OpenID Connect is enabled');
+      }
+      if (oidc.redirectUri && !/^https?:\/\//i.test(oidc.redirectUri)) {
+        errors.push('OIDC redirect URI must start with http:// or https://');
+      }
+    }
+
     // Validate directories
     if (!config.directories?.data) {
       errors.push('Data directory is required');
@@ -772,6 +855,51 @@ class Config extends BaseModule {
       }
     }
 
+    // Validate bandwidth schedule limits (defaults are optional)
+    const isLimit = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    for (const key of ['defaultDownloadLimit', 'defaultUploadLimit']) {
+      const value = config.bandwidthSchedule?.[key];
+      if (value !== undefined && value !== null && !isLimit(value)) {
+        errors.push(`Bandwidth schedule ${key} must be 0 or more bytes/s, or null`);
+      }
+    }
+    if (Array.isArray(config.bandwidthSchedule?.rules)) {
+      for (const rule of config.bandwidthSchedule.rules) {
+        const label = rule.name || rule.id || 'Unnamed rule';
+        if (parseTimeOfDay(rule.start) === null || parseTimeOfDay(rule.end) === null) {
+          errors.push(`Bandwidth schedule "${label}": start and end must be HH:MM`);
+        }
+        if (!Array.isArray(rule.days) || rule.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+          errors.push(`Bandwidth schedule "${label}": invalid days`);
+        }
+        if (!isLimit(rule.downloadLimit ?? 0) || !isLimit(rule.uploadLimit ?? 0)) {
+          errors.push(`Bandwidth schedule "${label}": limits must be 0 or more bytes/s`);
+        }
+      }
+    }
+
+    // Validate event detector thresholds
+    const detectors = config.eventDetectors;
+    if (detectors) {
+      if (detectors.stalledMinutes !== undefined && !(Number(detectors.stalledMinutes) >= 0)) {
+        errors.push('Stalled download time must be 0 or more minutes');
+      }
+      const diskSpace = detectors.diskSpace || {};
+      const overrides = Array.isArray(diskSpace.mounts) ? diskSpace.mounts : [];
+      for (const entry of [diskSpace, ...overrides]) {
+        const pct = entry.minFreePercent;
+        if (pct !== undefined && pct !== null && !(Number(pct) >= 0 && Number(pct) <= 100)) {
+          errors.push('Low disk space percentage must be between 0 and 100');
+        }
+        if (entry.minFreeGB !== undefined && entry.minFreeGB !== null && !(Number(entry.minFreeGB) >= 0)) {
+          errors.push('Low disk space size must be 0 or more GiB');
+        }
+      }
+      if (overrides.some(entry => !entry?.path || !entry.path.startsWith('/'))) {
+        errors.push('Low disk space overrides need an absolute path');
+      }
+    }
+
     // Validate clients array for duplicate instance IDs (same type+host+port)
     if (Array.isArray(config.clients)) {
       const seen = new Map(); // id → entry name/label
@@ -1329,10 +1457,23 @@ class Config extends BaseModule {
     return secret;
   }
 
+  /**
+   * Get the two-factor enforcement policy for password logins
+   * @returns {'optional'|'admins'|'all'}
+   */
+  getTwoFactorPolicy() {
+    const policy = this.runtimeConfig?.server?.auth?.twoFactorPolicy;
+    return TWO_FACTOR_POLICIES.includes(policy) ? policy : 'optional';
+  }
+
   getTrustedProxyConfig() {
     return this.runtimeConfig?.server?.auth?.trustedProxy || {};
   }
 
+  getOidcConfig() {
+    return this.runtimeConfig?.server?.auth?.oidc || {};
+  }
+
   // ==========================================================================
   // PATH HELPERS
   // ==========================================================================
@@ -1375,6 +1516,14 @@ class Config extends BaseModule {
     return path.join(this.getDataDir(), 'move_ops.db');
   }
 
+  getRssDbPath() {
+    return path.join(this.getDataDir(), 'rss.db');
+  }
+
+  getWebhookDbPath() {
+    return path.join(this.getDataDir(), 'webhooks.db');
+  }
+
   getUserDbPath() {
     return path.join(this.getDataDir(), 'users.db');
   }
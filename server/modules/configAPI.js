@@ -49,6 +49,12 @@ class ConfigAPI extends BaseModule {
       serverAuthEnabled: config.isFromEnv('server.auth.enabled'),
       serverAuthPassword: config.isFromEnv('server.auth.password'),
       serverAuthAdminUsername: config.isFromEnv('server.auth.adminUsername'),
+      serverAuthTwoFactorPolicy: config.isFromEnv('server.auth.twoFactorPolicy'),
+      serverAuthOidcEnabled: config.isFromEnv('server.auth.oidc.enabled'),
+      serverAuthOidcIssuerUrl: config.isFromEnv('server.auth.oidc.issuerUrl'),
+      serverAuthOidcClientId: config.isFromEnv('server.auth.oidc.clientId'),
+      serverAuthOidcClientSecret: config.isFromEnv('server.auth.oidc.clientSecret'),
+      serverAuthOidcRedirectUri: config.isFromEnv('server.auth.oidc.redirectUri'),
       amuleEnabled: config.isFromEnv('amule.enabled'),
       amuleHost: config.isFromEnv('amule.host'),
       amulePort: config.isFromEnv('amule.port'),
@@ -103,6 +109,7 @@ class ConfigAPI extends BaseModule {
     if (!currentConfig) return;
 
     const passwordPaths = [
+      { new: 'server.auth.oidc.clientSecret', current: 'server.auth.oidc.clientSecret' },
       { new: 'integrations.sonarr.apiKey', current: 'integrations.sonarr.apiKey' },
       { new: 'integrations.radarr.apiKey', current: 'integrations.radarr.apiKey' },
       { new: 'integrations.prowlarr.apiKey', current: 'integrations.prowlarr.apiKey' }
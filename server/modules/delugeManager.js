@@ -9,6 +9,10 @@ const logger = require('../lib/logger');
 const { parseMagnetUri, parseTorrentBuffer } = require('../lib/torrentUtils');
 const { normalizeDelugeDownload } = require('../lib/downloadNormalizer');
 
+// Normalized file priority (BaseClientManager.FILE_PRIORITY) → Deluge
+// Deluge priority: 0=Do not download, 1-4=Normal (1.x: 1, 2.x: 4), 5-6=High, 7=Max
+const DELUGE_FILE_PRIORITY = { 0: 0, 1: 4, 2: 6, 3: 7 };
+
 
 class DelugeManager extends BaseClientManager {
   constructor() {
@@ -218,7 +222,7 @@ class DelugeManager extends BaseClientManager {
     const peersByHash = new Map();
 
     const peerFields = [
-      'peers', 'trackers', 'tracker_host'
+      'peers', 'trackers', 'tracker_host', 'tracker', 'tracker_status'
     ];
 
     // Process in batches to avoid overwhelming the Deluge daemon
@@ -231,8 +235,11 @@ class DelugeManager extends BaseClientManager {
         try {
           const status = await this.client.getTorrentStatus(hash, peerFields);
 
-          // Trackers
-          const trackers = status.trackers || [];
+          // Trackers — Deluge only reports the status of the tracker it last
+          // announced to, so stamp it onto that entry
+          const trackers = (status.trackers || []).map(t =>
+            t && t.url && t.url === status.tracker ? { ...t, message: status.tracker_status || '' } : t
+          );
           const trackerUrls = trackers
             .map(t => t.url || t)
             .filter(url => typeof url === 'string' && url.length > 0);
@@ -437,6 +444,15 @@ class DelugeManager extends BaseClientManager {
     return await this.pause(hash);
   }
 
+  /**
+   * Force a full hash recheck of the downloaded data
+   * @param {string} hash - Torrent hash
+   */
+  async recheck(hash) {
+    if (!this.client) throw new Error('Deluge not connected');
+    await this.client.forceRecheck([hash]);
+  }
+
   /**
    * Update client's view of the download directory (uses native moveStorage)
    * @param {string} hash - Torrent hash
@@ -469,6 +485,107 @@ class DelugeManager extends BaseClientManager {
     return { success: true, pathsToDelete: [] };
   }
 
+  // ============================================================================
+  // BANDWIDTH LIMITS
+  // ============================================================================
+
+  /**
+   * Get global speed limits. Deluge stores KiB/s with -1 meaning unlimited.
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   */
+  async getSpeedLimits() {
+    if (!this.client) throw new Error('Deluge not connected');
+    const values = await this.client.getConfigValues(['max_download_speed', 'max_upload_speed']);
+    const toBytes = (kib) => (kib > 0 ? Math.round(kib * 1024) : 0);
+    return {
+      downloadLimit: toBytes(values?.max_download_speed),
+      uploadLimit: toBytes(values?.max_upload_speed)
+    };
+  }
+
+  /**
+   * Set global speed limits
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit }
+   */
+  async setSpeedLimits({ downloadLimit, uploadLimit } = {}) {
+    if (!this.client) throw new Error('Deluge not connected');
+    const toKib = (bytes) => (bytes > 0 ? bytes / 1024 : -1);
+    const values = {};
+    if (downloadLimit !== undefined) values.max_download_speed = toKib(downloadLimit);
+    if (uploadLimit !== undefined) values.max_upload_speed = toKib(uploadLimit);
+    if (Object.keys(values).length > 0) await this.client.setConfig(values);
+    this.log(`🚦 Speed limits set: ↓ ${downloadLimit ?? 'unchanged'} ↑ ${uploadLimit ?? 'unchanged'} (bytes/s)`);
+    return await this.getSpeedLimits();
+  }
+
+  /**
+   * Set per-torrent speed limits (KiB/s, -1 = unlimited)
+   * @param {string} hash - Torrent hash
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   */
+  async setItemSpeedLimits(hash, { downloadLimit, uploadLimit } = {}) {
+    if (!this.client) throw new Error('Deluge not connected');
+    const toKib = (bytes) => (bytes > 0 ? bytes / 1024 : -1);
+    const options = {};
+    if (downloadLimit !== undefined) options.max_download_speed = toKib(downloadLimit);
+    if (uploadLimit !== undefined) options.max_upload_speed = toKib(uploadLimit);
+    if (Object.keys(options).length > 0) await this.client.setTorrentOptions([hash], options);
+  }
+
+  // ============================================================================
+  // QUEUE
+  // ============================================================================
+
+  /**
+   * Move torrents within the queue
+   * @param {string|Array<string>} hashes - Torrent hash(es)
+   * @param {'top'|'up'|'down'|'bottom'} direction - Where to move them
+   */
+  async queueMove(hashes, direction) {
+    if (!this.client) throw new Error('Deluge not connected');
+    await this.client.queueMove([].concat(hashes), direction);
+  }
+
+  /**
+   * Get max active limits (Deluge uses -1 for unlimited)
+   * @returns {Promise<Object>} { maxActiveDownloads, maxActiveSeeds }
+   */
+  async getQueueSettings() {
+    if (!this.client) throw new Error('Deluge not connected');
+    const values = await this.client.getConfigValues(['max_active_downloading', 'max_active_seeding']);
+    const limit = (value) => (value > 0 ? value : 0);
+    return {
+      maxActiveDownloads: limit(values?.max_active_downloading),
+      maxActiveSeeds: limit(values?.max_active_seeding)
+    };
+  }
+
+  /**
+   * Set max active limits. The overall cap (max_active_limit) is left alone
+   * unless it would undercut the per-direction limits, then it is raised.
+   * @param {Object} settings - { maxActiveDownloads, maxActiveSeeds }, 0 = unlimited
+   * @returns {Promise<Object>} { maxActiveDownloads, maxActiveSeeds }
+   */
+  async setQueueSettings({ maxActiveDownloads, maxActiveSeeds } = {}) {
+    if (!this.client) throw new Error('Deluge not connected');
+    const values = await this.client.getConfigValues(['max_active_downloading', 'max_active_seeding', 'max_active_limit']);
+    const limit = (value) => (value > 0 ? value : 0);
+    const downloads = maxActiveDownloads ?? limit(values?.max_active_downloading);
+    const seeds = maxActiveSeeds ?? limit(values?.max_active_seeding);
+    const overall = limit(values?.max_active_limit);
+
+    const update = {
+      max_active_downloading: downloads > 0 ? downloads : -1,
+      max_active_seeding: seeds > 0 ? seeds : -1
+    };
+    const required = downloads + seeds;
+    if (overall > 0 && overall < required) update.max_active_limit = required;
+    await this.client.setConfig(update);
+    this.log(`🔢 Queue limits set: ↓ ${downloads || 'unlimited'} ↑ ${seeds || 'unlimited'} active`);
+    return await this.getQueueSettings();
+  }
+
   // ============================================================================
   // ADD DOWNLOADS
   // ============================================================================
@@ -497,7 +614,7 @@ class DelugeManager extends BaseClientManager {
   /**
    * Add a torrent from magnet link
    * @param {string} magnetUri - Magnet URI
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, feedName }
    */
   async addMagnet(magnetUri, options = {}) {
     if (!this.client) throw new Error('Deluge not connected');
@@ -518,14 +635,14 @@ class DelugeManager extends BaseClientManager {
     // Track in history
     const parsed = parseMagnetUri(magnetUri);
     if (parsed.hash) {
-      this.trackDownload(parsed.hash, parsed.name || 'Magnet download', null, options.username, label || null);
+      this.trackDownload(parsed.hash, parsed.name || 'Magnet download', null, options.username, label || null, options.feedName);
     }
   }
 
   /**
    * Add a torrent from raw data (Buffer)
    * @param {Buffer} torrentData - Raw .torrent file contents
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, feedName, skipHistory }
    */
   async addTorrentRaw(torrentData, options = {}) {
     if (!this.client) throw new Error('Deluge not connected');
@@ -546,8 +663,8 @@ class DelugeManager extends BaseClientManager {
 
     // Track in history
     const parsed = parseTorrentBuffer(torrentData);
-    if (parsed.hash) {
-      this.trackDownload(parsed.hash, parsed.name || 'Torrent download', parsed.size, options.username, label || null);
+    if (parsed.hash && !options.skipHistory) {
+      this.trackDownload(parsed.hash, parsed.name || 'Torrent download', parsed.size, options.username, label || null, options.feedName);
     }
   }
 
@@ -700,6 +817,117 @@ class DelugeManager extends BaseClientManager {
     return this._flattenFileTree(fileTree);
   }
 
+  /**
+   * Set the priority of files in a torrent.
+   * Deluge only accepts the full priority list, so the current one is read
+   * back and the requested indices are replaced.
+   * @param {string} hash - Torrent hash
+   * @param {number[]} fileIndices - File indices
+   * @param {number} priority - Normalized priority (FILE_PRIORITY)
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async setFilePriority(hash, fileIndices, priority) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const status = await this.client.getTorrentStatus(hash, ['file_priorities']);
+    const priorities = [...(status?.file_priorities || [])];
+    for (const index of fileIndices) {
+      if (index >= priorities.length) {
+        return { success: false, error: `File index ${index} out of range` };
+      }
+      priorities[index] = DELUGE_FILE_PRIORITY[priority];
+    }
+
+    await this.client.setTorrentOptions(hash, { file_priorities: priorities });
+    return { success: true };
+  }
+
+  // ============================================================================
+  // TRACKERS
+  // ============================================================================
+  // Deluge only replaces the whole tracker list, so each edit reads it back,
+  // changes it and writes it again.
+
+  /**
+   * Get a torrent's tracker list in set_torrent_trackers form
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Array<{url: string, tier: number}>>}
+   */
+  async _getTrackerList(hash) {
+    const status = await this.client.getTorrentStatus(hash, ['trackers']);
+    return (status?.trackers || []).map(t => ({ url: t.url, tier: t.tier ?? 0 }));
+  }
+
+  /**
+   * Add announce URLs to a torrent (each in a new tier)
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   * @returns {Promise<Object>} { success }
+   */
+  async addTrackers(hash, urls) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const trackers = await this._getTrackerList(hash);
+    let tier = trackers.reduce((max, t) => Math.max(max, t.tier + 1), 0);
+    for (const url of urls) {
+      if (!trackers.some(t => t.url === url)) trackers.push({ url, tier: tier++ });
+    }
+    await this.client.setTorrentTrackers(hash, trackers);
+    return { success: true };
+  }
+
+  /**
+   * Replace an announce URL
+   * @param {string} hash - Torrent hash
+   * @param {string} oldUrl - Current announce URL
+   * @param {string} newUrl - Replacement announce URL
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async editTracker(hash, oldUrl, newUrl) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const trackers = await this._getTrackerList(hash);
+    if (!trackers.some(t => t.url === oldUrl)) return { success: false, error: 'Tracker not found' };
+    await this.client.setTorrentTrackers(hash, trackers.map(t => t.url === oldUrl ? { ...t, url: newUrl } : t));
+    return { success: true };
+  }
+
+  /**
+   * Remove announce URLs from a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   * @returns {Promise<Object>} { success }
+   */
+  async removeTrackers(hash, urls) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const trackers = await this._getTrackerList(hash);
+    await this.client.setTorrentTrackers(hash, trackers.filter(t => !urls.includes(t.url)));
+    return { success: true };
+  }
+
+  /**
+   * Force a tracker announce
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Object>} { success }
+   */
+  async reannounce(hash) {
+    if (!this.client) throw new Error('Deluge not connected');
+    await this.client.forceReannounce([hash]);
+    return { success: true };
+  }
+
+  /**
+   * Export the .torrent metainfo Deluge keeps as <hash>.torrent in its state
+   * directory. The RPC API has no call returning it, so the file is read
+   * from the instance's torrentStateDir.
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Buffer>}
+   */
+  async exportTorrent(hash) {
+    return await this._readStateTorrent(`${hash.toLowerCase()}.torrent`);
+  }
+
   /**
    * Flatten Deluge's nested file tree into a flat array.
    * Deluge returns files as { type: "dir", contents: { ... } } or { type: "file", ... }
@@ -722,14 +950,14 @@ class DelugeManager extends BaseClientManager {
         files.push(...this._flattenFileTree(entry, fullPath));
       } else {
         // File
-        // Deluge priority: 0=Do not download, 1=Normal, 5=High, 7=Max
-        // Normalized:     0=Off,              1=Normal, 2=High
-        const rawPrio = entry.priority || 1;
+        // Deluge priority: 0=Do not download, 1-4=Normal, 5-6=High, 7=Max
+        // Normalized:     0=Skip,             1=Normal,   2=High,   3=Max
+        const rawPrio = entry.priority ?? 1;
         files.push({
           path: fullPath,
           size: entry.size || 0,
           progress: entry.progress != null ? (entry.progress * 100) : 0,
-          priority: rawPrio === 0 ? 0 : rawPrio >= 5 ? 2 : 1,
+          priority: rawPrio === 0 ? 0 : rawPrio >= 7 ? 3 : rawPrio >= 5 ? 2 : 1,
           index: entry.index ?? files.length
         });
       }
@@ -0,0 +1,94 @@
+/**
+ * Disk Space Monitor Module
+ * Checks free space per filesystem on a fixed timer against the thresholds in
+ * config.eventDetectors.diskSpace (see lib/diskSpace evaluateThresholds) and
+ * emits diskSpaceLow when a filesystem drops below its threshold. The event
+ * fires once per crossing: a filesystem has to recover before it can fire
+ * again.
+ */
+
+const config = require('./config');
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const { getMountSpace, evaluateThresholds, formatBytes } = require('../lib/diskSpace');
+
+// How often to check free space (in milliseconds)
+const DISK_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+class DiskSpaceMonitor extends BaseModule {
+  constructor() {
+    super();
+    this.checkTimeout = null;
+    // devices currently below their threshold
+    this._low = new Set();
+    // last check error (warn once per distinct failure, e.g. no /proc on macOS)
+    this._lastError = null;
+  }
+
+  // Check loop
+  async checkLoop() {
+    try {
+      await this.check();
+      this._lastError = null;
+    } catch (err) {
+      if (err.message !== this._lastError) {
+        this._lastError = err.message;
+        this.warn('⚠️  Error checking disk space:', logger.errorDetail(err));
+      }
+    }
+    this.checkTimeout = setTimeout(() => this.checkLoop(), DISK_CHECK_INTERVAL);
+  }
+
+  /**
+   * Check every filesystem and emit diskSpaceLow for new crossings
+   * @param {Array} [mounts] - Entries from getMountSpace() (read when omitted)
+   */
+  async check(mounts) {
+    const thresholds = config.getConfig()?.eventDetectors?.diskSpace || {};
+    const results = evaluateThresholds(mounts || await getMountSpace(), thresholds);
+
+    for (const { mount, minFreePercent, minFreeBytes, low } of results) {
+      if (!low) {
+        if (this._low.delete(mount.device)) {
+          this.log(`💾 Disk space recovered on ${mount.mountPoint}: ${formatBytes(mount.free)} free`);
+        }
+        continue;
+      }
+      if (this._low.has(mount.device)) continue;
+
+      this._low.add(mount.device);
+      this.warn(`💾 Low disk space on ${mount.mountPoint}: ${formatBytes(mount.free)} free (${mount.percentFree}%)`);
+
+      eventScriptingManager.emit('diskSpaceLow', {
+        mountPoint: mount.mountPoint,
+        mountPoints: mount.mountPoints,
+        device: mount.device,
+        fsType: mount.fsType,
+        total: mount.total,
+        free: mount.free,
+        used: mount.used,
+        percentFree: mount.percentFree,
+        minFreePercent,
+        minFreeBytes
+      });
+    }
+  }
+
+  // Start the check loop
+  start() {
+    this.checkLoop();
+  }
+
+  // Stop the check loop
+  stop() {
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+    this._low.clear();
+    this._lastError = null;
+  }
+}
+
+module.exports = new DiskSpaceMonitor();
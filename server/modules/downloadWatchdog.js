@@ -0,0 +1,176 @@
+/**
+ * Download Watchdog Module
+ * Watches unified items across autoRefreshManager cycles and emits
+ * downloadStalled when an active download makes no progress for
+ * eventDetectors.stalledMinutes, and downloadErrored when the client puts an
+ * item into its error state.
+ *
+ * Stall time counts from the last observed progress (or first observation),
+ * and only while the download is running — paused, stopped, queued and
+ * checking items restart the clock. Each stall and each error is emitted once;
+ * the item has to progress (or leave the error state) before it can fire
+ * again. Items already in error when an instance is first seen are taken as
+ * the baseline rather than reported.
+ */
+
+const config = require('./config');
+const BaseModule = require('../lib/BaseModule');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const { itemKey } = require('../lib/itemKey');
+const { formatDuration } = require('../lib/timeRange');
+
+// How often the watchdog needs fresh items when nothing else fetches them
+const WATCH_INTERVAL = 60000; // 1 minute
+
+// Statuses where a download isn't expected to make progress
+const IDLE_STATUSES = new Set(['paused', 'stopped', 'checking', 'hashing-queued', 'moving', 'error']);
+
+class DownloadWatchdog extends BaseModule {
+  constructor() {
+    super();
+    // itemKey → { lastProgressAt, sizeDownloaded, stalled }
+    this._progress = new Map();
+    // itemKey → instanceId, for items currently in error
+    this._errored = new Map();
+    // instanceIds whose items have been seen at least once
+    this._seenInstances = new Set();
+    this._lastEvaluatedAt = 0;
+  }
+
+  /**
+   * Stall threshold from config (0 = stall detection off)
+   * @returns {number} Milliseconds
+   */
+  _getStallThreshold() {
+    const minutes = Number(config.getConfig()?.eventDetectors?.stalledMinutes);
+    return minutes > 0 ? minutes * 60 * 1000 : 0;
+  }
+
+  /**
+   * Whether the refresh loop should fetch items for the watchdog: once a
+   * minute, and only while stall detection is on or downloadErrored goes
+   * somewhere (notifications, webhooks or the event script)
+   * @param {number} now - Current time (ms)
+   * @returns {boolean}
+   */
+  isDue(now = Date.now()) {
+    if (now - this._lastEvaluatedAt < WATCH_INTERVAL) return false;
+    return this._getStallThreshold() > 0 || eventScriptingManager.isEventHandled('downloadErrored');
+  }
+
+  /**
+   * Update tracking from the latest unified items and emit events for
+   * downloads that stalled or errored since the last cycle
+   * @param {Array} items - Unified items from dataFetchService
+   * @param {number} now - Evaluation time (ms)
+   */
+  evaluate(items, now = Date.now()) {
+    this._lastEvaluatedAt = now;
+    const stallThreshold = this._getStallThreshold();
+    const present = new Set();
+    const presentInstances = new Set();
+    const newInstances = new Set();
+
+    for (const item of items || []) {
+      if (!item.hash || !item.instanceId) continue;
+      const key = itemKey(item.instanceId, item.hash);
+      present.add(key);
+      presentInstances.add(item.instanceId);
+      if (!this._seenInstances.has(item.instanceId)) newInstances.add(item.instanceId);
+
+      this._checkError(key, item, newInstances.has(item.instanceId));
+      this._checkStall(key, item, stallThreshold, now);
+    }
+
+    for (const instanceId of newInstances) this._seenInstances.add(instanceId);
+
+    // Forget items that left the client. Errors of an instance that returned
+    // no items (offline) are kept so they aren't reported again on reconnect.
+    for (const key of this._progress.keys()) {
+      if (!present.has(key)) this._progress.delete(key);
+    }
+    for (const [key, instanceId] of this._errored) {
+      if (!present.has(key) && presentInstances.has(instanceId)) this._errored.delete(key);
+    }
+  }
+
+  /**
+   * Emit downloadErrored when an item enters the error state
+   */
+  _checkError(key, item, isBaseline) {
+    if (item.status !== 'error') {
+      this._errored.delete(key);
+      return;
+    }
+    if (this._errored.has(key)) return;
+
+    this._errored.set(key, item.instanceId);
+    if (isBaseline) return;
+
+    const error = item.message || 'Error';
+    this.log(`⚠️  Download error for "${item.name}": ${error}`);
+
+    eventScriptingManager.emit('downloadErrored', {
+      hash: item.hash,
+      instanceId: item.instanceId,
+      filename: item.name,
+      clientType: item.client,
+      category: item.category,
+      size: item.size,
+      progress: item.progress || 0,
+      complete: !!item.complete,
+      error
+    });
+  }
+
+  /**
+   * Emit downloadStalled when a running download hasn't progressed for the
+   * configured time
+   */
+  _checkStall(key, item, stallThreshold, now) {
+    const running = !item.complete && !item.queued && !IDLE_STATUSES.has(item.status);
+    const downloaded = item.sizeDownloaded || 0;
+    const state = this._progress.get(key);
+
+    if (!running || !state || downloaded !== state.sizeDownloaded) {
+      if (running) {
+        this._progress.set(key, { lastProgressAt: now, sizeDownloaded: downloaded, stalled: false });
+      } else {
+        this._progress.delete(key);
+      }
+      return;
+    }
+
+    const stalledFor = now - state.lastProgressAt;
+    if (state.stalled || !stallThreshold || stalledFor < stallThreshold) return;
+
+    state.stalled = true;
+    this.log(`⏸️  Download stalled: "${item.name}" at ${item.progress || 0}% (no progress for ${formatDuration(stalledFor)})`);
+
+    eventScriptingManager.emit('downloadStalled', {
+      hash: item.hash,
+      instanceId: item.instanceId,
+      filename: item.name,
+      clientType: item.client,
+      category: item.category,
+      size: item.size,
+      sizeDownloaded: downloaded,
+      progress: item.progress || 0,
+      stalledDuration: stalledFor,
+      sourcesConnected: item.sources?.connected || 0,
+      sourcesTotal: item.sources?.total || 0
+    });
+  }
+
+  /**
+   * Drop tracking state (used on shutdown)
+   */
+  reset() {
+    this._progress.clear();
+    this._errored.clear();
+    this._seenInstances.clear();
+    this._lastEvaluatedAt = 0;
+  }
+}
+
+module.exports = new DownloadWatchdog();
@@ -21,6 +21,15 @@ class FilesystemAPI extends BaseModule {
     ];
   }
 
+  /**
+   * Whether a path lies in a restricted system directory
+   * @param {string} absPath - Resolved absolute path
+   * @returns {boolean}
+   */
+  isExcludedPath(absPath) {
+    return this.excludedPaths.some(exc => absPath === exc || absPath.startsWith(exc + '/'));
+  }
+
   /**
    * POST /api/filesystem/browse
    * List directories in a given path
@@ -37,7 +46,7 @@ class FilesystemAPI extends BaseModule {
       const normalizedPath = path.resolve(dirPath.trim());
 
       // Check if path is excluded
-      if (this.excludedPaths.some(exc => normalizedPath === exc || normalizedPath.startsWith(exc + '/'))) {
+      if (this.isExcludedPath(normalizedPath)) {
         return response.forbidden(res, 'Access to this path is restricted');
       }
 
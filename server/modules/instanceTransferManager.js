@@ -0,0 +1,259 @@
+/**
+ * Instance Transfer Module
+ * Moves a torrent from one BitTorrent client instance to another without
+ * redownloading: the source's .torrent metainfo is added paused to the target
+ * at the same data location (translated through the category path mappings),
+ * the target rechecks the data, and only once it verifies at least the
+ * source's completion is the torrent removed from the source (files kept).
+ * Download history and ownership follow the torrent to its new instance.
+ *
+ * Verification is driven by autoRefreshManager cycles against the unified
+ * items. A transfer that fails verification is rolled back: the target copy
+ * is removed (files kept) and a source paused for the transfer is resumed.
+ */
+
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const categoryManager = require('../lib/CategoryManager');
+const dataFetchService = require('../lib/DataFetchService');
+const { itemKey } = require('../lib/itemKey');
+const { parseTorrentBuffer } = require('../lib/torrentUtils');
+
+// How long the target gets to list the added torrent
+const ADD_TIMEOUT_MS = 2 * 60 * 1000;
+// A recheck that never shows up as checking is treated as done after this
+// long — small torrents can verify between two refresh cycles
+const CHECK_GRACE_MS = 10000;
+// Progress values are rounded to two decimals
+const PROGRESS_TOLERANCE = 0.01;
+
+const STOPPED_STATUSES = new Set(['paused', 'stopped', 'error']);
+
+class InstanceTransferManager extends BaseModule {
+  constructor() {
+    super();
+    // source itemKey → transfer job
+    this._jobs = new Map();
+    this._running = false;
+  }
+
+  /**
+   * Start transferring a torrent to another instance. Resolves once the
+   * torrent has been added (paused) to the target; verification and source
+   * removal happen on later refresh cycles.
+   * @param {string} sourceInstanceId - Instance currently holding the torrent
+   * @param {string} hash - Torrent hash
+   * @param {string} targetInstanceId - Instance to move it to
+   * @param {string} triggeredBy - Username that requested the transfer
+   * @throws {Error} If the transfer cannot start
+   */
+  async start(sourceInstanceId, hash, targetInstanceId, triggeredBy = '') {
+    hash = hash.toLowerCase();
+    const key = itemKey(sourceInstanceId, hash);
+    if (this._jobs.has(key)) {
+      throw new Error('Transfer already in progress');
+    }
+    if (sourceInstanceId === targetInstanceId) {
+      throw new Error('Source and target instance are the same');
+    }
+
+    const source = registry.get(sourceInstanceId);
+    const target = registry.get(targetInstanceId);
+    if (!source || !source.isConnected()) throw new Error('Source client not connected');
+    if (!target || !target.isConnected()) throw new Error('Target client not connected');
+    if (!clientMeta.hasCapability(source.clientType, 'exportTorrent')) {
+      throw new Error(`Transfer not supported from ${source.clientType}`);
+    }
+    if (!clientMeta.isBittorrent(target.clientType)) {
+      throw new Error(`Cannot transfer a torrent to ${target.clientType}`);
+    }
+
+    const { items = [] } = await dataFetchService.getOrFetchBatchData();
+    const item = items.find(i => i.instanceId === sourceInstanceId && i.hash === hash);
+    if (!item) throw new Error('Item not found');
+    if (items.some(i => i.instanceId === targetInstanceId && i.hash === hash)) {
+      throw new Error(`Already present on ${target.displayName || targetInstanceId}`);
+    }
+    if (item.status === 'checking' || item.status === 'moving') {
+      throw new Error(`Cannot transfer while ${item.status}`);
+    }
+    if (!item.savePath) {
+      throw new Error('Source did not report a save path');
+    }
+
+    const torrent = await source.exportTorrent(hash);
+    if (parseTorrentBuffer(torrent).hash !== hash) {
+      throw new Error('Exported metainfo does not match the torrent');
+    }
+
+    // Keep an incomplete download from writing while the target verifies
+    const wasActive = !STOPPED_STATUSES.has(item.status);
+    const pausedSource = wasActive && !item.complete;
+    if (pausedSource) await source.pause(hash);
+
+    const sourceAppPath = categoryManager.translatePath(item.savePath, source.clientType, sourceInstanceId);
+    const savePath = categoryManager.toClientPath(sourceAppPath, target.clientType, targetInstanceId);
+
+    try {
+      await target.addTorrentRaw(torrent, {
+        categoryName: item.category || '',
+        savePath,
+        start: false,
+        username: triggeredBy || null,
+        skipHistory: true
+      });
+    } catch (err) {
+      if (pausedSource) await source.resume(hash).catch(() => {});
+      throw err;
+    }
+
+    this._jobs.set(key, {
+      hash,
+      name: item.name,
+      sourceInstanceId,
+      targetInstanceId,
+      sourceProgress: item.progress || 0,
+      resumeAfter: wasActive,
+      pausedSource,
+      phase: 'adding',
+      startedAt: Date.now(),
+      checkRequestedAt: null,
+      seenChecking: false,
+      triggeredBy
+    });
+    this.log(`🔀 Transferring "${item.name}" from ${source.displayName || sourceInstanceId} to ${target.displayName || targetInstanceId} (${savePath})`);
+  }
+
+  /**
+   * Whether any transfer is in progress (keeps the data loop running)
+   * @returns {boolean}
+   */
+  isTracking() {
+    return this._jobs.size > 0;
+  }
+
+  /**
+   * Advance in-progress transfers against the latest unified items.
+   * Overlapping calls are skipped.
+   * @param {Array} items - Unified items from dataFetchService
+   * @param {number} now - Evaluation time (ms)
+   */
+  async evaluate(items, now = Date.now()) {
+    if (this._running || this._jobs.size === 0) return;
+    this._running = true;
+    try {
+      const byKey = new Map((items || []).map(i => [itemKey(i.instanceId, i.hash), i]));
+      for (const [key, job] of [...this._jobs]) {
+        await this._advance(key, job, byKey.get(itemKey(job.targetInstanceId, job.hash)), now);
+      }
+    } catch (err) {
+      this.warn('⚠️  Error advancing transfers:', logger.errorDetail(err));
+    } finally {
+      this._running = false;
+    }
+  }
+
+  async _advance(key, job, targetItem, now) {
+    const target = registry.get(job.targetInstanceId);
+    if (!target || !target.isConnected()) return;
+
+    if (job.phase === 'adding') {
+      if (!targetItem) {
+        if (now - job.startedAt > ADD_TIMEOUT_MS) {
+          await this._fail(key, job, 'torrent never appeared on the target');
+        }
+        return;
+      }
+      try {
+        await target.recheck(job.hash);
+      } catch (err) {
+        await this._fail(key, job, `recheck failed: ${err.message}`);
+        return;
+      }
+      job.phase = 'checking';
+      job.checkRequestedAt = now;
+      return;
+    }
+
+    if (!targetItem) {
+      await this._fail(key, job, 'torrent disappeared from the target');
+      return;
+    }
+    if (targetItem.checkProgress != null) {
+      job.seenChecking = true;
+      return;
+    }
+    if (!job.seenChecking && now - job.checkRequestedAt < CHECK_GRACE_MS) return;
+
+    const verified = targetItem.progress || 0;
+    if (verified + PROGRESS_TOLERANCE < job.sourceProgress) {
+      await this._fail(key, job, `target verified ${verified}% of ${job.sourceProgress}%`);
+      return;
+    }
+    await this._complete(key, job, target);
+  }
+
+  /**
+   * Hand history and ownership to the target, remove the source copy and
+   * resume the target if the source was running
+   */
+  async _complete(key, job, target) {
+    this._jobs.delete(key);
+    const targetKey = itemKey(job.targetInstanceId, job.hash);
+
+    // Move history first so the source removal doesn't mark it deleted
+    try {
+      this.downloadHistoryDB?.moveToInstance(job.hash, job.sourceInstanceId, job.targetInstanceId, target.clientType);
+    } catch (err) {
+      this.warn(`⚠️  Could not move history for "${job.name}": ${err.message}`);
+    }
+    this.userManager?.transferOwnership(key, targetKey);
+
+    let message = `Transferred "${job.name}" to ${target.displayName || job.targetInstanceId}`;
+    const source = registry.get(job.sourceInstanceId);
+    try {
+      if (!source || !source.isConnected()) throw new Error('Source client not connected');
+      const result = await source.deleteItem(job.hash, { deleteFiles: false, isShared: false });
+      if (!result.success) throw new Error(result.error || 'Remove failed');
+    } catch (err) {
+      this.warn(`⚠️  Transfer of "${job.name}" verified but removal from source failed: ${err.message}`);
+      message += ` (could not remove it from the source: ${err.message})`;
+    }
+
+    if (job.resumeAfter) {
+      await target.resume(job.hash).catch(err =>
+        this.warn(`⚠️  Could not resume "${job.name}" on target: ${err.message}`));
+    }
+
+    this.log(`🔀 ${message}`);
+    this.broadcast?.({ type: 'success', message });
+  }
+
+  /**
+   * Roll back a transfer: drop the target copy and resume a source paused
+   * for the transfer
+   */
+  async _fail(key, job, reason) {
+    this._jobs.delete(key);
+
+    await registry.get(job.targetInstanceId)?.deleteItem(job.hash, { deleteFiles: false, isShared: false }).catch(() => {});
+    if (job.pausedSource) {
+      await registry.get(job.sourceInstanceId)?.resume(job.hash).catch(() => {});
+    }
+
+    const message = `Transfer of "${job.name}" failed: ${reason}`;
+    this.warn(`⚠️  ${message}`);
+    this.broadcast?.({ type: 'error', message });
+  }
+
+  /**
+   * Drop tracking state (used on shutdown)
+   */
+  reset() {
+    this._jobs.clear();
+  }
+}
+
+module.exports = new InstanceTransferManager();
@@ -0,0 +1,250 @@
+/**
+ * Item Speed Limit Module
+ * Remembers the per-item download/upload caps set through aMuTorrent
+ * (item-speed-limits.json) and reapplies them when a client comes back
+ * without them — typically after a restart that dropped its resume data.
+ * Evaluated on each autoRefreshManager cycle against the unified items.
+ *
+ * Stored limits are only reapplied when the client lost its state: the item
+ * was re-added (its added time changed) or the client dropped out of the
+ * refresh since it was last seen (restart, or aMuTorrent itself restarted).
+ * Otherwise a differing value — including unlimited — was changed in the
+ * client itself and is adopted. Entries are forgotten once their item is gone
+ * from a client that is reporting other items.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const { itemKey } = require('../lib/itemKey');
+
+// Clients store limits in whole kB/KiB — smaller differences are rounding
+const LIMIT_TOLERANCE = 1024;
+// Minimum time between setting/reapplying an item's limits and checking them again
+const REAPPLY_INTERVAL_MS = 60000;
+
+class ItemSpeedLimitManager extends BaseModule {
+  constructor() {
+    super();
+    this.filePath = null;
+    // itemKey → { instanceId, hash, downloadLimit, uploadLimit }
+    this._limits = new Map();
+    // itemKey → last time limits were set or reapplied (ms)
+    this._lastReapply = new Map();
+    // itemKey → added time the client last reported for the item (ms or null)
+    this._seen = new Map();
+    this._running = false;
+  }
+
+  // ==========================================================================
+  // FILE OPERATIONS
+  // ==========================================================================
+
+  /**
+   * Get the path to item-speed-limits.json
+   * @returns {string} File path
+   */
+  getFilePath() {
+    if (!this.filePath) {
+      const dataDir = config.getDataDir() || path.join(__dirname, '..', 'data');
+      this.filePath = path.join(dataDir, 'item-speed-limits.json');
+    }
+    return this.filePath;
+  }
+
+  /**
+   * Load stored limits (a missing file means none are set)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this._limits.clear();
+    this._lastReapply.clear();
+    this._seen.clear();
+    try {
+      const json = JSON.parse(await fs.readFile(this.getFilePath(), 'utf8'));
+      for (const entry of Object.values(json.items || {})) {
+        if (!entry?.hash) continue;
+        this._limits.set(itemKey(entry.instanceId, entry.hash), {
+          instanceId: entry.instanceId || null,
+          hash: entry.hash.toLowerCase(),
+          downloadLimit: Math.max(0, Number(entry.downloadLimit) || 0),
+          uploadLimit: Math.max(0, Number(entry.uploadLimit) || 0)
+        });
+      }
+      if (this._limits.size > 0) this.log(`🚦 Loaded ${this._limits.size} per-item speed limit(s)`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.error('❌ Error loading item speed limits:', err.message);
+    }
+  }
+
+  async _save() {
+    try {
+      const filePath = this.getFilePath();
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const json = { version: 1, items: Object.fromEntries(this._limits) };
+      await fs.writeFile(filePath, JSON.stringify(json, null, 2), 'utf8');
+    } catch (err) {
+      this.error('❌ Error saving item speed limits:', err.message);
+    }
+  }
+
+  // ==========================================================================
+  // LIMITS
+  // ==========================================================================
+
+  /**
+   * Whether any item has a stored limit (keeps the data loop running)
+   * @returns {boolean}
+   */
+  hasLimits() {
+    return this._limits.size > 0;
+  }
+
+  /**
+   * Get the stored limits of an item
+   * @param {string} instanceId - Client instance ID
+   * @param {string} hash - Item hash
+   * @returns {Object|null} { downloadLimit, uploadLimit } in bytes/s, or null when none are stored
+   */
+  get(instanceId, hash) {
+    const entry = this._limits.get(itemKey(instanceId, hash));
+    return entry ? { downloadLimit: entry.downloadLimit, uploadLimit: entry.uploadLimit } : null;
+  }
+
+  /**
+   * Set limits on an item through its manager and remember them.
+   * Omitted (undefined) values are left unchanged; an item with both
+   * directions unlimited is forgotten.
+   * @param {Object} manager - Client manager owning the item
+   * @param {string} hash - Item hash
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   * @returns {Promise<Object>} The stored limits: { downloadLimit, uploadLimit }
+   */
+  async apply(manager, hash, { downloadLimit, uploadLimit } = {}) {
+    await manager.setItemSpeedLimits(hash, { downloadLimit, uploadLimit });
+    return await this._store(manager.instanceId, hash, { downloadLimit, uploadLimit });
+  }
+
+  async _store(instanceId, hash, { downloadLimit, uploadLimit }) {
+    const key = itemKey(instanceId, hash);
+    const current = this._limits.get(key) || { downloadLimit: 0, uploadLimit: 0 };
+    const next = {
+      instanceId: instanceId || null,
+      hash: hash.toLowerCase(),
+      downloadLimit: downloadLimit ?? current.downloadLimit,
+      uploadLimit: uploadLimit ?? current.uploadLimit
+    };
+    if (next.downloadLimit > 0 || next.uploadLimit > 0) {
+      this._limits.set(key, next);
+    } else {
+      this._limits.delete(key);
+    }
+    this._lastReapply.set(key, Date.now());
+    await this._save();
+    return { downloadLimit: next.downloadLimit, uploadLimit: next.uploadLimit };
+  }
+
+  // ==========================================================================
+  // REAPPLY
+  // ==========================================================================
+
+  /**
+   * Compare stored limits with what the clients report and reapply lost ones.
+   * Overlapping calls are skipped — a slow client must not stack up behind
+   * the refresh loop.
+   * @param {Array} items - Unified items from dataFetchService
+   * @param {number} now - Evaluation time (ms)
+   */
+  async evaluate(items, now = Date.now()) {
+    if (this._running || this._limits.size === 0) return;
+    this._running = true;
+    try {
+      await this._evaluate(items || [], now);
+    } catch (err) {
+      this.warn('⚠️  Error checking item speed limits:', logger.errorDetail(err));
+    } finally {
+      this._running = false;
+    }
+  }
+
+  async _evaluate(items, now) {
+    const itemsByKey = new Map();
+    const reportingInstances = new Set();
+    for (const item of items) {
+      if (!item.hash) continue;
+      itemsByKey.set(itemKey(item.instanceId, item.hash), item);
+      reportingInstances.add(item.instanceId);
+    }
+
+    let changed = false;
+    for (const [key, entry] of this._limits) {
+      const item = itemsByKey.get(key);
+      if (!item) {
+        if (reportingInstances.has(entry.instanceId)) {
+          this._limits.delete(key);
+          this._lastReapply.delete(key);
+          changed = true;
+        }
+        // Client unreachable — it may come back without its state
+        this._seen.delete(key);
+        continue;
+      }
+      // Client doesn't report per-item limits
+      if (item.downloadLimit == null || item.uploadLimit == null) continue;
+
+      // Just set or reapplied — the items may predate the change
+      if (now - (this._lastReapply.get(key) || 0) < REAPPLY_INTERVAL_MS) continue;
+
+      const addedAt = item.addedAt ? new Date(item.addedAt).getTime() : null;
+      const stateLost = !this._seen.has(key) || this._seen.get(key) !== addedAt;
+      this._seen.set(key, addedAt);
+
+      const lost = stateLost && ((entry.downloadLimit > 0 && item.downloadLimit === 0) ||
+        (entry.uploadLimit > 0 && item.uploadLimit === 0));
+      if (lost) {
+        this._lastReapply.set(key, now);
+        await this._reapply(entry, item);
+        continue;
+      }
+
+      const drifted = Math.abs(item.downloadLimit - entry.downloadLimit) > LIMIT_TOLERANCE ||
+        Math.abs(item.uploadLimit - entry.uploadLimit) > LIMIT_TOLERANCE;
+      if (drifted) {
+        // Changed (or cleared) in the client itself — follow it
+        if (item.downloadLimit > 0 || item.uploadLimit > 0) {
+          this._limits.set(key, { ...entry, downloadLimit: item.downloadLimit, uploadLimit: item.uploadLimit });
+        } else {
+          this._limits.delete(key);
+        }
+        changed = true;
+      }
+    }
+
+    if (changed) await this._save();
+  }
+
+  async _reapply(entry, item) {
+    const manager = registry.get(entry.instanceId);
+    if (!manager?.isConnected?.()) return;
+    try {
+      await manager.setItemSpeedLimits(entry.hash, { downloadLimit: entry.downloadLimit, uploadLimit: entry.uploadLimit });
+      this.log(`🚦 Reapplied speed limits to "${item.name || entry.hash}" on ${manager.displayName || entry.instanceId}: ↓ ${entry.downloadLimit} ↑ ${entry.uploadLimit} (bytes/s)`);
+    } catch (err) {
+      this.warn(`⚠️  Could not reapply speed limits to "${item.name || entry.hash}": ${err.message}`);
+    }
+  }
+
+  /**
+   * Forget reapply timestamps and what clients reported (refresh loop stopped,
+   * clients may restart unnoticed)
+   */
+  reset() {
+    this._lastReapply.clear();
+    this._seen.clear();
+  }
+}
+
+module.exports = new ItemSpeedLimitManager();
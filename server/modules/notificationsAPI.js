@@ -7,6 +7,8 @@ const express = require('express');
 const BaseModule = require('../lib/BaseModule');
 const notificationManager = require('../lib/NotificationManager');
 const response = require('../lib/responseFormatter');
+const { FORMATS, DEFAULT_TEMPLATES, validateTemplates } = require('../lib/notifications/templates');
+const { validateQuietHours, validateServiceSchedule } = require('../lib/notifications/schedule');
 const { requireAdmin } = require('../middleware/capabilities');
 
 class NotificationsAPI extends BaseModule {
@@ -14,13 +16,53 @@ class NotificationsAPI extends BaseModule {
     super();
   }
 
+  /**
+   * Validate a service's transport setting
+   * @param {string} type - Service type
+   * @param {*} transport - Requested transport (undefined keeps the current one)
+   * @returns {string|null} Error message, or null when valid
+   */
+  _validateTransport(type, transport) {
+    if (transport === undefined) return null;
+    if (!notificationManager.TRANSPORTS.includes(transport)) {
+      return `Invalid transport. Must be one of: ${notificationManager.TRANSPORTS.join(', ')}`;
+    }
+    if (transport === 'native' && type === 'custom') {
+      return 'Custom Apprise URLs can only be sent through Apprise';
+    }
+    return null;
+  }
+
+  /**
+   * Validate a service's output format and template overrides
+   * @param {*} format - Requested format (undefined keeps the current one)
+   * @param {*} templates - Requested overrides (undefined keeps the current ones)
+   * @returns {string|null} Error message, or null when valid
+   */
+  _validateFormatting(format, templates) {
+    if (format !== undefined && !FORMATS.includes(format)) {
+      return `Invalid format. Must be one of: ${FORMATS.join(', ')}`;
+    }
+    return validateTemplates(templates);
+  }
+
+  /**
+   * Validate a service's event routing and digest settings
+   * @param {Object} fields - { events, digest, digestTime } (undefined keeps the current value)
+   * @returns {string|null} Error message, or null when valid
+   */
+  _validateSchedule(fields) {
+    return validateServiceSchedule(fields, DEFAULT_TEMPLATES);
+  }
+
   // ==========================================================================
   // API ENDPOINTS
   // ==========================================================================
 
   /**
    * GET /api/notifications/status
-   * Returns Apprise availability status
+   * Returns Apprise availability status (Apprise is optional: it is only
+   * needed for custom Apprise URLs and as fallback transport)
    */
   async getStatus(req, res) {
     try {
@@ -48,14 +90,19 @@ class NotificationsAPI extends BaseModule {
 
   /**
    * POST /api/notifications/config
-   * Save notification settings (enabled state, events)
-   * Body: { enabled: boolean, events: { eventType: boolean, ... } }
+   * Save notification settings (enabled state, events, quiet hours, global templates)
+   * Body: { enabled: boolean, events: { eventType: boolean, ... }, quietHours?: object, templates?: { eventType: { title, body } } }
    */
   async saveConfig(req, res) {
     try {
-      const { enabled, events } = req.body;
+      const { enabled, events, quietHours, templates } = req.body;
+
+      const configError = validateQuietHours(quietHours, DEFAULT_TEMPLATES) || validateTemplates(templates);
+      if (configError) {
+        return response.badRequest(res, configError);
+      }
 
-      notificationManager.saveConfig({ enabled, events });
+      notificationManager.saveConfig({ enabled, events, quietHours, templates });
 
       res.json({
         success: true,
@@ -84,11 +131,12 @@ class NotificationsAPI extends BaseModule {
   /**
    * POST /api/notifications/services
    * Add a new notification service
-   * Body: { name: string, type: string, enabled: boolean, config: object }
+   * Body: { name: string, type: string, enabled: boolean, transport?: string, format?: string, templates?: object,
+   *         events?: string[], digest?: string, digestTime?: string, config: object }
    */
   async addService(req, res) {
     try {
-      const { name, type, enabled, config } = req.body;
+      const { name, type, enabled, transport, format, templates, events, digest, digestTime, config } = req.body;
 
       if (!name || typeof name !== 'string' || !name.trim()) {
         return response.badRequest(res, 'Service name is required');
@@ -103,10 +151,22 @@ class NotificationsAPI extends BaseModule {
         return response.badRequest(res, `Invalid service type. Must be one of: ${validTypes.join(', ')}`);
       }
 
+      const transportError = this._validateTransport(type, transport) || this._validateFormatting(format, templates) ||
+        this._validateSchedule({ events, digest, digestTime });
+      if (transportError) {
+        return response.badRequest(res, transportError);
+      }
+
       const service = notificationManager.addService({
         name: name.trim(),
         type,
         enabled: enabled !== false,
+        transport,
+        format,
+        templates,
+        events,
+        digest,
+        digestTime,
         config: config || {}
       });
 
@@ -123,16 +183,31 @@ class NotificationsAPI extends BaseModule {
   /**
    * PUT /api/notifications/services/:id
    * Update an existing notification service
-   * Body: { name?: string, enabled?: boolean, config?: object }
+   * Body: { name?: string, enabled?: boolean, transport?: string, format?: string, templates?: object,
+   *         events?: string[], digest?: string, digestTime?: string, config?: object }
    */
   async updateService(req, res) {
     try {
       const { id } = req.params;
-      const { name, enabled, config } = req.body;
+      const { name, enabled, transport, format, templates, events, digest, digestTime, config } = req.body;
+
+      const existing = notificationManager.getServices().find(s => s.id === id);
+      const transportError = existing &&
+        (this._validateTransport(existing.type, transport) || this._validateFormatting(format, templates) ||
+          this._validateSchedule({ events, digest, digestTime }));
+      if (transportError) {
+        return response.badRequest(res, transportError);
+      }
 
       const service = notificationManager.updateService(id, {
         name,
         enabled,
+        transport,
+        format,
+        templates,
+        events,
+        digest,
+        digestTime,
         config
       });
 
@@ -173,6 +248,65 @@ class NotificationsAPI extends BaseModule {
     }
   }
 
+  /**
+   * POST /api/notifications/services/:id/flush
+   * Send a service's held notifications (quiet hours, digest) now
+   */
+  async flushService(req, res) {
+    try {
+      const result = await notificationManager.flushService(req.params.id);
+      if (!result) {
+        return response.notFound(res, 'Service not found');
+      }
+
+      res.json({
+        success: result.success,
+        count: result.count,
+        message: result.success
+          ? (result.count > 0 ? `Sent ${result.count} held notification(s)` : 'No held notifications')
+          : result.message
+      });
+    } catch (err) {
+      this.error('Error sending held notifications:', err.message);
+      response.serverError(res, 'Failed to send held notifications');
+    }
+  }
+
+  /**
+   * GET /api/notifications/templates
+   * Default templates, available variables and output formats
+   */
+  async getTemplates(req, res) {
+    res.json(notificationManager.getTemplateInfo());
+  }
+
+  /**
+   * POST /api/notifications/preview
+   * Render sample event data with templates being edited
+   * Body: { eventType, format?, serviceTemplates?, globalTemplates? }
+   */
+  async preview(req, res) {
+    try {
+      const { eventType, format = 'plain', serviceTemplates, globalTemplates } = req.body;
+
+      if (!DEFAULT_TEMPLATES[eventType]) {
+        return response.badRequest(res, 'Unknown event type');
+      }
+      const invalid = this._validateFormatting(format, serviceTemplates) || validateTemplates(globalTemplates);
+      if (invalid) {
+        return response.badRequest(res, invalid);
+      }
+
+      res.json({
+        success: true,
+        preview: notificationManager.previewMessage({ eventType, format, serviceTemplates, globalTemplates })
+      });
+    } catch (err) {
+      this.error('Error rendering notification preview:', err.message);
+      response.serverError(res, 'Failed to render preview');
+    }
+  }
+
   /**
    * POST /api/notifications/test
    * Test all enabled notification services
@@ -234,6 +368,15 @@ class NotificationsAPI extends BaseModule {
     // DELETE /api/notifications/services/:id - Delete service
     router.delete('/services/:id', this.deleteService.bind(this));
 
+    // POST /api/notifications/services/:id/flush - Send held notifications now
+    router.post('/services/:id/flush', this.flushService.bind(this));
+
+    // GET /api/notifications/templates - Template defaults and variables
+    router.get('/templates', this.getTemplates.bind(this));
+
+    // POST /api/notifications/preview - Render templates with sample data
+    router.post('/preview', this.preview.bind(this));
+
     // POST /api/notifications/test - Test all services
     router.post('/test', this.testAll.bind(this));
 
@@ -0,0 +1,308 @@
+/**
+ * OpenID Connect API Module
+ * Native "Sign in with ..." login via the authorization code flow with PKCE.
+ *
+ * Flow:
+ * 1. GET /api/auth/oidc/login stores state, nonce and PKCE verifier in the session
+ *    and redirects the browser to the provider
+ * 2. The provider redirects back to GET /api/auth/oidc/callback with a code
+ * 3. The code is exchanged, the ID token verified, and the user looked up by
+ *    subject (then username), optionally auto-provisioned
+ * 4. Admin flag and capabilities follow the configured group mappings
+ * 5. The session is created like a trusted-proxy SSO session
+ */
+
+const BaseModule = require('../lib/BaseModule');
+const config = require('./config');
+const { getClientIP } = require('../lib/authUtils');
+const response = require('../lib/responseFormatter');
+const { OidcClient, randomToken, createPkcePair } = require('../lib/oidc/oidcClient');
+const { deriveUsername, getGroups, resolveAccess, getLinkRefusal } = require('../lib/oidc/claimMapping');
+const { MS_PER_MINUTE, MS_PER_HOUR, MS_PER_DAY } = require('../lib/timeRange');
+const UserManager = require('./userManager');
+
+// Singleton managers - imported directly instead of injected
+const authManager = require('./authManager');
+
+// Authorization requests the browser has not returned from expire after this
+const PENDING_LOGIN_TTL = 10 * MS_PER_MINUTE;
+const CALLBACK_PATH = '/api/auth/oidc/callback';
+
+class OidcAPI extends BaseModule {
+  constructor() {
+    super();
+    this.client = null;
+    this.clientKey = null;
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Check whether OIDC login is available
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const oidc = config.getOidcConfig();
+    return !!(config.getAuthEnabled() && oidc.enabled && oidc.issuerUrl && oidc.clientId);
+  }
+
+  /**
+   * Public login-page info for the "Sign in with ..." button
+   * @returns {{ label: string }|null}
+   */
+  getLoginInfo() {
+    if (!this.isEnabled()) return null;
+    return { label: config.getOidcConfig().buttonLabel || 'SSO' };
+  }
+
+  /**
+   * Get the provider client, rebuilding it when the settings change
+   * @returns {OidcClient}
+   * @private
+   */
+  _getClient() {
+    const { issuerUrl, clientId, clientSecret } = config.getOidcConfig();
+    const key = `${issuerUrl}|${clientId}|${clientSecret || ''}`;
+    if (!this.client || this.clientKey !== key) {
+      this.client = new OidcClient({ issuerUrl, clientId, clientSecret });
+      this.clientKey = key;
+    }
+    return this.client;
+  }
+
+  /**
+   * Redirect URI registered with the provider
+   * @param {Object} req - Express request
+   * @returns {string}
+   * @private
+   */
+  _getRedirectUri(req) {
+    const configured = config.getOidcConfig().redirectUri;
+    if (configured) return configured;
+    return `${req.protocol}://${req.get('host')}${CALLBACK_PATH}`;
+  }
+
+  /**
+   * Send the browser back to the login page with an error message
+   * @param {Object} res - Express response
+   * @param {string} message
+   * @private
+   */
+  _redirectWithError(res, message) {
+    res.redirect(`/login?oidcError=${encodeURIComponent(message)}`);
+  }
+
+  /**
+   * Find, link or provision the local user for verified claims and apply group mappings
+   * @param {Object} claims - Verified ID token (+ userinfo) claims
+   * @returns {Object} User row
+   * @throws {Error} With a message safe to show on the login page
+   * @private
+   */
+  _resolveUser(claims) {
+    const oidc = config.getOidcConfig();
+    const groups = getGroups(claims, oidc.groupsClaim || 'groups');
+    const access = resolveAccess(groups, oidc, UserManager.ALL_CAPABILITIES);
+
+    if (!access.allowed) {
+      throw new Error('Your account is not in a group allowed to sign in');
+    }
+
+    let user = this.userManager.getUserByOidcSubject(claims.sub);
+
+    if (!user) {
+      const username = deriveUsername(claims, oidc.usernameClaim || 'preferred_username');
+      if (!username) {
+        throw new Error('The identity provider did not send a usable username');
+      }
+
+      user = this.userManager.getUserByUsername(username);
+      if (user) {
+        if (user.oidc_subject) {
+          throw new Error(`User "${username}" is linked to a different identity`);
+        }
+        const refusal = getLinkRefusal(user, claims, oidc);
+        if (refusal) {
+          this.warn(`⚠️ Refused to link OIDC subject ${claims.sub}: ${refusal}`);
+          throw new Error(refusal);
+        }
+        this.userManager.setOidcSubject(user.id, claims.sub);
+        this.log(`🔗 Linked user ${user.username} to OIDC subject ${claims.sub}`);
+      } else if (oidc.autoProvision) {
+        const defaultCaps = Array.isArray(oidc.defaultCapabilities) && oidc.defaultCapabilities.length > 0
+          ? oidc.defaultCapabilities
+          : UserManager.SSO_DEFAULT_CAPABILITIES;
+        const caps = access.capabilities || defaultCaps;
+
+        user = this.userManager.createUser(username, {
+          passwordHash: null,
+          isAdmin: access.isAdmin === true,
+          capabilities: caps
+        });
+        this.userManager.setCapabilities(user.id, caps);
+        this.userManager.setOidcSubject(user.id, claims.sub);
+        this.log(`👤 Auto-provisioned OIDC user: ${username}`);
+      } else {
+        throw new Error(`No account exists for "${username}"`);
+      }
+    }
+
+    if (user.disabled) {
+      throw new Error('Account disabled');
+    }
+
+    // Group mappings are authoritative when configured
+    if (access.isAdmin !== null && access.isAdmin !== user.is_admin) {
+      const activeAdmins = this.userManager.listUsers().filter(u => u.isAdmin && !u.disabled);
+      if (!access.isAdmin && activeAdmins.length <= 1) {
+        this.warn(`⚠️ Not demoting ${user.username}: last active admin`);
+      } else {
+        this.userManager.updateUser(user.id, { isAdmin: access.isAdmin });
+        this.log(`👤 ${access.isAdmin ? 'Promoted' : 'Demoted'} ${user.username} from OIDC groups`);
+      }
+    }
+    if (access.capabilities !== null) {
+      this.userManager.setCapabilities(user.id, access.capabilities);
+    }
+
+    return this.userManager.getUser(user.id);
+  }
+
+  // ==========================================================================
+  // ROUTES
+  // ==========================================================================
+
+  /**
+   * Register OIDC routes (need session, not requireAuth)
+   * @param {Express} app - Express application instance
+   */
+  registerRoutes(app) {
+    // GET /api/auth/oidc/login — start the authorization code flow
+    app.get('/api/auth/oidc/login', async (req, res) => {
+      try {
+        if (!this.isEnabled() || !req.session) {
+          return response.notFound(res, 'OpenID Connect login is not enabled');
+        }
+
+        const state = randomToken();
+        const nonce = randomToken();
+        const { codeVerifier, codeChallenge } = createPkcePair();
+        const redirectUri = this._getRedirectUri(req);
+
+        const url = await this._getClient().getAuthorizationUrl({
+          redirectUri,
+          state,
+          nonce,
+          codeChallenge,
+          scopes: config.getOidcConfig().scopes
+        });
+
+        req.session.oidcLogin = {
+          state,
+          nonce,
+          codeVerifier,
+          redirectUri,
+          rememberMe: req.query.rememberMe === '1' || req.query.rememberMe === 'true',
+          expiresAt: Date.now() + PENDING_LOGIN_TTL
+        };
+
+        req.session.save((err) => {
+          if (err) {
+            this.error('❌ Session save error:', err);
+            return this._redirectWithError(res, 'Failed to start sign-in');
+          }
+          res.redirect(url);
+        });
+      } catch (err) {
+        this.error('❌ OIDC login error:', err.message);
+        this._redirectWithError(res, 'Identity provider is unavailable');
+      }
+    });
+
+    // GET /api/auth/oidc/callback — provider redirects back here
+    app.get(CALLBACK_PATH, async (req, res) => {
+      const clientIp = getClientIP(req);
+      try {
+        if (!this.isEnabled() || !req.session) {
+          return res.redirect('/login');
+        }
+
+        const pending = req.session.oidcLogin;
+        delete req.session.oidcLogin;
+
+        const { code, state, error, error_description: errorDescription } = req.query;
+
+        if (!pending || pending.expiresAt < Date.now()) {
+          return this._redirectWithError(res, 'Sign-in expired, please try again');
+        }
+        if (!state || state !== pending.state) {
+          this.warn(`⚠️ OIDC state mismatch from ${clientIp}`);
+          return this._redirectWithError(res, 'Invalid sign-in response');
+        }
+        if (error) {
+          this.log(`🚫 OIDC provider returned ${error} for ${clientIp}`);
+          return this._redirectWithError(res, errorDescription || `Sign-in was rejected (${error})`);
+        }
+        if (!code || typeof code !== 'string') {
+          return this._redirectWithError(res, 'Invalid sign-in response');
+        }
+
+        const client = this._getClient();
+        const tokens = await client.exchangeCode({
+          code,
+          redirectUri: pending.redirectUri,
+          codeVerifier: pending.codeVerifier
+        });
+        let claims = await client.verifyIdToken(tokens.id_token, { nonce: pending.nonce });
+
+        // Some providers (e.g. Authelia) only release groups via userinfo
+        const groupsClaim = config.getOidcConfig().groupsClaim || 'groups';
+        if (claims[groupsClaim] === undefined && tokens.access_token) {
+          try {
+            const userInfo = await client.fetchUserInfo(tokens.access_token);
+            if (userInfo && userInfo.sub === claims.sub) {
+              claims = { ...userInfo, ...claims };
+            }
+          } catch (err) {
+            this.warn(`⚠️ OIDC userinfo lookup failed: ${err.message}`);
+          }
+        }
+
+        let user;
+        try {
+          user = this._resolveUser(claims);
+        } catch (err) {
+          this.log(`🚫 OIDC login rejected for subject ${claims.sub} from ${clientIp}: ${err.message}`);
+          return this._redirectWithError(res, err.message);
+        }
+
+        authManager.recordSuccessfulLogin(clientIp);
+
+        req.session.authenticated = true;
+        req.session.userId = user.id;
+        req.session.username = user.username;
+        req.session.isAdmin = user.is_admin;
+        req.session.capabilities = this.userManager.resolveCapabilities(user);
+        req.session.sso = true;
+        req.session.cookie.maxAge = pending.rememberMe ? 30 * MS_PER_DAY : 24 * MS_PER_HOUR;
+        this.userManager.updateLastLogin(user.id);
+
+        req.session.save((err) => {
+          if (err) {
+            this.error('❌ Session save error:', err);
+            return this._redirectWithError(res, 'Failed to save session');
+          }
+          this.log(`✅ Successful OIDC login: ${user.username} from ${clientIp}`);
+          res.redirect('/');
+        });
+      } catch (err) {
+        this.error('❌ OIDC callback error:', err.message);
+        this._redirectWithError(res, 'Sign-in failed: ' + err.message);
+      }
+    });
+  }
+}
+
+module.exports = new OidcAPI();
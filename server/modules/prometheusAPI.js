@@ -0,0 +1,257 @@
+/**
+ * Prometheus API Module
+ * Exposes live client state and counters at /metrics in the Prometheus text format
+ */
+
+const BaseModule = require('../lib/BaseModule');
+const config = require('./config');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const dataFetchService = require('../lib/DataFetchService');
+const autoRefreshManager = require('./autoRefreshManager');
+const moveOperationManager = require('../lib/MoveOperationManager');
+const notificationManager = require('../lib/NotificationManager');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const { parseBasicAuth } = require('../lib/authUtils');
+const { CONTENT_TYPE, MetricFamily, formatMetricFamilies } = require('../lib/prometheusFormat');
+
+// Batch data is reused if younger than this (same window as the qBit-compat API)
+const BATCH_MAX_AGE_MS = 10000;
+
+// Speed samples older than this are reported as 0 (instance stopped reporting)
+const SPEED_MAX_AGE_MS = 30000;
+
+const HEALTH_STATES = ['unknown', 'available', 'unavailable'];
+
+const REALM = 'Basic realm="aMuTorrent metrics"';
+
+class PrometheusAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  // ============================================================================
+  // AUTHENTICATION
+  // ============================================================================
+
+  /**
+   * Check that a user may read metrics (admin or view_statistics)
+   * @param {Object|null} user - User record from userManager
+   * @returns {boolean}
+   */
+  _canView(user) {
+    if (!user || user.disabled) return false;
+    return this.userManager.resolveCapabilities(user).includes('view_statistics');
+  }
+
+  /**
+   * Auth middleware for /metrics. Only API keys are accepted — passwords would
+   * skip the login throttle and two-factor authentication:
+   *   1. `X-API-Key` header, `Authorization: Bearer <apiKey>` or `?apikey=`
+   *   2. `Authorization: Basic` with an API key as the password (username optional)
+   * The user must be an admin or have the view_statistics capability.
+   */
+  checkAuth(req, res, next) {
+    if (!config.getAuthEnabled()) return next();
+
+    if (!this.userManager) {
+      return res.status(500).type('text/plain').send('User management not available');
+    }
+
+    const authHeader = req.headers.authorization || '';
+    let apiKey = req.headers['x-api-key']
+      || (authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null)
+      || req.query.apikey;
+    let username = null;
+
+    if (!apiKey && authHeader.startsWith('Basic ')) {
+      const credentials = parseBasicAuth(authHeader);
+      if (!credentials || !credentials.password) {
+        res.setHeader('WWW-Authenticate', REALM);
+        return res.status(401).type('text/plain').send('Unauthorized: Invalid auth header');
+      }
+      apiKey = credentials.password;
+      username = credentials.username || null;
+    }
+
+    if (!apiKey) {
+      res.setHeader('WWW-Authenticate', REALM);
+      return res.status(401).type('text/plain').send('Unauthorized: API key required');
+    }
+
+    try {
+      const user = this.userManager.getUserByApiKey(apiKey);
+      if (this._canView(user) && (!username || user.username === username)) return next();
+    } catch (err) {
+      this.error('Metrics exporter auth error:', err);
+      return res.status(500).type('text/plain').send('Internal server error');
+    }
+
+    return res.status(403).type('text/plain').send('Forbidden: Invalid API key');
+  }
+
+  // ============================================================================
+  // COLLECTORS
+  // ============================================================================
+
+  /**
+   * Per-instance info, connection and health state
+   * @returns {Array<MetricFamily>}
+   */
+  _collectInstances() {
+    const info = new MetricFamily('amutorrent_instance_info', 'gauge', 'Configured client instance (always 1)');
+    const enabled = new MetricFamily('amutorrent_instance_enabled', 'gauge', 'Whether the instance is enabled');
+    const connected = new MetricFamily('amutorrent_instance_connected', 'gauge', 'Whether the instance is currently connected');
+    const health = new MetricFamily('amutorrent_instance_health', 'gauge', 'Debounced health state (1 for the current state)');
+    const failures = new MetricFamily('amutorrent_instance_consecutive_failures', 'gauge', 'Consecutive failed health checks');
+    const transition = new MetricFamily('amutorrent_instance_health_last_transition_timestamp_seconds', 'gauge', 'Time of the last health state change');
+
+    registry.forEach((manager, instanceId, clientType) => {
+      const labels = { instance_id: instanceId, client_type: clientType };
+      info.add({ ...labels, name: manager.displayName || instanceId, network_type: clientMeta.getNetworkType(clientType) }, 1);
+      enabled.add(labels, manager.isEnabled());
+      connected.add(labels, !!manager.isConnected());
+
+      const state = autoRefreshManager.getHealthState(instanceId);
+      const status = state?.status || 'unknown';
+      for (const s of HEALTH_STATES) {
+        health.add({ ...labels, state: s }, s === status);
+      }
+      if (state) {
+        failures.add(labels, state.consecutiveFailures);
+        if (state.lastTransitionTime) transition.add(labels, state.lastTransitionTime / 1000);
+      }
+    });
+
+    return [info, enabled, connected, health, failures, transition];
+  }
+
+  /**
+   * Speeds and lifetime transfer totals from the metrics DB (restart-adjusted)
+   * @returns {Array<MetricFamily>}
+   */
+  _collectTransfer() {
+    const dlSpeed = new MetricFamily('amutorrent_instance_download_speed_bytes', 'gauge', 'Current download speed in bytes per second');
+    const ulSpeed = new MetricFamily('amutorrent_instance_upload_speed_bytes', 'gauge', 'Current upload speed in bytes per second');
+    const downloaded = new MetricFamily('amutorrent_instance_downloaded_bytes_total', 'counter', 'Total bytes downloaded (survives client restarts)');
+    const uploaded = new MetricFamily('amutorrent_instance_uploaded_bytes_total', 'counter', 'Total bytes uploaded (survives client restarts)');
+    const sampled = new MetricFamily('amutorrent_instance_last_sample_timestamp_seconds', 'gauge', 'Time of the last stored metrics sample');
+
+    if (!this.metricsDB) return [dlSpeed, ulSpeed, downloaded, uploaded, sampled];
+
+    const now = Date.now();
+    for (const row of this.metricsDB.getLatestInstanceMetrics()) {
+      // Skip rows for instances that were removed from config
+      const manager = registry.get(row.instance_id);
+      if (!manager) continue;
+
+      const labels = { instance_id: row.instance_id, client_type: row.client_type };
+      const fresh = manager.isConnected() && now - row.timestamp <= SPEED_MAX_AGE_MS;
+      dlSpeed.add(labels, fresh ? row.download_speed : 0);
+      ulSpeed.add(labels, fresh ? row.upload_speed : 0);
+      downloaded.add(labels, row.total_downloaded);
+      uploaded.add(labels, row.total_uploaded);
+      sampled.add(labels, row.timestamp / 1000);
+    }
+
+    return [dlSpeed, ulSpeed, downloaded, uploaded, sampled];
+  }
+
+  /**
+   * Item counts by status and by category, from the live batch data
+   * @returns {Promise<Array<MetricFamily>>}
+   */
+  async _collectItems() {
+    const byStatus = new MetricFamily('amutorrent_items', 'gauge', 'Items by status');
+    const byCategory = new MetricFamily('amutorrent_items_by_category', 'gauge', 'Items by category');
+    const up = new MetricFamily('amutorrent_batch_data_up', 'gauge', 'Whether live item data could be fetched for this scrape');
+
+    let items;
+    try {
+      const data = await dataFetchService.getOrFetchBatchData(BATCH_MAX_AGE_MS);
+      items = data?.items || [];
+    } catch (err) {
+      this.warn('⚠️  Metrics exporter could not fetch batch data:', err.message);
+      return [byStatus, byCategory, up.add({}, 0)];
+    }
+
+    const statusCounts = new Map();
+    const categoryCounts = new Map();
+    const increment = (map, labels) => {
+      const key = JSON.stringify(labels);
+      const entry = map.get(key);
+      if (entry) entry.count++;
+      else map.set(key, { labels, count: 1 });
+    };
+
+    for (const item of items) {
+      const labels = { instance_id: item.instanceId || '', client_type: item.client || '' };
+      increment(statusCounts, { ...labels, status: item.status || 'unknown' });
+      increment(categoryCounts, { ...labels, category: item.category || 'Default' });
+    }
+
+    for (const { labels, count } of statusCounts.values()) byStatus.add(labels, count);
+    for (const { labels, count } of categoryCounts.values()) byCategory.add(labels, count);
+
+    return [byStatus, byCategory, up.add({}, 1)];
+  }
+
+  /**
+   * Move queue depth, notification and event script counters
+   * @returns {Array<MetricFamily>}
+   */
+  _collectBackground() {
+    const moves = new MetricFamily('amutorrent_move_operations', 'gauge', 'Move operations by status');
+    for (const [status, count] of Object.entries(moveOperationManager.getQueueStats())) {
+      moves.add({ status }, count);
+    }
+
+    const notifySent = new MetricFamily('amutorrent_notifications_sent_total', 'counter', 'Notifications delivered since startup');
+    const notifyFailed = new MetricFamily('amutorrent_notifications_failed_total', 'counter', 'Notification deliveries that failed since startup');
+    const delivery = notificationManager.getDeliveryStats();
+    for (const [event, count] of Object.entries(delivery.sent)) notifySent.add({ event }, count);
+    for (const [event, count] of Object.entries(delivery.failed)) notifyFailed.add({ event }, count);
+
+    const scriptOk = new MetricFamily('amutorrent_event_scripts_succeeded_total', 'counter', 'Event script runs that exited 0 since startup');
+    const scriptFailed = new MetricFamily('amutorrent_event_scripts_failed_total', 'counter', 'Event script runs that failed, timed out or could not start since startup');
+    const scripts = eventScriptingManager.getScriptStats();
+    for (const [event, count] of Object.entries(scripts.succeeded)) scriptOk.add({ event }, count);
+    for (const [event, count] of Object.entries(scripts.failed)) scriptFailed.add({ event }, count);
+
+    return [moves, notifySent, notifyFailed, scriptOk, scriptFailed];
+  }
+
+  // ============================================================================
+  // ROUTES
+  // ============================================================================
+
+  /**
+   * GET /metrics
+   */
+  async getMetrics(req, res) {
+    try {
+      const families = [
+        ...this._collectInstances(),
+        ...this._collectTransfer(),
+        ...(await this._collectItems()),
+        ...this._collectBackground()
+      ];
+      res.setHeader('Content-Type', CONTENT_TYPE);
+      res.send(formatMetricFamilies(families));
+    } catch (err) {
+      this.error('Metrics exporter error:', err);
+      res.status(500).type('text/plain').send('Internal server error');
+    }
+  }
+
+  /**
+   * Register the exporter route (public; handles its own auth)
+   */
+  registerRoutes(app) {
+    app.get('/metrics', this.checkAuth.bind(this), this.getMetrics.bind(this));
+
+    this.log('📈 Prometheus metrics exporter registered at /metrics');
+  }
+}
+
+module.exports = new PrometheusAPI();
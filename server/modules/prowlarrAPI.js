@@ -16,6 +16,11 @@ const { requireCapability } = require('../middleware/capabilities');
 // Client registry - replaces direct singleton manager imports
 const registry = require('../lib/ClientRegistry');
 const categoryManager = require('../lib/CategoryManager');
+const dataFetchService = require('../lib/DataFetchService');
+const { itemKey } = require('../lib/itemKey');
+const { parseTorrentBuffer } = require('../lib/torrentUtils');
+const { linkHash, findDuplicates } = require('../lib/duplicateCheck');
+const eventScriptingManager = require('../lib/EventScriptingManager');
 
 class ProwlarrAPI extends BaseModule {
   constructor() {
@@ -115,6 +120,7 @@ class ProwlarrAPI extends BaseModule {
       }
 
       this.log(`🔍 Prowlarr search: "${query}"`);
+      const startedAt = Date.now();
 
       const rawResults = await this.handler.search(query, {
         categories,
@@ -157,6 +163,15 @@ class ProwlarrAPI extends BaseModule {
 
       this.log(`✅ Found ${results.length} results (cached)`);
 
+      eventScriptingManager.emit('searchCompleted', {
+        source: 'prowlarr',
+        query,
+        searchType: null,
+        resultCount: results.length,
+        duration: this.cachedTimestamp - startedAt,
+        triggeredBy: req.session?.username || ''
+      });
+
       res.json({
         success: true,
         query,
@@ -253,13 +268,15 @@ class ProwlarrAPI extends BaseModule {
   /**
    * POST /api/prowlarr/add
    * Add a torrent to a BitTorrent client (rTorrent or qBittorrent)
-   * Body: { downloadUrl, title?, label?, clientId? }
+   * Body: { downloadUrl, title?, label?, clientId?, instanceId?, onDuplicate? }
+   * Answers 409 { duplicate: true, duplicates } when the torrent already exists
+   * on an instance or in the download history, unless onDuplicate is 'add'
    */
   async addTorrent(req, res) {
     let tempFile = null;
 
     try {
-      const { downloadUrl, title, label, clientId = 'rtorrent', instanceId } = req.body;
+      const { downloadUrl, title, label, clientId = 'rtorrent', instanceId, onDuplicate } = req.body;
 
       // Find client manager — prefer specific instance, fall back to first of type
       let clientManager;
@@ -289,16 +306,13 @@ class ProwlarrAPI extends BaseModule {
 
       const addOptions = { categoryName: label || '', savePath: directory, start: true, username };
 
-      // Track magnet URI for ownership recording and hash for frontend
+      // Resolve what to add first so the info hash can be checked for duplicates
       let effectiveMagnet = null;
-      let infoHash = null;
-
-      // Check if it's a magnet link
+      let torrentBuffer = null;
       if (downloadUrl.startsWith('magnet:')) {
         effectiveMagnet = downloadUrl;
-        await clientManager.addMagnet(downloadUrl, addOptions);
       } else {
-        // It's a torrent file URL - download and add using raw buffer
+        // It's a torrent file URL - download it
         this.log(`📥 Downloading torrent file from ${downloadUrl.substring(0, 50)}...`);
         const result = await this.downloadTorrentFile(downloadUrl);
 
@@ -306,39 +320,42 @@ class ProwlarrAPI extends BaseModule {
         if (result && typeof result === 'object' && result.magnet) {
           this.log(`🧲 Prowlarr redirected to magnet link`);
           effectiveMagnet = result.magnet;
-          await clientManager.addMagnet(result.magnet, addOptions);
         } else {
           tempFile = result;
-          const torrentBuffer = await fs.readFile(tempFile);
-          await clientManager.addTorrentRaw(torrentBuffer, addOptions);
-
-          // Extract hash from torrent buffer for ownership + frontend tracking
-          try {
-            const { parseTorrentBuffer } = require('../lib/torrentUtils');
-            const { hash } = parseTorrentBuffer(torrentBuffer);
-            if (hash) {
-              infoHash = hash;
-              if (req.session?.userId && this.userManager) {
-                const { itemKey } = require('../lib/itemKey');
-                this.userManager.recordOwnership(itemKey(clientManager.instanceId, hash), req.session.userId);
-              }
-            }
-          } catch (e) { /* best-effort */ }
+          torrentBuffer = await fs.readFile(tempFile);
         }
       }
 
-      // Extract hash from magnet URI for ownership + frontend tracking
-      if (effectiveMagnet) {
-        const hashMatch = effectiveMagnet.match(/xt=urn:btih:([a-fA-F0-9]{40})/i);
-        if (hashMatch) {
-          infoHash = hashMatch[1].toLowerCase();
-          if (req.session?.userId && this.userManager) {
-            const { itemKey } = require('../lib/itemKey');
-            this.userManager.recordOwnership(itemKey(clientManager.instanceId, infoHash), req.session.userId);
-          }
+      // Hash for duplicate detection, ownership recording and frontend tracking
+      let infoHash = null;
+      try {
+        infoHash = effectiveMagnet ? linkHash(effectiveMagnet) : parseTorrentBuffer(torrentBuffer).hash;
+      } catch (e) { /* best-effort */ }
+
+      if (infoHash && onDuplicate !== 'add') {
+        const { items = [] } = await dataFetchService.getOrFetchBatchData().catch(() => ({}));
+        const duplicates = findDuplicates([infoHash], { items, history: this.downloadHistoryDB });
+        if (duplicates.length > 0) {
+          this.log(`⏸️  Holding back ${title || infoHash}: already present`);
+          return res.status(409).json({
+            success: false,
+            duplicate: true,
+            error: 'Already added',
+            duplicates: duplicates.map(d => ({ ...d, fileName: title || d.name }))
+          });
         }
       }
 
+      if (effectiveMagnet) {
+        await clientManager.addMagnet(effectiveMagnet, addOptions);
+      } else {
+        await clientManager.addTorrentRaw(torrentBuffer, addOptions);
+      }
+
+      if (infoHash && req.session?.userId && this.userManager) {
+        this.userManager.recordOwnership(itemKey(clientManager.instanceId, infoHash), req.session.userId);
+      }
+
       this.log(`✅ Torrent added to ${clientName} successfully`);
 
       res.json({
@@ -9,6 +9,7 @@ const BaseModule = require('../lib/BaseModule');
 const QBittorrentHandler = require('../lib/qbittorrent/QBittorrentHandler');
 const parseTorrentAddBody = require('../lib/qbittorrent/parseTorrentAddBody');
 const config = require('./config');
+const authManager = require('./authManager');
 const { parseBasicAuth, verifyPassword } = require('../lib/authUtils');
 
 // Client registry - replaces direct singleton manager imports
@@ -71,7 +72,8 @@ class QBittorrentAPI extends BaseModule {
    *   2. `Cookie: SID=<token>` — classic qBittorrent session flow used by
    *      Sonarr's username/password mode and qBit-native browser clients.
    *   3. `Authorization: Basic <base64(user:pass)>` — fallback for curl /
-   *      direct tooling. password may also be an API key.
+   *      direct tooling. password may also be an API key. Accounts with
+   *      two-factor authentication must use an API key.
    * 401 on no auth provided. 403 on auth provided but rejected (matches
    * qBittorrent's behavior — Sonarr will then re-login on the SID path).
    * Admin role required on all paths.
@@ -122,6 +124,10 @@ class QBittorrentAPI extends BaseModule {
           if (user && !user.disabled && user.password_hash) {
             const isValid = await verifyPassword(credentials.password, user.password_hash);
             if (isValid) {
+              if (authManager.hasSecondFactor(user)) {
+                res.setHeader('WWW-Authenticate', 'Basic realm="qBittorrent"');
+                return res.status(403).send('Forbidden: Two-factor accounts must use an API key');
+              }
               if (!user.is_admin) {
                 return res.status(403).send('Forbidden: Admin access required');
               }
@@ -252,14 +258,14 @@ class QBittorrentAPI extends BaseModule {
 
         // Normalize to same format as rtorrent files API
         // qBit priority: 0=Do not download, 1=Normal, 6=High, 7=Max
-        // Normalized:    0=Off,              1=Normal, 2=High
+        // Normalized:    0=Skip,             1=Normal, 2=High, 3=Max
         const normalizedFiles = files.map((file, index) => ({
           index,
           path: file.name,
           size: file.size,
           sizeBytes: file.size,
           downloaded: Math.round(file.size * (file.progress || 0)),
-          priority: file.priority === 0 ? 0 : file.priority >= 6 ? 2 : 1,
+          priority: file.priority === 0 ? 0 : file.priority >= 7 ? 3 : file.priority >= 6 ? 2 : 1,
           progress: Math.round((file.progress || 0) * 100)
         }));
 
@@ -9,6 +9,10 @@ const logger = require('../lib/logger');
 const { parseMagnetUri, parseTorrentBuffer } = require('../lib/torrentUtils');
 const { normalizeQBittorrentDownload } = require('../lib/downloadNormalizer');
 
+// Normalized file priority (BaseClientManager.FILE_PRIORITY) → qBittorrent
+// qBit priority: 0=Do not download, 1=Normal, 6=High, 7=Maximal
+const QB_FILE_PRIORITY = { 0: 0, 1: 1, 2: 6, 3: 7 };
+
 
 class QbittorrentManager extends BaseClientManager {
   constructor() {
@@ -183,11 +187,12 @@ class QbittorrentManager extends BaseClientManager {
 
         try {
           const [trackers, peers] = await Promise.all([
-            this.client.getTorrentTrackers(hash).catch(() => []),
+            this.client.getTorrentTrackers(hash).catch(() => null),
             this.client.getTorrentPeers(hash).catch(() => ({}))
           ]);
 
-          trackersByHash.set(hash, { trackersDetailed: trackers });
+          // Failed lookups keep the cached trackers (and count as unchecked in bulk edits)
+          if (trackers) trackersByHash.set(hash, { trackersDetailed: trackers });
 
           // Convert peers object to normalized array
           // Keys are "ip:port" for IPv4 or "[ipv6]:port" for IPv6
@@ -391,6 +396,17 @@ class QbittorrentManager extends BaseClientManager {
     return await this.pause(hash);
   }
 
+  /**
+   * Force a full hash recheck of the downloaded data
+   * @param {string} hash - Torrent hash
+   */
+  async recheck(hash) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.recheckTorrent(hash);
+  }
+
   /**
    * Update client's view of the download directory (uses native setLocation)
    * @param {string} hash - Torrent hash
@@ -403,6 +419,121 @@ class QbittorrentManager extends BaseClientManager {
     await this.client.setLocation(hash, path);
   }
 
+  // ============================================================================
+  // BANDWIDTH LIMITS
+  // ============================================================================
+
+  /**
+   * Get global transfer limits (qBittorrent already uses bytes/s)
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit }
+   */
+  async getSpeedLimits() {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    const { download, upload } = await this.client.getTransferLimits();
+    return { downloadLimit: download, uploadLimit: upload };
+  }
+
+  /**
+   * Set global transfer limits
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit }
+   */
+  async setSpeedLimits({ downloadLimit, uploadLimit } = {}) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    if (downloadLimit !== undefined) await this.client.setDownloadLimit(downloadLimit);
+    if (uploadLimit !== undefined) await this.client.setUploadLimit(uploadLimit);
+    this.log(`🚦 Speed limits set: ↓ ${downloadLimit ?? 'unchanged'} ↑ ${uploadLimit ?? 'unchanged'} (bytes/s)`);
+    return await this.getSpeedLimits();
+  }
+
+  /**
+   * Set per-torrent speed limits
+   * @param {string} hash - Torrent hash
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   */
+  async setItemSpeedLimits(hash, { downloadLimit, uploadLimit } = {}) {
+    if (!this.client) throw new Error('qBittorrent not connected');
+    if (downloadLimit !== undefined) await this.client.setTorrentDownloadLimit(hash, downloadLimit);
+    if (uploadLimit !== undefined) await this.client.setTorrentUploadLimit(hash, uploadLimit);
+  }
+
+  // ============================================================================
+  // QUEUE
+  // ============================================================================
+
+  /**
+   * Move torrents within the queue (no-op in qBittorrent while queueing is disabled)
+   * @param {string|Array<string>} hashes - Torrent hash(es)
+   * @param {'top'|'up'|'down'|'bottom'} direction - Where to move them
+   */
+  async queueMove(hashes, direction) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.queueMove(hashes, direction);
+  }
+
+  /**
+   * Set or clear force start
+   * @param {string|Array<string>} hashes - Torrent hash(es)
+   * @param {boolean} value - Force start on/off
+   */
+  async setForceStart(hashes, value) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.setForceStart(hashes, value);
+  }
+
+  /**
+   * Get max active limits (-1 in qBittorrent, or queueing disabled, = unlimited)
+   * @returns {Promise<Object>} { maxActiveDownloads, maxActiveSeeds }
+   */
+  async getQueueSettings() {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    const prefs = await this.client.getPreferences();
+    const limit = (value) => (prefs.queueing_enabled && value > 0 ? value : 0);
+    return {
+      maxActiveDownloads: limit(prefs.max_active_downloads),
+      maxActiveSeeds: limit(prefs.max_active_uploads)
+    };
+  }
+
+  /**
+   * Set max active limits. Queueing is enabled while either limit (or an
+   * overall cap set in qBittorrent) is set. The overall cap is left alone
+   * unless it would undercut the per-direction limits, then it is raised.
+   * @param {Object} settings - { maxActiveDownloads, maxActiveSeeds }, 0 = unlimited
+   * @returns {Promise<Object>} { maxActiveDownloads, maxActiveSeeds }
+   */
+  async setQueueSettings({ maxActiveDownloads, maxActiveSeeds } = {}) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    const prefs = await this.client.getPreferences();
+    const limit = (value) => (prefs.queueing_enabled && value > 0 ? value : 0);
+    const downloads = maxActiveDownloads ?? limit(prefs.max_active_downloads);
+    const seeds = maxActiveSeeds ?? limit(prefs.max_active_uploads);
+    const overall = prefs.max_active_torrents > 0 ? prefs.max_active_torrents : 0;
+
+    const update = {
+      queueing_enabled: downloads > 0 || seeds > 0 || limit(overall) > 0,
+      max_active_downloads: downloads > 0 ? downloads : -1,
+      max_active_uploads: seeds > 0 ? seeds : -1
+    };
+    const required = downloads + seeds;
+    if (update.queueing_enabled && overall > 0 && overall < required) update.max_active_torrents = required;
+    await this.client.setPreferences(update);
+    this.log(`🔢 Queue limits set: ↓ ${downloads || 'unlimited'} ↑ ${seeds || 'unlimited'} active`);
+    return await this.getQueueSettings();
+  }
+
   // ============================================================================
   // INTERNAL DOWNLOAD CONTROL
   // ============================================================================
@@ -477,7 +608,7 @@ class QbittorrentManager extends BaseClientManager {
   /**
    * Add a torrent from magnet link
    * @param {string} magnetUri - Magnet URI
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, feedName }
    */
   async addMagnet(magnetUri, options = {}) {
     if (!this.client) {
@@ -490,14 +621,14 @@ class QbittorrentManager extends BaseClientManager {
     // Track in history
     const { hash, name } = parseMagnetUri(magnetUri);
     if (hash) {
-      this.trackDownload(hash, name || 'Magnet download', null, options.username, addOptions.category || null);
+      this.trackDownload(hash, name || 'Magnet download', null, options.username, addOptions.category || null, options.feedName);
     }
   }
 
   /**
    * Add a torrent from raw data (Buffer)
    * @param {Buffer} torrentData - Raw .torrent file contents
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, feedName, skipHistory }
    */
   async addTorrentRaw(torrentData, options = {}) {
     if (!this.client) {
@@ -509,8 +640,8 @@ class QbittorrentManager extends BaseClientManager {
 
     // Track in history
     const { hash, name, size } = parseTorrentBuffer(torrentData);
-    if (hash) {
-      this.trackDownload(hash, name || 'Torrent download', size, options.username, addOptions.category || null);
+    if (hash && !options.skipHistory) {
+      this.trackDownload(hash, name || 'Torrent download', size, options.username, addOptions.category || null, options.feedName);
     }
   }
 
@@ -550,6 +681,93 @@ class QbittorrentManager extends BaseClientManager {
     return await this.client.getTorrentFiles(hash);
   }
 
+  /**
+   * Set the priority of files in a torrent
+   * @param {string} hash - Torrent hash
+   * @param {number[]} fileIndices - File indices
+   * @param {number} priority - Normalized priority (FILE_PRIORITY)
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async setFilePriority(hash, fileIndices, priority) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.setFilePriority(hash, fileIndices, QB_FILE_PRIORITY[priority]);
+    return { success: true };
+  }
+
+  // ============================================================================
+  // TRACKERS
+  // ============================================================================
+
+  /**
+   * Add announce URLs to a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   * @returns {Promise<Object>} { success }
+   */
+  async addTrackers(hash, urls) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.addTrackers(hash, urls);
+    return { success: true };
+  }
+
+  /**
+   * Replace an announce URL
+   * @param {string} hash - Torrent hash
+   * @param {string} oldUrl - Current announce URL
+   * @param {string} newUrl - Replacement announce URL
+   * @returns {Promise<Object>} { success }
+   */
+  async editTracker(hash, oldUrl, newUrl) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.editTracker(hash, oldUrl, newUrl);
+    return { success: true };
+  }
+
+  /**
+   * Remove announce URLs from a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   * @returns {Promise<Object>} { success }
+   */
+  async removeTrackers(hash, urls) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.removeTrackers(hash, urls);
+    return { success: true };
+  }
+
+  /**
+   * Force a tracker announce
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Object>} { success }
+   */
+  async reannounce(hash) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.reannounceTorrent(hash);
+    return { success: true };
+  }
+
+  /**
+   * Export the .torrent metainfo through the WebUI API (qBittorrent 4.5+)
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Buffer>}
+   */
+  async exportTorrent(hash) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    return await this.client.exportTorrent(hash);
+  }
+
   /**
    * Get all categories from qBittorrent
    * @returns {Promise<Object>} Categories object { name: { name, savePath } }
@@ -0,0 +1,116 @@
+/**
+ * Recheck Monitor Module
+ * Follows BitTorrent hash checks across autoRefreshManager cycles — both
+ * rechecks forced through aMuTorrent and checks started in the client
+ * itself — and emits a recheckFinished event with the resulting completion
+ * once a check ends.
+ *
+ * An item counts as checking while its normalized `checkProgress` is set
+ * (checking or queued for a check). Checks started outside aMuTorrent are
+ * only noticed while the data loop is running (a browser is connected).
+ */
+
+const BaseModule = require('../lib/BaseModule');
+const clientMeta = require('../lib/clientMeta');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const { itemKey } = require('../lib/itemKey');
+
+// A requested recheck that never shows up as checking is treated as finished
+// after this long — small torrents can verify between two refresh cycles
+const REQUEST_GRACE_MS = 10000;
+
+class RecheckMonitor extends BaseModule {
+  constructor() {
+    super();
+    // itemKey → { startedAt, triggeredBy, seen }
+    this._checks = new Map();
+  }
+
+  /**
+   * Record a recheck forced through aMuTorrent
+   * @param {string} instanceId - Client instance ID
+   * @param {string} hash - Torrent hash
+   * @param {string} triggeredBy - Username that requested the recheck
+   * @param {number} now - Request time (ms)
+   */
+  markRequested(instanceId, hash, triggeredBy = '', now = Date.now()) {
+    this._checks.set(itemKey(instanceId, hash), { startedAt: now, triggeredBy, seen: false });
+  }
+
+  /**
+   * Whether any check is being followed (keeps the data loop running)
+   * @returns {boolean}
+   */
+  isTracking() {
+    return this._checks.size > 0;
+  }
+
+  /**
+   * Update check tracking from the latest unified items and emit
+   * recheckFinished for checks that ended since the last cycle
+   * @param {Array} items - Unified items from dataFetchService
+   * @param {number} now - Evaluation time (ms)
+   */
+  evaluate(items, now = Date.now()) {
+    const present = new Set();
+
+    for (const item of items || []) {
+      if (!item.hash || !clientMeta.isBittorrent(item.client)) continue;
+      const key = itemKey(item.instanceId, item.hash);
+      present.add(key);
+
+      const check = this._checks.get(key);
+      if (item.checkProgress != null) {
+        if (check) {
+          check.seen = true;
+        } else {
+          this._checks.set(key, { startedAt: now, triggeredBy: '', seen: true });
+        }
+        continue;
+      }
+
+      if (!check) continue;
+      // Requested but not picked up by the client yet
+      if (!check.seen && now - check.startedAt < REQUEST_GRACE_MS) continue;
+
+      this._checks.delete(key);
+      this._emitFinished(item, check, now);
+    }
+
+    // Forget checks on items that left the client
+    for (const key of this._checks.keys()) {
+      if (!present.has(key)) this._checks.delete(key);
+    }
+  }
+
+  /**
+   * Log and emit recheckFinished for a completed check
+   */
+  _emitFinished(item, check, now) {
+    const progress = item.progress || 0;
+    this.log(`🔍 Recheck finished for "${item.name}": ${progress}% complete`);
+
+    eventScriptingManager.emit('recheckFinished', {
+      hash: item.hash,
+      instanceId: item.instanceId,
+      filename: item.name,
+      clientType: item.client,
+      category: item.category,
+      size: item.size,
+      sizeDownloaded: item.sizeDownloaded,
+      progress,
+      complete: !!item.complete,
+      duration: now - check.startedAt,
+      triggeredBy: check.triggeredBy
+    });
+  }
+
+  /**
+   * Drop tracking state (used on shutdown)
+   */
+  reset() {
+    this._checks.clear();
+  }
+}
+
+module.exports = new RecheckMonitor();
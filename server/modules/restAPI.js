@@ -93,6 +93,10 @@ function createHttpContext(req) {
 const CONTEXT_ONLY = new Set(['handleGetCategories', 'handleRequestFullSnapshot']);
 // Subset of CONTEXT_ONLY that are synchronous (don't need await)
 const SYNC_HANDLERS = new Set(['handleRequestFullSnapshot']);
+// Add handlers with duplicate detection. HTTP callers can't answer the UI's
+// "add anyway?" prompt, so onDuplicate defaults to 'add'; an explicit 'ask'
+// that finds duplicates is answered with 409.
+const DUPLICATE_CHECKED = new Set(['handleAddMagnetLinks', 'handleAddEd2kLinks', 'handleAddTorrentFile']);
 
 /**
  * Bridge an HTTP request to a WS handler method.
@@ -108,6 +112,7 @@ async function bridge(method, req, res, extraData = {}) {
 
   const { context, responsePromise, resolveFallback } = createHttpContext(req);
   const data = { ...req.body, ...req.query, ...extraData };
+  if (DUPLICATE_CHECKED.has(method) && !data.onDuplicate) data.onDuplicate = 'add';
 
   // Timeout covers the entire handler execution — if it hangs, the HTTP request won't block forever
   const timeoutMs = method === 'handleSearch' ? 130000 : 30000;
@@ -136,6 +141,7 @@ async function bridge(method, req, res, extraData = {}) {
     ]);
 
     const result = await responsePromise;
+    if (result?.type === 'duplicate') return res.status(409).json(result);
     res.json(result);
   } catch (err) {
     logger.error(`[REST API] ${method} error:`, err.message);
@@ -190,6 +196,42 @@ function registerRoutes(app) {
     bridge('handleBatchStop', req, res)
   );
 
+  router.post('/downloads/recheck', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchRecheck', req, res)
+  );
+
+  router.post('/downloads/queue', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleBatchQueueMove', req, res)
+  );
+
+  router.post('/downloads/force-start', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchForceStart', req, res)
+  );
+
+  // aMule priorities: { items, priority } — download: low|normal|high|auto,
+  // upload: veryLow|low|normal|high|release|auto
+  router.post('/downloads/priority', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleBatchSetDownloadPriority', req, res)
+  );
+
+  router.post('/downloads/upload-priority', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleBatchSetUploadPriority', req, res)
+  );
+
+  // aMule A4AF sources: { items, mode: 'this'|'others'|'auto' }
+  router.post('/downloads/a4af', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleBatchSwapA4AF', req, res)
+  );
+
+  // Per-item speed limits: { items, downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+  router.post('/downloads/speed-limits', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleBatchSetItemSpeedLimits', req, res)
+  );
+
+  router.post('/downloads/transfer', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleBatchTransfer', req, res)
+  );
+
   router.post('/downloads/delete', requireCapability('remove_downloads'), (req, res) =>
     bridge('handleBatchDelete', req, res)
   );
@@ -210,6 +252,40 @@ function registerRoutes(app) {
     bridge('handleSetFileRatingComment', req, res)
   );
 
+  // Per-file priority: { fileHash, instanceId, fileIndices: [..], priority: 0=skip|1=normal|2=high|3=max }
+  router.post('/downloads/file-priority', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleSetFilePriority', req, res)
+  );
+
+  // ============================================================================
+  // TRACKERS
+  // ============================================================================
+
+  // { fileHash, instanceId, urls: [...] }
+  router.post('/trackers/add', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleAddTrackers', req, res)
+  );
+
+  // { fileHash, instanceId, oldUrl, newUrl }
+  router.post('/trackers/edit', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleEditTracker', req, res)
+  );
+
+  // { fileHash, instanceId, urls: [...] }
+  router.post('/trackers/remove', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleRemoveTrackers', req, res)
+  );
+
+  // { items: [{ fileHash, instanceId }] }
+  router.post('/trackers/reannounce', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleBatchReannounce', req, res)
+  );
+
+  // { find, replace, instanceId? } — bulk substring replace across all torrents
+  router.post('/trackers/replace', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleReplaceTrackerUrl', req, res)
+  );
+
   // ============================================================================
   // PERMISSIONS (pre-flight checks)
   // ============================================================================
@@ -292,6 +368,30 @@ function registerRoutes(app) {
     bridge('handleRefreshSharedFiles', req, res)
   );
 
+  // ============================================================================
+  // BANDWIDTH
+  // ============================================================================
+
+  // Current global limits (all connected instances, or ?instanceId=...)
+  router.get('/bandwidth/limits', (req, res) =>
+    bridge('handleGetSpeedLimits', req, res)
+  );
+
+  // Set limits: { downloadLimit, uploadLimit, instanceId? } in bytes/s, 0 = unlimited
+  router.put('/bandwidth/limits', requireCapability('manage_bandwidth'), (req, res) =>
+    bridge('handleSetSpeedLimits', req, res)
+  );
+
+  // Max active downloads/seeds (queue-capable instances, or ?instanceId=...)
+  router.get('/bandwidth/queue', (req, res) =>
+    bridge('handleGetQueueSettings', req, res)
+  );
+
+  // Set limits: { maxActiveDownloads, maxActiveSeeds, instanceId? }, 0 = unlimited
+  router.put('/bandwidth/queue', requireCapability('manage_bandwidth'), (req, res) =>
+    bridge('handleSetQueueSettings', req, res)
+  );
+
   // ============================================================================
   // LOGS
   // ============================================================================
@@ -0,0 +1,229 @@
+/**
+ * RSS API Module
+ * Provides REST endpoints for RSS feed subscriptions and their filter rules
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const rssManager = require('../lib/RssManager');
+const response = require('../lib/responseFormatter');
+const { validateRule } = require('../lib/rss/feedFilter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+/**
+ * Normalize a rule from a request body into the stored shape
+ * @param {Object} rule - Rule as submitted
+ * @param {number} index - Position (used for generated IDs)
+ * @returns {Object}
+ */
+const normalizeRule = (rule, index) => ({
+  id: String(rule.id || `rule-${Date.now().toString(36)}-${index}`),
+  name: String(rule.name || '').trim() || `Rule ${index + 1}`,
+  enabled: rule.enabled !== false,
+  include: String(rule.include || ''),
+  exclude: String(rule.exclude || ''),
+  minSize: Math.max(0, Number(rule.minSize) || 0),
+  maxSize: Math.max(0, Number(rule.maxSize) || 0),
+  feedCategories: Array.isArray(rule.feedCategories)
+    ? rule.feedCategories.map(c => String(c).trim()).filter(Boolean)
+    : [],
+  instanceId: rule.instanceId ? String(rule.instanceId) : '',
+  category: String(rule.category || '')
+});
+
+class RssAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Validate and normalize a feed request body
+   * @param {Object} body - Request body
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {{errors: string[], feed: Object}}
+   */
+  _parseFeedBody(body, partial) {
+    const feed = {};
+    if (!partial || body.name !== undefined) feed.name = String(body.name || '').trim();
+    if (!partial || body.url !== undefined) feed.url = String(body.url || '').trim();
+    if (body.enabled !== undefined) feed.enabled = body.enabled !== false;
+    if (body.intervalMinutes !== undefined) feed.intervalMinutes = Number(body.intervalMinutes);
+
+    const errors = rssManager.validateFeed(feed, partial);
+
+    if (body.rules !== undefined) {
+      if (!Array.isArray(body.rules)) {
+        errors.push('Rules must be an array');
+      } else {
+        feed.rules = body.rules.map(normalizeRule);
+        feed.rules.forEach(rule => errors.push(...validateRule(rule)));
+      }
+    }
+
+    return { errors, feed };
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/rss/feeds
+   * List all feeds with their rules and last check state
+   */
+  async getFeeds(req, res) {
+    try {
+      res.json({ feeds: rssManager.db.getFeeds() });
+    } catch (err) {
+      this.error('Error getting RSS feeds:', err.message);
+      response.serverError(res, 'Failed to get RSS feeds');
+    }
+  }
+
+  /**
+   * POST /api/rss/feeds
+   * Add a feed
+   * Body: { name, url, enabled?, intervalMinutes?, rules? }
+   */
+  async addFeed(req, res) {
+    try {
+      const { errors, feed } = this._parseFeedBody(req.body || {}, false);
+      if (errors.length > 0) {
+        return response.badRequest(res, errors.join('; '));
+      }
+
+      const created = rssManager.db.addFeed(feed);
+      this.log(`📡 RSS feed added: ${created.name}`);
+
+      res.status(201).json({ success: true, feed: created });
+    } catch (err) {
+      this.error('Error adding RSS feed:', err.message);
+      response.serverError(res, 'Failed to add RSS feed');
+    }
+  }
+
+  /**
+   * PUT /api/rss/feeds/:id
+   * Update a feed
+   * Body: { name?, url?, enabled?, intervalMinutes?, rules? }
+   */
+  async updateFeed(req, res) {
+    try {
+      const id = parseInt(req.params.id, 10);
+      const { errors, feed } = this._parseFeedBody(req.body || {}, true);
+      if (errors.length > 0) {
+        return response.badRequest(res, errors.join('; '));
+      }
+
+      const updated = rssManager.db.updateFeed(id, feed);
+      if (!updated) {
+        return response.notFound(res, 'Feed not found');
+      }
+
+      res.json({ success: true, feed: updated });
+    } catch (err) {
+      this.error('Error updating RSS feed:', err.message);
+      response.serverError(res, 'Failed to update RSS feed');
+    }
+  }
+
+  /**
+   * DELETE /api/rss/feeds/:id
+   * Delete a feed and its seen items
+   */
+  async deleteFeed(req, res) {
+    try {
+      const deleted = rssManager.db.deleteFeed(parseInt(req.params.id, 10));
+      if (!deleted) {
+        return response.notFound(res, 'Feed not found');
+      }
+
+      res.json({ success: true, message: 'Feed deleted' });
+    } catch (err) {
+      this.error('Error deleting RSS feed:', err.message);
+      response.serverError(res, 'Failed to delete RSS feed');
+    }
+  }
+
+  /**
+   * POST /api/rss/feeds/:id/refresh
+   * Check a feed immediately
+   */
+  async refreshFeed(req, res) {
+    try {
+      const id = parseInt(req.params.id, 10);
+      const result = await rssManager.refreshFeed(id);
+      if (!result) {
+        return response.notFound(res, 'Feed not found');
+      }
+
+      res.json({ success: !result.error, ...result, feed: rssManager.db.getFeed(id) });
+    } catch (err) {
+      this.error('Error refreshing RSS feed:', err.message);
+      response.serverError(res, 'Failed to refresh RSS feed');
+    }
+  }
+
+  /**
+   * GET /api/rss/feeds/:id/items
+   * Recently processed items for a feed
+   * Query: limit (default 100, max 500)
+   */
+  async getItems(req, res) {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!rssManager.db.getFeed(id)) {
+        return response.notFound(res, 'Feed not found');
+      }
+
+      const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+      res.json({ items: rssManager.db.getItems(id, limit) });
+    } catch (err) {
+      this.error('Error getting RSS items:', err.message);
+      response.serverError(res, 'Failed to get RSS items');
+    }
+  }
+
+  // ==========================================================================
+  // ROUTE REGISTRATION
+  // ==========================================================================
+
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON
+    router.use(express.json());
+    router.use(requireAdmin);
+
+    // Feeds are unavailable until the database is initialized
+    router.use((req, res, next) => {
+      if (!rssManager.db) return response.serviceUnavailable(res, 'RSS database not initialized');
+      next();
+    });
+
+    // GET /api/rss/feeds - List feeds
+    router.get('/feeds', this.getFeeds.bind(this));
+
+    // POST /api/rss/feeds - Add feed
+    router.post('/feeds', this.addFeed.bind(this));
+
+    // PUT /api/rss/feeds/:id - Update feed
+    router.put('/feeds/:id', this.updateFeed.bind(this));
+
+    // DELETE /api/rss/feeds/:id - Delete feed
+    router.delete('/feeds/:id', this.deleteFeed.bind(this));
+
+    // POST /api/rss/feeds/:id/refresh - Check feed now
+    router.post('/feeds/:id/refresh', this.refreshFeed.bind(this));
+
+    // GET /api/rss/feeds/:id/items - Processed items
+    router.get('/feeds/:id/items', this.getItems.bind(this));
+
+    // Mount router
+    app.use('/api/rss', router);
+
+    this.log('RSS API routes registered');
+  }
+}
+
+module.exports = new RssAPI();
@@ -10,6 +10,8 @@ const clientMeta = require('../lib/clientMeta');
 const { parseMagnetUri, parseTorrentBuffer } = require('../lib/torrentUtils');
 const { normalizeRtorrentDownload } = require('../lib/downloadNormalizer');
 
+const { FILE_PRIORITY } = BaseClientManager;
+
 
 class RtorrentManager extends BaseClientManager {
   constructor() {
@@ -357,6 +359,17 @@ class RtorrentManager extends BaseClientManager {
     return await this.closeDownload(hash);
   }
 
+  /**
+   * Force a full hash recheck of the downloaded data
+   * @param {string} hash - Torrent hash
+   */
+  async recheck(hash) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    await this.client.checkHash(hash);
+  }
+
   /**
    * Update client's view of the download directory
    * @param {string} hash - Torrent hash
@@ -369,6 +382,45 @@ class RtorrentManager extends BaseClientManager {
     await this.client.call('d.directory.set', [hash, path]);
   }
 
+  // ============================================================================
+  // BANDWIDTH LIMITS
+  // ============================================================================
+
+  /**
+   * Get global throttle limits (rtorrent already uses bytes/s)
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit }
+   */
+  async getSpeedLimits() {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const { download, upload } = await this.client.getThrottleLimits();
+    return { downloadLimit: download, uploadLimit: upload };
+  }
+
+  /**
+   * Set global throttle limits
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit }
+   */
+  async setSpeedLimits({ downloadLimit, uploadLimit } = {}) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    await this.client.setThrottleLimits({ download: downloadLimit, upload: uploadLimit });
+    this.log(`🚦 Speed limits set: ↓ ${downloadLimit ?? 'unchanged'} ↑ ${uploadLimit ?? 'unchanged'} (bytes/s)`);
+    return await this.getSpeedLimits();
+  }
+
+  /**
+   * rTorrent has no per-torrent caps: throttles are named groups shared by
+   * every torrent assigned to them, and a torrent's group can't be changed
+   * while it is active.
+   */
+  async setItemSpeedLimits() {
+    throw new Error('rTorrent does not support per-torrent speed limits (only shared throttle groups)');
+  }
+
   // ============================================================================
   // INTERNAL DOWNLOAD CONTROL
   // ============================================================================
@@ -474,7 +526,7 @@ class RtorrentManager extends BaseClientManager {
   /**
    * Add a torrent from magnet link
    * @param {string} magnetUri - Magnet URI
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, feedName }
    */
   async addMagnet(magnetUri, options = {}) {
     if (!this.client) {
@@ -490,7 +542,7 @@ class RtorrentManager extends BaseClientManager {
 
     // Track in history
     if (hash) {
-      this.trackDownload(hash, name || 'Magnet download', null, options.username, rtOptions.label || null);
+      this.trackDownload(hash, name || 'Magnet download', null, options.username, rtOptions.label || null, options.feedName);
     }
   }
 
@@ -498,7 +550,7 @@ class RtorrentManager extends BaseClientManager {
    * Add a torrent from raw data (Buffer)
    * Use this when rtorrent doesn't have filesystem access to the torrent file
    * @param {Buffer} torrentData - Raw .torrent file contents
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, feedName, skipHistory }
    */
   async addTorrentRaw(torrentData, options = {}) {
     if (!this.client) {
@@ -513,8 +565,8 @@ class RtorrentManager extends BaseClientManager {
     await this.client.addTorrentRaw(torrentData, rtOptions);
 
     // Track in history
-    if (hash) {
-      this.trackDownload(hash, name || 'Torrent download', size, options.username, rtOptions.label || null);
+    if (hash && !options.skipHistory) {
+      this.trackDownload(hash, name || 'Torrent download', size, options.username, rtOptions.label || null, options.feedName);
     }
   }
 
@@ -582,6 +634,120 @@ class RtorrentManager extends BaseClientManager {
     return await this.client.getFiles(hash);
   }
 
+  /**
+   * Set the priority of files in a torrent
+   * rTorrent file priority: 0=Off, 1=Normal, 2=High (no separate max)
+   * @param {string} hash - Torrent hash
+   * @param {number[]} fileIndices - File indices
+   * @param {number} priority - Normalized priority (FILE_PRIORITY)
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async setFilePriority(hash, fileIndices, priority) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const results = await this.client.setFilePriorities(hash, fileIndices, Math.min(priority, FILE_PRIORITY.HIGH));
+    const failed = results.find(r => r && r.error);
+    return failed ? { success: false, error: failed.error } : { success: true };
+  }
+
+  // ============================================================================
+  // TRACKERS
+  // ============================================================================
+  // rTorrent cannot delete trackers: "removing" disables them, and editing
+  // inserts the new URL and disables the old one.
+
+  /**
+   * Add announce URLs (re-enables URLs that were previously disabled)
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async addTrackers(hash, urls) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const trackers = await this.client.getTrackerList(hash);
+    let group = trackers.length;
+    for (const url of urls) {
+      const existing = trackers.find(t => t.url === url);
+      if (existing) {
+        if (!existing.enabled) await this.client.setTrackerEnabled(hash, existing.index, true);
+      } else {
+        await this.client.insertTracker(hash, group++, url);
+      }
+    }
+    return { success: true };
+  }
+
+  /**
+   * Replace an announce URL
+   * @param {string} hash - Torrent hash
+   * @param {string} oldUrl - Current announce URL
+   * @param {string} newUrl - Replacement announce URL
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async editTracker(hash, oldUrl, newUrl) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const trackers = await this.client.getTrackerList(hash);
+    const old = trackers.find(t => t.url === oldUrl && t.enabled);
+    if (!old) return { success: false, error: 'Tracker not found' };
+
+    await this.addTrackers(hash, [newUrl]);
+    await this.client.setTrackerEnabled(hash, old.index, false);
+    return { success: true };
+  }
+
+  /**
+   * Disable announce URLs
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async removeTrackers(hash, urls) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const trackers = await this.client.getTrackerList(hash);
+    for (const tracker of trackers.filter(t => t.enabled && urls.includes(t.url))) {
+      await this.client.setTrackerEnabled(hash, tracker.index, false);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Force a tracker announce
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Object>} { success }
+   */
+  async reannounce(hash) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    await this.client.announce(hash);
+    return { success: true };
+  }
+
+  /**
+   * Export the .torrent metainfo from rTorrent's session directory. XML-RPC
+   * only reports where the copy lives (d.session_file), so the file is read
+   * from the instance's torrentStateDir.
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Buffer>}
+   */
+  async exportTorrent(hash) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const sessionFile = await this.client.getSessionFile(hash);
+    if (!sessionFile) {
+      throw new Error('rTorrent has no session directory configured');
+    }
+    return await this._readStateTorrent(sessionFile);
+  }
+
   /**
    * Perform category sync when this rTorrent instance connects.
    * Creates app categories for rTorrent labels that don't exist yet.
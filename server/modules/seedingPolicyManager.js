@@ -0,0 +1,248 @@
+/**
+ * Seeding Policy Module
+ * Enforces per-category seeding goals (ratio, minimum seed time, max idle
+ * time) uniformly across the BitTorrent clients, evaluated on each
+ * autoRefreshManager cycle against the unified items. When a goal is met the
+ * category's action runs (pause, stop, remove, remove with files, or move to
+ * another category) and a seedingGoalReached event is emitted. Dry-run
+ * policies only log and emit.
+ *
+ * Seed time counts from the completion time in the download history when
+ * available, otherwise from when this process first saw the item complete.
+ * Idle time counts from the last observed upload (or first observation).
+ */
+
+const fs = require('fs').promises;
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const categoryManager = require('../lib/CategoryManager');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const { itemKey } = require('../lib/itemKey');
+const { evaluateSeedingGoal } = require('../lib/seedingPolicy');
+
+// Statuses where acting would fight the client (or is already done)
+const SKIP_STATUSES = new Set(['checking', 'moving', 'error']);
+const STOPPED_STATUSES = new Set(['paused', 'stopped']);
+
+const ACTION_LABELS = {
+  pause: 'Pause',
+  stop: 'Stop',
+  remove: 'Remove',
+  removeWithFiles: 'Remove with files',
+  moveCategory: 'Move to category'
+};
+
+class SeedingPolicyManager extends BaseModule {
+  constructor() {
+    super();
+    // itemKey → { completedAt, lastActiveAt, lastUploadTotal }
+    this._tracked = new Map();
+    // itemKey → policy signature the goal was handled under (act once per policy)
+    this._handled = new Map();
+    this._running = false;
+  }
+
+  /**
+   * Check whether any category has an enabled seeding policy
+   * @returns {boolean}
+   */
+  hasActivePolicies() {
+    return categoryManager.getSeedingPolicies().size > 0;
+  }
+
+  /**
+   * Evaluate every completed BitTorrent item against its category's policy.
+   * Overlapping calls are skipped — a slow client action must not stack up
+   * behind the refresh loop.
+   * @param {Array} items - Unified items from dataFetchService
+   * @param {number} now - Evaluation time (ms)
+   */
+  async evaluate(items, now = Date.now()) {
+    if (this._running) return;
+    this._running = true;
+    try {
+      await this._evaluate(items || [], now);
+    } catch (err) {
+      this.warn('⚠️  Error evaluating seeding policies:', logger.errorDetail(err));
+    } finally {
+      this._running = false;
+    }
+  }
+
+  async _evaluate(items, now) {
+    const policies = categoryManager.getSeedingPolicies();
+    const seen = new Set();
+
+    for (const item of items) {
+      if (!item.complete || !item.hash || !clientMeta.isBittorrent(item.client)) continue;
+      const key = itemKey(item.instanceId, item.hash);
+      seen.add(key);
+
+      const state = this._track(key, item, now);
+      const policy = policies.get(item.category || 'Default');
+      if (!policy || SKIP_STATUSES.has(item.status)) continue;
+      if (!policy.dryRun && !registry.get(item.instanceId)?.isConnected()) continue;
+
+      const signature = JSON.stringify(policy);
+      if (this._handled.get(key) === signature) continue;
+
+      // Already paused/stopped (by us before a restart, or by hand): nothing to pause
+      if ((policy.action === 'pause' || policy.action === 'stop') && STOPPED_STATUSES.has(item.status)) continue;
+
+      const progress = {
+        ratio: item.ratio || 0,
+        seedingMs: now - state.completedAt,
+        idleMs: now - state.lastActiveAt
+      };
+      const reason = evaluateSeedingGoal(policy, progress);
+      if (!reason) continue;
+
+      this._handled.set(key, signature);
+      await this._applyAction(item, policy, reason, progress);
+    }
+
+    // Forget items that left the client (removed, or no longer complete)
+    for (const key of this._tracked.keys()) {
+      if (!seen.has(key)) {
+        this._tracked.delete(key);
+        this._handled.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Update completion and upload-activity tracking for an item
+   * @returns {{ completedAt: number, lastActiveAt: number, lastUploadTotal: number }}
+   */
+  _track(key, item, now) {
+    let state = this._tracked.get(key);
+    if (!state) {
+      state = {
+        completedAt: this._lookupCompletedAt(item) ?? now,
+        lastActiveAt: now,
+        lastUploadTotal: item.uploadTotal || 0
+      };
+      this._tracked.set(key, state);
+      return state;
+    }
+
+    const uploadTotal = item.uploadTotal || 0;
+    if (item.uploadSpeed > 0 || uploadTotal > state.lastUploadTotal) {
+      state.lastActiveAt = now;
+    }
+    state.lastUploadTotal = uploadTotal;
+    return state;
+  }
+
+  /**
+   * Completion time from the download history, if tracked there
+   * @returns {number|null} Epoch ms
+   */
+  _lookupCompletedAt(item) {
+    if (!this.downloadHistoryDB) return null;
+    try {
+      const entry = this.downloadHistoryDB.getByHash(item.hash, item.instanceId);
+      const completedAt = entry?.completed_at ? Date.parse(entry.completed_at) : NaN;
+      return Number.isNaN(completedAt) ? null : completedAt;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Run the policy action for an item and emit seedingGoalReached
+   */
+  async _applyAction(item, policy, reason, progress) {
+    const label = policy.action === 'moveCategory'
+      ? `${ACTION_LABELS.moveCategory} "${policy.targetCategory}"`
+      : ACTION_LABELS[policy.action];
+    const summary = `ratio ${progress.ratio.toFixed(2)}, seeded ${Math.round(progress.seedingMs / 60000)}m, idle ${Math.round(progress.idleMs / 60000)}m`;
+
+    let success = true;
+    let error = null;
+
+    if (policy.dryRun) {
+      this.log(`🌱 [dry run] Seeding goal (${reason}) reached for "${item.name}" in "${item.category}" (${summary}) — would ${label.toLowerCase()}`);
+    } else {
+      try {
+        await this._runAction(item, policy);
+        this.log(`🌱 Seeding goal (${reason}) reached for "${item.name}" in "${item.category}" (${summary}) — ${label}`);
+      } catch (err) {
+        success = false;
+        error = err.message;
+        this.warn(`⚠️  Seeding policy action "${label}" failed for "${item.name}": ${err.message}`);
+      }
+    }
+
+    eventScriptingManager.emit('seedingGoalReached', {
+      hash: item.hash,
+      instanceId: item.instanceId,
+      filename: item.name,
+      clientType: item.client,
+      category: item.category,
+      reason,
+      ratio: progress.ratio,
+      seedingDuration: progress.seedingMs,
+      idleDuration: progress.idleMs,
+      action: policy.action,
+      targetCategory: policy.action === 'moveCategory' ? policy.targetCategory : null,
+      dryRun: policy.dryRun,
+      success,
+      error,
+      triggeredBy: ''
+    });
+  }
+
+  /**
+   * Perform a policy action through the item's client manager
+   * @throws {Error} If the client is unavailable or rejects the action
+   */
+  async _runAction(item, policy) {
+    const manager = registry.get(item.instanceId);
+    if (!manager || !manager.isConnected()) {
+      throw new Error('Client not connected');
+    }
+
+    switch (policy.action) {
+      case 'pause':
+        if (await manager.pause(item.hash) === false) throw new Error(`${manager.clientType} rejected request`);
+        return;
+      case 'stop':
+        if (await manager.stop(item.hash) === false) throw new Error(`${manager.clientType} rejected request`);
+        return;
+      case 'remove':
+      case 'removeWithFiles': {
+        const deleteFiles = policy.action === 'removeWithFiles';
+        const result = await manager.deleteItem(item.hash, { deleteFiles, isShared: false });
+        if (!result.success) throw new Error(result.error || 'Remove failed');
+        // Clients without an API-level delete hand back paths for us to remove
+        for (const rawPath of (result.pathsToDelete || [])) {
+          const localPath = categoryManager.translatePath(rawPath, manager.clientType, item.instanceId);
+          await fs.rm(localPath, { recursive: true, force: true });
+        }
+        return;
+      }
+      case 'moveCategory': {
+        const target = categoryManager.getByName(policy.targetCategory);
+        if (!target) throw new Error(`Category "${policy.targetCategory}" not found`);
+        const result = await manager.setCategoryOrLabel(item.hash, { categoryName: target.name, priority: target.priority });
+        if (!result.success) throw new Error(result.error || 'Category change failed');
+        return;
+      }
+      default:
+        throw new Error(`Unknown seeding action: ${policy.action}`);
+    }
+  }
+
+  /**
+   * Drop tracking state (used on shutdown)
+   */
+  reset() {
+    this._tracked.clear();
+    this._handled.clear();
+  }
+}
+
+module.exports = new SeedingPolicyManager();
@@ -0,0 +1,93 @@
+/**
+ * Torrent Creation API Module
+ * Admin-only creation of .torrent files from local paths (see torrentCreationManager)
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const torrentCreationManager = require('./torrentCreationManager');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+class TorrentCreateAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * GET /api/torrent-create/jobs
+   */
+  listJobs(req, res) {
+    response.success(res, { jobs: torrentCreationManager.getJobs() });
+  }
+
+  /**
+   * POST /api/torrent-create/jobs
+   * Body: { sourcePath, pieceLength, isPrivate, trackers, webSeeds, comment, addToInstanceId, categoryName }
+   */
+  async createJob(req, res) {
+    try {
+      const job = await torrentCreationManager.create(req.body || {}, {
+        username: req.session?.username || null,
+        userId: req.session?.userId || null
+      });
+      response.success(res, { job }, 202);
+    } catch (err) {
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * POST /api/torrent-create/jobs/:id/cancel
+   */
+  cancelJob(req, res) {
+    if (!torrentCreationManager.cancel(req.params.id)) {
+      return response.notFound(res, 'No running job with this ID');
+    }
+    response.success(res);
+  }
+
+  /**
+   * DELETE /api/torrent-create/jobs/:id
+   */
+  removeJob(req, res) {
+    if (!torrentCreationManager.remove(req.params.id)) {
+      return response.notFound(res, 'No finished job with this ID');
+    }
+    response.success(res);
+  }
+
+  /**
+   * GET /api/torrent-create/jobs/:id/torrent
+   */
+  downloadTorrent(req, res) {
+    const file = torrentCreationManager.getTorrentFile(req.params.id);
+    if (!file) {
+      return response.notFound(res, 'Torrent not available');
+    }
+    res.setHeader('Content-Type', 'application/x-bittorrent');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.fileName)}`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(file.torrent);
+  }
+
+  /**
+   * Register torrent creation API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+    router.use(express.json());
+    router.use(requireAdmin);
+
+    router.get('/jobs', this.listJobs.bind(this));
+    router.post('/jobs', this.createJob.bind(this));
+    router.post('/jobs/:id/cancel', this.cancelJob.bind(this));
+    router.delete('/jobs/:id', this.removeJob.bind(this));
+    router.get('/jobs/:id/torrent', this.downloadTorrent.bind(this));
+
+    app.use('/api/torrent-create', router);
+    this.log('🧲 Torrent creation API routes registered');
+  }
+}
+
+module.exports = new TorrentCreateAPI();
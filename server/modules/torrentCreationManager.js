@@ -0,0 +1,381 @@
+/**
+ * Torrent Creation Module
+ * Creates .torrent files from local files or directories as background jobs.
+ * Jobs run one at a time (hashing is disk and CPU bound) and report their
+ * progress to admins over WebSocket ('torrent-create-progress'). A finished
+ * torrent can be downloaded and, if requested, is added to a BitTorrent
+ * instance for seeding straight from the source location.
+ *
+ * Jobs live in memory only; finished ones are dropped after FINISHED_JOB_TTL_MS.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const categoryManager = require('../lib/CategoryManager');
+const { itemKey } = require('../lib/itemKey');
+const filesystemAPI = require('./filesystemAPI');
+const {
+  collectFiles,
+  isValidPieceLength,
+  choosePieceLength,
+  hashPieces,
+  buildMetainfo
+} = require('../lib/torrentCreator');
+
+// Minimum time between progress broadcasts of a hashing job
+const PROGRESS_INTERVAL_MS = 1000;
+// Finished jobs (and their .torrent data) are kept this long
+const FINISHED_JOB_TTL_MS = 6 * 60 * 60 * 1000;
+// ...and at most this many of them
+const MAX_FINISHED_JOBS = 20;
+const MAX_COMMENT_LENGTH = 1000;
+
+const ACTIVE_STATUSES = new Set(['queued', 'hashing', 'adding']);
+
+// Broadcast filter: torrent creation is admin-only
+const ADMIN_FILTER = { filter: u => u?.isAdmin };
+
+/**
+ * Normalize announce URL tiers: accepts [[url, ...], ...] or a flat [url, ...]
+ * (one tier per URL). Only http(s) and udp URLs are kept.
+ * @param {Array} trackers
+ * @returns {Array<Array<string>>}
+ * @throws {Error} On an invalid URL
+ */
+function normalizeTrackerTiers(trackers) {
+  if (!Array.isArray(trackers)) return [];
+  return trackers
+    .map(tier => (Array.isArray(tier) ? tier : [tier]))
+    .map(tier => tier.map(url => String(url || '').trim()).filter(Boolean).map(url => {
+      if (!/^(https?|udp):\/\/\S+$/i.test(url)) throw new Error(`Invalid tracker URL: ${url}`);
+      return url;
+    }))
+    .filter(tier => tier.length > 0);
+}
+
+/**
+ * Normalize web seed URLs (http/https only)
+ * @param {Array<string>} webSeeds
+ * @returns {Array<string>}
+ * @throws {Error} On an invalid URL
+ */
+function normalizeWebSeeds(webSeeds) {
+  if (!Array.isArray(webSeeds)) return [];
+  return webSeeds.map(url => String(url || '').trim()).filter(Boolean).map(url => {
+    if (!/^https?:\/\/\S+$/i.test(url)) throw new Error(`Invalid web seed URL: ${url}`);
+    return url;
+  });
+}
+
+class TorrentCreationManager extends BaseModule {
+  constructor() {
+    super();
+    // job id → job (insertion order = creation order)
+    this._jobs = new Map();
+    this._active = null;
+  }
+
+  // ==========================================================================
+  // JOBS
+  // ==========================================================================
+
+  /**
+   * Queue a torrent creation job. The source is validated and its files
+   * collected up front so path errors surface immediately.
+   * @param {Object} options
+   * @param {string} options.sourcePath - File or directory as aMuTorrent sees it
+   * @param {number} options.pieceLength - Bytes (0/omitted = automatic)
+   * @param {boolean} options.isPrivate - Private torrent (no DHT/PEX)
+   * @param {Array} options.trackers - Announce URL tiers
+   * @param {Array<string>} options.webSeeds - HTTP seed URLs
+   * @param {string} options.comment - Comment
+   * @param {string} options.addToInstanceId - BitTorrent instance to seed from (optional)
+   * @param {string} options.categoryName - Category for the seeded torrent (optional)
+   * @param {Object} user - { username, userId } of the requester
+   * @returns {Promise<Object>} Job summary
+   * @throws {Error} If the options are invalid
+   */
+  async create(options = {}, { username = null, userId = null } = {}) {
+    if (!options.sourcePath || typeof options.sourcePath !== 'string') {
+      throw new Error('sourcePath is required');
+    }
+    const sourcePath = path.resolve(options.sourcePath.trim());
+    if (filesystemAPI.isExcludedPath(sourcePath)) {
+      throw new Error('Access to this path is restricted');
+    }
+
+    const pieceLength = Number(options.pieceLength) || 0;
+    if (pieceLength && !isValidPieceLength(pieceLength)) {
+      throw new Error(`Invalid piece size: ${options.pieceLength}`);
+    }
+    const trackers = normalizeTrackerTiers(options.trackers);
+    const webSeeds = normalizeWebSeeds(options.webSeeds);
+    const comment = String(options.comment || '').trim();
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      throw new Error(`Comment is longer than ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    const addToInstanceId = options.addToInstanceId || null;
+    if (addToInstanceId) {
+      const target = registry.get(addToInstanceId);
+      if (!target || !target.isConnected()) throw new Error('Target client not connected');
+      if (!clientMeta.isBittorrent(target.clientType)) {
+        throw new Error(`Cannot seed a torrent on ${target.clientType}`);
+      }
+    }
+
+    let source;
+    try {
+      source = await collectFiles(sourcePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new Error('Path not found');
+      if (err.code === 'EACCES') throw new Error('Permission denied');
+      throw err;
+    }
+
+    const resolvedPieceLength = pieceLength || choosePieceLength(source.totalSize);
+    const job = {
+      id: crypto.randomUUID(),
+      sourcePath,
+      source,
+      pieceLength: resolvedPieceLength,
+      pieceCount: Math.ceil(source.totalSize / resolvedPieceLength),
+      isPrivate: Boolean(options.isPrivate),
+      trackers,
+      webSeeds,
+      comment,
+      addToInstanceId,
+      categoryName: options.categoryName || '',
+      username,
+      userId,
+      status: 'queued',
+      hashedBytes: 0,
+      infoHash: null,
+      torrent: null,
+      error: null,
+      addError: null,
+      createdAt: Date.now(),
+      finishedAt: null,
+      controller: new AbortController(),
+      lastProgressAt: 0
+    };
+    this._prune();
+    this._jobs.set(job.id, job);
+    this.log(`🧲 Queued torrent creation for "${source.name}" (${source.files.length} file(s), ${source.totalSize} bytes, ${resolvedPieceLength} byte pieces)`);
+    this._broadcastJob(job);
+    this._next();
+    return this._summary(job);
+  }
+
+  /**
+   * Cancel a queued or hashing job
+   * @param {string} id - Job ID
+   * @returns {boolean} False if the job doesn't exist or already finished
+   */
+  cancel(id) {
+    const job = this._jobs.get(id);
+    if (!job || (job.status !== 'queued' && job.status !== 'hashing')) return false;
+    job.controller.abort();
+    if (job.status === 'queued') this._finish(job, 'cancelled');
+    return true;
+  }
+
+  /**
+   * Forget a finished job
+   * @param {string} id - Job ID
+   * @returns {boolean} False if the job doesn't exist or is still running
+   */
+  remove(id) {
+    const job = this._jobs.get(id);
+    if (!job || ACTIVE_STATUSES.has(job.status)) return false;
+    this._jobs.delete(id);
+    return true;
+  }
+
+  /**
+   * List jobs, newest first
+   * @returns {Array<Object>} Job summaries
+   */
+  getJobs() {
+    this._prune();
+    return [...this._jobs.values()].reverse().map(job => this._summary(job));
+  }
+
+  /**
+   * Get the .torrent data of a finished job
+   * @param {string} id - Job ID
+   * @returns {Object|null} { fileName, torrent: Buffer }
+   */
+  getTorrentFile(id) {
+    const job = this._jobs.get(id);
+    if (!job?.torrent) return null;
+    return { fileName: `${job.source.name}.torrent`, torrent: job.torrent };
+  }
+
+  // ==========================================================================
+  // PROCESSING
+  // ==========================================================================
+
+  _next() {
+    if (this._active) return;
+    const job = [...this._jobs.values()].find(j => j.status === 'queued');
+    if (!job) return;
+    this._active = job;
+    this._run(job)
+      .catch(err => this.error('❌ Torrent creation error:', logger.errorDetail(err)))
+      .finally(() => {
+        this._active = null;
+        this._next();
+      });
+  }
+
+  async _run(job) {
+    job.status = 'hashing';
+    this._broadcastJob(job);
+
+    let result;
+    try {
+      const pieces = await hashPieces(job.source.files, job.pieceLength, {
+        signal: job.controller.signal,
+        onProgress: (hashedBytes) => {
+          job.hashedBytes = hashedBytes;
+          if (Date.now() - job.lastProgressAt >= PROGRESS_INTERVAL_MS) this._broadcastJob(job);
+        }
+      });
+      result = buildMetainfo({
+        name: job.source.name,
+        isDirectory: job.source.isDirectory,
+        files: job.source.files,
+        pieceLength: job.pieceLength,
+        pieces,
+        isPrivate: job.isPrivate,
+        trackers: job.trackers,
+        webSeeds: job.webSeeds,
+        comment: job.comment
+      });
+    } catch (err) {
+      if (job.controller.signal.aborted) {
+        this.log(`🧲 Torrent creation for "${job.source.name}" cancelled`);
+        this._finish(job, 'cancelled');
+      } else {
+        this.warn(`⚠️  Torrent creation for "${job.source.name}" failed: ${err.message}`);
+        this._finish(job, 'failed', err.message);
+        this.broadcast?.({ type: 'error', message: `Creating torrent "${job.source.name}" failed: ${err.message}` }, ADMIN_FILTER);
+      }
+      return;
+    }
+
+    job.torrent = result.torrent;
+    job.infoHash = result.infoHash;
+    this.log(`🧲 Created torrent "${job.source.name}" (${job.infoHash})`);
+
+    let message = `Created torrent "${job.source.name}"`;
+    if (job.addToInstanceId) {
+      job.status = 'adding';
+      this._broadcastJob(job);
+      try {
+        const target = await this._addForSeeding(job);
+        message += ` and added it to ${target.displayName || job.addToInstanceId} for seeding`;
+      } catch (err) {
+        job.addError = err.message;
+        this.warn(`⚠️  Could not add "${job.source.name}" to ${job.addToInstanceId}: ${err.message}`);
+        message += `, but adding it for seeding failed: ${err.message}`;
+      }
+    }
+
+    this._finish(job, 'done');
+    this.broadcast?.({ type: job.addError ? 'error' : 'success', message }, ADMIN_FILTER);
+  }
+
+  /**
+   * Add the created torrent to its target instance, saving to the source's
+   * parent directory so the client finds the data in place
+   * @returns {Promise<Object>} Target manager
+   */
+  async _addForSeeding(job) {
+    const target = registry.get(job.addToInstanceId);
+    if (!target || !target.isConnected()) throw new Error('Target client not connected');
+
+    // Re-check the data is still where it was hashed
+    await fs.access(job.sourcePath);
+
+    const savePath = categoryManager.toClientPath(path.dirname(job.sourcePath), target.clientType, job.addToInstanceId);
+    await target.addTorrentRaw(job.torrent, {
+      categoryName: job.categoryName,
+      savePath,
+      start: true,
+      username: job.username
+    });
+    if (job.userId && this.userManager) {
+      this.userManager.recordOwnership(itemKey(job.addToInstanceId, job.infoHash), job.userId);
+    }
+    this.log(`🧲 Added "${job.source.name}" to ${target.displayName || job.addToInstanceId} for seeding (${savePath})`);
+    return target;
+  }
+
+  _finish(job, status, error = null) {
+    job.status = status;
+    job.error = error;
+    job.finishedAt = Date.now();
+    this._broadcastJob(job);
+  }
+
+  _broadcastJob(job) {
+    job.lastProgressAt = Date.now();
+    this.broadcast?.({ type: 'torrent-create-progress', data: this._summary(job) }, ADMIN_FILTER);
+  }
+
+  /**
+   * Drop expired finished jobs and keep at most MAX_FINISHED_JOBS
+   */
+  _prune(now = Date.now()) {
+    const finished = [...this._jobs.values()].filter(job => !ACTIVE_STATUSES.has(job.status));
+    finished.forEach((job, index) => {
+      if (now - job.finishedAt > FINISHED_JOB_TTL_MS || finished.length - index > MAX_FINISHED_JOBS) {
+        this._jobs.delete(job.id);
+      }
+    });
+  }
+
+  /**
+   * Public view of a job (no file list or torrent data)
+   */
+  _summary(job) {
+    const { source } = job;
+    return {
+      id: job.id,
+      name: source.name,
+      sourcePath: job.sourcePath,
+      status: job.status,
+      fileCount: source.files.length,
+      totalSize: source.totalSize,
+      pieceLength: job.pieceLength,
+      pieceCount: job.pieceCount,
+      isPrivate: job.isPrivate,
+      hashedBytes: job.hashedBytes,
+      progress: Math.round((job.hashedBytes / source.totalSize) * 1000) / 10,
+      infoHash: job.infoHash,
+      addToInstanceId: job.addToInstanceId,
+      error: job.error,
+      addError: job.addError,
+      createdBy: job.username,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Cancel running work and forget all jobs (used on shutdown)
+   */
+  reset() {
+    for (const job of this._jobs.values()) job.controller.abort();
+    this._jobs.clear();
+  }
+}
+
+module.exports = new TorrentCreationManager();
@@ -0,0 +1,275 @@
+/**
+ * Torrent Export API Module
+ * Reads .torrent metainfo back out of the BitTorrent clients (each manager's
+ * exportTorrent) to download it, build complete magnet links and export a
+ * selection as a zip. aMule items take part through their ed2k links.
+ *
+ * Users see only the items they could see in the UI: their own, unless they
+ * are admin or have view_all_downloads.
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const config = require('./config');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const dataFetchService = require('../lib/DataFetchService');
+const response = require('../lib/responseFormatter');
+const { itemKey } = require('../lib/itemKey');
+const { readMetainfo, buildMagnetLink } = require('../lib/torrentUtils');
+const { createZip } = require('../lib/zipWriter');
+
+// Items per links/zip request
+const MAX_EXPORT_ITEMS = 500;
+// Longest file name stem inside the zip
+const MAX_FILE_NAME_LENGTH = 180;
+
+/**
+ * Make a torrent name safe to use as a file name
+ * @param {string} name
+ * @returns {string}
+ */
+function toFileName(name) {
+  const safe = String(name || '')
+    .replace(/[\u0000-\u001f\u007f/\\:*?"<>|]/g, '_')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, MAX_FILE_NAME_LENGTH);
+  return safe || 'torrent';
+}
+
+class TorrentExportAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Whether the requesting user may see an item
+   * @param {Object} req - Express request
+   * @param {string} key - Compound item key
+   * @returns {boolean}
+   */
+  _canView(req, key) {
+    if (!config.getAuthEnabled()) return true;
+    const session = req.session || {};
+    if (session.isAdmin || session.capabilities?.includes('view_all_downloads')) return true;
+    if (!session.userId) return false;
+    return this.userManager?.isOwnedBy(key, session.userId) ?? true;
+  }
+
+  /**
+   * Resolve requested { instanceId, hash } pairs against the live items.
+   * Unknown or hidden items resolve to { error }.
+   * @param {Object} req - Express request
+   * @param {Array} requested - [{ instanceId, hash }]
+   * @returns {Promise<Array>} [{ instanceId, hash, item?, error? }]
+   */
+  async _resolveItems(req, requested) {
+    const { items = [] } = await dataFetchService.getOrFetchBatchData();
+    const byKey = new Map(items.filter(i => i.hash).map(i => [itemKey(i.instanceId, i.hash), i]));
+    return requested.map(({ instanceId, hash }) => {
+      const h = String(hash || '').toLowerCase();
+      const key = itemKey(instanceId, h);
+      const item = byKey.get(key);
+      if (!item || !this._canView(req, key)) return { instanceId, hash: h, error: 'Item not found' };
+      return { instanceId, hash: h, item };
+    });
+  }
+
+  /**
+   * Validate a request body's item list
+   * @param {*} items
+   * @returns {string|null} Error message, or null when valid
+   */
+  _validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) return 'items must be a non-empty array';
+    if (items.length > MAX_EXPORT_ITEMS) return `At most ${MAX_EXPORT_ITEMS} items per request`;
+    if (items.some(i => !i?.instanceId || !i?.hash)) return 'Each item needs instanceId and hash';
+    return null;
+  }
+
+  /**
+   * Read an item's metainfo from its client
+   * @param {Object} item - Unified item
+   * @returns {Promise<Object>} { torrent: Buffer, metainfo }
+   * @throws {Error} If the client can't export it or returns other metainfo
+   */
+  async _exportTorrent(item) {
+    const manager = registry.get(item.instanceId);
+    if (!manager?.isConnected?.()) throw new Error('Client not connected');
+    if (!clientMeta.hasCapability(manager.clientType, 'exportTorrent')) {
+      throw new Error(`${manager.clientType} has no .torrent metainfo`);
+    }
+    const torrent = await manager.exportTorrent(item.hash);
+    const metainfo = readMetainfo(torrent);
+    if (metainfo.hash !== item.hash.toLowerCase()) {
+      throw new Error('Exported metainfo does not match the torrent');
+    }
+    return { torrent, metainfo };
+  }
+
+  /**
+   * Export link for an item: ed2k link for aMule, otherwise a magnet with the
+   * metainfo's tracker tiers and web seeds plus any trackers added in the
+   * client. Falls back to the client's tracker list if the metainfo can't
+   * be read (e.g. no torrent state directory configured).
+   * @param {Object} item - Unified item
+   * @returns {Promise<string|null>}
+   */
+  async _exportLink(item) {
+    if (!clientMeta.isBittorrent(item.client)) return item.ed2kLink || null;
+
+    let metainfo = null;
+    try {
+      ({ metainfo } = await this._exportTorrent(item));
+    } catch (err) {
+      this.debug(`Magnet for "${item.name}" built from client data: ${err.message}`);
+    }
+    return buildMagnetLink({
+      hash: item.hash,
+      name: metainfo?.name || item.name,
+      size: metainfo?.size || item.size,
+      trackers: [...(metainfo?.trackers || []).flat(), ...(item.trackers || [])],
+      webSeeds: metainfo?.webSeeds || []
+    });
+  }
+
+  // ==========================================================================
+  // ROUTES
+  // ==========================================================================
+
+  /**
+   * GET /api/torrent-export/torrent?instanceId=...&hash=...
+   */
+  async downloadTorrent(req, res) {
+    const { instanceId, hash } = req.query;
+    if (!instanceId || !hash) return response.badRequest(res, 'instanceId and hash are required');
+
+    try {
+      const [resolved] = await this._resolveItems(req, [{ instanceId, hash }]);
+      if (resolved.error) return response.notFound(res, resolved.error);
+      if (!clientMeta.isBittorrent(resolved.item.client)) {
+        return response.badRequest(res, 'Not a BitTorrent download');
+      }
+
+      const { torrent, metainfo } = await this._exportTorrent(resolved.item);
+      const fileName = `${toFileName(metainfo.name || resolved.item.name)}.torrent`;
+      res.setHeader('Content-Type', 'application/x-bittorrent');
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(torrent);
+    } catch (err) {
+      this.warn(`⚠️  Could not export torrent ${hash}: ${err.message}`);
+      response.serverError(res, err.message);
+    }
+  }
+
+  /**
+   * POST /api/torrent-export/links
+   * Body: { items: [{ instanceId, hash }] }
+   */
+  async exportLinks(req, res) {
+    const { items } = req.body || {};
+    const invalid = this._validateItems(items);
+    if (invalid) return response.badRequest(res, invalid);
+
+    let resolvedItems;
+    try {
+      resolvedItems = await this._resolveItems(req, items);
+    } catch (err) {
+      return response.serverError(res, err.message);
+    }
+
+    const links = [];
+    for (const resolved of resolvedItems) {
+      const { instanceId, hash, item } = resolved;
+      if (resolved.error) {
+        links.push({ instanceId, hash, link: null, error: resolved.error });
+        continue;
+      }
+      const link = await this._exportLink(item);
+      links.push({ instanceId, hash, link, ...(link ? {} : { error: 'No export link available' }) });
+    }
+    response.success(res, { links });
+  }
+
+  /**
+   * POST /api/torrent-export/zip
+   * Body: { items: [{ instanceId, hash }] }
+   * One .torrent per BitTorrent item, aMule items as ed2k-links.txt and
+   * anything that could not be exported listed in errors.txt.
+   */
+  async exportZip(req, res) {
+    const { items } = req.body || {};
+    const invalid = this._validateItems(items);
+    if (invalid) return response.badRequest(res, invalid);
+
+    const entries = [];
+    const usedNames = new Set();
+    const ed2kLinks = [];
+    const errors = [];
+
+    let resolvedItems;
+    try {
+      resolvedItems = await this._resolveItems(req, items);
+    } catch (err) {
+      return response.serverError(res, err.message);
+    }
+
+    for (const resolved of resolvedItems) {
+      const { item } = resolved;
+      const label = item?.name || resolved.hash;
+      if (resolved.error) {
+        errors.push(`${label}: ${resolved.error}`);
+        continue;
+      }
+      if (!clientMeta.isBittorrent(item.client)) {
+        if (item.ed2kLink) ed2kLinks.push(item.ed2kLink);
+        else errors.push(`${label}: No ed2k link available`);
+        continue;
+      }
+      try {
+        const { torrent, metainfo } = await this._exportTorrent(item);
+        const stem = toFileName(metainfo.name || item.name);
+        let name = `${stem}.torrent`;
+        for (let n = 2; usedNames.has(name.toLowerCase()); n++) name = `${stem} (${n}).torrent`;
+        usedNames.add(name.toLowerCase());
+        entries.push({ name, data: torrent });
+      } catch (err) {
+        errors.push(`${label}: ${err.message}`);
+      }
+    }
+
+    if (entries.length === 0 && ed2kLinks.length === 0) {
+      return response.badRequest(res, `Nothing could be exported${errors.length ? ` — ${errors[0]}` : ''}`);
+    }
+    if (ed2kLinks.length > 0) entries.push({ name: 'ed2k-links.txt', data: ed2kLinks.join('\n') + '\n' });
+    if (errors.length > 0) entries.push({ name: 'errors.txt', data: errors.join('\n') + '\n' });
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="amutorrent-export-${stamp}.zip"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(createZip(entries));
+  }
+
+  /**
+   * Register torrent export API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+    router.use(express.json());
+
+    router.get('/torrent', this.downloadTorrent.bind(this));
+    router.post('/links', this.exportLinks.bind(this));
+    router.post('/zip', this.exportZip.bind(this));
+
+    app.use('/api/torrent-export', router);
+    this.log('📤 Torrent export API routes registered');
+  }
+}
+
+module.exports = new TorrentExportAPI();
@@ -1,12 +1,23 @@
 /**
  * Torznab API Module
- * Provides Torznab indexer API for aMule integration with *arr apps
+ * Provides Torznab indexer APIs for *arr apps:
+ * - /indexer/amule/api   — searches the ED2K/Kad network through aMule
+ * - /indexer/library/api — searches ED2K files we already have (history + aMule shares)
+ * - /indexer/library/bittorrent/api — searches torrents we already have (history + BitTorrent clients)
  */
 
 const BaseModule = require('../lib/BaseModule');
 const TorznabHandler = require('../lib/torznab/TorznabHandler');
+const LibraryHandler = require('../lib/torznab/LibraryHandler');
 const config = require('./config');
 const response = require('../lib/responseFormatter');
+const clientMeta = require('../lib/clientMeta');
+const dataFetchService = require('../lib/DataFetchService');
+const arrManager = require('./arrManager');
+const { buildTorrentMagnet } = require('../lib/torznab/library');
+
+// Live shared-file data older than this is refreshed before a library search
+const LIBRARY_BATCH_MAX_AGE = 30000;
 
 // Client registry - replaces direct singleton manager imports
 const registry = require('../lib/ClientRegistry');
@@ -30,8 +41,89 @@ class TorznabAPI extends BaseModule {
           amuleMgr = registry.getByType('amule').find(m => m.isConnected());
         }
         return amuleMgr?.getClient() || null;
-      }
+      },
+      ...this.getTitleResolvers()
+    });
+
+    this.libraryHandler = new LibraryHandler();
+    this.libraryHandler.setDependencies({
+      getLibraryFiles: () => this.getLibraryFiles('ed2k'),
+      ...this.getTitleResolvers()
+    });
+
+    // Torrent results carry real magnet links that only a BitTorrent client
+    // can take, so they get their own indexer for *arr apps to route there
+    this.torrentLibraryHandler = new LibraryHandler({
+      title: 'aMuTorrent Local Library (BitTorrent)',
+      description: 'Torrents already downloaded by aMuTorrent\'s BitTorrent clients',
+      path: '/indexer/library/bittorrent/api'
     });
+    this.torrentLibraryHandler.setDependencies({
+      getLibraryFiles: () => this.getLibraryFiles('bittorrent'),
+      ...this.getTitleResolvers()
+    });
+  }
+
+  /**
+   * ID search resolvers shared by both indexers (Sonarr/Radarr title lookup)
+   * @returns {{ resolveTitle: Function, canResolveTitles: Function }}
+   */
+  getTitleResolvers() {
+    return {
+      resolveTitle: (type, ids) => arrManager.lookupMediaTitle(type, ids),
+      canResolveTitles: (type) => arrManager.canLookupMediaTitle(type)
+    };
+  }
+
+  /**
+   * Collect files of one network we already have: completed downloads from
+   * history (survive restarts) plus the live complete items — for ED2K that is
+   * everything aMule currently shares, which also covers files shared from
+   * disk that were never downloaded here.
+   * @param {string} networkType - 'ed2k' or 'bittorrent'
+   * @returns {Promise<Array>} Library files for LibraryHandler
+   */
+  async getLibraryFiles(networkType) {
+    const isTorrent = networkType === 'bittorrent';
+    const inNetwork = isTorrent ? clientMeta.isBittorrent : clientMeta.isEd2k;
+    const files = new Map();
+
+    if (this.downloadHistoryDB) {
+      for (const entry of this.downloadHistoryDB.getCompletedEntries()) {
+        if (!inNetwork(entry.client_type)) continue;
+        const hash = entry.hash.toLowerCase();
+        if (files.has(hash)) continue;
+        files.set(hash, {
+          fileName: entry.filename,
+          fileHash: hash,
+          fileSize: entry.size || 0,
+          sourceCount: 1,
+          publishDate: entry.completed_at,
+          magnetLink: isTorrent && entry.filename ? buildTorrentMagnet(hash, entry.filename, entry.size) : null
+        });
+      }
+    }
+
+    try {
+      const batch = await dataFetchService.getOrFetchBatchData(LIBRARY_BATCH_MAX_AGE);
+      for (const item of batch?.items || []) {
+        if (item.networkType !== networkType || !item.complete || !item.hash) continue;
+        const hash = item.hash.toLowerCase();
+        const existing = files.get(hash);
+        files.set(hash, {
+          fileName: item.name || existing?.fileName,
+          fileHash: hash,
+          fileSize: item.size || existing?.fileSize || 0,
+          sourceCount: Math.max(1, item.sources?.total || 0),
+          publishDate: existing?.publishDate || null,
+          magnetLink: isTorrent ? item.magnetLink || existing?.magnetLink || null : null
+        });
+      }
+    } catch (err) {
+      this.warn(`⚠️ Library search using history only, live data unavailable: ${err.message}`);
+    }
+
+    return Array.from(files.values()).filter(f => f.fileName);
   }
 
   /**
@@ -72,6 +164,8 @@ class TorznabAPI extends BaseModule {
    */
   registerRoutes(app) {
     app.get('/indexer/amule/api', this.checkApiKey.bind(this), this.handler.handleRequest);
+    app.get('/indexer/library/api', this.checkApiKey.bind(this), this.libraryHandler.handleRequest);
+    app.get('/indexer/library/bittorrent/api', this.checkApiKey.bind(this), this.torrentLibraryHandler.handleRequest);
 
     this.log('🔍 Torznab API routes registered with authentication');
   }
@@ -7,7 +7,9 @@ const TransmissionClient = require('../lib/transmission/TransmissionClient');
 const BaseClientManager = require('../lib/BaseClientManager');
 const logger = require('../lib/logger');
 const { parseMagnetUri, parseTorrentBuffer } = require('../lib/torrentUtils');
-const { normalizeTransmissionDownload } = require('../lib/downloadNormalizer');
+const { normalizeTransmissionDownload, TRANSMISSION_SPEED_UNIT } = require('../lib/downloadNormalizer');
+
+const { FILE_PRIORITY } = BaseClientManager;
 
 
 class TransmissionManager extends BaseClientManager {
@@ -459,6 +461,15 @@ class TransmissionManager extends BaseClientManager {
     return await this.pause(hash);
   }
 
+  /**
+   * Force a full hash recheck of the downloaded data
+   * @param {string} hash - Torrent hash
+   */
+  async recheck(hash) {
+    if (!this.client) throw new Error('Transmission not connected');
+    await this.client.verifyTorrents([hash]);
+  }
+
   /**
    * Update client's view of the download directory (uses native moveTorrents)
    * @param {string} hash - Torrent hash
@@ -491,6 +502,130 @@ class TransmissionManager extends BaseClientManager {
     return { success: true, pathsToDelete: [] };
   }
 
+  // ============================================================================
+  // BANDWIDTH LIMITS
+  // ============================================================================
+
+  /**
+   * Get global speed limits. Transmission stores KB/s (unit size reported in
+   * session units) plus a separate enabled flag per direction.
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   */
+  async getSpeedLimits() {
+    if (!this.client) throw new Error('Transmission not connected');
+    const session = await this.client.getSession();
+    const unit = session.units?.['speed-bytes'] || 1000;
+    return {
+      downloadLimit: session['speed-limit-down-enabled'] ? (session['speed-limit-down'] || 0) * unit : 0,
+      uploadLimit: session['speed-limit-up-enabled'] ? (session['speed-limit-up'] || 0) * unit : 0
+    };
+  }
+
+  /**
+   * Set global speed limits
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit }
+   */
+  async setSpeedLimits({ downloadLimit, uploadLimit } = {}) {
+    if (!this.client) throw new Error('Transmission not connected');
+    const session = await this.client.getSession();
+    const unit = session.units?.['speed-bytes'] || 1000;
+    const args = {};
+    if (downloadLimit !== undefined) {
+      args['speed-limit-down-enabled'] = downloadLimit > 0;
+      if (downloadLimit > 0) args['speed-limit-down'] = Math.max(1, Math.round(downloadLimit / unit));
+    }
+    if (uploadLimit !== undefined) {
+      args['speed-limit-up-enabled'] = uploadLimit > 0;
+      if (uploadLimit > 0) args['speed-limit-up'] = Math.max(1, Math.round(uploadLimit / unit));
+    }
+    if (Object.keys(args).length > 0) await this.client.setSession(args);
+    this.log(`🚦 Speed limits set: ↓ ${downloadLimit ?? 'unchanged'} ↑ ${uploadLimit ?? 'unchanged'} (bytes/s)`);
+    return await this.getSpeedLimits();
+  }
+
+  /**
+   * Set per-torrent speed limits (kB/s plus an enabled flag per direction)
+   * @param {string} hash - Torrent hash
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, 0 = unlimited
+   */
+  async setItemSpeedLimits(hash, { downloadLimit, uploadLimit } = {}) {
+    if (!this.client) throw new Error('Transmission not connected');
+    const settings = {};
+    if (downloadLimit !== undefined) {
+      settings.downloadLimited = downloadLimit > 0;
+      if (downloadLimit > 0) settings.downloadLimit = Math.max(1, Math.round(downloadLimit / TRANSMISSION_SPEED_UNIT));
+    }
+    if (uploadLimit !== undefined) {
+      settings.uploadLimited = uploadLimit > 0;
+      if (uploadLimit > 0) settings.uploadLimit = Math.max(1, Math.round(uploadLimit / TRANSMISSION_SPEED_UNIT));
+    }
+    if (Object.keys(settings).length > 0) await this.client.setTorrents([hash], settings);
+  }
+
+  // ============================================================================
+  // QUEUE
+  // ============================================================================
+
+  /**
+   * Move torrents within the queue
+   * @param {string|Array<string>} hashes - Torrent hash(es)
+   * @param {'top'|'up'|'down'|'bottom'} direction - Where to move them
+   */
+  async queueMove(hashes, direction) {
+    if (!this.client) throw new Error('Transmission not connected');
+    await this.client.queueMove([].concat(hashes), direction);
+  }
+
+  /**
+   * Start torrents now, bypassing the queue. Transmission has no flag to
+   * clear, so turning force start off restarts them through the queue.
+   * @param {string|Array<string>} hashes - Torrent hash(es)
+   * @param {boolean} value - Force start on/off
+   */
+  async setForceStart(hashes, value) {
+    if (!this.client) throw new Error('Transmission not connected');
+    if (value) {
+      await this.client.startTorrentsNow([].concat(hashes));
+    } else {
+      await this.client.startTorrents([].concat(hashes));
+    }
+  }
+
+  /**
+   * Get max active limits (each queue has its own enabled flag)
+   * @returns {Promise<Object>} { maxActiveDownloads, maxActiveSeeds }, 0 = unlimited
+   */
+  async getQueueSettings() {
+    if (!this.client) throw new Error('Transmission not connected');
+    const session = await this.client.getSession();
+    return {
+      maxActiveDownloads: session['download-queue-enabled'] ? (session['download-queue-size'] || 0) : 0,
+      maxActiveSeeds: session['seed-queue-enabled'] ? (session['seed-queue-size'] || 0) : 0
+    };
+  }
+
+  /**
+   * Set max active limits
+   * @param {Object} settings - { maxActiveDownloads, maxActiveSeeds }, 0 = unlimited
+   * @returns {Promise<Object>} { maxActiveDownloads, maxActiveSeeds }
+   */
+  async setQueueSettings({ maxActiveDownloads, maxActiveSeeds } = {}) {
+    if (!this.client) throw new Error('Transmission not connected');
+    const args = {};
+    if (maxActiveDownloads !== undefined) {
+      args['download-queue-enabled'] = maxActiveDownloads > 0;
+      if (maxActiveDownloads > 0) args['download-queue-size'] = maxActiveDownloads;
+    }
+    if (maxActiveSeeds !== undefined) {
+      args['seed-queue-enabled'] = maxActiveSeeds > 0;
+      if (maxActiveSeeds > 0) args['seed-queue-size'] = maxActiveSeeds;
+    }
+    if (Object.keys(args).length > 0) await this.client.setSession(args);
+    this.log(`🔢 Queue limits set: ↓ ${maxActiveDownloads ?? 'unchanged'} ↑ ${maxActiveSeeds ?? 'unchanged'} active`);
+    return await this.getQueueSettings();
+  }
+
   // ============================================================================
   // ADD DOWNLOADS
   // ============================================================================
@@ -522,7 +657,7 @@ class TransmissionManager extends BaseClientManager {
   /**
    * Add a torrent from magnet link
    * @param {string} magnetUri - Magnet URI
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, feedName }
    */
   async addMagnet(magnetUri, options = {}) {
     if (!this.client) throw new Error('Transmission not connected');
@@ -546,14 +681,14 @@ class TransmissionManager extends BaseClientManager {
     // Track in history
     const parsed = parseMagnetUri(magnetUri);
     if (parsed.hash) {
-      this.trackDownload(parsed.hash, parsed.name || 'Magnet download', null, options.username, label || null);
+      this.trackDownload(parsed.hash, parsed.name || 'Magnet download', null, options.username, label || null, options.feedName);
     }
   }
 
   /**
    * Add a torrent from raw data (Buffer)
    * @param {Buffer} torrentData - Raw .torrent file contents
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, feedName, skipHistory }
    */
   async addTorrentRaw(torrentData, options = {}) {
     if (!this.client) throw new Error('Transmission not connected');
@@ -576,8 +711,8 @@ class TransmissionManager extends BaseClientManager {
 
     // Track in history
     const parsed = parseTorrentBuffer(torrentData);
-    if (parsed.hash) {
-      this.trackDownload(parsed.hash, parsed.name || 'Torrent download', parsed.size, options.username, label || null);
+    if (parsed.hash && !options.skipHistory) {
+      this.trackDownload(parsed.hash, parsed.name || 'Torrent download', parsed.size, options.username, label || null, options.feedName);
     }
   }
 
@@ -684,6 +819,112 @@ class TransmissionManager extends BaseClientManager {
     });
   }
 
+  /**
+   * Set the priority of files in a torrent.
+   * Transmission has wanted/unwanted plus low/normal/high bandwidth priority;
+   * skip maps to unwanted and max to high.
+   * @param {string} hash - Torrent hash
+   * @param {number[]} fileIndices - File indices
+   * @param {number} priority - Normalized priority (FILE_PRIORITY)
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async setFilePriority(hash, fileIndices, priority) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    const settings = priority === FILE_PRIORITY.SKIP
+      ? { 'files-unwanted': fileIndices }
+      : {
+          'files-wanted': fileIndices,
+          [priority === FILE_PRIORITY.NORMAL ? 'priority-normal' : 'priority-high']: fileIndices
+        };
+    await this.client.setTorrents([hash], settings);
+    return { success: true };
+  }
+
+  // ============================================================================
+  // TRACKERS
+  // ============================================================================
+
+  /**
+   * Get a torrent's trackers ({ id, announce, tier })
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Array>}
+   */
+  async _getTrackerList(hash) {
+    const detail = await this.client.getTorrentDetails([hash], ['trackers']);
+    return detail?.trackers || [];
+  }
+
+  /**
+   * Add announce URLs to a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   * @returns {Promise<Object>} { success }
+   */
+  async addTrackers(hash, urls) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    const existing = new Set((await this._getTrackerList(hash)).map(t => t.announce));
+    const added = urls.filter(url => !existing.has(url));
+    if (added.length > 0) await this.client.setTorrents([hash], { trackerAdd: added });
+    return { success: true };
+  }
+
+  /**
+   * Replace an announce URL
+   * @param {string} hash - Torrent hash
+   * @param {string} oldUrl - Current announce URL
+   * @param {string} newUrl - Replacement announce URL
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async editTracker(hash, oldUrl, newUrl) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    const tracker = (await this._getTrackerList(hash)).find(t => t.announce === oldUrl);
+    if (!tracker) return { success: false, error: 'Tracker not found' };
+    await this.client.setTorrents([hash], { trackerReplace: [tracker.id, newUrl] });
+    return { success: true };
+  }
+
+  /**
+   * Remove announce URLs from a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   * @returns {Promise<Object>} { success }
+   */
+  async removeTrackers(hash, urls) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    const ids = (await this._getTrackerList(hash)).filter(t => urls.includes(t.announce)).map(t => t.id);
+    if (ids.length > 0) await this.client.setTorrents([hash], { trackerRemove: ids });
+    return { success: true };
+  }
+
+  /**
+   * Force a tracker announce
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Object>} { success }
+   */
+  async reannounce(hash) {
+    if (!this.client) throw new Error('Transmission not connected');
+    await this.client.reannounceTorrents([hash]);
+    return { success: true };
+  }
+
+  /**
+   * Export the .torrent metainfo Transmission keeps in its torrents
+   * directory. RPC only reports the copy's path (torrentFile), so the file
+   * is read from the instance's torrentStateDir.
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Buffer>}
+   */
+  async exportTorrent(hash) {
+    if (!this.client) throw new Error('Transmission not connected');
+    const torrent = await this.client.getTorrentDetails([hash], ['torrentFile']);
+    if (!torrent?.torrentFile) throw new Error('Torrent not found');
+    return await this._readStateTorrent(torrent.torrentFile);
+  }
+
   // ============================================================================
   // SYNC
   // ============================================================================
@@ -42,6 +42,9 @@ class UserAPI extends BaseModule {
     // POST /api/users/:id/api-key — regenerate API key
     router.post('/:id/api-key', (req, res) => this.regenerateApiKey(req, res));
 
+    // DELETE /api/users/:id/2fa — reset two-factor authentication
+    router.delete('/:id/2fa', (req, res) => this.resetTwoFactor(req, res));
+
     app.use('/api/users', router);
     this.log('👤 User management API routes registered');
   }
@@ -263,6 +266,29 @@ class UserAPI extends BaseModule {
     }
   }
 
+  resetTwoFactor(req, res) {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (isNaN(id)) return response.badRequest(res, 'Invalid user ID');
+
+      const user = this.userManager.getUser(id);
+      if (!user) return response.notFound(res, 'User not found');
+
+      if (!user.totp_enabled) {
+        return response.badRequest(res, 'Two-factor authentication is not enabled for this user');
+      }
+
+      // Next password login re-enrolls if the two-factor policy requires it
+      this.userManager.disableTotp(id);
+      this.log(`👤 Admin ${req.session.username} reset two-factor authentication for: ${user.username}`);
+
+      response.success(res, { message: `Two-factor authentication reset for ${user.username}` });
+    } catch (err) {
+      this.error('❌ Error resetting two-factor:', err.message);
+      response.serverError(res, 'Failed to reset two-factor authentication');
+    }
+  }
+
   // ==========================================================================
   // PRIVATE
   // ==========================================================================
@@ -281,6 +307,7 @@ class UserAPI extends BaseModule {
     const isAdmin = user.isAdmin ?? user.is_admin;
     const apiKeyRaw = user.apiKey ?? user.api_key;
     const hasPassword = user.hasPassword ?? !!user.password_hash;
+    const totpEnabled = user.totpEnabled ?? !!user.totp_enabled;
 
     // Only show full API key when viewing own profile
     let apiKey = null;
@@ -294,6 +321,7 @@ class UserAPI extends BaseModule {
       isAdmin,
       disabled: user.disabled,
       hasPassword,
+      totpEnabled,
       apiKey,
       capabilities: isAdmin
         ? UserManager.ALL_CAPABILITIES
@@ -16,12 +16,12 @@ const crypto = require('crypto');
 const logger = require('../lib/logger');
 const { hashPassword } = require('../lib/authUtils');
 
-const CURRENT_VERSION = 1;
+const CURRENT_VERSION = 3;
 
 const ALL_CAPABILITIES = [
   'search', 'add_downloads', 'remove_downloads', 'pause_resume',
   'assign_categories', 'move_files', 'rename_files', 'set_comment',
-  'manage_categories',
+  'manage_categories', 'manage_bandwidth',
   'view_history', 'clear_history', 'view_shared', 'view_uploads',
   'view_statistics', 'view_logs', 'view_servers',
   'view_all_downloads', 'edit_all_downloads'
@@ -30,7 +30,7 @@ const ALL_CAPABILITIES = [
 // Capabilities withheld from auto-provisioned SSO users and history-imported
 // users. Everything else in ALL_CAPABILITIES is granted by default to keep
 // self-service actions usable without admin intervention.
-const SSO_EXCLUDED_CAPABILITIES = ['edit_all_downloads', 'manage_categories', 'view_servers', 'view_logs'];
+const SSO_EXCLUDED_CAPABILITIES = ['edit_all_downloads', 'manage_categories', 'manage_bandwidth', 'view_servers', 'view_logs'];
 const SSO_DEFAULT_CAPABILITIES = ALL_CAPABILITIES.filter(
   c => !SSO_EXCLUDED_CAPABILITIES.includes(c)
 );
@@ -39,6 +39,7 @@ const USERNAME_REGEX = /^[a-zA-Z0-9_]{3,32}$/;
 
 class UserManager {
   constructor(dbPath) {
+    this.dbPath = dbPath;
     try {
       const dbDir = path.dirname(dbPath);
       if (!fs.existsSync(dbDir)) {
@@ -134,6 +135,28 @@ class UserManager {
           );
           CREATE INDEX IF NOT EXISTS idx_ownership_user_id ON download_ownership(user_id);
         `);
+      },
+      // Version 2: TOTP two-factor authentication + hashed recovery codes
+      () => {
+        this.db.exec(`
+          ALTER TABLE users ADD COLUMN totp_secret TEXT;
+          ALTER TABLE users ADD COLUMN totp_enabled INTEGER NOT NULL DEFAULT 0;
+          ALTER TABLE users ADD COLUMN totp_last_step INTEGER;
+
+          CREATE TABLE IF NOT EXISTS user_recovery_codes (
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            code_hash TEXT NOT NULL,
+            used_at INTEGER,
+            PRIMARY KEY (user_id, code_hash)
+          );
+        `);
+      },
+      // Version 3: OpenID Connect subject link (stable IdP identity across username changes)
+      () => {
+        this.db.exec(`
+          ALTER TABLE users ADD COLUMN oidc_subject TEXT;
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_subject ON users(oidc_subject);
+        `);
       }
     ];
 
@@ -210,6 +233,23 @@ class UserManager {
     return this._attachCapabilities(user);
   }
 
+  /**
+   * Get user linked to an OpenID Connect subject, with capabilities
+   */
+  getUserByOidcSubject(subject) {
+    if (!subject) return null;
+    const user = this.db.prepare('SELECT * FROM users WHERE oidc_subject = ?').get(subject);
+    if (!user) return null;
+    return this._attachCapabilities(user);
+  }
+
+  /**
+   * Link a user to an OpenID Connect subject
+   */
+  setOidcSubject(userId, subject) {
+    this.db.prepare('UPDATE users SET oidc_subject = ?, updated_at = ? WHERE id = ?').run(subject, Date.now(), userId);
+  }
+
   /**
    * Get user by API key with capabilities
    */
@@ -327,6 +367,99 @@ class UserManager {
     return newKey;
   }
 
+  // ============================================================================
+  // TWO-FACTOR AUTHENTICATION
+  // ============================================================================
+
+  /**
+   * Enable TOTP for a user and replace their recovery codes
+   * @param {number} userId
+   * @param {string} secret - Base32 TOTP secret
+   * @param {number} lastStep - Time step of the code used to confirm enrollment
+   * @param {string[]} recoveryCodeHashes - Hashed recovery codes
+   */
+  enableTotp(userId, secret, lastStep, recoveryCodeHashes) {
+    const enableTransaction = this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE users SET totp_secret = ?, totp_enabled = 1, totp_last_step = ?, updated_at = ? WHERE id = ?
+      `).run(secret, lastStep, Date.now(), userId);
+      this._replaceRecoveryCodes(userId, recoveryCodeHashes);
+    });
+    enableTransaction();
+  }
+
+  /**
+   * Disable TOTP for a user and drop their recovery codes
+   * @param {number} userId
+   */
+  disableTotp(userId) {
+    const disableTransaction = this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL, updated_at = ? WHERE id = ?
+      `).run(Date.now(), userId);
+      this.db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+    });
+    disableTransaction();
+  }
+
+  /**
+   * Record the last accepted TOTP time step (replay protection).
+   * Only moves forward, so concurrent logins cannot reuse a step.
+   * @param {number} userId
+   * @param {number} step
+   * @returns {boolean} True if the step was newer than the stored one
+   */
+  setTotpLastStep(userId, step) {
+    const result = this.db.prepare(`
+      UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+    `).run(step, userId, step);
+    return result.changes > 0;
+  }
+
+  /**
+   * Replace all recovery codes for a user
+   * @param {number} userId
+   * @param {string[]} codeHashes
+   */
+  replaceRecoveryCodes(userId, codeHashes) {
+    this.db.transaction(() => this._replaceRecoveryCodes(userId, codeHashes))();
+  }
+
+  /**
+   * Mark a recovery code as used
+   * @param {number} userId
+   * @param {string} codeHash
+   * @returns {boolean} True if an unused code matched
+   */
+  consumeRecoveryCode(userId, codeHash) {
+    const result = this.db.prepare(`
+      UPDATE user_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `).run(Date.now(), userId, codeHash);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get hashes of unused recovery codes (used to carry codes over on restore)
+   * @param {number} userId
+   * @returns {string[]}
+   */
+  getRecoveryCodeHashes(userId) {
+    return this.db.prepare(
+      'SELECT code_hash FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL'
+    ).all(userId).map(r => r.code_hash);
+  }
+
+  /**
+   * Count unused recovery codes for a user
+   * @param {number} userId
+   * @returns {number}
+   */
+  countRecoveryCodes(userId) {
+    return this.db.prepare(
+      'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL'
+    ).get(userId).count;
+  }
+
   // ============================================================================
   // QUERIES
   // ============================================================================
@@ -353,6 +486,7 @@ class UserManager {
         isAdmin,
         disabled: u.disabled === 1,
         hasPassword: !!u.password_hash,
+        totpEnabled: u.totp_enabled === 1,
         apiKey: u.api_key || null,
         capabilities: caps,
         createdAt: u.created_at,
@@ -436,6 +570,15 @@ class UserManager {
     this.db.prepare('DELETE FROM download_ownership WHERE item_key = ?').run(itemKey);
   }
 
+  /**
+   * Move ownership to a new key (a download transferred to another instance)
+   * @param {string} fromKey - Current compound key
+   * @param {string} toKey - New compound key
+   */
+  transferOwnership(fromKey, toKey) {
+    this.db.prepare('UPDATE OR IGNORE download_ownership SET item_key = ? WHERE item_key = ?').run(toKey, fromKey);
+  }
+
   /**
    * Backfill ownership from download history database.
    * Matches history usernames to user IDs and creates ownership records.
@@ -553,6 +696,18 @@ class UserManager {
   // LIFECYCLE
   // ============================================================================
 
+  /**
+   * Close and reopen the database file, re-running schema migrations.
+   * Used after a backup restore replaced the file on disk.
+   */
+  reopen() {
+    this.db.close();
+    this.db = new Database(this.dbPath, { fileMustExist: false });
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.initSchema();
+  }
+
   /**
    * Close database connection
    */
@@ -565,6 +720,18 @@ class UserManager {
   // PRIVATE
   // ============================================================================
 
+  /**
+   * Replace recovery codes (caller provides the transaction)
+   * @private
+   */
+  _replaceRecoveryCodes(userId, codeHashes) {
+    this.db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+    const insert = this.db.prepare('INSERT OR IGNORE INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)');
+    for (const hash of codeHashes) {
+      insert.run(userId, hash);
+    }
+  }
+
   /**
    * Attach capabilities array to a user row
    * @private
@@ -575,6 +742,7 @@ class UserManager {
       ...user,
       is_admin: user.is_admin === 1,
       disabled: user.disabled === 1,
+      totp_enabled: user.totp_enabled === 1,
       capabilities: caps.map(c => c.capability)
     };
   }
@@ -17,14 +17,32 @@ const { checkPathPermissions, resolveItemPath, resolveCategoryDestPaths } = requ
 
 // Client registry and metadata for multi-instance manager lookups
 const registry = require('../lib/ClientRegistry');
+const { FILE_PRIORITY } = require('../lib/BaseClientManager');
 const clientMeta = require('../lib/clientMeta');
 const { itemKey } = require('../lib/itemKey');
 const { parseTorrentBuffer } = require('../lib/torrentUtils');
+const { linkHash, findDuplicates } = require('../lib/duplicateCheck');
+const { normalizeSeedingPolicy, validateSeedingPolicy } = require('../lib/seedingPolicy');
 const geoIPManager = require('./geoIPManager');
 const authManager = require('./authManager');
 const categoryManager = require('../lib/CategoryManager');
 const prowlarrAPI = require('./prowlarrAPI');
 const eventScriptingManager = require('../lib/EventScriptingManager');
+const recheckMonitor = require('./recheckMonitor');
+const instanceTransferManager = require('./instanceTransferManager');
+const itemSpeedLimitManager = require('./itemSpeedLimitManager');
+
+// Directions accepted by batchQueueMove (same names as the managers' queueMove)
+const QUEUE_DIRECTIONS = ['top', 'up', 'down', 'bottom'];
+
+// Speed limit in bytes/s: undefined/null/'' = leave unchanged, anything else
+// must be a non-negative number (0 = unlimited)
+const parseSpeedLimit = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < 0) throw new Error(`Invalid speed limit: ${value}`);
+  return Math.round(num);
+};
 
 // Capability requirements per WS action (actions not listed require no specific capability)
 const ACTION_CAPABILITIES = {
@@ -37,9 +55,17 @@ const ACTION_CAPABILITIES = {
   batchPause: ['pause_resume'],
   batchResume: ['pause_resume'],
   batchStop: ['pause_resume'],
+  batchRecheck: ['pause_resume'],
+  batchQueueMove: ['edit_downloads'],
+  batchForceStart: ['pause_resume'],
+  batchSetDownloadPriority: ['edit_downloads'],
+  batchSetUploadPriority: ['edit_downloads'],
+  batchSwapA4AF: ['edit_downloads'],
+  batchSetItemSpeedLimits: ['edit_downloads'],
   batchDelete: ['remove_downloads'],
   batchSetFileCategory: ['assign_categories'],
   batchMoveFiles: ['edit_downloads'],
+  batchTransfer: ['edit_downloads'],
   createCategory: ['manage_categories'],
   updateCategory: ['manage_categories'],
   deleteCategory: ['manage_categories'],
@@ -53,8 +79,16 @@ const ACTION_CAPABILITIES = {
   refreshSharedFiles: ['view_shared'],
   renameFile: ['rename_files'],
   setFileRatingComment: ['set_comment'],
+  setFilePriority: ['edit_downloads'],
+  addTrackers: ['edit_downloads'],
+  editTracker: ['edit_downloads'],
+  removeTrackers: ['edit_downloads'],
+  batchReannounce: ['edit_downloads'],
+  replaceTrackerUrl: ['edit_downloads'],
   checkDeletePermissions: ['remove_downloads'],
   checkMovePermissions: ['move_files'],
+  setSpeedLimits: ['manage_bandwidth'],
+  setQueueSettings: ['manage_bandwidth'],
 };
 
 class WebSocketHandlers extends BaseModule {
@@ -327,14 +361,32 @@ class WebSocketHandlers extends BaseModule {
         case 'batchPause': await this.handleBatchPause(data, context); break;
         case 'batchResume': await this.handleBatchResume(data, context); break;
         case 'batchStop': await this.handleBatchStop(data, context); break;
+        case 'batchRecheck': await this.handleBatchRecheck(data, context); break;
+        case 'batchQueueMove': await this.handleBatchQueueMove(data, context); break;
+        case 'batchForceStart': await this.handleBatchForceStart(data, context); break;
+        case 'batchSetDownloadPriority': await this.handleBatchSetDownloadPriority(data, context); break;
+        case 'batchSetUploadPriority': await this.handleBatchSetUploadPriority(data, context); break;
+        case 'batchSwapA4AF': await this.handleBatchSwapA4AF(data, context); break;
+        case 'batchSetItemSpeedLimits': await this.handleBatchSetItemSpeedLimits(data, context); break;
+        case 'batchTransfer': await this.handleBatchTransfer(data, context); break;
         case 'batchDelete': await this.handleBatchDelete(data, context); break;
         case 'batchSetFileCategory': await this.handleBatchSetFileCategory(data, context); break;
         case 'batchMoveFiles': await this.handleBatchMoveFiles(data, context); break;
         case 'renameFile': await this.handleRenameFile(data, context); break;
         case 'setFileRatingComment': await this.handleSetFileRatingComment(data, context); break;
+        case 'setFilePriority': await this.handleSetFilePriority(data, context); break;
+        case 'addTrackers': await this.handleAddTrackers(data, context); break;
+        case 'editTracker': await this.handleEditTracker(data, context); break;
+        case 'removeTrackers': await this.handleRemoveTrackers(data, context); break;
+        case 'batchReannounce': await this.handleBatchReannounce(data, context); break;
+        case 'replaceTrackerUrl': await this.handleReplaceTrackerUrl(data, context); break;
         case 'checkDeletePermissions': await this.handleCheckDeletePermissions(data, context); break;
         case 'checkMovePermissions': await this.handleCheckMovePermissions(data, context); break;
         case 'checkMoveToPermissions': await this.handleCheckMoveToPermissions(data, context); break;
+        case 'getSpeedLimits': await this.handleGetSpeedLimits(data, context); break;
+        case 'setSpeedLimits': await this.handleSetSpeedLimits(data, context); break;
+        case 'getQueueSettings': await this.handleGetQueueSettings(data, context); break;
+        case 'setQueueSettings': await this.handleSetQueueSettings(data, context); break;
         case 'requestFullSnapshot': this.handleRequestFullSnapshot(context); break;
         case 'subscribe': this.handleSubscribe(data, context); break;
         case 'unsubscribe': this.handleUnsubscribe(data, context); break;
@@ -362,6 +414,7 @@ class WebSocketHandlers extends BaseModule {
     const searchFilter = { filter: u => u?.isAdmin || u?.capabilities?.includes('search') };
     context.broadcast({ type: 'search-lock', locked: true }, searchFilter);
 
+    const startedAt = Date.now();
     try {
       const result = await manager.search(data.query, data.type, data.extension);
       // Track timestamp and instance for comparison with Prowlarr results
@@ -369,6 +422,17 @@ class WebSocketHandlers extends BaseModule {
       this.lastAmuleSearchInstanceId = manager.instanceId;
       context.broadcast({ type: 'search-results', data: result.results || [], instanceId: manager.instanceId }, searchFilter);
       context.log(`Search completed on ${manager.displayName}: ${result.resultsLength || 0} results found`);
+
+      eventScriptingManager.emit('searchCompleted', {
+        instanceId: manager.instanceId,
+        clientType: manager.clientType,
+        source: 'amule',
+        query: data.query,
+        searchType: data.type || null,
+        resultCount: (result.results || []).length,
+        duration: this.lastAmuleSearchTimestamp - startedAt,
+        triggeredBy: context.clientInfo.username !== 'unknown' ? context.clientInfo.username : ''
+      });
     } catch (err) {
       context.error('Search error:', err);
       context.send({ type: 'error', message: 'Search failed: ' + err.message });
@@ -647,6 +711,74 @@ class WebSocketHandlers extends BaseModule {
     }
   }
 
+  // ============================================================================
+  // DUPLICATE DETECTION
+  // Add requests carry onDuplicate: 'ask' (default) holds the whole request
+  // back and answers with a 'duplicate' message, 'skip' adds only new items,
+  // 'add' bypasses the check.
+  // ============================================================================
+
+  /**
+   * Look up existing copies of hashes about to be added, across the live
+   * items of every instance and the download history. Best-effort: a failed
+   * lookup never blocks an add.
+   * @param {Array<string|null>} hashes - Hashes (null entries are ignored)
+   * @returns {Promise<Array>} Duplicates as returned by findDuplicates()
+   */
+  async _findDuplicates(hashes) {
+    if (!hashes.some(Boolean)) return [];
+    try {
+      const { items = [] } = await dataFetchService.getOrFetchBatchData();
+      return findDuplicates(hashes, { items, history: this.downloadHistoryDB });
+    } catch (err) {
+      this.warn(`⚠️  Duplicate check failed: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Apply the request's onDuplicate mode to a list of links
+   * @param {Array<string>} links - ED2K or magnet links
+   * @param {string} action - Add action name (echoed in the 'duplicate' message)
+   * @param {Object} data - Request data (requestId, onDuplicate)
+   * @param {Object} context - Handler context
+   * @returns {Promise<Array<string>|null>} Links to add, or null when the
+   *   request was held back and a 'duplicate' message was sent instead
+   */
+  async _filterDuplicateLinks(links, action, data, context) {
+    if (data.onDuplicate === 'add') return links;
+    const hashes = links.map(linkHash);
+    const duplicates = await this._findDuplicates(hashes);
+    if (duplicates.length === 0) return links;
+
+    const duplicateHashes = new Set(duplicates.map(d => d.hash));
+    if (data.onDuplicate === 'skip') {
+      context.log(`Skipping ${duplicates.length} duplicate link${duplicates.length > 1 ? 's' : ''}`);
+      return links.filter((_, i) => !duplicateHashes.has(hashes[i]));
+    }
+
+    const withLinks = duplicates.map(d => ({ ...d, link: links[hashes.indexOf(d.hash)] }));
+    this._sendDuplicates(withLinks, action, data, context);
+    return null;
+  }
+
+  /**
+   * Answer an add request with the duplicates that held it back
+   * @param {Array} duplicates - Duplicates (with link or fileName of the request entry)
+   * @param {string} action - Add action name
+   * @param {Object} data - Request data
+   * @param {Object} context - Handler context
+   */
+  _sendDuplicates(duplicates, action, data, context) {
+    context.log(`Holding back ${action}: already present — ${duplicates.map(d => d.name || d.hash).join(', ')}`);
+    context.send({
+      type: 'duplicate',
+      action,
+      requestId: data.requestId || null,
+      duplicates
+    });
+  }
+
   async handleAddEd2kLinks(data, context) {
     try {
       const links = data.links;
@@ -661,6 +793,9 @@ class WebSocketHandlers extends BaseModule {
         return;
       }
 
+      const toAdd = await this._filterDuplicateLinks(cleaned, 'addEd2kLinks', data, context);
+      if (!toAdd) return;
+
       const manager = this._getManager(data.instanceId, 'amule');
       if (!manager) { throw new Error('No aMule instance available for ED2K links'); }
 
@@ -673,10 +808,10 @@ class WebSocketHandlers extends BaseModule {
       }
 
       const results = [];
-      for (const link of cleaned) {
+      for (const link of toAdd) {
         context.log(`Adding ED2K link: ${link} (category: ${categoryId})`);
         // Process links sequentially using the existing queue to maintain order and avoid saturating aMule
-        const success = await manager.addEd2kLink(link, categoryId, username);
+        const success = await manager.addEd2kLink(link, categoryId, username, context.clientInfo.feedName);
         results.push({ link, success });
         // Record ownership — extract hash from ed2k link format: ed2k://|file|name|size|hash|/
         if (success && context.clientInfo.userId && this.userManager) {
@@ -713,6 +848,9 @@ class WebSocketHandlers extends BaseModule {
         return;
       }
 
+      const toAdd = await this._filterDuplicateLinks(links, 'addMagnetLinks', data, context);
+      if (!toAdd) return;
+
       // Look up category path and priority from CategoryManager
       // Auto-create category if it doesn't exist (for "create new category" option in modal)
       let category = label ? context.categoryManager.getByName(label) : null;
@@ -729,10 +867,13 @@ class WebSocketHandlers extends BaseModule {
 
       const username = context.clientInfo.username !== 'unknown' ? context.clientInfo.username : null;
       const results = [];
-      const addOptions = { categoryName: label || '', savePath: directory, priority: category?.priority, start: true, username };
+      const addOptions = {
+        categoryName: label || '', savePath: directory, priority: category?.priority, start: true, username,
+        feedName: context.clientInfo.feedName
+      };
       const clientName = manager.displayName || clientId;
 
-      for (const magnetUri of links) {
+      for (const magnetUri of toAdd) {
         try {
           context.log(`Adding magnet link to ${clientName}: ${magnetUri.substring(0, 60)}... (category: ${label || 'none'}${directory ? `, path: ${directory}` : ''})`);
           await manager.addMagnet(magnetUri, addOptions);
@@ -776,6 +917,24 @@ class WebSocketHandlers extends BaseModule {
         return;
       }
 
+      // fileData is base64 encoded - convert to Buffer
+      const buffer = Buffer.from(fileData, 'base64');
+
+      if (data.onDuplicate !== 'add') {
+        let hash = null;
+        try { hash = parseTorrentBuffer(buffer).hash; } catch (e) { /* let the client reject it */ }
+        const duplicates = await this._findDuplicates([hash]);
+        if (duplicates.length > 0) {
+          if (data.onDuplicate === 'skip') {
+            context.log(`Skipping duplicate torrent file: ${fileName}`);
+            context.send({ type: 'torrent-added', success: false, skipped: true, fileName, clientId });
+          } else {
+            this._sendDuplicates(duplicates.map(d => ({ ...d, fileName })), 'addTorrentFile', data, context);
+          }
+          return;
+        }
+      }
+
       // Look up category path and priority from CategoryManager
       // Auto-create category if it doesn't exist (for "create new category" option in modal)
       let category = label ? context.categoryManager.getByName(label) : null;
@@ -790,8 +949,6 @@ class WebSocketHandlers extends BaseModule {
       }
       const directory = customSavePath || category?.path || null;
 
-      // fileData is base64 encoded - convert to Buffer
-      const buffer = Buffer.from(fileData, 'base64');
       const username = context.clientInfo.username !== 'unknown' ? context.clientInfo.username : null;
       const clientName = manager.displayName || clientId;
 
@@ -799,7 +956,7 @@ class WebSocketHandlers extends BaseModule {
 
       await manager.addTorrentRaw(buffer, {
         categoryName: label || '', savePath: directory, priority: category?.priority,
-        start: true, filename: fileName, username
+        start: true, filename: fileName, username, feedName: context.clientInfo.feedName
       });
 
       // Record ownership — extract hash from torrent buffer
@@ -839,7 +996,7 @@ class WebSocketHandlers extends BaseModule {
 
   async handleCreateCategory(data, context) {
     try {
-      const { title, path, pathMappings, comment, color, priority } = data;
+      const { title, path, pathMappings, comment, color, priority, seedingPolicy } = data;
 
       if (!title || title.trim() === '') {
         throw new Error('Category title is required');
@@ -852,6 +1009,8 @@ class WebSocketHandlers extends BaseModule {
         throw new Error('Category name contains invalid characters');
       }
 
+      const normalizedPolicy = this._validateCategorySeedingPolicy(seedingPolicy, trimmedTitle, context);
+
       // Convert color from aMule BGR integer to hex if needed
       const { amuleColorToHex } = require('../lib/CategoryManager');
       const hexColor = typeof color === 'number' ? amuleColorToHex(color) : (color || '#CCCCCC');
@@ -877,7 +1036,8 @@ class WebSocketHandlers extends BaseModule {
         path: path?.trim() || null,
         pathMappings: normalizedMappings,
         comment: comment?.trim() || '',
-        priority: priority || 0
+        priority: priority || 0,
+        seedingPolicy: normalizedPolicy
       });
 
       // Re-validate all paths after category change
@@ -904,7 +1064,7 @@ class WebSocketHandlers extends BaseModule {
 
   async handleUpdateCategory(data, context) {
     try {
-      const { title, name, path, pathMappings, comment, color, priority } = data;
+      const { title, name, path, pathMappings, comment, color, priority, seedingPolicy } = data;
 
       const categoryName = name || title;
 
@@ -960,6 +1120,10 @@ class WebSocketHandlers extends BaseModule {
       if (newTitle && (/[\/\\\x00]/.test(newTitle) || newTitle.includes('..'))) {
         throw new Error('Category name contains invalid characters');
       }
+
+      const normalizedPolicy = seedingPolicy !== undefined
+        ? this._validateCategorySeedingPolicy(seedingPolicy, newTitle || category.name, context)
+        : undefined;
       if (newTitle && newTitle !== category.name) {
         const renameResult = await context.categoryManager.rename(category.name, newTitle);
         if (renameResult.clientVerification) {
@@ -979,7 +1143,8 @@ class WebSocketHandlers extends BaseModule {
         path: path !== undefined ? (path?.trim() || null) : undefined,
         pathMappings: normalizedMappings,
         comment: comment !== undefined ? (comment?.trim() || '') : undefined,
-        priority: priority !== undefined ? priority : undefined
+        priority: priority !== undefined ? priority : undefined,
+        seedingPolicy: normalizedPolicy
       });
 
       // Check for client verification failure
@@ -1013,6 +1178,24 @@ class WebSocketHandlers extends BaseModule {
     }
   }
 
+  /**
+   * Normalize and validate a submitted category seeding policy
+   * @param {Object|null} seedingPolicy - Policy from the client
+   * @param {string} categoryName - Category the policy is saved on
+   * @param {Object} context - WebSocket context
+   * @returns {Object|null} Normalized policy
+   * @throws {Error} If the policy is invalid
+   */
+  _validateCategorySeedingPolicy(seedingPolicy, categoryName, context) {
+    const policy = normalizeSeedingPolicy(seedingPolicy);
+    const error = validateSeedingPolicy(policy, categoryName);
+    if (error) throw new Error(error);
+    if (policy?.enabled && policy.action === 'moveCategory' && !context.categoryManager.getByName(policy.targetCategory)) {
+      throw new Error(`Seeding policy target category "${policy.targetCategory}" not found`);
+    }
+    return policy;
+  }
+
   async handleDeleteCategory(data, context) {
     try {
       const { name } = data;
@@ -1371,6 +1554,255 @@ class WebSocketHandlers extends BaseModule {
     }
   }
 
+  /**
+   * Set skip/priority for files inside a multi-file torrent
+   * data: { fileHash, instanceId, fileIndices: number[], priority: 0=skip|1=normal|2=high|3=max }
+   */
+  async handleSetFilePriority(data, context) {
+    const { fileHash, instanceId, fileIndices, priority } = data;
+    try {
+      if (!fileHash) {
+        throw new Error('fileHash is required');
+      }
+      if (!Array.isArray(fileIndices) || fileIndices.length === 0 ||
+          !fileIndices.every(i => Number.isInteger(i) && i >= 0)) {
+        throw new Error('fileIndices must be a non-empty array of file indices');
+      }
+      if (!Object.values(FILE_PRIORITY).includes(priority)) {
+        throw new Error('priority must be 0 (skip), 1 (normal), 2 (high) or 3 (max)');
+      }
+
+      const key = itemKey(instanceId, fileHash);
+      if (!this._canMutateItem(context, key)) {
+        context.send({ type: 'file-priority-complete', fileHash, instanceId, success: false, error: 'Permission denied' });
+        return;
+      }
+
+      const manager = registry.get(instanceId);
+      if (!manager || !manager.isConnected()) {
+        throw new Error('Client not connected');
+      }
+      if (!clientMeta.hasCapability(manager.clientType, 'filePriority')) {
+        throw new Error('File priority not supported by this client');
+      }
+
+      const result = await manager.setFilePriority(fileHash, [...new Set(fileIndices)], priority);
+      if (result.success === false) {
+        context.send({ type: 'file-priority-complete', fileHash, instanceId, success: false, error: result.error || 'Update failed' });
+      } else {
+        context.log(`Set priority ${priority} on ${fileIndices.length} file(s) of ${fileHash}`);
+        await this.broadcastItemsUpdate(context);
+        context.send({ type: 'file-priority-complete', fileHash, instanceId, fileIndices, priority, success: true });
+      }
+    } catch (err) {
+      context.error('File priority error:', err.message);
+      context.send({ type: 'file-priority-complete', fileHash, instanceId, success: false, error: err.message });
+    }
+  }
+
+  // ============================================================================
+  // TRACKERS
+  // ============================================================================
+
+  /**
+   * Validate a list of announce URLs (http/https/udp/wss)
+   * @param {*} urls - Value from the request
+   * @returns {string[]} Trimmed, de-duplicated URLs
+   * @throws {Error} If the list is empty or contains an invalid URL
+   */
+  _parseTrackerUrls(urls) {
+    const list = (Array.isArray(urls) ? urls : [urls])
+      .map(url => typeof url === 'string' ? url.trim() : '')
+      .filter(Boolean);
+    if (list.length === 0) {
+      throw new Error('At least one tracker URL is required');
+    }
+    for (const url of list) {
+      if (!/^(https?|udp|wss):\/\/[^\s]+$/i.test(url)) {
+        throw new Error(`Invalid tracker URL: ${url}`);
+      }
+    }
+    return [...new Set(list)];
+  }
+
+  /**
+   * Shared flow for single-torrent tracker edits: ownership and capability
+   * checks, the edit itself, then an immediate tracker cache refresh.
+   * Replies with 'trackers-update-complete'.
+   * @param {Object} data - { fileHash, instanceId }
+   * @param {Object} context - WS context
+   * @param {string} description - Log description of the edit
+   * @param {function} edit - (manager) => Promise<{ success, error? }>
+   */
+  async _runTrackerEdit(data, context, description, edit) {
+    const { fileHash, instanceId } = data;
+    try {
+      if (!fileHash) {
+        throw new Error('fileHash is required');
+      }
+
+      const key = itemKey(instanceId, fileHash);
+      if (!this._canMutateItem(context, key)) {
+        context.send({ type: 'trackers-update-complete', fileHash, instanceId, success: false, error: 'Permission denied' });
+        return;
+      }
+
+      const manager = registry.get(instanceId);
+      if (!manager || !manager.isConnected()) {
+        throw new Error('Client not connected');
+      }
+      if (!clientMeta.hasCapability(manager.clientType, 'trackerEdit')) {
+        throw new Error('Tracker editing not supported by this client');
+      }
+
+      const result = await edit(manager);
+      await manager.refreshItemTrackers(fileHash);
+      if (result.success === false) {
+        context.send({ type: 'trackers-update-complete', fileHash, instanceId, success: false, error: result.error || 'Tracker update failed' });
+      } else {
+        context.log(`${description} on ${fileHash}`);
+        context.send({ type: 'trackers-update-complete', fileHash, instanceId, success: true });
+      }
+    } catch (err) {
+      context.error('Tracker update error:', err.message);
+      context.send({ type: 'trackers-update-complete', fileHash, instanceId, success: false, error: err.message });
+    }
+  }
+
+  async handleAddTrackers(data, context) {
+    let urls;
+    try {
+      urls = this._parseTrackerUrls(data.urls);
+    } catch (err) {
+      context.send({ type: 'trackers-update-complete', fileHash: data.fileHash, instanceId: data.instanceId, success: false, error: err.message });
+      return;
+    }
+    await this._runTrackerEdit(data, context, `Added ${urls.length} tracker(s)`,
+      (manager) => manager.addTrackers(data.fileHash, urls));
+  }
+
+  async handleEditTracker(data, context) {
+    let newUrl;
+    try {
+      if (typeof data.oldUrl !== 'string' || !data.oldUrl) throw new Error('oldUrl is required');
+      [newUrl] = this._parseTrackerUrls(data.newUrl);
+    } catch (err) {
+      context.send({ type: 'trackers-update-complete', fileHash: data.fileHash, instanceId: data.instanceId, success: false, error: err.message });
+      return;
+    }
+    await this._runTrackerEdit(data, context, `Replaced tracker ${data.oldUrl} → ${newUrl}`,
+      (manager) => manager.editTracker(data.fileHash, data.oldUrl, newUrl));
+  }
+
+  async handleRemoveTrackers(data, context) {
+    const urls = (Array.isArray(data.urls) ? data.urls : []).filter(url => typeof url === 'string' && url);
+    if (urls.length === 0) {
+      context.send({ type: 'trackers-update-complete', fileHash: data.fileHash, instanceId: data.instanceId, success: false, error: 'At least one tracker URL is required' });
+      return;
+    }
+    await this._runTrackerEdit(data, context, `Removed ${urls.length} tracker(s)`,
+      (manager) => manager.removeTrackers(data.fileHash, urls));
+  }
+
+  async handleBatchReannounce(data, context) {
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'reannounce', responseType: 'batch-reannounce-complete',
+      method: (mgr, hash) => {
+        if (!clientMeta.hasCapability(mgr.clientType, 'trackerEdit')) {
+          throw new Error(`Reannounce not supported by ${mgr.clientType}`);
+        }
+        return mgr.reannounce(hash);
+      }
+    });
+  }
+
+  /**
+   * Bulk-replace part of a tracker URL across every torrent that uses it —
+   * e.g. when a private tracker moves to a new announce domain.
+   * data: { find, replace, instanceId? } — plain substring replacement,
+   * limited to one instance when instanceId is given.
+   */
+  async handleReplaceTrackerUrl(data, context) {
+    try {
+      const find = typeof data.find === 'string' ? data.find.trim() : '';
+      const replace = typeof data.replace === 'string' ? data.replace.trim() : '';
+      if (!find || !replace) {
+        throw new Error('find and replace are required');
+      }
+      if (find === replace) {
+        throw new Error('find and replace are identical');
+      }
+
+      const managers = registry.getAll().filter(mgr =>
+        mgr.isConnected() &&
+        clientMeta.hasCapability(mgr.clientType, 'trackerEdit') &&
+        (!data.instanceId || mgr.instanceId === data.instanceId)
+      );
+
+      const results = [];
+      const unchecked = [];
+      for (const manager of managers) {
+        let trackerUrls;
+        try {
+          const fetched = await manager.fetchAllTrackerUrls();
+          trackerUrls = fetched.urls;
+          unchecked.push(...fetched.unchecked.map(hash => ({ fileHash: hash, instanceId: manager.instanceId, instanceName: manager.displayName })));
+        } catch (err) {
+          context.error(`Could not fetch trackers from ${manager.displayName || manager.instanceId}: ${err.message}`);
+          unchecked.push({ instanceId: manager.instanceId, instanceName: manager.displayName, error: err.message });
+          continue;
+        }
+
+        for (const [hash, urls] of trackerUrls) {
+          const matches = urls.filter(url => url.includes(find));
+          if (matches.length === 0) continue;
+
+          if (!this._canMutateItem(context, itemKey(manager.instanceId, hash))) {
+            results.push({ fileHash: hash, instanceId: manager.instanceId, success: false, error: 'Permission denied', denied: true });
+            continue;
+          }
+
+          let error = null;
+          for (const url of matches) {
+            const newUrl = url.split(find).join(replace);
+            try {
+              this._parseTrackerUrls(newUrl);
+              const result = await manager.editTracker(hash, url, newUrl);
+              if (result.success === false) error = result.error || 'Tracker update failed';
+            } catch (err) {
+              error = err.message;
+            }
+          }
+          await manager.refreshItemTrackers(hash);
+          if (error) context.error(`Tracker replace failed for ${hash}: ${error}`);
+          results.push({ fileHash: hash, instanceId: manager.instanceId, instanceName: manager.displayName, replaced: matches.length, success: !error, ...(error && { error }) });
+        }
+      }
+
+      const successCount = results.filter(r => r.success).length;
+      const uncheckedNote = unchecked.length > 0 ? ` (${this._describeUnchecked(unchecked)} not checked)` : '';
+      context.log(`Replaced tracker URL "${find}" → "${replace}" on ${successCount}/${results.length} torrent(s)${uncheckedNote}`);
+      context.send({ type: 'tracker-replace-complete', results, unchecked, message: `${successCount}/${results.length} torrents updated${uncheckedNote}` });
+    } catch (err) {
+      context.error('Tracker replace error:', err.message);
+      context.send({ type: 'tracker-replace-complete', results: [], error: err.message });
+    }
+  }
+
+  /**
+   * Summarize torrents (or whole instances) a bulk tracker edit couldn't check
+   * @param {Array} unchecked - { fileHash?, instanceId, instanceName?, error? }
+   * @returns {string}
+   */
+  _describeUnchecked(unchecked) {
+    const instances = unchecked.filter(u => !u.fileHash);
+    const torrents = unchecked.length - instances.length;
+    return [
+      torrents > 0 && `${torrents} torrent${torrents > 1 ? 's' : ''}`,
+      ...instances.map(u => `all of ${u.instanceName || u.instanceId}`)
+    ].filter(Boolean).join(', ');
+  }
+
   async handleBatchPause(data, context) {
     await this._executeBatchOperation({
       items: data.items, context, name: 'pause', responseType: 'batch-pause-complete',
@@ -1392,6 +1824,169 @@ class WebSocketHandlers extends BaseModule {
     });
   }
 
+  async handleBatchRecheck(data, context) {
+    const triggeredBy = context.clientInfo.username !== 'unknown' ? context.clientInfo.username : '';
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'recheck', responseType: 'batch-recheck-complete',
+      method: async (mgr, hash) => {
+        if (!clientMeta.hasCapability(mgr.clientType, 'recheck')) {
+          throw new Error(`Recheck not supported by ${mgr.clientType}`);
+        }
+        await mgr.recheck(hash);
+        recheckMonitor.markRequested(mgr.instanceId, hash, triggeredBy);
+      }
+    });
+  }
+
+  /**
+   * Move torrents within their client's queue.
+   * data: { items, direction: 'top'|'up'|'down'|'bottom' } — items are moved
+   * one at a time, ordered so the selection keeps its relative order
+   * (e.g. for 'top' the last-queued item goes first).
+   */
+  async handleBatchQueueMove(data, context) {
+    const direction = data.direction;
+    if (!QUEUE_DIRECTIONS.includes(direction)) {
+      context.send({ type: 'error', message: `Invalid queue direction: ${direction}` });
+      return;
+    }
+
+    const cachedItems = dataFetchService.getCachedBatchData()?.items || [];
+    const positions = new Map(cachedItems.map(i => [itemKey(i.instanceId, i.hash), i.queuePosition]));
+    const position = (item) => positions.get(itemKey(item.instanceId, item.fileHash)) ?? Infinity;
+    const sign = direction === 'top' || direction === 'down' ? -1 : 1;
+    const items = Array.isArray(data.items)
+      ? [...data.items].sort((a, b) => sign * (position(a) - position(b)) || 0)
+      : data.items;
+
+    await this._executeBatchOperation({
+      items, context, name: 'queue move', responseType: 'batch-queue-move-complete',
+      method: async (mgr, hash) => {
+        if (!clientMeta.hasCapability(mgr.clientType, 'queue')) {
+          throw new Error(`Queueing not supported by ${mgr.clientType}`);
+        }
+        await mgr.queueMove(hash, direction);
+      }
+    });
+  }
+
+  /**
+   * Set or clear force start (start regardless of the max active limits).
+   * data: { items, value: boolean } — value defaults to true
+   */
+  async handleBatchForceStart(data, context) {
+    const value = data.value !== false;
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'force start', responseType: 'batch-force-start-complete',
+      method: async (mgr, hash) => {
+        if (!clientMeta.hasCapability(mgr.clientType, 'forceStart')) {
+          throw new Error(`Force start not supported by ${mgr.clientType}`);
+        }
+        await mgr.setForceStart(hash, value);
+      }
+    });
+  }
+
+  /**
+   * Set the aMule download priority of part files.
+   * data: { items, priority: 'low'|'normal'|'high'|'auto' }
+   */
+  async handleBatchSetDownloadPriority(data, context) {
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'download priority', responseType: 'batch-download-priority-complete',
+      method: (mgr, hash) => {
+        if (!clientMeta.hasCapability(mgr.clientType, 'ed2kPriority')) {
+          throw new Error(`Download priority not supported by ${mgr.clientType}`);
+        }
+        return mgr.setDownloadPriority(hash, data.priority);
+      }
+    });
+  }
+
+  /**
+   * Set the aMule upload priority of shared files.
+   * data: { items, priority: 'veryLow'|'low'|'normal'|'high'|'release'|'auto' }
+   */
+  async handleBatchSetUploadPriority(data, context) {
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'upload priority', responseType: 'batch-upload-priority-complete',
+      method: (mgr, hash) => {
+        if (!clientMeta.hasCapability(mgr.clientType, 'ed2kPriority')) {
+          throw new Error(`Upload priority not supported by ${mgr.clientType}`);
+        }
+        return mgr.setUploadPriority(hash, data.priority);
+      }
+    });
+  }
+
+  /**
+   * Swap Asked-For-Another-File sources of aMule downloads.
+   * data: { items, mode: 'this'|'others'|'auto' } — 'this' pulls A4AF
+   * sources to the selected files, 'others' releases theirs, 'auto' toggles
+   * automatic swapping to the selected files.
+   */
+  async handleBatchSwapA4AF(data, context) {
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'A4AF swap', responseType: 'batch-a4af-complete',
+      method: (mgr, hash) => {
+        if (!clientMeta.hasCapability(mgr.clientType, 'a4af')) {
+          throw new Error(`A4AF swapping not supported by ${mgr.clientType}`);
+        }
+        return mgr.swapA4AF(hash, data.mode);
+      }
+    });
+  }
+
+  /**
+   * Set per-item speed limits; they are remembered and reapplied if the
+   * client loses them (see itemSpeedLimitManager).
+   * data: { items, downloadLimit, uploadLimit } — bytes/s, 0 = unlimited,
+   * omitted = unchanged
+   */
+  async handleBatchSetItemSpeedLimits(data, context) {
+    let downloadLimit, uploadLimit;
+    try {
+      downloadLimit = parseSpeedLimit(data.downloadLimit);
+      uploadLimit = parseSpeedLimit(data.uploadLimit);
+    } catch (err) {
+      context.send({ type: 'error', message: err.message });
+      return;
+    }
+    if (downloadLimit === undefined && uploadLimit === undefined) {
+      context.send({ type: 'error', message: 'downloadLimit or uploadLimit is required' });
+      return;
+    }
+
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'speed limit', responseType: 'batch-item-speed-limits-complete',
+      method: async (mgr, hash) => {
+        if (!clientMeta.hasCapability(mgr.clientType, 'itemSpeedLimits')) {
+          throw new Error(`Per-item speed limits not supported by ${mgr.clientType}`);
+        }
+        await itemSpeedLimitManager.apply(mgr, hash, { downloadLimit, uploadLimit });
+      }
+    });
+  }
+
+  /**
+   * Move torrents to another BitTorrent instance without redownloading.
+   * data: { items, targetInstanceId } — each result only confirms the
+   * torrent was added to the target; verification and removal from the
+   * source follow asynchronously (announced with a success/error broadcast).
+   */
+  async handleBatchTransfer(data, context) {
+    const triggeredBy = context.clientInfo.username !== 'unknown' ? context.clientInfo.username : '';
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'transfer', responseType: 'batch-transfer-complete',
+      method: async (mgr, hash) => {
+        if (!data.targetInstanceId) {
+          throw new Error('No target instance provided');
+        }
+        await instanceTransferManager.start(mgr.instanceId, hash, data.targetInstanceId, triggeredBy);
+      }
+    });
+  }
+
   /**
    * Delete a file or directory from disk
    * @param {string} filePath - Path to delete (already translated for Docker)
@@ -2157,6 +2752,165 @@ class WebSocketHandlers extends BaseModule {
     }
   }
 
+  // ============================================================================
+  // BANDWIDTH LIMITS
+  // All limits are bytes/s, 0 = unlimited. No instanceId = every connected client.
+  // ============================================================================
+
+  /**
+   * Resolve the managers a bandwidth request applies to
+   * @param {string|undefined} instanceId - Single instance, or all connected when omitted
+   * @returns {Object[]} Manager instances
+   */
+  _getBandwidthTargets(instanceId) {
+    if (instanceId) {
+      const manager = registry.get(instanceId);
+      return manager ? [manager] : [];
+    }
+    return registry.getConnected();
+  }
+
+  async handleGetSpeedLimits(data, context) {
+    try {
+      const managers = this._getBandwidthTargets(data?.instanceId);
+      const limits = await Promise.all(managers.map(async (manager) => {
+        const entry = { instanceId: manager.instanceId, clientType: manager.clientType, instanceName: manager.displayName };
+        try {
+          return { ...entry, ...(await manager.getSpeedLimits()) };
+        } catch (err) {
+          return { ...entry, error: err.message };
+        }
+      }));
+      context.send({ type: 'speed-limits', data: limits });
+    } catch (err) {
+      context.error('Get speed limits error:', err);
+      context.send({ type: 'error', message: 'Failed to fetch speed limits: ' + err.message });
+    }
+  }
+
+  async handleSetSpeedLimits(data, context) {
+    try {
+      const downloadLimit = parseSpeedLimit(data.downloadLimit);
+      const uploadLimit = parseSpeedLimit(data.uploadLimit);
+      if (downloadLimit === undefined && uploadLimit === undefined) {
+        context.send({ type: 'error', message: 'downloadLimit or uploadLimit is required' });
+        return;
+      }
+
+      const managers = this._getBandwidthTargets(data.instanceId);
+      if (managers.length === 0) {
+        context.send({ type: 'error', message: data.instanceId ? 'Client instance not found' : 'No connected clients' });
+        return;
+      }
+
+      const results = await Promise.all(managers.map(async (manager) => {
+        const entry = { instanceId: manager.instanceId, clientType: manager.clientType, instanceName: manager.displayName };
+        try {
+          const limits = await manager.setSpeedLimits({ downloadLimit, uploadLimit });
+          return { ...entry, success: true, ...limits };
+        } catch (err) {
+          context.error(`Set speed limits failed for ${manager.displayName}: ${err.message}`);
+          return { ...entry, success: false, error: err.message };
+        }
+      }));
+
+      const applied = results.filter(r => r.success);
+      if (applied.length > 0) {
+        context.broadcast({
+          type: 'speed-limits',
+          data: applied.map(({ success, ...limits }) => limits)
+        });
+      }
+      context.send({ type: 'speed-limits-updated', results });
+      context.log(`Speed limits updated on ${applied.length}/${results.length} instance(s): ↓ ${downloadLimit ?? 'unchanged'} ↑ ${uploadLimit ?? 'unchanged'}`);
+    } catch (err) {
+      context.error('Set speed limits error:', err);
+      context.send({ type: 'error', message: 'Failed to set speed limits: ' + err.message });
+    }
+  }
+
+  // ============================================================================
+  // QUEUE LIMITS
+  // Max active downloads/seeds, 0 = unlimited. No instanceId = every connected
+  // client with the queue capability.
+  // ============================================================================
+
+  /**
+   * Resolve the managers a queue settings request applies to
+   * @param {string|undefined} instanceId - Single instance, or all connected when omitted
+   * @returns {Object[]} Manager instances
+   */
+  _getQueueTargets(instanceId) {
+    return this._getBandwidthTargets(instanceId)
+      .filter(manager => clientMeta.hasCapability(manager.clientType, 'queue'));
+  }
+
+  async handleGetQueueSettings(data, context) {
+    try {
+      const managers = this._getQueueTargets(data?.instanceId);
+      const settings = await Promise.all(managers.map(async (manager) => {
+        const entry = { instanceId: manager.instanceId, clientType: manager.clientType, instanceName: manager.displayName };
+        try {
+          return { ...entry, ...(await manager.getQueueSettings()) };
+        } catch (err) {
+          return { ...entry, error: err.message };
+        }
+      }));
+      context.send({ type: 'queue-settings', data: settings });
+    } catch (err) {
+      context.error('Get queue settings error:', err);
+      context.send({ type: 'error', message: 'Failed to fetch queue settings: ' + err.message });
+    }
+  }
+
+  async handleSetQueueSettings(data, context) {
+    try {
+      // undefined/null/'' = leave unchanged; anything else must be a non-negative integer
+      const parseCount = (value) => {
+        if (value === undefined || value === null || value === '') return undefined;
+        const num = Number(value);
+        if (!Number.isInteger(num) || num < 0) throw new Error(`Invalid max active count: ${value}`);
+        return num;
+      };
+      const maxActiveDownloads = parseCount(data.maxActiveDownloads);
+      const maxActiveSeeds = parseCount(data.maxActiveSeeds);
+      if (maxActiveDownloads === undefined && maxActiveSeeds === undefined) {
+        context.send({ type: 'error', message: 'maxActiveDownloads or maxActiveSeeds is required' });
+        return;
+      }
+
+      const managers = this._getQueueTargets(data.instanceId);
+      if (managers.length === 0) {
+        context.send({ type: 'error', message: data.instanceId ? 'Client instance not found or has no queue' : 'No connected clients with a queue' });
+        return;
+      }
+
+      const results = await Promise.all(managers.map(async (manager) => {
+        const entry = { instanceId: manager.instanceId, clientType: manager.clientType, instanceName: manager.displayName };
+        try {
+          const settings = await manager.setQueueSettings({ maxActiveDownloads, maxActiveSeeds });
+          return { ...entry, success: true, ...settings };
+        } catch (err) {
+          context.error(`Set queue settings failed for ${manager.displayName}: ${err.message}`);
+          return { ...entry, success: false, error: err.message };
+        }
+      }));
+
+      const applied = results.filter(r => r.success);
+      if (applied.length > 0) {
+        context.broadcast({
+          type: 'queue-settings',
+          data: applied.map(({ success, ...settings }) => settings)
+        });
+      }
+      context.send({ type: 'queue-settings-updated', results });
+      context.log(`Queue limits updated on ${applied.length}/${results.length} instance(s): ↓ ${maxActiveDownloads ?? 'unchanged'} ↑ ${maxActiveSeeds ?? 'unchanged'} active`);
+    } catch (err) {
+      context.error('Set queue settings error:', err);
+      context.send({ type: 'error', message: 'Failed to set queue settings: ' + err.message });
+    }
+  }
+
 }
 
 module.exports = new WebSocketHandlers();
\ No newline at end of file
@@ -0,0 +1,216 @@
+/**
+ * Webhooks API Module
+ * Provides REST endpoints for webhook endpoints and their delivery history
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const webhookManager = require('../lib/WebhookManager');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+const { EVENT_TYPES } = webhookManager;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+class WebhooksAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Validate and normalize an endpoint request body
+   * @param {Object} body - Request body
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {{errors: string[], endpoint: Object}}
+   */
+  _parseEndpointBody(body, partial) {
+    const endpoint = {};
+    if (!partial || body.name !== undefined) endpoint.name = String(body.name || '').trim();
+    if (!partial || body.url !== undefined) endpoint.url = String(body.url || '').trim();
+    if (body.enabled !== undefined) endpoint.enabled = body.enabled !== false;
+    if (body.events !== undefined || !partial) {
+      endpoint.events = Array.isArray(body.events) ? [...new Set(body.events.map(String))] : body.events;
+    }
+    // Empty secret on create: generate one
+    if (body.secret) {
+      endpoint.secret = String(body.secret);
+    } else if (!partial) {
+      endpoint.secret = webhookManager.generateSecret();
+    }
+
+    return { errors: webhookManager.validateEndpoint(endpoint, partial), endpoint };
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/webhooks/endpoints
+   * List endpoints, available event types and queue counts
+   */
+  async getEndpoints(req, res) {
+    try {
+      res.json({
+        endpoints: webhookManager.db.getEndpoints(),
+        eventTypes: EVENT_TYPES,
+        counts: webhookManager.db.countByStatus()
+      });
+    } catch (err) {
+      this.error('Error getting webhook endpoints:', err.message);
+      response.serverError(res, 'Failed to get webhook endpoints');
+    }
+  }
+
+  /**
+   * POST /api/webhooks/endpoints
+   * Add an endpoint (a secret is generated when none is given)
+   * Body: { name, url, events, secret?, enabled? }
+   */
+  async addEndpoint(req, res) {
+    try {
+      const { errors, endpoint } = this._parseEndpointBody(req.body || {}, false);
+      if (errors.length > 0) {
+        return response.badRequest(res, errors.join('; '));
+      }
+
+      const created = webhookManager.db.addEndpoint(endpoint);
+      this.log(`🪝 Webhook endpoint added: ${created.name}`);
+
+      res.status(201).json({ success: true, endpoint: created });
+    } catch (err) {
+      this.error('Error adding webhook endpoint:', err.message);
+      response.serverError(res, 'Failed to add webhook endpoint');
+    }
+  }
+
+  /**
+   * PUT /api/webhooks/endpoints/:id
+   * Update an endpoint
+   * Body: { name?, url?, events?, secret?, enabled? }
+   */
+  async updateEndpoint(req, res) {
+    try {
+      const id = parseInt(req.params.id, 10);
+      const { errors, endpoint } = this._parseEndpointBody(req.body || {}, true);
+      if (errors.length > 0) {
+        return response.badRequest(res, errors.join('; '));
+      }
+
+      const updated = webhookManager.db.updateEndpoint(id, endpoint);
+      if (!updated) {
+        return response.notFound(res, 'Endpoint not found');
+      }
+
+      // Re-enabling releases deliveries that were held back
+      if (endpoint.enabled) {
+        webhookManager.processDue().catch(() => {});
+      }
+
+      res.json({ success: true, endpoint: updated });
+    } catch (err) {
+      this.error('Error updating webhook endpoint:', err.message);
+      response.serverError(res, 'Failed to update webhook endpoint');
+    }
+  }
+
+  /**
+   * DELETE /api/webhooks/endpoints/:id
+   * Delete an endpoint and its delivery history
+   */
+  async deleteEndpoint(req, res) {
+    try {
+      const deleted = webhookManager.db.deleteEndpoint(parseInt(req.params.id, 10));
+      if (!deleted) {
+        return response.notFound(res, 'Endpoint not found');
+      }
+
+      res.json({ success: true, message: 'Endpoint deleted' });
+    } catch (err) {
+      this.error('Error deleting webhook endpoint:', err.message);
+      response.serverError(res, 'Failed to delete webhook endpoint');
+    }
+  }
+
+  /**
+   * GET /api/webhooks/deliveries
+   * Delivery history, newest first
+   * Query: endpointId, status (pending|delivered|failed), limit (default 50, max 500)
+   */
+  async getDeliveries(req, res) {
+    try {
+      const { status } = req.query;
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return response.badRequest(res, `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+      }
+
+      const endpointId = parseInt(req.query.endpointId, 10) || undefined;
+      const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+      res.json({ deliveries: webhookManager.db.getDeliveries({ endpointId, status, limit }) });
+    } catch (err) {
+      this.error('Error getting webhook deliveries:', err.message);
+      response.serverError(res, 'Failed to get webhook deliveries');
+    }
+  }
+
+  /**
+   * POST /api/webhooks/deliveries/:id/redeliver
+   * Send a past delivery's payload again as a new delivery
+   */
+  async redeliver(req, res) {
+    try {
+      const delivery = webhookManager.redeliver(parseInt(req.params.id, 10));
+      if (!delivery) {
+        return response.notFound(res, 'Delivery not found');
+      }
+
+      res.status(201).json({ success: true, delivery });
+    } catch (err) {
+      this.error('Error redelivering webhook:', err.message);
+      response.serverError(res, 'Failed to redeliver webhook');
+    }
+  }
+
+  // ==========================================================================
+  // ROUTE REGISTRATION
+  // ==========================================================================
+
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON
+    router.use(express.json());
+    router.use(requireAdmin);
+
+    // Webhooks are unavailable until the database is initialized
+    router.use((req, res, next) => {
+      if (!webhookManager.db) return response.serviceUnavailable(res, 'Webhook database not initialized');
+      next();
+    });
+
+    // GET /api/webhooks/endpoints - List endpoints
+    router.get('/endpoints', this.getEndpoints.bind(this));
+
+    // POST /api/webhooks/endpoints - Add endpoint
+    router.post('/endpoints', this.addEndpoint.bind(this));
+
+    // PUT /api/webhooks/endpoints/:id - Update endpoint
+    router.put('/endpoints/:id', this.updateEndpoint.bind(this));
+
+    // DELETE /api/webhooks/endpoints/:id - Delete endpoint
+    router.delete('/endpoints/:id', this.deleteEndpoint.bind(this));
+
+    // GET /api/webhooks/deliveries - Delivery history
+    router.get('/deliveries', this.getDeliveries.bind(this));
+
+    // POST /api/webhooks/deliveries/:id/redeliver - Send again
+    router.post('/deliveries/:id/redeliver', this.redeliver.bind(this));
+
+    // Mount router
+    app.use('/api/webhooks', router);
+
+    this.log('Webhooks API routes registered');
+  }
+}
+
+module.exports = new WebhooksAPI();
@@ -23,6 +23,7 @@ const config = require('./modules/config');
 const configAPI = require('./modules/configAPI');
 const authManager = require('./modules/authManager');
 const authAPI = require('./modules/authAPI');
+const oidcAPI = require('./modules/oidcAPI');
 const registry = require('./lib/ClientRegistry');
 // Manager class registry — adding a new client type requires one entry here + clientMeta.js
 const MANAGER_CLASSES = {
@@ -35,6 +36,7 @@ const MANAGER_CLASSES = {
 const geoIPManager = require('./modules/geoIPManager');
 const arrManager = require('./modules/arrManager');
 const metricsAPI = require('./modules/metricsAPI');
+const prometheusAPI = require('./modules/prometheusAPI');
 const historyAPI = require('./modules/historyAPI');
 const torznabAPI = require('./modules/torznabAPI');
 const qbittorrentAPI = require('./modules/qbittorrentAPI');
@@ -45,17 +47,31 @@ const transmissionAPI = require('./modules/transmissionAPI');
 const webSocketHandlers = require('./modules/webSocketHandlers');
 const restAPI = require('./modules/restAPI');
 const autoRefreshManager = require('./modules/autoRefreshManager');
+const bandwidthScheduler = require('./modules/bandwidthScheduler');
+const diskSpaceMonitor = require('./modules/diskSpaceMonitor');
+const seedingPolicyManager = require('./modules/seedingPolicyManager');
+const instanceTransferManager = require('./modules/instanceTransferManager');
+const itemSpeedLimitManager = require('./modules/itemSpeedLimitManager');
+const torrentCreationManager = require('./modules/torrentCreationManager');
 const dataFetchService = require('./lib/DataFetchService');
 const categoryManager = require('./lib/CategoryManager');
 const basicRoutes = require('./modules/basicRoutes');
 const versionAPI = require('./modules/versionAPI');
 const moveOperationManager = require('./lib/MoveOperationManager');
+const rssManager = require('./lib/RssManager');
+const webhookManager = require('./lib/WebhookManager');
+const backupManager = require('./lib/BackupManager');
 const filesystemAPI = require('./modules/filesystemAPI');
 const sharedDirAPI = require('./modules/sharedDirAPI');
 const faviconAPI = require('./modules/faviconAPI');
 const eventScriptingManager = require('./lib/EventScriptingManager');
 const notificationManager = require('./lib/NotificationManager');
 const notificationsAPI = require('./modules/notificationsAPI');
+const rssAPI = require('./modules/rssAPI');
+const webhooksAPI = require('./modules/webhooksAPI');
+const backupAPI = require('./modules/backupAPI');
+const torrentCreateAPI = require('./modules/torrentCreateAPI');
+const torrentExportAPI = require('./modules/torrentExportAPI');
 const userAPI = require('./modules/userAPI');
 
 // Middleware
@@ -135,6 +151,7 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth/login', authLimiter);
 app.use('/api/v2/auth/login', authLimiter);
+app.use('/api/auth/oidc', authLimiter);
 
 // Express middleware
 app.use(bodyParser.json());
@@ -177,6 +194,12 @@ const downloadHistory = new DownloadHistory(historyDbPath);
 const moveOpsDbPath = config.getMoveOpsDbPath();
 moveOperationManager.initDB(moveOpsDbPath);
 
+// RSS feeds database
+rssManager.initDB(config.getRssDbPath());
+
+// Webhook endpoints and delivery queue database
+webhookManager.initDB(config.getWebhookDbPath());
+
 // User database
 const userDbPath = config.getUserDbPath();
 const userManager = new UserManager(userDbPath);
@@ -199,11 +222,18 @@ const deps = {
 
 // Inject dependencies into each module (each module only uses what it needs)
 metricsAPI.inject(deps);
+prometheusAPI.inject(deps);
 autoRefreshManager.inject(deps);
+bandwidthScheduler.inject(deps);
+seedingPolicyManager.inject(deps);
+instanceTransferManager.inject(deps);
+torrentCreationManager.inject(deps);
+torrentExportAPI.inject(deps);
 historyAPI.inject(deps);
 qbittorrentAPI.inject(deps);
 prowlarrAPI.inject(deps);
 authAPI.inject(deps);
+oidcAPI.inject(deps);
 webSocketHandlers.inject(deps);
 restAPI.setHandlers(webSocketHandlers);
 requireAuth.setUserManager(userManager);
@@ -219,6 +249,9 @@ moveOperationManager.inject(deps);
 filesystemAPI.inject(deps);
 eventScriptingManager.inject(deps);
 notificationsAPI.inject(deps);
+rssManager.inject(deps);
+rssManager.setHandlers(webSocketHandlers);
+backupManager.inject(deps);
 userAPI.inject(deps);
 
 // onConnect callbacks are registered per-instance inside initializeServices()
@@ -237,6 +270,7 @@ basicRoutes.registerPublicRoutes(app);
 torznabAPI.registerRoutes(app);       // Torznab indexer API
 qbittorrentAPI.registerRoutes(app);   // qBittorrent API
 versionAPI.registerRoutes(app);       // Version info API (public)
+prometheusAPI.registerRoutes(app);    // Prometheus /metrics exporter (own auth)
 
 // --- Session middleware ---
 // Apply session middleware (needed for auth API and protected routes)
@@ -252,6 +286,7 @@ app.use((req, res, next) => {
 // --- Auth API routes ---
 // These routes need session but not requireAuth (handles their own auth)
 authAPI.registerRoutes(app);
+oidcAPI.registerRoutes(app);
 
 // --- Trusted proxy SSO middleware ---
 // Authenticates users via reverse proxy headers (e.g., Authelia, Authentik)
@@ -284,6 +319,11 @@ app.get('/api/item/detail/:hash', (req, res) => {
   res.json(detail);
 });
 notificationsAPI.registerRoutes(app); // Notifications API
+rssAPI.registerRoutes(app);           // RSS feed watcher API
+webhooksAPI.registerRoutes(app);      // Webhook endpoints and deliveries API
+backupAPI.registerRoutes(app);        // Backup export/import API (admin only)
+torrentCreateAPI.registerRoutes(app);  // Torrent creation API (admin only)
+torrentExportAPI.registerRoutes(app);  // .torrent / magnet / zip export
 userAPI.registerRoutes(app);           // User management API (admin only)
 versionAPI.registerProtectedRoutes(app); // Version seen tracking (protected)
 
@@ -450,6 +490,9 @@ async function initializeServices() {
   // Initialize category manager (load categories from file)
   await categoryManager.load();
 
+  // Load per-item speed limits (reapplied by the refresh loop)
+  await itemSpeedLimitManager.load();
+
   // Initialize notification manager
   notificationManager.init();
 
@@ -473,6 +516,21 @@ async function initializeServices() {
   // Start auto-refresh loop for stats/downloads/uploads
   autoRefreshManager.start();
 
+  // Start time-of-day speed limit scheduler
+  bandwidthScheduler.start();
+
+  // Start per-filesystem low disk space checks
+  diskSpaceMonitor.start();
+
+  // Start RSS feed watcher
+  rssManager.start();
+
+  // Start delivery of held notifications (quiet hours, digests)
+  notificationManager.start();
+
+  // Start webhook delivery worker (resumes queued retries)
+  webhookManager.start();
+
   // Schedule automatic searches for Sonarr/Radarr
   arrManager.scheduleAutomaticSearches();
 
@@ -526,6 +584,8 @@ async function startServer() {
   // Pass initializeServices and reinitializeClients to configAPI
   configAPI.setInitializeServices(initializeServices);
   configAPI.setReinitializeClients(reinitializeClients);
+  backupManager.setReinitializeClients(reinitializeClients);
+  backupManager.setConfigReloader('item-speed-limits.json', () => itemSpeedLimitManager.load());
 
   // Check if this is the first run (no config file exists)
   const isFirstRun = await config.isFirstRun();
@@ -599,6 +659,10 @@ async function startServer() {
         // Stop background tasks
         authManager.stop();
         autoRefreshManager.stop();
+        bandwidthScheduler.stop();
+        diskSpaceMonitor.stop();
+        notificationManager.stop();
+        torrentCreationManager.reset();
 
         // Shutdown all client managers via registry
         const shutdownPromises = [];
@@ -624,6 +688,12 @@ async function startServer() {
           moveOperationManager.shutdown();
           log('Move operation manager closed');
 
+          rssManager.shutdown();
+          log('RSS manager closed');
+
+          webhookManager.shutdown();
+          log('Webhook manager closed');
+
           userManager.close();
           log('User database closed');
 
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAmuleDownload, normalizeAmuleSharedFile } = require('../lib/downloadNormalizer');
+const { assembleUnifiedItems } = require('../lib/unifiedItemBuilder');
+const clientMeta = require('../lib/clientMeta');
+const { AmuleManager } = require('../modules/amuleManager');
+
+const HASH = '31d6cfe0d16ae931b73c59d7e0c089c0';
+
+describe('aMule priority and A4AF fields', () => {
+  it('reads the auto A4AF flag from the library field or the raw EC tag', () => {
+    const base = { fileHash: HASH, fileName: 'a.avi', fileSize: 100 };
+    assert.equal(normalizeAmuleDownload({ ...base, a4afAuto: true }, () => '').a4afAuto, true);
+    assert.equal(normalizeAmuleDownload({ ...base, raw: { EC_TAG_PARTFILE_A4AFAUTO: 1 } }, () => '').a4afAuto, true);
+    assert.equal(normalizeAmuleDownload(base, () => '').a4afAuto, false);
+  });
+
+  it('merges download priority, upload priority and A4AF state into one item', () => {
+    const download = {
+      ...normalizeAmuleDownload({ fileHash: HASH, fileName: 'a.avi', fileSize: 100, priority: 12, sourceCountA4AF: 3, a4afAuto: true }, () => ''),
+      instanceId: 'amule-1'
+    };
+    const shared = {
+      ...normalizeAmuleSharedFile({ fileHash: HASH, fileName: 'a.avi', fileSize: 100, priority: 3 }),
+      instanceId: 'amule-1'
+    };
+
+    const [item] = assembleUnifiedItems([download], [shared]);
+    assert.equal(item.downloadPriority, 12);
+    assert.equal(item.uploadPriority, 3);
+    assert.equal(item.a4afAuto, true);
+    assert.equal(item.sources.a4af, 3);
+  });
+
+  it('only aMule advertises the priority and A4AF capabilities', () => {
+    for (const type of ['rtorrent', 'qbittorrent', 'deluge', 'transmission']) {
+      assert.equal(clientMeta.hasCapability(type, 'ed2kPriority'), false);
+      assert.equal(clientMeta.hasCapability(type, 'a4af'), false);
+    }
+    assert.equal(clientMeta.hasCapability('amule', 'ed2kPriority'), true);
+    assert.equal(clientMeta.hasCapability('amule', 'a4af'), true);
+  });
+});
+
+describe('aMule priority and A4AF writes', () => {
+  // Stub of the queued amule-ec-node client: only the given methods exist
+  const withClient = (methods) => {
+    const calls = [];
+    const manager = new AmuleManager();
+    manager.log = () => {};
+    manager.client = Object.fromEntries(Object.entries(methods).map(([name, result]) =>
+      [name, async (...args) => { calls.push([name, ...args]); return result; }]));
+    return { manager, calls };
+  };
+
+  it('sends the aMule priority values', async () => {
+    const { manager, calls } = withClient({ setDownloadPriority: true, setSharedFilePriority: true });
+    assert.equal(await manager.setDownloadPriority(HASH, 'auto'), true);
+    assert.equal(await manager.setUploadPriority(HASH, 'release'), true);
+    assert.deepEqual(calls, [['setDownloadPriority', HASH, 5], ['setSharedFilePriority', HASH, 3]]);
+    await assert.rejects(manager.setDownloadPriority(HASH, 'urgent'), /Invalid download priority/);
+  });
+
+  it('maps A4AF modes to their EC operations', async () => {
+    const { manager, calls } = withClient({ swapA4AFThis: true, swapA4AFOthers: true, swapA4AFThisAuto: true });
+    for (const mode of ['this', 'others', 'auto']) assert.equal(await manager.swapA4AF(HASH, mode), true);
+    assert.deepEqual(calls.map(([name]) => name), ['swapA4AFThis', 'swapA4AFOthers', 'swapA4AFThisAuto']);
+  });
+
+  it('reports requests the queued client dropped as rejected', async () => {
+    const { manager } = withClient({ setDownloadPriority: null, swapA4AFThis: false });
+    assert.equal(await manager.setDownloadPriority(HASH, 'high'), false);
+    assert.equal(await manager.swapA4AF(HASH, 'this'), false);
+  });
+
+  it('names the missing EC operation when amule-ec-node lacks the method', async () => {
+    const { manager } = withClient({});
+    await assert.rejects(manager.setUploadPriority(HASH, 'low'), /no setSharedFilePriority\(\) \(EC_OP_SHARED_SET_PRIO\)/);
+    await assert.rejects(manager.swapA4AF(HASH, 'others'), /EC_OP_PARTFILE_SWAP_A4AF_OTHERS/);
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const backupManager = require('../lib/BackupManager');
+
+describe('BackupManager config.json validation', () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'restore-'));
+  before(() => fs.mkdirSync(path.join(workDir, 'config')));
+  after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+  const prepare = (mainConfig) => {
+    fs.writeFileSync(path.join(workDir, 'config', 'config.json'), JSON.stringify(mainConfig));
+    return backupManager._prepareConfigFiles({ redacted: false }, workDir);
+  };
+  const client = { type: 'qbittorrent', host: 'qbittorrent', port: 8080 };
+
+  it('accepts a config that loads, filling gaps from the defaults', async () => {
+    const [prepared] = await prepare({ clients: [client] });
+    assert.equal(prepared.name, 'config.json');
+    assert.deepEqual(prepared.json.clients, [client]);
+  });
+
+  it('rejects a config the server would refuse with a 400 before restoring anything', async () => {
+    await assert.rejects(prepare({ server: { port: 70000 }, clients: [client] }), (err) => {
+      assert.equal(err.status, 400);
+      assert.match(err.message, /config\.json in backup is invalid: Invalid server port/);
+      return true;
+    });
+    await assert.rejects(prepare({ clients: [] }), /must be enabled/);
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimeOfDay, isRuleActive, findActiveRule } = require('../lib/bandwidthSchedule');
+const bandwidthScheduler = require('../modules/bandwidthScheduler');
+const config = require('../modules/config');
+const registry = require('../lib/ClientRegistry');
+
+// 2024-01-05 is a Friday (day 5)
+const at = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2024, 0, day, hours, minutes);
+};
+
+describe('parseTimeOfDay', () => {
+  it('parses HH:MM into minutes since midnight', () => {
+    assert.equal(parseTimeOfDay('00:00'), 0);
+    assert.equal(parseTimeOfDay('09:30'), 570);
+    assert.equal(parseTimeOfDay('7:05'), 425);
+    assert.equal(parseTimeOfDay('24:00'), 1440);
+  });
+
+  it('rejects malformed or out-of-range values', () => {
+    assert.equal(parseTimeOfDay(''), null);
+    assert.equal(parseTimeOfDay(null), null);
+    assert.equal(parseTimeOfDay('9am'), null);
+    assert.equal(parseTimeOfDay('12:60'), null);
+    assert.equal(parseTimeOfDay('24:30'), null);
+  });
+});
+
+describe('isRuleActive', () => {
+  const workHours = { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' };
+
+  it('matches inside a same-day range (end exclusive)', () => {
+    assert.equal(isRuleActive(workHours, at(5, '09:00')), true);
+    assert.equal(isRuleActive(workHours, at(5, '17:59')), true);
+    assert.equal(isRuleActive(workHours, at(5, '18:00')), false);
+    assert.equal(isRuleActive(workHours, at(5, '08:59')), false);
+  });
+
+  it('does not match on days outside the rule', () => {
+    assert.equal(isRuleActive(workHours, at(6, '12:00')), false); // Saturday
+    assert.equal(isRuleActive(workHours, at(7, '12:00')), false); // Sunday
+  });
+
+  it('carries overnight ranges into the following morning', () => {
+    const fridayNight = { days: [5], start: '22:00', end: '06:00' };
+    assert.equal(isRuleActive(fridayNight, at(5, '23:30')), true);  // Friday evening
+    assert.equal(isRuleActive(fridayNight, at(6, '05:59')), true);  // Saturday morning
+    assert.equal(isRuleActive(fridayNight, at(6, '06:00')), false);
+    assert.equal(isRuleActive(fridayNight, at(5, '05:00')), false); // Friday morning belongs to Thursday
+    assert.equal(isRuleActive(fridayNight, at(6, '23:00')), false);
+  });
+
+  it('wraps the overnight check from Saturday into Sunday', () => {
+    const saturdayNight = { days: [6], start: '20:00', end: '02:00' };
+    assert.equal(isRuleActive(saturdayNight, at(7, '01:00')), true);
+  });
+
+  it('treats equal start and end as the whole day', () => {
+    const weekend = { days: [0, 6], start: '00:00', end: '00:00' };
+    assert.equal(isRuleActive(weekend, at(6, '00:00')), true);
+    assert.equal(isRuleActive(weekend, at(7, '23:59')), true);
+    assert.equal(isRuleActive(weekend, at(5, '12:00')), false);
+    assert.equal(isRuleActive({ days: [5], start: '00:00', end: '24:00' }, at(5, '23:59')), true);
+  });
+
+  it('ignores disabled, dayless and malformed rules', () => {
+    assert.equal(isRuleActive({ ...workHours, enabled: false }, at(5, '12:00')), false);
+    assert.equal(isRuleActive({ ...workHours, days: [] }, at(5, '12:00')), false);
+    assert.equal(isRuleActive({ ...workHours, start: 'noon' }, at(5, '12:00')), false);
+    assert.equal(isRuleActive(null, at(5, '12:00')), false);
+  });
+});
+
+describe('findActiveRule', () => {
+  const rules = [
+    { id: 'seedbox', days: [5], start: '08:00', end: '20:00', instanceIds: ['qbit-1'] },
+    { id: 'all', days: [5], start: '00:00', end: '00:00', instanceIds: [] }
+  ];
+
+  it('returns the first matching rule in list order', () => {
+    assert.equal(findActiveRule(rules, 'qbit-1', at(5, '12:00')).id, 'seedbox');
+  });
+
+  it('falls through to global rules for other instances', () => {
+    assert.equal(findActiveRule(rules, 'amule-1', at(5, '12:00')).id, 'all');
+    assert.equal(findActiveRule(rules, 'qbit-1', at(5, '21:00')).id, 'all');
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(findActiveRule(rules, 'qbit-1', at(6, '12:00')), null);
+    assert.equal(findActiveRule(undefined, 'qbit-1', at(5, '12:00')), null);
+  });
+});
+
+describe('bandwidthScheduler', () => {
+  const saved = {};
+  const rule = { id: 'work', name: 'Work', enabled: true, days: [5], start: '09:00', end: '18:00', instanceIds: [], downloadLimit: 1024, uploadLimit: 512 };
+  let settings;
+  let client;
+
+  before(() => {
+    for (const key of ['log', 'warn', 'broadcast']) saved[key] = bandwidthScheduler[key];
+    saved.getConfig = config.getConfig;
+    bandwidthScheduler.log = () => {};
+    bandwidthScheduler.warn = () => {};
+    bandwidthScheduler.broadcast = null;
+    config.getConfig = () => ({ bandwidthSchedule: settings });
+  });
+  after(() => {
+    Object.assign(bandwidthScheduler, { log: saved.log, warn: saved.warn, broadcast: saved.broadcast });
+    config.getConfig = saved.getConfig;
+    bandwidthScheduler.stop();
+    registry.unregister('sched-1');
+  });
+
+  beforeEach(() => {
+    bandwidthScheduler.stop();
+    registry.unregister('sched-1');
+    settings = { enabled: true, defaultDownloadLimit: null, defaultUploadLimit: null, rules: [rule] };
+    client = {
+      instanceId: 'sched-1',
+      displayName: 'Scheduled',
+      clientType: 'qbittorrent',
+      limits: { downloadLimit: 4096, uploadLimit: 2048 },
+      calls: [],
+      isConnected: () => true,
+      async getSpeedLimits() { return { ...this.limits }; },
+      async setSpeedLimits(limits) {
+        this.calls.push(limits);
+        for (const [key, value] of Object.entries(limits)) {
+          if (value !== undefined) this.limits[key] = value;
+        }
+        return { ...this.limits };
+      }
+    };
+    registry.register('sched-1', 'qbittorrent', client);
+  });
+
+  it('leaves manual limits alone when no rule is active and no defaults are set', async () => {
+    await bandwidthScheduler.evaluate(at(5, '08:00'));
+    assert.deepEqual(client.calls, []);
+    assert.deepEqual(client.limits, { downloadLimit: 4096, uploadLimit: 2048 });
+  });
+
+  it('restores the limits from before the rule once it ends', async () => {
+    await bandwidthScheduler.evaluate(at(5, '08:00'));
+    await bandwidthScheduler.evaluate(at(5, '10:00'));
+    assert.deepEqual(client.limits, { downloadLimit: 1024, uploadLimit: 512 });
+
+    await bandwidthScheduler.evaluate(at(5, '19:00'));
+    assert.deepEqual(client.limits, { downloadLimit: 4096, uploadLimit: 2048 });
+    assert.equal(client.calls.length, 2);
+  });
+
+  it('applies the default limits where they are set', async () => {
+    settings.defaultDownloadLimit = 0;
+    await bandwidthScheduler.evaluate(at(5, '08:00'));
+    assert.deepEqual(client.calls, [{ downloadLimit: 0, uploadLimit: undefined }]);
+    assert.deepEqual(client.limits, { downloadLimit: 0, uploadLimit: 2048 });
+  });
+
+  it('validates the schedule limits', () => {
+    const errors = (bandwidthSchedule) => config.validateConfig({ bandwidthSchedule }).errors.filter(e => e.startsWith('Bandwidth schedule'));
+    assert.deepEqual(errors(settings), []);
+    assert.deepEqual(errors({ ...settings, defaultDownloadLimit: 0, defaultUploadLimit: 1024 }), []);
+    assert.equal(errors({ ...settings, defaultUploadLimit: -1 }).length, 1);
+    assert.equal(errors({ ...settings, defaultDownloadLimit: '100' }).length, 1);
+    assert.equal(errors({ ...settings, rules: [{ ...rule, downloadLimit: -5 }] }).length, 1);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const config = require('../modules/config');
+const restAPI = require('../modules/restAPI');
+const DownloadHistory = require('../lib/downloadHistory');
+const { linkHash, findDuplicates } = require('../lib/duplicateCheck');
+
+const BT_HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const ED2K_HASH = '31d6cfe0d16ae931b73c59d7e0c089c0';
+
+describe('linkHash', () => {
+  it('reads ED2K file links and hex or base32 magnets', () => {
+    assert.equal(linkHash(`ed2k://|file|a.mkv|1024|${ED2K_HASH.toUpperCase()}|/`), ED2K_HASH);
+    assert.equal(linkHash(`magnet:?xt=urn:btih:${BT_HASH.toUpperCase()}&dn=a`), BT_HASH);
+    assert.equal(linkHash('magnet:?xt=urn:btih:YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK'), BT_HASH);
+  });
+
+  it('returns null for links without a content hash', () => {
+    assert.equal(linkHash('ed2k://|server|1.2.3.4|4661|/'), null);
+    assert.equal(linkHash('https://example.com/a.torrent'), null);
+  });
+});
+
+describe('findDuplicates', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  const history = new DownloadHistory(path.join(dir, 'history.db'));
+  after(() => {
+    history.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const items = [
+    { hash: BT_HASH, instanceId: 'qb-1', client: 'qbittorrent', name: 'a.mkv', status: 'seeding', downloading: false, shared: true, progress: 100 },
+    { hash: ED2K_HASH, instanceId: 'amule-1', client: 'amule', name: 'b.avi', status: 'active', downloading: false, shared: true, progress: 100 }
+  ];
+
+  it('matches live items on every instance, including aMule shared files', () => {
+    const duplicates = findDuplicates([BT_HASH.toUpperCase(), ED2K_HASH, 'ffff'], { items });
+    assert.deepEqual(duplicates.map(d => d.hash), [BT_HASH, ED2K_HASH]);
+    assert.equal(duplicates[1].matches[0].clientType, 'amule');
+    assert.equal(duplicates[1].matches[0].shared, true);
+  });
+
+  it('adds history entries only for instances no longer holding the item', () => {
+    history.addDownload(BT_HASH, 'a.mkv', 1024, null, 'qbittorrent', null, 'qb-1');
+    history.addDownload(BT_HASH, 'a.mkv', 1024, null, 'rtorrent', null, 'rt-1');
+    history.markDeleted(BT_HASH, 'rt-1');
+
+    const [duplicate] = findDuplicates([BT_HASH], { items, history });
+    assert.deepEqual(duplicate.matches.map(m => [m.source, m.instanceId]), [['live', 'qb-1'], ['history', 'rt-1']]);
+    assert.equal(duplicate.matches[1].status, 'deleted');
+  });
+
+  it('reports nothing for unknown or missing hashes', () => {
+    assert.deepEqual(findDuplicates([null, 'ffff'], { items, history }), []);
+    assert.deepEqual(findDuplicates([], { items, history }), []);
+  });
+});
+
+describe('REST add endpoints', () => {
+  const magnet = `magnet:?xt=urn:btih:${BT_HASH}`;
+  const saved = {};
+  let server;
+  let baseUrl;
+  let received;
+
+  before(async () => {
+    saved.getAuthEnabled = config.getAuthEnabled;
+    config.getAuthEnabled = () => false;
+    // Stands in for the WS handler: holds the request back unless onDuplicate is 'add'
+    restAPI.setHandlers({
+      handleAddMagnetLinks: async (data, context) => {
+        received = data;
+        if (data.onDuplicate === 'add') {
+          context.send({ type: 'magnet-added', results: data.links.map(link => ({ link, success: true })) });
+        } else {
+          context.send({ type: 'duplicate', action: 'addMagnetLinks', requestId: null, duplicates: [{ hash: BT_HASH, link: magnet }] });
+        }
+      }
+    });
+    const app = express();
+    app.use(express.json());
+    restAPI.registerRoutes(app);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(async () => {
+    config.getAuthEnabled = saved.getAuthEnabled;
+    restAPI.setHandlers(null);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const addMagnets = (body) => fetch(`${baseUrl}/downloads/magnets`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('adds duplicates when onDuplicate is omitted', async () => {
+    const res = await addMagnets({ links: [magnet] });
+    assert.equal(res.status, 200);
+    assert.equal(received.onDuplicate, 'add');
+    assert.equal((await res.json()).type, 'magnet-added');
+  });
+
+  it('answers 409 with the duplicates when asked to', async () => {
+    const res = await addMagnets({ links: [magnet], onDuplicate: 'ask' });
+    assert.equal(res.status, 409);
+    const body = await res.json();
+    assert.equal(body.type, 'duplicate');
+    assert.deepEqual(body.duplicates.map(d => d.hash), [BT_HASH]);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../modules/config');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const downloadWatchdog = require('../modules/downloadWatchdog');
+const diskSpaceMonitor = require('../modules/diskSpaceMonitor');
+const { findMountForPath, evaluateThresholds } = require('../lib/diskSpace');
+
+const GiB = 1024 * 1024 * 1024;
+const MINUTE = 60 * 1000;
+
+let emitted;
+let detectors;
+
+beforeEach(() => {
+  emitted = [];
+  detectors = { stalledMinutes: 30, diskSpace: { minFreePercent: 5, minFreeGB: 0, mounts: [] } };
+  eventScriptingManager.emit = (type, data) => emitted.push([type, data]);
+  config.getConfig = () => ({ eventDetectors: detectors });
+  downloadWatchdog.reset();
+  diskSpaceMonitor.stop();
+  diskSpaceMonitor.log = () => {};
+  diskSpaceMonitor.warn = () => {};
+  downloadWatchdog.log = () => {};
+});
+
+describe('DownloadWatchdog', () => {
+  const item = (fields) => ({
+    hash: 'abc', instanceId: 'qb-1', client: 'qbittorrent', name: 'x', status: 'active',
+    size: 1000, sizeDownloaded: 100, progress: 10, complete: false, ...fields
+  });
+
+  it('emits downloadStalled once after the configured time without progress', () => {
+    downloadWatchdog.evaluate([item()], 0);
+    downloadWatchdog.evaluate([item()], 29 * MINUTE);
+    assert.equal(emitted.length, 0);
+
+    downloadWatchdog.evaluate([item()], 30 * MINUTE);
+    downloadWatchdog.evaluate([item()], 40 * MINUTE);
+    assert.deepEqual(emitted.map(([type]) => type), ['downloadStalled']);
+    assert.equal(emitted[0][1].stalledDuration, 30 * MINUTE);
+
+    // Progress re-arms it
+    downloadWatchdog.evaluate([item({ sizeDownloaded: 200 })], 41 * MINUTE);
+    downloadWatchdog.evaluate([item({ sizeDownloaded: 200 })], 71 * MINUTE);
+    assert.equal(emitted.length, 2);
+  });
+
+  it('does not count paused, queued or finished time as stalled', () => {
+    downloadWatchdog.evaluate([item()], 0);
+    downloadWatchdog.evaluate([item({ status: 'stopped' })], 20 * MINUTE);
+    downloadWatchdog.evaluate([item()], 40 * MINUTE);
+    downloadWatchdog.evaluate([item({ queued: true })], 60 * MINUTE);
+    downloadWatchdog.evaluate([item({ complete: true })], 120 * MINUTE);
+    assert.equal(emitted.length, 0);
+
+    detectors.stalledMinutes = 0;
+    downloadWatchdog.evaluate([item()], 200 * MINUTE);
+    downloadWatchdog.evaluate([item()], 999 * MINUTE);
+    assert.equal(emitted.length, 0);
+  });
+
+  it('only asks for its own fetch when stall detection is on or errors are handled', () => {
+    const isEventHandled = eventScriptingManager.isEventHandled;
+    let handled = false;
+    eventScriptingManager.isEventHandled = () => handled;
+    try {
+      downloadWatchdog.evaluate([item()], 0);
+      assert.equal(downloadWatchdog.isDue(59 * 1000), false);
+      assert.equal(downloadWatchdog.isDue(MINUTE), true);
+
+      detectors.stalledMinutes = 0;
+      assert.equal(downloadWatchdog.isDue(MINUTE), false);
+      handled = true;
+      assert.equal(downloadWatchdog.isDue(MINUTE), true);
+    } finally {
+      eventScriptingManager.isEventHandled = isEventHandled;
+    }
+  });
+
+  it('emits downloadErrored on entering the error state, not for the baseline', () => {
+    downloadWatchdog.evaluate([item({ hash: 'old', status: 'error' }), item()], 0);
+    assert.equal(emitted.length, 0);
+
+    downloadWatchdog.evaluate([item({ hash: 'old', status: 'error' }), item({ status: 'error', message: 'Missing files' })], MINUTE);
+    downloadWatchdog.evaluate([item({ hash: 'old', status: 'error' }), item({ status: 'error', message: 'Missing files' })], 2 * MINUTE);
+    assert.deepEqual(emitted.map(([type, data]) => [type, data.hash, data.error]), [['downloadErrored', 'abc', 'Missing files']]);
+
+    // An offline instance keeps its errors; a recovered item can fire again
+    downloadWatchdog.evaluate([], 3 * MINUTE);
+    downloadWatchdog.evaluate([item({ status: 'error' })], 4 * MINUTE);
+    assert.equal(emitted.length, 1);
+    downloadWatchdog.evaluate([item()], 5 * MINUTE);
+    downloadWatchdog.evaluate([item({ status: 'error' })], 6 * MINUTE);
+    assert.equal(emitted.length, 2);
+  });
+});
+
+describe('disk space thresholds', () => {
+  const mount = (device, mountPoints, free, total = 100 * GiB) => ({
+    device, mountPoints, mountPoint: mountPoints[0], fsType: 'ext4', total, free, used: total - free, percentFree: Math.round(free / total * 100)
+  });
+  const root = mount('/dev/sda1', ['/'], 50 * GiB);
+  const data = mount('/dev/sdb1', ['/data', '/downloads'], 3 * GiB);
+
+  it('finds the filesystem holding a path', () => {
+    assert.equal(findMountForPath([root, data], '/downloads/tv/show').device, '/dev/sdb1');
+    assert.equal(findMountForPath([root, data], '/database').device, '/dev/sda1');
+    assert.equal(findMountForPath([data], '/srv'), null);
+  });
+
+  it('applies the global threshold and per-filesystem overrides', () => {
+    const low = (thresholds) => evaluateThresholds([root, data], thresholds).filter(r => r.low).map(r => r.mount.device);
+    assert.deepEqual(low({ minFreePercent: 5 }), ['/dev/sdb1']);
+    assert.deepEqual(low({ minFreePercent: 0, minFreeGB: 60 }), ['/dev/sda1', '/dev/sdb1']);
+    assert.deepEqual(low({ minFreePercent: 5, mounts: [{ path: '/downloads/tv', minFreePercent: 0, minFreeGB: 0 }] }), []);
+    assert.deepEqual(low({ minFreePercent: 0, mounts: [{ path: '/', minFreePercent: 60 }] }), ['/dev/sda1']);
+  });
+
+  it('emits diskSpaceLow once per crossing', async () => {
+    await diskSpaceMonitor.check([root, data]);
+    await diskSpaceMonitor.check([root, data]);
+    assert.deepEqual(emitted.map(([type, d]) => [type, d.mountPoint, d.percentFree]), [['diskSpaceLow', '/data', 3]]);
+
+    await diskSpaceMonitor.check([root, mount('/dev/sdb1', ['/data'], 20 * GiB)]);
+    await diskSpaceMonitor.check([root, data]);
+    assert.equal(emitted.length, 2);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FILE_PRIORITY } = require('../lib/BaseClientManager');
+const { QbittorrentManager } = require('../modules/qbittorrentManager');
+const { DelugeManager } = require('../modules/delugeManager');
+const { TransmissionManager } = require('../modules/transmissionManager');
+const { withClient } = require('./helpers/clientStub');
+
+describe('setFilePriority native mapping', () => {
+  it('qBittorrent sends filePrio values 0/1/6/7', async () => {
+    const manager = new QbittorrentManager();
+    const calls = withClient(manager, ['setFilePriority']);
+    for (const priority of Object.values(FILE_PRIORITY)) {
+      await manager.setFilePriority('abc', [1, 2], priority);
+    }
+    assert.deepEqual(calls.map(c => c[3]), [0, 1, 6, 7]);
+    assert.deepEqual(calls[0], ['setFilePriority', 'abc', [1, 2], 0]);
+  });
+
+  it('Deluge replaces the requested entries in the full priority list', async () => {
+    const manager = new DelugeManager();
+    const calls = withClient(manager, ['setTorrentOptions'], {
+      getTorrentStatus: async () => ({ file_priorities: [4, 4, 4, 4] })
+    });
+    const result = await manager.setFilePriority('abc', [0, 2], FILE_PRIORITY.MAX);
+    assert.deepEqual(result, { success: true });
+    assert.deepEqual(calls, [['setTorrentOptions', 'abc', { file_priorities: [7, 4, 7, 4] }]]);
+
+    const outOfRange = await manager.setFilePriority('abc', [9], FILE_PRIORITY.SKIP);
+    assert.equal(outOfRange.success, false);
+  });
+
+  it('Transmission maps skip to unwanted and max to high', async () => {
+    const manager = new TransmissionManager();
+    const calls = withClient(manager, ['setTorrents']);
+    await manager.setFilePriority('abc', [3], FILE_PRIORITY.SKIP);
+    await manager.setFilePriority('abc', [3], FILE_PRIORITY.NORMAL);
+    await manager.setFilePriority('abc', [3], FILE_PRIORITY.MAX);
+    assert.deepEqual(calls.map(c => c[2]), [
+      { 'files-unwanted': [3] },
+      { 'files-wanted': [3], 'priority-normal': [3] },
+      { 'files-wanted': [3], 'priority-high': [3] }
+    ]);
+  });
+
+  it('Deluge reads skipped and max-priority files from the file tree', () => {
+    const files = new DelugeManager()._flattenFileTree({
+      contents: {
+        'a.mkv': { type: 'file', index: 0, size: 1, priority: 0 },
+        'b.mkv': { type: 'file', index: 1, size: 1, priority: 4 },
+        'c.mkv': { type: 'file', index: 2, size: 1, priority: 7 }
+      }
+    });
+    assert.deepEqual(files.map(f => f.priority), [0, 1, 3]);
+  });
+});
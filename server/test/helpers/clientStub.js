@@ -0,0 +1,32 @@
+/**
+ * Strict stub clients for manager tests
+ */
+
+/**
+ * Attach a stub client to a manager. Only declared methods exist: `recorded`
+ * ones resolve to undefined and are logged as [method, ...args], `overrides`
+ * supply their own result. Calling anything else throws, so a manager that
+ * reaches for an unexpected client method fails the test.
+ * @param {Object} manager - Client manager under test
+ * @param {string[]} [recorded] - Methods to record
+ * @param {Object} [overrides] - method → implementation
+ * @returns {Array<Array>} Recorded calls
+ */
+function withClient(manager, recorded = [], overrides = {}) {
+  const calls = [];
+  const methods = { ...overrides };
+  for (const method of recorded) {
+    methods[method] = async (...args) => { calls.push([method, ...args]); };
+  }
+  manager.client = new Proxy(methods, {
+    get: (target, method) => {
+      if (Object.hasOwn(target, method)) return target[method];
+      // Let promise checks and inspection see a plain object
+      if (typeof method === 'symbol' || method === 'then') return undefined;
+      throw new Error(`Unexpected client call: ${method}()`);
+    }
+  });
+  return calls;
+}
+
+module.exports = { withClient };
@@ -0,0 +1,112 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DownloadHistory = require('../lib/downloadHistory');
+const { QbittorrentManager } = require('../modules/qbittorrentManager');
+const { DelugeManager } = require('../modules/delugeManager');
+const { TransmissionManager } = require('../modules/transmissionManager');
+const { RtorrentManager } = require('../modules/rtorrentManager');
+const clientMeta = require('../lib/clientMeta');
+const { withClient } = require('./helpers/clientStub');
+
+// Minimal single-file metainfo
+const TORRENT = Buffer.from('d4:infod6:lengthi1024e4:name5:a.mkv12:piece lengthi16384e6:pieces0:ee');
+
+describe('exportTorrent', () => {
+  it('qBittorrent uses the WebUI export endpoint', async () => {
+    const manager = new QbittorrentManager();
+    withClient(manager, [], { exportTorrent: async (hash) => Buffer.from(hash) });
+    assert.equal((await manager.exportTorrent('abc')).toString(), 'abc');
+  });
+
+  describe('from the torrent state directory', () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+    fs.writeFileSync(path.join(stateDir, 'abc.torrent'), TORRENT);
+    after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+    const withStateDir = (manager) => {
+      manager.setClientConfig({ enabled: true, torrentStateDir: stateDir });
+      return manager;
+    };
+
+    it('rTorrent reads the file name of its session file', async () => {
+      const manager = withStateDir(new RtorrentManager());
+      withClient(manager, [], { getSessionFile: async () => '/home/rt/.session/abc.torrent' });
+      assert.deepEqual(await manager.exportTorrent('abc'), TORRENT);
+    });
+
+    it('Deluge reads <hash>.torrent', async () => {
+      const manager = withStateDir(new DelugeManager());
+      assert.deepEqual(await manager.exportTorrent('ABC'), TORRENT);
+    });
+
+    it('Transmission reads the file name of the torrentFile it reports', async () => {
+      const manager = withStateDir(new TransmissionManager());
+      withClient(manager, [], { getTorrentDetails: async () => ({ torrentFile: '/config/torrents/abc.torrent' }) });
+      assert.deepEqual(await manager.exportTorrent('abc'), TORRENT);
+    });
+
+    it('explains a missing setting or an unreadable file', async () => {
+      for (const type of ['rtorrent', 'deluge', 'transmission']) {
+        assert.equal(clientMeta.hasCapability(type, 'exportTorrent'), true);
+      }
+      const manager = new DelugeManager();
+      manager.setClientConfig({ enabled: true });
+      await assert.rejects(manager.exportTorrent('abc'), /Set the torrent state directory/);
+      withStateDir(manager);
+      await assert.rejects(manager.exportTorrent('def'), /Cannot read .*def\.torrent \(ENOENT\)/);
+    });
+
+    it('rTorrent without a session directory', async () => {
+      const manager = withStateDir(new RtorrentManager());
+      withClient(manager, [], { getSessionFile: async () => '' });
+      await assert.rejects(manager.exportTorrent('abc'), /no session directory/);
+    });
+  });
+});
+
+describe('addTorrentRaw skipHistory', () => {
+  it('adds paused without tracking a new history entry', async () => {
+    const manager = new QbittorrentManager();
+    const calls = withClient(manager, ['addTorrent']);
+    const tracked = [];
+    manager.trackDownload = (...args) => tracked.push(args);
+
+    await manager.addTorrentRaw(TORRENT, { savePath: '/data', start: false, skipHistory: true });
+    assert.deepEqual(calls[0][2], { category: '', paused: true, savepath: '/data' });
+    assert.equal(tracked.length, 0);
+
+    await manager.addTorrentRaw(TORRENT, {});
+    assert.equal(tracked.length, 1);
+  });
+});
+
+describe('DownloadHistory.moveToInstance', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  const history = new DownloadHistory(path.join(dir, 'history.db'));
+  after(() => {
+    history.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('re-homes the entry and keeps its timestamps', () => {
+    history.addDownload('ABC', 'a.mkv', 1024, 'alice', 'qbittorrent', null, 'qb-1');
+    const before = history.getByHash('abc', 'qb-1');
+
+    assert.equal(history.moveToInstance('abc', 'qb-1', 'rt-1', 'rtorrent'), true);
+    assert.equal(history.getByHash('abc', 'qb-1'), undefined);
+    const moved = history.getByHash('abc', 'rt-1');
+    assert.equal(moved.client_type, 'rtorrent');
+    assert.equal(moved.username, 'alice');
+    assert.equal(moved.started_at, before.started_at);
+  });
+
+  it('leaves both entries alone when the target already has one', () => {
+    history.addDownload('def', 'b.mkv', 1, null, 'qbittorrent', null, 'qb-1');
+    history.addDownload('def', 'b.mkv', 1, null, 'rtorrent', null, 'rt-1');
+    assert.equal(history.moveToInstance('def', 'qb-1', 'rt-1', 'rtorrent'), false);
+    assert.ok(history.getByHash('def', 'qb-1'));
+  });
+});
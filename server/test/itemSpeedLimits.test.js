@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeQBittorrentDownload,
+  normalizeDelugeDownload,
+  normalizeTransmissionDownload
+} = require('../lib/downloadNormalizer');
+const { QbittorrentManager } = require('../modules/qbittorrentManager');
+const { DelugeManager } = require('../modules/delugeManager');
+const { TransmissionManager } = require('../modules/transmissionManager');
+const registry = require('../lib/ClientRegistry');
+const itemSpeedLimitManager = require('../modules/itemSpeedLimitManager');
+const { withClient } = require('./helpers/clientStub');
+
+const limitFields = ({ downloadLimit, uploadLimit }) => ({ downloadLimit, uploadLimit });
+
+describe('per-item speed limit normalization', () => {
+  it('reports limits in bytes/s with 0 as unlimited', () => {
+    assert.deepEqual(limitFields(normalizeQBittorrentDownload({ hash: 'abc', name: 'x', dl_limit: 51200, up_limit: -1 })),
+      { downloadLimit: 51200, uploadLimit: 0 });
+    assert.deepEqual(limitFields(normalizeDelugeDownload('abc', { name: 'x', max_download_speed: 50, max_upload_speed: -1 })),
+      { downloadLimit: 51200, uploadLimit: 0 });
+    assert.deepEqual(limitFields(normalizeTransmissionDownload({
+      hashString: 'abc', name: 'x', downloadLimited: true, downloadLimit: 50, uploadLimited: false, uploadLimit: 100
+    })), { downloadLimit: 50000, uploadLimit: 0 });
+  });
+});
+
+describe('per-item speed limit manager calls', () => {
+  it('each client converts to its own units and skips omitted directions', async () => {
+    const qb = new QbittorrentManager();
+    const deluge = new DelugeManager();
+    const transmission = new TransmissionManager();
+    const qbCalls = withClient(qb, ['setTorrentDownloadLimit', 'setTorrentUploadLimit']);
+    const delugeCalls = withClient(deluge, ['setTorrentOptions']);
+    const transmissionCalls = withClient(transmission, ['setTorrents']);
+
+    await qb.setItemSpeedLimits('abc', { downloadLimit: 51200 });
+    await deluge.setItemSpeedLimits('abc', { downloadLimit: 51200, uploadLimit: 0 });
+    await transmission.setItemSpeedLimits('abc', { uploadLimit: 50000 });
+    assert.deepEqual(qbCalls, [['setTorrentDownloadLimit', 'abc', 51200]]);
+    assert.deepEqual(delugeCalls, [['setTorrentOptions', ['abc'], { max_download_speed: 50, max_upload_speed: -1 }]]);
+    assert.deepEqual(transmissionCalls, [['setTorrents', ['abc'], { uploadLimited: true, uploadLimit: 50 }]]);
+  });
+});
+
+describe('itemSpeedLimitManager', () => {
+  let tmpDir;
+  let manager;
+  let calls;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'item-limits-'));
+    itemSpeedLimitManager.filePath = path.join(tmpDir, 'item-speed-limits.json');
+    await itemSpeedLimitManager.load();
+    manager = new QbittorrentManager();
+    manager.instanceId = 'qb-1';
+    manager.isConnected = () => true;
+    calls = withClient(manager, ['setTorrentDownloadLimit', 'setTorrentUploadLimit']);
+    registry.register('qb-1', 'qbittorrent', manager);
+  });
+
+  afterEach(() => {
+    registry.unregister('qb-1');
+    itemSpeedLimitManager.filePath = null;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const item = (downloadLimit, uploadLimit, hash = 'abc', addedAt = 1000) => ({ instanceId: 'qb-1', hash, name: 'x', downloadLimit, uploadLimit, addedAt });
+
+  it('persists applied limits and forgets items set back to unlimited', async () => {
+    await itemSpeedLimitManager.apply(manager, 'ABC', { downloadLimit: 51200, uploadLimit: 10240 });
+    await itemSpeedLimitManager.apply(manager, 'abc', { uploadLimit: 0 });
+    assert.deepEqual(itemSpeedLimitManager.get('qb-1', 'abc'), { downloadLimit: 51200, uploadLimit: 0 });
+
+    await itemSpeedLimitManager.load();
+    assert.deepEqual(itemSpeedLimitManager.get('qb-1', 'abc'), { downloadLimit: 51200, uploadLimit: 0 });
+
+    await itemSpeedLimitManager.apply(manager, 'abc', { downloadLimit: 0 });
+    assert.equal(itemSpeedLimitManager.get('qb-1', 'abc'), null);
+    assert.equal(itemSpeedLimitManager.hasLimits(), false);
+  });
+
+  it('reapplies a limit the client lost once the grace period has passed', async () => {
+    await itemSpeedLimitManager.apply(manager, 'abc', { downloadLimit: 51200 });
+    calls.length = 0;
+
+    await itemSpeedLimitManager.evaluate([item(0, 0)]);
+    assert.deepEqual(calls, []);
+
+    await itemSpeedLimitManager.evaluate([item(0, 0)], Date.now() + 120000);
+    assert.deepEqual(calls, [['setTorrentDownloadLimit', 'abc', 51200], ['setTorrentUploadLimit', 'abc', 0]]);
+  });
+
+  it('drops a limit cleared in the client itself', async () => {
+    await itemSpeedLimitManager.apply(manager, 'abc', { downloadLimit: 51200 });
+    calls.length = 0;
+    const later = Date.now() + 120000;
+
+    await itemSpeedLimitManager.evaluate([item(51200, 0)], later);
+    await itemSpeedLimitManager.evaluate([item(0, 0)], later);
+    assert.deepEqual(calls, []);
+    assert.equal(itemSpeedLimitManager.get('qb-1', 'abc'), null);
+  });
+
+  it('reapplies after the item was re-added or the client dropped out', async () => {
+    await itemSpeedLimitManager.apply(manager, 'abc', { downloadLimit: 51200 });
+    calls.length = 0;
+    const later = Date.now() + 120000;
+
+    await itemSpeedLimitManager.evaluate([item(51200, 0)], later);
+    await itemSpeedLimitManager.evaluate([item(0, 0, 'abc', 2000)], later);
+    assert.deepEqual(calls, [['setTorrentDownloadLimit', 'abc', 51200], ['setTorrentUploadLimit', 'abc', 0]]);
+    calls.length = 0;
+
+    await itemSpeedLimitManager.evaluate([item(51200, 0, 'abc', 2000)], later + 120000);
+    await itemSpeedLimitManager.evaluate([], later + 120000);
+    await itemSpeedLimitManager.evaluate([item(0, 0, 'abc', 2000)], later + 120000);
+    assert.deepEqual(calls, [['setTorrentDownloadLimit', 'abc', 51200], ['setTorrentUploadLimit', 'abc', 0]]);
+    assert.deepEqual(itemSpeedLimitManager.get('qb-1', 'abc'), { downloadLimit: 51200, uploadLimit: 0 });
+  });
+
+  it('adopts limits changed in the client and prunes removed items', async () => {
+    await itemSpeedLimitManager.apply(manager, 'abc', { downloadLimit: 51200 });
+    await itemSpeedLimitManager.apply(manager, 'def', { uploadLimit: 10240 });
+    const later = Date.now() + 120000;
+
+    await itemSpeedLimitManager.evaluate([item(102400, 0)], later);
+    assert.deepEqual(itemSpeedLimitManager.get('qb-1', 'abc'), { downloadLimit: 102400, uploadLimit: 0 });
+    assert.equal(itemSpeedLimitManager.get('qb-1', 'def'), null);
+  });
+});
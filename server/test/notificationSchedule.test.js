@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const notificationManager = require('../lib/NotificationManager');
+const { renderDigest } = require('../lib/notifications/templates');
+const {
+  isHeldByQuietHours, serviceReceivesEvent, lastDigestBoundary, isQueueDue, validateQuietHours, validateServiceSchedule
+} = require('../lib/notifications/schedule');
+
+const HOUR = 60 * 60 * 1000;
+const EVENTS = { downloadFinished: {}, clientUnavailable: {} };
+
+// Monday 5 January 2026, local time
+const at = (hours, minutes = 0, day = 5) => new Date(2026, 0, day, hours, minutes);
+
+describe('notification schedule', () => {
+  const quietHours = { enabled: true, days: [1], start: '22:00', end: '07:00', bypassEvents: ['clientUnavailable'] };
+
+  it('holds events during quiet hours, except bypassed ones', () => {
+    assert.equal(isHeldByQuietHours(quietHours, 'downloadFinished', at(23)), true);
+    assert.equal(isHeldByQuietHours(quietHours, 'downloadFinished', at(6, 59, 6)), true);
+    assert.equal(isHeldByQuietHours(quietHours, 'downloadFinished', at(7, 0, 6)), false);
+    assert.equal(isHeldByQuietHours(quietHours, 'clientUnavailable', at(23)), false);
+    assert.equal(isHeldByQuietHours({ ...quietHours, enabled: false }, 'downloadFinished', at(23)), false);
+  });
+
+  it('routes events to services with no filter or a matching one', () => {
+    assert.equal(serviceReceivesEvent({}, 'downloadFinished'), true);
+    assert.equal(serviceReceivesEvent({ events: [] }, 'downloadFinished'), true);
+    assert.equal(serviceReceivesEvent({ events: ['clientUnavailable'] }, 'downloadFinished'), false);
+  });
+
+  it('finds the last hourly and daily digest boundary', () => {
+    assert.equal(lastDigestBoundary({ digest: 'hourly' }, at(9, 41)), at(9).getTime());
+    assert.equal(lastDigestBoundary({ digest: 'daily', digestTime: '08:30' }, at(9, 41)), at(8, 30).getTime());
+    assert.equal(lastDigestBoundary({ digest: 'daily', digestTime: '08:30' }, at(7)), at(8, 30, 4).getTime());
+    assert.equal(lastDigestBoundary({ digest: 'off' }, at(9)), null);
+  });
+
+  it('sends queues once quiet hours end and digests once a boundary passes', () => {
+    const noQuiet = { enabled: false };
+    assert.equal(isQueueDue({ digest: 'off' }, at(23).getTime(), quietHours, at(23, 30)), false);
+    assert.equal(isQueueDue({ digest: 'off' }, at(23).getTime(), quietHours, at(7, 0, 6)), true);
+    assert.equal(isQueueDue({ digest: 'hourly' }, at(9, 10).getTime(), noQuiet, at(9, 59)), false);
+    assert.equal(isQueueDue({ digest: 'hourly' }, at(9, 10).getTime(), noQuiet, at(10)), true);
+    assert.equal(isQueueDue({ digest: 'daily', digestTime: '08:00' }, at(9).getTime(), noQuiet, at(7, 59, 6)), false);
+    assert.equal(isQueueDue({ digest: 'daily', digestTime: '08:00' }, at(9).getTime(), noQuiet, at(8, 0, 6)), true);
+  });
+
+  it('validates quiet hours and service settings', () => {
+    assert.equal(validateQuietHours(quietHours, EVENTS), null);
+    assert.match(validateQuietHours({ ...quietHours, start: '25:00' }, EVENTS), /start and end/);
+    assert.match(validateQuietHours({ ...quietHours, days: [] }, EVENTS), /at least one day/);
+    assert.match(validateQuietHours({ ...quietHours, bypassEvents: ['nope'] }, EVENTS), /Unknown event type in bypassEvents: nope/);
+    assert.equal(validateServiceSchedule({ events: ['downloadFinished'], digest: 'daily', digestTime: '08:00' }, EVENTS), null);
+    assert.match(validateServiceSchedule({ digest: 'weekly' }, EVENTS), /Invalid digest mode/);
+    assert.match(validateServiceSchedule({ digestTime: '8am' }, EVENTS), /HH:MM/);
+  });
+
+  it('renders a digest in the service format', () => {
+    const entries = [
+      { title: '✅ Download Complete', body: 'a_b.iso', at: at(23, 5).getTime() },
+      { title: '✅ Download Complete', body: 'c.iso', at: at(2, 40, 6).getTime() }
+    ];
+    assert.deepEqual(renderDigest(entries, { format: 'markdown', reason: 'quiet hours' }), {
+      title: '📬 2 notifications · quiet hours',
+      body: '*23:05 · ✅ Download Complete*\na_b.iso\n\n*02:40 · ✅ Download Complete*\nc.iso',
+      format: 'markdown'
+    });
+    assert.equal(renderDigest(entries.map(e => ({ ...e, title: '<x>' })), { format: 'html' }).body.split('\n')[0], '<b>23:05 · &lt;x&gt;</b>');
+  });
+});
+
+describe('NotificationManager quiet hours and digests', () => {
+  const saved = {};
+  let sent;
+
+  before(() => {
+    for (const key of ['notificationConfig', 'queuePath', 'queue', '_deliver', '_saveConfig', 'log', 'warn', 'error']) {
+      saved[key] = notificationManager[key];
+    }
+    notificationManager.queuePath = null;
+    notificationManager._saveConfig = () => {};
+    notificationManager.log = () => {};
+    notificationManager.warn = () => {};
+    notificationManager.error = () => {};
+    notificationManager._deliver = async (service, message) => {
+      sent.push([service.id, message]);
+      return { success: true, transport: 'native' };
+    };
+  });
+  after(() => Object.assign(notificationManager, saved));
+
+  beforeEach(() => {
+    sent = [];
+    notificationManager.queue = {};
+    notificationManager.notificationConfig = {
+      enabled: true,
+      events: { downloadFinished: true, clientUnavailable: true },
+      quietHours: { enabled: false, days: [0, 1, 2, 3, 4, 5, 6], start: '00:00', end: '00:00', bypassEvents: [] },
+      services: [
+        { id: 'pushover', name: 'Pushover', type: 'pushover', enabled: true, events: ['clientUnavailable'] },
+        { id: 'discord', name: 'Discord', type: 'discord', enabled: true, events: ['downloadFinished'] }
+      ]
+    };
+  });
+
+  it('routes each event only to its services', async () => {
+    await notificationManager.notify('clientUnavailable', { instanceName: 'qBittorrent' });
+    await notificationManager.notify('downloadFinished', { filename: 'ubuntu.iso' });
+    assert.deepEqual(sent.map(([id, message]) => [id, message.title]), [
+      ['pushover', '🔴 Client Offline · qBittorrent'],
+      ['discord', '✅ Download Complete']
+    ]);
+  });
+
+  it('holds events during quiet hours and sends them as one digest afterwards', async () => {
+    notificationManager.notificationConfig.quietHours.enabled = true;
+    await notificationManager.notify('downloadFinished', { filename: 'a.iso' });
+    await notificationManager.notify('downloadFinished', { filename: 'b.iso' });
+    assert.equal(sent.length, 0);
+    assert.equal(notificationManager.getServices().find(s => s.id === 'discord').queued, 2);
+
+    await notificationManager.flushDue();
+    assert.equal(sent.length, 0);
+
+    notificationManager.notificationConfig.quietHours.enabled = false;
+    await notificationManager.flushDue();
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0][1].title, '📬 2 notifications · quiet hours');
+    assert.match(sent[0][1].body, /a\.iso[\s\S]*b\.iso/);
+    assert.deepEqual(notificationManager.queue, {});
+  });
+
+  it('collects digest services until the next boundary', async () => {
+    notificationManager.notificationConfig.services[1].digest = 'hourly';
+    await notificationManager.notify('downloadFinished', { filename: 'a.iso' });
+    await notificationManager.notify('clientUnavailable', { instanceName: 'qBittorrent' });
+    assert.deepEqual(sent.map(([id]) => id), ['pushover']);
+
+    const queuedAt = new Date(notificationManager.queue.discord[0].at);
+    await notificationManager.flushDue(new Date(queuedAt.getTime() + 1));
+    assert.equal(sent.length, 1);
+
+    await notificationManager.flushDue(new Date(queuedAt.getTime() + HOUR));
+    assert.equal(sent.length, 2);
+    assert.equal(sent[1][1].title, '✅ Download Complete');
+  });
+
+  it('keeps held notifications queued when delivery fails', async () => {
+    notificationManager.notificationConfig.quietHours.enabled = true;
+    await notificationManager.notify('downloadFinished', { filename: 'a.iso' });
+    await notificationManager.notify('downloadFinished', { filename: 'b.iso' });
+    notificationManager.notificationConfig.quietHours.enabled = false;
+
+    const deliver = notificationManager._deliver;
+    notificationManager._deliver = async () => ({ success: false, message: 'down' });
+    try {
+      const result = await notificationManager.flushService('discord');
+      assert.deepEqual(result, { success: false, count: 2, message: 'down' });
+    } finally {
+      notificationManager._deliver = deliver;
+    }
+    assert.equal(notificationManager.queue.discord.length, 2);
+
+    await notificationManager.flushDue();
+    assert.equal(sent.length, 1);
+    assert.match(sent[0][1].body, /a\.iso[\s\S]*b\.iso/);
+    assert.deepEqual(notificationManager.queue, {});
+  });
+
+  it('discards held notifications of disabled and deleted services', async () => {
+    notificationManager.notificationConfig.quietHours.enabled = true;
+    await notificationManager.notify('downloadFinished', { filename: 'a.iso' });
+    await notificationManager.notify('clientUnavailable', { instanceName: 'qBittorrent' });
+    notificationManager.updateService('discord', { enabled: false });
+    notificationManager.notificationConfig.services = notificationManager.notificationConfig.services.filter(s => s.id !== 'pushover');
+
+    notificationManager.notificationConfig.quietHours.enabled = false;
+    await notificationManager.flushDue();
+    assert.equal(sent.length, 0);
+    assert.deepEqual(notificationManager.queue, {});
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TEMPLATES,
+  buildVariables,
+  renderTemplate,
+  resolveTemplate,
+  renderMessage,
+  validateTemplates,
+  compactTemplates
+} = require('../lib/notifications/templates');
+
+const FINISHED = {
+  filename: 'ubuntu_24.iso',
+  size: 1048576 * 10,
+  category: 'Linux',
+  owner: 'john',
+  triggeredBy: 'admin',
+  instanceName: 'qBittorrent',
+  clientType: 'qbittorrent',
+  downloadDuration: 5000
+};
+
+describe('renderTemplate', () => {
+  it('fills variables and resolves sections', () => {
+    const vars = { filename: 'a.iso', feedName: '', user: 'john' };
+    assert.equal(renderTemplate('{{filename}}{{#user}} for {{user}}{{/user}}{{^feedName}} (manual){{/feedName}}', vars),
+      'a.iso for john (manual)');
+    assert.equal(renderTemplate('{{#feedName}}from {{feedName}}{{/feedName}}{{^user}}nobody{{/user}}', vars), '');
+  });
+
+  it('drops lines whose tags all rendered empty, keeps literal blank lines', () => {
+    const vars = { filename: 'a.iso', userLine: '', feedName: '' };
+    assert.equal(renderTemplate('{{filename}}\n{{userLine}}\n\nDone\n{{#feedName}}📡 {{feedName}}{{/feedName}}', vars),
+      'a.iso\n\nDone');
+  });
+
+  it('escapes values, not the template, for markdown and html', () => {
+    const vars = { filename: 'my_file*<1>&.iso' };
+    assert.equal(renderTemplate('*{{filename}}*', vars, 'markdown'), '*my\\_file\\*<1>&.iso*');
+    assert.equal(renderTemplate('<b>{{filename}}</b>', vars, 'html'), '<b>my_file*&lt;1&gt;&amp;.iso</b>');
+    assert.equal(renderTemplate('{{filename}}', vars, 'plain'), 'my_file*<1>&.iso');
+  });
+});
+
+describe('buildVariables', () => {
+  it('derives user, size, speed and duration from event data', () => {
+    const vars = buildVariables('downloadFinished', FINISHED);
+    assert.equal(vars.user, 'john (by admin)');
+    assert.equal(vars.userLine, '👤 john (by admin) · 🏷️ Linux');
+    assert.equal(vars.instance, 'qBittorrent');
+    assert.equal(vars.size, '10.00 MB');
+    assert.equal(vars.speed, '2.00 MB/s');
+    assert.ok(vars.duration);
+  });
+});
+
+describe('renderMessage', () => {
+  it('reproduces the built-in text with the default templates', () => {
+    assert.deepEqual(renderMessage('downloadFinished', FINISHED), {
+      title: '✅ Download Complete · qBittorrent',
+      body: 'ubuntu_24.iso\n👤 john (by admin) · 🏷️ Linux',
+      format: 'plain'
+    });
+    assert.deepEqual(renderMessage('clientUnavailable', { instanceName: 'aMule' }), {
+      title: '🔴 Client Offline · aMule',
+      body: 'aMule is unreachable',
+      format: 'plain'
+    });
+  });
+
+  it('renders the detector events, without a file where there is none', () => {
+    assert.deepEqual(renderMessage('diskSpaceLow', { mountPoint: '/data', free: 1073741824 * 2, percentFree: 1 }), {
+      title: '💾 Low Disk Space',
+      body: '/data: 2.00 GB free (1%)',
+      format: 'plain'
+    });
+    assert.equal(renderMessage('searchCompleted', { query: 'debian', resultCount: 7, source: 'amule', instanceName: 'aMule' }).body,
+      '"debian": 7 results · aMule');
+    assert.equal(renderMessage('downloadStalled', { filename: 'a.iso', progress: 40, stalledDuration: 3600000 }).body,
+      'a.iso\n⏳ No progress for 1h at 40%');
+  });
+
+  it('keeps titles plain and falls back to plain for unknown formats', () => {
+    const template = { title: '{{filename}}\n done', body: '{{filename}}' };
+    assert.deepEqual(renderMessage('downloadAdded', FINISHED, { template, format: 'markdown' }), {
+      title: 'ubuntu_24.iso done', body: 'ubuntu\\_24.iso', format: 'markdown'
+    });
+    assert.equal(renderMessage('downloadAdded', FINISHED, { template, format: 'rtf' }).format, 'plain');
+  });
+});
+
+describe('resolveTemplate', () => {
+  it('picks each field from the most specific non-blank source', () => {
+    const service = { downloadAdded: { title: 'Service title', body: '  ' } };
+    const global = { downloadAdded: { body: 'Global body' }, fileMoved: { title: 'Moved' } };
+    assert.deepEqual(resolveTemplate('downloadAdded', service, global), { title: 'Service title', body: 'Global body' });
+    assert.deepEqual(resolveTemplate('fileMoved', undefined, global), { title: 'Moved', body: DEFAULT_TEMPLATES.fileMoved.body });
+  });
+});
+
+describe('validateTemplates / compactTemplates', () => {
+  it('accepts known events and rejects bad shapes', () => {
+    assert.equal(validateTemplates(undefined), null);
+    assert.equal(validateTemplates({ downloadAdded: { title: 'x' } }), null);
+    assert.match(validateTemplates([]), /must be an object/);
+    assert.match(validateTemplates({ nope: { title: 'x' } }), /Unknown event type/);
+    assert.match(validateTemplates({ downloadAdded: { body: 5 } }), /must be a string/);
+    assert.match(validateTemplates({ downloadAdded: { body: 'x'.repeat(2001) } }), /longer than 2000/);
+  });
+
+  it('drops blank fields and events without overrides', () => {
+    assert.deepEqual(compactTemplates({
+      downloadAdded: { title: 'New', body: '' },
+      fileMoved: { title: ' ', body: null }
+    }), { downloadAdded: { title: 'New' } });
+  });
+});
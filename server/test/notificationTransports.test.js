@@ -0,0 +1,390 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const net = require('node:net');
+const { sendNative, withRetry } = require('../lib/notifications/transports');
+const notificationManager = require('../lib/NotificationManager');
+
+const MESSAGE = { title: '✅ Download Complete · qBittorrent', body: 'ubuntu.iso\n👤 john' };
+
+// ============================================================================
+// STAND-INS
+// ============================================================================
+
+/**
+ * HTTP stand-in for the push services: records every request and answers
+ * with the next queued response (200 when the queue is empty)
+ */
+function createHttpStandIn() {
+  const standIn = { url: null, requests: [], responses: [] };
+  standIn.server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      standIn.requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      const { status = 200, headers = {}, body: out = '{}' } = standIn.responses.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(out);
+    });
+  });
+  return standIn;
+}
+
+/**
+ * SMTP stand-in: EHLO with AUTH PLAIN/LOGIN, records the envelope and data.
+ * `replies` overrides the reply to a command (e.g. { AUTH: '535 5.7.8 Bad credentials' }).
+ */
+function createSmtpStandIn() {
+  const standIn = { port: null, sessions: [], replies: {}, mechanisms: 'PLAIN LOGIN' };
+  standIn.server = net.createServer((socket) => {
+    const session = { auth: [], mailFrom: null, rcptTo: [], data: null };
+    standIn.sessions.push(session);
+    let buffer = '';
+    let mode = 'command';
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.setEncoding('utf8');
+    reply('220 stand-in ESMTP');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      if (mode === 'data') {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        mode = 'command';
+        reply('250 2.0.0 queued');
+      }
+      let index;
+      while (mode !== 'data' && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const verb = line.split(' ')[0].toUpperCase();
+
+        if (mode === 'login-user') { session.auth.push(line); mode = 'login-pass'; reply('334 UGFzc3dvcmQ6'); continue; }
+        if (mode === 'login-pass') { session.auth.push(line); mode = 'command'; reply(standIn.replies.AUTH || '235 2.7.0 ok'); continue; }
+        if (standIn.replies[verb] && verb !== 'AUTH') { reply(standIn.replies[verb]); continue; }
+
+        switch (verb) {
+          case 'EHLO':
+            reply('250-stand-in');
+            reply(`250-AUTH ${standIn.mechanisms}`);
+            reply('250 8BITMIME');
+            break;
+          case 'AUTH':
+            session.auth.push(line);
+            if (/^AUTH LOGIN$/i.test(line)) { mode = 'login-user'; reply('334 VXNlcm5hbWU6'); }
+            else reply(standIn.replies.AUTH || '235 2.7.0 ok');
+            break;
+          case 'MAIL': session.mailFrom = line; reply('250 ok'); break;
+          case 'RCPT': session.rcptTo.push(line); reply('250 ok'); break;
+          case 'DATA': mode = 'data'; reply('354 go ahead'); break;
+          case 'QUIT': reply('221 bye'); socket.end(); break;
+          default: reply('502 unknown command');
+        }
+      }
+    });
+  });
+  return standIn;
+}
+
+/**
+ * Decode the base64 text body of a recorded message
+ */
+function decodeMailBody(data) {
+  const [headers, ...rest] = data.split('\r\n\r\n');
+  return { headers, text: Buffer.from(rest.join('\r\n\r\n').replace(/\r\n/g, ''), 'base64').toString('utf8') };
+}
+
+const httpStandIn = createHttpStandIn();
+const smtpStandIn = createSmtpStandIn();
+let endpoints;
+
+before(async () => {
+  await new Promise(resolve => httpStandIn.server.listen(0, '127.0.0.1', resolve));
+  httpStandIn.url = `http://127.0.0.1:${httpStandIn.server.address().port}`;
+  endpoints = { discord: httpStandIn.url, slack: httpStandIn.url, telegram: httpStandIn.url, pushover: httpStandIn.url };
+  await new Promise(resolve => smtpStandIn.server.listen(0, '127.0.0.1', resolve));
+  smtpStandIn.port = smtpStandIn.server.address().port;
+});
+
+after(() => {
+  httpStandIn.server.close();
+  smtpStandIn.server.close();
+});
+
+beforeEach(() => {
+  httpStandIn.requests = [];
+  httpStandIn.responses = [];
+  smtpStandIn.sessions = [];
+  smtpStandIn.replies = {};
+  smtpStandIn.mechanisms = 'PLAIN LOGIN';
+});
+
+// ============================================================================
+// HTTP TRANSPORTS
+// ============================================================================
+
+describe('native HTTP transports', () => {
+  it('webhook posts the Apprise json:// payload', async () => {
+    await sendNative('webhook', { url: `${httpStandIn.url}/hook?x=1` }, MESSAGE);
+    const [req] = httpStandIn.requests;
+    assert.equal(req.path, '/hook?x=1');
+    assert.equal(req.headers['content-type'], 'application/json');
+    assert.deepEqual(JSON.parse(req.body), {
+      version: '1.0', title: MESSAGE.title, message: MESSAGE.body, attachments: [], type: 'info'
+    });
+  });
+
+  it('ntfy publishes JSON to the host with the topic in the body', async () => {
+    await sendNative('ntfy', { topic: 'downloads', host: `${httpStandIn.url}/` }, MESSAGE);
+    const [req] = httpStandIn.requests;
+    assert.equal(req.path, '/');
+    assert.deepEqual(JSON.parse(req.body), { topic: 'downloads', title: MESSAGE.title, message: MESSAGE.body });
+  });
+
+  it('gotify sends the app token as X-Gotify-Key, bare hosts over http', async () => {
+    await sendNative('gotify', { host: httpStandIn.url.replace('http://', ''), token: 'app-token' }, MESSAGE);
+    const [req] = httpStandIn.requests;
+    assert.equal(req.path, '/message');
+    assert.equal(req.headers['x-gotify-key'], 'app-token');
+    assert.deepEqual(JSON.parse(req.body), { title: MESSAGE.title, message: MESSAGE.body, priority: 5 });
+  });
+
+  it('discord, slack and telegram post to their webhook/bot paths', async () => {
+    await sendNative('discord', { webhook_id: '123', webhook_token: 'tok/en' }, MESSAGE, { endpoints });
+    await sendNative('slack', { token_a: 'T0', token_b: 'B0', token_c: 'XYZ', channel: '#general' }, MESSAGE, { endpoints });
+    await sendNative('telegram', { bot_token: '42:ABC', chat_id: '-100' }, MESSAGE, { endpoints });
+
+    const [discord, slack, telegram] = httpStandIn.requests;
+    assert.equal(discord.path, '/api/webhooks/123/tok%2Fen');
+    assert.equal(JSON.parse(discord.body).content, `**${MESSAGE.title}**\n${MESSAGE.body}`);
+    assert.equal(slack.path, '/services/T0/B0/XYZ');
+    assert.deepEqual(JSON.parse(slack.body), { text: `*${MESSAGE.title}*\n${MESSAGE.body}`, channel: '#general' });
+    assert.equal(telegram.path, '/bot42:ABC/sendMessage');
+    assert.deepEqual(JSON.parse(telegram.body), { chat_id: '-100', text: `${MESSAGE.title}\n${MESSAGE.body}` });
+  });
+
+  it('marks formatted bodies for services that render them', async () => {
+    const markdown = { title: 'Done_now', body: '*ubuntu\\_24.iso*', format: 'markdown' };
+    const html = { title: 'A & B', body: '<b>ubuntu.iso</b>', format: 'html' };
+    await sendNative('telegram', { bot_token: '42:ABC', chat_id: '-100' }, markdown, { endpoints });
+    await sendNative('telegram', { bot_token: '42:ABC', chat_id: '-100' }, html, { endpoints });
+    await sendNative('ntfy', { topic: 't', host: httpStandIn.url }, markdown);
+    await sendNative('pushover', { user_key: 'user', api_token: 'app' }, html, { endpoints });
+
+    const [tgMarkdown, tgHtml, ntfy, pushover] = httpStandIn.requests.map(r => r.body);
+    assert.deepEqual(JSON.parse(tgMarkdown), { chat_id: '-100', text: '*Done\\_now*\n*ubuntu\\_24.iso*', parse_mode: 'Markdown' });
+    assert.deepEqual(JSON.parse(tgHtml), { chat_id: '-100', text: '<b>A &amp; B</b>\n<b>ubuntu.iso</b>', parse_mode: 'HTML' });
+    assert.equal(JSON.parse(ntfy).markdown, true);
+    assert.equal(new URLSearchParams(pushover).get('html'), '1');
+  });
+
+  it('pushover posts a form with token, user, title and message', async () => {
+    await sendNative('pushover', { user_key: 'user', api_token: 'app' }, MESSAGE, { endpoints });
+    const [req] = httpStandIn.requests;
+    assert.equal(req.path, '/1/messages.json');
+    assert.equal(req.headers['content-type'], 'application/x-www-form-urlencoded');
+    assert.deepEqual(Object.fromEntries(new URLSearchParams(req.body)), {
+      token: 'app', user: 'user', title: MESSAGE.title, message: MESSAGE.body
+    });
+  });
+
+  it('classifies failures as retryable or not', async () => {
+    const send = () => sendNative('webhook', { url: httpStandIn.url }, MESSAGE);
+
+    httpStandIn.responses.push({ status: 503, body: 'down' });
+    await assert.rejects(send, { message: 'HTTP 503: down', retryable: true, status: 503 });
+
+    httpStandIn.responses.push({ status: 429, headers: { 'Retry-After': '7' } });
+    await assert.rejects(send, { retryable: true, retryAfterMs: 7000 });
+
+    httpStandIn.responses.push({ status: 401, body: '{"error":"unauthorized"}' });
+    await assert.rejects(send, { status: 401, retryable: false });
+
+    await assert.rejects(() => sendNative('discord', { webhook_id: '1' }, MESSAGE),
+      { message: 'Missing configuration: webhook_token', retryable: false });
+
+    // Nothing listens on the port the closed server had
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+    await assert.rejects(() => sendNative('webhook', { url: `http://127.0.0.1:${port}/` }, MESSAGE),
+      { retryable: true });
+  });
+});
+
+// ============================================================================
+// SMTP
+// ============================================================================
+
+describe('native email transport', () => {
+  const emailConfig = () => ({
+    smtp_host: '127.0.0.1',
+    smtp_port: smtpStandIn.port,
+    smtp_user: 'bot@example.com',
+    smtp_password: 'secret',
+    to_email: 'me@example.com, you@example.com',
+    // The stand-in has no STARTTLS
+    smtp_allow_insecure_auth: true
+  });
+
+  it('authenticates with AUTH PLAIN and sends a base64 UTF-8 message', async () => {
+    await sendNative('email', emailConfig(), MESSAGE);
+
+    const [session] = smtpStandIn.sessions;
+    assert.deepEqual(session.auth, [`AUTH PLAIN ${Buffer.from('\0bot@example.com\0secret').toString('base64')}`]);
+    assert.equal(session.mailFrom, 'MAIL FROM:<bot@example.com>');
+    assert.deepEqual(session.rcptTo, ['RCPT TO:<me@example.com>', 'RCPT TO:<you@example.com>']);
+
+    const { headers, text } = decodeMailBody(session.data);
+    assert.match(headers, /^Subject: =\?UTF-8\?B\?(.+)\?=$/m);
+    const subject = headers.match(/^Subject: =\?UTF-8\?B\?(.+)\?=$/m)[1];
+    assert.equal(Buffer.from(subject, 'base64').toString('utf8'), MESSAGE.title);
+    assert.match(headers, /^To: me@example.com, you@example.com$/m);
+    assert.equal(text, MESSAGE.body.replace(/\n/g, '\r\n'));
+  });
+
+  it('falls back to AUTH LOGIN', async () => {
+    smtpStandIn.mechanisms = 'LOGIN';
+    await sendNative('email', emailConfig(), MESSAGE);
+    assert.deepEqual(smtpStandIn.sessions[0].auth, [
+      'AUTH LOGIN',
+      Buffer.from('bot@example.com').toString('base64'),
+      Buffer.from('secret').toString('base64')
+    ]);
+  });
+
+  it('treats 5xx replies as permanent and 4xx as retryable', async () => {
+    smtpStandIn.replies.AUTH = '535 5.7.8 Bad credentials';
+    await assert.rejects(() => sendNative('email', emailConfig(), MESSAGE),
+      { message: 'SMTP AUTH failed: 535 5.7.8 Bad credentials', retryable: false });
+
+    smtpStandIn.replies = { RCPT: '451 4.3.0 Try again later' };
+    await assert.rejects(() => sendNative('email', emailConfig(), MESSAGE), { retryable: true });
+  });
+
+  it('accepts recipients the server forwards (251)', async () => {
+    smtpStandIn.replies.RCPT = '251 2.1.5 User not local; will forward';
+    await sendNative('email', emailConfig(), MESSAGE);
+    assert.ok(smtpStandIn.sessions[0].data);
+  });
+
+  it('refuses to send the password unencrypted unless allowed', async () => {
+    await assert.rejects(() => sendNative('email', { ...emailConfig(), smtp_allow_insecure_auth: false }, MESSAGE),
+      { message: 'SMTP server does not support STARTTLS, refusing to send the password unencrypted', retryable: false });
+    assert.deepEqual(smtpStandIn.sessions[0].auth, []);
+
+    await sendNative('email', { ...emailConfig(), smtp_allow_insecure_auth: false, smtp_password: '' }, MESSAGE);
+    assert.ok(smtpStandIn.sessions[1].data);
+  });
+
+  it('requires STARTTLS when SSL/TLS is enabled', async () => {
+    await assert.rejects(() => sendNative('email', { ...emailConfig(), smtp_secure: true }, MESSAGE),
+      { message: 'SMTP server does not support STARTTLS', retryable: false });
+    assert.equal(smtpStandIn.sessions[0].mailFrom, null);
+  });
+});
+
+// ============================================================================
+// RETRIES AND DELIVERY STATUS
+// ============================================================================
+
+describe('withRetry', () => {
+  const failing = (errors) => {
+    const calls = [];
+    const attempt = async (n) => {
+      calls.push(n);
+      const err = errors.shift();
+      if (err) throw err;
+      return 'sent';
+    };
+    return { calls, attempt };
+  };
+
+  it('retries retryable errors with the configured backoff', async () => {
+    const waits = [];
+    const { calls, attempt } = failing([
+      Object.assign(new Error('503'), { retryable: true }),
+      Object.assign(new Error('429'), { retryable: true, retryAfterMs: 9000 })
+    ]);
+    const result = await withRetry(attempt, { delays: [100, 200, 300], wait: async ms => waits.push(ms) });
+    assert.equal(result, 'sent');
+    assert.deepEqual(calls, [1, 2, 3]);
+    assert.deepEqual(waits, [100, 9000]);
+  });
+
+  it('gives up on permanent errors and when retries run out', async () => {
+    const permanent = failing([Object.assign(new Error('401'), { retryable: false })]);
+    await assert.rejects(() => withRetry(permanent.attempt, { delays: [1], wait: async () => {} }), /401/);
+    assert.deepEqual(permanent.calls, [1]);
+
+    const transient = () => Object.assign(new Error('down'), { retryable: true });
+    const exhausted = failing([transient(), transient(), transient()]);
+    await assert.rejects(() => withRetry(exhausted.attempt, { delays: [1, 1], wait: async () => {} }), /down/);
+    assert.deepEqual(exhausted.calls, [1, 2, 3]);
+  });
+});
+
+describe('NotificationManager delivery', () => {
+  const saved = {};
+  before(() => {
+    for (const key of ['notificationConfig', 'appriseAvailable', 'retryDelays', '_sendApprise', 'warn', 'log', 'error']) {
+      saved[key] = notificationManager[key];
+    }
+    notificationManager.retryDelays = [1];
+    notificationManager.warn = () => {};
+    notificationManager.log = () => {};
+    notificationManager.error = () => {};
+  });
+  after(() => Object.assign(notificationManager, saved));
+
+  const useServices = (services) => {
+    notificationManager.notificationConfig = { enabled: true, events: { downloadFinished: true }, services };
+    notificationManager.serviceStatus.clear();
+  };
+
+  it('retries, then records per-service status', async () => {
+    useServices([{ id: 'a', name: 'Hook', type: 'webhook', enabled: true, transport: 'native', config: { url: httpStandIn.url } }]);
+    notificationManager.appriseAvailable = { available: false };
+    httpStandIn.responses.push({ status: 502 });
+
+    await notificationManager.notify('downloadFinished', { filename: 'ubuntu.iso' });
+    assert.equal(httpStandIn.requests.length, 2);
+    const [service] = notificationManager.getServices();
+    assert.equal(service.deliveryStatus.transport, 'native');
+    assert.equal(service.deliveryStatus.sent, 1);
+    assert.equal(service.deliveryStatus.consecutiveFailures, 0);
+    assert.ok(service.deliveryStatus.lastSuccessAt);
+  });
+
+  it('falls back to Apprise in auto mode and reports failures per service', async () => {
+    useServices([
+      { id: 'a', name: 'Auto', type: 'webhook', enabled: true, config: { url: httpStandIn.url } },
+      { id: 'b', name: 'Native', type: 'webhook', enabled: true, transport: 'native', config: { url: httpStandIn.url } }
+    ]);
+    notificationManager.appriseAvailable = { available: true };
+    const appriseUrls = [];
+    notificationManager._sendApprise = async (title, body, urls) => {
+      appriseUrls.push(...urls);
+      return { success: true, message: 'ok' };
+    };
+    httpStandIn.responses.push({ status: 400, body: '' }, { status: 400, body: '' });
+
+    const result = await notificationManager.testServices();
+    assert.equal(result.success, false);
+    assert.deepEqual(result.results.map(r => [r.name, r.success, r.transport]), [
+      ['Auto', true, 'apprise'],
+      ['Native', false, 'native']
+    ]);
+    assert.equal(result.message, 'Native: HTTP 400');
+    assert.deepEqual(appriseUrls, [`json://${httpStandIn.url.replace('http://', '')}`]);
+
+    const status = Object.fromEntries(notificationManager.getServices().map(s => [s.id, s.deliveryStatus]));
+    assert.equal(status.a.transport, 'apprise');
+    assert.equal(status.b.lastError, 'HTTP 400');
+    assert.equal(status.b.consecutiveFailures, 1);
+  });
+});
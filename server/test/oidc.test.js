@@ -0,0 +1,379 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { OidcClient, createPkcePair, validateClaims } = require('../lib/oidc/oidcClient');
+const { getClaim, deriveUsername, getGroups, resolveAccess, getLinkRefusal } = require('../lib/oidc/claimMapping');
+const config = require('../modules/config');
+const oidcAPI = require('../modules/oidcAPI');
+
+const CLIENT_ID = 'amutorrent';
+const CLIENT_SECRET = 's3cret';
+const REDIRECT_URI = 'http://app.local/api/auth/oidc/callback';
+const CAPS = ['search', 'add_downloads', 'view_history', 'view_logs'];
+
+// ============================================================================
+// MOCK ISSUER
+// ============================================================================
+
+function signJwt(payload, { key, kid, alg = 'RS256' }) {
+  const header = Buffer.from(JSON.stringify({ alg, kid, typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const hash = `sha${alg.slice(2)}`;
+  const signature = alg.startsWith('ES')
+    ? crypto.sign(hash, Buffer.from(`${header}.${body}`), { key, dsaEncoding: 'ieee-p1363' })
+    : crypto.sign(hash, Buffer.from(`${header}.${body}`), key);
+  return `${header}.${body}.${signature.toString('base64url')}`;
+}
+
+function createKey(kid, type = 'rsa') {
+  const { privateKey, publicKey } = type === 'ec'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' } };
+}
+
+/**
+ * Minimal OpenID provider: discovery, JWKS, token endpoint (PKCE + Basic auth), userinfo.
+ * Codes are registered by the test with issueCode() to stand in for the browser redirect.
+ */
+function createIssuer() {
+  const issuer = {
+    url: null,
+    keys: [createKey('rsa-1')],
+    signingKey: null,
+    codes: new Map(),
+    jwksRequests: 0,
+    claims: {},
+    userInfo: null
+  };
+  issuer.signingKey = issuer.keys[0];
+
+  issuer.issueCode = (authorizationUrl, extraClaims = {}) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    issuer.codes.set(code, {
+      challenge: params.get('code_challenge'),
+      nonce: params.get('nonce'),
+      redirectUri: params.get('redirect_uri'),
+      claims: extraClaims
+    });
+    return code;
+  };
+
+  issuer.server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer.url);
+    const json = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return json(200, {
+        issuer: issuer.url,
+        authorization_endpoint: `${issuer.url}/authorize`,
+        token_endpoint: `${issuer.url}/token`,
+        jwks_uri: `${issuer.url}/jwks`,
+        userinfo_endpoint: `${issuer.url}/userinfo`
+      });
+    }
+    if (url.pathname === '/jwks') {
+      issuer.jwksRequests++;
+      return json(200, { keys: issuer.keys.map(k => k.jwk) });
+    }
+    if (url.pathname === '/userinfo') {
+      return json(200, issuer.userInfo || {});
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(body);
+        const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+        if (req.headers.authorization !== expectedAuth) return json(401, { error: 'invalid_client' });
+
+        const grant = issuer.codes.get(form.get('code'));
+        issuer.codes.delete(form.get('code'));
+        const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+        if (!grant || grant.challenge !== challenge || grant.redirectUri !== form.get('redirect_uri')) {
+          return json(400, { error: 'invalid_grant' });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const idToken = signJwt({
+          iss: issuer.url,
+          aud: CLIENT_ID,
+          sub: 'user-123',
+          iat: now,
+          exp: now + 300,
+          nonce: grant.nonce,
+          ...issuer.claims,
+          ...grant.claims
+        }, { key: issuer.signingKey.privateKey, kid: issuer.signingKey.kid, alg: issuer.signingKey.alg });
+        json(200, { access_token: 'access', token_type: 'Bearer', id_token: idToken });
+      });
+      return;
+    }
+    json(404, { error: 'not_found' });
+  });
+
+  return issuer;
+}
+
+async function authorize(client, issuer, claims) {
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const nonce = 'nonce-' + crypto.randomBytes(4).toString('hex');
+  const url = await client.getAuthorizationUrl({ redirectUri: REDIRECT_URI, state: 'state', nonce, codeChallenge });
+  const code = issuer.issueCode(url, claims);
+  return { code, codeVerifier, nonce, url };
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('OidcClient against a mock issuer', () => {
+  let issuer;
+
+  before(async () => {
+    issuer = createIssuer();
+    await new Promise(resolve => issuer.server.listen(0, '127.0.0.1', resolve));
+    issuer.url = `http://127.0.0.1:${issuer.server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => issuer.server.close(resolve)));
+
+  const newClient = (overrides = {}) => new OidcClient({
+    issuerUrl: `${issuer.url}/`,
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    ...overrides
+  });
+
+  it('builds an authorization URL with PKCE, state and nonce', async () => {
+    const url = new URL(await newClient().getAuthorizationUrl({
+      redirectUri: REDIRECT_URI, state: 'abc', nonce: 'xyz', codeChallenge: 'challenge', scopes: 'profile groups'
+    }));
+    assert.equal(url.origin + url.pathname, `${issuer.url}/authorize`);
+    assert.equal(url.searchParams.get('response_type'), 'code');
+    assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+    assert.equal(url.searchParams.get('scope'), 'openid profile groups');
+    assert.equal(url.searchParams.get('state'), 'abc');
+    assert.equal(url.searchParams.get('nonce'), 'xyz');
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+  });
+
+  it('exchanges a code and verifies the ID token', async () => {
+    const client = newClient();
+    const { code, codeVerifier, nonce } = await authorize(client, issuer, { preferred_username: 'alice' });
+    const tokens = await client.exchangeCode({ code, redirectUri: REDIRECT_URI, codeVerifier });
+    const claims = await client.verifyIdToken(tokens.id_token, { nonce });
+    assert.equal(claims.sub, 'user-123');
+    assert.equal(claims.preferred_username, 'alice');
+  });
+
+  it('rejects a code exchanged with the wrong PKCE verifier', async () => {
+    const client = newClient();
+    const { code } = await authorize(client, issuer);
+    await assert.rejects(
+      client.exchangeCode({ code, redirectUri: REDIRECT_URI, codeVerifier: createPkcePair().codeVerifier }),
+      /invalid_grant/
+    );
+  });
+
+  it('rejects a wrong nonce and a tampered token', async () => {
+    const client = newClient();
+    const { code, codeVerifier, nonce } = await authorize(client, issuer);
+    const { id_token: idToken } = await client.exchangeCode({ code, redirectUri: REDIRECT_URI, codeVerifier });
+
+    await assert.rejects(client.verifyIdToken(idToken, { nonce: 'other' }), /nonce mismatch/);
+
+    const [header, payload, signature] = idToken.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'admin' })).toString('base64url');
+    await assert.rejects(client.verifyIdToken(`${header}.${forged}.${signature}`, { nonce }), /Invalid ID token signature/);
+  });
+
+  it('refetches the JWKS when the provider rotates to an unknown key', async () => {
+    const client = newClient();
+    await client.getSigningKeys();
+    const before = issuer.jwksRequests;
+
+    const rotated = { ...createKey('ec-2', 'ec'), alg: 'ES256' };
+    issuer.keys.push(rotated);
+    issuer.signingKey = rotated;
+    try {
+      const { code, codeVerifier, nonce } = await authorize(client, issuer);
+      const { id_token: idToken } = await client.exchangeCode({ code, redirectUri: REDIRECT_URI, codeVerifier });
+      const claims = await client.verifyIdToken(idToken, { nonce });
+      assert.equal(claims.sub, 'user-123');
+      assert.equal(issuer.jwksRequests, before + 1);
+    } finally {
+      issuer.keys.pop();
+      issuer.signingKey = issuer.keys[0];
+    }
+  });
+
+  it('rejects unsigned tokens', async () => {
+    const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ iss: issuer.url, aud: CLIENT_ID, sub: 'x' })).toString('base64url');
+    await assert.rejects(newClient().verifyIdToken(`${header}.${payload}.`, { nonce: 'n' }), /Unsupported ID token algorithm/);
+  });
+
+  it('fails discovery when the issuer does not match', async () => {
+    const client = newClient({ issuerUrl: issuer.url.replace('127.0.0.1', 'localhost') });
+    await assert.rejects(client.discover(), /does not match configured issuer/);
+  });
+
+  it('fetches userinfo claims', async () => {
+    issuer.userInfo = { sub: 'user-123', groups: ['media'] };
+    const info = await newClient().fetchUserInfo('access');
+    assert.deepEqual(info.groups, ['media']);
+    issuer.userInfo = null;
+  });
+});
+
+describe('validateClaims', () => {
+  const now = 1700000000;
+  const base = { iss: 'https://idp.example', aud: CLIENT_ID, sub: 'u', exp: now + 60, iat: now, nonce: 'n' };
+  const expected = { issuer: 'https://idp.example/', clientId: CLIENT_ID, nonce: 'n', now };
+
+  it('accepts valid claims (issuer compared without trailing slash)', () => {
+    assert.doesNotThrow(() => validateClaims(base, expected));
+  });
+
+  it('rejects issuer, audience, azp and expiry problems', () => {
+    assert.throws(() => validateClaims({ ...base, iss: 'https://evil.example' }, expected), /issuer mismatch/);
+    assert.throws(() => validateClaims({ ...base, aud: 'other' }, expected), /audience mismatch/);
+    assert.throws(() => validateClaims({ ...base, aud: [CLIENT_ID, 'other'], azp: 'other' }, expected), /authorized party/);
+    assert.throws(() => validateClaims({ ...base, exp: now - 120 }, expected), /expired/);
+    assert.throws(() => validateClaims({ ...base, iat: now + 600 }, expected), /future/);
+  });
+});
+
+describe('claim mapping', () => {
+  it('reads dotted claim paths', () => {
+    assert.deepEqual(getClaim({ realm_access: { roles: ['a'] } }, 'realm_access.roles'), ['a']);
+    assert.equal(getClaim({ 'https://x.io/name': 'v' }, 'https://x.io/name'), 'v');
+  });
+
+  it('derives a valid username with fallbacks', () => {
+    assert.equal(deriveUsername({ preferred_username: 'john.doe' }), 'john_doe');
+    assert.equal(deriveUsername({ email: 'jane@example.com' }, 'nickname'), 'jane');
+    assert.equal(deriveUsername({ preferred_username: 'x' }), null);
+    assert.equal(deriveUsername({ upn: 'a'.repeat(40) }, 'upn'), 'a'.repeat(32));
+  });
+
+  it('reads groups from arrays or strings', () => {
+    assert.deepEqual(getGroups({ groups: ['a', 'b'] }), ['a', 'b']);
+    assert.deepEqual(getGroups({ roles: 'a, b c' }, 'roles'), ['a', 'b', 'c']);
+    assert.deepEqual(getGroups({}), []);
+  });
+
+  it('leaves admin and capabilities unmanaged without mappings', () => {
+    assert.deepEqual(resolveAccess(['x'], {}, CAPS), { allowed: true, isAdmin: null, capabilities: null });
+  });
+
+  it('applies allowed groups, admin groups and capability mappings', () => {
+    const mapping = {
+      allowedGroups: ['media'],
+      adminGroups: ['admins'],
+      groupCapabilities: [
+        { group: 'media', capabilities: ['search', 'add_downloads', 'bogus'] },
+        { group: 'ops', capabilities: ['view_logs'] }
+      ]
+    };
+    assert.deepEqual(resolveAccess(['guests'], mapping, CAPS), { allowed: false, isAdmin: false, capabilities: null });
+    assert.deepEqual(resolveAccess(['admins'], mapping, CAPS), { allowed: true, isAdmin: true, capabilities: null });
+    assert.deepEqual(
+      resolveAccess(['media', 'ops'], mapping, CAPS),
+      { allowed: true, isAdmin: false, capabilities: ['search', 'add_downloads', 'view_logs'] }
+    );
+  });
+
+  it('ignores blank and padded group entries from the settings form', () => {
+    const mapping = {
+      allowedGroups: [' media', ''],
+      adminGroups: [''],
+      groupCapabilities: [{ group: 'media ', capabilities: ['search'] }]
+    };
+    assert.deepEqual(resolveAccess(['media'], mapping, CAPS), { allowed: true, isAdmin: null, capabilities: ['search'] });
+    assert.equal(resolveAccess(['other'], mapping, CAPS).allowed, false);
+  });
+});
+
+describe('account linking', () => {
+  const local = { id: 2, username: 'john', password_hash: 'hash', is_admin: false, totp_enabled: false, oidc_subject: null };
+  const verified = { sub: 'sub-1', preferred_username: 'john', email_verified: true };
+
+  it('links accounts without a password', () => {
+    assert.equal(getLinkRefusal({ ...local, password_hash: null }, { sub: 'sub-1' }), null);
+  });
+
+  it('links password accounts only when opted in and the email is verified', () => {
+    assert.match(getLinkRefusal(local, verified), /with a password/);
+    assert.match(getLinkRefusal(local, { ...verified, email_verified: false }, { linkExistingAccounts: true }), /with a password/);
+    assert.match(getLinkRefusal(local, { ...verified, email_verified: 'true' }, { linkExistingAccounts: true }), /with a password/);
+    assert.equal(getLinkRefusal(local, verified, { linkExistingAccounts: true }), null);
+  });
+
+  it('never links admin or two-factor accounts', () => {
+    const optIn = { linkExistingAccounts: true };
+    assert.match(getLinkRefusal({ ...local, is_admin: true, password_hash: null }, verified, optIn), /admin account/);
+    assert.match(getLinkRefusal({ ...local, totp_enabled: true }, verified, optIn), /two-factor/);
+  });
+
+  describe('_resolveUser', () => {
+    const saved = {};
+    let user;
+    let linked;
+
+    before(() => {
+      saved.getOidcConfig = config.getOidcConfig;
+      for (const key of ['userManager', 'log', 'warn']) saved[key] = oidcAPI[key];
+      oidcAPI.log = () => {};
+      oidcAPI.warn = () => {};
+      oidcAPI.userManager = {
+        getUserByOidcSubject: () => null,
+        getUserByUsername: (username) => (username === user.username ? user : null),
+        setOidcSubject: (id, subject) => { linked = [id, subject]; },
+        getUser: () => user
+      };
+    });
+    after(() => {
+      config.getOidcConfig = saved.getOidcConfig;
+      Object.assign(oidcAPI, { userManager: saved.userManager, log: saved.log, warn: saved.warn });
+    });
+
+    const resolve = (account, claims, oidc = {}) => {
+      user = account;
+      linked = null;
+      config.getOidcConfig = () => oidc;
+      return oidcAPI._resolveUser(claims);
+    };
+
+    it('refuses to take over an admin account by username', () => {
+      assert.throws(() => resolve({ ...local, is_admin: true }, verified, { linkExistingAccounts: true }), /admin account/);
+      assert.equal(linked, null);
+    });
+
+    it('refuses to take over a two-factor account by username', () => {
+      assert.throws(() => resolve({ ...local, totp_enabled: true }, verified, { linkExistingAccounts: true }), /two-factor/);
+      assert.equal(linked, null);
+    });
+
+    it('refuses to take over a password account without the opt-in', () => {
+      assert.throws(() => resolve(local, verified), /with a password/);
+      assert.equal(linked, null);
+    });
+
+    it('refuses to take over a password account when the email is unverified', () => {
+      assert.throws(() => resolve(local, { ...verified, email_verified: false }, { linkExistingAccounts: true }), /with a password/);
+      assert.equal(linked, null);
+    });
+
+    it('links an eligible account to the subject', () => {
+      resolve({ ...local, password_hash: null }, verified);
+      assert.deepEqual(linked, [2, 'sub-1']);
+    });
+  });
+});
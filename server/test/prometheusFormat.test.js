@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricFamily, escapeLabelValue, formatValue, formatMetricFamilies } = require('../lib/prometheusFormat');
+const config = require('../modules/config');
+const prometheusAPI = require('../modules/prometheusAPI');
+
+describe('escapeLabelValue', () => {
+  it('escapes backslashes, quotes and newlines', () => {
+    assert.equal(escapeLabelValue('a\\b"c\nd'), 'a\\\\b\\"c\\nd');
+  });
+
+  it('coerces null and numbers to strings', () => {
+    assert.equal(escapeLabelValue(null), '');
+    assert.equal(escapeLabelValue(42), '42');
+  });
+});
+
+describe('formatValue', () => {
+  it('maps booleans and special floats', () => {
+    assert.equal(formatValue(true), '1');
+    assert.equal(formatValue(false), '0');
+    assert.equal(formatValue(NaN), 'NaN');
+    assert.equal(formatValue(Infinity), '+Inf');
+    assert.equal(formatValue(-Infinity), '-Inf');
+    assert.equal(formatValue(1.5), '1.5');
+  });
+});
+
+describe('MetricFamily', () => {
+  it('rejects invalid metric and label names', () => {
+    assert.throws(() => new MetricFamily('bad-name', 'gauge', 'x'), /Invalid metric name/);
+    assert.throws(() => new MetricFamily('ok_name', 'histogram', 'x'), /Invalid metric type/);
+    const family = new MetricFamily('ok_name', 'gauge', 'x');
+    assert.throws(() => family.add({ 'bad-label': 'v' }, 1), /Invalid label name/);
+  });
+
+  it('ignores null and undefined values', () => {
+    const family = new MetricFamily('ok_name', 'gauge', 'x');
+    family.add({}, null).add({}, undefined).add({}, 0);
+    assert.equal(family.samples.length, 1);
+  });
+});
+
+describe('formatMetricFamilies', () => {
+  it('renders HELP, TYPE and labelled samples', () => {
+    const speed = new MetricFamily('amutorrent_instance_download_speed_bytes', 'gauge', 'Current download speed');
+    speed.add({ instance_id: 'amule-1', client_type: 'amule' }, 1024);
+    speed.add({ instance_id: 'qbit "main"', client_type: 'qbittorrent' }, 0);
+    const total = new MetricFamily('amutorrent_notifications_sent_total', 'counter', 'Sent\nsince startup');
+    total.add({}, 3);
+
+    assert.equal(formatMetricFamilies([speed, total]), [
+      '# HELP amutorrent_instance_download_speed_bytes Current download speed',
+      '# TYPE amutorrent_instance_download_speed_bytes gauge',
+      'amutorrent_instance_download_speed_bytes{instance_id="amule-1",client_type="amule"} 1024',
+      'amutorrent_instance_download_speed_bytes{instance_id="qbit \\"main\\"",client_type="qbittorrent"} 0',
+      '# HELP amutorrent_notifications_sent_total Sent\\nsince startup',
+      '# TYPE amutorrent_notifications_sent_total counter',
+      'amutorrent_notifications_sent_total 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('keeps HELP and TYPE for families without samples', () => {
+    const empty = new MetricFamily('amutorrent_move_operations', 'gauge', 'Move operations by status');
+    assert.equal(formatMetricFamilies([empty]),
+      '# HELP amutorrent_move_operations Move operations by status\n# TYPE amutorrent_move_operations gauge\n');
+  });
+});
+
+describe('PrometheusAPI.checkAuth', () => {
+  const saved = {};
+  const viewer = { id: 1, username: 'grafana', disabled: false };
+
+  before(() => {
+    saved.getAuthEnabled = config.getAuthEnabled;
+    saved.userManager = prometheusAPI.userManager;
+    config.getAuthEnabled = () => true;
+    prometheusAPI.userManager = {
+      getUserByApiKey: (key) => (key === 'good-key' ? viewer : null),
+      getUserByUsername: () => { throw new Error('passwords must not be checked'); },
+      resolveCapabilities: () => ['view_statistics']
+    };
+  });
+  after(() => {
+    config.getAuthEnabled = saved.getAuthEnabled;
+    prometheusAPI.userManager = saved.userManager;
+  });
+
+  const check = (headers, query = {}) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      type() { return this; },
+      send() { return this; }
+    };
+    let passed = false;
+    prometheusAPI.checkAuth({ headers, query }, res, () => { passed = true; });
+    return passed ? 'next' : res.statusCode;
+  };
+  const basic = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+  it('accepts API keys from headers, the query and Basic passwords', () => {
+    assert.equal(check({ 'x-api-key': 'good-key' }), 'next');
+    assert.equal(check({ authorization: 'Bearer good-key' }), 'next');
+    assert.equal(check({}, { apikey: 'good-key' }), 'next');
+    assert.equal(check({ authorization: basic('', 'good-key') }), 'next');
+    assert.equal(check({ authorization: basic('grafana', 'good-key') }), 'next');
+  });
+
+  it('refuses account passwords and mismatched usernames', () => {
+    assert.equal(check({ authorization: basic('grafana', 'account-password') }), 403);
+    assert.equal(check({ authorization: basic('admin', 'good-key') }), 403);
+    assert.equal(check({}), 401);
+  });
+});
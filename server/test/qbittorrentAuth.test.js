@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../modules/config');
+const qbittorrentAPI = require('../modules/qbittorrentAPI');
+const QBittorrentHandler = require('../lib/qbittorrent/QBittorrentHandler');
+const { hashPassword } = require('../lib/authUtils');
+
+const basic = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+describe('qBittorrent-compatible API password logins', () => {
+  const saved = {};
+  const users = {
+    plain: { id: 1, username: 'plain', is_admin: true, disabled: false, totp_enabled: false, api_key: 'plain-key' },
+    totp: { id: 2, username: 'totp', is_admin: true, disabled: false, totp_enabled: true, api_key: 'totp-key' }
+  };
+  const userManager = {
+    getUserByUsername: (name) => users[name] || null,
+    getUserByApiKey: (key) => Object.values(users).find(u => u.api_key === key) || null
+  };
+  let policy = 'optional';
+
+  before(async () => {
+    const hash = await hashPassword('secret', 4);
+    for (const user of Object.values(users)) user.password_hash = hash;
+    saved.getAuthEnabled = config.getAuthEnabled;
+    saved.getTwoFactorPolicy = config.getTwoFactorPolicy;
+    saved.userManager = qbittorrentAPI.userManager;
+    config.getAuthEnabled = () => true;
+    config.getTwoFactorPolicy = () => policy;
+    qbittorrentAPI.userManager = userManager;
+  });
+  after(() => {
+    config.getAuthEnabled = saved.getAuthEnabled;
+    config.getTwoFactorPolicy = saved.getTwoFactorPolicy;
+    qbittorrentAPI.userManager = saved.userManager;
+    policy = 'optional';
+  });
+
+  const fakeRes = () => ({
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    cookie() { return this; },
+    send(body) { this.body = body; return this; }
+  });
+
+  const checkBasic = async (username, password) => {
+    const res = fakeRes();
+    let passed = false;
+    await qbittorrentAPI.checkAuth({ headers: { authorization: basic(username, password) }, cookies: {} }, res, () => { passed = true; });
+    return passed ? 'next' : res.statusCode;
+  };
+
+  const login = async (username, password) => {
+    const handler = new QBittorrentHandler();
+    handler.config = config;
+    handler.userManager = userManager;
+    handler.createSession = () => ({ sid: 'sid', ttlMs: 1000 });
+    const res = fakeRes();
+    await handler.login({ body: { username, password } }, res);
+    return res.body;
+  };
+
+  it('accepts passwords of accounts without two-factor authentication', async () => {
+    assert.equal(await checkBasic('plain', 'secret'), 'next');
+    assert.equal(await login('plain', 'secret'), 'Ok.');
+  });
+
+  it('refuses passwords of accounts with TOTP enabled but accepts their API key', async () => {
+    assert.equal(await checkBasic('totp', 'secret'), 403);
+    assert.equal(await login('totp', 'secret'), 'Fails.');
+    assert.equal(await checkBasic('totp', 'totp-key'), 'next');
+    assert.equal(await login('totp', 'totp-key'), 'Ok.');
+  });
+
+  it('refuses passwords when the policy requires two-factor authentication', async () => {
+    policy = 'admins';
+    try {
+      assert.equal(await checkBasic('plain', 'secret'), 403);
+      assert.equal(await login('plain', 'secret'), 'Fails.');
+      assert.equal(await checkBasic('', 'plain-key'), 'next');
+      assert.equal(await login('', 'plain-key'), 'Ok.');
+    } finally {
+      policy = 'optional';
+    }
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeQBittorrentDownload,
+  normalizeDelugeDownload,
+  normalizeTransmissionDownload
+} = require('../lib/downloadNormalizer');
+const { QbittorrentManager } = require('../modules/qbittorrentManager');
+const { DelugeManager } = require('../modules/delugeManager');
+const { TransmissionManager } = require('../modules/transmissionManager');
+const { withClient } = require('./helpers/clientStub');
+
+const queueFields = ({ queuePosition, queued, forceStart }) => ({ queuePosition, queued, forceStart });
+
+describe('queue normalization', () => {
+  it('qBittorrent uses priority as the 1-based position and flags forced states', () => {
+    const base = { hash: 'abc', name: 'x', progress: 0.5, size: 100 };
+    assert.deepEqual(queueFields(normalizeQBittorrentDownload({ ...base, state: 'queuedDL', priority: 3 })),
+      { queuePosition: 3, queued: true, forceStart: false });
+    assert.deepEqual(queueFields(normalizeQBittorrentDownload({ ...base, state: 'forcedDL', priority: 1, force_start: true })),
+      { queuePosition: 1, queued: false, forceStart: true });
+    assert.equal(normalizeQBittorrentDownload({ ...base, state: 'uploading', priority: 0 }).queuePosition, null);
+  });
+
+  it('Deluge converts the 0-based queue and treats -1 as unqueued', () => {
+    assert.deepEqual(queueFields(normalizeDelugeDownload('abc', { name: 'x', state: 'Queued', queue: 0 })),
+      { queuePosition: 1, queued: true, forceStart: false });
+    assert.equal(normalizeDelugeDownload('abc', { name: 'x', state: 'Seeding', queue: -1 }).queuePosition, null);
+  });
+
+  it('Transmission converts the 0-based queuePosition and pending statuses', () => {
+    const base = { hashString: 'abc', name: 'x', percentDone: 0.2 };
+    assert.deepEqual(queueFields(normalizeTransmissionDownload({ ...base, status: 3, queuePosition: 4 })),
+      { queuePosition: 5, queued: true, forceStart: false });
+    assert.equal(normalizeTransmissionDownload({ ...base, status: 4, queuePosition: 0 }).queued, false);
+    assert.equal(normalizeTransmissionDownload({ ...base, status: 4 }).queuePosition, null);
+  });
+});
+
+describe('queue manager calls', () => {
+  it('each client forwards queue moves to its native method', async () => {
+    const qb = new QbittorrentManager();
+    const deluge = new DelugeManager();
+    const transmission = new TransmissionManager();
+    const qbCalls = withClient(qb, ['queueMove']);
+    const delugeCalls = withClient(deluge, ['queueMove']);
+    const transmissionCalls = withClient(transmission, ['queueMove']);
+
+    await qb.queueMove('abc', 'top');
+    await deluge.queueMove('abc', 'up');
+    await transmission.queueMove('abc', 'bottom');
+    assert.deepEqual(qbCalls, [['queueMove', 'abc', 'top']]);
+    assert.deepEqual(delugeCalls, [['queueMove', ['abc'], 'up']]);
+    assert.deepEqual(transmissionCalls, [['queueMove', ['abc'], 'bottom']]);
+  });
+
+  it('Transmission force start uses start-now, and clearing it restarts through the queue', async () => {
+    const transmission = new TransmissionManager();
+    const calls = withClient(transmission, ['startTorrentsNow', 'startTorrents']);
+    await transmission.setForceStart('abc', true);
+    await transmission.setForceStart('abc', false);
+    assert.deepEqual(calls, [['startTorrentsNow', ['abc']], ['startTorrents', ['abc']]]);
+  });
+
+  it('Deluge has no force start', async () => {
+    const deluge = new DelugeManager();
+    withClient(deluge);
+    await assert.rejects(deluge.setForceStart('abc', true), /setForceStart\(\) not implemented/);
+  });
+});
+
+describe('queue settings', () => {
+  it('qBittorrent enables queueing while a limit is set and raises an overall cap that would undercut them', async () => {
+    const qb = new QbittorrentManager();
+    let prefs = { queueing_enabled: false, max_active_downloads: 3, max_active_uploads: 3, max_active_torrents: 5 };
+    withClient(qb, [], {
+      getPreferences: async () => prefs,
+      setPreferences: async (values) => { prefs = { ...prefs, ...values }; }
+    });
+
+    assert.deepEqual(await qb.getQueueSettings(), { maxActiveDownloads: 0, maxActiveSeeds: 0 });
+    assert.deepEqual(await qb.setQueueSettings({ maxActiveDownloads: 2, maxActiveSeeds: 4 }), { maxActiveDownloads: 2, maxActiveSeeds: 4 });
+    assert.equal(prefs.queueing_enabled, true);
+    assert.equal(prefs.max_active_torrents, 6);
+
+    // Omitted values are kept; 0 = unlimited; a sufficient overall cap is untouched
+    await qb.setQueueSettings({ maxActiveSeeds: 0 });
+    assert.deepEqual([prefs.max_active_downloads, prefs.max_active_uploads, prefs.max_active_torrents], [2, -1, 6]);
+  });
+
+  it('qBittorrent leaves an unlimited overall cap alone', async () => {
+    const qb = new QbittorrentManager();
+    let prefs = { queueing_enabled: true, max_active_downloads: 3, max_active_uploads: 3, max_active_torrents: -1 };
+    withClient(qb, [], {
+      getPreferences: async () => prefs,
+      setPreferences: async (values) => { prefs = { ...prefs, ...values }; }
+    });
+
+    await qb.setQueueSettings({ maxActiveDownloads: 10 });
+    assert.deepEqual([prefs.max_active_downloads, prefs.max_active_uploads, prefs.max_active_torrents], [10, 3, -1]);
+  });
+
+  it('Deluge maps 0 to -1 (unlimited) and only raises an undercutting overall cap', async () => {
+    const deluge = new DelugeManager();
+    let config = { max_active_downloading: 3, max_active_seeding: 5, max_active_limit: 8 };
+    withClient(deluge, [], {
+      getConfigValues: async () => config,
+      setConfig: async (values) => { config = { ...config, ...values }; }
+    });
+
+    await deluge.setQueueSettings({ maxActiveDownloads: 0 });
+    assert.deepEqual(config, { max_active_downloading: -1, max_active_seeding: 5, max_active_limit: 8 });
+    assert.deepEqual(await deluge.getQueueSettings(), { maxActiveDownloads: 0, maxActiveSeeds: 5 });
+
+    await deluge.setQueueSettings({ maxActiveDownloads: 6 });
+    assert.equal(config.max_active_limit, 11);
+  });
+
+  it('Transmission toggles each queue by its limit', async () => {
+    const transmission = new TransmissionManager();
+    let session = { 'download-queue-enabled': true, 'download-queue-size': 5, 'seed-queue-enabled': false, 'seed-queue-size': 10 };
+    withClient(transmission, [], {
+      getSession: async () => session,
+      setSession: async (args) => { session = { ...session, ...args }; }
+    });
+
+    assert.deepEqual(await transmission.setQueueSettings({ maxActiveDownloads: 0, maxActiveSeeds: 3 }), { maxActiveDownloads: 0, maxActiveSeeds: 3 });
+    assert.equal(session['download-queue-enabled'], false);
+    assert.equal(session['download-queue-size'], 5);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeQBittorrentDownload,
+  normalizeDelugeDownload,
+  normalizeTransmissionDownload
+} = require('../lib/downloadNormalizer');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const recheckMonitor = require('../modules/recheckMonitor');
+const { QbittorrentManager } = require('../modules/qbittorrentManager');
+const { DelugeManager } = require('../modules/delugeManager');
+const { TransmissionManager } = require('../modules/transmissionManager');
+const { withClient } = require('./helpers/clientStub');
+
+describe('checkProgress normalization', () => {
+  it('qBittorrent reports progress while checking and 0 while queued', () => {
+    const base = { hash: 'abc', name: 'x', progress: 0.425, size: 100 };
+    assert.equal(normalizeQBittorrentDownload({ ...base, state: 'checkingUP' }).checkProgress, 42.5);
+    assert.equal(normalizeQBittorrentDownload({ ...base, state: 'queuedForChecking' }).checkProgress, 0);
+    assert.equal(normalizeQBittorrentDownload({ ...base, state: 'checkingResumeData' }).checkProgress, null);
+    assert.equal(normalizeQBittorrentDownload({ ...base, state: 'uploading' }).checkProgress, null);
+  });
+
+  it('Deluge only sets it in the Checking state', () => {
+    assert.equal(normalizeDelugeDownload('abc', { name: 'x', state: 'Checking', progress: 30 }).checkProgress, 30);
+    assert.equal(normalizeDelugeDownload('abc', { name: 'x', state: 'Seeding', progress: 100 }).checkProgress, null);
+  });
+
+  it('Transmission uses recheckProgress for status 2', () => {
+    const base = { hashString: 'abc', name: 'x', percentDone: 1, recheckProgress: 0.5 };
+    assert.equal(normalizeTransmissionDownload({ ...base, status: 2 }).checkProgress, 50);
+    assert.equal(normalizeTransmissionDownload({ ...base, status: 1 }).checkProgress, 0);
+    assert.equal(normalizeTransmissionDownload({ ...base, status: 6 }).checkProgress, null);
+  });
+});
+
+describe('recheck manager calls', () => {
+  it('each client forwards to its native recheck method', async () => {
+    const qb = new QbittorrentManager();
+    const deluge = new DelugeManager();
+    const transmission = new TransmissionManager();
+    const qbCalls = withClient(qb, ['recheckTorrent']);
+    const delugeCalls = withClient(deluge, ['forceRecheck']);
+    const transmissionCalls = withClient(transmission, ['verifyTorrents']);
+
+    await qb.recheck('abc');
+    await deluge.recheck('abc');
+    await transmission.recheck('abc');
+    assert.deepEqual(qbCalls, [['recheckTorrent', 'abc']]);
+    assert.deepEqual(delugeCalls, [['forceRecheck', ['abc']]]);
+    assert.deepEqual(transmissionCalls, [['verifyTorrents', ['abc']]]);
+  });
+});
+
+describe('RecheckMonitor', () => {
+  let emitted;
+  const item = (fields) => ({ hash: 'abc', instanceId: 'qb-1', client: 'qbittorrent', name: 'x', progress: 100, complete: true, ...fields });
+
+  beforeEach(() => {
+    emitted = [];
+    eventScriptingManager.emit = (type, data) => emitted.push([type, data]);
+    recheckMonitor.reset();
+  });
+
+  it('emits recheckFinished once a requested check ends', () => {
+    recheckMonitor.markRequested('qb-1', 'abc', 'alice', 0);
+    recheckMonitor.evaluate([item({ checkProgress: 0 })], 1000);
+    recheckMonitor.evaluate([item({ checkProgress: 60 })], 2000);
+    assert.equal(emitted.length, 0);
+
+    recheckMonitor.evaluate([item({ checkProgress: null, progress: 97.5, complete: false })], 3000);
+    assert.equal(emitted.length, 1);
+    assert.equal(emitted[0][0], 'recheckFinished');
+    assert.equal(emitted[0][1].progress, 97.5);
+    assert.equal(emitted[0][1].complete, false);
+    assert.equal(emitted[0][1].duration, 3000);
+    assert.equal(emitted[0][1].triggeredBy, 'alice');
+    assert.equal(recheckMonitor.isTracking(), false);
+  });
+
+  it('waits out the grace period for checks never seen running', () => {
+    recheckMonitor.markRequested('qb-1', 'abc', 'alice', 0);
+    recheckMonitor.evaluate([item({ checkProgress: null })], 5000);
+    assert.equal(emitted.length, 0);
+    recheckMonitor.evaluate([item({ checkProgress: null })], 10000);
+    assert.equal(emitted.length, 1);
+  });
+
+  it('follows checks started in the client and forgets removed items', () => {
+    recheckMonitor.evaluate([item({ checkProgress: 10 })], 0);
+    assert.equal(recheckMonitor.isTracking(), true);
+    recheckMonitor.evaluate([], 1000);
+    assert.equal(recheckMonitor.isTracking(), false);
+    assert.equal(emitted.length, 0);
+  });
+});
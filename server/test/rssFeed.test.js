@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeed, getLinkType } = require('../lib/rss/feedParser');
+const { compilePattern, validateRule, matchesRule, findMatchingRule } = require('../lib/rss/feedFilter');
+
+const HASH = '0123456789abcdef0123456789abcdef01234567';
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:torznab="http://torznab.com/schemas/2015/feed">
+  <channel>
+    <title>Tracker</title>
+    <item>
+      <title>Show.Alpha.S01E02.1080p &amp; Extras</title>
+      <guid isPermaLink="false">item-2</guid>
+      <link>https://tracker.example/details/2</link>
+      <enclosure url="https://tracker.example/dl/2.torrent" length="2147483648" type="application/x-bittorrent"/>
+      <category>TV</category>
+      <category>TV/HD</category>
+      <pubDate>Fri, 05 Jan 2024 10:00:00 GMT</pubDate>
+    </item>
+    <item>
+      <title>Linux ISO</title>
+      <guid>item-1</guid>
+      <link>https://tracker.example/details/1</link>
+      <torznab:attr name="size" value="734003200"/>
+      <torznab:attr name="magneturl" value="magnet:?xt=urn:btih:${HASH}&amp;dn=linux"/>
+      <torznab:attr name="infohash" value="${HASH.toUpperCase()}"/>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Releases</title>
+  <entry>
+    <id>urn:release:42</id>
+    <title>Release 42</title>
+    <updated>2024-01-05T10:00:00Z</updated>
+    <link rel="alternate" href="https://example.org/releases/42"/>
+    <link rel="enclosure" href="https://example.org/releases/42.torrent" length="1024"/>
+    <category term="software"/>
+  </entry>
+</feed>`;
+
+describe('getLinkType', () => {
+  it('classifies download links', () => {
+    assert.equal(getLinkType(`magnet:?xt=urn:btih:${HASH}`), 'magnet');
+    assert.equal(getLinkType('ed2k://|file|a.iso|1|0123456789ABCDEF0123456789ABCDEF|/'), 'ed2k');
+    assert.equal(getLinkType('https://example.org/a.torrent'), 'torrent');
+    assert.equal(getLinkType('ftp://example.org/a'), null);
+    assert.equal(getLinkType(''), null);
+  });
+});
+
+describe('parseFeed', () => {
+  it('parses RSS 2.0 items with enclosures and decoded entities', () => {
+    const feed = parseFeed(RSS);
+    assert.equal(feed.title, 'Tracker');
+    assert.equal(feed.items.length, 2);
+
+    const [episode] = feed.items;
+    assert.equal(episode.guid, 'item-2');
+    assert.equal(episode.title, 'Show.Alpha.S01E02.1080p & Extras');
+    assert.equal(episode.link, 'https://tracker.example/dl/2.torrent');
+    assert.equal(episode.linkType, 'torrent');
+    assert.equal(episode.size, 2147483648);
+    assert.deepEqual(episode.categories, ['TV', 'TV/HD']);
+    assert.equal(episode.publishedAt, '2024-01-05T10:00:00.000Z');
+  });
+
+  it('prefers torznab magnet links and reads size and info hash', () => {
+    const item = parseFeed(RSS).items[1];
+    assert.equal(item.link, `magnet:?xt=urn:btih:${HASH}&dn=linux`);
+    assert.equal(item.linkType, 'magnet');
+    assert.equal(item.size, 734003200);
+    assert.equal(item.infoHash, HASH);
+  });
+
+  it('parses Atom entries', () => {
+    const feed = parseFeed(ATOM);
+    assert.equal(feed.title, 'Releases');
+    assert.deepEqual(feed.items[0], {
+      guid: 'urn:release:42',
+      title: 'Release 42',
+      link: 'https://example.org/releases/42.torrent',
+      linkType: 'torrent',
+      size: 1024,
+      categories: ['software'],
+      infoHash: null,
+      publishedAt: '2024-01-05T10:00:00.000Z'
+    });
+  });
+
+  it('rejects documents that are not feeds', () => {
+    assert.throws(() => parseFeed('<html><body/></html>'), /Unsupported feed format/);
+    assert.throws(() => parseFeed('not xml'), /Invalid feed XML/);
+  });
+});
+
+describe('feed filter rules', () => {
+  const item = { title: 'Show.Alpha.S01E02.1080p.WEB', size: 2 * 1024 ** 3, categories: ['TV/HD'] };
+  const rule = { name: 'Alpha', include: 'show\\.alpha.*1080p', exclude: '', instanceId: 'qb-1' };
+
+  it('compiles patterns case-insensitively and rejects invalid ones', () => {
+    assert.equal(compilePattern(''), null);
+    assert.ok(compilePattern('ALPHA').test('show.alpha'));
+    assert.throws(() => compilePattern('('), /Invalid regular expression/);
+  });
+
+  it('validates rules', () => {
+    assert.deepEqual(validateRule(rule), []);
+    assert.equal(validateRule({ ...rule, include: '[' }).length, 1);
+    assert.equal(validateRule({ ...rule, instanceId: '' }).length, 1);
+    assert.equal(validateRule({ ...rule, minSize: 10, maxSize: 5 }).length, 1);
+  });
+
+  it('applies include and exclude patterns to the title', () => {
+    assert.equal(matchesRule(item, rule), true);
+    assert.equal(matchesRule(item, { ...rule, exclude: 'web' }), false);
+    assert.equal(matchesRule({ ...item, title: 'Show.Beta.S01E02.1080p' }, rule), false);
+    assert.equal(matchesRule(item, { ...rule, enabled: false }), false);
+  });
+
+  it('applies size bounds only when the size is known', () => {
+    assert.equal(matchesRule(item, { ...rule, maxSize: 1024 ** 3 }), false);
+    assert.equal(matchesRule(item, { ...rule, minSize: 3 * 1024 ** 3 }), false);
+    assert.equal(matchesRule({ ...item, size: null }, { ...rule, maxSize: 1024 ** 3 }), true);
+  });
+
+  it('matches feed categories by substring', () => {
+    assert.equal(matchesRule(item, { ...rule, feedCategories: ['tv'] }), true);
+    assert.equal(matchesRule(item, { ...rule, feedCategories: ['Movies'] }), false);
+  });
+
+  it('returns the first matching rule', () => {
+    const rules = [
+      { ...rule, id: 'a', include: 'beta' },
+      { ...rule, id: 'b' },
+      { ...rule, id: 'c', include: '' }
+    ];
+    assert.equal(findMatchingRule(item, rules).id, 'b');
+    assert.equal(findMatchingRule(item, []), null);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSeedingPolicy, validateSeedingPolicy, evaluateSeedingGoal } = require('../lib/seedingPolicy');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('normalizeSeedingPolicy', () => {
+  it('fills in defaults and coerces values', () => {
+    assert.deepEqual(normalizeSeedingPolicy({ enabled: true, ratio: '1.5', minSeedTimeMinutes: -5, action: 'explode' }), {
+      enabled: true,
+      ratio: 1.5,
+      minSeedTimeMinutes: 0,
+      maxIdleMinutes: 0,
+      action: 'pause',
+      targetCategory: '',
+      dryRun: false
+    });
+  });
+
+  it('returns null when no policy is set', () => {
+    assert.equal(normalizeSeedingPolicy(null), null);
+    assert.equal(normalizeSeedingPolicy('yes'), null);
+  });
+});
+
+describe('validateSeedingPolicy', () => {
+  const policy = (fields) => normalizeSeedingPolicy({ enabled: true, ...fields });
+
+  it('requires at least one goal on enabled policies', () => {
+    assert.match(validateSeedingPolicy(policy({}), 'Movies'), /needs a target ratio/);
+    assert.equal(validateSeedingPolicy(normalizeSeedingPolicy({ enabled: false }), 'Movies'), null);
+    assert.equal(validateSeedingPolicy(policy({ ratio: 2 }), 'Movies'), null);
+  });
+
+  it('requires a different target category for moveCategory', () => {
+    assert.match(validateSeedingPolicy(policy({ ratio: 2, action: 'moveCategory' }), 'Movies'), /target category/);
+    assert.match(validateSeedingPolicy(policy({ ratio: 2, action: 'moveCategory', targetCategory: 'Movies' }), 'Movies'), /own category/);
+    assert.equal(validateSeedingPolicy(policy({ ratio: 2, action: 'moveCategory', targetCategory: 'Seeded' }), 'Movies'), null);
+  });
+});
+
+describe('evaluateSeedingGoal', () => {
+  const policy = (fields) => normalizeSeedingPolicy({ enabled: true, ...fields });
+
+  it('never fires before the minimum seed time', () => {
+    const goal = policy({ ratio: 1, minSeedTimeMinutes: 120 });
+    assert.equal(evaluateSeedingGoal(goal, { ratio: 5, seedingMs: HOUR, idleMs: 0 }), null);
+    assert.equal(evaluateSeedingGoal(goal, { ratio: 5, seedingMs: 2 * HOUR, idleMs: 0 }), 'ratio');
+  });
+
+  it('fires on ratio or idle time, whichever comes first', () => {
+    const goal = policy({ ratio: 2, maxIdleMinutes: 60 });
+    assert.equal(evaluateSeedingGoal(goal, { ratio: 1, seedingMs: 10 * HOUR, idleMs: 30 * 60 * 1000 }), null);
+    assert.equal(evaluateSeedingGoal(goal, { ratio: 2, seedingMs: 10 * HOUR, idleMs: 0 }), 'ratio');
+    assert.equal(evaluateSeedingGoal(goal, { ratio: 1, seedingMs: 10 * HOUR, idleMs: HOUR }), 'idle');
+  });
+
+  it('fires once the seed time passes when it is the only goal', () => {
+    const goal = policy({ minSeedTimeMinutes: 60 });
+    assert.equal(evaluateSeedingGoal(goal, { ratio: 0, seedingMs: HOUR - 1, idleMs: 0 }), null);
+    assert.equal(evaluateSeedingGoal(goal, { ratio: 0, seedingMs: HOUR, idleMs: 0 }), 'seedTime');
+  });
+
+  it('ignores disabled policies', () => {
+    const goal = normalizeSeedingPolicy({ enabled: false, ratio: 1 });
+    assert.equal(evaluateSeedingGoal(goal, { ratio: 5, seedingMs: HOUR, idleMs: 0 }), null);
+  });
+});
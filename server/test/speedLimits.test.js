@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AmuleManager } = require('../modules/amuleManager');
+
+// Stub of the queued amule-ec-node client holding aMule's KiB/s preferences
+function withClient({ setResult = true, canSet = true } = {}) {
+  const calls = [];
+  const prefs = { maxDownload: 0, maxUpload: 50 };
+  const manager = new AmuleManager();
+  manager.log = () => {};
+  manager.client = {
+    getConnectionPreferences: async () => ({ ...prefs })
+  };
+  if (canSet) {
+    manager.client.setConnectionPreferences = async (changes) => {
+      calls.push(changes);
+      if (setResult) Object.assign(prefs, changes);
+      return setResult;
+    };
+  }
+  return { manager, calls };
+}
+
+describe('aMule global speed limits', () => {
+  it('reads the connection preferences as bytes/s', async () => {
+    const { manager } = withClient();
+    assert.deepEqual(await manager.getSpeedLimits(), { downloadLimit: 0, uploadLimit: 51200 });
+  });
+
+  it('writes only the given directions in whole KiB/s', async () => {
+    const { manager, calls } = withClient();
+    assert.deepEqual(await manager.setSpeedLimits({ downloadLimit: 100 }), { downloadLimit: 1024, uploadLimit: 51200 });
+    assert.deepEqual(await manager.setSpeedLimits({ downloadLimit: 0, uploadLimit: 2048 }), { downloadLimit: 0, uploadLimit: 2048 });
+    assert.deepEqual(calls, [{ maxDownload: 1 }, { maxDownload: 0, maxUpload: 2 }]);
+  });
+
+  it('fails when aMule rejects the preferences', async () => {
+    const { manager } = withClient({ setResult: null });
+    await assert.rejects(manager.setSpeedLimits({ uploadLimit: 0 }), /aMule rejected the new speed limits/);
+  });
+
+  it('names the missing EC operation when amule-ec-node cannot set preferences', async () => {
+    const { manager } = withClient({ canSet: false });
+    await assert.rejects(manager.setSpeedLimits({ uploadLimit: 0 }), /no setConnectionPreferences\(\) \(EC_OP_SET_PREFERENCES\)/);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const { writeTar, extractTar, isSafeName } = require('../lib/backup/tarStream');
+
+/**
+ * Write entries with writeTar and collect the resulting tar bytes
+ */
+async function buildTar(entries) {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', c => chunks.push(c));
+  await writeTar(entries, out);
+  out.end();
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Feed a buffer to extractTar in small chunks (exercises block boundaries)
+ */
+function chunked(buf, size = 100) {
+  const parts = [];
+  for (let i = 0; i < buf.length; i += size) parts.push(buf.subarray(i, i + size));
+  return Readable.from(parts);
+}
+
+describe('isSafeName', () => {
+  it('accepts plain relative paths', () => {
+    assert.equal(isSafeName('manifest.json'), true);
+    assert.equal(isSafeName('db/metrics.db'), true);
+  });
+
+  it('rejects traversal and absolute paths', () => {
+    assert.equal(isSafeName('../etc/passwd'), false);
+    assert.equal(isSafeName('db/../../x'), false);
+    assert.equal(isSafeName('/etc/passwd'), false);
+    assert.equal(isSafeName(''), false);
+  });
+});
+
+describe('writeTar / extractTar', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tar-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('round-trips buffers and files', async () => {
+    const big = Buffer.alloc(5000, 7);
+    const srcFile = path.join(dir, 'source.bin');
+    fs.writeFileSync(srcFile, big);
+
+    const tar = await buildTar([
+      { name: 'manifest.json', data: Buffer.from('{"format":1}') },
+      { name: 'db/data.bin', filePath: srcFile },
+      { name: 'empty.txt', data: Buffer.alloc(0) }
+    ]);
+    assert.equal(tar.length % 512, 0);
+
+    const out = path.join(dir, 'out');
+    fs.mkdirSync(out);
+    const extracted = await extractTar(chunked(tar), out);
+
+    assert.deepEqual(extracted.map(e => e.name), ['manifest.json', 'db/data.bin', 'empty.txt']);
+    assert.equal(fs.readFileSync(path.join(out, 'manifest.json'), 'utf8'), '{"format":1}');
+    assert.deepEqual(fs.readFileSync(path.join(out, 'db/data.bin')), big);
+    assert.equal(fs.readFileSync(path.join(out, 'empty.txt')).length, 0);
+  });
+
+  it('rejects members outside the allowed set', async () => {
+    const tar = await buildTar([{ name: 'other.json', data: Buffer.from('{}') }]);
+    await assert.rejects(
+      extractTar(chunked(tar), dir, { allowedNames: new Set(['manifest.json']) }),
+      /Unexpected archive member/
+    );
+  });
+
+  it('rejects archives over the size limit', async () => {
+    const tar = await buildTar([{ name: 'a.bin', data: Buffer.alloc(2048) }]);
+    await assert.rejects(extractTar(chunked(tar), dir, { maxBytes: 1024 }), /maximum allowed size/);
+  });
+
+  it('detects truncated and corrupt archives', async () => {
+    const tar = await buildTar([{ name: 'a.bin', data: Buffer.alloc(2048, 1) }]);
+    await assert.rejects(extractTar(chunked(tar.subarray(0, 1024)), dir), /truncated/);
+
+    const corrupt = Buffer.from(tar);
+    corrupt[0] ^= 0xff;
+    await assert.rejects(extractTar(chunked(corrupt), dir), /checksum/);
+  });
+
+  it('refuses to write unsafe member names', async () => {
+    await assert.rejects(buildTar([{ name: '../escape', data: Buffer.from('x') }]), /Invalid archive member name/);
+  });
+});
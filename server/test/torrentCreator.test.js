@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MIN_PIECE_LENGTH,
+  MAX_PIECE_LENGTH,
+  bencode,
+  collectFiles,
+  isValidPieceLength,
+  choosePieceLength,
+  hashPieces,
+  buildMetainfo
+} = require('../lib/torrentCreator');
+const { parseTorrentBuffer } = require('../lib/torrentUtils');
+
+const sha1 = (data) => crypto.createHash('sha1').update(data).digest();
+
+describe('bencode', () => {
+  it('encodes strings, integers, lists and sorted dictionaries', () => {
+    assert.equal(bencode({ b: 1, a: ['x', 'yz'], skip: null }).toString(), 'd1:al1:x2:yze1:bi1ee');
+    assert.equal(bencode('é').toString('binary'), '2:\xc3\xa9');
+    assert.throws(() => bencode(1.5), /non-integer/);
+  });
+});
+
+describe('piece length', () => {
+  it('accepts powers of two within range only', () => {
+    assert.equal(isValidPieceLength(MIN_PIECE_LENGTH), true);
+    assert.equal(isValidPieceLength(MAX_PIECE_LENGTH), true);
+    assert.equal(isValidPieceLength(3 * MIN_PIECE_LENGTH), false);
+    assert.equal(isValidPieceLength(MAX_PIECE_LENGTH * 2), false);
+  });
+
+  it('grows with the torrent size and stays within range', () => {
+    assert.equal(choosePieceLength(1000), MIN_PIECE_LENGTH);
+    assert.equal(choosePieceLength(4 * 1024 ** 3), 4 * 1024 * 1024);
+    assert.equal(choosePieceLength(10 * 1024 ** 4), MAX_PIECE_LENGTH);
+  });
+});
+
+describe('torrent creation', () => {
+  let tmpDir;
+  const first = Buffer.alloc(20000, 1);
+  const second = Buffer.alloc(30000, 2);
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'torrent-create-'));
+    fs.mkdirSync(path.join(tmpDir, 'content', 'sub'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'content', 'b.bin'), first);
+    fs.writeFileSync(path.join(tmpDir, 'content', 'sub', 'a.bin'), second);
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('collects directory files in byte order with their relative paths', async () => {
+    const source = await collectFiles(path.join(tmpDir, 'content'));
+    assert.equal(source.name, 'content');
+    assert.equal(source.isDirectory, true);
+    assert.equal(source.totalSize, 50000);
+    assert.deepEqual(source.files.map(f => [f.path, f.length]), [[['b.bin'], 20000], [['sub', 'a.bin'], 30000]]);
+  });
+
+  it('hashes pieces across file boundaries', async () => {
+    const source = await collectFiles(path.join(tmpDir, 'content'));
+    const progress = [];
+    const pieces = await hashPieces(source.files, MIN_PIECE_LENGTH, { onProgress: (bytes) => progress.push(bytes) });
+
+    const data = Buffer.concat([first, second]);
+    const expected = [];
+    for (let offset = 0; offset < data.length; offset += MIN_PIECE_LENGTH) {
+      expected.push(sha1(data.subarray(offset, offset + MIN_PIECE_LENGTH)));
+    }
+    assert.deepEqual(pieces, Buffer.concat(expected));
+    assert.equal(progress.at(-1), 50000);
+  });
+
+  it('stops when aborted', async () => {
+    const source = await collectFiles(path.join(tmpDir, 'content'));
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(hashPieces(source.files, MIN_PIECE_LENGTH, { signal: controller.signal }), /Cancelled/);
+  });
+
+  it('builds metainfo whose info hash matches the torrent parser', async () => {
+    const source = await collectFiles(path.join(tmpDir, 'content'));
+    const pieces = await hashPieces(source.files, MIN_PIECE_LENGTH);
+    const { torrent, infoHash } = buildMetainfo({
+      ...source,
+      pieceLength: MIN_PIECE_LENGTH,
+      pieces,
+      isPrivate: true,
+      trackers: [['udp://a.example:1337/announce', 'https://b.example/announce'], ['https://c.example/announce']],
+      webSeeds: ['https://seed.example/content/'],
+      comment: 'hello',
+      creationDate: 1700000000
+    });
+
+    assert.deepEqual(parseTorrentBuffer(torrent), { hash: infoHash, name: 'content', size: 50000 });
+    const text = torrent.toString('binary');
+    assert.match(text, /^d8:announce29:udp:\/\/a\.example:1337\/announce13:announce-listll/);
+    assert.match(text, /7:privatei1e/);
+    assert.match(text, /8:url-listl29:https:\/\/seed\.example\/content\/e/);
+    assert.match(text, /7:comment5:hello/);
+  });
+
+  it('uses a single-file layout for a file', async () => {
+    const source = await collectFiles(path.join(tmpDir, 'content', 'b.bin'));
+    const pieces = await hashPieces(source.files, MIN_PIECE_LENGTH);
+    const { torrent } = buildMetainfo({ ...source, pieceLength: MIN_PIECE_LENGTH, pieces });
+    const text = torrent.toString('binary');
+    assert.match(text, /6:lengthi20000e/);
+    assert.doesNotMatch(text, /5:files|8:announce|7:private/);
+  });
+
+  it('rejects paths without data', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'empty'));
+    await assert.rejects(collectFiles(path.join(tmpDir, 'empty')), /no data/);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { bencode, buildMetainfo } = require('../lib/torrentCreator');
+const { readMetainfo, buildMagnetLink } = require('../lib/torrentUtils');
+const { createZip } = require('../lib/zipWriter');
+
+const PIECES = Buffer.alloc(20, 1);
+
+/**
+ * Read the entries back out of a stored zip via its central directory
+ */
+function readZip(zip) {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let pos = zip.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(pos), 0x02014b50);
+    const crc = zip.readUInt32LE(pos + 16);
+    const size = zip.readUInt32LE(pos + 24);
+    const nameLength = zip.readUInt16LE(pos + 28);
+    const offset = zip.readUInt32LE(pos + 42);
+    const name = zip.toString('utf8', pos + 46, pos + 46 + nameLength);
+    assert.equal(zip.readUInt32LE(offset), 0x04034b50);
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    const data = zip.subarray(dataStart, dataStart + size);
+    assert.equal(zlib.crc32(data), crc);
+    entries.push({ name, data });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('readMetainfo', () => {
+  it('reads hash, size, tracker tiers, web seeds and the private flag', () => {
+    const { torrent, infoHash } = buildMetainfo({
+      name: 'Album',
+      isDirectory: true,
+      files: [{ path: ['a.flac'], length: 10 }, { path: ['b.flac'], length: 5 }],
+      pieceLength: 16384,
+      pieces: PIECES,
+      isPrivate: true,
+      trackers: [['http://t1/announce', 'http://t2/announce'], ['udp://t3:80']],
+      webSeeds: ['https://seed.example/']
+    });
+
+    assert.deepEqual(readMetainfo(torrent), {
+      hash: infoHash,
+      name: 'Album',
+      size: 15,
+      isPrivate: true,
+      trackers: [['http://t1/announce', 'http://t2/announce'], ['udp://t3:80']],
+      webSeeds: ['https://seed.example/']
+    });
+  });
+
+  it('falls back to announce and a single url-list string', () => {
+    const torrent = bencode({
+      announce: 'http://only/announce',
+      info: { length: 7, name: 'file.bin', 'piece length': 16384, pieces: PIECES },
+      'url-list': 'http://ws/'
+    });
+    const meta = readMetainfo(torrent);
+    assert.deepEqual(meta.trackers, [['http://only/announce']]);
+    assert.deepEqual(meta.webSeeds, ['http://ws/']);
+    assert.equal(meta.size, 7);
+    assert.equal(meta.isPrivate, false);
+  });
+
+  it('rejects data without an info dictionary', () => {
+    assert.throws(() => readMetainfo(bencode({ announce: 'x' })), /missing info/);
+    assert.throws(() => readMetainfo(Buffer.from('d4:infod')), /Unterminated/);
+  });
+});
+
+describe('buildMagnetLink', () => {
+  it('includes size, every tracker once and web seeds', () => {
+    const magnet = buildMagnetLink({
+      hash: 'ABCDEF0123456789ABCDEF0123456789ABCDEF01',
+      name: 'My File',
+      size: 42,
+      trackers: [['http://t1/a?k=1'], 'udp://t2:80', 'http://t1/a?k=1'],
+      webSeeds: ['https://ws/']
+    });
+    assert.equal(magnet,
+      'magnet:?xt=urn:btih:abcdef0123456789abcdef0123456789abcdef01&dn=My%20File&xl=42' +
+      '&tr=http%3A%2F%2Ft1%2Fa%3Fk%3D1&tr=udp%3A%2F%2Ft2%3A80&ws=https%3A%2F%2Fws%2F');
+  });
+});
+
+describe('createZip', () => {
+  it('stores entries that read back intact', () => {
+    const torrent = Buffer.from([0, 1, 2, 255]);
+    const zip = createZip([
+      { name: 'Ünïcode.torrent', data: torrent },
+      { name: 'ed2k-links.txt', data: 'ed2k://|file|x|1|00000000000000000000000000000000|/\n' }
+    ], new Date(2024, 0, 2, 3, 4, 6));
+
+    const entries = readZip(zip);
+    assert.deepEqual(entries.map(e => e.name), ['Ünïcode.torrent', 'ed2k-links.txt']);
+    assert.deepEqual(entries[0].data, torrent);
+    assert.match(entries[1].data.toString(), /^ed2k:\/\//);
+    // UTF-8 name flag
+    assert.equal(zip.readUInt16LE(6) & 0x0800, 0x0800);
+  });
+});
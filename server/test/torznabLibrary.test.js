@@ -0,0 +1,217 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseEpisode, detectCategories, matchesQuery, searchLibrary, filterByCategories
+} = require('../lib/torznab/library');
+const { expandCategories, getParentCategory } = require('../lib/torznab/capabilities');
+const LibraryHandler = require('../lib/torznab/LibraryHandler');
+const torznabAPI = require('../modules/torznabAPI');
+const dataFetchService = require('../lib/DataFetchService');
+
+const HASH_A = 'a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4';
+const HASH_B = 'b1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4';
+const HASH_C = 'c1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4';
+const BTIH_A = 'd1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2';
+const BTIH_B = 'e1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2';
+
+const FILES = [
+  { fileName: 'Show.Alpha.S01E05.720p.WEB.mkv', fileHash: HASH_A, fileSize: 100, sourceCount: 1, publishDate: '2026-01-02T00:00:00.000Z' },
+  { fileName: 'Movie Beta (2010) 2160p.mkv', fileHash: HASH_B, fileSize: 200, sourceCount: 1, publishDate: '2026-01-03T00:00:00.000Z' },
+  { fileName: 'Show_Alpha_1x06.avi', fileHash: HASH_C, fileSize: 50, sourceCount: 1, publishDate: null }
+];
+
+describe('parseEpisode', () => {
+  it('reads SxxEyy, 1x05 and season packs', () => {
+    assert.deepEqual(parseEpisode('Show.S01E05.mkv'), { season: 1, episode: 5 });
+    assert.deepEqual(parseEpisode('Show_2x13_Title.avi'), { season: 2, episode: 13 });
+    assert.deepEqual(parseEpisode('Show Season 3 Complete'), { season: 3, episode: null });
+    assert.deepEqual(parseEpisode('Show.S04.1080p'), { season: 4, episode: null });
+  });
+
+  it('does not mistake resolutions or codecs for episodes', () => {
+    assert.equal(parseEpisode('Movie.1920x1080.x264.mkv'), null);
+  });
+});
+
+describe('detectCategories', () => {
+  it('tags episodes as TV and everything else as movies, by resolution', () => {
+    assert.deepEqual(detectCategories('Show.S01E05.720p.mkv'), ['5000', '5040']);
+    assert.deepEqual(detectCategories('Movie.2010.2160p.mkv'), ['2000', '2045']);
+    assert.deepEqual(detectCategories('Movie.DVDRip.XviD.avi'), ['2000', '2030']);
+    assert.deepEqual(detectCategories('Show 1x05.avi'), ['5000', '5050']);
+  });
+});
+
+describe('matchesQuery', () => {
+  it('matches whole words regardless of separators and case', () => {
+    assert.equal(matchesQuery('Show.Alpha.S01E05.mkv', { q: 'show alpha' }), true);
+    assert.equal(matchesQuery('Showcase.Alpha.mkv', { q: 'show alpha' }), false);
+  });
+
+  it('strips accents', () => {
+    assert.equal(matchesQuery('Amélie.2001.mkv', { q: 'Amelie' }), true);
+  });
+
+  it('only enforces query years when the name has a year', () => {
+    assert.equal(matchesQuery('Movie.Beta.1080p.mkv', { q: 'Movie Beta 2010' }), true);
+    assert.equal(matchesQuery('Movie.Beta.2010.1080p.mkv', { q: 'Movie Beta 2010' }), true);
+    assert.equal(matchesQuery('Movie.Beta.1998.1080p.mkv', { q: 'Movie Beta 2010' }), false);
+  });
+
+  it('filters by season and episode', () => {
+    assert.equal(matchesQuery('Show.S01E05.mkv', { q: 'show', season: '1', ep: '5' }), true);
+    assert.equal(matchesQuery('Show.S01E05.mkv', { q: 'show', season: '1', ep: '6' }), false);
+    assert.equal(matchesQuery('Show.S01E05.mkv', { q: 'show', season: '2' }), false);
+    assert.equal(matchesQuery('Show.S01.Complete.mkv', { q: 'show', season: '1' }), true);
+    assert.equal(matchesQuery('Show.S01.Complete.mkv', { q: 'show', season: '1', ep: '5' }), false);
+  });
+
+  it('never matches an empty query', () => {
+    assert.equal(matchesQuery('Anything.mkv', { q: '' }), false);
+  });
+});
+
+describe('searchLibrary / filterByCategories', () => {
+  it('returns matches newest first with detected categories', () => {
+    const results = searchLibrary(FILES, { q: 'show alpha' });
+    assert.deepEqual(results.map(r => r.fileHash), [HASH_A, HASH_C]);
+    assert.deepEqual(results[0].categories, ['5000', '5040']);
+  });
+
+  it('keeps results whose category group was requested', () => {
+    const results = searchLibrary(FILES, { q: 'mkv' });
+    assert.deepEqual(filterByCategories(results, '2040').map(r => r.fileHash), [HASH_B]);
+    assert.deepEqual(filterByCategories(results, '5000,5040').map(r => r.fileHash), [HASH_A]);
+    assert.equal(filterByCategories(results, '').length, 2);
+  });
+});
+
+describe('category helpers', () => {
+  it('maps subcategories to their parent', () => {
+    assert.equal(getParentCategory('5040'), '5000');
+    assert.equal(getParentCategory('2000'), '2000');
+    assert.equal(getParentCategory('7020'), null);
+  });
+
+  it('expands requested categories with parents, or all when none requested', () => {
+    assert.deepEqual(expandCategories(['5040']), ['5040', '5000']);
+    assert.equal(expandCategories([]).length, 22);
+  });
+});
+
+describe('LibraryHandler', () => {
+  const request = async (handler, query) => {
+    const res = {
+      headers: {},
+      body: null,
+      set(key, value) { this.headers[key] = value; return this; },
+      status() { return this; },
+      send(body) { this.body = body; return this; }
+    };
+    await handler.handleRequest({ query }, res);
+    return res;
+  };
+
+  const makeHandler = (files) => {
+    const handler = new LibraryHandler();
+    let calls = 0;
+    handler.setDependencies({ getLibraryFiles: async () => { calls++; return files; } });
+    return { handler, calls: () => calls };
+  };
+
+  it('advertises itself in caps', async () => {
+    const { handler } = makeHandler([]);
+    const res = await request(handler, { t: 'caps' });
+    assert.match(res.body, /title="aMuTorrent Local Library"/);
+  });
+
+  it('answers tvsearch from the library with ED2K magnets and caches matches', async () => {
+    const { handler, calls } = makeHandler(FILES);
+    const query = { t: 'tvsearch', q: 'Show Alpha', season: '1', ep: '5', cat: '5000,5040' };
+
+    const res = await request(handler, query);
+    assert.equal(res.headers['Content-Type'], 'application/xml');
+    assert.match(res.body, /<title>Show\.Alpha\.S01E05\.720p\.WEB\.mkv<\/title>/);
+    assert.match(res.body, new RegExp(`urn:btih:${HASH_A}00000000`));
+    assert.match(res.body, /name="category" value="5040"/);
+    assert.doesNotMatch(res.body, /1x06/);
+    assert.match(res.body, /Fri, 02 Jan 2026/);
+
+    await request(handler, query);
+    assert.equal(calls(), 1);
+  });
+
+  it('matches ID-only movie searches on the resolved title and year', async () => {
+    const handler = new LibraryHandler();
+    handler.setDependencies({
+      getLibraryFiles: async () => FILES,
+      resolveTitle: async () => ({ title: 'Movie Beta', year: 2010 }),
+      canResolveTitles: () => true
+    });
+    const res = await request(handler, { t: 'movie', imdbid: '0133093' });
+    assert.match(res.body, /Movie Beta \(2010\) 2160p\.mkv/);
+    assert.doesNotMatch(res.body, /Show\.Alpha/);
+  });
+
+  it('returns recent files for parameterless validation, or a sample when empty', async () => {
+    const { handler } = makeHandler(FILES);
+    const res = await request(handler, { t: 'search' });
+    assert.match(res.body, /Movie Beta \(2010\) 2160p\.mkv/);
+
+    const { handler: emptyHandler } = makeHandler([]);
+    const empty = await request(emptyHandler, { t: 'search' });
+    assert.match(empty.body, /Sample\.Test\.File\.mkv/);
+  });
+
+  it('keeps the magnet link of BitTorrent library files', async () => {
+    const magnetLink = `magnet:?xt=urn:btih:${BTIH_A}&dn=Show.Alpha.S01E05.mkv&tr=udp%3A%2F%2Ftracker`;
+    const { handler } = makeHandler([{ fileName: 'Show.Alpha.S01E05.mkv', fileHash: BTIH_A, fileSize: 100, sourceCount: 3, magnetLink }]);
+    const res = await request(handler, { t: 'search', q: 'show alpha' });
+    assert.ok(res.body.includes(magnetLink.replace(/&/g, '&amp;')));
+    assert.doesNotMatch(res.body, /00000000/);
+  });
+});
+
+describe('TorznabAPI.getLibraryFiles', () => {
+  const history = [
+    { hash: HASH_A.toUpperCase(), filename: 'Show.Alpha.S01E05.mkv', size: 100, completed_at: '2026-01-02T00:00:00.000Z', client_type: 'amule' },
+    { hash: BTIH_A.toUpperCase(), filename: 'Movie Beta 2010.mkv', size: 200, completed_at: '2026-01-03T00:00:00.000Z', client_type: 'rtorrent' }
+  ];
+  const items = [
+    { networkType: 'ed2k', hash: HASH_B, name: 'Shared.File.avi', size: 50, complete: true, sources: { total: 4 } },
+    { networkType: 'bittorrent', hash: BTIH_B, name: 'Seeding.Torrent.mkv', size: 70, complete: true, sources: { total: 9 }, magnetLink: `magnet:?xt=urn:btih:${BTIH_B}` },
+    { networkType: 'bittorrent', hash: 'f'.repeat(40), name: 'Still.Downloading.mkv', size: 80, complete: false }
+  ];
+
+  const withData = async (fn) => {
+    const saved = { db: torznabAPI.downloadHistoryDB, fetch: dataFetchService.getOrFetchBatchData };
+    torznabAPI.downloadHistoryDB = { getCompletedEntries: () => history };
+    dataFetchService.getOrFetchBatchData = async () => ({ items });
+    try {
+      await fn();
+    } finally {
+      torznabAPI.downloadHistoryDB = saved.db;
+      dataFetchService.getOrFetchBatchData = saved.fetch;
+    }
+  };
+
+  it('lists ED2K files for the ED2K library, without magnet links', () => withData(async () => {
+    const files = await torznabAPI.getLibraryFiles('ed2k');
+    assert.deepEqual(files.map(f => f.fileHash), [HASH_A, HASH_B]);
+    assert.ok(files.every(f => f.magnetLink === null));
+  }));
+
+  it('lists completed torrents for the BitTorrent library with their magnet links', () => withData(async () => {
+    const files = await torznabAPI.getLibraryFiles('bittorrent');
+    assert.deepEqual(files.map(f => f.fileHash), [BTIH_A, BTIH_B]);
+    assert.equal(files[0].magnetLink, `magnet:?xt=urn:btih:${BTIH_A}&dn=Movie%20Beta%202010.mkv&xl=200`);
+    assert.equal(files[1].magnetLink, `magnet:?xt=urn:btih:${BTIH_B}`);
+    assert.equal(files[1].sourceCount, 9);
+  }));
+
+  it('serves the BitTorrent library under its own feed', async () => {
+    const res = { body: null, set() { return this; }, status() { return this; }, send(body) { this.body = body; return this; } };
+    await torznabAPI.torrentLibraryHandler.handleRequest({ query: { t: 'caps' } }, res);
+    assert.match(res.body, /title="aMuTorrent Local Library \(BitTorrent\)"/);
+  });
+});
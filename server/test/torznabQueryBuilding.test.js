@@ -174,3 +174,151 @@ describe('buildTVSearchQueries (issue #75 refactor)', () => {
     assert.equal(fallbackQuery, longName);   // bare fallback: 0 alternatives, no operator pressure
   });
 });
+
+describe('normalizeMediaIds', () => {
+  const handler = new TorznabHandler();
+
+  it('adds the tt prefix and zero-pads IMDb IDs', () => {
+    assert.deepEqual(handler.normalizeMediaIds({ imdbid: '133093' }), { imdbid: 'tt0133093', tvdbid: null, tmdbid: null });
+    assert.equal(handler.normalizeMediaIds({ imdbid: 'tt0133093' }).imdbid, 'tt0133093');
+  });
+
+  it('keeps numeric tvdb/tmdb IDs and drops junk', () => {
+    assert.deepEqual(handler.normalizeMediaIds({ tvdbid: '081189', tmdbid: 'abc' }), { imdbid: null, tvdbid: '81189', tmdbid: null });
+    assert.equal(handler.normalizeMediaIds({ tvdbid: '0', imdbid: '' }), null);
+    assert.equal(handler.normalizeMediaIds({}), null);
+  });
+});
+
+describe('buildMovieSearchQuery / filterResultsByYear', () => {
+  const handler = new TorznabHandler();
+
+  it('searches the bare title', () => {
+    assert.equal(handler.buildMovieSearchQuery('Movie Beta (2010)').primaryQuery, 'Movie Beta');
+  });
+
+  it('keeps names without a year or within a year of the release', () => {
+    const results = [
+      { fileName: 'Movie.Beta.1080p.mkv' },
+      { fileName: 'Movie.Beta.2011.mkv' },
+      { fileName: 'Movie.Beta.1998.mkv' }
+    ];
+    assert.deepEqual(
+      handler.filterResultsByYear(results, 2010).map(r => r.fileName),
+      ['Movie.Beta.1080p.mkv', 'Movie.Beta.2011.mkv']
+    );
+    assert.equal(handler.filterResultsByYear(results, null).length, 3);
+  });
+});
+
+describe('resolveSearchTitle', () => {
+  const makeHandler = (resolveTitle) => {
+    const handler = new TorznabHandler();
+    const calls = [];
+    handler.setDependencies({
+      getAmuleClient: () => null,
+      resolveTitle: async (type, ids) => { calls.push({ type, ids }); return resolveTitle(type, ids); },
+      canResolveTitles: (type) => type === 'tv'
+    });
+    return { handler, calls };
+  };
+
+  it('resolves tvsearch IDs via the tv lookup and caches the title', async () => {
+    const { handler, calls } = makeHandler(() => ({ title: 'Show Alpha', year: 2005 }));
+    const first = await handler.resolveSearchTitle('tvsearch', { tvdbid: '81189' });
+    const second = await handler.resolveSearchTitle('tvsearch', { tvdbid: '81189' });
+    assert.deepEqual(first, { title: 'Show Alpha', year: 2005, type: 'tv' });
+    assert.deepEqual(second, first);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].ids.tvdbid, '81189');
+  });
+
+  it('treats generic searches as movies unless a tvdbid is given', async () => {
+    const { handler, calls } = makeHandler(() => null);
+    await handler.resolveSearchTitle('search', { imdbid: 'tt0133093' });
+    await handler.resolveSearchTitle('search', { tvdbid: '81189' });
+    assert.deepEqual(calls.map(c => c.type), ['movie', 'tv']);
+  });
+
+  it('caches misses but not lookup errors', async () => {
+    const { handler: missHandler, calls: missCalls } = makeHandler(() => null);
+    assert.equal(await missHandler.resolveSearchTitle('movie', { tmdbid: '603' }), null);
+    await missHandler.resolveSearchTitle('movie', { tmdbid: '603' });
+    assert.equal(missCalls.length, 1);
+
+    const { handler, calls } = makeHandler(() => { throw new Error('ECONNREFUSED'); });
+    assert.equal(await handler.resolveSearchTitle('movie', { tmdbid: '603' }), null);
+    await handler.resolveSearchTitle('movie', { tmdbid: '603' });
+    assert.equal(calls.length, 2);
+  });
+
+  it('advertises ID params in caps only for resolvable types', async () => {
+    const { handler } = makeHandler(() => null);
+    const res = { set() { return this; }, status() { return this; }, send(body) { this.body = body; return this; } };
+    await handler.handleRequest({ query: { t: 'caps' } }, res);
+    assert.match(res.body, /<tv-search available="yes" supportedParams="q,season,ep,tvdbid,imdbid,tmdbid"\/>/);
+    assert.match(res.body, /<movie-search available="yes" supportedParams="q"\/>/);
+  });
+});
+
+describe('handleSearch with ID-only queries', () => {
+  const run = async (query, resolved, fileNames) => {
+    const handler = new TorznabHandler();
+    handler.searchDelayMs = 0;
+    const searches = [];
+    handler.setDependencies({
+      getAmuleClient: () => ({
+        searchAndWaitResults: async (q, network) => {
+          searches.push(q);
+          return {
+            results: network === 'global'
+              ? fileNames.map((fileName, i) => ({ fileName, fileHash: String(i).padStart(32, 'a'), fileSize: 1, sourceCount: 1 }))
+              : []
+          };
+        }
+      }),
+      resolveTitle: async () => resolved,
+      canResolveTitles: () => true
+    });
+    const res = { set() { return this; }, status() { return this; }, send(body) { this.body = body; return this; } };
+    await handler.handleRequest({ query }, res);
+    return { body: res.body, searches };
+  };
+
+  it('builds the TV query from the resolved series title', async () => {
+    const { searches } = await run({ t: 'tvsearch', tvdbid: '81189', season: '1', ep: '5' }, { title: 'Show Alpha', year: 2005 }, []);
+    const expected = new TorznabHandler().buildTVSearchQueries('Show Alpha', '1', '5').primaryQuery;
+    assert.deepEqual(searches, [expected, expected]);
+  });
+
+  it('searches the bare movie title and filters results by year', async () => {
+    const { body, searches } = await run(
+      { t: 'movie', imdbid: 'tt0133093' },
+      { title: 'Movie Beta', year: 2010 },
+      ['Movie.Beta.2010.1080p.mkv', 'Movie.Beta.1998.mkv']
+    );
+    assert.equal(searches[0], 'Movie Beta');
+    assert.match(body, /Movie\.Beta\.2010\.1080p\.mkv/);
+    assert.doesNotMatch(body, /Movie\.Beta\.1998\.mkv/);
+  });
+
+  it('returns an empty feed when the ID cannot be resolved', async () => {
+    const { body, searches } = await run({ t: 'movie', imdbid: 'tt0133093' }, null, []);
+    assert.equal(searches.length, 0);
+    assert.doesNotMatch(body, /<item>/);
+  });
+
+  it('uses the handler feed metadata on every feed', async () => {
+    const handler = new TorznabHandler();
+    handler.feedInfo = { title: 'Custom Indexer', description: 'Custom', path: '/indexer/custom/api' };
+    handler.setDependencies({ getAmuleClient: () => null });
+    const request = async (query) => {
+      const res = { set() { return this; }, status() { return this; }, send(body) { this.body = body; return this; } };
+      await handler.handleRequest({ query }, res);
+      return res.body;
+    };
+    for (const query of [{ t: 'search' }, { t: 'search', q: 'ubuntu' }]) {
+      assert.match(await request(query), /<title>Custom Indexer<\/title>/);
+    }
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../lib/totp');
+
+// RFC 6238 Appendix B test secret: ASCII "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('encodes the RFC 6238 test secret', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('round-trips arbitrary bytes and tolerates case, spaces and padding', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+    const encoded = totp.base32Encode(bytes);
+    assert.deepEqual(totp.base32Decode(encoded), bytes);
+    assert.deepEqual(totp.base32Decode(`${encoded.toLowerCase().match(/.{1,4}/g).join(' ')}====`), bytes);
+  });
+
+  it('rejects invalid characters', () => {
+    assert.throws(() => totp.base32Decode('ABC1'), /Invalid base32/);
+  });
+});
+
+describe('generateCode', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+    for (const [seconds, expected] of vectors) {
+      assert.equal(totp.generateCode(RFC_SECRET, totp.getTimeStep(seconds * 1000), 8), expected);
+    }
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111111 * 1000;
+  const step = totp.getTimeStep(time);
+
+  it('accepts the current code and one step of drift', () => {
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step), { time }), step);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { time }), step - 1);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { time }), step + 1);
+  });
+
+  it('rejects codes outside the window and malformed input', () => {
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { time }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, '12345', { time }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+    assert.equal(totp.verifyCode(null, '123456', { time }), null);
+  });
+
+  it('rejects replayed steps', () => {
+    const code = totp.generateCode(RFC_SECRET, step);
+    assert.equal(totp.verifyCode(RFC_SECRET, code, { time, lastStep: step }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, code, { time, lastStep: step - 1 }), step);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('encodes issuer, account and parameters', () => {
+    const uri = totp.buildOtpauthUri({ secret: 'ABC', account: 'john doe' });
+    assert.equal(uri, 'otpauth://totp/aMuTorrent:john%20doe?secret=ABC&issuer=aMuTorrent&algorithm=SHA1&digits=6&period=30');
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates unique XXXXX-XXXXX codes', () => {
+    const codes = totp.generateRecoveryCodes();
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    for (const code of codes) assert.match(code, /^[A-Z2-9]{5}-[A-Z2-9]{5}$/);
+  });
+
+  it('hashes independently of case and separators', () => {
+    assert.equal(totp.hashRecoveryCode('abcde-fghjk'), totp.hashRecoveryCode('ABCDEFGHJK'));
+    assert.notEqual(totp.hashRecoveryCode('ABCDEFGHJK'), totp.hashRecoveryCode('ABCDEFGHJM'));
+  });
+
+  it('tells recovery codes apart from TOTP codes', () => {
+    assert.equal(totp.isRecoveryCodeFormat('ABCDE-FGHJK'), true);
+    assert.equal(totp.isRecoveryCodeFormat('123456'), false);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { QbittorrentManager } = require('../modules/qbittorrentManager');
+const { DelugeManager } = require('../modules/delugeManager');
+const { TransmissionManager } = require('../modules/transmissionManager');
+const registry = require('../lib/ClientRegistry');
+const webSocketHandlers = require('../modules/webSocketHandlers');
+const { withClient } = require('./helpers/clientStub');
+
+const A = 'https://a.example/announce';
+const B = 'udp://b.example:6969/announce';
+const C = 'https://c.example/announce';
+
+describe('tracker editing', () => {
+  it('qBittorrent delegates to the WebUI tracker endpoints', async () => {
+    const manager = new QbittorrentManager();
+    const calls = withClient(manager, ['addTrackers', 'editTracker', 'removeTrackers', 'reannounceTorrent']);
+    await manager.addTrackers('abc', [A, B]);
+    await manager.editTracker('abc', A, C);
+    await manager.removeTrackers('abc', [B]);
+    await manager.reannounce('abc');
+    assert.deepEqual(calls, [
+      ['addTrackers', 'abc', [A, B]],
+      ['editTracker', 'abc', A, C],
+      ['removeTrackers', 'abc', [B]],
+      ['reannounceTorrent', 'abc']
+    ]);
+  });
+
+  it('Deluge rewrites the whole tracker list', async () => {
+    const manager = new DelugeManager();
+    const calls = withClient(manager, ['setTorrentTrackers'], {
+      getTorrentStatus: async () => ({ trackers: [{ url: A, tier: 0 }, { url: B, tier: 1 }] })
+    });
+
+    await manager.addTrackers('abc', [B, C]);
+    await manager.editTracker('abc', A, C);
+    await manager.removeTrackers('abc', [A]);
+    assert.deepEqual(calls.map(c => c[2]), [
+      [{ url: A, tier: 0 }, { url: B, tier: 1 }, { url: C, tier: 2 }],
+      [{ url: C, tier: 0 }, { url: B, tier: 1 }],
+      [{ url: B, tier: 1 }]
+    ]);
+
+    const missing = await manager.editTracker('abc', C, A);
+    assert.equal(missing.success, false);
+  });
+
+  it('Transmission addresses trackers by id', async () => {
+    const manager = new TransmissionManager();
+    const calls = withClient(manager, ['setTorrents'], {
+      getTorrentDetails: async () => ({ trackers: [{ id: 4, announce: A, tier: 0 }, { id: 7, announce: B, tier: 1 }] })
+    });
+
+    await manager.addTrackers('abc', [A, C]);
+    await manager.editTracker('abc', B, C);
+    await manager.removeTrackers('abc', [A, B]);
+    assert.deepEqual(calls.map(c => c[2]), [
+      { trackerAdd: [C] },
+      { trackerReplace: [7, C] },
+      { trackerRemove: [4, 7] }
+    ]);
+  });
+
+  it('fetches announce URLs for every torrent without pseudo trackers', async () => {
+    const manager = new QbittorrentManager();
+    manager.lastTorrents = [{ hash: 'ABC' }, { hash: 'def' }, { hash: 'ghi' }];
+    withClient(manager, [], {
+      getTorrentTrackers: async (hash) => {
+        if (hash === 'ghi') throw new Error('timeout');
+        return hash === 'abc' ? [{ url: '** [DHT] **' }, { url: A }] : [{ url: B }];
+      },
+      getTorrentPeers: async () => ({})
+    });
+
+    const { urls, unchecked } = await manager.fetchAllTrackerUrls();
+    assert.deepEqual([...urls], [['abc', [A]], ['def', [B]]]);
+    assert.deepEqual(unchecked, ['ghi']);
+    assert.deepEqual(manager._trackerCache.get('def').trackersDetailed, [{ url: B }]);
+  });
+});
+
+describe('replaceTrackerUrl', () => {
+  let manager;
+  let calls;
+
+  before(() => {
+    manager = new QbittorrentManager();
+    manager.instanceId = 'qb-replace';
+    manager.isConnected = () => true;
+    // Only 'abc' is in the tracker cache — the others were never refreshed
+    manager._trackerCache.set('abc', { trackersDetailed: [{ url: A }] });
+    manager.lastTorrents = [{ hash: 'abc' }, { hash: 'def' }, { hash: 'ghi' }];
+    calls = withClient(manager, ['editTracker'], {
+      getTorrentTrackers: async (hash) => {
+        if (hash === 'ghi') throw new Error('timeout');
+        return [{ url: A }];
+      },
+      getTorrentPeers: async () => ({})
+    });
+    registry.register('qb-replace', 'qbittorrent', manager);
+  });
+  after(() => registry.unregister('qb-replace'));
+
+  it('checks every torrent on the instance and reports the ones it could not', async () => {
+    const sent = [];
+    const context = {
+      clientInfo: { isAdmin: true },
+      log: () => {},
+      error: () => {},
+      send: (message) => sent.push(message)
+    };
+    await webSocketHandlers.handleReplaceTrackerUrl({ find: 'a.example', replace: 'c.example' }, context);
+
+    assert.deepEqual(calls.filter(c => c[0] === 'editTracker').map(c => c[1]), ['abc', 'def']);
+    const [reply] = sent;
+    assert.deepEqual(reply.results.map(r => [r.fileHash, r.success]), [['abc', true], ['def', true]]);
+    assert.deepEqual(reply.unchecked.map(u => u.fileHash), ['ghi']);
+    assert.match(reply.message, /2\/2 torrents updated \(1 torrent not checked\)/);
+  });
+});
@@ -0,0 +1,179 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const WebhookDB = require('../lib/WebhookDB');
+const webhookManager = require('../lib/WebhookManager');
+const { signPayload, backoffDelay, MAX_ATTEMPTS } = webhookManager;
+
+const SECRET = 'a'.repeat(32);
+const EVENT = { hash: 'abc', filename: 'ubuntu.iso', instanceId: 'qb-1', owner: 'john' };
+const LATER = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+/**
+ * Receiver stand-in: records requests and answers with the next queued status
+ */
+const receiver = { url: null, requests: [], statuses: [] };
+receiver.server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    receiver.requests.push({ headers: req.headers, body });
+    res.writeHead(receiver.statuses.shift() || 200);
+    res.end('ok');
+  });
+});
+
+let tmpDir;
+const saved = {};
+
+before(async () => {
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+  // Drive the queue explicitly instead of through setImmediate
+  for (const key of ['_kick', 'log', 'warn']) saved[key] = webhookManager[key];
+  Object.assign(webhookManager, { _kick: () => {}, log: () => {}, warn: () => {} });
+});
+
+after(() => {
+  receiver.server.close();
+  webhookManager.db?.close();
+  webhookManager.db = null;
+  Object.assign(webhookManager, saved);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  webhookManager.db?.close();
+  webhookManager.db = new WebhookDB(path.join(tmpDir, `${crypto.randomUUID()}.db`));
+  receiver.requests = [];
+  receiver.statuses = [];
+});
+
+const addEndpoint = (overrides = {}) => webhookManager.db.addEndpoint({
+  name: 'Receiver', url: receiver.url, secret: SECRET, events: ['downloadFinished'], ...overrides
+});
+
+describe('webhook delivery', () => {
+  it('posts the event JSON with a verifiable signature', async () => {
+    addEndpoint();
+    assert.equal(webhookManager.enqueue('downloadFinished', EVENT), 1);
+    await webhookManager.processDue();
+
+    const [req] = receiver.requests;
+    assert.equal(req.body, JSON.stringify(EVENT));
+    assert.equal(req.headers['x-amutorrent-event'], 'downloadFinished');
+    assert.equal(req.headers['content-type'], 'application/json');
+    const expected = crypto.createHmac('sha256', SECRET)
+      .update(`${req.headers['x-amutorrent-timestamp']}.${req.body}`).digest('hex');
+    assert.equal(req.headers['x-amutorrent-signature'], `sha256=${expected}`);
+
+    const [delivery] = webhookManager.db.getDeliveries();
+    assert.equal(req.headers['x-amutorrent-delivery'], String(delivery.id));
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.responseStatus, 200);
+  });
+
+  it('only queues for enabled endpoints subscribed to the event', () => {
+    addEndpoint({ name: 'A', events: ['downloadAdded'] });
+    addEndpoint({ name: 'B', events: ['downloadFinished'], enabled: false });
+    addEndpoint({ name: 'C', events: ['downloadFinished', 'fileMoved'] });
+    assert.equal(webhookManager.enqueue('downloadFinished', EVENT), 1);
+    assert.deepEqual(webhookManager.db.getDeliveries().map(d => d.endpointName), ['C']);
+  });
+
+  it('retries 5xx with backoff and fails 4xx right away', async () => {
+    const retried = addEndpoint({ name: 'Retried' });
+    const rejected = addEndpoint({ name: 'Rejected', url: `${receiver.url}?reject` });
+    receiver.statuses = [503, 400];
+    webhookManager.db.addDelivery({ endpointId: retried.id, eventType: 'downloadFinished', payload: '{}' });
+    await webhookManager.processDue();
+    webhookManager.db.addDelivery({ endpointId: rejected.id, eventType: 'downloadFinished', payload: '{}' });
+    await webhookManager.processDue();
+
+    const byName = Object.fromEntries(webhookManager.db.getDeliveries().map(d => [d.endpointName, d]));
+    assert.equal(byName.Rejected.status, 'failed');
+    assert.equal(byName.Rejected.error, 'HTTP 400');
+    assert.equal(byName.Retried.status, 'pending');
+    assert.equal(byName.Retried.error, 'HTTP 503');
+    const delay = Date.parse(byName.Retried.nextAttemptAt) - Date.now();
+    assert.ok(delay > 25000 && delay <= 30000, `retry in ${delay}ms`);
+
+    // Not due yet, then due
+    await webhookManager.processDue();
+    assert.equal(receiver.requests.length, 2);
+    await webhookManager.processDue(LATER());
+    const retriedAgain = webhookManager.db.getDelivery(byName.Retried.id);
+    assert.equal(retriedAgain.status, 'delivered');
+    assert.equal(retriedAgain.attempts, 2);
+  });
+
+  it('gives up after the last attempt and retries network errors', async () => {
+    const endpoint = addEndpoint({ url: 'http://127.0.0.1:1/unreachable' });
+    const { id } = webhookManager.db.addDelivery({ endpointId: endpoint.id, eventType: 'downloadFinished', payload: '{}' });
+    await webhookManager.processDue();
+    assert.equal(webhookManager.db.getDelivery(id).status, 'pending');
+
+    webhookManager.db.db.prepare('UPDATE webhook_deliveries SET attempts = ? WHERE id = ?').run(MAX_ATTEMPTS - 1, id);
+    await webhookManager.processDue(LATER());
+    const delivery = webhookManager.db.getDelivery(id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, MAX_ATTEMPTS);
+    assert.equal(delivery.responseStatus, null);
+  });
+
+  it('holds deliveries while the endpoint is disabled', async () => {
+    const endpoint = addEndpoint();
+    webhookManager.db.addDelivery({ endpointId: endpoint.id, eventType: 'downloadFinished', payload: '{}' });
+    webhookManager.db.updateEndpoint(endpoint.id, { enabled: false });
+    await webhookManager.processDue();
+    assert.equal(receiver.requests.length, 0);
+
+    webhookManager.db.updateEndpoint(endpoint.id, { enabled: true });
+    await webhookManager.processDue();
+    assert.equal(receiver.requests.length, 1);
+  });
+
+  it('redelivers a past delivery as a new one with the same payload', async () => {
+    addEndpoint();
+    webhookManager.enqueue('downloadFinished', EVENT);
+    await webhookManager.processDue();
+    const [original] = webhookManager.db.getDeliveries();
+
+    const copy = webhookManager.redeliver(original.id);
+    assert.equal(copy.redeliveryOf, original.id);
+    assert.equal(copy.status, 'pending');
+    await webhookManager.processDue();
+
+    assert.equal(receiver.requests.length, 2);
+    assert.equal(receiver.requests[1].body, receiver.requests[0].body);
+    assert.notEqual(receiver.requests[1].headers['x-amutorrent-delivery'], receiver.requests[0].headers['x-amutorrent-delivery']);
+    assert.equal(webhookManager.redeliver(9999), null);
+  });
+});
+
+describe('webhook helpers', () => {
+  it('signs "<timestamp>.<body>" and caps the backoff', () => {
+    assert.equal(signPayload('k', 1700000000, '{}'),
+      `sha256=${crypto.createHmac('sha256', 'k').update('1700000000.{}').digest('hex')}`);
+    assert.deepEqual([1, 2, 3].map(backoffDelay), [30000, 60000, 120000]);
+    assert.equal(backoffDelay(20), 6 * 60 * 60 * 1000);
+  });
+
+  it('validates endpoint settings', () => {
+    assert.deepEqual(webhookManager.validateEndpoint({ name: 'x', url: 'https://h/x', events: ['fileMoved'], secret: SECRET }), []);
+    assert.deepEqual(webhookManager.validateEndpoint({ name: '', url: 'ftp://h', events: [], secret: 'short' }), [
+      'Endpoint name is required',
+      'Endpoint URL must start with http:// or https://',
+      'Secret must be at least 16 characters',
+      'Select at least one event'
+    ]);
+    assert.deepEqual(webhookManager.validateEndpoint({ events: ['nope'] }, true), ['Unknown event type: nope']);
+  });
+});
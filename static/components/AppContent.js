@@ -22,7 +22,7 @@ import { useCapabilities, VIEW_CAPABILITIES } from '../hooks/useCapabilities.js'
 import { Header, Sidebar, Footer, MobileNavFooter, StickyViewHeader } from './layout/index.js';
 import { SetupWizardView, LoginView } from './views/index.js';
 import { Portal, Icon } from './common/index.js';
-import { AboutModal, WelcomeModal, AddDownloadModal } from './modals/index.js';
+import { AboutModal, WelcomeModal, AddDownloadModal, SpeedLimitsModal } from './modals/index.js';
 import { useVersion } from '../contexts/index.js';
 import { useAddDownload } from '../contexts/AddDownloadContext.js';
 import { useActions } from '../contexts/ActionsContext.js';
@@ -73,8 +73,8 @@ const AppContentInner = () => {
   // Capability check — redirect if user navigated to a view they can't access
   const { hasCap, isAdmin } = useCapabilities();
   useEffect(() => {
-    // Settings and Notifications are admin-only (not in VIEW_CAPABILITIES)
-    if ((appCurrentView === 'settings' || appCurrentView === 'notifications') && !isAdmin) {
+    // Settings, Notifications and RSS are admin-only (not in VIEW_CAPABILITIES)
+    if (['settings', 'notifications', 'rss'].includes(appCurrentView) && !isAdmin) {
       handleAppNavigate('home');
       return;
     }
@@ -87,6 +87,9 @@ const AppContentInner = () => {
   // About modal state
   const aboutModal = useModal();
 
+  // Speed limits modal state
+  const speedLimitsModal = useModal();
+
   // Version and What's New modal state
   const { version, showWhatsNew, whatsNewChangelog, markVersionSeen, markingAsSeen } = useVersion();
 
@@ -289,6 +292,7 @@ const AppContentInner = () => {
           isLandscape,
           onNavigateHome: handleNavigateHome,
           onOpenAbout: aboutModal.open,
+          onOpenSpeedLimits: speedLimitsModal.open,
           authEnabled,
           username,
           onLogout: handleLogout,
@@ -327,6 +331,13 @@ const AppContentInner = () => {
         onClose: aboutModal.close
       }),
 
+      // Speed Limits Modal (opened from header)
+      h(SpeedLimitsModal, {
+        show: speedLimitsModal.modal.show,
+        onClose: speedLimitsModal.close,
+        canEdit: hasCap('manage_bandwidth')
+      }),
+
       // Welcome Modal (shown after app update)
       h(WelcomeModal, {
         show: showWhatsNew,
@@ -339,11 +350,12 @@ const AppContentInner = () => {
       // Add Download Modal (global — opened by button in DownloadsView or global drag-and-drop)
       hasCap('add_downloads') && h(AddDownloadModal, {
         show: showAddDownload,
-        onAddEd2kLinks: (links, categoryName) => actions.search.addEd2kLinks(links.join('\n'), categoryName, false),
-        onAddMagnetLinks: (links, label, instanceId, clientType, savePath) =>
-          actions.search.addMagnetLinks(links, label, instanceId, clientType, savePath),
-        onAddTorrentFile: (file, label, instanceId, clientType, savePath) =>
-          actions.search.addTorrentFile(file, label, instanceId, clientType, savePath),
+        onAddEd2kLinks: (links, categoryName, instanceId, options) =>
+          actions.search.addEd2kLinks(links.join('\n'), categoryName, false, instanceId, options),
+        onAddMagnetLinks: (links, label, instanceId, clientType, savePath, options) =>
+          actions.search.addMagnetLinks(links, label, instanceId, clientType, savePath, options),
+        onAddTorrentFile: (file, label, instanceId, clientType, savePath, options) =>
+          actions.search.addTorrentFile(file, label, instanceId, clientType, savePath, options),
         onClose: closeAddDownloadModal,
         initialTorrentFiles: initialFiles
       }),
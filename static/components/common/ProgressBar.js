@@ -63,8 +63,10 @@ const ProgressBar = ({ item, theme, variant = 'mobile' }) => {
     setShowSegments(false);
   }, []);
 
-  // Progress text varies by variant
-  const progress = item.progress || 0;
+  // Progress text varies by variant. While a hash check runs the bar tracks
+  // the check instead of the download progress.
+  const isChecking = item.checkProgress != null;
+  const progress = isChecking ? item.checkProgress : (item.progress || 0);
   const statusLabel = display.label || 'Active';
 
   // Use pre-calculated ETA from server (in seconds), format for display
@@ -74,7 +76,9 @@ const ProgressBar = ({ item, theme, variant = 'mobile' }) => {
 
   let progressText;
   if (variant === 'desktop') {
-    progressText = `${progress}%`;
+    progressText = isChecking ? `Checking ${progress}%` : `${progress}%`;
+  } else if (isChecking) {
+    progressText = `${statusLabel} · ${progress}%`;
   } else {
     if (progress >= 100) {
       progressText = `${statusLabel} · ${formatBytes(item.size)}`;
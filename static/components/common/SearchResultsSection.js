@@ -16,6 +16,7 @@ import { useActions } from '../../contexts/ActionsContext.js';
 import { useTextFilter, useSelectionMode, usePageSelection, useBitTorrentClientSelector } from '../../hooks/index.js';
 import { useStickyToolbar } from '../../contexts/StickyHeaderContext.js';
 import { useCapabilities } from '../../hooks/useCapabilities.js';
+import { useAddDownload } from '../../contexts/AddDownloadContext.js';
 import BitTorrentClientSelector from './BitTorrentClientSelector.js';
 
 const { createElement: h, useCallback, useMemo, useEffect, useState } = React;
@@ -48,6 +49,7 @@ const SearchResultsSection = ({
   const { dataDownloadedFiles, setDataDownloadedFiles, downloadedAliasRef, dataCategories } = useStaticData();
   const { searchDownloadCategory, setSearchDownloadCategory, searchInstanceId } = useSearch();
   const actions = useActions();
+  const { queueDuplicates } = useAddDownload();
   const { hasCap } = useCapabilities();
   const canAddDownloads = hasCap('add_downloads');
 
@@ -238,6 +240,19 @@ const SearchResultsSection = ({
     [selectedFiles, dataDownloadedFiles, activeInstanceId]
   );
 
+  // Mark Prowlarr GUIDs as downloaded on the selected client (UI checkmark)
+  const markProwlarrDownloaded = useCallback((guids) => {
+    setDataDownloadedFiles(prev => {
+      const next = new Map(prev);
+      guids.forEach(h => {
+        const instances = next.get(h) || new Set();
+        instances.add(selectedClientId || 'unknown');
+        next.set(h, instances);
+      });
+      return next;
+    });
+  }, [setDataDownloadedFiles, selectedClientId]);
+
   // Batch download handler — handles both aMule and Prowlarr results
   const handleBatchDownload = useCallback(async () => {
     const toDownload = Array.from(selectedFiles).filter(hash => {
@@ -264,38 +279,46 @@ const SearchResultsSection = ({
 
       // Download Prowlarr items via REST API
       // API returns the real info hash — store GUID for UI checkmark and
-      // record realHash → GUID alias so delete handler can remove both
-      let prowlarrSuccessCount = 0;
+      // record realHash → GUID alias so delete handler can remove both.
+      // Torrents that already exist somewhere are queued for the duplicate prompt.
       const prowlarrGuids = [];
+      const recordAlias = (item, result) => {
+        if (typeof result === 'string') {
+          downloadedAliasRef.current.set(result, item.fileHash);
+        }
+      };
       for (const item of prowlarrItems) {
-        const result = await actions.search.addProwlarrTorrent(item, searchDownloadCategory, selectedClientId, selectedClient?.type);
-        if (result) {
-          prowlarrSuccessCount++;
+        const addItem = (options) => actions.search.addProwlarrTorrent(item, searchDownloadCategory, selectedClientId, selectedClient?.type, options);
+        const result = await addItem();
+        if (result?.duplicates) {
+          queueDuplicates({
+            id: item.fileHash,
+            duplicates: result.duplicates,
+            resend: async (onDuplicate) => {
+              if (onDuplicate !== 'add') return;
+              const retry = await addItem({ onDuplicate });
+              if (!retry || retry.duplicates) return;
+              markProwlarrDownloaded([item.fileHash]);
+              recordAlias(item, retry);
+              addAppSuccess('Downloading 1 torrent');
+            }
+          });
+        } else if (result) {
           prowlarrGuids.push(item.fileHash);
-          if (typeof result === 'string') {
-            downloadedAliasRef.current.set(result, item.fileHash);
-          }
+          recordAlias(item, result);
         }
       }
 
-      if (prowlarrSuccessCount > 0) {
-        setDataDownloadedFiles(prev => {
-          const next = new Map(prev);
-          prowlarrGuids.forEach(h => {
-            const instances = next.get(h) || new Set();
-            instances.add(selectedClientId || 'unknown');
-            next.set(h, instances);
-          });
-          return next;
-        });
-        addAppSuccess(`Downloading ${prowlarrSuccessCount} torrent${prowlarrSuccessCount > 1 ? 's' : ''}`);
+      if (prowlarrGuids.length > 0) {
+        markProwlarrDownloaded(prowlarrGuids);
+        addAppSuccess(`Downloading ${prowlarrGuids.length} torrent${prowlarrGuids.length > 1 ? 's' : ''}`);
       }
 
       clearAllSelections();
     } finally {
       setDownloading(false);
     }
-  }, [selectedFiles, dataDownloadedFiles, setDataDownloadedFiles, results, actions, searchDownloadCategory, selectedClientId, clearAllSelections, addAppSuccess]);
+  }, [selectedFiles, dataDownloadedFiles, markProwlarrDownloaded, results, actions, searchDownloadCategory, selectedClientId, clearAllSelections, addAppSuccess, queueDuplicates]);
 
   // Clear selection when results change (navigating between cached/live results)
   useEffect(() => { clearAllSelections(); }, [results]);
@@ -205,6 +205,13 @@ const Footer = ({ currentView, onOpenAbout }) => {
     );
   };
 
+  // --- Bandwidth schedule (instances currently held by a schedule rule) ---
+  const scheduledInsts = stats.bandwidthSchedule?.enabled
+    ? (stats.bandwidthSchedule.instances || []).filter(i => i.ruleId)
+    : [];
+  const scheduleRuleNames = [...new Set(scheduledInsts.map(i => i.ruleName))];
+  const formatLimit = (bytes) => (bytes > 0 ? formatSpeed(bytes) : 'Unlimited');
+
   // Footer is hidden on mobile (replaced by MobileNavFooter)
   return h('footer', {
     className: 'hidden md:block bg-white dark:bg-gray-800 border-t border-gray-200 dark:border-gray-700 py-1.5 px-2 lg:px-3 flex-none sticky bottom-0 z-40'
@@ -259,6 +266,24 @@ const Footer = ({ currentView, onOpenAbout }) => {
           ),
           // Divider after update indicator
           updateAvailable && onOpenAbout && h('div', { className: 'w-px h-4 bg-gray-300 dark:bg-gray-600' }),
+          // Active bandwidth schedule indicator
+          scheduledInsts.length > 0 && h(Tooltip, {
+            content: h('div', { className: 'space-y-1' },
+              h('div', { className: 'font-semibold mb-1' }, 'Bandwidth Schedule'),
+              ...scheduledInsts.map(inst =>
+                h('div', { key: inst.instanceId },
+                  `${inst.instanceName}: ${inst.ruleName} (↓ ${formatLimit(inst.downloadLimit)} · ↑ ${formatLimit(inst.uploadLimit)})`
+                )
+              )
+            ),
+            position: 'top'
+          },
+            h('div', { className: 'flex items-center gap-1 px-2 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 text-xs rounded-lg cursor-help' },
+              h(Icon, { name: 'clock', size: 14 }),
+              h('span', { className: 'hidden lg:inline font-medium max-w-[10rem] truncate' }, scheduleRuleNames.join(', '))
+            )
+          ),
+          scheduledInsts.length > 0 && h('div', { className: 'w-px h-4 bg-gray-300 dark:bg-gray-600' }),
           // Disk Space Indicator
           stats.diskSpace && h(Tooltip, {
             content: h('div', { className: 'space-y-1 text-right' },
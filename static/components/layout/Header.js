@@ -100,11 +100,12 @@ const UserMenu = ({ username, onOpenProfile, onLogout }) => {
  * @param {boolean} isLandscape - Is device in landscape mode
  * @param {function} onNavigateHome - Navigate to home handler
  * @param {function} onOpenAbout - Open about modal handler
+ * @param {function} onOpenSpeedLimits - Open speed limits modal handler
  * @param {boolean} authEnabled - Whether authentication is enabled
  * @param {string} username - Current username
  * @param {function} onLogout - Logout handler
  */
-const Header = ({ theme, onToggleTheme, isLandscape, onNavigateHome, onOpenAbout, authEnabled = false, username, onLogout, isSso = false }) => {
+const Header = ({ theme, onToggleTheme, isLandscape, onNavigateHome, onOpenAbout, onOpenSpeedLimits, authEnabled = false, username, onLogout, isSso = false }) => {
   const { fontSize, fontSizeConfig, cycleFontSize } = useFontSize();
   const { isEd2kEnabled, isBittorrentEnabled, toggleNetworkType, toggleInstance, isInstanceEnabled } = useClientFilter();
   const { multipleClientsConnected, instances } = useStaticData();
@@ -274,6 +275,17 @@ const Header = ({ theme, onToggleTheme, isLandscape, onNavigateHome, onOpenAbout
                 className: 'p-1.5 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors'
               }, h(Icon, { name: 'logOut', size: 18, className: 'text-gray-600 dark:text-gray-300' }))
             ),
+        // Speed limits button
+        onOpenSpeedLimits && h(Tooltip, {
+          content: 'Speed limits',
+          position: 'left',
+          showOnMobile: false
+        },
+          h('button', {
+            onClick: () => onOpenSpeedLimits(),
+            className: 'p-1.5 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors'
+          }, h(Icon, { name: 'zap', size: 18, className: 'text-gray-600 dark:text-gray-300' }))
+        ),
         // Font size toggle button
         h(Tooltip, {
           content: `Font size: ${fontSizeConfig.label}`,
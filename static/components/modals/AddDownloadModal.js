@@ -3,13 +3,20 @@
  *
  * Modal for adding downloads via ED2K links, magnet links, or .torrent files
  * Supports aMule (ED2K) and BitTorrent clients (rTorrent, qBittorrent)
+ *
+ * Every add request carries a requestId; requests the server holds back as
+ * duplicates are queued for DuplicateDownloadModal, which resends them with
+ * the user's choice.
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import Portal from '../common/Portal.js';
+import DuplicateDownloadModal from './DuplicateDownloadModal.js';
 import { Button, Select, Textarea, Icon, Input, IconButton, ClientIcon, BitTorrentClientSelector, AmuleInstanceSelector, PathPicker } from '../common/index.js';
 import { useClientFilter } from '../../contexts/ClientFilterContext.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { useWebSocketConnection } from '../../contexts/WebSocketContext.js';
+import { useAddDownload } from '../../contexts/AddDownloadContext.js';
 import { useBitTorrentClientSelector } from '../../hooks/useBitTorrentClientSelector.js';
 import { useAmuleInstanceSelector } from '../../hooks/useAmuleInstanceSelector.js';
 
@@ -18,9 +25,9 @@ const { createElement: h, useState, useRef, useCallback, useEffect } = React;
 /**
  * Add download modal
  * @param {boolean} show - Whether to show the modal
- * @param {function} onAddEd2kLinks - Handler for ED2K links (links, categoryName)
- * @param {function} onAddMagnetLinks - Handler for magnet links (links, label, clientId)
- * @param {function} onAddTorrentFile - Handler for .torrent file (file, label, clientId)
+ * @param {function} onAddEd2kLinks - Handler for ED2K links (links, categoryName, instanceId, options)
+ * @param {function} onAddMagnetLinks - Handler for magnet links (links, label, instanceId, clientType, savePath, options)
+ * @param {function} onAddTorrentFile - Handler for .torrent file (file, label, instanceId, clientType, savePath, options)
  * @param {function} onClose - Close handler
  * @param {File[]} initialTorrentFiles - Pre-loaded .torrent files (e.g. from global drag-and-drop)
  */
@@ -74,6 +81,24 @@ const AddDownloadModal = ({
   const [customSavePath, setCustomSavePath] = useState('');
   const fileInputRef = useRef(null);
 
+  // requestId → resend(onDuplicate) for the last submit, so held-back
+  // duplicates can be resent with the user's choice
+  const pendingRequestsRef = useRef(new Map());
+  const { addMessageHandler, removeMessageHandler } = useWebSocketConnection();
+  const { queueDuplicates } = useAddDownload();
+
+  useEffect(() => {
+    const handler = (data) => {
+      if (data.type !== 'duplicate') return;
+      const resend = pendingRequestsRef.current.get(data.requestId);
+      if (!resend) return;
+      pendingRequestsRef.current.delete(data.requestId);
+      queueDuplicates({ id: data.requestId, duplicates: data.duplicates || [], resend });
+    };
+    addMessageHandler(handler);
+    return () => removeMessageHandler(handler);
+  }, [addMessageHandler, removeMessageHandler, queueDuplicates]);
+
   // Seed torrent files from global drag-and-drop
   useEffect(() => {
     if (initialTorrentFiles.length > 0) {
@@ -102,7 +127,8 @@ const AddDownloadModal = ({
   }, []);
 
   // Early return AFTER all hooks are called (React rules of hooks)
-  if (!show) return null;
+  // The duplicate prompt appears after submit, once this modal has closed
+  if (!show) return h(DuplicateDownloadModal);
 
   const { ed2kLinks, magnetLinks, invalidLinks } = parseLinks(links);
 
@@ -135,20 +161,28 @@ const AddDownloadModal = ({
     // Custom save path: only send if user explicitly set one and client supports it
     const effectiveSavePath = (showSavePath && customSavePath && supportsCustomPath) ? customSavePath : null;
 
+    // Send an add request and remember how to resend it if held back as a duplicate
+    pendingRequestsRef.current = new Map();
+    const submit = (send) => {
+      const requestId = `add-${Date.now()}-${pendingRequestsRef.current.size}`;
+      pendingRequestsRef.current.set(requestId, (onDuplicate) => send({ onDuplicate }));
+      send({ requestId });
+    };
+
     // Add ED2K links if any (send category name - backend resolves to per-instance amuleId)
     if (ed2kLinks.length > 0 && amuleConnected && onAddEd2kLinks) {
-      onAddEd2kLinks(ed2kLinks, finalCategory, false, effectiveAmuleInstance);
+      submit(options => onAddEd2kLinks(ed2kLinks, finalCategory, effectiveAmuleInstance, options));
     }
 
     // Add magnet links if any (pass instanceId + clientType + optional savePath)
     if (magnetLinks.length > 0 && hasBitTorrentClient && onAddMagnetLinks) {
-      onAddMagnetLinks(magnetLinks, finalLabel, selectedClientId, selectedClient?.type, effectiveSavePath);
+      submit(options => onAddMagnetLinks(magnetLinks, finalLabel, selectedClientId, selectedClient?.type, effectiveSavePath, options));
     }
 
     // Add torrent files if any (pass instanceId + clientType + optional savePath)
     if (torrentFiles.length > 0 && hasBitTorrentClient && onAddTorrentFile) {
       torrentFiles.forEach(file => {
-        onAddTorrentFile(file, finalLabel, selectedClientId, selectedClient?.type, effectiveSavePath);
+        submit(options => onAddTorrentFile(file, finalLabel, selectedClientId, selectedClient?.type, effectiveSavePath, options));
       });
     }
 
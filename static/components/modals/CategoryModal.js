@@ -8,7 +8,7 @@ import React from 'https://esm.sh/react@18.2.0';
 import { categoryColorToHex, hexToCategoryColor } from '../../utils/index.js';
 import Portal from '../common/Portal.js';
 import { Button, Input, Select, AlertBox, IconButton } from '../common/index.js';
-import { ConfigField } from '../settings/index.js';
+import { ConfigField, EnableToggle } from '../settings/index.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
 import { useModal } from '../../hooks/useModal.js';
 import DirectoryBrowserModal from './DirectoryBrowserModal.js';
@@ -19,6 +19,47 @@ const { createElement: h, useState, useEffect, useCallback, useRef, useMemo } =
 // Debounce delay for path validation (ms)
 const PATH_CHECK_DEBOUNCE = 500;
 
+const SEEDING_ACTION_OPTIONS = [
+  { value: 'pause', label: 'Pause' },
+  { value: 'stop', label: 'Stop' },
+  { value: 'remove', label: 'Remove (keep files)' },
+  { value: 'removeWithFiles', label: 'Remove with files' },
+  { value: 'moveCategory', label: 'Move to category' }
+];
+
+const CHECKBOX_CLASS = 'w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 ' +
+  'dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600';
+
+/**
+ * Seeding policy → form state (times edited in hours, inputs kept as strings while typing)
+ */
+const policyToForm = (policy) => ({
+  enabled: !!policy?.enabled,
+  ratio: policy?.ratio ? String(policy.ratio) : '',
+  minSeedHours: policy?.minSeedTimeMinutes ? String(+(policy.minSeedTimeMinutes / 60).toFixed(2)) : '',
+  maxIdleHours: policy?.maxIdleMinutes ? String(+(policy.maxIdleMinutes / 60).toFixed(2)) : '',
+  action: policy?.action || 'pause',
+  targetCategory: policy?.targetCategory || '',
+  dryRun: !!policy?.dryRun
+});
+
+/**
+ * Form state → seeding policy (null when never enabled)
+ */
+const formToPolicy = (form) => {
+  const number = (value) => Math.max(0, parseFloat(value) || 0);
+  if (!form.enabled && !form.ratio && !form.minSeedHours && !form.maxIdleHours) return null;
+  return {
+    enabled: form.enabled,
+    ratio: number(form.ratio),
+    minSeedTimeMinutes: Math.round(number(form.minSeedHours) * 60),
+    maxIdleMinutes: Math.round(number(form.maxIdleHours) * 60),
+    action: form.action,
+    targetCategory: form.action === 'moveCategory' ? form.targetCategory : '',
+    dryRun: form.dryRun
+  };
+};
+
 /**
  * Category create/edit modal
  * @param {boolean} show - Whether to show the modal
@@ -44,8 +85,8 @@ const CategoryModal = ({
   setError,
   isDocker = false
 }) => {
-  // Get default paths and instance metadata from StaticData
-  const { clientDefaultPaths, instances } = useStaticData();
+  // Get default paths, instance metadata and categories from StaticData
+  const { clientDefaultPaths, instances, dataCategories } = useStaticData();
 
   // Build dynamic mapping entries from connected instances
   // Single-instance types use clientType as key (backward compat), multi-instance use instanceId
@@ -95,6 +136,10 @@ const CategoryModal = ({
   const [enablePathMapping, setEnablePathMapping] = useState(false);
   const [pathMappings, setPathMappings] = useState({});
 
+  // Local state for the seeding policy section
+  const [seedingPolicy, setSeedingPolicy] = useState(() => policyToForm(null));
+  const updateSeedingPolicy = (field, value) => setSeedingPolicy(prev => ({ ...prev, [field]: value }));
+
   // Path permission warning state
   const [pathWarning, setPathWarning] = useState(null);
   const [mappingWarnings, setMappingWarnings] = useState({});
@@ -267,6 +312,8 @@ const CategoryModal = ({
         setPathMappings(empty);
       }
 
+      setSeedingPolicy(policyToForm(category?.seedingPolicy));
+
       // Reset warnings - will be re-checked via API below
       setPathWarning(null);
       setMappingWarnings({});
@@ -341,6 +388,18 @@ const CategoryModal = ({
       return;
     }
 
+    const finalSeedingPolicy = formToPolicy(seedingPolicy);
+    if (finalSeedingPolicy?.enabled) {
+      if (!finalSeedingPolicy.ratio && !finalSeedingPolicy.minSeedTimeMinutes && !finalSeedingPolicy.maxIdleMinutes) {
+        setError('Seeding policy needs a target ratio, minimum seed time or maximum idle time');
+        return;
+      }
+      if (finalSeedingPolicy.action === 'moveCategory' && !finalSeedingPolicy.targetCategory) {
+        setError('Choose a category to move seeded items to');
+        return;
+      }
+    }
+
     // Build pathMappings object if enabled (and path mapping section is visible)
     let finalPathMappings = null;
     const canHavePathMapping = isDefault || !!formData.path?.trim();
@@ -367,7 +426,8 @@ const CategoryModal = ({
         formData.comment,
         formData.color,
         formData.priority,
-        finalPathMappings
+        finalPathMappings,
+        finalSeedingPolicy
       );
     } else {
       onCreate(
@@ -376,7 +436,8 @@ const CategoryModal = ({
         formData.comment,
         formData.color,
         formData.priority,
-        finalPathMappings
+        finalPathMappings,
+        finalSeedingPolicy
       );
     }
   };
@@ -520,8 +581,7 @@ const CategoryModal = ({
               type: 'checkbox',
               checked: enablePathMapping,
               onChange: (e) => setEnablePathMapping(e.target.checked),
-              className: 'w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 ' +
-                'dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600'
+              className: CHECKBOX_CLASS
             }),
             h('span', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' },
               'Enable path mapping (for Docker/container environments)'
@@ -602,6 +662,96 @@ const CategoryModal = ({
           )
         ),
 
+        // Separator before seeding policy
+        h('div', { className: 'border-t border-gray-200 dark:border-gray-700' }),
+
+        // Seeding policy (BitTorrent clients)
+        h('div', null,
+          h(EnableToggle, {
+            label: 'Seeding Policy',
+            description: 'Act on completed torrents in this category once their seeding goal is met (rTorrent, qBittorrent, Deluge, Transmission)',
+            enabled: seedingPolicy.enabled,
+            onChange: (value) => updateSeedingPolicy('enabled', value)
+          }),
+
+          seedingPolicy.enabled && h('div', { className: 'mt-3' },
+            h(ConfigField, {
+              label: 'Target ratio',
+              description: 'Upload ratio that completes seeding (empty = no ratio goal)'
+            },
+              h(Input, {
+                type: 'number',
+                min: 0,
+                step: 0.1,
+                value: seedingPolicy.ratio,
+                onChange: (e) => updateSeedingPolicy('ratio', e.target.value),
+                placeholder: 'e.g. 2'
+              })
+            ),
+            h(ConfigField, {
+              label: 'Minimum seed time (hours)',
+              description: 'Never act before a torrent has seeded this long'
+            },
+              h(Input, {
+                type: 'number',
+                min: 0,
+                step: 0.5,
+                value: seedingPolicy.minSeedHours,
+                onChange: (e) => updateSeedingPolicy('minSeedHours', e.target.value),
+                placeholder: 'e.g. 24'
+              })
+            ),
+            h(ConfigField, {
+              label: 'Maximum idle time (hours)',
+              description: 'Also act when nothing was uploaded for this long (empty = no idle limit)'
+            },
+              h(Input, {
+                type: 'number',
+                min: 0,
+                step: 0.5,
+                value: seedingPolicy.maxIdleHours,
+                onChange: (e) => updateSeedingPolicy('maxIdleHours', e.target.value),
+                placeholder: 'e.g. 72'
+              })
+            ),
+            h(ConfigField, { label: 'Action' },
+              h(Select, {
+                value: seedingPolicy.action,
+                onChange: (e) => updateSeedingPolicy('action', e.target.value),
+                options: SEEDING_ACTION_OPTIONS,
+                className: 'w-full'
+              })
+            ),
+            seedingPolicy.action === 'moveCategory' && h(ConfigField, { label: 'Move to' },
+              h(Select, {
+                value: seedingPolicy.targetCategory,
+                onChange: (e) => updateSeedingPolicy('targetCategory', e.target.value),
+                options: [
+                  { value: '', label: 'Select a category…' },
+                  ...dataCategories
+                    .filter(c => c.name !== (category?.name ?? formData.title.trim()))
+                    .map(c => ({ value: c.name, label: c.name }))
+                ],
+                className: 'w-full'
+              })
+            ),
+            h('label', { className: 'flex items-center gap-2 cursor-pointer' },
+              h('input', {
+                type: 'checkbox',
+                checked: seedingPolicy.dryRun,
+                onChange: (e) => updateSeedingPolicy('dryRun', e.target.checked),
+                className: CHECKBOX_CLASS
+              }),
+              h('span', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' },
+                'Dry run (log and emit events only, don\'t touch torrents)'
+              )
+            ),
+            h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-2' },
+              'The goal is met once the minimum seed time has passed and the ratio is reached or the torrent has been idle too long. ' +
+              'With only a minimum seed time, the action runs as soon as it passes.'
+            )
+          )
+        )
       )
       ), // Close scrollable content div
 
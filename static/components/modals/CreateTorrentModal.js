@@ -0,0 +1,292 @@
+/**
+ * CreateTorrentModal Component
+ *
+ * Builds a .torrent from a file or directory on the server. Hashing runs as
+ * a background job on the server; its progress streams in over WebSocket, so
+ * the modal can be closed and reopened while jobs are running. Finished
+ * torrents can be downloaded here and, optionally, are added straight to a
+ * BitTorrent instance to seed from the source location.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Input, Select, Textarea, Portal, AlertBox, PathPicker } from '../common/index.js';
+import DirectoryBrowserModal from './DirectoryBrowserModal.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { useTorrentCreate } from '../../hooks/useTorrentCreate.js';
+import { formatBytes } from '../../utils/index.js';
+
+const { createElement: h, useState, useEffect } = React;
+
+const CHECKBOX_CLASS = 'w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 ' +
+  'dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600';
+
+// 16 KiB … 16 MiB (server limits)
+const PIECE_SIZE_OPTIONS = [
+  { value: 0, label: 'Automatic' },
+  ...Array.from({ length: 11 }, (_, i) => {
+    const bytes = 16 * 1024 * 2 ** i;
+    return { value: bytes, label: bytes < 1024 * 1024 ? `${bytes / 1024} KiB` : `${bytes / (1024 * 1024)} MiB` };
+  })
+];
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  hashing: 'Hashing',
+  adding: 'Adding to client',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const ACTIVE_STATUSES = new Set(['queued', 'hashing', 'adding']);
+
+const EMPTY_FORM = {
+  sourcePath: '',
+  pieceLength: 0,
+  isPrivate: false,
+  trackers: '',
+  webSeeds: '',
+  comment: '',
+  addToInstanceId: '',
+  categoryName: ''
+};
+
+// One URL per line; a blank line starts the next tier
+const parseTrackerTiers = (text) => text
+  .split(/\n\s*\n/)
+  .map(block => block.split('\n').map(line => line.trim()).filter(Boolean))
+  .filter(tier => tier.length > 0);
+
+const parseLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+/**
+ * Single job row with progress and actions
+ */
+const JobRow = ({ job, onCancel, onRemove }) => {
+  const active = ACTIVE_STATUSES.has(job.status);
+  const barColor = job.status === 'failed' ? 'bg-red-500'
+    : job.status === 'cancelled' ? 'bg-gray-400'
+    : job.status === 'done' ? 'bg-green-500' : 'bg-blue-500';
+
+  return h('div', { className: 'py-2 flex flex-col gap-1' },
+    h('div', { className: 'flex items-center justify-between gap-2' },
+      h('span', { className: 'text-sm font-medium text-gray-900 dark:text-gray-100 truncate', title: job.sourcePath }, job.name),
+      h('span', { className: 'text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap' },
+        job.status === 'hashing' ? `${job.progress}%` : STATUS_LABELS[job.status] || job.status
+      )
+    ),
+    h('div', { className: 'w-full h-1.5 bg-gray-200 dark:bg-gray-700 rounded' },
+      h('div', { className: `h-1.5 rounded ${barColor}`, style: { width: `${job.status === 'done' ? 100 : job.progress || 0}%` } })
+    ),
+    h('div', { className: 'flex items-center justify-between gap-2' },
+      h('span', { className: 'text-xs text-gray-500 dark:text-gray-400 truncate' },
+        job.error || job.addError ||
+          `${job.fileCount} file${job.fileCount === 1 ? '' : 's'}, ${formatBytes(job.totalSize)}` +
+          (job.pieceLength ? `, ${job.pieceCount} × ${formatBytes(job.pieceLength)}` : '') +
+          (job.isPrivate ? ', private' : '')
+      ),
+      h('div', { className: 'flex gap-2 flex-shrink-0' },
+        job.status === 'done' && h('a', {
+          href: `/api/torrent-create/jobs/${job.id}/torrent`,
+          className: 'text-xs text-blue-600 dark:text-blue-400 hover:underline'
+        }, 'Download'),
+        active
+          ? h('button', { type: 'button', onClick: () => onCancel(job.id), className: 'text-xs text-red-600 dark:text-red-400 hover:underline' }, 'Cancel')
+          : h('button', { type: 'button', onClick: () => onRemove(job.id), className: 'text-xs text-gray-500 dark:text-gray-400 hover:underline' }, 'Dismiss')
+      )
+    )
+  );
+};
+
+/**
+ * Create torrent modal
+ * @param {boolean} show - Whether to show the modal
+ * @param {function} onClose - Close handler
+ */
+const CreateTorrentModal = ({ show, onClose }) => {
+  const { instances, dataCategories } = useStaticData();
+  const { jobs, submitting, error, fetchJobs, createJob, cancelJob, removeJob, clearError } = useTorrentCreate();
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [browseMode, setBrowseMode] = useState(null);   // 'directory' | 'file' | null
+
+  const seedInstances = Object.entries(instances)
+    .filter(([, inst]) => inst.connected && inst.networkType === 'bittorrent');
+
+  // Load jobs on open (keep the form so a failed path can be corrected)
+  useEffect(() => {
+    if (!show) return;
+    clearError();
+    fetchJobs();
+  }, [show]);
+
+  // Handle escape key (the directory browser handles its own)
+  useEffect(() => {
+    if (!show || browseMode) return;
+    const handleEscape = (e) => { if (e.key === 'Escape') onClose(); };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [show, browseMode, onClose]);
+
+  if (!show) return null;
+
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const categoryOptions = [
+    { value: '', label: 'No category' },
+    ...dataCategories.filter(c => c.name !== 'Default').map(c => ({ value: c.name, label: c.title || c.name }))
+  ];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.sourcePath.trim() || submitting) return;
+    try {
+      await createJob({
+        sourcePath: form.sourcePath.trim(),
+        pieceLength: Number(form.pieceLength) || 0,
+        isPrivate: form.isPrivate,
+        trackers: parseTrackerTiers(form.trackers),
+        webSeeds: parseLines(form.webSeeds),
+        comment: form.comment.trim(),
+        addToInstanceId: form.addToInstanceId || null,
+        categoryName: form.addToInstanceId ? form.categoryName : ''
+      });
+      setForm(EMPTY_FORM);
+    } catch {
+      // Shown via error state
+    }
+  };
+
+  const labelClass = 'flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-400';
+
+  return h(React.Fragment, null,
+    h(Portal, null,
+      h('div', {
+        className: 'fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4',
+        onClick: (e) => { if (e.target === e.currentTarget) onClose(); }
+      },
+        h('div', { className: 'bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-xl max-h-[90vh] flex flex-col' },
+          // Header
+          h('div', { className: 'px-4 py-3 border-b border-gray-200 dark:border-gray-700' },
+            h('h3', { className: 'text-base font-semibold text-gray-900 dark:text-gray-100' }, 'Create Torrent'),
+            h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-0.5' },
+              'Hash a file or directory on the server into a .torrent'
+            )
+          ),
+
+          // Body
+          h('form', { onSubmit: handleSubmit, className: 'px-4 py-4 flex flex-col gap-3 overflow-y-auto' },
+            error && h(AlertBox, { type: 'error', breakAll: true }, error),
+
+            h(PathPicker, {
+              value: form.sourcePath,
+              onChange: (value) => setForm(prev => ({ ...prev, sourcePath: value })),
+              label: 'Source',
+              placeholder: '/path/to/file-or-directory',
+              hint: 'Path as seen by aMuTorrent'
+            }),
+            h('div', { className: 'flex gap-2' },
+              h(Button, { type: 'button', variant: 'secondary', onClick: () => setBrowseMode('directory') }, 'Browse folder...'),
+              h(Button, { type: 'button', variant: 'secondary', onClick: () => setBrowseMode('file') }, 'Browse file...')
+            ),
+
+            h('div', { className: 'flex flex-wrap items-end gap-4' },
+              h('label', { className: labelClass },
+                'Piece size',
+                h(Select, { value: form.pieceLength, onChange: update('pieceLength'), options: PIECE_SIZE_OPTIONS })
+              ),
+              h('label', { className: 'flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 h-9 sm:h-10' },
+                h('input', {
+                  type: 'checkbox',
+                  checked: form.isPrivate,
+                  onChange: (e) => setForm(prev => ({ ...prev, isPrivate: e.target.checked })),
+                  className: CHECKBOX_CLASS
+                }),
+                'Private (no DHT/PEX)'
+              )
+            ),
+
+            h('label', { className: labelClass },
+              'Trackers',
+              h(Textarea, {
+                value: form.trackers,
+                onChange: update('trackers'),
+                rows: 4,
+                placeholder: 'One announce URL per line — a blank line starts a new tier',
+                className: 'font-mono'
+              })
+            ),
+            h('label', { className: labelClass },
+              'Web seeds',
+              h(Textarea, {
+                value: form.webSeeds,
+                onChange: update('webSeeds'),
+                rows: 2,
+                placeholder: 'One HTTP(S) URL per line',
+                className: 'font-mono'
+              })
+            ),
+            h('label', { className: labelClass },
+              'Comment',
+              h(Input, { value: form.comment, onChange: update('comment'), maxLength: 1000 })
+            ),
+
+            h('div', { className: 'flex flex-wrap gap-4' },
+              h('label', { className: labelClass },
+                'Seed on',
+                h(Select, {
+                  value: form.addToInstanceId,
+                  onChange: update('addToInstanceId'),
+                  options: [
+                    { value: '', label: "Don't add" },
+                    ...seedInstances.map(([id, inst]) => ({ value: id, label: inst.name || id }))
+                  ]
+                })
+              ),
+              form.addToInstanceId && h('label', { className: labelClass },
+                'Category',
+                h(Select, { value: form.categoryName, onChange: update('categoryName'), options: categoryOptions })
+              )
+            ),
+            form.addToInstanceId && h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+              'The torrent is added started, saving to the source\'s parent directory so the client seeds the existing data.'
+            ),
+
+            // Footer
+            h('div', { className: 'flex justify-end gap-2 pt-2' },
+              h(Button, { type: 'button', variant: 'secondary', onClick: onClose }, 'Close'),
+              h(Button, { type: 'submit', variant: 'primary', disabled: !form.sourcePath.trim() || submitting },
+                submitting ? 'Starting...' : 'Create')
+            ),
+
+            // Jobs
+            jobs.length > 0 && h('div', { className: 'border-t border-gray-200 dark:border-gray-700 pt-3' },
+              h('h4', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Jobs'),
+              h('div', { className: 'divide-y divide-gray-200 dark:divide-gray-700' },
+                jobs.map(job => h(JobRow, { key: job.id, job, onCancel: cancelJob, onRemove: removeJob }))
+              )
+            )
+          )
+        )
+      )
+    ),
+
+    h(DirectoryBrowserModal, {
+      show: browseMode !== null,
+      mode: browseMode || 'directory',
+      initialPath: (() => {
+        const p = form.sourcePath.trim();
+        const lastSlash = p.lastIndexOf('/');
+        return lastSlash > 0 ? p.substring(0, lastSlash) : '/';
+      })(),
+      title: browseMode === 'file' ? 'Select file' : 'Select directory',
+      onSelect: (selected) => {
+        setForm(prev => ({ ...prev, sourcePath: selected }));
+        setBrowseMode(null);
+      },
+      onClose: () => setBrowseMode(null)
+    })
+  );
+};
+
+export default CreateTorrentModal;
@@ -0,0 +1,114 @@
+/**
+ * DuplicateDownloadModal Component
+ *
+ * Shown when the server held back add requests because their hashes already
+ * exist on an instance (downloading, seeding or shared) or in the download
+ * history. Lets the user skip the duplicates, add them anyway, or jump to the
+ * existing item.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Portal, ClientIcon } from '../common/index.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { useAppState } from '../../contexts/AppStateContext.js';
+import { useAddDownload } from '../../contexts/AddDownloadContext.js';
+
+const { createElement: h, useEffect } = React;
+
+// View that lists an existing copy
+const matchView = (match) => {
+  if (match.source === 'history') return 'history';
+  return match.downloading ? 'downloads' : 'shared';
+};
+
+const describeMatch = (match) => {
+  if (match.source === 'history') return `In history (${match.status || 'unknown'})`;
+  if (match.downloading) return `Downloading · ${Math.round(match.progress || 0)}%`;
+  return match.clientType === 'amule' ? 'Shared' : 'Seeding';
+};
+
+/**
+ * Duplicate download prompt (driven by AddDownloadContext's duplicate queue)
+ */
+const DuplicateDownloadModal = () => {
+  const { instances } = useStaticData();
+  const { handleAppNavigate, setAppViewFilter } = useAppState();
+  const { duplicateRequests, clearDuplicates } = useAddDownload();
+  const show = duplicateRequests.length > 0;
+
+  // Resend every held-back request ('skip' still adds their new entries)
+  const resolve = (onDuplicate) => {
+    duplicateRequests.forEach(request => request.resend(onDuplicate));
+    clearDuplicates();
+  };
+
+  const jumpTo = (match) => {
+    resolve('skip');
+    const view = matchView(match);
+    setAppViewFilter({ view, text: match.name || '' });
+    handleAppNavigate(view);
+  };
+
+  // Escape skips, like the Skip button
+  useEffect(() => {
+    if (!show) return;
+    const handleEscape = (e) => { if (e.key === 'Escape') resolve('skip'); };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [show, duplicateRequests]);
+
+  if (!show) return null;
+
+  const duplicates = duplicateRequests.flatMap(request => request.duplicates);
+
+  return h(Portal, null,
+    h('div', { className: 'fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4' },
+      h('div', { className: 'bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-lg max-h-[85vh] flex flex-col' },
+        // Header
+        h('div', { className: 'px-4 py-3 border-b border-gray-200 dark:border-gray-700' },
+          h('h3', { className: 'text-base font-semibold text-gray-900 dark:text-gray-100' }, 'Already Added'),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-0.5' },
+            duplicates.length === 1
+              ? 'This download already exists. Nothing was added yet.'
+              : `${duplicates.length} downloads already exist. Nothing from these requests was added yet.`
+          )
+        ),
+
+        // Body
+        h('div', { className: 'flex-1 overflow-y-auto px-4 py-3 space-y-3' },
+          duplicates.map((duplicate, index) =>
+            h('div', { key: `${duplicate.hash}-${index}`, className: 'space-y-1' },
+              h('div', { className: 'text-sm font-medium text-gray-900 dark:text-gray-100 truncate', title: duplicate.fileName || duplicate.name },
+                duplicate.fileName || duplicate.name || duplicate.hash
+              ),
+              duplicate.matches.map((match, i) =>
+                h('div', {
+                  key: `${match.source}-${match.instanceId}-${i}`,
+                  className: 'flex items-center gap-2 text-xs text-gray-600 dark:text-gray-400'
+                },
+                  h(ClientIcon, { client: match.clientType, size: 14, title: '' }),
+                  h('span', { className: 'flex-1 truncate' },
+                    `${instances[match.instanceId]?.name || match.instanceId} — ${describeMatch(match)}`
+                  ),
+                  h('button', {
+                    type: 'button',
+                    onClick: () => jumpTo(match),
+                    className: 'text-blue-600 dark:text-blue-400 hover:underline flex-shrink-0'
+                  }, 'Show')
+                )
+              )
+            )
+          )
+        ),
+
+        // Footer
+        h('div', { className: 'px-4 py-3 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-2' },
+          h(Button, { variant: 'secondary', onClick: () => resolve('skip') }, 'Skip'),
+          h(Button, { variant: 'primary', onClick: () => resolve('add') }, 'Add Anyway')
+        )
+      )
+    )
+  );
+};
+
+export default DuplicateDownloadModal;
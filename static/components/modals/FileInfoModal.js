@@ -11,6 +11,8 @@ import { useTheme } from '../../contexts/ThemeContext.js';
 import { useLiveData } from '../../contexts/LiveDataContext.js';
 import { useWebSocketConnection } from '../../contexts/WebSocketContext.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { useActions } from '../../contexts/ActionsContext.js';
+import { useCapabilities } from '../../hooks/useCapabilities.js';
 import { SegmentsBar, Icon, Portal, Button, AlertBox, LoadingSpinner } from '../common/index.js';
 import { formatBytes, getProgressColor, getExportLink, getExportLinkLabel, calculateRatio } from '../../utils/index.js';
 import { formatPriority, categorizeDownloadFields, categorizeSharedFields } from '../../utils/fieldFormatters.js';
@@ -22,10 +24,11 @@ import {
   CollapsibleTableSection,
   PeersTable,
   TrackersTable,
-  FilesTreeSection
+  FilesTreeSection,
+  Ed2kPrioritySection
 } from './InfoModalTables.js';
 
-const { createElement: h, useState, useEffect } = React;
+const { createElement: h, useState, useEffect, useCallback, useMemo } = React;
 
 /**
  * Default expanded-sections state for each variant
@@ -108,8 +111,10 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
   const { theme } = useTheme();
   const isDark = theme === 'dark';
   const { dataItems } = useLiveData();
-  const { instances, hasMultiInstance } = useStaticData();
+  const { instances, hasMultiInstance, getCapabilities } = useStaticData();
   const { copyStatus, handleCopy } = useCopyToClipboard();
+  const actions = useActions();
+  const { hasCap } = useCapabilities();
 
   // Look up live item by hash + instanceId (compound key when available)
   const liveItem = hash
@@ -121,7 +126,7 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
   const variant = liveItem ? getVariant(liveItem) : null;
 
   // Subscribe to segment data when showing ed2k-download (for SegmentsBar)
-  const { subscribe, unsubscribe } = useWebSocketConnection();
+  const { subscribe, unsubscribe, addMessageHandler, removeMessageHandler } = useWebSocketConnection();
   useEffect(() => {
     if (variant !== 'ed2k-download') return;
     subscribe('segmentData');
@@ -144,9 +149,15 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
   const [filesLoading, setFilesLoading] = useState(false);
   const [filesError, setFilesError] = useState(null);
 
+  const [filesActionError, setFilesActionError] = useState(null);
+
   // Item detail state (raw + trackersDetailed, stripped from broadcasts)
   const [itemDetail, setItemDetail] = useState(null);
   const [detailLoading, setDetailLoading] = useState(false);
+  // Bumped after a tracker edit to refetch detail without waiting for the next poll
+  const [detailVersion, setDetailVersion] = useState(0);
+
+  const [trackersActionError, setTrackersActionError] = useState(null);
 
   // Fetch files when modal opens for multi-file torrent items, refresh periodically
   useEffect(() => {
@@ -200,6 +211,43 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
     };
   }, [hash, liveItem?.hash, variant]);
 
+  // Surface file priority failures (the next files refresh reverts the optimistic update)
+  useEffect(() => {
+    setFilesActionError(null);
+    const handler = (data) => {
+      if (data.type !== 'file-priority-complete' || data.fileHash !== liveItem?.hash) return;
+      setFilesActionError(data.success ? null : (data.error || 'Failed to update file priority'));
+    };
+    addMessageHandler(handler);
+    return () => removeMessageHandler(handler);
+  }, [liveItem?.hash, addMessageHandler, removeMessageHandler]);
+
+  const handleSetFilePriority = useCallback((fileIndices, priority) => {
+    if (!liveItem) return;
+    const indexSet = new Set(fileIndices);
+    setFiles(prev => prev && prev.map(f => indexSet.has(f.index) ? { ...f, priority } : f));
+    actions.files.setFilePriority(liveItem.hash, liveItem.instanceId, fileIndices, priority);
+  }, [liveItem?.hash, liveItem?.instanceId, actions.files]);
+
+  // Surface tracker edit failures; refetch detail on success so the table updates
+  useEffect(() => {
+    setTrackersActionError(null);
+    const handler = (data) => {
+      if (data.type !== 'trackers-update-complete' || data.fileHash !== liveItem?.hash) return;
+      setTrackersActionError(data.success ? null : (data.error || 'Failed to update trackers'));
+      if (data.success) setDetailVersion(v => v + 1);
+    };
+    addMessageHandler(handler);
+    return () => removeMessageHandler(handler);
+  }, [liveItem?.hash, addMessageHandler, removeMessageHandler]);
+
+  const trackerEditor = useMemo(() => liveItem ? {
+    onAdd: (urls) => actions.trackers.add(liveItem.hash, liveItem.instanceId, urls),
+    onEdit: (oldUrl, newUrl) => actions.trackers.edit(liveItem.hash, liveItem.instanceId, oldUrl, newUrl),
+    onRemove: (urls) => actions.trackers.remove(liveItem.hash, liveItem.instanceId, urls),
+    onReannounce: () => actions.trackers.reannounce(liveItem.hash, liveItem.client, liveItem.name, liveItem.instanceId)
+  } : null, [liveItem?.hash, liveItem?.instanceId, liveItem?.client, liveItem?.name, actions.trackers]);
+
   // Fetch item detail (raw + trackersDetailed) from generic endpoint
   useEffect(() => {
     if (!hash || !liveItem) {
@@ -224,11 +272,11 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
       }
     };
 
-    fetchDetail(true);
+    fetchDetail(detailVersion === 0);
     const interval = setInterval(() => fetchDetail(false), 5000);
 
     return () => { cancelled = true; clearInterval(interval); };
-  }, [hash, liveItem?.hash, variant]);
+  }, [hash, liveItem?.hash, variant, detailVersion]);
 
   // Item disappeared while modal open — auto-close
   if (!liveItem) return null;
@@ -268,6 +316,14 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
 
   // torrent clients (rtorrent/qbittorrent)
   const isComplete = isTorrent && liveItem.progress >= 100;
+  const canEditFiles = isTorrent && !!getCapabilities(liveItem.instanceId)?.filePriority &&
+    hasCap('edit_downloads') && (hasCap('edit_all_downloads') || liveItem.ownedByMe !== false);
+  const canEditTrackers = isTorrent && !!getCapabilities(liveItem.instanceId)?.trackerEdit &&
+    hasCap('edit_downloads') && (hasCap('edit_all_downloads') || liveItem.ownedByMe !== false);
+  const canEditEd2kPriority = !isTorrent && !!getCapabilities(liveItem.instanceId)?.ed2kPriority &&
+    hasCap('edit_downloads') && (hasCap('edit_all_downloads') || liveItem.ownedByMe !== false);
+  const canSwapA4AF = canEditEd2kPriority && !!getCapabilities(liveItem.instanceId)?.a4af;
+  const ed2kItems = [{ fileHash: liveItem.hash, clientType: liveItem.client, instanceId: liveItem.instanceId, fileName: liveItem.name }];
   const torrentMessage = isTorrent ? (liveItem.message || '') : '';
   const trackersDetailed = isTorrent ? (itemDetail?.trackersDetailed || []) : [];
   const allPeers = liveItem.peers || [];
@@ -431,6 +487,14 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
           )
         ),
 
+        // --- ed2k: Download/upload priority and A4AF sources ---
+        !isTorrent && h(Ed2kPrioritySection, {
+          item: liveItem,
+          onSetDownloadPriority: canEditEd2kPriority ? (priority) => actions.files.setDownloadPriority(ed2kItems, priority) : undefined,
+          onSetUploadPriority: canEditEd2kPriority ? (priority) => actions.files.setUploadPriority(ed2kItems, priority) : undefined,
+          onSwapA4AF: canSwapA4AF ? (mode) => actions.files.swapA4AF(ed2kItems, mode) : undefined
+        }),
+
         // --- torrent: Message/error section ---
         isTorrent && torrentMessage && h(AlertBox, { type: 'error', className: 'mb-0' },
           h('span', { className: 'font-medium' }, 'Message'),
@@ -443,7 +507,15 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
           count: files ? files.length : '...',
           expanded: expandedSections['Files'],
           onToggle: () => toggleSection('Files')
-        }, h(FilesTreeSection, { files, loading: filesLoading, error: filesError })),
+        },
+          filesActionError && h(AlertBox, { type: 'error', className: 'm-2' }, filesActionError),
+          h(FilesTreeSection, {
+            files,
+            loading: filesLoading,
+            error: filesError,
+            onSetPriority: canEditFiles ? handleSetFilePriority : undefined
+          })
+        ),
 
         // --- torrent: Peers section ---
         isTorrent && peersDetailedTorrent.length > 0 && h(CollapsibleTableSection, {
@@ -454,12 +526,19 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
         }, h(PeersTable, { peers: peersDetailedTorrent })),
 
         // --- torrent: Trackers section ---
-        isTorrent && trackersDetailed.length > 0 && h(CollapsibleTableSection, {
+        isTorrent && (trackersDetailed.length > 0 || (canEditTrackers && itemDetail)) && h(CollapsibleTableSection, {
           title: 'Trackers',
           count: trackersDetailed.length,
           expanded: expandedSections['Trackers'],
           onToggle: () => toggleSection('Trackers')
-        }, h(TrackersTable, { trackers: trackersDetailed, clientType: instances[liveItem.instanceId]?.type })),
+        },
+          trackersActionError && h(AlertBox, { type: 'error', className: 'm-2' }, trackersActionError),
+          h(TrackersTable, {
+            trackers: trackersDetailed,
+            clientType: instances[liveItem.instanceId]?.type,
+            editor: canEditTrackers ? trackerEditor : null
+          })
+        ),
 
         // --- ed2k: Download Sources (peers we download from) section ---
         !isTorrent && downloadSourcesAmule.length > 0 && h(CollapsibleTableSection, {
@@ -7,13 +7,15 @@
  * - CategoryFieldsSection: Collapsible category fields
  * - CollapsibleTableSection: Collapsible section wrapper
  * - PeersTable: Peers table for rtorrent and qBittorrent
- * - TrackersTable: Trackers table for rtorrent and qBittorrent
+ * - TrackersTable: Trackers table for BitTorrent clients (optionally editable)
+ * - FilesTreeSection: File tree for multi-file torrents (optionally editable)
+ * - Ed2kPrioritySection: aMule download/upload priority and A4AF controls
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import { Icon, FlagIcon, Tooltip, IconButton, LoadingSpinner } from '../common/index.js';
-import { formatBytes } from '../../utils/index.js';
-import { formatFieldName, formatFieldValue } from '../../utils/fieldFormatters.js';
+import { formatBytes, AMULE_DOWNLOAD_PRIORITY_OPTIONS, AMULE_UPLOAD_PRIORITY_OPTIONS, AMULE_A4AF_MODE_OPTIONS } from '../../utils/index.js';
+import { formatFieldName, formatFieldValue, formatPriority } from '../../utils/fieldFormatters.js';
 import { TRACKER_CONFIGS } from '../../utils/fieldRegistry.js';
 
 const { createElement: h, useState, useMemo } = React;
@@ -574,10 +576,36 @@ const buildFileTree = (files) => {
   return root;
 };
 
+// Normalized file priority (server BaseClientManager.FILE_PRIORITY)
+const FILE_PRIORITY_OPTIONS = [
+  { value: 0, label: 'Skip' },
+  { value: 1, label: 'Normal' },
+  { value: 2, label: 'High' },
+  { value: 3, label: 'Max' }
+];
+
+const FILE_PRIORITY_BADGES = {
+  0: { label: 'Skip', className: 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400' },
+  2: { label: 'High', className: 'bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400' },
+  3: { label: 'Max', className: 'bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400' }
+};
+
+const TREE_CHECKBOX_CLASS = 'w-3.5 h-3.5 flex-shrink-0 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 ' +
+  'dark:bg-gray-700 dark:border-gray-600';
+
+/**
+ * Collect the file indices under a tree node
+ */
+const collectIndices = (node) => [
+  ...node.files.map(f => f.index),
+  ...Object.values(node.children).flatMap(collectIndices)
+];
+
 /**
  * Recursive tree node component
+ * @param {Object|null} selection - { selected: Set<number>, onToggle(indices, checked) } when editable
  */
-const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
+const TreeNode = ({ node, depth = 0, defaultExpanded, selection = null }) => {
   const itemCount = node.files.length + Object.keys(node.children).length;
   const autoExpand = defaultExpanded !== undefined ? defaultExpanded : itemCount < 10;
   const [expanded, setExpanded] = useState(autoExpand);
@@ -620,10 +648,10 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
     // Root node - render children directly
     return h('div', { className: 'space-y-0.5' },
       sortedChildren.folders.map(child =>
-        h(TreeNode, { key: child.name, node: child, depth: 0, defaultExpanded })
+        h(TreeNode, { key: child.name, node: child, depth: 0, defaultExpanded, selection })
       ),
       sortedChildren.files.map(file =>
-        h(TreeNode, { key: file.path, node: { name: file.name, children: {}, files: [], file }, depth: 0, defaultExpanded })
+        h(TreeNode, { key: file.path, node: { name: file.name, children: {}, files: [], file }, depth: 0, defaultExpanded, selection })
       )
     );
   }
@@ -631,13 +659,19 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
   // Single file node
   if (node.file) {
     const file = node.file;
-    const priorityLabel = file.priority === 0 ? 'Off' : file.priority === 2 ? 'High' : '';
+    const badge = FILE_PRIORITY_BADGES[file.priority];
     const isComplete = file.progress >= 100;
 
     return h('div', {
-      className: 'flex items-center gap-2 py-1 px-2 hover:bg-gray-50 dark:hover:bg-gray-700/30 rounded',
+      className: `flex items-center gap-2 py-1 px-2 hover:bg-gray-50 dark:hover:bg-gray-700/30 rounded${file.priority === 0 ? ' opacity-60' : ''}`,
       style: { paddingLeft: `${depth * 16 + 8}px` }
     },
+      selection && h('input', {
+        type: 'checkbox',
+        checked: selection.selected.has(file.index),
+        onChange: (e) => selection.onToggle([file.index], e.target.checked),
+        className: TREE_CHECKBOX_CLASS
+      }),
       h(Icon, {
         name: 'file',
         size: 14,
@@ -647,13 +681,9 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
         className: 'flex-1 text-xs text-gray-800 dark:text-gray-200 truncate',
         title: file.name
       }, file.name),
-      priorityLabel && h('span', {
-        className: `text-[10px] px-1.5 py-0.5 rounded ${
-          file.priority === 0
-            ? 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
-            : 'bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400'
-        }`
-      }, priorityLabel),
+      badge && h('span', {
+        className: `text-[10px] px-1.5 py-0.5 rounded ${badge.className}`
+      }, badge.label),
       h('span', {
         className: 'text-xs text-gray-500 dark:text-gray-400 font-mono whitespace-nowrap'
       }, formatBytes(file.size)),
@@ -673,6 +703,8 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
 
   // Folder node
   const isComplete = folderStats.progress >= 100;
+  const folderIndices = selection ? collectIndices(node) : [];
+  const selectedCount = folderIndices.filter(i => selection.selected.has(i)).length;
 
   return h('div', null,
     h('div', {
@@ -680,6 +712,14 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
       style: { paddingLeft: `${depth * 16 + 8}px` },
       onClick: () => setExpanded(!expanded)
     },
+      selection && h('input', {
+        type: 'checkbox',
+        checked: selectedCount > 0 && selectedCount === folderIndices.length,
+        ref: (el) => { if (el) el.indeterminate = selectedCount > 0 && selectedCount < folderIndices.length; },
+        onClick: (e) => e.stopPropagation(),
+        onChange: (e) => selection.onToggle(folderIndices, e.target.checked),
+        className: TREE_CHECKBOX_CLASS
+      }),
       h(Icon, {
         name: expanded ? 'chevronDown' : 'chevronRight',
         size: 12,
@@ -711,10 +751,10 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
     ),
     expanded && h('div', null,
       sortedChildren.folders.map(child =>
-        h(TreeNode, { key: child.name, node: child, depth: depth + 1 })
+        h(TreeNode, { key: child.name, node: child, depth: depth + 1, selection })
       ),
       sortedChildren.files.map(file =>
-        h(TreeNode, { key: file.path, node: { name: file.name, children: {}, files: [], file }, depth: depth + 1 })
+        h(TreeNode, { key: file.path, node: { name: file.name, children: {}, files: [], file }, depth: depth + 1, selection })
       )
     )
   );
@@ -722,12 +762,23 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
 
 /**
  * Files tree section for multi-file torrents
- * @param {Array} files - Array of file objects with path, size, progress
+ * @param {Array} files - Array of file objects with path, size, progress, priority, index
  * @param {boolean} loading - Whether files are being loaded
  * @param {string} error - Error message if loading failed
+ * @param {function} onSetPriority - (fileIndices, priority) => void; enables selection when provided
  */
-export const FilesTreeSection = ({ files, loading, error }) => {
+export const FilesTreeSection = ({ files, loading, error, onSetPriority }) => {
   const tree = useMemo(() => files ? buildFileTree(files) : null, [files]);
+  const [selected, setSelected] = useState(() => new Set());
+
+  const selection = useMemo(() => onSetPriority ? {
+    selected,
+    onToggle: (indices, checked) => setSelected(prev => {
+      const next = new Set(prev);
+      indices.forEach(i => checked ? next.add(i) : next.delete(i));
+      return next;
+    })
+  } : null, [onSetPriority, selected]);
 
   if (loading) {
     return h('div', { className: 'flex items-center justify-center py-8' },
@@ -743,8 +794,33 @@ export const FilesTreeSection = ({ files, loading, error }) => {
     return h('div', { className: 'text-center py-4 text-gray-500 dark:text-gray-400 text-xs' }, 'No files');
   }
 
+  const allSelected = selected.size > 0 && selected.size === files.length;
+
   return h('div', { className: 'p-2' },
-    h(TreeNode, { node: tree })
+    selection && h('div', { className: 'flex flex-wrap items-center gap-2 px-2 pb-2 mb-1 border-b border-gray-200 dark:border-gray-700' },
+      h('input', {
+        type: 'checkbox',
+        checked: allSelected,
+        ref: (el) => { if (el) el.indeterminate = selected.size > 0 && !allSelected; },
+        onChange: (e) => setSelected(e.target.checked ? new Set(files.map(f => f.index)) : new Set()),
+        className: TREE_CHECKBOX_CLASS,
+        title: 'Select all files'
+      }),
+      h('span', { className: 'text-xs text-gray-500 dark:text-gray-400 mr-auto' },
+        selected.size > 0 ? `${selected.size} selected` : 'Select files to change priority'
+      ),
+      FILE_PRIORITY_OPTIONS.map(option =>
+        h('button', {
+          key: option.value,
+          type: 'button',
+          disabled: selected.size === 0,
+          onClick: () => onSetPriority([...selected], option.value),
+          className: 'text-xs px-2 py-0.5 rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 ' +
+            'hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed'
+        }, option.label)
+      )
+    ),
+    h(TreeNode, { node: tree, selection })
   );
 };
 
@@ -765,13 +841,77 @@ const normalizeTracker = (tracker, config) => {
   return { ...tracker, url, enabled, scrapeComplete, scrapeIncomplete, scrapeDownloaded, message, statusLabel };
 };
 
+// Real announce URLs — excludes pseudo rows such as qBittorrent's "** [DHT] **"
+const isEditableTracker = (url) => /^(https?|udp|wss):\/\//i.test(url);
+
+const TRACKER_ACTION_BUTTON_CLASS = 'text-xs px-2 py-0.5 rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 ' +
+  'hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed';
+
+const TRACKER_INPUT_CLASS = 'w-full px-2 py-1 text-xs rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 ' +
+  'text-gray-900 dark:text-gray-100 focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
 /**
- * Trackers table component for rtorrent and qBittorrent downloads/shared files
- * Supports both rtorrent and qBittorrent field naming conventions
+ * Add/reannounce/cleanup toolbar shown above an editable trackers table
+ * @param {Array} trackers - Normalized trackers
+ * @param {function} onAdd - (urls) => void
+ * @param {function} onRemove - (urls) => void
+ * @param {function} onReannounce - () => void
+ */
+const TrackerToolbar = ({ trackers, onAdd, onRemove, onReannounce }) => {
+  const [adding, setAdding] = useState(false);
+  const [newUrls, setNewUrls] = useState('');
+
+  const deadUrls = trackers
+    .filter(t => t.statusLabel === 'Error' && isEditableTracker(t.url))
+    .map(t => t.url);
+
+  const handleAdd = () => {
+    const urls = newUrls.split(/\s+/).filter(Boolean);
+    if (urls.length === 0) return;
+    onAdd(urls);
+    setNewUrls('');
+    setAdding(false);
+  };
+
+  return h('div', { className: 'p-2 border-b border-gray-200 dark:border-gray-700' },
+    h('div', { className: 'flex flex-wrap items-center gap-2' },
+      h('button', { type: 'button', onClick: () => setAdding(prev => !prev), className: TRACKER_ACTION_BUTTON_CLASS }, 'Add trackers'),
+      h('button', { type: 'button', onClick: onReannounce, className: TRACKER_ACTION_BUTTON_CLASS }, 'Reannounce'),
+      h('button', {
+        type: 'button',
+        disabled: deadUrls.length === 0,
+        onClick: () => onRemove(deadUrls),
+        className: TRACKER_ACTION_BUTTON_CLASS,
+        title: 'Remove every tracker reporting an error'
+      }, `Remove not working${deadUrls.length > 0 ? ` (${deadUrls.length})` : ''}`)
+    ),
+    adding && h('div', { className: 'mt-2 flex flex-col gap-2' },
+      h('textarea', {
+        value: newUrls,
+        onChange: (e) => setNewUrls(e.target.value),
+        rows: 3,
+        placeholder: 'One announce URL per line',
+        className: `${TRACKER_INPUT_CLASS} resize-none font-mono`
+      }),
+      h('div', { className: 'flex gap-2 justify-end' },
+        h('button', { type: 'button', onClick: () => { setAdding(false); setNewUrls(''); }, className: TRACKER_ACTION_BUTTON_CLASS }, 'Cancel'),
+        h('button', { type: 'button', disabled: !newUrls.trim(), onClick: handleAdd, className: TRACKER_ACTION_BUTTON_CLASS }, 'Add')
+      )
+    )
+  );
+};
+
+/**
+ * Trackers table component for BitTorrent downloads/shared files
+ * Supports each client's field naming conventions via TRACKER_CONFIGS
  * @param {Array} trackers - Array of tracker objects
+ * @param {string} clientType - Client type for field mapping
+ * @param {Object} editor - Optional { onAdd, onEdit, onRemove, onReannounce }; enables editing when provided
  */
-export const TrackersTable = ({ trackers, clientType }) => {
+export const TrackersTable = ({ trackers, clientType, editor = null }) => {
   const [sort, setSort] = useState({ key: 'scrapeComplete', direction: 'desc' });
+  // Inline URL edit: { url, value }
+  const [editing, setEditing] = useState(null);
 
   const handleSort = (key) => {
     setSort(prev => ({
@@ -831,60 +971,177 @@ export const TrackersTable = ({ trackers, clientType }) => {
     });
   }, [normalizedTrackers, sort]);
 
-  if (!trackers || trackers.length === 0) return null;
+  if (!editor && (!trackers || trackers.length === 0)) return null;
 
-  return h('div', { className: 'overflow-x-auto' },
-    h('table', { className: 'w-full text-xs' },
-      h('thead', null,
-        h('tr', { className: 'bg-gray-50 dark:bg-gray-700/50' },
-          h(SortableHeader, { label: 'URL', sortKey: 'url', currentSort: sort, onSort: handleSort }),
-          h(SortableHeader, { label: 'Status', sortKey: 'enabled', currentSort: sort, onSort: handleSort, align: 'center' }),
-          h(SortableHeader, { label: 'Seeds', sortKey: 'scrapeComplete', currentSort: sort, onSort: handleSort, align: 'right' }),
-          h(SortableHeader, { label: 'Leechers', sortKey: 'scrapeIncomplete', currentSort: sort, onSort: handleSort, align: 'right' }),
-          h(SortableHeader, { label: 'Downloads', sortKey: 'scrapeDownloaded', currentSort: sort, onSort: handleSort, align: 'right' }),
-          hasMessages && h('th', { className: 'px-2 py-1.5 text-left font-medium text-gray-600 dark:text-gray-300' }, 'Message')
+  const saveEdit = () => {
+    const value = editing.value.trim();
+    if (value && value !== editing.url) editor.onEdit(editing.url, value);
+    setEditing(null);
+  };
+
+  return h('div', null,
+    editor && h(TrackerToolbar, {
+      trackers: normalizedTrackers,
+      onAdd: editor.onAdd,
+      onRemove: editor.onRemove,
+      onReannounce: editor.onReannounce
+    }),
+    sortedTrackers.length === 0
+      ? h('div', { className: 'text-center py-4 text-gray-500 dark:text-gray-400 text-xs' }, 'No trackers')
+      : h('div', { className: 'overflow-x-auto' },
+        h('table', { className: 'w-full text-xs' },
+          h('thead', null,
+            h('tr', { className: 'bg-gray-50 dark:bg-gray-700/50' },
+              h(SortableHeader, { label: 'URL', sortKey: 'url', currentSort: sort, onSort: handleSort }),
+              h(SortableHeader, { label: 'Status', sortKey: 'enabled', currentSort: sort, onSort: handleSort, align: 'center' }),
+              h(SortableHeader, { label: 'Seeds', sortKey: 'scrapeComplete', currentSort: sort, onSort: handleSort, align: 'right' }),
+              h(SortableHeader, { label: 'Leechers', sortKey: 'scrapeIncomplete', currentSort: sort, onSort: handleSort, align: 'right' }),
+              h(SortableHeader, { label: 'Downloads', sortKey: 'scrapeDownloaded', currentSort: sort, onSort: handleSort, align: 'right' }),
+              hasMessages && h('th', { className: 'px-2 py-1.5 text-left font-medium text-gray-600 dark:text-gray-300' }, 'Message'),
+              editor && h('th', { className: 'px-2 py-1.5' })
+            )
+          ),
+          h('tbody', { className: 'divide-y divide-gray-200 dark:divide-gray-700' },
+            sortedTrackers.map((tracker, idx) => {
+              // Determine status badge style
+              const isActive = tracker.enabled;
+              const isError = tracker.statusLabel === 'Error';
+
+              return h('tr', {
+                key: `${tracker.url}-${idx}`,
+                className: 'hover:bg-gray-50 dark:hover:bg-gray-700/30'
+              },
+                editing?.url === tracker.url
+                  ? h('td', { className: 'px-2 py-1' },
+                      h('input', {
+                        type: 'text',
+                        value: editing.value,
+                        autoFocus: true,
+                        onChange: (e) => setEditing({ ...editing, value: e.target.value }),
+                        onKeyDown: (e) => {
+                          if (e.key === 'Enter') saveEdit();
+                          if (e.key === 'Escape') setEditing(null);
+                        },
+                        onBlur: () => setEditing(null),
+                        className: `${TRACKER_INPUT_CLASS} min-w-[240px] font-mono`
+                      })
+                    )
+                  : h('td', {
+                      className: 'px-2 py-1.5 text-gray-900 dark:text-gray-100 truncate max-w-[300px]',
+                      title: tracker.url
+                    }, tracker.url),
+                h('td', { className: 'px-2 py-1.5 text-center' },
+                  h('span', {
+                    className: `px-1.5 py-0.5 rounded text-xs font-medium ${
+                      isActive
+                        ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+                        : isError
+                          ? 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+                          : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
+                    }`
+                  }, tracker.statusLabel)
+                ),
+                h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
+                  tracker.scrapeComplete >= 0 ? tracker.scrapeComplete : '-'
+                ),
+                h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
+                  tracker.scrapeIncomplete >= 0 ? tracker.scrapeIncomplete : '-'
+                ),
+                h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
+                  tracker.scrapeDownloaded >= 0 ? tracker.scrapeDownloaded : '-'
+                ),
+                hasMessages && h('td', {
+                  className: 'px-2 py-1.5 text-gray-500 dark:text-gray-400 truncate max-w-[200px]',
+                  title: tracker.message
+                }, tracker.message || '-'),
+                editor && h('td', { className: 'px-2 py-1 text-right whitespace-nowrap' },
+                  isEditableTracker(tracker.url) && h('div', { className: 'inline-flex gap-1' },
+                    h('button', {
+                      type: 'button',
+                      onClick: () => setEditing({ url: tracker.url, value: tracker.url }),
+                      className: 'p-1 rounded text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400',
+                      title: 'Edit URL'
+                    }, h(Icon, { name: 'edit', size: 14 })),
+                    h('button', {
+                      type: 'button',
+                      onClick: () => editor.onRemove([tracker.url]),
+                      className: 'p-1 rounded text-gray-500 hover:text-red-600 dark:text-gray-400 dark:hover:text-red-400',
+                      title: 'Remove tracker'
+                    }, h(Icon, { name: 'trash', size: 14 }))
+                  )
+                )
+              );
+            })
+          )
         )
-      ),
-      h('tbody', { className: 'divide-y divide-gray-200 dark:divide-gray-700' },
-        sortedTrackers.map((tracker, idx) => {
-          // Determine status badge style
-          const isActive = tracker.enabled;
-          const isError = tracker.statusLabel === 'Error';
+      )
+  );
+};
 
-          return h('tr', {
-            key: `${tracker.url}-${idx}`,
-            className: 'hover:bg-gray-50 dark:hover:bg-gray-700/30'
-          },
-            h('td', {
-              className: 'px-2 py-1.5 text-gray-900 dark:text-gray-100 truncate max-w-[300px]',
-              title: tracker.url
-            }, tracker.url),
-            h('td', { className: 'px-2 py-1.5 text-center' },
-              h('span', {
-                className: `px-1.5 py-0.5 rounded text-xs font-medium ${
-                  isActive
-                    ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'
-                    : isError
-                      ? 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'
-                      : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
-                }`
-              }, tracker.statusLabel)
-            ),
-            h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
-              tracker.scrapeComplete >= 0 ? tracker.scrapeComplete : '-'
-            ),
-            h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
-              tracker.scrapeIncomplete >= 0 ? tracker.scrapeIncomplete : '-'
-            ),
-            h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
-              tracker.scrapeDownloaded >= 0 ? tracker.scrapeDownloaded : '-'
-            ),
-            hasMessages && h('td', {
-              className: 'px-2 py-1.5 text-gray-500 dark:text-gray-400 truncate max-w-[200px]',
-              title: tracker.message
-            }, tracker.message || '-')
-          );
-        })
+// aMule priority level → option value (auto levels are reported as level + 10)
+const AMULE_PRIORITY_VALUES = { 0: 'low', 1: 'normal', 2: 'high', 3: 'release', 4: 'veryLow' };
+
+const PRIORITY_BUTTON_CLASS = 'text-xs px-2 py-0.5 rounded border disabled:opacity-40 disabled:cursor-not-allowed';
+const PRIORITY_BUTTON_IDLE = 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700';
+const PRIORITY_BUTTON_ACTIVE = 'border-blue-500 bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300';
+
+/**
+ * One priority row: current level plus a button per option (buttons only when editable)
+ */
+const PriorityRow = ({ label, value, options, onChange }) => {
+  const current = value >= 10 ? 'auto' : AMULE_PRIORITY_VALUES[value];
+  return h('div', { className: 'flex flex-wrap items-center gap-1.5' },
+    h('span', { className: 'text-xs text-gray-500 dark:text-gray-400 w-28 flex-shrink-0' }, label),
+    !onChange && h('span', { className: 'text-sm text-gray-900 dark:text-gray-100' }, value == null ? '—' : formatPriority(value)),
+    onChange && options.map(option =>
+      h('button', {
+        key: option.value,
+        type: 'button',
+        onClick: () => onChange(option.value),
+        title: option.value === 'auto' && value >= 10 ? formatPriority(value) : undefined,
+        className: `${PRIORITY_BUTTON_CLASS} ${option.value === current ? PRIORITY_BUTTON_ACTIVE : PRIORITY_BUTTON_IDLE}`
+      }, option.label)
+    )
+  );
+};
+
+/**
+ * aMule priorities and A4AF sources for a download or shared file
+ * @param {Object} item - Unified aMule item
+ * @param {function} onSetDownloadPriority - (priority) => void; omit for read-only
+ * @param {function} onSetUploadPriority - (priority) => void; omit for read-only
+ * @param {function} onSwapA4AF - (mode) => void; omit to hide the A4AF buttons
+ */
+export const Ed2kPrioritySection = ({ item, onSetDownloadPriority, onSetUploadPriority, onSwapA4AF }) => {
+  const showUpload = item.shared || item.uploadPriority != null;
+  if (!item.downloading && !showUpload) return null;
+
+  return h('div', { className: 'bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3 sm:p-4 border border-gray-200 dark:border-gray-700 space-y-2' },
+    h('div', { className: 'text-xs sm:text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Priority'),
+    item.downloading && h(PriorityRow, {
+      label: 'Download',
+      value: item.downloadPriority,
+      options: AMULE_DOWNLOAD_PRIORITY_OPTIONS,
+      onChange: onSetDownloadPriority
+    }),
+    showUpload && h(PriorityRow, {
+      label: 'Upload',
+      value: item.uploadPriority,
+      options: AMULE_UPLOAD_PRIORITY_OPTIONS,
+      onChange: onSetUploadPriority
+    }),
+    item.downloading && h('div', { className: 'flex flex-wrap items-center gap-1.5' },
+      h('span', { className: 'text-xs text-gray-500 dark:text-gray-400 w-28 flex-shrink-0' }, 'A4AF Sources'),
+      h('span', { className: 'text-sm text-gray-900 dark:text-gray-100 mr-1' },
+        `${item.sources?.a4af || 0}${item.a4afAuto ? ' · auto swap on' : ''}`
+      ),
+      onSwapA4AF && AMULE_A4AF_MODE_OPTIONS.map(option =>
+        h('button', {
+          key: option.value,
+          type: 'button',
+          onClick: () => onSwapA4AF(option.value),
+          className: `${PRIORITY_BUTTON_CLASS} ${option.value === 'auto' && item.a4afAuto ? PRIORITY_BUTTON_ACTIVE : PRIORITY_BUTTON_IDLE}`
+        }, option.label)
       )
     )
   );
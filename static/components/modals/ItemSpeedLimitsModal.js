@@ -0,0 +1,128 @@
+/**
+ * ItemSpeedLimitsModal Component
+ *
+ * Sets download/upload limits on individual downloads, one item from the
+ * context menu or a whole selection at once. Values are entered in KB/s
+ * (0 = unlimited, blank = leave unchanged) and sent as bytes/s. The server
+ * remembers them and reapplies them if a client restarts without them.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Portal } from '../common/index.js';
+import { useActions } from '../../contexts/ActionsContext.js';
+
+const { createElement: h, useState, useEffect } = React;
+
+const KB = 1024;
+
+const inputClass = 'w-28 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// KB/s input string → bytes/s (undefined = unchanged)
+const toBytes = (value) => {
+  if (value === '' || value === null || value === undefined) return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 0 ? Math.round(num * KB) : undefined;
+};
+
+const toKbInput = (bytes) => (bytes > 0 ? String(Math.round(bytes / KB)) : '0');
+
+/**
+ * Per-item speed limits modal
+ * @param {boolean} show - Whether to show the modal
+ * @param {Array} items - Items to limit ({ fileHash, clientType, instanceId, fileName, downloadLimit?, uploadLimit? })
+ * @param {function} onClose - Close handler
+ */
+const ItemSpeedLimitsModal = ({ show, items = [], onClose }) => {
+  const actions = useActions();
+  const [values, setValues] = useState({ download: '', upload: '' });
+
+  // Prefill with the current limits of a single item; a selection starts blank
+  useEffect(() => {
+    if (!show) return;
+    const single = items.length === 1 ? items[0] : null;
+    setValues(single && single.downloadLimit != null
+      ? { download: toKbInput(single.downloadLimit), upload: toKbInput(single.uploadLimit) }
+      : { download: '', upload: '' });
+  }, [show]);
+
+  // Handle escape key
+  useEffect(() => {
+    if (!show) return;
+    const handleEscape = (e) => { if (e.key === 'Escape') onClose(); };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [show, onClose]);
+
+  if (!show) return null;
+
+  const downloadLimit = toBytes(values.download);
+  const uploadLimit = toBytes(values.upload);
+  const canApply = items.length > 0 && (downloadLimit !== undefined || uploadLimit !== undefined);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canApply) return;
+    actions.files.setItemSpeedLimits(items.map(({ fileHash, clientType, instanceId, fileName }) =>
+      ({ fileHash, clientType, instanceId, fileName })
+    ), { downloadLimit, uploadLimit });
+    onClose();
+  };
+
+  const handleClear = () => {
+    actions.files.setItemSpeedLimits(items.map(({ fileHash, clientType, instanceId, fileName }) =>
+      ({ fileHash, clientType, instanceId, fileName })
+    ), { downloadLimit: 0, uploadLimit: 0 });
+    onClose();
+  };
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4',
+      onClick: (e) => { if (e.target === e.currentTarget) onClose(); }
+    },
+      h('div', { className: 'bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-md' },
+        // Header
+        h('div', { className: 'px-4 py-3 border-b border-gray-200 dark:border-gray-700' },
+          h('h3', { className: 'text-base font-semibold text-gray-900 dark:text-gray-100' }, 'Speed Limits'),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-0.5 truncate' },
+            items.length === 1 ? items[0].fileName : `${items.length} downloads`
+          )
+        ),
+
+        // Body
+        h('form', { onSubmit: handleSubmit, className: 'px-4 py-4 flex flex-col gap-3' },
+          h('div', { className: 'flex flex-wrap gap-4' },
+            h('label', { className: 'flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-400' },
+              '↓ Download',
+              h('input', {
+                type: 'number', min: 0, value: values.download, placeholder: 'KB/s', className: inputClass,
+                onChange: (e) => setValues(prev => ({ ...prev, download: e.target.value }))
+              })
+            ),
+            h('label', { className: 'flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-400' },
+              '↑ Upload',
+              h('input', {
+                type: 'number', min: 0, value: values.upload, placeholder: 'KB/s', className: inputClass,
+                onChange: (e) => setValues(prev => ({ ...prev, upload: e.target.value }))
+              })
+            )
+          ),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+            'KB/s — 0 = unlimited, blank = unchanged. Limits are kept and reapplied if the client restarts without them.'
+          ),
+
+          // Footer
+          h('div', { className: 'flex justify-between gap-2 pt-2' },
+            h(Button, { type: 'button', variant: 'secondary', onClick: handleClear, disabled: items.length === 0 }, 'Remove Limits'),
+            h('div', { className: 'flex gap-2' },
+              h(Button, { type: 'button', variant: 'secondary', onClick: onClose }, 'Cancel'),
+              h(Button, { type: 'submit', variant: 'primary', disabled: !canApply }, 'Apply')
+            )
+          )
+        )
+      )
+    )
+  );
+};
+
+export default ItemSpeedLimitsModal;
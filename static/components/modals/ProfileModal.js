@@ -2,18 +2,119 @@
  * ProfileModal Component
  *
  * Self-service profile update modal for all authenticated users.
- * Allows changing password.
+ * Allows changing password and managing two-factor authentication.
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import Portal from '../common/Portal.js';
-import { AlertBox, Icon } from '../common/index.js';
-import { ConfigField, PasswordField } from '../settings/index.js';
+import { AlertBox, Icon, Button } from '../common/index.js';
+import { ConfigField, PasswordField, TwoFactorSetup, RecoveryCodes } from '../settings/index.js';
 import { validatePassword } from '../../utils/passwordValidator.js';
 import { useDebouncedValue } from '../../hooks/useDebouncedValue.js';
 
 const { createElement: h, useState, useEffect, useCallback } = React;
 
+/**
+ * Two-factor authentication status and actions for the current user.
+ * Renders nothing for sessions that cannot manage 2FA (SSO).
+ */
+const TwoFactorSection = () => {
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState('idle'); // idle | setup | disable | regenerate
+  const [password, setPassword] = useState('');
+  const [codes, setCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await fetch('/api/auth/2fa');
+      const data = await res.json();
+      setStatus(data.success ? data : null);
+    } catch {
+      setStatus(null);
+    }
+  }, []);
+
+  useEffect(() => { fetchStatus(); }, [fetchStatus]);
+
+  const resetMode = useCallback(() => {
+    setMode('idle');
+    setPassword('');
+    setError('');
+  }, []);
+
+  // Disable or regenerate recovery codes (both confirmed with the password)
+  const handleConfirm = useCallback(async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const url = mode === 'disable' ? '/api/auth/2fa/disable' : '/api/auth/2fa/recovery-codes';
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.message || 'Request failed');
+      if (data.recoveryCodes) setCodes(data.recoveryCodes);
+      resetMode();
+      await fetchStatus();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }, [mode, password, resetMode, fetchStatus]);
+
+  if (!status) return null;
+
+  return h('div', { className: 'pt-4 border-t border-gray-200 dark:border-gray-700 space-y-3' },
+    h('div', { className: 'flex items-center justify-between' },
+      h('div', {},
+        h('p', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Two-Factor Authentication'),
+        h('p', { className: 'text-xs text-gray-500' },
+          status.enabled
+            ? `Enabled · ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left`
+            : (status.required ? 'Required for your account' : 'Not enabled')
+        )
+      ),
+      status.enabled && h(Icon, { name: 'check', size: 18, className: 'text-green-500' })
+    ),
+
+    codes && h(RecoveryCodes, { codes }),
+
+    mode === 'setup' && h(TwoFactorSetup, {
+      onComplete: () => { resetMode(); fetchStatus(); },
+      onCancel: resetMode
+    }),
+
+    (mode === 'disable' || mode === 'regenerate') && h('div', { className: 'space-y-2' },
+      h(PasswordField, {
+        value: password,
+        onChange: setPassword,
+        placeholder: 'Confirm with your password'
+      }),
+      h('div', { className: 'flex justify-end gap-2' },
+        h(Button, { variant: 'secondary', onClick: resetMode }, 'Cancel'),
+        h(Button, {
+          variant: mode === 'disable' ? 'danger' : 'primary',
+          onClick: handleConfirm,
+          disabled: busy || !password
+        }, mode === 'disable' ? 'Disable' : 'Generate New Codes')
+      )
+    ),
+
+    mode === 'idle' && h('div', { className: 'flex gap-2' },
+      !status.enabled && h(Button, { variant: 'primary', icon: 'lock', iconSize: 14, onClick: () => { setCodes(null); setMode('setup'); } }, 'Enable'),
+      status.enabled && h(Button, { variant: 'secondary', onClick: () => { setCodes(null); setMode('regenerate'); } }, 'New Recovery Codes'),
+      status.enabled && !status.required && h(Button, { variant: 'secondary', onClick: () => { setCodes(null); setMode('disable'); } }, 'Disable')
+    ),
+
+    error && h(AlertBox, { type: 'error' }, h('p', {}, error))
+  );
+};
+
 /**
  * @param {boolean} show
  * @param {string} username - Current username
@@ -0,0 +1,285 @@
+/**
+ * SpeedLimitsModal Component
+ *
+ * View and change global upload/download limits, either on every connected
+ * client at once or per instance. Values are entered in KB/s (0 = unlimited,
+ * blank = leave unchanged) and sent to the server as bytes/s.
+ * Clients with a download queue also get their max active downloads/seeds.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, ClientIcon, Portal } from '../common/index.js';
+import { useWebSocketConnection } from '../../contexts/WebSocketContext.js';
+import { formatSpeed } from '../../utils/index.js';
+
+const { createElement: h, useState, useEffect, useCallback } = React;
+
+const KB = 1024;
+
+const inputClass = 'w-24 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50';
+
+// KB/s input string → bytes/s (undefined = unchanged)
+const toBytes = (value) => {
+  if (value === '' || value === null || value === undefined) return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 0 ? Math.round(num * KB) : undefined;
+};
+
+const toKbInput = (bytes) => (bytes > 0 ? String(Math.round(bytes / KB)) : '0');
+
+const formatLimit = (bytes) => (bytes > 0 ? formatSpeed(bytes) : 'Unlimited');
+
+// Max active count input string → integer (undefined = unchanged)
+const toCount = (value) => {
+  if (value === '' || value === null || value === undefined) return undefined;
+  const num = Number(value);
+  return Number.isInteger(num) && num >= 0 ? num : undefined;
+};
+
+const formatCount = (count) => (count > 0 ? String(count) : 'Unlimited');
+
+const sortEntries = (map) => Object.values(map).sort((a, b) =>
+  a.clientType.localeCompare(b.clientType) || (a.instanceName || '').localeCompare(b.instanceName || '')
+);
+
+/**
+ * One editable row (global or per instance)
+ */
+const LimitRow = ({ label, icon, current, error, values, onChange, onApply, canEdit }) =>
+  h('div', { className: 'flex flex-wrap items-center gap-2 py-2 border-b border-gray-100 dark:border-gray-700 last:border-0' },
+    h('div', { className: 'flex items-center gap-2 min-w-0 flex-1' },
+      icon,
+      h('div', { className: 'min-w-0' },
+        h('div', { className: 'text-sm font-medium text-gray-900 dark:text-gray-100 truncate' }, label),
+        error
+          ? h('div', { className: 'text-xs text-red-600 dark:text-red-400 truncate' }, error)
+          : current && h('div', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+              `↓ ${formatLimit(current.downloadLimit)} · ↑ ${formatLimit(current.uploadLimit)}`
+            )
+      )
+    ),
+    h('label', { className: 'flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400' },
+      '↓',
+      h('input', {
+        type: 'number', min: 0, value: values.download, disabled: !canEdit || !!error,
+        placeholder: 'KB/s', className: inputClass,
+        onChange: (e) => onChange({ ...values, download: e.target.value })
+      })
+    ),
+    h('label', { className: 'flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400' },
+      '↑',
+      h('input', {
+        type: 'number', min: 0, value: values.upload, disabled: !canEdit || !!error,
+        placeholder: 'KB/s', className: inputClass,
+        onChange: (e) => onChange({ ...values, upload: e.target.value })
+      })
+    ),
+    canEdit && h(Button, {
+      variant: 'primary',
+      onClick: onApply,
+      disabled: !!error || (toBytes(values.download) === undefined && toBytes(values.upload) === undefined)
+    }, 'Apply')
+  );
+
+/**
+ * One editable max active row (per queue-capable instance)
+ */
+const QueueRow = ({ entry, values, onChange, onApply, canEdit }) =>
+  h('div', { className: 'flex flex-wrap items-center gap-2 py-2 border-b border-gray-100 dark:border-gray-700 last:border-0' },
+    h('div', { className: 'flex items-center gap-2 min-w-0 flex-1' },
+      h(ClientIcon, { client: entry.clientType, size: 18 }),
+      h('div', { className: 'min-w-0' },
+        h('div', { className: 'text-sm font-medium text-gray-900 dark:text-gray-100 truncate' }, entry.instanceName || entry.instanceId),
+        entry.error
+          ? h('div', { className: 'text-xs text-red-600 dark:text-red-400 truncate' }, entry.error)
+          : h('div', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+              `↓ ${formatCount(entry.maxActiveDownloads)} · ↑ ${formatCount(entry.maxActiveSeeds)} active`
+            )
+      )
+    ),
+    h('label', { className: 'flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400' },
+      '↓',
+      h('input', {
+        type: 'number', min: 0, step: 1, value: values.downloads, disabled: !canEdit || !!entry.error,
+        placeholder: 'Max', title: 'Max active downloads', className: inputClass,
+        onChange: (e) => onChange({ ...values, downloads: e.target.value })
+      })
+    ),
+    h('label', { className: 'flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400' },
+      '↑',
+      h('input', {
+        type: 'number', min: 0, step: 1, value: values.seeds, disabled: !canEdit || !!entry.error,
+        placeholder: 'Max', title: 'Max active seeds', className: inputClass,
+        onChange: (e) => onChange({ ...values, seeds: e.target.value })
+      })
+    ),
+    canEdit && h(Button, {
+      variant: 'primary',
+      onClick: onApply,
+      disabled: !!entry.error || (toCount(values.downloads) === undefined && toCount(values.seeds) === undefined)
+    }, 'Apply')
+  );
+
+/**
+ * Speed limits modal
+ * @param {boolean} show - Whether to show the modal
+ * @param {function} onClose - Close handler
+ * @param {boolean} canEdit - Whether the user may change limits (manage_bandwidth)
+ */
+const SpeedLimitsModal = ({ show, onClose, canEdit = false }) => {
+  const { sendMessage, addMessageHandler, removeMessageHandler } = useWebSocketConnection();
+  const [limits, setLimits] = useState({});       // instanceId → { instanceId, clientType, instanceName, downloadLimit, uploadLimit, error? }
+  const [inputs, setInputs] = useState({});       // instanceId → { download, upload } (KB/s strings)
+  const [globalInputs, setGlobalInputs] = useState({ download: '', upload: '' });
+  const [queueSettings, setQueueSettings] = useState({}); // instanceId → { instanceId, clientType, instanceName, maxActiveDownloads, maxActiveSeeds, error? }
+  const [queueInputs, setQueueInputs] = useState({});     // instanceId → { downloads, seeds } (count strings)
+
+  // Merge 'speed-limits' entries by instanceId (reply to getSpeedLimits and broadcasts after changes)
+  useEffect(() => {
+    const handler = (data) => {
+      if (data.type !== 'speed-limits' || !Array.isArray(data.data)) return;
+      setLimits(prev => {
+        const next = { ...prev };
+        data.data.forEach(entry => { next[entry.instanceId] = { ...prev[entry.instanceId], ...entry }; });
+        return next;
+      });
+      setInputs(prev => {
+        const next = { ...prev };
+        data.data.forEach(entry => {
+          if (entry.error) return;
+          next[entry.instanceId] = { download: toKbInput(entry.downloadLimit), upload: toKbInput(entry.uploadLimit) };
+        });
+        return next;
+      });
+    };
+    addMessageHandler(handler);
+    return () => removeMessageHandler(handler);
+  }, [addMessageHandler, removeMessageHandler]);
+
+  // Same for 'queue-settings' (max active downloads/seeds)
+  useEffect(() => {
+    const handler = (data) => {
+      if (data.type !== 'queue-settings' || !Array.isArray(data.data)) return;
+      setQueueSettings(prev => {
+        const next = { ...prev };
+        data.data.forEach(entry => { next[entry.instanceId] = { ...prev[entry.instanceId], ...entry }; });
+        return next;
+      });
+      setQueueInputs(prev => {
+        const next = { ...prev };
+        data.data.forEach(entry => {
+          if (entry.error) return;
+          next[entry.instanceId] = { downloads: String(entry.maxActiveDownloads || 0), seeds: String(entry.maxActiveSeeds || 0) };
+        });
+        return next;
+      });
+    };
+    addMessageHandler(handler);
+    return () => removeMessageHandler(handler);
+  }, [addMessageHandler, removeMessageHandler]);
+
+  // Fetch fresh limits on open
+  useEffect(() => {
+    if (!show) return;
+    setLimits({});
+    setQueueSettings({});
+    setGlobalInputs({ download: '', upload: '' });
+    sendMessage({ action: 'getSpeedLimits' });
+    sendMessage({ action: 'getQueueSettings' });
+  }, [show, sendMessage]);
+
+  // Handle escape key
+  useEffect(() => {
+    if (!show) return;
+    const handleEscape = (e) => { if (e.key === 'Escape') onClose(); };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [show, onClose]);
+
+  const applyLimits = useCallback((values, instanceId = null) => {
+    sendMessage({
+      action: 'setSpeedLimits',
+      downloadLimit: toBytes(values.download),
+      uploadLimit: toBytes(values.upload),
+      ...(instanceId && { instanceId })
+    });
+  }, [sendMessage]);
+
+  const applyQueueSettings = useCallback((values, instanceId) => {
+    sendMessage({
+      action: 'setQueueSettings',
+      maxActiveDownloads: toCount(values.downloads),
+      maxActiveSeeds: toCount(values.seeds),
+      instanceId
+    });
+  }, [sendMessage]);
+
+  if (!show) return null;
+
+  const entries = sortEntries(limits);
+  const queueEntries = sortEntries(queueSettings);
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4',
+      onClick: (e) => { if (e.target === e.currentTarget) onClose(); }
+    },
+      h('div', { className: 'bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col' },
+        // Header
+        h('div', { className: 'px-4 py-3 border-b border-gray-200 dark:border-gray-700' },
+          h('h3', { className: 'text-base font-semibold text-gray-900 dark:text-gray-100' }, 'Speed Limits'),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-0.5' },
+            canEdit ? 'KB/s — 0 = unlimited, blank = unchanged' : 'Current global limits per client'
+          )
+        ),
+
+        // Body
+        h('div', { className: 'px-4 py-2 overflow-y-auto' },
+          canEdit && entries.length > 1 && h(LimitRow, {
+            label: 'All clients',
+            values: globalInputs,
+            onChange: setGlobalInputs,
+            onApply: () => applyLimits(globalInputs),
+            canEdit
+          }),
+          entries.length === 0
+            ? h('p', { className: 'py-4 text-sm text-center text-gray-500 dark:text-gray-400' }, 'No connected clients')
+            : entries.map(entry => h(LimitRow, {
+                key: entry.instanceId,
+                label: entry.instanceName || entry.instanceId,
+                icon: h(ClientIcon, { client: entry.clientType, size: 18 }),
+                current: entry,
+                error: entry.error,
+                values: inputs[entry.instanceId] || { download: '', upload: '' },
+                onChange: (values) => setInputs(prev => ({ ...prev, [entry.instanceId]: values })),
+                onApply: () => applyLimits(inputs[entry.instanceId] || {}, entry.instanceId),
+                canEdit
+              })),
+
+          // Max active torrents (clients with a download queue)
+          queueEntries.length > 0 && h('div', { className: 'mt-3 pt-3 border-t border-gray-200 dark:border-gray-700' },
+            h('h4', { className: 'text-sm font-semibold text-gray-900 dark:text-gray-100' }, 'Max Active Torrents'),
+            h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+              'Downloads and seeds running at once — the rest wait in the queue. 0 = unlimited.'
+            ),
+            queueEntries.map(entry => h(QueueRow, {
+              key: entry.instanceId,
+              entry,
+              values: queueInputs[entry.instanceId] || { downloads: '', seeds: '' },
+              onChange: (values) => setQueueInputs(prev => ({ ...prev, [entry.instanceId]: values })),
+              onApply: () => applyQueueSettings(queueInputs[entry.instanceId] || {}, entry.instanceId),
+              canEdit
+            }))
+          )
+        ),
+
+        // Footer
+        h('div', { className: 'flex justify-end px-4 py-3 border-t border-gray-200 dark:border-gray-700' },
+          h(Button, { variant: 'secondary', onClick: onClose }, 'Close')
+        )
+      )
+    )
+  );
+};
+
+export default SpeedLimitsModal;
@@ -0,0 +1,163 @@
+/**
+ * TrackerReplaceModal Component
+ *
+ * Bulk-replace part of a tracker URL across every torrent that uses it, e.g.
+ * when a tracker moves to a new announce domain or rotates a passkey. The
+ * server does a plain substring replacement on each matching announce URL,
+ * on every instance or a single one.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Input, Select, Portal, AlertBox } from '../common/index.js';
+import { useWebSocketConnection } from '../../contexts/WebSocketContext.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { useActions } from '../../contexts/ActionsContext.js';
+
+const { createElement: h, useState, useEffect } = React;
+
+/**
+ * Tracker URL replace modal
+ * @param {boolean} show - Whether to show the modal
+ * @param {function} onClose - Close handler
+ */
+const TrackerReplaceModal = ({ show, onClose }) => {
+  const { addMessageHandler, removeMessageHandler } = useWebSocketConnection();
+  const { instances, knownTrackers } = useStaticData();
+  const actions = useActions();
+
+  const [find, setFind] = useState('');
+  const [replace, setReplace] = useState('');
+  const [instanceId, setInstanceId] = useState('');
+  const [pending, setPending] = useState(false);
+  const [result, setResult] = useState(null);   // { message, failures, unchecked } | { error }
+
+  // Reset on open
+  useEffect(() => {
+    if (!show) return;
+    setFind('');
+    setReplace('');
+    setInstanceId('');
+    setPending(false);
+    setResult(null);
+  }, [show]);
+
+  useEffect(() => {
+    const handler = (data) => {
+      if (data.type !== 'tracker-replace-complete') return;
+      setPending(false);
+      if (data.error) {
+        setResult({ error: data.error });
+        return;
+      }
+      const results = data.results || [];
+      const unchecked = data.unchecked || [];
+      setResult({
+        message: results.length === 0 && unchecked.length === 0 ? 'No torrents use a matching tracker URL' : data.message,
+        failures: results.filter(r => !r.success),
+        unchecked
+      });
+    };
+    addMessageHandler(handler);
+    return () => removeMessageHandler(handler);
+  }, [addMessageHandler, removeMessageHandler]);
+
+  // Handle escape key
+  useEffect(() => {
+    if (!show) return;
+    const handleEscape = (e) => { if (e.key === 'Escape') onClose(); };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [show, onClose]);
+
+  if (!show) return null;
+
+  const editableInstances = Object.entries(instances)
+    .filter(([, inst]) => inst.connected && inst.capabilities?.trackerEdit);
+
+  const instanceOptions = [
+    { value: '', label: 'All clients' },
+    ...editableInstances.map(([id, inst]) => ({ value: id, label: inst.name || id }))
+  ];
+
+  const trimmedFind = find.trim();
+  const trimmedReplace = replace.trim();
+  const isValid = trimmedFind && trimmedReplace && trimmedFind !== trimmedReplace;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!isValid || pending) return;
+    setPending(true);
+    setResult(null);
+    actions.trackers.replaceUrl(trimmedFind, trimmedReplace, instanceId || null);
+  };
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4',
+      onClick: (e) => { if (e.target === e.currentTarget) onClose(); }
+    },
+      h('div', { className: 'bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-lg' },
+        // Header
+        h('div', { className: 'px-4 py-3 border-b border-gray-200 dark:border-gray-700' },
+          h('h3', { className: 'text-base font-semibold text-gray-900 dark:text-gray-100' }, 'Replace Tracker URL'),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-0.5' },
+            'Replaces the text in every matching announce URL'
+          )
+        ),
+
+        // Body
+        h('form', { onSubmit: handleSubmit, className: 'px-4 py-4 flex flex-col gap-3' },
+          h('label', { className: 'flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-400' },
+            'Find',
+            h(Input, {
+              value: find,
+              onChange: (e) => setFind(e.target.value),
+              placeholder: 'old-tracker.example.org',
+              list: 'tracker-replace-known',
+              autoFocus: true
+            }),
+            h('datalist', { id: 'tracker-replace-known' },
+              knownTrackers.map(tracker => h('option', { key: tracker, value: tracker }))
+            )
+          ),
+          h('label', { className: 'flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-400' },
+            'Replace with',
+            h(Input, {
+              value: replace,
+              onChange: (e) => setReplace(e.target.value),
+              placeholder: 'new-tracker.example.org'
+            })
+          ),
+          editableInstances.length > 1 && h('label', { className: 'flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-400' },
+            'Clients',
+            h(Select, {
+              value: instanceId,
+              onChange: (e) => setInstanceId(e.target.value),
+              options: instanceOptions
+            })
+          ),
+
+          result?.error && h(AlertBox, { type: 'error', className: 'mb-0' }, result.error),
+          result?.message && h(AlertBox, { type: result.failures.length > 0 || result.unchecked.length > 0 ? 'warning' : 'success', className: 'mb-0' },
+            h('p', null, result.message),
+            result.failures.length > 0 && h('ul', { className: 'mt-1 text-xs list-disc list-inside' },
+              result.failures.slice(0, 10).map(f =>
+                h('li', { key: `${f.instanceId}:${f.fileHash}` }, `${f.fileHash.slice(0, 12)}… — ${f.error}`)
+              )
+            )
+          ),
+
+          // Footer
+          h('div', { className: 'flex justify-end gap-2 pt-2' },
+            h(Button, { type: 'button', variant: 'secondary', onClick: onClose }, 'Close'),
+            h(Button, { type: 'submit', variant: 'primary', disabled: !isValid || pending },
+              pending ? 'Replacing…' : 'Replace'
+            )
+          )
+        )
+      )
+    )
+  );
+};
+
+export default TrackerReplaceModal;
@@ -0,0 +1,103 @@
+/**
+ * TransferModal Component
+ *
+ * Moves torrents to another BitTorrent client instance without redownloading.
+ * The server adds each torrent paused to the target at the same data
+ * location, rechecks it there and removes it from the source once verified;
+ * the outcome arrives later as a success/error notification.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Select, Portal, AlertBox } from '../common/index.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { useActions } from '../../contexts/ActionsContext.js';
+
+const { createElement: h, useState, useEffect } = React;
+
+/**
+ * Transfer to instance modal
+ * @param {boolean} show - Whether to show the modal
+ * @param {Array} items - Items to transfer ({ fileHash, clientType, instanceId, fileName })
+ * @param {function} onClose - Close handler
+ */
+const TransferModal = ({ show, items = [], onClose }) => {
+  const { instances } = useStaticData();
+  const actions = useActions();
+
+  const targetInstances = Object.entries(instances)
+    .filter(([, inst]) => inst.connected && inst.networkType === 'bittorrent');
+  const sourceIds = new Set(items.map(item => item.instanceId));
+
+  const [targetId, setTargetId] = useState('');
+
+  // Preselect the first instance that isn't a source on open
+  useEffect(() => {
+    if (!show) return;
+    const first = targetInstances.find(([id]) => !sourceIds.has(id));
+    setTargetId(first ? first[0] : '');
+  }, [show]);
+
+  // Handle escape key
+  useEffect(() => {
+    if (!show) return;
+    const handleEscape = (e) => { if (e.key === 'Escape') onClose(); };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [show, onClose]);
+
+  if (!show) return null;
+
+  const options = targetInstances.map(([id, inst]) => ({ value: id, label: inst.name || id }));
+  const transferable = items.filter(item => item.instanceId !== targetId);
+  const skipped = items.length - transferable.length;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!targetId || transferable.length === 0) return;
+    actions.files.transfer(transferable, targetId);
+    onClose();
+  };
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4',
+      onClick: (e) => { if (e.target === e.currentTarget) onClose(); }
+    },
+      h('div', { className: 'bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-md' },
+        // Header
+        h('div', { className: 'px-4 py-3 border-b border-gray-200 dark:border-gray-700' },
+          h('h3', { className: 'text-base font-semibold text-gray-900 dark:text-gray-100' }, 'Transfer to Instance'),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-0.5 truncate' },
+            items.length === 1 ? items[0].fileName : `${items.length} torrents`
+          )
+        ),
+
+        // Body
+        h('form', { onSubmit: handleSubmit, className: 'px-4 py-4 flex flex-col gap-3' },
+          h('label', { className: 'flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-400' },
+            'Target client',
+            h(Select, {
+              value: targetId,
+              onChange: (e) => setTargetId(e.target.value),
+              options
+            })
+          ),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+            'The target rechecks the existing data in place. The torrent is removed from its current client (files kept) only once the target has verified it.'
+          ),
+          skipped > 0 && h(AlertBox, { type: 'warning', className: 'mb-0' },
+            `${skipped} selected torrent${skipped > 1 ? 's are' : ' is'} already on this client and will be skipped`
+          ),
+
+          // Footer
+          h('div', { className: 'flex justify-end gap-2 pt-2' },
+            h(Button, { type: 'button', variant: 'secondary', onClick: onClose }, 'Cancel'),
+            h(Button, { type: 'submit', variant: 'primary', disabled: !targetId || transferable.length === 0 }, 'Transfer')
+          )
+        )
+      )
+    )
+  );
+};
+
+export default TransferModal;
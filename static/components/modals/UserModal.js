@@ -25,8 +25,9 @@ const USERNAME_REGEX = /^[a-zA-Z0-9_]{3,32}$/;
  * @param {function} onSave - async (userData) => void
  * @param {function} onClose
  * @param {function} onRegenerateApiKey - async (userId) => newKey
+ * @param {function} onResetTwoFactor - async (userId) => void
  */
-const UserModal = ({ show, mode = 'create', user, onSave, onClose, onRegenerateApiKey }) => {
+const UserModal = ({ show, mode = 'create', user, onSave, onClose, onRegenerateApiKey, onResetTwoFactor }) => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [isAdmin, setIsAdmin] = useState(false);
@@ -38,6 +39,8 @@ const UserModal = ({ show, mode = 'create', user, onSave, onClose, onRegenerateA
   const [apiKey, setApiKey] = useState(null);
   const [apiKeyCopied, setApiKeyCopied] = useState(false);
   const [regenerating, setRegenerating] = useState(false);
+  const [totpEnabled, setTotpEnabled] = useState(false);
+  const [resettingTwoFactor, setResettingTwoFactor] = useState(false);
   const debouncedPassword = useDebouncedValue(password);
 
   // Initialize form when modal opens or user changes
@@ -52,6 +55,7 @@ const UserModal = ({ show, mode = 'create', user, onSave, onClose, onRegenerateA
       setCapabilities(caps);
       setPreset(user.isAdmin ? 'full' : detectPreset(caps));
       setApiKey(user.apiKey || null);
+      setTotpEnabled(!!user.totpEnabled);
     } else {
       setUsername('');
       setPassword('');
@@ -163,6 +167,19 @@ const UserModal = ({ show, mode = 'create', user, onSave, onClose, onRegenerateA
     }
   }, [onRegenerateApiKey, user]);
 
+  const handleResetTwoFactor = useCallback(async () => {
+    if (!onResetTwoFactor || !user) return;
+    setResettingTwoFactor(true);
+    try {
+      await onResetTwoFactor(user.id);
+      setTotpEnabled(false);
+    } catch (err) {
+      setError(err.message || 'Failed to reset two-factor authentication');
+    } finally {
+      setResettingTwoFactor(false);
+    }
+  }, [onResetTwoFactor, user]);
+
   if (!show) return null;
 
   const isEdit = mode === 'edit';
@@ -328,6 +345,20 @@ const UserModal = ({ show, mode = 'create', user, onSave, onClose, onRegenerateA
                 )
           ),
 
+          // Two-factor section (edit mode, accounts with 2FA enrolled)
+          isEdit && totpEnabled && h('div', { className: 'pt-2' },
+            h('label', { className: 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1' }, 'Two-Factor Authentication'),
+            h('div', { className: 'flex items-center justify-between gap-2' },
+              h('p', { className: 'text-xs text-gray-500' }, 'Enabled. Reset if the user lost their authenticator and recovery codes.'),
+              h(Button, {
+                variant: 'secondary',
+                size: 'sm',
+                onClick: handleResetTwoFactor,
+                disabled: resettingTwoFactor
+              }, resettingTwoFactor ? 'Resetting...' : 'Reset 2FA')
+            )
+          ),
+
         ),
 
         // Footer
@@ -16,3 +16,9 @@ export { default as DirectoryBrowserModal } from './DirectoryBrowserModal.js';
 export { default as UserModal } from './UserModal.js';
 export { default as ProfileModal } from './ProfileModal.js';
 export { default as FileRenameModal } from './FileRenameModal.js';
+export { default as SpeedLimitsModal } from './SpeedLimitsModal.js';
+export { default as TrackerReplaceModal } from './TrackerReplaceModal.js';
+export { default as TransferModal } from './TransferModal.js';
+export { default as DuplicateDownloadModal } from './DuplicateDownloadModal.js';
+export { default as ItemSpeedLimitsModal } from './ItemSpeedLimitsModal.js';
+export { default as CreateTorrentModal } from './CreateTorrentModal.js';
@@ -0,0 +1,44 @@
+/**
+ * EventPicker Component
+ *
+ * Compact grid of event checkboxes for choosing a subset of events
+ * (service routing, quiet hours exceptions)
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { getEventTypeOptions } from '../../utils/notificationServiceSchemas.js';
+
+const { createElement: h } = React;
+
+/**
+ * EventPicker component
+ * @param {Array<string>} selected - Selected event types
+ * @param {function} onChange - Called with the new list of event types
+ * @param {Object} [enabledEvents] - Global event switches; events switched off are marked
+ */
+const EventPicker = ({ selected = [], onChange, enabledEvents }) => {
+  const toggle = (key, checked) => onChange(checked
+    ? [...selected, key]
+    : selected.filter(k => k !== key));
+
+  return h('div', { className: 'grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1.5' },
+    getEventTypeOptions().map(event => {
+      const off = enabledEvents && enabledEvents[event.key] !== true;
+      return h('label', {
+        key: event.key,
+        className: 'flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300',
+        title: off ? 'Switched off under Events' : event.description
+      },
+        h('input', {
+          type: 'checkbox',
+          checked: selected.includes(event.key),
+          onChange: (e) => toggle(event.key, e.target.checked),
+          className: 'rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500'
+        }),
+        h('span', { className: off ? 'text-gray-400 dark:text-gray-500' : '' }, event.label)
+      );
+    })
+  );
+};
+
+export default EventPicker;
@@ -0,0 +1,90 @@
+/**
+ * QuietHoursEditor Component
+ *
+ * Weekly quiet hours window (notification config `quietHours`). Events during
+ * the window are held per service and sent as one digest when it ends;
+ * selected events still go out immediately.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Input } from '../common/index.js';
+import { EnableToggle } from '../settings/index.js';
+import EventPicker from './EventPicker.js';
+
+const { createElement: h } = React;
+
+// Display order Monday → Sunday, values follow Date.getDay() (0 = Sunday)
+const DAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+/**
+ * QuietHoursEditor component
+ * @param {Object} quietHours - { enabled, days, start, end, bypassEvents }
+ * @param {function} onChange - (quietHours) => void
+ * @param {Object} events - Global event switches (to mark events that are off)
+ */
+const QuietHoursEditor = ({ quietHours = {}, onChange, events }) => {
+  const update = (field, value) => onChange({ ...quietHours, [field]: value });
+  const days = quietHours.days || [];
+  const toggleDay = (day) => update('days', days.includes(day)
+    ? days.filter(d => d !== day)
+    : [...days, day].sort());
+
+  return h('div', { className: 'space-y-4' },
+    h(EnableToggle, {
+      enabled: quietHours.enabled === true,
+      onChange: (value) => update('enabled', value),
+      label: 'Enable Quiet Hours',
+      description: 'Hold notifications during this window and send them as one digest when it ends'
+    }),
+
+    quietHours.enabled && h('div', { className: 'space-y-4' },
+      // Days
+      h('div', { className: 'flex flex-wrap gap-1' },
+        DAYS.map(day => {
+          const selected = days.includes(day.value);
+          return h('button', {
+            key: day.value,
+            type: 'button',
+            onClick: () => toggleDay(day.value),
+            className: `px-2.5 py-1 text-xs font-medium rounded-md transition-colors ${selected
+              ? 'bg-blue-600 text-white hover:bg-blue-700'
+              : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-600'}`
+          }, day.label);
+        })
+      ),
+
+      // Time range
+      h('div', { className: 'flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400' },
+        h(Input, { type: 'time', value: quietHours.start || '', onChange: (e) => update('start', e.target.value), className: 'w-32' }),
+        '–',
+        h(Input, { type: 'time', value: quietHours.end || '', onChange: (e) => update('end', e.target.value), className: 'w-32' }),
+        quietHours.start && quietHours.end && quietHours.end < quietHours.start && h('span', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+          'Ends the following morning'
+        )
+      ),
+
+      // Events that still go out immediately
+      h('div', { className: 'space-y-2' },
+        h('p', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Send Immediately Anyway'),
+        h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+          'These events are not held during quiet hours (services on a digest still collect them).'
+        ),
+        h(EventPicker, {
+          selected: quietHours.bypassEvents || [],
+          onChange: (value) => update('bypassEvents', value),
+          enabledEvents: events
+        })
+      )
+    )
+  );
+};
+
+export default QuietHoursEditor;
@@ -7,22 +7,57 @@
 import React from 'https://esm.sh/react@18.2.0';
 import { Icon } from '../common/index.js';
 import { ToggleSwitch } from '../settings/EnableToggle.js';
-import { getServiceSchema } from '../../utils/notificationServiceSchemas.js';
+import { getServiceSchema, TRANSPORT_OPTIONS, DIGEST_OPTIONS } from '../../utils/notificationServiceSchemas.js';
+import { formatTimeAgo } from '../../utils/formatters.js';
 
 const { createElement: h } = React;
 
+const TRANSPORT_LABELS = { native: 'Built-in', apprise: 'Apprise' };
+
+/**
+ * Status line for a service: delivery health when it has been used,
+ * otherwise just active/disabled
+ * @param {Object} service - Service with deliveryStatus
+ * @returns {Object} { dotClass, text, title }
+ */
+const getStatusLine = (service) => {
+  const status = service.deliveryStatus || {};
+  const via = status.transport ? ` via ${TRANSPORT_LABELS[status.transport] || status.transport}` : '';
+  if (!service.enabled) return { dotClass: 'bg-gray-400', text: 'Disabled' };
+  if (status.consecutiveFailures > 0) {
+    return {
+      dotClass: 'bg-red-500',
+      text: `Failing${via}: ${status.lastError}`,
+      title: `${status.consecutiveFailures} failed in a row, last ${formatTimeAgo(status.lastErrorAt)}`
+    };
+  }
+  if (status.lastSuccessAt) {
+    return { dotClass: 'bg-green-500', text: `Last sent ${formatTimeAgo(status.lastSuccessAt)}${via}` };
+  }
+  return { dotClass: 'bg-green-500', text: 'Active' };
+};
+
 /**
  * ServiceCard component
- * @param {Object} service - Service object { id, name, type, enabled, config }
+ * @param {Object} service - Service object { id, name, type, enabled, transport, events, digest, config, deliveryStatus, queued }
  * @param {function} onEdit - Called when edit button clicked
  * @param {function} onDelete - Called when delete button clicked
  * @param {function} onTest - Called when test button clicked
  * @param {function} onToggle - Called when enable/disable toggled
+ * @param {function} onFlush - Called to send held notifications now
  * @param {boolean} loading - Whether an action is in progress
  */
-const ServiceCard = ({ service, onEdit, onDelete, onTest, onToggle, loading = false }) => {
+const ServiceCard = ({ service, onEdit, onDelete, onTest, onToggle, onFlush, loading = false }) => {
   const schema = getServiceSchema(service.type);
   const serviceName = schema?.name || service.type;
+  const statusLine = getStatusLine(service);
+  const transportLabel = !schema?.appriseOnly && service.transport && service.transport !== 'auto'
+    ? TRANSPORT_OPTIONS.find(o => o.value === service.transport)?.label
+    : null;
+  const digestLabel = service.digest && service.digest !== 'off'
+    ? DIGEST_OPTIONS.find(o => o.value === service.digest)?.label
+    : null;
+  const routedCount = service.events?.length || 0;
 
   return h('div', {
     className: `border rounded-lg p-4 bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 ${!service.enabled ? 'opacity-60' : ''}`
@@ -41,10 +76,19 @@ const ServiceCard = ({ service, onEdit, onDelete, onTest, onToggle, loading = fa
         ),
         h('div', {},
           h('h3', { className: 'font-medium text-gray-900 dark:text-gray-100' }, service.name),
-          h('div', { className: '-ml-1' },
+          h('div', { className: '-ml-1 flex gap-1' },
             h('span', {
               className: 'text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
-            }, serviceName)
+            }, serviceName),
+            transportLabel && h('span', {
+              className: 'text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
+            }, transportLabel),
+            digestLabel && h('span', {
+              className: 'text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
+            }, digestLabel),
+            routedCount > 0 && h('span', {
+              className: 'text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
+            }, `${routedCount} event${routedCount === 1 ? '' : 's'}`)
           )
         )
       ),
@@ -57,15 +101,26 @@ const ServiceCard = ({ service, onEdit, onDelete, onTest, onToggle, loading = fa
     ),
 
     // Status indicator
-    h('div', { className: 'flex items-center gap-2 mb-4' },
+    h('div', { className: `flex items-center gap-2 min-w-0 ${service.queued > 0 ? 'mb-1' : 'mb-4'}`, title: statusLine.title },
       h('span', {
-        className: `w-2 h-2 rounded-full ${service.enabled ? 'bg-green-500' : 'bg-gray-400'}`
+        className: `w-2 h-2 rounded-full flex-shrink-0 ${statusLine.dotClass}`
       }),
-      h('span', { className: 'text-xs text-gray-500 dark:text-gray-400' },
-        service.enabled ? 'Active' : 'Disabled'
+      h('span', { className: 'text-xs text-gray-500 dark:text-gray-400 truncate' },
+        statusLine.text
       )
     ),
 
+    // Held notifications (quiet hours, digest)
+    service.queued > 0 && h('div', { className: 'flex items-center gap-2 mb-4 text-xs text-gray-500 dark:text-gray-400' },
+      h(Icon, { name: 'clock', size: 12, className: 'flex-shrink-0' }),
+      `${service.queued} held`,
+      h('button', {
+        onClick: () => onFlush(service.id),
+        disabled: loading,
+        className: 'text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50'
+      }, 'Send now')
+    ),
+
     // Action buttons
     h('div', { className: 'flex gap-2' },
       h('button', {
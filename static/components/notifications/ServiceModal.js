@@ -9,7 +9,11 @@
 import React from 'https://esm.sh/react@18.2.0';
 import { Icon, AlertBox, Portal } from '../common/index.js';
 import { ConfigField, PasswordField, EnableToggle } from '../settings/index.js';
-import { getServiceTypeOptions, getServiceSchema, validateServiceConfig } from '../../utils/notificationServiceSchemas.js';
+import {
+  getServiceTypeOptions, getServiceSchema, validateServiceConfig, TRANSPORT_OPTIONS, MESSAGE_FORMAT_OPTIONS, DIGEST_OPTIONS
+} from '../../utils/notificationServiceSchemas.js';
+import TemplateEditor from './TemplateEditor.js';
+import EventPicker from './EventPicker.js';
 
 const { createElement: h, useState, useEffect } = React;
 
@@ -43,7 +47,13 @@ const ServiceTypeSelector = ({ onSelect }) => {
 /**
  * ServiceConfigForm - Dynamic form based on service type
  */
-const ServiceConfigForm = ({ type, name, enabled, config, onChange, schema }) => {
+const ServiceConfigForm = ({
+  type, name, enabled, transport, format, templates, events, digest, digestTime, config, onChange, schema,
+  appriseAvailable, templateInfo, globalTemplates, enabledEvents, onPreview
+}) => {
+  const [showTemplates, setShowTemplates] = useState(Object.keys(templates).length > 0);
+  const [pickEvents, setPickEvents] = useState(events.length > 0);
+
   if (!schema) return null;
 
   const updateConfig = (key, value) => {
@@ -67,6 +77,23 @@ const ServiceConfigForm = ({ type, name, enabled, config, onChange, schema }) =>
       description: 'Send notifications through this service'
     }),
 
+    // Transport (custom Apprise URLs always go through Apprise)
+    !schema.appriseOnly && h(ConfigField, {
+      label: 'Delivery',
+      description: TRANSPORT_OPTIONS.find(o => o.value === transport)?.description
+    },
+      h('select', {
+        value: transport,
+        onChange: (e) => onChange({ transport: e.target.value }),
+        className: 'w-full h-10 px-3 rounded-lg text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+      },
+        TRANSPORT_OPTIONS.map(opt => h('option', { key: opt.value, value: opt.value }, opt.label))
+      )
+    ),
+    (schema.appriseOnly || transport === 'apprise') && !appriseAvailable && h(AlertBox, { type: 'warning' },
+      h('p', { className: 'text-sm' }, 'Apprise CLI is not installed, so this service cannot deliver notifications.')
+    ),
+
     // Separator
     h('hr', { className: 'border-gray-200 dark:border-gray-700' }),
 
@@ -110,6 +137,87 @@ const ServiceConfigForm = ({ type, name, enabled, config, onChange, schema }) =>
       );
     }),
 
+    // Routing and delivery schedule
+    h('hr', { className: 'border-gray-200 dark:border-gray-700' }),
+    h(ConfigField, {
+      label: 'Events',
+      description: !pickEvents
+        ? 'Every event switched on under Events is sent to this service'
+        : events.length === 0
+          ? 'Select at least one event; with none selected every enabled event is sent'
+          : 'Only the selected events are sent to this service (they must also be switched on under Events)'
+    },
+      h('select', {
+        value: pickEvents ? 'selected' : 'all',
+        onChange: (e) => {
+          setPickEvents(e.target.value === 'selected');
+          if (e.target.value === 'all') onChange({ events: [] });
+        },
+        className: 'w-full h-10 px-3 rounded-lg text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+      },
+        h('option', { value: 'all' }, 'All enabled events'),
+        h('option', { value: 'selected' }, 'Selected events only')
+      )
+    ),
+    pickEvents && h(EventPicker, {
+      selected: events,
+      onChange: (value) => onChange({ events: value }),
+      enabledEvents
+    }),
+    h(ConfigField, {
+      label: 'Send',
+      description: DIGEST_OPTIONS.find(o => o.value === digest)?.description
+    },
+      h('select', {
+        value: digest,
+        onChange: (e) => onChange({ digest: e.target.value }),
+        className: 'w-full h-10 px-3 rounded-lg text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+      },
+        DIGEST_OPTIONS.map(opt => h('option', { key: opt.value, value: opt.value }, opt.label))
+      )
+    ),
+    digest === 'daily' && h(ConfigField, {
+      label: 'Digest Time',
+      value: digestTime,
+      onChange: (value) => onChange({ digestTime: value }),
+      type: 'time'
+    }),
+
+    // Message format and per-service templates
+    h('hr', { className: 'border-gray-200 dark:border-gray-700' }),
+    h(ConfigField, {
+      label: 'Message Format',
+      description: MESSAGE_FORMAT_OPTIONS.find(o => o.value === format)?.description
+    },
+      h('select', {
+        value: format,
+        onChange: (e) => onChange({ format: e.target.value }),
+        className: 'w-full h-10 px-3 rounded-lg text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+      },
+        MESSAGE_FORMAT_OPTIONS.map(opt => h('option', { key: opt.value, value: opt.value }, opt.label))
+      )
+    ),
+    h('button', {
+      type: 'button',
+      onClick: () => setShowTemplates(!showTemplates),
+      className: 'flex items-center gap-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-blue-600 dark:hover:text-blue-400'
+    },
+      h(Icon, { name: showTemplates ? 'chevronDown' : 'chevronRight', size: 16 }),
+      'Custom Templates',
+      Object.keys(templates).length > 0 && h('span', { className: 'text-xs font-normal text-gray-500 dark:text-gray-400' },
+        `(${Object.keys(templates).length} customized)`
+      )
+    ),
+    showTemplates && h(TemplateEditor, {
+      templates,
+      onChange: (value) => onChange({ templates: value }),
+      templateInfo,
+      fallbackTemplates: globalTemplates,
+      format,
+      onPreview,
+      isServiceLevel: true
+    }),
+
     // Help link
     schema.helpUrl && h('div', { className: 'pt-2' },
       h('a', {
@@ -136,12 +244,26 @@ const ServiceConfigForm = ({ type, name, enabled, config, onChange, schema }) =>
  * @param {function} onClose - Called when modal should close
  * @param {function} onSave - Called with service data when saving
  * @param {Object|null} editService - Service to edit, or null for new
+ * @param {boolean} appriseAvailable - Whether the Apprise CLI is installed
+ * @param {Object|null} templateInfo - Default templates, variables and formats
+ * @param {Object} globalTemplates - Global template overrides (fallback for service templates)
+ * @param {Object} enabledEvents - Global event switches (marks events that are off in the routing list)
+ * @param {function} onPreview - Renders a template preview (see TemplateEditor)
  */
-const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
+const ServiceModal = ({
+  isOpen, onClose, onSave, editService = null, appriseAvailable = false,
+  templateInfo = null, globalTemplates = {}, enabledEvents = {}, onPreview
+}) => {
   const [step, setStep] = useState(1);
   const [type, setType] = useState('');
   const [name, setName] = useState('');
   const [enabled, setEnabled] = useState(true);
+  const [transport, setTransport] = useState('auto');
+  const [format, setFormat] = useState('plain');
+  const [templates, setTemplates] = useState({});
+  const [events, setEvents] = useState([]);
+  const [digest, setDigest] = useState('off');
+  const [digestTime, setDigestTime] = useState('08:00');
   const [config, setConfig] = useState({});
   const [error, setError] = useState(null);
   const [saving, setSaving] = useState(false);
@@ -155,6 +277,12 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
         setType(editService.type);
         setName(editService.name);
         setEnabled(editService.enabled);
+        setTransport(editService.transport || 'auto');
+        setFormat(editService.format || 'plain');
+        setTemplates(editService.templates || {});
+        setEvents(editService.events || []);
+        setDigest(editService.digest || 'off');
+        setDigestTime(editService.digestTime || '08:00');
         setConfig(editService.config || {});
       } else {
         // Adding new service
@@ -162,6 +290,12 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
         setType('');
         setName('');
         setEnabled(true);
+        setTransport('auto');
+        setFormat('plain');
+        setTemplates({});
+        setEvents([]);
+        setDigest('off');
+        setDigestTime('08:00');
         setConfig({});
       }
       setError(null);
@@ -181,6 +315,12 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
   const handleChange = (updates) => {
     if (updates.name !== undefined) setName(updates.name);
     if (updates.enabled !== undefined) setEnabled(updates.enabled);
+    if (updates.transport !== undefined) setTransport(updates.transport);
+    if (updates.format !== undefined) setFormat(updates.format);
+    if (updates.templates !== undefined) setTemplates(updates.templates);
+    if (updates.events !== undefined) setEvents(updates.events);
+    if (updates.digest !== undefined) setDigest(updates.digest);
+    if (updates.digestTime !== undefined) setDigestTime(updates.digestTime);
     if (updates.config !== undefined) setConfig(updates.config);
   };
 
@@ -214,6 +354,12 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
         name: name.trim(),
         type,
         enabled,
+        transport: schema?.appriseOnly ? 'apprise' : transport,
+        format,
+        templates,
+        events,
+        digest,
+        digestTime,
         config
       });
       onClose();
@@ -266,9 +412,20 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
           type,
           name,
           enabled,
+          transport,
+          format,
+          templates,
+          events,
+          digest,
+          digestTime,
           config,
           onChange: handleChange,
-          schema
+          schema,
+          appriseAvailable,
+          templateInfo,
+          globalTemplates,
+          enabledEvents,
+          onPreview
         }),
       ),
 
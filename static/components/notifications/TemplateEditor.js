@@ -0,0 +1,174 @@
+/**
+ * TemplateEditor Component
+ *
+ * Edits title/body templates per event type with variable hints and a live preview.
+ * Used for the global templates and for per-service overrides; empty fields
+ * fall back to the next level (service → global → built-in default).
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon } from '../common/index.js';
+import { getEventTypeOptions } from '../../utils/notificationServiceSchemas.js';
+
+const { createElement: h, useState, useEffect, useRef } = React;
+
+const PREVIEW_DEBOUNCE_MS = 300;
+
+const inputClass = 'w-full px-3 rounded-lg text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * TemplateEditor component
+ * @param {Object} templates - Overrides being edited { eventType: { title, body } }
+ * @param {function} onChange - Called with the updated template map
+ * @param {Object|null} templateInfo - { defaults, variables, formats } from the server
+ * @param {Object} fallbackTemplates - Templates used when a field is empty (global templates, for services)
+ * @param {string} format - Body format used for the preview
+ * @param {function} onPreview - Async ({ eventType, format, serviceTemplates, globalTemplates }) → { title, body, format }
+ * @param {boolean} isServiceLevel - Whether templates are per-service overrides
+ */
+const TemplateEditor = ({
+  templates = {},
+  onChange,
+  templateInfo,
+  fallbackTemplates = {},
+  format = 'plain',
+  onPreview,
+  isServiceLevel = false
+}) => {
+  const eventOptions = getEventTypeOptions();
+  const [eventType, setEventType] = useState(eventOptions[0]?.key);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const bodyRef = useRef(null);
+
+  const current = templates[eventType] || {};
+  const fallback = {
+    title: fallbackTemplates[eventType]?.title || templateInfo?.defaults?.[eventType]?.title || '',
+    body: fallbackTemplates[eventType]?.body || templateInfo?.defaults?.[eventType]?.body || ''
+  };
+  const variables = (templateInfo?.variables || []).filter(v => !v.events || v.events.includes(eventType));
+  const customized = eventOptions.filter(e => templates[e.key]?.title || templates[e.key]?.body);
+
+  // Debounced live preview (keyed on content: callers may pass fresh objects every render)
+  const templatesKey = JSON.stringify(templates);
+  const fallbackKey = JSON.stringify(fallbackTemplates);
+  useEffect(() => {
+    if (!onPreview || !eventType) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      onPreview(isServiceLevel
+        ? { eventType, format, serviceTemplates: templates, globalTemplates: fallbackTemplates }
+        : { eventType, format, globalTemplates: templates })
+        .then(result => {
+          if (cancelled) return;
+          setPreview(result);
+          setPreviewError(null);
+        })
+        .catch(err => {
+          if (!cancelled) setPreviewError(err.message);
+        });
+    }, PREVIEW_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [eventType, format, templatesKey, fallbackKey, isServiceLevel]);
+
+  const updateField = (field, value) => {
+    onChange({ ...templates, [eventType]: { ...current, [field]: value } });
+  };
+
+  const resetEvent = () => {
+    const { [eventType]: _removed, ...rest } = templates;
+    onChange(rest);
+  };
+
+  // Insert a placeholder at the body cursor (or append when it isn't focused)
+  const insertVariable = (name) => {
+    const tag = `{{${name}}}`;
+    const value = current.body ?? '';
+    const el = bodyRef.current;
+    const start = el && document.activeElement === el ? el.selectionStart : value.length;
+    const end = el && document.activeElement === el ? el.selectionEnd : value.length;
+    updateField('body', value.slice(0, start) + tag + value.slice(end));
+  };
+
+  return h('div', { className: 'space-y-3' },
+    // Event selector
+    h('div', { className: 'flex items-center gap-2' },
+      h('select', {
+        value: eventType,
+        onChange: (e) => setEventType(e.target.value),
+        className: `${inputClass} h-10`
+      },
+        eventOptions.map(opt => h('option', { key: opt.key, value: opt.key },
+          `${opt.label}${templates[opt.key]?.title || templates[opt.key]?.body ? ' •' : ''}`
+        ))
+      ),
+      h('button', {
+        type: 'button',
+        onClick: resetEvent,
+        disabled: !current.title && !current.body,
+        title: isServiceLevel ? 'Use the global template for this event' : 'Use the default template for this event',
+        className: 'shrink-0 h-10 px-3 text-sm font-medium rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 transition-colors'
+      }, 'Reset')
+    ),
+
+    customized.length > 0 && h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+      'Customized: ', customized.map(e => e.label).join(', ')
+    ),
+
+    // Title and body
+    h('input', {
+      type: 'text',
+      value: current.title ?? '',
+      onChange: (e) => updateField('title', e.target.value),
+      placeholder: fallback.title,
+      'aria-label': 'Title template',
+      className: `${inputClass} h-10`
+    }),
+    h('textarea', {
+      ref: bodyRef,
+      value: current.body ?? '',
+      onChange: (e) => updateField('body', e.target.value),
+      placeholder: fallback.body,
+      rows: 4,
+      'aria-label': 'Body template',
+      className: `${inputClass} py-2 font-mono`
+    }),
+    h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+      'Leave empty to use the ', isServiceLevel ? 'global' : 'default', ' template. ',
+      h('code', {}, '{{#name}}…{{/name}}'), ' shows text only when a value is set, ',
+      h('code', {}, '{{^name}}…{{/name}}'), ' only when it is not.'
+    ),
+
+    // Variables
+    variables.length > 0 && h('div', { className: 'flex flex-wrap gap-1.5' },
+      variables.map(v =>
+        h('button', {
+          key: v.name,
+          type: 'button',
+          onClick: () => insertVariable(v.name),
+          title: v.description,
+          className: 'px-2 py-0.5 rounded text-xs font-mono bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-blue-100 dark:hover:bg-blue-900/40'
+        }, `{{${v.name}}}`)
+      )
+    ),
+
+    // Preview
+    h('div', { className: 'rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40 p-3' },
+      h('div', { className: 'flex items-center gap-1.5 mb-2 text-xs font-medium text-gray-500 dark:text-gray-400' },
+        h(Icon, { name: 'eye', size: 14 }),
+        `Preview (${preview?.format || format}, sample data)`
+      ),
+      previewError
+        ? h('p', { className: 'text-sm text-red-600 dark:text-red-400' }, previewError)
+        : preview && h('div', {},
+            h('p', { className: 'text-sm font-semibold text-gray-900 dark:text-gray-100' }, preview.title),
+            h('pre', { className: 'mt-1 text-sm whitespace-pre-wrap break-words font-sans text-gray-700 dark:text-gray-300' }, preview.body)
+          )
+    )
+  );
+};
+
+export default TemplateEditor;
@@ -0,0 +1,199 @@
+/**
+ * WebhookModal Component
+ *
+ * Modal for adding/editing a webhook endpoint: URL, signing secret and the
+ * events it subscribes to
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon, AlertBox, Portal } from '../common/index.js';
+import { ConfigField, PasswordField, EnableToggle } from '../settings/index.js';
+import { getEventTypeOptions } from '../../utils/notificationServiceSchemas.js';
+import { useCopyToClipboard } from '../../hooks/useCopyToClipboard.js';
+
+const { createElement: h, useState, useEffect } = React;
+
+/**
+ * WebhookModal component
+ * @param {boolean} isOpen - Whether modal is visible
+ * @param {function} onClose - Called when modal should close
+ * @param {function} onSave - Called with endpoint data when saving
+ * @param {Object|null} editEndpoint - Endpoint to edit, or null for new
+ */
+const WebhookModal = ({ isOpen, onClose, onSave, editEndpoint = null }) => {
+  const [name, setName] = useState('');
+  const [url, setUrl] = useState('');
+  const [secret, setSecret] = useState('');
+  const [events, setEvents] = useState([]);
+  const [enabled, setEnabled] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const { copyStatus, handleCopy } = useCopyToClipboard();
+
+  const eventOptions = getEventTypeOptions();
+
+  // Reset state when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setName(editEndpoint?.name || '');
+      setUrl(editEndpoint?.url || '');
+      setSecret(editEndpoint?.secret || '');
+      setEvents(editEndpoint?.events || ['downloadAdded', 'downloadFinished']);
+      setEnabled(editEndpoint ? editEndpoint.enabled : true);
+      setError(null);
+    }
+  }, [isOpen, editEndpoint]);
+
+  const toggleEvent = (key, checked) => {
+    setEvents(prev => checked ? [...prev, key] : prev.filter(e => e !== key));
+  };
+
+  const handleSave = async () => {
+    setError(null);
+
+    if (!name.trim()) {
+      setError('Endpoint name is required');
+      return;
+    }
+    if (!/^https?:\/\//i.test(url.trim())) {
+      setError('Endpoint URL must start with http:// or https://');
+      return;
+    }
+    if (events.length === 0) {
+      setError('Select at least one event');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave({
+        id: editEndpoint?.id,
+        name: name.trim(),
+        url: url.trim(),
+        // Empty on create: the server generates one
+        ...(secret ? { secret } : {}),
+        events,
+        enabled
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50',
+      onClick: (e) => e.target === e.currentTarget && onClose()
+    },
+    h('div', {
+      className: 'modal-full w-full max-w-lg bg-white dark:bg-gray-800 rounded-xl shadow-xl overflow-hidden flex flex-col'
+    },
+      // Header
+      h('div', { className: 'flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700' },
+        h('h2', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100' },
+          editEndpoint ? 'Edit Webhook' : 'Add Webhook'
+        ),
+        h('button', {
+          onClick: onClose,
+          className: 'p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+        },
+          h(Icon, { name: 'x', size: 20 })
+        )
+      ),
+
+      // Content
+      h('div', { className: 'px-6 py-4 flex-1 overflow-y-auto space-y-4' },
+        h(ConfigField, {
+          label: 'Name',
+          value: name,
+          onChange: setName,
+          placeholder: 'Home automation'
+        }),
+        h(ConfigField, {
+          label: 'URL',
+          description: 'Receives a POST with the event JSON',
+          value: url,
+          onChange: setUrl,
+          placeholder: 'https://example.com/hooks/amutorrent',
+          required: true
+        }),
+        h(ConfigField, {
+          label: 'Signing Secret',
+          description: editEndpoint
+            ? 'Used for the X-aMuTorrent-Signature header (HMAC-SHA256)'
+            : 'Leave empty to generate one; it is shown when editing the webhook'
+        },
+          h('div', { className: 'flex gap-2' },
+            h('div', { className: 'flex-1' },
+              h(PasswordField, {
+                value: secret,
+                onChange: setSecret,
+                placeholder: editEndpoint ? '' : 'Generated automatically'
+              })
+            ),
+            secret && h('button', {
+              type: 'button',
+              onClick: () => handleCopy(secret),
+              title: 'Copy secret',
+              className: 'px-3 rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors'
+            },
+              h(Icon, { name: copyStatus === 'success' ? 'check' : 'copy', size: 16 })
+            )
+          )
+        ),
+        h(EnableToggle, {
+          enabled,
+          onChange: setEnabled,
+          label: 'Enable Webhook',
+          description: 'Disabled webhooks keep their queued deliveries until enabled again'
+        }),
+
+        h('hr', { className: 'border-gray-200 dark:border-gray-700' }),
+
+        // Subscribed events
+        h('div', {},
+          h('p', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300 mb-2' }, 'Events'),
+          h('div', { className: 'grid grid-cols-1 sm:grid-cols-2 gap-2' },
+            eventOptions.map(event =>
+              h('label', { key: event.key, className: 'flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300' },
+                h('input', {
+                  type: 'checkbox',
+                  checked: events.includes(event.key),
+                  onChange: (e) => toggleEvent(event.key, e.target.checked),
+                  className: 'rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500'
+                }),
+                event.label
+              )
+            )
+          )
+        )
+      ),
+
+      // Footer
+      h('div', { className: 'px-6 py-4 border-t border-gray-200 dark:border-gray-700' },
+        error && h('div', { className: 'mb-3' },
+          h(AlertBox, { type: 'error' }, h('p', {}, error))
+        ),
+        h('div', { className: 'flex justify-end gap-3' },
+          h('button', {
+            onClick: onClose,
+            disabled: saving,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 transition-colors'
+          }, 'Cancel'),
+          h('button', {
+            onClick: handleSave,
+            disabled: saving,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors'
+          }, saving ? 'Saving...' : editEndpoint ? 'Save Changes' : 'Add Webhook')
+        )
+      )
+    )
+  ));
+};
+
+export default WebhookModal;
@@ -0,0 +1,294 @@
+/**
+ * WebhooksSection Component
+ *
+ * Webhook endpoints (signed HTTP POSTs of event JSON) with their delivery
+ * history and a redeliver action
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon, AlertBox, LoadingSpinner } from '../common/index.js';
+import { ToggleSwitch } from '../settings/EnableToggle.js';
+import { useWebhooks } from '../../hooks/useWebhooks.js';
+import { EVENT_TYPES } from '../../utils/notificationServiceSchemas.js';
+import { formatTimeAgo } from '../../utils/formatters.js';
+import WebhookModal from './WebhookModal.js';
+
+const { createElement: h, useState, useEffect } = React;
+
+// Delay before reloading history after a redeliver, so the attempt shows up
+const REDELIVER_REFRESH_MS = 2000;
+
+const STATUS_STYLES = {
+  delivered: { label: 'Delivered', className: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' },
+  pending: { label: 'Pending', className: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300' },
+  failed: { label: 'Failed', className: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300' }
+};
+
+const selectClass = 'h-9 px-2 rounded-lg text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const getHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * One delivery in the history list
+ */
+const DeliveryRow = ({ delivery, onRedeliver }) => {
+  const [expanded, setExpanded] = useState(false);
+  const status = STATUS_STYLES[delivery.status] || STATUS_STYLES.pending;
+  const retrying = delivery.status === 'pending' && delivery.attempts > 0;
+
+  return h('li', { className: 'py-2 space-y-1' },
+    h('div', { className: 'flex items-start justify-between gap-2' },
+      h('button', {
+        onClick: () => setExpanded(!expanded),
+        className: 'flex items-center gap-1.5 min-w-0 text-left text-sm text-gray-900 dark:text-gray-100'
+      },
+        h(Icon, { name: expanded ? 'chevronDown' : 'chevronRight', size: 14, className: 'flex-shrink-0 text-gray-400' }),
+        h('span', { className: 'font-medium' }, EVENT_TYPES[delivery.eventType]?.label || delivery.eventType),
+        h('span', { className: 'text-gray-500 dark:text-gray-400 truncate' }, `→ ${delivery.endpointName || 'Deleted endpoint'}`)
+      ),
+      h('div', { className: 'flex items-center gap-2 flex-shrink-0' },
+        h('span', { className: `text-xs px-2 py-0.5 rounded-full ${status.className}` }, retrying ? 'Retrying' : status.label),
+        delivery.status !== 'pending' && h('button', {
+          onClick: () => onRedeliver(delivery.id),
+          title: 'Send this payload again',
+          className: 'p-1 text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400'
+        },
+          h(Icon, { name: 'refresh', size: 14 })
+        )
+      )
+    ),
+    h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 pl-5' },
+      [
+        `#${delivery.id}`,
+        formatTimeAgo(delivery.createdAt),
+        delivery.redeliveryOf ? `redelivery of #${delivery.redeliveryOf}` : null,
+        delivery.attempts > 0 ? `${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}` : 'queued',
+        delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : null,
+        delivery.durationMs != null && delivery.attempts > 0 ? `${delivery.durationMs} ms` : null,
+        retrying && delivery.nextAttemptAt ? `next retry ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : null
+      ].filter(Boolean).join(' · ')
+    ),
+    delivery.error && delivery.status !== 'delivered' && h('p', { className: 'text-xs text-red-600 dark:text-red-400 break-words pl-5' }, delivery.error),
+    expanded && h('div', { className: 'pl-5 space-y-1' },
+      h('pre', { className: 'text-xs p-2 rounded bg-gray-50 dark:bg-gray-900/40 text-gray-700 dark:text-gray-300 overflow-x-auto' },
+        (() => {
+          try {
+            return JSON.stringify(JSON.parse(delivery.payload), null, 2);
+          } catch {
+            return delivery.payload;
+          }
+        })()
+      ),
+      delivery.responseBody && h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 break-words' },
+        'Response: ', delivery.responseBody
+      )
+    )
+  );
+};
+
+/**
+ * WebhooksSection component
+ */
+const WebhooksSection = () => {
+  const {
+    endpoints,
+    deliveries,
+    loading,
+    error,
+    fetchEndpoints,
+    addEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    fetchDeliveries,
+    redeliver,
+    clearError
+  } = useWebhooks();
+
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingEndpoint, setEditingEndpoint] = useState(null);
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [filter, setFilter] = useState({ endpointId: '', status: '' });
+
+  useEffect(() => {
+    fetchEndpoints().catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    fetchDeliveries(filter).catch(() => {});
+  }, [filter]);
+
+  const handleSave = async (data) => {
+    const { id, ...fields } = data;
+    if (id) {
+      await updateEndpoint(id, fields);
+    } else {
+      await addEndpoint(fields);
+    }
+  };
+
+  const handleToggle = async (id, enabled) => {
+    await updateEndpoint(id, { enabled }).catch(() => {});
+    fetchDeliveries(filter).catch(() => {});
+  };
+
+  const confirmDelete = async () => {
+    if (deleteConfirm) {
+      await deleteEndpoint(deleteConfirm).catch(() => {});
+      setDeleteConfirm(null);
+    }
+  };
+
+  const handleRedeliver = async (id) => {
+    await redeliver(id).catch(() => {});
+    setTimeout(() => fetchDeliveries(filter).catch(() => {}), REDELIVER_REFRESH_MS);
+  };
+
+  if (!endpoints) {
+    return error
+      ? h(AlertBox, { type: 'error' }, h('p', {}, 'Failed to load webhooks: ', error))
+      : h('div', { className: 'flex justify-center py-6' }, h(LoadingSpinner, { text: 'Loading webhooks...' }));
+  }
+
+  return h('div', { className: 'space-y-4' },
+    // Endpoints
+    h('div', { className: 'grid grid-cols-1 md:grid-cols-2 gap-4' },
+      endpoints.map(endpoint =>
+        h('div', {
+          key: endpoint.id,
+          className: `border rounded-lg p-4 bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 ${!endpoint.enabled ? 'opacity-60' : ''}`
+        },
+          h('div', { className: 'flex items-start justify-between gap-2 mb-2' },
+            h('div', { className: 'min-w-0' },
+              h('h3', { className: 'font-medium text-gray-900 dark:text-gray-100 truncate' }, endpoint.name),
+              h('span', { className: 'text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400' }, getHost(endpoint.url))
+            ),
+            h(ToggleSwitch, {
+              enabled: endpoint.enabled,
+              onChange: (val) => handleToggle(endpoint.id, val),
+              disabled: loading
+            })
+          ),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mb-3' },
+            endpoint.events.map(e => EVENT_TYPES[e]?.label || e).join(', ')
+          ),
+          h('div', { className: 'flex gap-2' },
+            h('button', {
+              onClick: () => {
+                setEditingEndpoint(endpoint);
+                setModalOpen(true);
+              },
+              disabled: loading,
+              className: 'flex-1 flex items-center justify-center gap-1.5 px-3 py-1.5 text-sm rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 transition-colors'
+            }, h(Icon, { name: 'edit', size: 14 }), 'Edit'),
+            h('button', {
+              onClick: () => setFilter({ ...filter, endpointId: String(endpoint.id) }),
+              className: 'flex-1 flex items-center justify-center gap-1.5 px-3 py-1.5 text-sm rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors'
+            }, h(Icon, { name: 'history', size: 14 }), 'Deliveries'),
+            h('button', {
+              onClick: () => setDeleteConfirm(endpoint.id),
+              disabled: loading,
+              title: 'Delete webhook',
+              className: 'px-3 py-1.5 text-sm rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50 transition-colors'
+            }, h(Icon, { name: 'trash', size: 14 }))
+          )
+        )
+      ),
+
+      // Add webhook card
+      h('button', {
+        onClick: () => {
+          setEditingEndpoint(null);
+          setModalOpen(true);
+        },
+        disabled: loading,
+        className: 'border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg p-6 flex flex-col items-center justify-center gap-2 text-gray-500 dark:text-gray-400 hover:border-blue-500 dark:hover:border-blue-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/10 transition-colors md:min-h-[120px] disabled:opacity-50 disabled:cursor-not-allowed'
+      },
+        h(Icon, { name: 'plus', size: 24 }),
+        h('span', { className: 'text-sm font-medium' }, 'Add Webhook')
+      )
+    ),
+
+    // Delivery history
+    endpoints.length > 0 && h('div', {},
+      h('div', { className: 'flex flex-wrap items-center gap-2 mb-2' },
+        h('h4', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300 mr-auto' }, 'Recent Deliveries'),
+        h('select', {
+          value: filter.endpointId,
+          onChange: (e) => setFilter({ ...filter, endpointId: e.target.value }),
+          className: selectClass
+        },
+          h('option', { value: '' }, 'All webhooks'),
+          endpoints.map(e => h('option', { key: e.id, value: String(e.id) }, e.name))
+        ),
+        h('select', {
+          value: filter.status,
+          onChange: (e) => setFilter({ ...filter, status: e.target.value }),
+          className: selectClass
+        },
+          h('option', { value: '' }, 'Any status'),
+          Object.entries(STATUS_STYLES).map(([value, s]) => h('option', { key: value, value }, s.label))
+        ),
+        h('button', {
+          onClick: () => fetchDeliveries(filter).catch(() => {}),
+          title: 'Reload',
+          className: 'h-9 px-2 rounded-lg text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'
+        }, h(Icon, { name: 'refresh', size: 16 }))
+      ),
+      deliveries && deliveries.length === 0 && h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' }, 'No deliveries yet'),
+      deliveries && deliveries.length > 0 && h('ul', { className: 'divide-y divide-gray-200 dark:divide-gray-700' },
+        deliveries.map(d => h(DeliveryRow, { key: d.id, delivery: d, onRedeliver: handleRedeliver }))
+      )
+    ),
+
+    error && h(AlertBox, { type: 'error' },
+      h('div', { className: 'flex items-start justify-between gap-2' },
+        h('p', {}, error),
+        h('button', { onClick: clearError, className: 'text-sm underline' }, 'Dismiss')
+      )
+    ),
+
+    h(WebhookModal, {
+      isOpen: modalOpen,
+      onClose: () => setModalOpen(false),
+      onSave: handleSave,
+      editEndpoint: editingEndpoint
+    }),
+
+    // Delete confirmation modal
+    deleteConfirm && h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50',
+      onClick: () => setDeleteConfirm(null)
+    },
+      h('div', {
+        className: 'w-full max-w-sm bg-white dark:bg-gray-800 rounded-xl shadow-xl p-6',
+        onClick: (e) => e.stopPropagation()
+      },
+        h('h3', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2' },
+          'Delete Webhook?'
+        ),
+        h('p', { className: 'text-gray-600 dark:text-gray-400 mb-6' },
+          'Its queued deliveries and delivery history are deleted too.'
+        ),
+        h('div', { className: 'flex gap-3 justify-end' },
+          h('button', {
+            onClick: () => setDeleteConfirm(null),
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors'
+          }, 'Cancel'),
+          h('button', {
+            onClick: confirmDelete,
+            disabled: loading,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 transition-colors'
+          }, 'Delete')
+        )
+      )
+    )
+  );
+};
+
+export default WebhooksSection;
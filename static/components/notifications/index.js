@@ -5,5 +5,10 @@
  */
 
 export { default as EventsTable } from './EventsTable.js';
+export { default as EventPicker } from './EventPicker.js';
+export { default as QuietHoursEditor } from './QuietHoursEditor.js';
 export { default as ServiceCard } from './ServiceCard.js';
 export { default as ServiceModal } from './ServiceModal.js';
+export { default as TemplateEditor } from './TemplateEditor.js';
+export { default as WebhookModal } from './WebhookModal.js';
+export { default as WebhooksSection } from './WebhooksSection.js';
@@ -0,0 +1,114 @@
+/**
+ * FeedCard Component
+ *
+ * Card displaying an RSS feed subscription with its check state and actions
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon } from '../common/index.js';
+import { ToggleSwitch } from '../settings/EnableToggle.js';
+import { formatTimeAgo } from '../../utils/formatters.js';
+
+const { createElement: h } = React;
+
+const getHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * FeedCard component
+ * @param {Object} feed - Feed object { id, name, url, enabled, intervalMinutes, rules, lastCheckedAt, lastError, lastItemCount }
+ * @param {function} onEdit - Called when edit button clicked
+ * @param {function} onDelete - Called when delete button clicked
+ * @param {function} onRefresh - Called when check now button clicked
+ * @param {function} onShowItems - Called when activity button clicked
+ * @param {function} onToggle - Called when enable/disable toggled
+ * @param {boolean} refreshing - Whether this feed is being checked
+ * @param {boolean} loading - Whether an action is in progress
+ */
+const FeedCard = ({ feed, onEdit, onDelete, onRefresh, onShowItems, onToggle, refreshing = false, loading = false }) => {
+  const activeRules = (feed.rules || []).filter(r => r.enabled !== false).length;
+  const statusColor = !feed.enabled ? 'bg-gray-400' : feed.lastError ? 'bg-red-500' : 'bg-green-500';
+
+  return h('div', {
+    className: `border rounded-lg p-4 bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 ${!feed.enabled ? 'opacity-60' : ''}`
+  },
+    // Header row with icon, name, and host
+    h('div', { className: 'flex items-start justify-between mb-3' },
+      h('div', { className: 'flex items-center gap-3 min-w-0' },
+        h('div', { className: 'w-10 h-10 rounded-2xl flex items-center justify-center flex-shrink-0 bg-orange-500' },
+          h(Icon, { name: 'rss', size: 20, className: 'text-white' })
+        ),
+        h('div', { className: 'min-w-0' },
+          h('h3', { className: 'font-medium text-gray-900 dark:text-gray-100 truncate' }, feed.name),
+          h('div', { className: '-ml-1' },
+            h('span', {
+              className: 'text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
+            }, getHost(feed.url))
+          )
+        )
+      ),
+      h(ToggleSwitch, {
+        enabled: feed.enabled,
+        onChange: (val) => onToggle(feed.id, val),
+        disabled: loading
+      })
+    ),
+
+    // Status
+    h('div', { className: 'flex items-center gap-2 mb-1' },
+      h('span', { className: `w-2 h-2 rounded-full ${statusColor}` }),
+      h('span', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+        feed.lastCheckedAt
+          ? `Checked ${formatTimeAgo(feed.lastCheckedAt)} · ${feed.lastItemCount} items`
+          : 'Not checked yet',
+        ` · every ${feed.intervalMinutes} min`
+      )
+    ),
+    h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mb-4' },
+      activeRules === 0 ? 'No active rules — nothing will be added' : `${activeRules} active rule${activeRules === 1 ? '' : 's'}`
+    ),
+    feed.lastError && h('p', { className: 'text-xs text-red-600 dark:text-red-400 mb-4 break-words' }, feed.lastError),
+
+    // Action buttons
+    h('div', { className: 'flex gap-2' },
+      h('button', {
+        onClick: () => onRefresh(feed.id),
+        disabled: loading || refreshing,
+        className: 'flex-1 flex items-center justify-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 hover:bg-blue-100 dark:hover:bg-blue-900/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors'
+      },
+        h(Icon, { name: 'refresh', size: 14, className: refreshing ? 'animate-spin' : '' }),
+        refreshing ? 'Checking...' : 'Check now'
+      ),
+      h('button', {
+        onClick: () => onShowItems(feed),
+        disabled: loading,
+        title: 'Recent activity',
+        className: 'flex items-center justify-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors'
+      },
+        h(Icon, { name: 'fileText', size: 14 })
+      ),
+      h('button', {
+        onClick: () => onEdit(feed),
+        disabled: loading,
+        className: 'flex items-center justify-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors'
+      },
+        h(Icon, { name: 'edit', size: 14 }),
+        'Edit'
+      ),
+      h('button', {
+        onClick: () => onDelete(feed.id),
+        disabled: loading,
+        className: 'flex items-center justify-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors'
+      },
+        h(Icon, { name: 'trash', size: 14 })
+      )
+    )
+  );
+};
+
+export default FeedCard;
@@ -0,0 +1,91 @@
+/**
+ * FeedItemsModal Component
+ *
+ * Shows recently processed items of a feed and what happened to each
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon, AlertBox, Portal, LoadingSpinner } from '../common/index.js';
+import { formatBytes, formatTimeAgo } from '../../utils/formatters.js';
+
+const { createElement: h, useState, useEffect } = React;
+
+const STATUS_STYLES = {
+  added: { label: 'Added', className: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' },
+  duplicate: { label: 'Duplicate', className: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300' },
+  failed: { label: 'Failed', className: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300' },
+  skipped: { label: 'No match', className: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400' }
+};
+
+/**
+ * FeedItemsModal component
+ * @param {Object|null} feed - Feed to show, or null when closed
+ * @param {function} onClose - Called when modal should close
+ * @param {function} fetchItems - (feedId) => Promise<Array>
+ */
+const FeedItemsModal = ({ feed, onClose, fetchItems }) => {
+  const [items, setItems] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!feed) return;
+    setItems(null);
+    setError(null);
+    fetchItems(feed.id).then(setItems).catch(err => setError(err.message));
+  }, [feed, fetchItems]);
+
+  if (!feed) return null;
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50',
+      onClick: (e) => e.target === e.currentTarget && onClose()
+    },
+    h('div', {
+      className: 'modal-full w-full max-w-2xl max-h-[90vh] bg-white dark:bg-gray-800 rounded-xl shadow-xl overflow-hidden flex flex-col'
+    },
+      // Header
+      h('div', { className: 'flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700' },
+        h('h2', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100 truncate' }, `${feed.name} — Recent Activity`),
+        h('button', {
+          onClick: onClose,
+          className: 'p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+        },
+          h(Icon, { name: 'x', size: 20 })
+        )
+      ),
+
+      // Content
+      h('div', { className: 'px-6 py-4 flex-1 overflow-y-auto' },
+        error && h(AlertBox, { type: 'error' }, h('p', {}, error)),
+        !error && !items && h('div', { className: 'flex justify-center py-8' },
+          h(LoadingSpinner, { text: 'Loading items...' })
+        ),
+        items && items.length === 0 && h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' },
+          'No items processed yet'
+        ),
+        items && items.length > 0 && h('ul', { className: 'divide-y divide-gray-200 dark:divide-gray-700' },
+          items.map(item => {
+            const status = STATUS_STYLES[item.status] || STATUS_STYLES.skipped;
+            return h('li', { key: item.guid, className: 'py-2 space-y-0.5' },
+              h('div', { className: 'flex items-start justify-between gap-2' },
+                h('span', { className: 'text-sm text-gray-900 dark:text-gray-100 break-all' }, item.title || item.guid),
+                h('span', { className: `text-xs px-2 py-0.5 rounded-full flex-shrink-0 ${status.className}` }, status.label)
+              ),
+              h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+                [
+                  formatTimeAgo(item.seenAt),
+                  item.size ? formatBytes(item.size) : null,
+                  item.ruleName ? `Rule: ${item.ruleName}` : null
+                ].filter(Boolean).join(' · ')
+              ),
+              item.error && h('p', { className: 'text-xs text-red-600 dark:text-red-400 break-words' }, item.error)
+            );
+          })
+        )
+      )
+    )
+  ));
+};
+
+export default FeedItemsModal;
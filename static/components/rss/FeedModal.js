@@ -0,0 +1,339 @@
+/**
+ * FeedModal Component
+ *
+ * Modal for adding/editing an RSS feed and its filter rules.
+ * Rules are matched top to bottom, first match wins. Sizes are edited in MB
+ * and stored as bytes (0 = no bound).
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon, AlertBox, Portal, Input, Select } from '../common/index.js';
+import { ConfigField, EnableToggle, ToggleSwitch } from '../settings/index.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+
+const { createElement: h, useState, useEffect } = React;
+
+const MB = 1024 * 1024;
+
+const ROUND_BUTTON_CLASS = 'w-7 h-7 flex items-center justify-center rounded-full bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-600 hover:text-gray-700 dark:hover:text-gray-300 transition-colors';
+
+const toMb = (bytes) => (bytes > 0 ? Math.round(bytes / MB) : 0);
+const toBytes = (mb) => Math.max(0, Math.round((parseFloat(mb) || 0) * MB));
+
+const createRule = (instanceId = '') => ({
+  id: `rule-${Date.now().toString(36)}`,
+  name: 'New rule',
+  enabled: true,
+  include: '',
+  exclude: '',
+  minSize: 0,
+  maxSize: 0,
+  feedCategories: [],
+  instanceId,
+  category: ''
+});
+
+const LabeledInput = ({ label, children }) =>
+  h('label', { className: 'block space-y-1' },
+    h('span', { className: 'text-xs font-medium text-gray-600 dark:text-gray-400' }, label),
+    children
+  );
+
+/**
+ * Single rule card
+ */
+const RuleCard = ({ rule, index, total, instanceOptions, categoryOptions, onChange, onMove, onRemove }) => {
+  const update = (field, value) => onChange({ ...rule, [field]: value });
+  const enabled = rule.enabled !== false;
+
+  return h('div', {
+    className: `border rounded-lg p-3 space-y-3 bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 ${!enabled ? 'opacity-60' : ''}`
+  },
+    // Name, reorder, enable, remove
+    h('div', { className: 'flex items-center gap-2' },
+      h(Input, {
+        value: rule.name || '',
+        onChange: (e) => update('name', e.target.value),
+        placeholder: 'Rule name',
+        className: 'flex-1 min-w-0'
+      }),
+      total > 1 && index > 0 && h('button', {
+        type: 'button', onClick: () => onMove(index, -1), className: ROUND_BUTTON_CLASS, title: 'Move up'
+      }, h(Icon, { name: 'arrowUp', size: 14 })),
+      total > 1 && index < total - 1 && h('button', {
+        type: 'button', onClick: () => onMove(index, 1), className: ROUND_BUTTON_CLASS, title: 'Move down'
+      }, h(Icon, { name: 'arrowDown', size: 14 })),
+      h(ToggleSwitch, { enabled, onChange: (value) => update('enabled', value) }),
+      h('button', {
+        type: 'button',
+        onClick: () => onRemove(index),
+        className: 'w-7 h-7 flex items-center justify-center rounded-full bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors',
+        title: 'Remove rule'
+      }, h(Icon, { name: 'trash', size: 14 }))
+    ),
+
+    // Title patterns
+    h('div', { className: 'grid grid-cols-1 sm:grid-cols-2 gap-2' },
+      h(LabeledInput, { label: 'Title must match (regex)' },
+        h(Input, {
+          value: rule.include || '',
+          onChange: (e) => update('include', e.target.value),
+          placeholder: 'e.g. show\\.name.*1080p',
+          className: 'w-full font-mono'
+        })
+      ),
+      h(LabeledInput, { label: 'Title must not match (regex)' },
+        h(Input, {
+          value: rule.exclude || '',
+          onChange: (e) => update('exclude', e.target.value),
+          placeholder: 'e.g. \\b(cam|ts)\\b',
+          className: 'w-full font-mono'
+        })
+      )
+    ),
+
+    // Size bounds and feed categories
+    h('div', { className: 'grid grid-cols-2 sm:grid-cols-3 gap-2' },
+      h(LabeledInput, { label: 'Min size (MB)' },
+        h(Input, {
+          type: 'number', min: 0, value: toMb(rule.minSize),
+          onChange: (e) => update('minSize', toBytes(e.target.value)),
+          className: 'w-full'
+        })
+      ),
+      h(LabeledInput, { label: 'Max size (MB)' },
+        h(Input, {
+          type: 'number', min: 0, value: toMb(rule.maxSize),
+          onChange: (e) => update('maxSize', toBytes(e.target.value)),
+          className: 'w-full'
+        })
+      ),
+      h('div', { className: 'col-span-2 sm:col-span-1' },
+        h(LabeledInput, { label: 'Feed categories' },
+          h(Input, {
+            value: (rule.feedCategories || []).join(', '),
+            onChange: (e) => update('feedCategories', e.target.value.split(',').map(c => c.trimStart())),
+            placeholder: 'any',
+            className: 'w-full'
+          })
+        )
+      )
+    ),
+
+    // Target
+    h('div', { className: 'grid grid-cols-1 sm:grid-cols-2 gap-2' },
+      h(LabeledInput, { label: 'Add to' },
+        h(Select, {
+          value: rule.instanceId || '',
+          onChange: (e) => update('instanceId', e.target.value),
+          options: instanceOptions,
+          className: 'w-full'
+        })
+      ),
+      h(LabeledInput, { label: 'Category' },
+        h(Select, {
+          value: rule.category || '',
+          onChange: (e) => update('category', e.target.value),
+          options: categoryOptions,
+          className: 'w-full'
+        })
+      )
+    )
+  );
+};
+
+/**
+ * FeedModal component
+ * @param {boolean} isOpen - Whether modal is visible
+ * @param {function} onClose - Called when modal should close
+ * @param {function} onSave - Called with feed data when saving (may throw)
+ * @param {Object|null} editFeed - Feed to edit, or null for new
+ */
+const FeedModal = ({ isOpen, onClose, onSave, editFeed = null }) => {
+  const { instances, dataCategories } = useStaticData();
+  const [name, setName] = useState('');
+  const [url, setUrl] = useState('');
+  const [enabled, setEnabled] = useState(true);
+  const [intervalMinutes, setIntervalMinutes] = useState(15);
+  const [rules, setRules] = useState([]);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Reset state when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setName(editFeed?.name || '');
+      setUrl(editFeed?.url || '');
+      setEnabled(editFeed ? editFeed.enabled : true);
+      setIntervalMinutes(editFeed?.intervalMinutes || 15);
+      setRules(editFeed?.rules || []);
+      setError(null);
+    }
+  }, [isOpen, editFeed]);
+
+  const instanceOptions = [
+    { value: '', label: 'Select a client...' },
+    ...Object.entries(instances).map(([id, inst]) => ({ value: id, label: inst.name || id }))
+  ];
+  const categoryOptions = [
+    { value: '', label: 'No category' },
+    ...(dataCategories || [])
+      .map(cat => cat.name || cat.title)
+      .filter(Boolean)
+      .sort((a, b) => a.localeCompare(b))
+      .map(catName => ({ value: catName, label: catName }))
+  ];
+
+  const updateRule = (index, rule) => setRules(rules.map((r, i) => (i === index ? rule : r)));
+  const removeRule = (index) => setRules(rules.filter((_, i) => i !== index));
+  const moveRule = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    setRules(next);
+  };
+
+  const handleSave = async () => {
+    setError(null);
+
+    if (!name.trim()) {
+      setError('Feed name is required');
+      return;
+    }
+    if (!/^https?:\/\//i.test(url.trim())) {
+      setError('Feed URL must start with http:// or https://');
+      return;
+    }
+    const missingTarget = rules.find(r => !r.instanceId);
+    if (missingTarget) {
+      setError(`${missingTarget.name || 'Unnamed rule'}: a target client is required`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave({
+        id: editFeed?.id,
+        name: name.trim(),
+        url: url.trim(),
+        enabled,
+        intervalMinutes: parseInt(intervalMinutes, 10) || 15,
+        rules: rules.map(r => ({ ...r, feedCategories: (r.feedCategories || []).map(c => c.trim()).filter(Boolean) }))
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50',
+      onClick: (e) => e.target === e.currentTarget && onClose()
+    },
+    h('div', {
+      className: 'modal-full w-full max-w-2xl max-h-[90vh] bg-white dark:bg-gray-800 rounded-xl shadow-xl overflow-hidden flex flex-col'
+    },
+      // Header
+      h('div', { className: 'flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700' },
+        h('h2', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100' },
+          editFeed ? 'Edit Feed' : 'Add Feed'
+        ),
+        h('button', {
+          onClick: onClose,
+          className: 'p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+        },
+          h(Icon, { name: 'x', size: 20 })
+        )
+      ),
+
+      // Content
+      h('div', { className: 'px-6 py-4 flex-1 overflow-y-auto space-y-4' },
+        h(ConfigField, {
+          label: 'Feed Name',
+          value: name,
+          onChange: setName,
+          placeholder: 'My tracker'
+        }),
+        h(ConfigField, {
+          label: 'Feed URL',
+          description: 'RSS 2.0 or Atom feed. Torznab/Newznab feeds work too — include the API key in the URL.',
+          value: url,
+          onChange: setUrl,
+          placeholder: 'https://tracker.example/rss?passkey=...'
+        }),
+        h(ConfigField, {
+          label: 'Check Interval (minutes)',
+          type: 'number',
+          value: intervalMinutes,
+          onChange: (value) => setIntervalMinutes(Number.isNaN(value) ? '' : value),
+          placeholder: '15'
+        }),
+        h(EnableToggle, {
+          enabled,
+          onChange: setEnabled,
+          label: 'Enable Feed',
+          description: 'Check this feed periodically'
+        }),
+
+        h('hr', { className: 'border-gray-200 dark:border-gray-700' }),
+
+        // Rules
+        h('div', { className: 'space-y-3' },
+          h('div', null,
+            h('h3', { className: 'text-sm font-medium text-gray-900 dark:text-gray-100' }, 'Filter Rules'),
+            h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+              'New items are checked against the rules top to bottom; the first match is added. Items already in download history are skipped.'
+            )
+          ),
+          rules.length === 0 && h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' }, 'No rules defined'),
+          rules.map((rule, index) => h(RuleCard, {
+            key: rule.id || index,
+            rule,
+            index,
+            total: rules.length,
+            instanceOptions,
+            categoryOptions,
+            onChange: (updated) => updateRule(index, updated),
+            onMove: moveRule,
+            onRemove: removeRule
+          })),
+          h('button', {
+            type: 'button',
+            onClick: () => setRules([...rules, createRule(rules[rules.length - 1]?.instanceId)]),
+            className: 'flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 hover:bg-blue-100 dark:hover:bg-blue-900/50 transition-colors'
+          },
+            h(Icon, { name: 'plus', size: 14 }),
+            'Add rule'
+          )
+        )
+      ),
+
+      // Footer
+      h('div', { className: 'px-6 py-4 border-t border-gray-200 dark:border-gray-700' },
+        error && h('div', { className: 'mb-3' },
+          h(AlertBox, { type: 'error' }, h('p', {}, error))
+        ),
+        h('div', { className: 'flex justify-end gap-3' },
+          h('button', {
+            onClick: onClose,
+            disabled: saving,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 transition-colors'
+          }, 'Cancel'),
+          h('button', {
+            onClick: handleSave,
+            disabled: saving,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors'
+          }, saving ? 'Saving...' : editFeed ? 'Save Changes' : 'Add Feed')
+        )
+      )
+    )
+  ));
+};
+
+export default FeedModal;
@@ -0,0 +1,9 @@
+/**
+ * RSS Components Index
+ *
+ * Central export point for all RSS feed components
+ */
+
+export { default as FeedCard } from './FeedCard.js';
+export { default as FeedModal } from './FeedModal.js';
+export { default as FeedItemsModal } from './FeedItemsModal.js';
@@ -0,0 +1,165 @@
+/**
+ * BackupRestore Component
+ *
+ * Admin-only export/import of the full configuration and databases.
+ * Export downloads a single .tar.gz archive; import uploads one and restores it in place.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Icon, AlertBox } from '../common/index.js';
+import EnableToggle from './EnableToggle.js';
+
+const { createElement: h, useState, useRef, useCallback } = React;
+
+/**
+ * BackupRestore component
+ */
+const BackupRestore = () => {
+  const [redact, setRedact] = useState(false);
+  const [file, setFile] = useState(null);
+  const [confirmRestore, setConfirmRestore] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = useCallback((e) => {
+    setFile(e.target.files?.[0] || null);
+    setResult(null);
+    setError(null);
+  }, []);
+
+  const handleRestore = useCallback(async () => {
+    setConfirmRestore(false);
+    if (!file) return;
+
+    setRestoring(true);
+    setResult(null);
+    setError(null);
+    try {
+      const res = await fetch('/api/backup/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/gzip' },
+        body: file
+      });
+      const data = await res.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to restore backup');
+      }
+      setResult(data);
+      setFile(null);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+
+      // Every open view (including this form) now holds stale config; restored
+      // user accounts also sign out all sessions, so start over from a fresh page
+      setTimeout(() => window.location.reload(), 3000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoring(false);
+    }
+  }, [file]);
+
+  return h('div', { className: 'space-y-6' },
+    // Export
+    h('div', {},
+      h('h3', { className: 'text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1' }, 'Export'),
+      h('p', { className: 'text-sm text-gray-600 dark:text-gray-400 mb-3' },
+        'Download config.json, categories.json, notifications.json, arr-state.json and all databases as a single archive.'
+      ),
+      h(EnableToggle, {
+        enabled: redact,
+        onChange: setRedact,
+        label: 'Redact secrets',
+        description: 'Strip passwords, API keys and notification tokens. Restoring a redacted backup keeps the secrets already configured on the target host.'
+      }),
+      h('div', { className: 'mt-3' },
+        h('a', {
+          href: `/api/backup/export${redact ? '?redact=1' : ''}`,
+          download: true,
+          className: 'inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors'
+        }, h(Icon, { name: 'download', size: 14, className: 'mr-1.5' }), 'Download Backup')
+      )
+    ),
+
+    // Import
+    h('div', { className: 'pt-4 border-t border-gray-200 dark:border-gray-700' },
+      h('h3', { className: 'text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1' }, 'Restore'),
+      h('p', { className: 'text-sm text-gray-600 dark:text-gray-400 mb-3' },
+        'Replace the current configuration and databases with a backup archive. Download clients are reconnected automatically; no restart is needed.'
+      ),
+      h('div', { className: 'flex flex-wrap items-center gap-2' },
+        h('input', {
+          ref: fileInputRef,
+          type: 'file',
+          accept: '.tar.gz,.tgz,application/gzip',
+          onChange: handleFileChange,
+          disabled: restoring,
+          className: 'text-sm text-gray-700 dark:text-gray-300 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-gray-200 dark:file:bg-gray-700 file:text-gray-700 dark:file:text-gray-300'
+        }),
+        h(Button, {
+          variant: 'danger',
+          size: 'sm',
+          onClick: () => setConfirmRestore(true),
+          disabled: !file || restoring
+        }, h(Icon, { name: 'upload', size: 14, className: 'mr-1' }), restoring ? 'Restoring...' : 'Restore Backup')
+      ),
+
+      error && h(AlertBox, { type: 'error', className: 'mt-4' },
+        h('p', {}, error)
+      ),
+
+      result && h(AlertBox, { type: 'success', className: 'mt-4' },
+        h('div', {},
+          h('p', { className: 'font-medium' }, result.message),
+          h('p', { className: 'text-sm mt-1' },
+            `Backup from ${new Date(result.createdAt).toLocaleString()} (v${result.appVersion})${result.redacted ? ', secrets were redacted' : ''}.`
+          ),
+          result.warnings?.length > 0 && h('ul', { className: 'list-disc list-inside text-sm mt-2' },
+            ...result.warnings.map((w, i) => h('li', { key: i }, w))
+          ),
+          h('p', { className: 'text-sm mt-2' },
+            result.sessionsInvalidated
+              ? 'User accounts were restored and all sessions were signed out. Reloading...'
+              : 'Reloading...'
+          )
+        )
+      )
+    ),
+
+    // Restore Confirmation Modal
+    confirmRestore && h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50',
+      onClick: () => setConfirmRestore(false)
+    },
+      h('div', {
+        className: 'w-full max-w-sm bg-white dark:bg-gray-800 rounded-xl shadow-xl overflow-hidden',
+        onClick: (e) => e.stopPropagation()
+      },
+        h('div', { className: 'px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center gap-3' },
+          h('div', { className: 'flex-shrink-0 w-10 h-10 rounded-full bg-red-100 dark:bg-red-900/30 flex items-center justify-center' },
+            h(Icon, { name: 'alertTriangle', size: 20, className: 'text-red-600 dark:text-red-400' })
+          ),
+          h('h2', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100' }, 'Restore backup?')
+        ),
+        h('div', { className: 'px-6 py-4' },
+          h('p', { className: 'text-sm text-gray-700 dark:text-gray-300' },
+            `This will overwrite the current configuration and all databases with the contents of ${file?.name}. This cannot be undone.`
+          )
+        ),
+        h('div', { className: 'px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3' },
+          h('button', {
+            onClick: () => setConfirmRestore(false),
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors'
+          }, 'Cancel'),
+          h('button', {
+            onClick: handleRestore,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-red-600 text-white hover:bg-red-700 transition-colors'
+          }, 'Restore')
+        )
+      )
+    )
+  );
+};
+
+export default BackupRestore;
@@ -0,0 +1,184 @@
+/**
+ * BandwidthScheduleEditor Component
+ *
+ * Editable list of weekly speed limit rules (config.bandwidthSchedule.rules).
+ * Rules are matched top to bottom, first match wins. Limits are edited in
+ * KB/s and stored as bytes/s (0 = unlimited).
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon, Input, Select } from '../common/index.js';
+import { ToggleSwitch } from './EnableToggle.js';
+
+const { createElement: h } = React;
+
+const KB = 1024;
+
+// Display order Monday → Sunday, values follow Date.getDay() (0 = Sunday)
+const DAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const ROUND_BUTTON_CLASS = 'w-7 h-7 flex items-center justify-center rounded-full bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-600 hover:text-gray-700 dark:hover:text-gray-300 transition-colors';
+
+const toKb = (bytes) => (bytes > 0 ? Math.round(bytes / KB) : 0);
+const toBytes = (kb) => Math.max(0, Math.round((parseFloat(kb) || 0) * KB));
+
+const createRule = () => ({
+  id: `rule-${Date.now().toString(36)}`,
+  name: 'New rule',
+  enabled: true,
+  days: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '18:00',
+  instanceIds: [],
+  downloadLimit: 0,
+  uploadLimit: 0
+});
+
+/**
+ * Single rule card
+ */
+const RuleCard = ({ rule, index, total, instanceOptions, isActive, onChange, onMove, onRemove }) => {
+  const update = (field, value) => onChange({ ...rule, [field]: value });
+  const toggleDay = (day) => update('days', rule.days?.includes(day)
+    ? rule.days.filter(d => d !== day)
+    : [...(rule.days || []), day].sort());
+  const enabled = rule.enabled !== false;
+
+  return h('div', {
+    className: `border rounded-lg p-3 space-y-3 bg-white dark:bg-gray-800 ${isActive ? 'border-purple-400 dark:border-purple-600' : 'border-gray-200 dark:border-gray-700'} ${!enabled ? 'opacity-60' : ''}`
+  },
+    // Name, active badge, reorder, enable, remove
+    h('div', { className: 'flex items-center gap-2' },
+      h(Input, {
+        value: rule.name || '',
+        onChange: (e) => update('name', e.target.value),
+        placeholder: 'Rule name',
+        className: 'flex-1 min-w-0'
+      }),
+      isActive && h('span', {
+        className: 'text-xs px-2 py-0.5 rounded-full bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 flex-shrink-0'
+      }, 'Active'),
+      total > 1 && index > 0 && h('button', {
+        type: 'button', onClick: () => onMove(index, -1), className: ROUND_BUTTON_CLASS, title: 'Move up'
+      }, h(Icon, { name: 'arrowUp', size: 14 })),
+      total > 1 && index < total - 1 && h('button', {
+        type: 'button', onClick: () => onMove(index, 1), className: ROUND_BUTTON_CLASS, title: 'Move down'
+      }, h(Icon, { name: 'arrowDown', size: 14 })),
+      h(ToggleSwitch, { enabled, onChange: (value) => update('enabled', value) }),
+      h('button', {
+        type: 'button',
+        onClick: () => onRemove(index),
+        className: 'w-7 h-7 flex items-center justify-center rounded-full bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors',
+        title: 'Remove rule'
+      }, h(Icon, { name: 'trash', size: 14 }))
+    ),
+
+    // Days
+    h('div', { className: 'flex flex-wrap gap-1' },
+      DAYS.map(day => {
+        const selected = rule.days?.includes(day.value);
+        return h('button', {
+          key: day.value,
+          type: 'button',
+          onClick: () => toggleDay(day.value),
+          className: `px-2.5 py-1 text-xs font-medium rounded-md transition-colors ${selected
+            ? 'bg-blue-600 text-white hover:bg-blue-700'
+            : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-600'}`
+        }, day.label);
+      })
+    ),
+
+    // Time range, target instance and limits
+    h('div', { className: 'flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400' },
+      h(Input, { type: 'time', value: rule.start || '', onChange: (e) => update('start', e.target.value), className: 'w-32' }),
+      '–',
+      h(Input, { type: 'time', value: rule.end || '', onChange: (e) => update('end', e.target.value), className: 'w-32' }),
+      h(Select, {
+        value: rule.instanceIds?.[0] || '',
+        onChange: (e) => update('instanceIds', e.target.value ? [e.target.value] : []),
+        options: instanceOptions,
+        className: 'flex-1 min-w-[10rem]'
+      })
+    ),
+    h('div', { className: 'flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400' },
+      h('label', { className: 'flex items-center gap-1' },
+        '↓',
+        h(Input, {
+          type: 'number', min: 0, value: toKb(rule.downloadLimit),
+          onChange: (e) => update('downloadLimit', toBytes(e.target.value)),
+          className: 'w-28'
+        })
+      ),
+      h('label', { className: 'flex items-center gap-1' },
+        '↑',
+        h(Input, {
+          type: 'number', min: 0, value: toKb(rule.uploadLimit),
+          onChange: (e) => update('uploadLimit', toBytes(e.target.value)),
+          className: 'w-28'
+        })
+      ),
+      h('span', { className: 'text-xs text-gray-500 dark:text-gray-400' }, 'KB/s, 0 = unlimited')
+    ),
+    rule.start && rule.end && rule.end < rule.start && h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+      'Ends the following morning'
+    )
+  );
+};
+
+/**
+ * BandwidthScheduleEditor component
+ * @param {Array} rules - Rule list from formData.bandwidthSchedule.rules
+ * @param {function} onChange - (rules) => void
+ * @param {Object} instances - Instance metadata keyed by instanceId (from StaticDataContext)
+ * @param {Object} status - Live schedule state (stats.bandwidthSchedule)
+ */
+const BandwidthScheduleEditor = ({ rules = [], onChange, instances = {}, status }) => {
+  const instanceOptions = [
+    { value: '', label: 'All clients' },
+    ...Object.entries(instances).map(([id, inst]) => ({ value: id, label: inst.name || id }))
+  ];
+  const activeRuleIds = new Set((status?.instances || []).map(i => i.ruleId).filter(Boolean));
+
+  const updateRule = (index, rule) => onChange(rules.map((r, i) => (i === index ? rule : r)));
+  const removeRule = (index) => onChange(rules.filter((_, i) => i !== index));
+  const moveRule = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  return h('div', { className: 'space-y-3' },
+    rules.length === 0 && h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' }, 'No rules defined'),
+    rules.map((rule, index) => h(RuleCard, {
+      key: rule.id || index,
+      rule,
+      index,
+      total: rules.length,
+      instanceOptions,
+      isActive: activeRuleIds.has(rule.id),
+      onChange: (updated) => updateRule(index, updated),
+      onMove: moveRule,
+      onRemove: removeRule
+    })),
+    h('button', {
+      type: 'button',
+      onClick: () => onChange([...rules, createRule()]),
+      className: 'flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 hover:bg-blue-100 dark:hover:bg-blue-900/50 transition-colors'
+    },
+      h(Icon, { name: 'plus', size: 14 }),
+      'Add rule'
+    )
+  );
+};
+
+export default BandwidthScheduleEditor;
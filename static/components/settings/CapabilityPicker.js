@@ -0,0 +1,81 @@
+/**
+ * CapabilityPicker Component
+ *
+ * Grouped capability checkboxes with Full / Read-only presets.
+ * Used for SSO default capabilities and OIDC group mappings.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { CAPABILITY_LABELS, CAPABILITY_GROUPS, PRESETS, detectPreset } from '../../utils/capabilities.js';
+
+const { createElement: h } = React;
+
+const presetClass = (active) => `px-2 py-0.5 text-xs rounded font-medium transition-colors ${active ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'}`;
+
+/**
+ * CapabilityPicker component
+ * @param {string} label - Heading shown above the checkboxes
+ * @param {string[]} capabilities - Selected capabilities
+ * @param {function} onChange - Called with the new capability array
+ */
+const CapabilityPicker = ({ label, capabilities, onChange }) => {
+  const currentPreset = detectPreset(capabilities);
+
+  const toggleCap = (cap) => {
+    let next;
+    if (capabilities.includes(cap)) {
+      next = capabilities.filter(c => c !== cap);
+      if (cap === 'view_all_downloads') next = next.filter(c => c !== 'edit_all_downloads');
+    } else {
+      next = [...capabilities, cap];
+      if (cap === 'edit_all_downloads' && !next.includes('view_all_downloads')) next.push('view_all_downloads');
+    }
+    onChange(next);
+  };
+
+  return h('div', {},
+    h('div', { className: 'flex items-center justify-between mb-2' },
+      h('label', { className: 'block text-sm font-medium text-gray-700 dark:text-gray-300' }, label),
+      h('div', { className: 'flex gap-1' },
+        h('button', {
+          type: 'button',
+          onClick: () => onChange(PRESETS.full.slice()),
+          className: presetClass(currentPreset === 'full')
+        }, 'Full'),
+        h('button', {
+          type: 'button',
+          onClick: () => onChange(PRESETS.readonly.slice()),
+          className: presetClass(currentPreset === 'readonly')
+        }, 'Read-only'),
+        h('span', {
+          className: `px-2 py-0.5 text-xs rounded font-medium ${currentPreset === 'custom' ? 'bg-blue-600 text-white' : 'text-gray-400'}`
+        }, 'Custom')
+      )
+    ),
+    h('div', { className: 'space-y-3 bg-gray-50 dark:bg-gray-900/50 rounded-lg p-3' },
+      ...CAPABILITY_GROUPS.map(group =>
+        h('div', { key: group.label },
+          h('p', { className: 'text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1' }, group.label),
+          h('div', { className: 'grid grid-cols-2 gap-x-4 gap-y-1' },
+            ...group.caps.map(cap =>
+              h('label', {
+                key: cap,
+                className: 'flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer'
+              },
+                h('input', {
+                  type: 'checkbox',
+                  checked: capabilities.includes(cap),
+                  onChange: () => toggleCap(cap),
+                  className: 'rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500'
+                }),
+                CAPABILITY_LABELS[cap] || cap
+              )
+            )
+          )
+        )
+      )
+    )
+  );
+};
+
+export default CapabilityPicker;
@@ -0,0 +1,117 @@
+/**
+ * EventDetectorSettings Component
+ *
+ * Thresholds for the detector events (config.eventDetectors): when a download
+ * counts as stalled, and the free space under which a filesystem fires
+ * diskSpaceLow — globally and per filesystem.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon, Input } from '../common/index.js';
+import ConfigField from './ConfigField.js';
+
+const { createElement: h } = React;
+
+const toNumber = (value) => Math.max(0, parseFloat(value) || 0);
+
+/**
+ * Single per-filesystem override row
+ */
+const MountOverrideRow = ({ override, onChange, onRemove }) => {
+  const update = (field, value) => onChange({ ...override, [field]: value });
+
+  return h('div', { className: 'flex flex-wrap items-center gap-2' },
+    h(Input, {
+      value: override.path || '',
+      onChange: (e) => update('path', e.target.value),
+      placeholder: '/downloads',
+      className: 'flex-1 min-w-[10rem] font-mono'
+    }),
+    h('label', { className: 'flex items-center gap-1 text-sm text-gray-600 dark:text-gray-400' },
+      h(Input, {
+        type: 'number', min: 0, max: 100, value: override.minFreePercent ?? 0,
+        onChange: (e) => update('minFreePercent', Math.min(100, toNumber(e.target.value))),
+        className: 'w-20'
+      }),
+      '%'
+    ),
+    h('label', { className: 'flex items-center gap-1 text-sm text-gray-600 dark:text-gray-400' },
+      h(Input, {
+        type: 'number', min: 0, value: override.minFreeGB ?? 0,
+        onChange: (e) => update('minFreeGB', toNumber(e.target.value)),
+        className: 'w-24'
+      }),
+      'GiB'
+    ),
+    h('button', {
+      type: 'button',
+      onClick: onRemove,
+      className: 'w-7 h-7 flex items-center justify-center rounded-full bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors',
+      title: 'Remove override'
+    }, h(Icon, { name: 'trash', size: 14 }))
+  );
+};
+
+/**
+ * EventDetectorSettings component
+ * @param {Object} detectors - formData.eventDetectors
+ * @param {function} onChange - (detectors) => void
+ */
+const EventDetectorSettings = ({ detectors = {}, onChange }) => {
+  const diskSpace = detectors.diskSpace || {};
+  const overrides = diskSpace.mounts || [];
+
+  const updateDiskSpace = (field, value) => onChange({ ...detectors, diskSpace: { ...diskSpace, [field]: value } });
+  const updateOverride = (index, override) => updateDiskSpace('mounts', overrides.map((o, i) => (i === index ? override : o)));
+
+  return h('div', { className: 'space-y-4' },
+    h(ConfigField, {
+      label: 'Stalled After (minutes)',
+      description: 'Fire downloadStalled when a running download makes no progress for this long. Set to 0 to disable.',
+      value: detectors.stalledMinutes ?? 60,
+      onChange: (value) => onChange({ ...detectors, stalledMinutes: parseInt(value) || 0 }),
+      type: 'number',
+      placeholder: '60'
+    }),
+    h(ConfigField, {
+      label: 'Low Disk Space (% free)',
+      description: 'Fire diskSpaceLow when a filesystem has less free space than this. Set to 0 to disable.',
+      value: diskSpace.minFreePercent ?? 5,
+      onChange: (value) => updateDiskSpace('minFreePercent', Math.min(100, toNumber(value))),
+      type: 'number',
+      placeholder: '5'
+    }),
+    h(ConfigField, {
+      label: 'Low Disk Space (GiB free)',
+      description: 'Also fire when less than this many GiB are free. Set to 0 to disable.',
+      value: diskSpace.minFreeGB ?? 0,
+      onChange: (value) => updateDiskSpace('minFreeGB', toNumber(value)),
+      type: 'number',
+      placeholder: '0'
+    }),
+
+    // Per-filesystem overrides
+    h('div', { className: 'space-y-2' },
+      h('p', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Per-Filesystem Thresholds'),
+      h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+        'Any path on the filesystem, e.g. a download directory. Both values 0 ignores that filesystem.'
+      ),
+      overrides.map((override, index) => h(MountOverrideRow, {
+        key: index,
+        override,
+        onChange: (updated) => updateOverride(index, updated),
+        onRemove: () => updateDiskSpace('mounts', overrides.filter((_, i) => i !== index))
+      })),
+      h('button', {
+        type: 'button',
+        onClick: () => updateDiskSpace('mounts', [...overrides, { path: '', minFreePercent: diskSpace.minFreePercent ?? 5, minFreeGB: 0 }]),
+        className: 'flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 hover:bg-blue-100 dark:hover:bg-blue-900/50 transition-colors'
+      },
+        h(Icon, { name: 'plus', size: 14 }),
+        'Add filesystem'
+      )
+    )
+  );
+};
+
+export default EventDetectorSettings;
@@ -0,0 +1,200 @@
+/**
+ * OidcSettings Component
+ *
+ * OpenID Connect provider settings: client registration, claim names,
+ * auto-provisioning and group → admin/capability mappings.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { AlertBox, Button, IconButton, Input } from '../common/index.js';
+import { SSO_DEFAULT_CAPABILITIES } from '../../utils/capabilities.js';
+import ConfigField from './ConfigField.js';
+import PasswordField from './PasswordField.js';
+import EnableToggle from './EnableToggle.js';
+import CapabilityPicker from './CapabilityPicker.js';
+
+const { createElement: h } = React;
+
+// Keep empty entries while typing; the server trims and drops them
+const parseList = (value) => value.split(',').map(s => s.trimStart());
+
+/**
+ * OidcSettings component
+ * @param {Object} oidc - server.auth.oidc config
+ * @param {function} onChange - (field, value) => void
+ * @param {Object} fromEnv - _meta.fromEnv flags
+ */
+const OidcSettings = ({ oidc = {}, onChange, fromEnv = {} }) => {
+  const mappings = Array.isArray(oidc.groupCapabilities) ? oidc.groupCapabilities : [];
+  const callbackUrl = `${window.location.origin}/api/auth/oidc/callback`;
+
+  const updateMapping = (index, patch) => {
+    onChange('groupCapabilities', mappings.map((m, i) => (i === index ? { ...m, ...patch } : m)));
+  };
+
+  return h('div', { className: 'mt-4 space-y-4' },
+    h(ConfigField, {
+      label: 'Issuer URL',
+      description: 'Provider issuer; discovery is read from <issuer>/.well-known/openid-configuration',
+      value: oidc.issuerUrl || '',
+      onChange: (value) => onChange('issuerUrl', value),
+      placeholder: 'https://auth.example.com/application/o/amutorrent/',
+      required: true,
+      disabled: fromEnv.serverAuthOidcIssuerUrl,
+      fromEnv: fromEnv.serverAuthOidcIssuerUrl
+    }),
+
+    h(ConfigField, {
+      label: 'Client ID',
+      value: oidc.clientId || '',
+      onChange: (value) => onChange('clientId', value),
+      required: true,
+      disabled: fromEnv.serverAuthOidcClientId,
+      fromEnv: fromEnv.serverAuthOidcClientId
+    }),
+
+    h(ConfigField, {
+      label: 'Client Secret',
+      description: 'Leave empty for a public client (PKCE only)',
+      fromEnv: fromEnv.serverAuthOidcClientSecret
+    },
+      h(PasswordField, {
+        value: oidc.clientSecret || '',
+        onChange: (value) => onChange('clientSecret', value),
+        disabled: fromEnv.serverAuthOidcClientSecret
+      })
+    ),
+
+    h(ConfigField, {
+      label: 'Redirect URI',
+      description: 'Register this callback with the provider. Set it explicitly when the app is behind a reverse proxy.',
+      value: oidc.redirectUri || '',
+      onChange: (value) => onChange('redirectUri', value),
+      placeholder: callbackUrl,
+      disabled: fromEnv.serverAuthOidcRedirectUri,
+      fromEnv: fromEnv.serverAuthOidcRedirectUri
+    }),
+
+    h(ConfigField, {
+      label: 'Scopes',
+      description: 'Space-separated; "openid" is always added',
+      value: oidc.scopes ?? 'openid profile email groups',
+      onChange: (value) => onChange('scopes', value)
+    }),
+
+    h(ConfigField, {
+      label: 'Button Label',
+      description: 'Shown on the login page as "Sign in with …"',
+      value: oidc.buttonLabel ?? 'SSO',
+      onChange: (value) => onChange('buttonLabel', value),
+      placeholder: 'SSO'
+    }),
+
+    h(ConfigField, {
+      label: 'Username Claim',
+      description: 'Falls back to preferred_username, then the local part of email',
+      value: oidc.usernameClaim ?? 'preferred_username',
+      onChange: (value) => onChange('usernameClaim', value),
+      placeholder: 'preferred_username'
+    }),
+
+    h(ConfigField, {
+      label: 'Groups Claim',
+      description: 'Claim listing group memberships (dotted paths allowed, e.g. realm_access.roles)',
+      value: oidc.groupsClaim ?? 'groups',
+      onChange: (value) => onChange('groupsClaim', value),
+      placeholder: 'groups'
+    }),
+
+    h(ConfigField, {
+      label: 'Allowed Groups',
+      description: 'Comma-separated. Empty allows anyone the provider authenticates.',
+      value: (oidc.allowedGroups || []).join(', '),
+      onChange: (value) => onChange('allowedGroups', parseList(value)),
+      placeholder: 'media, family'
+    }),
+
+    h(ConfigField, {
+      label: 'Admin Groups',
+      description: 'Comma-separated. When set, the admin flag follows these groups on every login.',
+      value: (oidc.adminGroups || []).join(', '),
+      onChange: (value) => onChange('adminGroups', parseList(value)),
+      placeholder: 'admins'
+    }),
+
+    h(EnableToggle, {
+      label: 'Auto-Provision Users',
+      description: 'Create accounts on first login. Otherwise only existing users can sign in.',
+      enabled: oidc.autoProvision || false,
+      onChange: (enabled) => onChange('autoProvision', enabled)
+    }),
+
+    h(EnableToggle, {
+      label: 'Link Existing Accounts',
+      description: 'Also link local accounts that have a password when the provider reports a verified email. Admin and two-factor accounts are never linked.',
+      enabled: oidc.linkExistingAccounts || false,
+      onChange: (enabled) => onChange('linkExistingAccounts', enabled)
+    }),
+
+    oidc.autoProvision && h(CapabilityPicker, {
+      label: 'Default Capabilities for New Users',
+      capabilities: oidc.defaultCapabilities || SSO_DEFAULT_CAPABILITIES,
+      onChange: (caps) => onChange('defaultCapabilities', caps)
+    }),
+
+    // Group → capability mappings
+    h('div', {},
+      h('div', { className: 'flex items-center justify-between mb-2' },
+        h('div', {},
+          h('label', { className: 'block text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Group Capabilities'),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+            'Users in a mapped group get the union of its capabilities on every login. Users in no mapped group keep their current capabilities.')
+        ),
+        h(Button, {
+          type: 'button',
+          variant: 'secondary',
+          icon: 'plus',
+          iconSize: 14,
+          className: 'flex-shrink-0',
+          onClick: () => onChange('groupCapabilities', [...mappings, { group: '', capabilities: SSO_DEFAULT_CAPABILITIES.slice() }])
+        }, 'Add')
+      ),
+      ...mappings.map((mapping, index) =>
+        h('div', { key: index, className: 'mb-3 p-3 border border-gray-200 dark:border-gray-700 rounded-lg space-y-3' },
+          h('div', { className: 'flex items-center gap-2' },
+            h(Input, {
+              value: mapping.group || '',
+              onChange: (e) => updateMapping(index, { group: e.target.value }),
+              placeholder: 'Group name',
+              className: 'flex-1'
+            }),
+            h(IconButton, {
+              icon: 'trash',
+              variant: 'danger',
+              onClick: () => onChange('groupCapabilities', mappings.filter((_, i) => i !== index)),
+              title: 'Remove mapping'
+            })
+          ),
+          h(CapabilityPicker, {
+            label: 'Capabilities',
+            capabilities: mapping.capabilities || [],
+            onChange: (caps) => updateMapping(index, { capabilities: caps })
+          })
+        )
+      )
+    ),
+
+    h(AlertBox, { type: 'info' },
+      h('div', {},
+        h('p', { className: 'font-medium mb-1' }, 'How OpenID Connect login works:'),
+        h('ul', { className: 'list-disc list-inside space-y-1' },
+          h('li', {}, `Register ${oidc.redirectUri || callbackUrl} as a redirect URI for this client`),
+          h('li', {}, 'Users are matched by their provider subject, or on first login by username'),
+          h('li', {}, 'Password login keeps working for accounts that have a password')
+        )
+      )
+    )
+  );
+};
+
+export default OidcSettings;
@@ -0,0 +1,151 @@
+/**
+ * TwoFactorSetup Component
+ *
+ * TOTP enrollment flow: scan QR code, confirm a code, save recovery codes.
+ * Used from the profile modal and from the login page when the
+ * two-factor policy requires enrollment before sign-in completes.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Input, AlertBox, LoadingSpinner } from '../common/index.js';
+import { copyToClipboard } from '../../utils/clipboard.js';
+
+const { createElement: h, useState, useEffect, useCallback } = React;
+
+/**
+ * Recovery code list with copy/download actions
+ * @param {string[]} codes - Plain recovery codes (shown once)
+ */
+export const RecoveryCodes = ({ codes }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = useCallback(async () => {
+    if (await copyToClipboard(codes.join('\n'))) {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    }
+  }, [codes]);
+
+  const handleDownload = useCallback(() => {
+    const blob = new Blob([`aMuTorrent recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'amutorrent-recovery-codes.txt';
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [codes]);
+
+  return h('div', { className: 'space-y-3' },
+    h(AlertBox, { type: 'warning' },
+      h('p', { className: 'text-sm' }, 'Save these recovery codes somewhere safe. Each code signs you in once if you lose your authenticator. They will not be shown again.')
+    ),
+    h('div', { className: 'grid grid-cols-2 gap-2 bg-gray-50 dark:bg-gray-900/50 rounded-lg p-3' },
+      ...codes.map(code => h('code', { key: code, className: 'text-sm font-mono text-center text-gray-900 dark:text-gray-100' }, code))
+    ),
+    h('div', { className: 'flex gap-2' },
+      h(Button, { type: 'button', variant: 'secondary', icon: copied ? 'check' : 'copy', iconSize: 14, onClick: handleCopy },
+        copied ? 'Copied' : 'Copy'),
+      h(Button, { type: 'button', variant: 'secondary', icon: 'download', iconSize: 14, onClick: handleDownload },
+        'Download')
+    )
+  );
+};
+
+/**
+ * TwoFactorSetup component
+ * @param {function} onComplete - Called with the enable response once the user has saved the recovery codes
+ * @param {function} onCancel - Optional cancel handler
+ */
+const TwoFactorSetup = ({ onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [verifying, setVerifying] = useState(false);
+
+  // Request a fresh secret on mount
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch('/api/auth/2fa/setup', { method: 'POST' });
+        const data = await res.json();
+        if (cancelled) return;
+        if (!data.success) throw new Error(data.message || 'Failed to start two-factor setup');
+        setSetup(data);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleVerify = useCallback(async (e) => {
+    e?.preventDefault();
+    setError('');
+    setVerifying(true);
+    try {
+      const res = await fetch('/api/auth/2fa/enable', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: code.trim() })
+      });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.message || 'Verification failed');
+      setResult(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setVerifying(false);
+    }
+  }, [code]);
+
+  // Step 3: recovery codes
+  if (result) {
+    return h('div', { className: 'space-y-3' },
+      h(RecoveryCodes, { codes: result.recoveryCodes }),
+      h('div', { className: 'flex justify-end' },
+        h(Button, { variant: 'primary', onClick: () => onComplete(result) }, 'I have saved my recovery codes')
+      )
+    );
+  }
+
+  if (!setup) {
+    return error
+      ? h(AlertBox, { type: 'error' }, h('p', {}, error))
+      : h('div', { className: 'py-4 flex justify-center' }, h(LoadingSpinner, { text: 'Preparing two-factor setup...' }));
+  }
+
+  // Steps 1-2: scan, then confirm a code
+  return h('form', { className: 'space-y-3', onSubmit: handleVerify },
+    h('p', { className: 'text-sm text-gray-600 dark:text-gray-400' },
+      'Scan this QR code with an authenticator app (Aegis, Google Authenticator, 1Password...), then enter the 6-digit code it shows.'
+    ),
+    h('div', { className: 'flex justify-center' },
+      h('img', { src: setup.qrCode, alt: 'Two-factor QR code', width: 220, height: 220, className: 'rounded-lg bg-white' })
+    ),
+    h('p', { className: 'text-xs text-center text-gray-500' },
+      'Can\'t scan? Enter this key manually: ',
+      h('code', { className: 'font-mono break-all select-all text-gray-700 dark:text-gray-300' }, setup.secret)
+    ),
+    h(Input, {
+      value: code,
+      onChange: (e) => setCode(e.target.value),
+      placeholder: '123456',
+      inputMode: 'numeric',
+      autoComplete: 'one-time-code',
+      maxLength: 6,
+      className: 'w-full text-center font-mono tracking-widest',
+      autoFocus: true
+    }),
+    error && h(AlertBox, { type: 'error' }, h('p', {}, error)),
+    h('div', { className: 'flex justify-end gap-2' },
+      onCancel && h(Button, { type: 'button', variant: 'secondary', onClick: onCancel }, 'Cancel'),
+      h(Button, { type: 'submit', variant: 'primary', disabled: verifying || code.trim().length !== 6 },
+        verifying ? 'Verifying...' : 'Verify & Enable')
+    )
+  );
+};
+
+export default TwoFactorSetup;
@@ -132,6 +132,16 @@ const UserManagement = ({ currentUsername, onApiKeyChange }) => {
     return data.apiKey;
   }, [fetchUsers, users, currentUsername, onApiKeyChange]);
 
+  // Reset two-factor authentication (lost authenticator)
+  const handleResetTwoFactor = useCallback(async (userId) => {
+    const res = await fetch(`/api/users/${userId}/2fa`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to reset two-factor authentication');
+    }
+    await fetchUsers();
+  }, [fetchUsers]);
+
   if (loading) {
     return h('div', { className: 'py-8 flex justify-center' },
       h(LoadingSpinner, { text: 'Loading users...' })
@@ -189,6 +199,7 @@ const UserManagement = ({ currentUsername, onApiKeyChange }) => {
                   h('span', { className: 'font-medium text-gray-900 dark:text-gray-100' }, user.username),
                   user.disabled && h('span', { className: 'text-xs px-1.5 py-0.5 rounded bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400' }, 'Disabled'),
                   !user.hasPassword && h('span', { className: 'text-xs px-1.5 py-0.5 rounded bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400' }, 'SSO'),
+                  user.totpEnabled && h('span', { className: 'text-xs px-1.5 py-0.5 rounded bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400' }, '2FA'),
                   // Show admin badge on mobile (since Role column is hidden)
                   user.isAdmin && h('span', { className: 'sm:hidden text-xs px-1.5 py-0.5 rounded bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-400' }, 'Admin')
                 )
@@ -249,7 +260,8 @@ const UserManagement = ({ currentUsername, onApiKeyChange }) => {
       user: modal.user,
       onSave: handleSaveUser,
       onClose: () => setModal({ show: false, mode: 'create', user: null }),
-      onRegenerateApiKey: handleRegenerateApiKey
+      onRegenerateApiKey: handleRegenerateApiKey,
+      onResetTwoFactor: handleResetTwoFactor
     }),
 
     // Delete Confirmation Modal
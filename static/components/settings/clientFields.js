@@ -83,6 +83,11 @@ const F = {
     description: `Base path when behind a reverse proxy (e.g., ${example})`,
     placeholder: 'Leave empty if not using a reverse proxy'
   }),
+  torrentStateDir: (type, dirName, example) => ({
+    field: 'torrentStateDir', label: 'Torrent State Directory (Optional)',
+    description: `Path where aMuTorrent can read ${TYPE_LABELS[type]}'s ${dirName}, which holds its copies of the .torrent files. Needed to download .torrent files and to transfer downloads to another instance.`,
+    placeholder: example
+  }),
   categorySync: (extraSentence = '') => ({
     field: 'categorySync', label: 'Category Sync',
     description: `When ON, this instance shares its categories with the central registry and accepts categories pushed from other clients. Turn OFF to keep this instance isolated.${extraSentence ? ' ' + extraSentence : ''}`,
@@ -119,6 +124,7 @@ export const CLIENT_FIELDS = {
     { field: 'username', label: 'Username (Optional)', description: 'Username for HTTP basic authentication (if required)', placeholder: 'Leave empty if not required', hideWhen: form => (form.mode || 'http') !== 'http' },
     { field: 'password', label: 'Password (Optional)', description: 'Password for HTTP basic authentication (if required)', placeholder: 'Leave empty if not required', sensitive: true, hideWhen: form => (form.mode || 'http') !== 'http' },
     F.useSsl('rtorrent', { hideWhen: form => (form.mode || 'http') !== 'http' }),
+    F.torrentStateDir('rtorrent', 'session directory', '/rtorrent/.session'),
     F.categorySync(),
     F.notifications()
   ],
@@ -138,6 +144,7 @@ export const CLIENT_FIELDS = {
     F.reverseProxyPath('/deluge'),
     F.password('deluge'),
     F.useSsl('deluge'),
+    F.torrentStateDir('deluge', 'state directory', '/deluge/config/state'),
     F.categorySync(),
     F.notifications()
   ],
@@ -148,6 +155,7 @@ export const CLIENT_FIELDS = {
     { field: 'username', label: 'Username', description: 'Transmission RPC username', placeholder: 'Enter username' },
     F.password('transmission'),
     F.useSsl('transmission'),
+    F.torrentStateDir('transmission', 'torrents directory', '/transmission/config/torrents'),
     F.categorySync(),
     F.notifications()
   ]
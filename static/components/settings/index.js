@@ -16,3 +16,9 @@ export { default as ClientInstanceCard } from './ClientInstanceCard.js';
 export { default as ClientInstanceModal } from './ClientInstanceModal.js';
 export { ClientFieldsRenderer, CLIENT_FIELDS, TYPE_LABELS, DAEMON_LABELS, TYPE_DEFAULTS } from './clientFields.js';
 export { default as UserManagement } from './UserManagement.js';
+export { default as BandwidthScheduleEditor } from './BandwidthScheduleEditor.js';
+export { default as EventDetectorSettings } from './EventDetectorSettings.js';
+export { default as BackupRestore } from './BackupRestore.js';
+export { default as TwoFactorSetup, RecoveryCodes } from './TwoFactorSetup.js';
+export { default as CapabilityPicker } from './CapabilityPicker.js';
+export { default as OidcSettings } from './OidcSettings.js';
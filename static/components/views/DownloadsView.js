@@ -8,7 +8,7 @@
 
 import React from 'https://esm.sh/react@18.2.0';
 import { Table, ContextMenu, MoreButton, Button, Select, TrackerMultiSelect, IconButton, SelectionModeSection, EmptyState, DownloadMobileCard, MobileStatusTabs, MobileFilterPills, MobileFilterSheet, MobileFilterButton, MobileSortButton, ExpandableSearch, FilterInput, SelectionCheckbox, Tooltip, Icon } from '../common/index.js';
-import { getRowHighlightClass, DEFAULT_SORT_CONFIG, DEFAULT_SECONDARY_SORT_CONFIG, formatTitleCount, buildSpeedColumn, buildSizeColumn, buildFileNameColumn, buildStatusColumn, buildCategoryColumn, buildProgressColumn, buildSourcesColumn, buildAddedAtColumn, buildETAColumn, buildDownloadPathColumn, VIEW_TITLE_STYLES, createCategoryLabelFilter, createTrackerFilter } from '../../utils/index.js';
+import { getRowHighlightClass, DEFAULT_SORT_CONFIG, DEFAULT_SECONDARY_SORT_CONFIG, formatTitleCount, buildSpeedColumn, buildSizeColumn, buildFileNameColumn, buildStatusColumn, buildCategoryColumn, buildProgressColumn, buildSourcesColumn, buildAddedAtColumn, buildETAColumn, buildQueueColumn, buildSpeedLimitsColumn, buildDownloadPathColumn, VIEW_TITLE_STYLES, createCategoryLabelFilter, createTrackerFilter, AMULE_DOWNLOAD_PRIORITY_OPTIONS, AMULE_A4AF_MODE_OPTIONS } from '../../utils/index.js';
 import { itemKey } from '../../utils/itemKey.js';
 import { useViewDeleteModal, useBatchExport, useViewFilters, usePageSelection, useItemActions, useCategoryFilterOptions, useItemContextMenu, useColumnConfig, getSecondarySortConfig, useFileInfoModal, useFileCategoryModal, useFileMoveModal, useFileRenameModal } from '../../hooks/index.js';
 import { useLiveData } from '../../contexts/LiveDataContext.js';
@@ -19,8 +19,11 @@ import { useStickyToolbar } from '../../contexts/StickyHeaderContext.js';
 import { useCapabilities } from '../../hooks/useCapabilities.js';
 import { useWebSocketConnection } from '../../contexts/WebSocketContext.js';
 import { useAddDownload } from '../../contexts/AddDownloadContext.js';
+import TrackerReplaceModal from '../modals/TrackerReplaceModal.js';
+import TransferModal from '../modals/TransferModal.js';
+import ItemSpeedLimitsModal from '../modals/ItemSpeedLimitsModal.js';
 
-const { createElement: h, useMemo, useCallback, useEffect } = React;
+const { createElement: h, useState, useMemo, useCallback, useEffect } = React;
 
 /**
  * Downloads view component - now uses contexts directly
@@ -30,7 +33,7 @@ const DownloadsView = () => {
   // CONTEXT DATA
   // ============================================================================
   const { dataItems, dataLoaded: liveDataLoaded } = useLiveData();
-  const { dataCategories } = useStaticData();
+  const { dataCategories, instances, getCapabilities } = useStaticData();
   const actions = useActions();
   const { theme } = useTheme();
   const { hasCap } = useCapabilities();
@@ -46,6 +49,15 @@ const DownloadsView = () => {
   // Ownership check: user can mutate item if they have edit_all_downloads or own it
   const canMutateItem = useCallback((item) => hasCap('edit_all_downloads') || item.ownedByMe !== false, [hasCap]);
 
+  const [showTrackerReplace, setShowTrackerReplace] = useState(false);
+  const [transferItems, setTransferItems] = useState(null);
+  const [speedLimitItems, setSpeedLimitItems] = useState(null);
+
+  // Transfers need a second connected BitTorrent instance to move to
+  const canTransfer = useMemo(() =>
+    hasCap('edit_downloads') && Object.values(instances).filter(i => i.connected && i.networkType === 'bittorrent').length > 1,
+  [hasCap, instances]);
+
   const dataLoaded = { downloads: liveDataLoaded.items };
 
   // ============================================================================
@@ -167,7 +179,7 @@ const DownloadsView = () => {
   });
 
   // Batch export with status feedback
-  const { batchCopyStatus, handleBatchExport } = useBatchExport({
+  const { batchCopyStatus, handleBatchExport, zipExportStatus, handleZipExport } = useBatchExport({
     selectedFiles,
     dataArray: downloads
   });
@@ -180,16 +192,42 @@ const DownloadsView = () => {
     handlePause,
     handleResume,
     handleStop,
+    handleRecheck,
+    handleQueueMove,
+    handleForceStart,
     handleCopyLink,
     handleBatchPause,
     handleBatchResume,
-    handleBatchStop
+    handleBatchStop,
+    handleBatchRecheck,
+    handleBatchQueueMove,
+    handleBatchForceStart,
+    handleBatchSetDownloadPriority,
+    handleBatchSwapA4AF,
+    handleBatchReannounce,
+    getSelectedBittorrentItems,
+    getSelectedSpeedLimitItems
   } = useItemActions({
     dataArray: downloads,
     selectedFiles,
     getSelectedHashes
   });
 
+  // Queue, aMule priority and per-item speed limit capabilities present in the selection
+  const selectedQueueCaps = useMemo(() => {
+    const caps = { queue: false, forceStart: false, ed2kPriority: false, a4af: false, itemSpeedLimits: false };
+    downloads.forEach(d => {
+      if (!selectedFiles.has(itemKey(d.instanceId, d.hash))) return;
+      const instanceCaps = getCapabilities(d.instanceId);
+      caps.queue = caps.queue || !!instanceCaps.queue;
+      caps.forceStart = caps.forceStart || !!instanceCaps.forceStart;
+      caps.ed2kPriority = caps.ed2kPriority || !!instanceCaps.ed2kPriority;
+      caps.a4af = caps.a4af || !!instanceCaps.a4af;
+      caps.itemSpeedLimits = caps.itemSpeedLimits || !!instanceCaps.itemSpeedLimits;
+    });
+    return caps;
+  }, [downloads, selectedFiles, getCapabilities]);
+
   const handleShowInfo = useCallback((download) => {
     openFileInfo(download.hash, download.instanceId);
   }, [openFileInfo]);
@@ -224,6 +262,11 @@ const DownloadsView = () => {
     onPause: handlePause,
     onResume: handleResume,
     onStop: handleStop,
+    onRecheck: handleRecheck,
+    onQueueMove: handleQueueMove,
+    onForceStart: handleForceStart,
+    onTransfer: canTransfer ? (item) => setTransferItems([{ fileHash: item.hash, clientType: item.client, instanceId: item.instanceId, fileName: item.name }]) : null,
+    onSetSpeedLimits: (item) => setSpeedLimitItems([{ fileHash: item.hash, clientType: item.client, instanceId: item.instanceId, fileName: item.name, downloadLimit: item.downloadLimit, uploadLimit: item.uploadLimit }]),
     onRename: openRenameModal,
     onCopyLink: handleCopyLink,
     copiedHash,
@@ -250,6 +293,8 @@ const DownloadsView = () => {
     buildProgressColumn({ theme }),
     buildETAColumn(),
     buildSizeColumn(),
+    buildQueueColumn(),
+    buildSpeedLimitsColumn(),
     buildSourcesColumn({ onClick: handleShowInfo, disabled: selectionMode }),
     buildCategoryColumn({
       unifiedFilter,
@@ -271,7 +316,7 @@ const DownloadsView = () => {
     setShowConfig,
     ColumnConfigElement
   } = useColumnConfig('downloads', columns, {
-    defaultHidden: ['size', 'downloadPath'],
+    defaultHidden: ['size', 'queuePosition', 'speedLimits', 'downloadPath'],
     defaultSecondarySort: DEFAULT_SECONDARY_SORT_CONFIG['downloads'],
     defaultPrimarySort: DEFAULT_SORT_CONFIG['downloads'],
     onSortChange
@@ -372,6 +417,12 @@ const DownloadsView = () => {
           options: trackerOptions,
           title: 'Filter by tracker'
         }),
+        showTrackerFilter && hasCap('edit_downloads') && h(IconButton, {
+          key: 'tracker-replace',
+          icon: 'edit',
+          onClick: () => setShowTrackerReplace(true),
+          title: 'Replace tracker URL'
+        }),
         hasAnyMutationCap && h(Button, {
           key: 'select',
           variant: selectionMode ? 'danger' : 'purple',
@@ -486,9 +537,33 @@ const DownloadsView = () => {
           )
         : h(Button, { variant: 'secondary', onClick: handleBatchStop, icon: 'stop', iconSize: 14 }, 'Stop')
       ),
+      hasCap('pause_resume') && selectedNetworkTypes.has('bittorrent') && h(Button, { variant: 'secondary', onClick: handleBatchRecheck, icon: 'fileCheck', iconSize: 14 }, 'Recheck'),
+      hasCap('pause_resume') && selectedQueueCaps.forceStart && h(Button, { variant: 'secondary', onClick: handleBatchForceStart, icon: 'zap', iconSize: 14 }, 'Force Start'),
+      hasCap('edit_downloads') && selectedQueueCaps.queue && h('div', { className: 'flex gap-1' },
+        h(IconButton, { onClick: () => handleBatchQueueMove('top'), icon: 'chevronUp', iconSize: 14, title: 'Queue: Move to Top' }),
+        h(IconButton, { onClick: () => handleBatchQueueMove('up'), icon: 'arrowUp', iconSize: 14, title: 'Queue: Move Up' }),
+        h(IconButton, { onClick: () => handleBatchQueueMove('down'), icon: 'arrowDown', iconSize: 14, title: 'Queue: Move Down' }),
+        h(IconButton, { onClick: () => handleBatchQueueMove('bottom'), icon: 'chevronDown', iconSize: 14, title: 'Queue: Move to Bottom' })
+      ),
+      hasCap('edit_downloads') && selectedQueueCaps.ed2kPriority && h(Select, {
+        value: '',
+        onChange: (e) => e.target.value && handleBatchSetDownloadPriority(e.target.value),
+        options: [{ value: '', label: 'Priority…' }, ...AMULE_DOWNLOAD_PRIORITY_OPTIONS],
+        title: 'Set download priority (aMule)'
+      }),
+      hasCap('edit_downloads') && selectedQueueCaps.a4af && h(Select, {
+        value: '',
+        onChange: (e) => e.target.value && handleBatchSwapA4AF(e.target.value),
+        options: [{ value: '', label: 'A4AF…' }, ...AMULE_A4AF_MODE_OPTIONS],
+        title: 'Swap Asked-For-Another-File sources (aMule)'
+      }),
+      hasCap('edit_downloads') && selectedQueueCaps.itemSpeedLimits && h(Button, { variant: 'secondary', onClick: () => setSpeedLimitItems(getSelectedSpeedLimitItems()), icon: 'activity', iconSize: 14 }, 'Speed Limits'),
+      hasCap('edit_downloads') && selectedNetworkTypes.has('bittorrent') && h(Button, { variant: 'secondary', onClick: handleBatchReannounce, icon: 'refresh', iconSize: 14 }, 'Reannounce'),
+      canTransfer && selectedNetworkTypes.has('bittorrent') && h(Button, { variant: 'secondary', onClick: () => setTransferItems(getSelectedBittorrentItems()), icon: 'folderSync', iconSize: 14 }, 'Transfer to...'),
       hasCap('assign_categories') && h(Button, { variant: 'orange', onClick: handleBatchSetCategory, icon: 'folder', iconSize: 14 }, 'Edit Category'),
       hasCap('edit_downloads') && h(Button, { variant: 'cyan', onClick: handleBatchMove, icon: 'folderOpen', iconSize: 14 }, 'Move to...'),
       h(Button, { variant: batchCopyStatus === 'success' ? 'success' : 'purple', onClick: handleBatchExport, disabled: batchCopyStatus === 'success', icon: batchCopyStatus === 'success' ? 'check' : 'share', iconSize: 14 }, batchCopyStatus === 'success' ? 'Copied!' : 'Export Links'),
+      h(Button, { variant: zipExportStatus === 'error' ? 'danger' : 'purple', onClick: handleZipExport, disabled: zipExportStatus === 'loading', icon: 'download', iconSize: 14, title: '.torrent files and ED2K links of the selection as a zip' }, zipExportStatus === 'loading' ? 'Exporting...' : zipExportStatus === 'error' ? 'Export Failed' : 'Export Zip'),
       hasCap('remove_downloads') && h(Button, { variant: 'danger', onClick: handleBatchDeleteClick, icon: 'trash', iconSize: 14 }, 'Delete')
     ),
 
@@ -505,6 +580,23 @@ const DownloadsView = () => {
 
     DeleteModalElement,
 
+    h(TrackerReplaceModal, {
+      show: showTrackerReplace,
+      onClose: () => setShowTrackerReplace(false)
+    }),
+
+    h(TransferModal, {
+      show: !!transferItems,
+      items: transferItems || [],
+      onClose: () => setTransferItems(null)
+    }),
+
+    h(ItemSpeedLimitsModal, {
+      show: !!speedLimitItems,
+      items: speedLimitItems || [],
+      onClose: () => setSpeedLimitItems(null)
+    }),
+
     // Mobile filter sheet
     h(MobileFilterSheet, {
       show: mobileFilters.showFilterSheet,
@@ -1,12 +1,15 @@
 /**
  * Login View
- * Full-page login form for authentication
+ * Full-page login form for authentication, followed by the two-factor
+ * code (or enrollment) step when the account requires it. Shows a
+ * "Sign in with ..." button when OpenID Connect is configured.
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 const { createElement: h, useState, useEffect, useRef, useCallback } = React;
 import { useAuth } from '../../contexts/AuthContext.js';
 import { Icon, Button, Input } from '../common/index.js';
+import { TwoFactorSetup } from '../settings/index.js';
 
 function formatCountdown(seconds) {
   if (seconds >= 60) {
@@ -22,14 +25,16 @@ export default function LoginView() {
   const [password, setPassword] = useState('');
   const [rememberMe, setRememberMe] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [code, setCode] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [pendingDelay, setPendingDelay] = useState(0);
   const [countdown, setCountdown] = useState(0);
   const [retryCountdown, setRetryCountdown] = useState(0);
+  const [oidcError, setOidcError] = useState(null);
   const countdownRef = useRef(null);
   const retryRef = useRef(null);
 
-  const { login, error, clearError, loginDelay, hasUsers } = useAuth();
+  const { login, verifyTwoFactor, cancelTwoFactor, twoFactorStep, error, clearError, loginDelay, hasUsers, oidc } = useAuth();
 
   // Countdown during submission (progressive delay)
   useEffect(() => {
@@ -76,11 +81,27 @@ export default function LoginView() {
     }
   }, [loginDelay]);
 
+  // OpenID Connect callback failures come back as ?oidcError=...
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const message = params.get('oidcError');
+    if (message) {
+      setOidcError(message);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, []);
+
   const handleClearError = useCallback(() => {
     clearError();
+    setOidcError(null);
     setRetryCountdown(0);
   }, [clearError]);
 
+  const handleOidcLogin = () => {
+    setIsSubmitting(true);
+    window.location.href = `/api/auth/oidc/login${rememberMe ? '?rememberMe=1' : ''}`;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -98,7 +119,12 @@ export default function LoginView() {
 
     const result = await login(hasUsers ? username : null, password, rememberMe);
 
-    if (result.success) {
+    if (result.success && result.twoFactorStep) {
+      // Second step is rendered from twoFactorStep
+      setIsSubmitting(false);
+      setCountdown(0);
+      setPendingDelay(0);
+    } else if (result.success) {
       // Redirect to home
       window.location.href = '/';
     } else {
@@ -112,8 +138,79 @@ export default function LoginView() {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setRetryCountdown(0);
+
+    if (pendingDelay > 0) {
+      setCountdown(pendingDelay);
+    }
+
+    const result = await verifyTwoFactor(code.trim());
+
+    if (result.success) {
+      window.location.href = '/';
+    } else {
+      setIsSubmitting(false);
+      setCountdown(0);
+      setCode('');
+      setPendingDelay(result.retryDelay || 0);
+
+      if (result.retryAfter > 0) {
+        setRetryCountdown(result.retryAfter);
+      }
+    }
+  };
+
+  const handleBackToSignIn = async () => {
+    await cancelTwoFactor();
+    setCode('');
+    setPassword('');
+  };
+
   const isFormDisabled = isSubmitting || retryCountdown > 0;
 
+  // Shared error banner (also shown on page load when IP is blocked)
+  const displayError = error || oidcError;
+  const errorBanner = (displayError || retryCountdown > 0) && h('div', { className: 'bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4' },
+    h('div', { className: 'flex items-start' },
+      h(Icon, { name: 'warning', size: 20, className: 'text-red-600 dark:text-red-400 mt-0.5 mr-3 flex-shrink-0' }),
+      h('div', { className: 'flex-1' },
+        h('p', { className: 'text-sm text-red-800 dark:text-red-200 font-medium' },
+          displayError || 'Too many failed attempts.'
+        ),
+        retryCountdown > 0 && h('p', { className: 'text-sm text-red-600 dark:text-red-300 mt-1' },
+          `Try again in ${formatCountdown(retryCountdown)}`
+        )
+      ),
+      h('button', {
+        type: 'button',
+        onClick: handleClearError,
+        className: 'text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200 ml-3'
+      },
+        h(Icon, { name: 'close', size: 16 })
+      )
+    )
+  );
+
+  const backLink = h('button', {
+    type: 'button',
+    onClick: handleBackToSignIn,
+    className: 'w-full text-center text-sm text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'
+  }, 'Back to sign in');
+
+  const subtitle = twoFactorStep === 'verify'
+    ? 'Enter the code from your authenticator app'
+    : twoFactorStep === 'setup'
+      ? 'Two-factor authentication is required for your account'
+      : hasUsers ? 'Sign in with your credentials' : 'Enter your password to continue';
+
   return h('div', {
     className: 'min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 px-4',
     style: { minHeight: '100dvh' }
@@ -127,35 +224,58 @@ export default function LoginView() {
           )
         ),
         h('h2', { className: 'text-3xl font-bold text-gray-900 dark:text-white' }, 'aMuTorrent'),
-        h('p', { className: 'mt-2 text-sm text-gray-600 dark:text-gray-400' },
-          hasUsers ? 'Sign in with your credentials' : 'Enter your password to continue'
+        h('p', { className: 'mt-2 text-sm text-gray-600 dark:text-gray-400' }, subtitle)
+      ),
+
+      // Two-factor enrollment (policy requires 2FA and the account has none yet)
+      twoFactorStep === 'setup' && h('div', { className: 'bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8 space-y-6' },
+        h(TwoFactorSetup, { onComplete: () => { window.location.href = '/'; } }),
+        backLink
+      ),
+
+      // Two-factor code form
+      twoFactorStep === 'verify' && h('div', { className: 'bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8' },
+        h('form', { className: 'space-y-6', onSubmit: handleVerify },
+          errorBanner,
+          h('div', {},
+            h('label', {
+              htmlFor: 'code',
+              className: 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2'
+            }, 'Verification code'),
+            h(Input, {
+              id: 'code',
+              value: code,
+              onChange: (e) => setCode(e.target.value),
+              className: 'w-full text-center font-mono tracking-widest',
+              placeholder: '123456',
+              autoFocus: true,
+              autoComplete: 'one-time-code',
+              disabled: isFormDisabled
+            }),
+            h('p', { className: 'mt-2 text-xs text-gray-500 dark:text-gray-400' },
+              'Lost your device? Enter one of your recovery codes instead.'
+            )
+          ),
+          h(Button, {
+            type: 'submit',
+            variant: 'primary',
+            disabled: isFormDisabled || !code.trim(),
+            className: 'w-full justify-center py-3'
+          },
+            isSubmitting
+              ? (countdown > 0 ? `Verifying... ${countdown}s` : 'Verifying...')
+              : retryCountdown > 0
+                ? `Wait ${formatCountdown(retryCountdown)}`
+                : 'Verify'
+          ),
+          backLink
         )
       ),
 
       // Login Form
-      h('div', { className: 'bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8' },
+      !twoFactorStep && h('div', { className: 'bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8' },
         h('form', { className: 'space-y-6', onSubmit: handleSubmit },
-          // Error Message (also shown on page load when IP is blocked)
-          (error || retryCountdown > 0) && h('div', { className: 'bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4' },
-            h('div', { className: 'flex items-start' },
-              h(Icon, { name: 'warning', size: 20, className: 'text-red-600 dark:text-red-400 mt-0.5 mr-3 flex-shrink-0' }),
-              h('div', { className: 'flex-1' },
-                h('p', { className: 'text-sm text-red-800 dark:text-red-200 font-medium' },
-                  error || 'Too many failed attempts.'
-                ),
-                retryCountdown > 0 && h('p', { className: 'text-sm text-red-600 dark:text-red-300 mt-1' },
-                  `Try again in ${formatCountdown(retryCountdown)}`
-                )
-              ),
-              h('button', {
-                type: 'button',
-                onClick: handleClearError,
-                className: 'text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200 ml-3'
-              },
-                h(Icon, { name: 'close', size: 16 })
-              )
-            )
-          ),
+          errorBanner,
 
           // Username Field (only when multi-user mode is active)
           hasUsers && h('div', {},
@@ -251,6 +371,23 @@ export default function LoginView() {
                 ? `Wait ${formatCountdown(retryCountdown)}`
                 : 'Sign in'
           )
+        ),
+
+        // OpenID Connect
+        oidc && h('div', { className: 'mt-6 space-y-6' },
+          h('div', { className: 'flex items-center gap-3' },
+            h('div', { className: 'flex-1 border-t border-gray-200 dark:border-gray-700' }),
+            h('span', { className: 'text-xs uppercase text-gray-400 dark:text-gray-500' }, 'or'),
+            h('div', { className: 'flex-1 border-t border-gray-200 dark:border-gray-700' })
+          ),
+          h(Button, {
+            type: 'button',
+            variant: 'secondary',
+            icon: 'externalLink',
+            onClick: handleOidcLogin,
+            disabled: isFormDisabled,
+            className: 'w-full justify-center py-3'
+          }, `Sign in with ${oidc.label}`)
         )
       ),
 
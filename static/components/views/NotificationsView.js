@@ -1,13 +1,13 @@
 /**
  * NotificationsView Component
  *
- * Page for configuring Apprise notification services and events
+ * Page for configuring notification services, events and quiet hours
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import { LoadingSpinner, AlertBox, Icon, Button } from '../common/index.js';
 import { ConfigSection, EnableToggle, TestResultIndicator } from '../settings/index.js';
-import { EventsTable, ServiceCard, ServiceModal } from '../notifications/index.js';
+import { EventsTable, QuietHoursEditor, ServiceCard, ServiceModal, TemplateEditor, WebhooksSection } from '../notifications/index.js';
 import { useNotifications } from '../../hooks/useNotifications.js';
 
 const { createElement: h, useState, useEffect, useCallback } = React;
@@ -24,6 +24,7 @@ const NotificationsView = () => {
     loading,
     error,
     testResult,
+    templateInfo,
     fetchStatus,
     fetchConfig,
     saveConfig,
@@ -32,6 +33,9 @@ const NotificationsView = () => {
     updateService,
     deleteService,
     testServices,
+    flushService,
+    fetchTemplateInfo,
+    previewTemplate,
     clearError,
     clearTestResult
   } = useNotifications();
@@ -49,6 +53,7 @@ const NotificationsView = () => {
     fetchStatus();
     fetchConfig();
     fetchServices();
+    fetchTemplateInfo();
   }, []);
 
   // Initialize local config when data loads
@@ -77,6 +82,20 @@ const NotificationsView = () => {
     clearTestResult();
   }, [clearTestResult]);
 
+  // Handle quiet hours edits
+  const handleQuietHoursChange = useCallback((quietHours) => {
+    setLocalConfig(prev => ({ ...prev, quietHours }));
+    setHasChanges(true);
+    setSaveSuccess(false);
+  }, []);
+
+  // Handle global template edits
+  const handleTemplatesChange = useCallback((templates) => {
+    setLocalConfig(prev => ({ ...prev, templates }));
+    setHasChanges(true);
+    setSaveSuccess(false);
+  }, []);
+
   // Save configuration
   const handleSaveConfig = async () => {
     try {
@@ -129,15 +148,26 @@ const NotificationsView = () => {
   };
 
   // Test service
+  // (reload services afterwards to show their updated delivery status)
   const handleTestService = async (id) => {
     clearTestResult();
-    await testServices(id);
+    await testServices(id).catch(() => {});
+    fetchServices().catch(() => {});
+  };
+
+  // Send a service's held notifications now
+  // (reload services afterwards to show the emptied queue and delivery status)
+  const handleFlushService = async (id) => {
+    clearTestResult();
+    await flushService(id).catch(() => {});
+    fetchServices().catch(() => {});
   };
 
   // Test all services
   const handleTestAll = async () => {
     clearTestResult();
-    await testServices(null);
+    await testServices(null).catch(() => {});
+    fetchServices().catch(() => {});
   };
 
   // Show loading state
@@ -162,29 +192,28 @@ const NotificationsView = () => {
   return h('div', { className: 'w-full lg:w-3/4 mx-auto px-2 py-4 sm:px-4' },
     // Master enable/disable section
     h(ConfigSection, {
-      title: 'Apprise Notifications',
+      title: 'Notifications',
       description: 'Send push notifications when download events occur',
       defaultOpen: true
     },
       h(EnableToggle, {
-        enabled: isEnabled && appriseAvailable,
+        enabled: isEnabled,
         onChange: handleEnabledChange,
         label: 'Enable Notifications',
-        description: appriseAvailable && appriseStatus?.version ? appriseStatus.version : null,
-        disabled: !appriseAvailable
+        description: appriseAvailable && appriseStatus?.version ? `Apprise fallback: ${appriseStatus.version}` : null
       }),
 
-      // Apprise not available warning
-      appriseStatus && !appriseAvailable && h(AlertBox, { type: 'error', className: 'mt-4' },
+      // Apprise is optional: only custom Apprise URLs and the fallback need it
+      isEnabled && appriseStatus && !appriseAvailable && h(AlertBox, { type: 'info', className: 'mt-4' },
         h('p', {},
-          'Apprise CLI not installed. Install with: ',
-          h('code', { className: 'bg-red-100 dark:bg-red-900/50 px-1.5 py-0.5 rounded text-xs' }, 'pipx install apprise'),
+          'Services are delivered by the built-in transports. Custom Apprise URLs and the Apprise fallback need the Apprise CLI: ',
+          h('code', { className: 'bg-blue-100 dark:bg-blue-900/50 px-1.5 py-0.5 rounded text-xs' }, 'pipx install apprise'),
           ' or ',
-          h('code', { className: 'bg-red-100 dark:bg-red-900/50 px-1.5 py-0.5 rounded text-xs' }, 'brew install apprise')
+          h('code', { className: 'bg-blue-100 dark:bg-blue-900/50 px-1.5 py-0.5 rounded text-xs' }, 'brew install apprise')
         )
       ),
 
-      !isEnabled && appriseAvailable && h(AlertBox, { type: 'info', className: 'mt-4' },
+      !isEnabled && h(AlertBox, { type: 'info', className: 'mt-4' },
         h('p', {}, 'Enable notifications to configure services and events.')
       )
     ),
@@ -201,6 +230,33 @@ const NotificationsView = () => {
       })
     ),
 
+    // Quiet hours (only when enabled)
+    isEnabled && h(ConfigSection, {
+      title: 'Quiet Hours',
+      description: 'Hold notifications overnight and send them as one digest afterwards',
+      defaultOpen: localConfig.quietHours?.enabled === true
+    },
+      h(QuietHoursEditor, {
+        quietHours: localConfig.quietHours || {},
+        onChange: handleQuietHoursChange,
+        events: localConfig.events
+      })
+    ),
+
+    // Message templates (only when enabled)
+    isEnabled && h(ConfigSection, {
+      title: 'Message Templates',
+      description: 'Customize notification titles and bodies; services can override them',
+      defaultOpen: false
+    },
+      h(TemplateEditor, {
+        templates: localConfig.templates || {},
+        onChange: handleTemplatesChange,
+        templateInfo,
+        onPreview: previewTemplate
+      })
+    ),
+
     // Services section (only when enabled)
     isEnabled && h(ConfigSection, {
       title: 'Notification Services',
@@ -217,6 +273,7 @@ const NotificationsView = () => {
             onDelete: handleDeleteService,
             onTest: handleTestService,
             onToggle: handleToggleService,
+            onFlush: handleFlushService,
             loading
           })
         ),
@@ -237,6 +294,15 @@ const NotificationsView = () => {
       )
     ),
 
+    // Webhooks (independent of notifications, saved immediately)
+    h(ConfigSection, {
+      title: 'Webhooks',
+      description: 'POST the event JSON to your own endpoints, signed with HMAC-SHA256',
+      defaultOpen: false
+    },
+      h(WebhooksSection)
+    ),
+
     // Test result
     testResult && h('div', { className: 'mt-4' },
       h(TestResultIndicator, {
@@ -300,7 +366,12 @@ const NotificationsView = () => {
       isOpen: modalOpen,
       onClose: () => setModalOpen(false),
       onSave: handleSaveService,
-      editService: editingService
+      editService: editingService,
+      appriseAvailable,
+      templateInfo,
+      globalTemplates: localConfig.templates || {},
+      enabledEvents: localConfig.events,
+      onPreview: previewTemplate
     }),
 
     // Delete confirmation modal
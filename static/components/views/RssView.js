@@ -0,0 +1,216 @@
+/**
+ * RssView Component
+ *
+ * Page for managing RSS/Atom feed subscriptions. Each feed has filter rules
+ * that pick which new items are added automatically, and to which client.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { LoadingSpinner, AlertBox, Icon } from '../common/index.js';
+import { ConfigSection } from '../settings/index.js';
+import { FeedCard, FeedModal, FeedItemsModal } from '../rss/index.js';
+import { useRss } from '../../hooks/useRss.js';
+
+const { createElement: h, useState, useEffect } = React;
+
+// Refresh feed state (last checked / errors) while the view is open
+const FEEDS_REFRESH_INTERVAL = 30000;
+
+/**
+ * RssView component
+ */
+const RssView = () => {
+  const {
+    feeds,
+    loading,
+    refreshingId,
+    error,
+    fetchFeeds,
+    addFeed,
+    updateFeed,
+    deleteFeed,
+    refreshFeed,
+    fetchItems,
+    clearError
+  } = useRss();
+
+  // Local UI state
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingFeed, setEditingFeed] = useState(null);
+  const [itemsFeed, setItemsFeed] = useState(null);
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [refreshResult, setRefreshResult] = useState(null);
+
+  // Load feeds on mount and keep them current
+  useEffect(() => {
+    fetchFeeds().catch(() => {});
+    const timer = setInterval(() => fetchFeeds().catch(() => {}), FEEDS_REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Open add modal
+  const handleAddFeed = () => {
+    setEditingFeed(null);
+    setModalOpen(true);
+  };
+
+  // Open edit modal
+  const handleEditFeed = (feed) => {
+    setEditingFeed(feed);
+    setModalOpen(true);
+  };
+
+  // Save feed (add or update) — errors are shown inside the modal
+  const handleSaveFeed = async ({ id, ...feedData }) => {
+    if (id) {
+      await updateFeed(id, feedData);
+    } else {
+      await addFeed(feedData);
+    }
+  };
+
+  // Toggle feed enabled state
+  const handleToggleFeed = async (id, enabled) => {
+    try {
+      await updateFeed(id, { enabled });
+    } catch (err) {
+      // Error is handled by hook
+    }
+  };
+
+  // Check a feed now
+  const handleRefreshFeed = async (id) => {
+    setRefreshResult(null);
+    try {
+      const result = await refreshFeed(id);
+      const name = result.feed?.name || 'Feed';
+      setRefreshResult(result.error
+        ? { type: 'error', message: `${name}: ${result.error}` }
+        : { type: 'success', message: `${name}: ${result.items} items, ${result.added} added` });
+    } catch (err) {
+      // Error is handled by hook
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (deleteConfirm) {
+      try {
+        await deleteFeed(deleteConfirm);
+      } catch (err) {
+        // Error is handled by hook
+      }
+      setDeleteConfirm(null);
+    }
+  };
+
+  // Show loading state
+  if (!feeds) {
+    if (error) {
+      return h('div', { className: 'p-4' },
+        h(AlertBox, { type: 'error' },
+          h('p', {}, 'Failed to load RSS feeds: ', error)
+        )
+      );
+    }
+    return h('div', { className: 'flex items-center justify-center h-64' },
+      h(LoadingSpinner, { text: 'Loading feeds...' })
+    );
+  }
+
+  return h('div', { className: 'w-full lg:w-3/4 mx-auto px-2 py-4 sm:px-4' },
+    h(ConfigSection, {
+      title: 'RSS Feeds',
+      description: 'Watch feeds and automatically add new items that match your rules',
+      defaultOpen: true
+    },
+      h('div', { className: 'grid grid-cols-1 md:grid-cols-2 gap-4 mb-4' },
+        feeds.map(feed =>
+          h(FeedCard, {
+            key: feed.id,
+            feed,
+            onEdit: handleEditFeed,
+            onDelete: setDeleteConfirm,
+            onRefresh: handleRefreshFeed,
+            onShowItems: setItemsFeed,
+            onToggle: handleToggleFeed,
+            refreshing: refreshingId === feed.id,
+            loading
+          })
+        ),
+
+        // Add feed card
+        h('button', {
+          onClick: handleAddFeed,
+          disabled: loading,
+          className: 'border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg p-6 flex flex-col items-center justify-center gap-2 text-gray-500 dark:text-gray-400 hover:border-blue-500 dark:hover:border-blue-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/10 transition-colors md:min-h-[160px] disabled:opacity-50 disabled:cursor-not-allowed'
+        },
+          h(Icon, { name: 'plus', size: 24 }),
+          h('span', { className: 'text-sm font-medium' }, 'Add Feed')
+        )
+      ),
+
+      feeds.length === 0 && h(AlertBox, { type: 'info', className: 'mb-4' },
+        h('p', {}, 'No feeds configured. Add a feed and at least one rule to start downloading automatically.')
+      )
+    ),
+
+    // Refresh result
+    refreshResult && h(AlertBox, { type: refreshResult.type, className: 'mt-4' },
+      h('p', {}, refreshResult.message)
+    ),
+
+    // Error message
+    error && h(AlertBox, { type: 'error', className: 'mt-4' },
+      h('div', { className: 'flex items-center justify-between gap-2' },
+        h('p', {}, error),
+        h('button', { onClick: clearError, className: 'text-sm underline' }, 'Dismiss')
+      )
+    ),
+
+    // Feed modal
+    h(FeedModal, {
+      isOpen: modalOpen,
+      onClose: () => setModalOpen(false),
+      onSave: handleSaveFeed,
+      editFeed: editingFeed
+    }),
+
+    // Items modal
+    h(FeedItemsModal, {
+      feed: itemsFeed,
+      onClose: () => setItemsFeed(null),
+      fetchItems
+    }),
+
+    // Delete confirmation modal
+    deleteConfirm && h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50',
+      onClick: () => setDeleteConfirm(null)
+    },
+      h('div', {
+        className: 'w-full max-w-sm bg-white dark:bg-gray-800 rounded-xl shadow-xl p-6',
+        onClick: (e) => e.stopPropagation()
+      },
+        h('h3', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2' },
+          'Delete Feed?'
+        ),
+        h('p', { className: 'text-gray-600 dark:text-gray-400 mb-6' },
+          'The feed, its rules and its item history will be removed. Downloads already added are not affected.'
+        ),
+        h('div', { className: 'flex gap-3 justify-end' },
+          h('button', {
+            onClick: () => setDeleteConfirm(null),
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors'
+          }, 'Cancel'),
+          h('button', {
+            onClick: confirmDelete,
+            disabled: loading,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 transition-colors'
+          }, 'Delete')
+        )
+      )
+    )
+  );
+};
+
+export default RssView;
@@ -14,6 +14,7 @@ import { useSettingsFormData } from '../../hooks/useSettingsFormData.js';
 import { useClientManagement } from '../../hooks/useClientManagement.js';
 import { useAppState } from '../../contexts/AppStateContext.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { useLiveData } from '../../contexts/LiveDataContext.js';
 import { LoadingSpinner, AlertBox, IconButton, Input, Select, Button, Icon, Portal } from '../common/index.js';
 import DirectoryBrowserModal from '../modals/DirectoryBrowserModal.js';
 import SharedDirsModal from '../modals/SharedDirsModal.js';
@@ -29,19 +30,29 @@ import {
   IntegrationConfigInfo,
   ClientInstanceCard,
   ClientInstanceModal,
-  UserManagement
+  UserManagement,
+  BandwidthScheduleEditor,
+  EventDetectorSettings,
+  BackupRestore,
+  CapabilityPicker,
+  OidcSettings
 } from '../settings/index.js';
 import { useAuth } from '../../contexts/AuthContext.js';
-import { CAPABILITY_LABELS, CAPABILITY_GROUPS, PRESETS, SSO_DEFAULT_CAPABILITIES, detectPreset } from '../../utils/capabilities.js';
+import { SSO_DEFAULT_CAPABILITIES } from '../../utils/capabilities.js';
 import { hasTestErrors as checkTestErrors, checkResultsForErrors } from '../../utils/testHelpers.js';
 import { VIEW_TITLE_STYLES } from '../../utils/index.js';
 
+// Optional bytes/s limit ↔ KB/s input (empty = not set)
+const toKBField = (bytes) => (bytes === null || bytes === undefined ? '' : Math.round(bytes / 1024));
+const fromKBField = (value) => (Number.isNaN(parseInt(value)) ? null : Math.max(0, parseInt(value) * 1024));
+
 /**
  * SettingsView component
  */
 const SettingsView = () => {
   const { setAppCurrentView } = useAppState();
   const { instances } = useStaticData();
+  const { dataStats } = useLiveData();
   const { authEnabled: authIsActive, username: currentUsername } = useAuth();
   const onClose = () => setAppCurrentView('home');
 
@@ -67,7 +78,7 @@ const SettingsView = () => {
     saveError, setSaveError,
     saveSuccess, setSaveSuccess,
     buildFormData, getUnmaskedConfig,
-    updateField, updateNestedField, updateTrustedProxy
+    updateField, updateSection, updateNestedField, updateTrustedProxy, updateOidc
   } = useSettingsFormData({ currentConfig, clearTestResults });
 
   // View-local state
@@ -75,11 +86,13 @@ const SettingsView = () => {
   const [scriptTestResult, setScriptTestResult] = useState(null);
   const [openSections, setOpenSections] = useState({
     server: false, users: false, clients: false,
-    integrations: false, directories: false, history: false, eventScripting: false
+    integrations: false, directories: false, history: false, bandwidthSchedule: false, eventDetectors: false,
+    eventScripting: false, backup: false
   });
   const closeAllSections = () => setOpenSections({
     server: false, users: false, clients: false,
-    integrations: false, directories: false, history: false, eventScripting: false
+    integrations: false, directories: false, history: false, bandwidthSchedule: false, eventDetectors: false,
+    eventScripting: false, backup: false
   });
   // Accordion toggle: opening one section closes all others
   const toggleSection = (key, value) => {
@@ -363,9 +376,11 @@ const SettingsView = () => {
   // Compute badges
   const authEnabled = formData.server.auth?.enabled || false;
   const ssoEnabled = formData.server?.auth?.trustedProxy?.enabled || false;
+  const oidcEnabled = formData.server?.auth?.oidc?.enabled || false;
   const serverBadge = h(React.Fragment, {},
     pill(authEnabled ? 'Auth' : 'No Auth'),
-    authEnabled && ssoEnabled && pill('SSO')
+    authEnabled && ssoEnabled && pill('SSO'),
+    authEnabled && oidcEnabled && pill('OIDC')
   );
 
   const enabledClientCount = formData.clients.filter(c => c.enabled !== false).length;
@@ -384,6 +399,13 @@ const SettingsView = () => {
   const historyEnabled = formData.history?.enabled ?? true;
   const historyBadge = pill(historyEnabled ? 'Enabled' : 'Disabled');
 
+  const scheduleEnabled = formData.bandwidthSchedule?.enabled || false;
+  const scheduleRuleCount = formData.bandwidthSchedule?.rules?.length || 0;
+  const scheduleBadge = scheduleEnabled ? pill(`${scheduleRuleCount} rule${scheduleRuleCount !== 1 ? 's' : ''}`) : null;
+  const activeSchedules = dataStats?.bandwidthSchedule?.enabled
+    ? (dataStats.bandwidthSchedule.instances || []).filter(i => i.ruleId)
+    : [];
+
   const scriptEnabled = formData.eventScripting?.enabled || false;
   const scriptBadge = scriptEnabled ? pill('Active') : null;
 
@@ -449,6 +471,26 @@ const SettingsView = () => {
         }
       }),
 
+      // Two-factor enforcement policy
+      formData.server.auth?.enabled && h('div', { className: 'mt-4' },
+        h(ConfigField, {
+          label: 'Two-Factor Authentication',
+          description: 'Who must use an authenticator app (TOTP) when signing in with a password. Users enroll from their profile; SSO logins and API keys are not affected.',
+          fromEnv: meta?.fromEnv.serverAuthTwoFactorPolicy
+        },
+          h(Select, {
+            value: formData.server.auth?.twoFactorPolicy || 'optional',
+            onChange: (e) => updateNestedField('server', 'auth', 'twoFactorPolicy', e.target.value),
+            options: [
+              { value: 'optional', label: 'Optional' },
+              { value: 'admins', label: 'Required for administrators' },
+              { value: 'all', label: 'Required for all users' }
+            ],
+            disabled: meta?.fromEnv.serverAuthTwoFactorPolicy
+          })
+        )
+      ),
+
       // Trusted Proxy SSO
       formData.server.auth?.enabled && h('div', { className: 'mt-4' },
         h('hr', { className: 'my-4 border-gray-200 dark:border-gray-700' }),
@@ -478,73 +520,11 @@ const SettingsView = () => {
           }),
 
           // SSO Default Capabilities picker (shown when auto-provision is enabled)
-          formData.server?.auth?.trustedProxy?.autoProvision && (() => {
-            const currentCaps = formData.server?.auth?.trustedProxy?.defaultCapabilities || SSO_DEFAULT_CAPABILITIES;
-            const currentPreset = detectPreset(currentCaps);
-
-            const setCaps = (caps) => updateTrustedProxy('defaultCapabilities', caps);
-
-            const handlePreset = (p) => {
-              if (p === 'full') setCaps(PRESETS.full.slice());
-              else if (p === 'readonly') setCaps(PRESETS.readonly.slice());
-            };
-
-            const toggleCap = (cap) => {
-              let next;
-              if (currentCaps.includes(cap)) {
-                next = currentCaps.filter(c => c !== cap);
-                if (cap === 'view_all_downloads') next = next.filter(c => c !== 'edit_all_downloads');
-              } else {
-                next = [...currentCaps, cap];
-                if (cap === 'edit_all_downloads' && !next.includes('view_all_downloads')) next.push('view_all_downloads');
-              }
-              setCaps(next);
-            };
-
-            return h('div', {},
-              h('div', { className: 'flex items-center justify-between mb-2' },
-                h('label', { className: 'block text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Default Capabilities for New SSO Users'),
-                h('div', { className: 'flex gap-1' },
-                  h('button', {
-                    type: 'button',
-                    onClick: () => handlePreset('full'),
-                    className: `px-2 py-0.5 text-xs rounded font-medium transition-colors ${currentPreset === 'full' ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'}`
-                  }, 'Full'),
-                  h('button', {
-                    type: 'button',
-                    onClick: () => handlePreset('readonly'),
-                    className: `px-2 py-0.5 text-xs rounded font-medium transition-colors ${currentPreset === 'readonly' ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'}`
-                  }, 'Read-only'),
-                  h('span', {
-                    className: `px-2 py-0.5 text-xs rounded font-medium ${currentPreset === 'custom' ? 'bg-blue-600 text-white' : 'text-gray-400'}`
-                  }, 'Custom')
-                )
-              ),
-              h('div', { className: 'space-y-3 bg-gray-50 dark:bg-gray-900/50 rounded-lg p-3' },
-                ...CAPABILITY_GROUPS.map(group =>
-                  h('div', { key: group.label },
-                    h('p', { className: 'text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1' }, group.label),
-                    h('div', { className: 'grid grid-cols-2 gap-x-4 gap-y-1' },
-                      ...group.caps.map(cap =>
-                        h('label', {
-                          key: cap,
-                          className: 'flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer'
-                        },
-                          h('input', {
-                            type: 'checkbox',
-                            checked: currentCaps.includes(cap),
-                            onChange: () => toggleCap(cap),
-                            className: 'rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500'
-                          }),
-                          CAPABILITY_LABELS[cap] || cap
-                        )
-                      )
-                    )
-                  )
-                )
-              )
-            );
-          })(),
+          formData.server?.auth?.trustedProxy?.autoProvision && h(CapabilityPicker, {
+            label: 'Default Capabilities for New SSO Users',
+            capabilities: formData.server?.auth?.trustedProxy?.defaultCapabilities || SSO_DEFAULT_CAPABILITIES,
+            onChange: (caps) => updateTrustedProxy('defaultCapabilities', caps)
+          }),
 
           h(AlertBox, { type: 'info' },
             h('div', {},
@@ -560,6 +540,25 @@ const SettingsView = () => {
         )
       ),
 
+      // OpenID Connect
+      formData.server.auth?.enabled && h('div', { className: 'mt-4' },
+        h('hr', { className: 'my-4 border-gray-200 dark:border-gray-700' }),
+
+        h(EnableToggle, {
+          label: 'Enable OpenID Connect Login',
+          description: 'Show a "Sign in with …" button that logs in through an OIDC provider (e.g., Authentik, Keycloak, Authelia, Google)',
+          enabled: formData.server?.auth?.oidc?.enabled || false,
+          onChange: (enabled) => updateOidc('enabled', enabled),
+          disabled: meta?.fromEnv.serverAuthOidcEnabled
+        }),
+
+        formData.server?.auth?.oidc?.enabled && h(OidcSettings, {
+          oidc: formData.server.auth.oidc,
+          onChange: updateOidc,
+          fromEnv: meta?.fromEnv || {}
+        })
+      ),
+
       !formData.server.auth?.enabled && h(AlertBox, { type: 'warning', className: 'mt-4' },
         h('p', {}, 'Authentication is disabled. Your web interface will be accessible without a password. This is not recommended for network-accessible installations.')
       )
@@ -1007,6 +1006,80 @@ const SettingsView = () => {
       )
     ),
 
+    // Bandwidth Schedule Configuration
+    h(ConfigSection, {
+      title: 'Bandwidth Schedule',
+      description: 'Apply speed limits automatically by day and time',
+      defaultOpen: false,
+      open: openSections.bandwidthSchedule,
+      onToggle: (value) => toggleSection('bandwidthSchedule', value),
+      icon: 'clock',
+
+      badge: scheduleBadge
+    },
+      h(EnableToggle, {
+        enabled: scheduleEnabled,
+        onChange: (value) => updateField('bandwidthSchedule', 'enabled', value),
+        label: 'Enable Bandwidth Schedule',
+        description: 'Rules are checked every 30 seconds and applied to all connected clients'
+      }),
+      scheduleEnabled && h('div', { className: 'mt-4 space-y-4' },
+        h(ConfigField, {
+          label: 'Default Download Limit (KB/s)',
+          description: 'Applied when no rule is active. Leave empty to restore the limit set before a rule started; 0 = unlimited.',
+          value: toKBField(formData.bandwidthSchedule?.defaultDownloadLimit),
+          onChange: (value) => updateField('bandwidthSchedule', 'defaultDownloadLimit', fromKBField(value)),
+          type: 'number',
+          placeholder: 'Unchanged'
+        }),
+        h(ConfigField, {
+          label: 'Default Upload Limit (KB/s)',
+          description: 'Applied when no rule is active. Leave empty to restore the limit set before a rule started; 0 = unlimited.',
+          value: toKBField(formData.bandwidthSchedule?.defaultUploadLimit),
+          onChange: (value) => updateField('bandwidthSchedule', 'defaultUploadLimit', fromKBField(value)),
+          type: 'number',
+          placeholder: 'Unchanged'
+        }),
+        h(BandwidthScheduleEditor, {
+          rules: formData.bandwidthSchedule?.rules || [],
+          onChange: (rules) => updateField('bandwidthSchedule', 'rules', rules),
+          instances,
+          status: dataStats?.bandwidthSchedule
+        }),
+        h(AlertBox, { type: 'info' },
+          h('div', {},
+            h('p', { className: 'font-medium mb-1' }, 'Currently Active:'),
+            activeSchedules.length === 0
+              ? h('p', {}, 'No rule is active — default limits apply')
+              : h('ul', { className: 'list-disc list-inside space-y-1' },
+                  activeSchedules.map(inst => h('li', { key: inst.instanceId },
+                    h('span', { className: 'font-medium' }, inst.instanceName), ` - ${inst.ruleName}`
+                  ))
+                ),
+            h('p', { className: 'mt-2' }, 'Rules are matched top to bottom; the first match wins. Limits changed manually stay in place until the next rule change.')
+          )
+        )
+      )
+    ),
+
+    // Event Detectors Configuration
+    h(ConfigSection, {
+      title: 'Event Detectors',
+      description: 'When stalled downloads and low disk space raise events',
+      defaultOpen: false,
+      open: openSections.eventDetectors,
+      onToggle: (value) => toggleSection('eventDetectors', value),
+      icon: 'activity'
+    },
+      h(EventDetectorSettings, {
+        detectors: formData.eventDetectors,
+        onChange: (detectors) => updateSection('eventDetectors', detectors)
+      }),
+      h(AlertBox, { type: 'info', className: 'mt-4' },
+        h('p', {}, 'Detector events go to notifications, webhooks and the custom event script like any other event. Choose which ones notify you on the Notifications page.')
+      )
+    ),
+
     // Event Scripting Configuration (Advanced)
     h(ConfigSection, {
       title: 'Custom Event Script',
@@ -1095,7 +1168,14 @@ const SettingsView = () => {
               h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'downloadFinished'), ' - A download completes'),
               h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'categoryChanged'), ' - A file\'s category is changed'),
               h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'fileMoved'), ' - A file is moved'),
-              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'fileDeleted'), ' - A file is deleted')
+              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'fileDeleted'), ' - A file is deleted'),
+              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'seedingGoalReached'), ' - A category seeding policy goal is met'),
+              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'recheckFinished'), ' - A torrent hash recheck completes'),
+              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'downloadStalled'), ' - A download makes no progress for the configured time'),
+              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'downloadErrored'), ' - A client reports an error for a download'),
+              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'moveFailed'), ' - A file move fails'),
+              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'diskSpaceLow'), ' - A filesystem drops below its free space threshold'),
+              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'searchCompleted'), ' - An aMule or Prowlarr search finishes')
             ),
             h('p', { className: 'mt-2 text-sm' }, 'Script execution is non-blocking (fire-and-forget). Errors are logged but don\'t affect the operation.')
           )
@@ -1103,6 +1183,18 @@ const SettingsView = () => {
       )
     ),
 
+    // Backup & Restore
+    h(ConfigSection, {
+      title: 'Backup & Restore',
+      description: 'Export or import the full configuration and databases',
+      defaultOpen: false,
+      open: openSections.backup,
+      onToggle: (value) => toggleSection('backup', value),
+      icon: 'harddrive'
+    },
+      h(BackupRestore)
+    ),
+
     // Script file browser modal
     h(DirectoryBrowserModal, {
       show: showScriptBrowser,
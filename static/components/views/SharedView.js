@@ -8,7 +8,7 @@
 import React from 'https://esm.sh/react@18.2.0';
 const { useState } = React;
 import { Icon, Table, ContextMenu, MoreButton, Button, IconButton, Select, TrackerMultiSelect, SelectionModeSection, MobileCardHeader, EmptyState, ClientIcon, ItemMobileCard, MobileStatusTabs, MobileFilterPills, MobileFilterSheet, MobileFilterButton, MobileSortButton, ExpandableSearch, FilterInput, SelectionCheckbox, TrackerLabel, LoadingSpinner } from '../common/index.js';
-import { formatBytes, formatSpeed, getRowHighlightClass, getItemStatusInfo, calculateRatio, DEFAULT_SORT_CONFIG, DEFAULT_SECONDARY_SORT_CONFIG, formatTitleCount, buildSizeColumn, buildFileNameColumn, buildStatusColumn, buildCategoryColumn, buildRatioColumn, buildUploadSpeedColumn, buildUploadTotalColumn, buildAddedAtColumn, buildDownloadPathColumn, VIEW_TITLE_STYLES, createCategoryLabelFilter, createTrackerFilter } from '../../utils/index.js';
+import { formatBytes, formatSpeed, getRowHighlightClass, getItemStatusInfo, calculateRatio, DEFAULT_SORT_CONFIG, DEFAULT_SECONDARY_SORT_CONFIG, formatTitleCount, buildSizeColumn, buildFileNameColumn, buildStatusColumn, buildCategoryColumn, buildRatioColumn, buildUploadSpeedColumn, buildUploadTotalColumn, buildAddedAtColumn, buildSpeedLimitsColumn, buildDownloadPathColumn, VIEW_TITLE_STYLES, createCategoryLabelFilter, createTrackerFilter, AMULE_UPLOAD_PRIORITY_OPTIONS } from '../../utils/index.js';
 import { itemKey } from '../../utils/itemKey.js';
 import { useLiveData } from '../../contexts/LiveDataContext.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
@@ -18,6 +18,9 @@ import { useActions } from '../../contexts/ActionsContext.js';
 import { useStickyToolbar } from '../../contexts/StickyHeaderContext.js';
 import { useCapabilities } from '../../hooks/useCapabilities.js';
 import SharedDirsModal from '../modals/SharedDirsModal.js';
+import TransferModal from '../modals/TransferModal.js';
+import ItemSpeedLimitsModal from '../modals/ItemSpeedLimitsModal.js';
+import CreateTorrentModal from '../modals/CreateTorrentModal.js';
 
 const { createElement: h, useCallback, useMemo } = React;
 
@@ -29,10 +32,10 @@ const SharedView = () => {
   // CONTEXT DATA
   // ============================================================================
   const { dataItems, dataLoaded } = useLiveData();
-  const { dataCategories, instances } = useStaticData();
+  const { dataCategories, instances, getCapabilities } = useStaticData();
   const { refreshSharedFiles } = useDataFetch();
   const actions = useActions();
-  const { hasCap } = useCapabilities();
+  const { hasCap, isAdmin } = useCapabilities();
   const hasAnyMutationCap = hasCap('pause_resume') || hasCap('remove_downloads') || hasCap('assign_categories');
 
   // Ownership check: user can mutate item if they have edit_all_downloads or own it
@@ -43,6 +46,14 @@ const SharedView = () => {
   }, [instances]);
 
   const [showSharedDirsModal, setShowSharedDirsModal] = useState(false);
+  const [transferItems, setTransferItems] = useState(null);
+  const [speedLimitItems, setSpeedLimitItems] = useState(null);
+  const [showCreateTorrentModal, setShowCreateTorrentModal] = useState(false);
+
+  // Transfers need a second connected BitTorrent instance to move to
+  const canTransfer = useMemo(() =>
+    hasCap('edit_downloads') && Object.values(instances).filter(i => i.connected && i.networkType === 'bittorrent').length > 1,
+  [hasCap, instances]);
 
   // ============================================================================
   // DERIVED DATA
@@ -159,7 +170,7 @@ const SharedView = () => {
   });
 
   // Batch export with status feedback
-  const { batchCopyStatus, handleBatchExport } = useBatchExport({
+  const { batchCopyStatus, handleBatchExport, zipExportStatus, handleZipExport } = useBatchExport({
     selectedFiles,
     dataArray: sharedFiles
   });
@@ -185,10 +196,16 @@ const SharedView = () => {
     handlePause,
     handleResume,
     handleStop,
+    handleRecheck,
     handleCopyLink,
     handleBatchPause,
     handleBatchResume,
-    handleBatchStop
+    handleBatchStop,
+    handleBatchRecheck,
+    handleBatchReannounce,
+    handleBatchSetUploadPriority,
+    getSelectedBittorrentItems,
+    getSelectedSpeedLimitItems
   } = useItemActions({
     dataArray: sharedFiles,
     selectedFiles,
@@ -212,6 +229,18 @@ const SharedView = () => {
     });
   }, [selectionMode, selectedCount, selectedFiles, sharedFiles]);
 
+  // Selection holds aMule files whose upload priority can be set
+  const hasSelectedEd2kPriorityItems = useMemo(() => {
+    if (!selectionMode || selectedCount === 0) return false;
+    return sharedFiles.some(f => selectedFiles.has(itemKey(f.instanceId, f.hash)) && getCapabilities(f.instanceId).ed2kPriority);
+  }, [selectionMode, selectedCount, selectedFiles, sharedFiles, getCapabilities]);
+
+  // Selection holds torrents whose client supports per-item speed limits
+  const hasSelectedSpeedLimitItems = useMemo(() => {
+    if (!selectionMode || selectedCount === 0) return false;
+    return sharedFiles.some(f => selectedFiles.has(itemKey(f.instanceId, f.hash)) && getCapabilities(f.instanceId).itemSpeedLimits);
+  }, [selectionMode, selectedCount, selectedFiles, sharedFiles, getCapabilities]);
+
   // ============================================================================
   // CONTEXT MENU
   // ============================================================================
@@ -226,6 +255,9 @@ const SharedView = () => {
     onPause: handlePause,
     onResume: handleResume,
     onStop: handleStop,
+    onRecheck: handleRecheck,
+    onTransfer: canTransfer ? (item) => setTransferItems([{ fileHash: item.hash, clientType: item.client, instanceId: item.instanceId, fileName: item.name }]) : null,
+    onSetSpeedLimits: (item) => setSpeedLimitItems([{ fileHash: item.hash, clientType: item.client, instanceId: item.instanceId, fileName: item.name, downloadLimit: item.downloadLimit, uploadLimit: item.uploadLimit }]),
     onRename: openRenameModal,
     onSetRatingComment: openRatingCommentModal,
     onCopyLink: handleCopyLink,
@@ -254,6 +286,7 @@ const SharedView = () => {
     buildSizeColumn({ showDone: false, width: '100px' }),
     buildRatioColumn({ calculateRatio }),
     buildUploadTotalColumn(),
+    buildSpeedLimitsColumn(),
     buildCategoryColumn({
       unifiedFilter,
       setUnifiedFilter,
@@ -274,7 +307,7 @@ const SharedView = () => {
     setShowConfig,
     ColumnConfigElement
   } = useColumnConfig('shared', columns, {
-    defaultHidden: ['addedAt', 'downloadPath'],
+    defaultHidden: ['addedAt', 'speedLimits', 'downloadPath'],
     defaultSecondarySort: DEFAULT_SECONDARY_SORT_CONFIG['shared'],
     defaultPrimarySort: DEFAULT_SORT_CONFIG['shared'],
     onSortChange
@@ -302,17 +335,27 @@ const SharedView = () => {
           defaultSortBy: DEFAULT_SORT_CONFIG.shared.sortBy,
           defaultSortDirection: DEFAULT_SORT_CONFIG.shared.sortDirection
         }),
-        hiddenWhenExpanded: hasAnyMutationCap ? h(IconButton, {
-          key: 'select',
-          variant: selectionMode ? 'danger' : 'secondary',
-          icon: selectionMode ? 'x' : 'fileCheck',
-          iconSize: 18,
-          onClick: toggleSelectionMode,
-          title: selectionMode ? 'Exit Selection Mode' : 'Select Files'
-        }) : null
+        hiddenWhenExpanded: [
+          isAdmin && h(IconButton, {
+            key: 'create-torrent',
+            variant: 'secondary',
+            icon: 'plus',
+            iconSize: 18,
+            onClick: () => setShowCreateTorrentModal(true),
+            title: 'Create Torrent'
+          }),
+          hasAnyMutationCap && h(IconButton, {
+            key: 'select',
+            variant: selectionMode ? 'danger' : 'secondary',
+            icon: selectionMode ? 'x' : 'fileCheck',
+            iconSize: 18,
+            onClick: toggleSelectionMode,
+            title: selectionMode ? 'Exit Selection Mode' : 'Select Files'
+          })
+        ].filter(Boolean)
       })
     ),
-  [filteredShared.length, sharedFiles.length, filterText, setFilterText, clearFilter, columns, sortConfig, onSortChange, selectionMode, toggleSelectionMode]);
+  [filteredShared.length, sharedFiles.length, filterText, setFilterText, clearFilter, columns, sortConfig, onSortChange, selectionMode, toggleSelectionMode, isAdmin]);
 
   // Register sticky toolbar for mobile scroll behavior
   const mobileHeaderRef = useStickyToolbar(mobileHeaderContent);
@@ -375,6 +418,13 @@ const SharedView = () => {
           dataLoaded.items && h(ClientIcon, { client: 'amule', size: 16, title: '' }),
           dataLoaded.items ? 'Manage Shared Dirs' : h('span', { className: 'flex items-center gap-2' }, h(LoadingSpinner, { size: 'sm' }), 'Loading...')
         ),
+        isAdmin && h(Button, {
+          key: 'create-torrent',
+          variant: 'secondary',
+          onClick: () => setShowCreateTorrentModal(true),
+          icon: 'plus',
+          title: 'Create a .torrent from a file or directory on the server'
+        }, 'Create Torrent'),
         hasAnyMutationCap && h(Button, {
           key: 'select',
           variant: selectionMode ? 'danger' : 'purple',
@@ -547,9 +597,20 @@ const SharedView = () => {
       hasSelectedBittorrentItems && hasCap('pause_resume') && h(Button, { variant: 'warning', onClick: handleBatchPause, icon: 'pause', iconSize: 14 }, 'Pause'),
       hasSelectedBittorrentItems && hasCap('pause_resume') && h(Button, { variant: 'success', onClick: handleBatchResume, icon: 'play', iconSize: 14 }, 'Resume'),
       hasSelectedBittorrentItems && hasCap('pause_resume') && h(Button, { variant: 'secondary', onClick: handleBatchStop, icon: 'stop', iconSize: 14 }, 'Stop'),
+      hasSelectedBittorrentItems && hasCap('pause_resume') && h(Button, { variant: 'secondary', onClick: handleBatchRecheck, icon: 'fileCheck', iconSize: 14 }, 'Recheck'),
+      hasSelectedBittorrentItems && hasCap('edit_downloads') && h(Button, { variant: 'secondary', onClick: handleBatchReannounce, icon: 'refresh', iconSize: 14 }, 'Reannounce'),
+      hasSelectedEd2kPriorityItems && hasCap('edit_downloads') && h(Select, {
+        value: '',
+        onChange: (e) => e.target.value && handleBatchSetUploadPriority(e.target.value),
+        options: [{ value: '', label: 'Upload Priority…' }, ...AMULE_UPLOAD_PRIORITY_OPTIONS],
+        title: 'Set upload priority (aMule)'
+      }),
+      hasSelectedSpeedLimitItems && hasCap('edit_downloads') && h(Button, { variant: 'secondary', onClick: () => setSpeedLimitItems(getSelectedSpeedLimitItems()), icon: 'activity', iconSize: 14 }, 'Speed Limits'),
+      hasSelectedBittorrentItems && canTransfer && h(Button, { variant: 'secondary', onClick: () => setTransferItems(getSelectedBittorrentItems()), icon: 'folderSync', iconSize: 14 }, 'Transfer to...'),
       hasCap('assign_categories') && h(Button, { variant: 'orange', onClick: handleBatchSetCategory, icon: 'folder', iconSize: 14 }, 'Edit Category'),
       hasCap('edit_downloads') && h(Button, { variant: 'cyan', onClick: handleBatchMove, icon: 'folderOpen', iconSize: 14 }, 'Move to...'),
       h(Button, { variant: batchCopyStatus === 'success' ? 'success' : 'purple', onClick: handleBatchExport, disabled: batchCopyStatus === 'success', icon: batchCopyStatus === 'success' ? 'check' : 'share', iconSize: 14 }, batchCopyStatus === 'success' ? 'Copied!' : 'Export Links'),
+      h(Button, { variant: zipExportStatus === 'error' ? 'danger' : 'purple', onClick: handleZipExport, disabled: zipExportStatus === 'loading', icon: 'download', iconSize: 14, title: '.torrent files and ED2K links of the selection as a zip' }, zipExportStatus === 'loading' ? 'Exporting...' : zipExportStatus === 'error' ? 'Export Failed' : 'Export Zip'),
       hasCap('remove_downloads') && h(Button, { variant: 'danger', onClick: handleBatchDeleteClick, icon: 'trash', iconSize: 14 }, 'Delete')
     ),
 
@@ -604,6 +665,23 @@ const SharedView = () => {
     h(SharedDirsModal, {
       show: showSharedDirsModal,
       onClose: () => setShowSharedDirsModal(false)
+    }),
+
+    h(TransferModal, {
+      show: !!transferItems,
+      items: transferItems || [],
+      onClose: () => setTransferItems(null)
+    }),
+
+    h(ItemSpeedLimitsModal, {
+      show: !!speedLimitItems,
+      items: speedLimitItems || [],
+      onClose: () => setSpeedLimitItems(null)
+    }),
+
+    h(CreateTorrentModal, {
+      show: showCreateTorrentModal,
+      onClose: () => setShowCreateTorrentModal(false)
     })
   );
 };
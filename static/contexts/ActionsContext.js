@@ -42,7 +42,7 @@ const useWebSocketActions = () => {
   // CATEGORY MANAGEMENT
   // ============================================================================
 
-  const handleCreateCategory = (title, path, comment, color, priority, pathMappings = null) => {
+  const handleCreateCategory = (title, path, comment, color, priority, pathMappings = null, seedingPolicy = null) => {
     sendMessage({
       action: 'createCategory',
       title,
@@ -50,11 +50,12 @@ const useWebSocketActions = () => {
       comment,
       color,
       priority,
-      pathMappings
+      pathMappings,
+      seedingPolicy
     });
   };
 
-  const handleUpdateCategory = (categoryName, title, path, comment, color, priority, pathMappings = null) => {
+  const handleUpdateCategory = (categoryName, title, path, comment, color, priority, pathMappings = null, seedingPolicy = null) => {
     sendMessage({
       action: 'updateCategory',
       name: categoryName,
@@ -63,7 +64,8 @@ const useWebSocketActions = () => {
       comment,
       color,
       priority,
-      pathMappings
+      pathMappings,
+      seedingPolicy
     });
   };
 
@@ -180,7 +182,8 @@ const useWebSocketActions = () => {
     });
   };
 
-  const handleAddEd2kLinks = (input, categoryName = 'Default', isServerList = false, instanceId = null) => {
+  // `options` carries duplicate handling for add requests: { requestId, onDuplicate: 'skip'|'add' }
+  const handleAddEd2kLinks = (input, categoryName = 'Default', isServerList = false, instanceId = null, options = {}) => {
     const links = extractEd2kLinks(input);
 
     if (links.length === 0) {
@@ -195,19 +198,20 @@ const useWebSocketActions = () => {
       action: "addEd2kLinks",
       links,
       categoryName,
-      ...(effectiveInstanceId && { instanceId: effectiveInstanceId })
+      ...(effectiveInstanceId && { instanceId: effectiveInstanceId }),
+      ...options
     });
   };
 
-  const handleAddMagnetLinks = (links, label = '', instanceId = null, clientType = 'rtorrent', savePath = null) => {
+  const handleAddMagnetLinks = (links, label = '', instanceId = null, clientType = 'rtorrent', savePath = null, options = {}) => {
     if (!links || links.length === 0) {
       addAppError('No magnet links provided');
       return;
     }
-    sendMessage({ action: "addMagnetLinks", links, label, clientId: clientType, ...(instanceId && { instanceId }), ...(savePath && { savePath }) });
+    sendMessage({ action: "addMagnetLinks", links, label, clientId: clientType, ...(instanceId && { instanceId }), ...(savePath && { savePath }), ...options });
   };
 
-  const handleAddTorrentFile = async (file, label = '', instanceId = null, clientType = 'rtorrent', savePath = null) => {
+  const handleAddTorrentFile = async (file, label = '', instanceId = null, clientType = 'rtorrent', savePath = null, options = {}) => {
     if (!file) {
       addAppError('No torrent file provided');
       return;
@@ -225,7 +229,8 @@ const useWebSocketActions = () => {
           label,
           clientId: clientType,
           ...(instanceId && { instanceId }),
-          ...(savePath && { savePath })
+          ...(savePath && { savePath }),
+          ...options
         });
       };
       reader.onerror = () => {
@@ -238,7 +243,9 @@ const useWebSocketActions = () => {
   };
 
   // Add Prowlarr torrent to BitTorrent client
-  const handleAddProwlarrTorrent = async (item, label = '', instanceId = null, clientType = 'rtorrent') => {
+  // Resolves to the info hash (or true) on success, { duplicates } when the
+  // torrent already exists somewhere (resend with { onDuplicate: 'add' }), null on failure
+  const handleAddProwlarrTorrent = async (item, label = '', instanceId = null, clientType = 'rtorrent', options = {}) => {
     try {
       const downloadUrl = item.magnetUrl || item.downloadUrl;
       if (!downloadUrl) {
@@ -254,10 +261,14 @@ const useWebSocketActions = () => {
           title: item.fileName,
           label,
           clientId: clientType,
-          ...(instanceId && { instanceId })
+          ...(instanceId && { instanceId }),
+          ...options
         })
       });
       const data = await response.json();
+      if (data.duplicate) {
+        return { duplicates: data.duplicates || [] };
+      }
       if (!data.success) {
         addAppError(data.error || 'Failed to add torrent');
         return null;
@@ -294,6 +305,41 @@ const useWebSocketActions = () => {
     sendMessage({ action: 'batchStop', items });
   };
 
+  const handleRecheckDownload = (itemsOrHash, clientType = 'rtorrent', fileName = null, instanceId = null) => {
+    const items = Array.isArray(itemsOrHash)
+      ? itemsOrHash
+      : [{ fileHash: itemsOrHash, clientType, fileName, instanceId }];
+    sendMessage({ action: 'batchRecheck', items });
+  };
+
+  const handleQueueMove = (items, direction) => {
+    sendMessage({ action: 'batchQueueMove', items, direction });
+  };
+
+  const handleForceStart = (items, value = true) => {
+    sendMessage({ action: 'batchForceStart', items, value });
+  };
+
+  const handleSetDownloadPriority = (items, priority) => {
+    sendMessage({ action: 'batchSetDownloadPriority', items, priority });
+  };
+
+  const handleSetUploadPriority = (items, priority) => {
+    sendMessage({ action: 'batchSetUploadPriority', items, priority });
+  };
+
+  const handleSwapA4AF = (items, mode) => {
+    sendMessage({ action: 'batchSwapA4AF', items, mode });
+  };
+
+  const handleSetItemSpeedLimits = (items, { downloadLimit, uploadLimit }) => {
+    sendMessage({ action: 'batchSetItemSpeedLimits', items, downloadLimit, uploadLimit });
+  };
+
+  const handleTransferDownloads = (items, targetInstanceId) => {
+    sendMessage({ action: 'batchTransfer', items, targetInstanceId });
+  };
+
   const handleDeleteFile = (itemsOrHash, clientType = 'amule', deleteFiles = false, source = 'downloads', fileName = null, instanceId = null) => {
     const items = Array.isArray(itemsOrHash)
       ? itemsOrHash
@@ -315,6 +361,37 @@ const useWebSocketActions = () => {
     });
   };
 
+  const handleSetFilePriority = (fileHash, instanceId, fileIndices, priority) => {
+    sendMessage({ action: 'setFilePriority', fileHash, instanceId, fileIndices, priority });
+  };
+
+  // ============================================================================
+  // TRACKER OPERATIONS
+  // ============================================================================
+
+  const handleAddTrackers = (fileHash, instanceId, urls) => {
+    sendMessage({ action: 'addTrackers', fileHash, instanceId, urls });
+  };
+
+  const handleEditTracker = (fileHash, instanceId, oldUrl, newUrl) => {
+    sendMessage({ action: 'editTracker', fileHash, instanceId, oldUrl, newUrl });
+  };
+
+  const handleRemoveTrackers = (fileHash, instanceId, urls) => {
+    sendMessage({ action: 'removeTrackers', fileHash, instanceId, urls });
+  };
+
+  const handleReannounce = (itemsOrHash, clientType = 'rtorrent', fileName = null, instanceId = null) => {
+    const items = Array.isArray(itemsOrHash)
+      ? itemsOrHash
+      : [{ fileHash: itemsOrHash, clientType, fileName, instanceId }];
+    sendMessage({ action: 'batchReannounce', items });
+  };
+
+  const handleReplaceTrackerUrl = (find, replace, instanceId = null) => {
+    sendMessage({ action: 'replaceTrackerUrl', find, replace, ...(instanceId && { instanceId }) });
+  };
+
   return {
     categories: {
       create: handleCreateCategory,
@@ -338,9 +415,25 @@ const useWebSocketActions = () => {
       pause: handlePauseDownload,
       resume: handleResumeDownload,
       stop: handleStopDownload,
+      recheck: handleRecheckDownload,
+      queueMove: handleQueueMove,
+      forceStart: handleForceStart,
+      setDownloadPriority: handleSetDownloadPriority,
+      setUploadPriority: handleSetUploadPriority,
+      swapA4AF: handleSwapA4AF,
+      setItemSpeedLimits: handleSetItemSpeedLimits,
+      transfer: handleTransferDownloads,
       deleteFile: handleDeleteFile,
       renameFile: handleRenameFile,
-      setFileRatingComment: handleSetFileRatingComment
+      setFileRatingComment: handleSetFileRatingComment,
+      setFilePriority: handleSetFilePriority
+    },
+    trackers: {
+      add: handleAddTrackers,
+      edit: handleEditTracker,
+      remove: handleRemoveTrackers,
+      reannounce: handleReannounce,
+      replaceUrl: handleReplaceTrackerUrl
     }
   };
 };
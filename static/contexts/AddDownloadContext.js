@@ -3,6 +3,8 @@
  *
  * Lightweight context for opening/closing the Add Download modal from any view.
  * Supports pre-loading .torrent files (e.g. from global drag-and-drop).
+ * Also queues add requests the server held back as duplicates, so the modal
+ * can ask whether to skip them or add them anyway.
  */
 
 import React, { createContext, useContext, useState, useCallback, useMemo } from 'https://esm.sh/react@18.2.0';
@@ -14,6 +16,8 @@ const AddDownloadContext = createContext(null);
 export const AddDownloadProvider = ({ children }) => {
   const [show, setShow] = useState(false);
   const [initialFiles, setInitialFiles] = useState([]);
+  // Held-back add requests: { id, duplicates, resend(onDuplicate) }
+  const [duplicateRequests, setDuplicateRequests] = useState([]);
 
   const openAddDownloadModal = useCallback((files = []) => {
     setInitialFiles(files);
@@ -25,12 +29,23 @@ export const AddDownloadProvider = ({ children }) => {
     setInitialFiles([]);
   }, []);
 
+  const queueDuplicates = useCallback((request) => {
+    setDuplicateRequests(prev => [...prev.filter(r => r.id !== request.id), request]);
+  }, []);
+
+  const clearDuplicates = useCallback(() => {
+    setDuplicateRequests([]);
+  }, []);
+
   const value = useMemo(() => ({
     show,
     initialFiles,
     openAddDownloadModal,
-    closeAddDownloadModal
-  }), [show, initialFiles, openAddDownloadModal, closeAddDownloadModal]);
+    closeAddDownloadModal,
+    duplicateRequests,
+    queueDuplicates,
+    clearDuplicates
+  }), [show, initialFiles, openAddDownloadModal, closeAddDownloadModal, duplicateRequests, queueDuplicates, clearDuplicates]);
 
   return h(AddDownloadContext.Provider, { value }, children);
 };
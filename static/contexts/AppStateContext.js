@@ -125,6 +125,10 @@ export const AppStateProvider = ({ children }) => {
     setAppSuccesses([]);
   }, []);
 
+  // Text filter handed to a view on navigation ({ view, text }), consumed by
+  // that view's table state (e.g. "jump to existing item" from the duplicate prompt)
+  const [appViewFilter, setAppViewFilter] = useState(null);
+
   // Historical/Statistics state
   const [appStatsState, setAppStatsState] = useState({
     speedData: null,
@@ -192,6 +196,7 @@ export const AppStateProvider = ({ children }) => {
     appSuccesses,  // Array of success messages
     appStatsState,
     appSortConfig,
+    appViewFilter,
 
     // Setters
     setAppCurrentView,
@@ -203,11 +208,12 @@ export const AppStateProvider = ({ children }) => {
     clearAppSuccesses, // Clear all success messages
     setAppStatsState,
     setAppSortConfig,
+    setAppViewFilter,
 
     // Handlers
     handleAppNavigate
   }), [
-    appCurrentView, appPage, appPageSize, appErrors, appSuccesses, appStatsState, appSortConfig,
+    appCurrentView, appPage, appPageSize, appErrors, appSuccesses, appStatsState, appSortConfig, appViewFilter,
     setAppCurrentView, addAppError, clearAppErrors, addAppSuccess, clearAppSuccesses, handleAppNavigate
     // Note: React useState setters are stable and don't need to be in deps
   ]);
@@ -4,7 +4,7 @@
  * Manages authentication state and initialization:
  * - Auth status check on mount
  * - First-run detection
- * - Login/logout operations
+ * - Login/logout operations (including the two-factor step)
  * - User identity (username, role, capabilities)
  */
 
@@ -34,6 +34,12 @@ export const AuthProvider = ({ children }) => {
   // Login delay info from status check (persists across page loads)
   const [loginDelay, setLoginDelay] = useState({ retryDelay: 0, retryAfter: 0 });
 
+  // Pending two-factor step after password login ('verify' | 'setup' | null)
+  const [twoFactorStep, setTwoFactorStep] = useState(null);
+
+  // OpenID Connect login button info ({ label } or null when disabled)
+  const [oidc, setOidc] = useState(null);
+
   /**
    * Check authentication status
    */
@@ -49,6 +55,8 @@ export const AuthProvider = ({ children }) => {
       setCapabilities(Array.isArray(data.capabilities) ? data.capabilities : []);
       setHasUsers(data.hasUsers || false);
       setIsSso(!!data.sso);
+      setTwoFactorStep(data.twoFactor || null);
+      setOidc(data.oidc || null);
       setLoginDelay({
         retryDelay: data.retryDelay || 0,
         retryAfter: data.retryAfter || 0
@@ -122,9 +130,17 @@ export const AuthProvider = ({ children }) => {
       const data = await response.json();
 
       if (data.success) {
-        setIsAuthenticated(true);
         setError(null);
         setLoginDelay({ retryDelay: 0, retryAfter: 0 });
+
+        // Password accepted but a second factor is still needed
+        if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+          const step = data.twoFactorSetupRequired ? 'setup' : 'verify';
+          setTwoFactorStep(step);
+          return { success: true, twoFactorStep: step };
+        }
+
+        setIsAuthenticated(true);
         return { success: true };
       } else {
         setError(data.message || 'Login failed');
@@ -141,6 +157,58 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Complete a pending login with a TOTP or recovery code
+   */
+  const verifyTwoFactor = useCallback(async (code) => {
+    try {
+      setError(null);
+
+      const response = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ code })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setIsAuthenticated(true);
+        setTwoFactorStep(null);
+        return { success: true, recoveryCodesRemaining: data.recoveryCodesRemaining };
+      }
+
+      setError(data.message || 'Verification failed');
+      // Pending login may have expired or been dropped after too many attempts
+      const status = await fetch('/api/auth/status').then(r => r.json()).catch(() => ({}));
+      setTwoFactorStep(status.twoFactor || null);
+      return {
+        success: false,
+        retryDelay: data.retryDelay || 0,
+        retryAfter: data.retryAfter || 0
+      };
+    } catch (err) {
+      console.error('Two-factor verification error:', err);
+      setError('An error occurred during verification');
+      return { success: false };
+    }
+  }, []);
+
+  /**
+   * Abandon a pending two-factor login and return to the password form
+   */
+  const cancelTwoFactor = useCallback(async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+    setTwoFactorStep(null);
+    setError(null);
+  }, []);
+
   /**
    * Logout
    */
@@ -185,14 +253,18 @@ export const AuthProvider = ({ children }) => {
     capabilities,
     hasUsers,
     isSso,
+    twoFactorStep,
+    oidc,
 
     // Methods
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     logout,
     checkAuthStatus,
     clearError,
     completeFirstRun
-  }), [isAuthenticated, authEnabled, loading, error, isFirstRun, loginDelay, username, isAdmin, capabilities, hasUsers, isSso, login, logout, checkAuthStatus, clearError, completeFirstRun]);
+  }), [isAuthenticated, authEnabled, loading, error, isFirstRun, loginDelay, username, isAdmin, capabilities, hasUsers, isSso, twoFactorStep, oidc, login, verifyTwoFactor, cancelTwoFactor, logout, checkAuthStatus, clearError, completeFirstRun]);
 
   return h(AuthContext.Provider, { value }, children);
 };
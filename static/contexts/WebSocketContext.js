@@ -160,6 +160,15 @@ export const WebSocketProvider = ({ children }) => {
                           actionName === 'pause' ? 'Paused' :
                           actionName === 'resume' ? 'Resumed' :
                           actionName === 'stop' ? 'Stopped' :
+                          actionName === 'recheck' ? 'Recheck started for' :
+                          actionName === 'queue move' ? 'Requeued' :
+                          actionName === 'force start' ? 'Force started' :
+                          actionName === 'download priority' ? 'Changed download priority for' :
+                          actionName === 'upload priority' ? 'Changed upload priority for' :
+                          actionName === 'A4AF swap' ? 'Swapped A4AF sources for' :
+                          actionName === 'speed limit' ? 'Set speed limits for' :
+                          actionName === 'transfer' ? 'Started transfer of' :
+                          actionName === 'reannounce' ? 'Reannounced' :
                           actionName === 'download' ? 'Downloading' :
                           actionName === 'category change' ? 'Changed category for' :
                           actionName === 'label change' ? 'Changed label for' : 'Completed';
@@ -316,6 +325,15 @@ export const WebSocketProvider = ({ children }) => {
       'batch-pause-complete': () => handleBatchComplete('pause'),
       'batch-resume-complete': () => handleBatchComplete('resume'),
       'batch-stop-complete': () => handleBatchComplete('stop'),
+      'batch-recheck-complete': () => handleBatchComplete('recheck'),
+      'batch-queue-move-complete': () => handleBatchComplete('queue move'),
+      'batch-force-start-complete': () => handleBatchComplete('force start'),
+      'batch-download-priority-complete': () => handleBatchComplete('download priority'),
+      'batch-upload-priority-complete': () => handleBatchComplete('upload priority'),
+      'batch-a4af-complete': () => handleBatchComplete('A4AF swap'),
+      'batch-item-speed-limits-complete': () => handleBatchComplete('speed limit'),
+      'batch-transfer-complete': () => handleBatchComplete('transfer'),
+      'batch-reannounce-complete': () => handleBatchComplete('reannounce'),
       'batch-delete-complete': () => {
         handleBatchComplete('delete');
         // Remove successfully deleted hashes from downloaded files set
@@ -457,6 +475,28 @@ export const WebSocketProvider = ({ children }) => {
         }
         // Note: Server broadcasts batch-update with items after adding torrent files
       },
+      'speed-limits-updated': () => {
+        const results = Array.isArray(data.results) ? data.results : [];
+        const failures = results.filter(r => !r.success);
+        const successCount = results.length - failures.length;
+        if (successCount > 0) {
+          addAppSuccess(`Updated speed limits on ${successCount} client${successCount > 1 ? 's' : ''}`);
+        }
+        if (failures.length > 0) {
+          addAppError(`Failed to update speed limits:\n${failures.map(f => `• ${f.instanceName || f.instanceId}: "${f.error}"`).join('\n')}`);
+        }
+      },
+      'queue-settings-updated': () => {
+        const results = Array.isArray(data.results) ? data.results : [];
+        const failures = results.filter(r => !r.success);
+        const successCount = results.length - failures.length;
+        if (successCount > 0) {
+          addAppSuccess(`Updated queue limits on ${successCount} client${successCount > 1 ? 's' : ''}`);
+        }
+        if (failures.length > 0) {
+          addAppError(`Failed to update queue limits:\n${failures.map(f => `• ${f.instanceName || f.instanceId}: "${f.error}"`).join('\n')}`);
+        }
+      },
       'error': () => {
         addAppError(data.message || 'An error occurred');
       }
@@ -36,6 +36,9 @@ export { useFileMoveModal } from './useFileMoveModal.js';
 export { useFileRenameModal } from './useFileRenameModal.js';
 export { useFileRatingCommentModal } from './useFileRatingCommentModal.js';
 export { useNotifications } from './useNotifications.js';
+export { useRss } from './useRss.js';
+export { useWebhooks } from './useWebhooks.js';
+export { useTorrentCreate } from './useTorrentCreate.js';
 export { useBitTorrentClientSelector } from './useBitTorrentClientSelector.js';
 export { useAmuleInstanceSelector } from './useAmuleInstanceSelector.js';
 export { useCapabilities } from './useCapabilities.js';
@@ -1,12 +1,13 @@
 /**
  * useBatchExport Hook
  *
- * Shared hook for batch exporting links (ED2K/magnet) with copy feedback
+ * Shared hook for batch exporting links (ED2K/magnet) with copy feedback,
+ * and .torrent files as a zip
  */
 
-import { useCallback } from 'https://esm.sh/react@18.2.0';
+import { useState, useCallback } from 'https://esm.sh/react@18.2.0';
 import { useCopyToClipboard } from './useCopyToClipboard.js';
-import { getExportLink } from '../utils/index.js';
+import { fetchExportLinks, downloadExportZip } from '../utils/index.js';
 import { itemKey } from '../utils/itemKey.js';
 
 /**
@@ -14,28 +15,46 @@ import { itemKey } from '../utils/itemKey.js';
  * @param {Object} options
  * @param {Set} options.selectedFiles - Set of selected file hashes
  * @param {Array} options.dataArray - Array of items to search for selected files
- * @returns {Object} { batchCopyStatus, handleBatchExport }
+ * @returns {Object} { batchCopyStatus, handleBatchExport, zipExportStatus, handleZipExport }
  */
 export const useBatchExport = ({
   selectedFiles,
   dataArray
 }) => {
   const { copyStatus: batchCopyStatus, handleCopy } = useCopyToClipboard();
+  // 'idle' | 'loading' | 'error'
+  const [zipExportStatus, setZipExportStatus] = useState('idle');
+
+  const getSelectedItems = useCallback(() =>
+    dataArray.filter(item => selectedFiles.has(itemKey(item.instanceId, item.hash))),
+  [dataArray, selectedFiles]);
 
   const handleBatchExport = useCallback(async () => {
-    const selectedItems = dataArray.filter(item => selectedFiles.has(itemKey(item.instanceId, item.hash)));
-    const links = selectedItems
-      .map(item => getExportLink(item))
-      .filter(link => link)
-      .join('\n');
+    const links = (await fetchExportLinks(getSelectedItems())).join('\n');
 
     if (links) {
       await handleCopy(links);
     }
-  }, [dataArray, selectedFiles, handleCopy]);
+  }, [getSelectedItems, handleCopy]);
+
+  const handleZipExport = useCallback(async () => {
+    const selectedItems = getSelectedItems();
+    if (selectedItems.length === 0) return;
+    setZipExportStatus('loading');
+    try {
+      await downloadExportZip(selectedItems);
+      setZipExportStatus('idle');
+    } catch (err) {
+      console.error('Zip export failed:', err.message);
+      setZipExportStatus('error');
+      setTimeout(() => setZipExportStatus('idle'), 2000);
+    }
+  }, [getSelectedItems]);
 
   return {
     batchCopyStatus,
-    handleBatchExport
+    handleBatchExport,
+    zipExportStatus,
+    handleZipExport
   };
 };
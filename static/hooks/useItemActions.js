@@ -1,13 +1,14 @@
 /**
  * useItemActions Hook
  *
- * Consolidates common item actions (pause, resume, stop, copy link)
+ * Consolidates common item actions (pause, resume, stop, recheck, queue, aMule priority/A4AF, reannounce, copy link)
  * used across DownloadsView and SharedView.
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import { useActions } from '../contexts/ActionsContext.js';
-import { copyToClipboard, getExportLink, isBittorrentClient } from '../utils/index.js';
+import { useStaticData } from '../contexts/StaticDataContext.js';
+import { copyToClipboard, getExportLink, fetchExportLinks, isBittorrentClient } from '../utils/index.js';
 import { itemKey } from '../utils/itemKey.js';
 
 const { useState, useCallback } = React;
@@ -27,6 +28,7 @@ export function useItemActions({
   bittorrentOnly = false
 }) {
   const actions = useActions();
+  const { getCapabilities } = useStaticData();
 
   // Track which file's link was recently copied
   const [copiedHash, setCopiedHash] = useState(null);
@@ -46,8 +48,21 @@ export function useItemActions({
     actions.files.stop(fileHash, clientType, fileName, instanceId);
   }, [actions.files]);
 
+  const handleRecheck = useCallback((fileHash, clientType = 'rtorrent', fileName = null, instanceId = null) => {
+    actions.files.recheck(fileHash, clientType, fileName, instanceId);
+  }, [actions.files]);
+
+  const handleQueueMove = useCallback((item, direction) => {
+    actions.files.queueMove([{ fileHash: item.hash, clientType: item.client, instanceId: item.instanceId, fileName: item.name }], direction);
+  }, [actions.files]);
+
+  const handleForceStart = useCallback((item, value = true) => {
+    actions.files.forceStart([{ fileHash: item.hash, clientType: item.client, instanceId: item.instanceId, fileName: item.name }], value);
+  }, [actions.files]);
+
   const handleCopyLink = useCallback(async (item) => {
-    const link = getExportLink(item);
+    // Magnets come from the server with every tracker tier from the metainfo
+    const [link] = isBittorrentClient(item) ? await fetchExportLinks([item]) : [getExportLink(item)];
     if (link) {
       const success = await copyToClipboard(link);
       if (success) {
@@ -76,6 +91,14 @@ export function useItemActions({
       .map(d => ({ fileHash: d.hash, clientType: d.client, instanceId: d.instanceId, fileName: d.name }));
   }, [dataArray]);
 
+  // Filter compound keys to items whose instance has a clientMeta capability (e.g. 'queue')
+  const filterCapableItems = useCallback((compoundKeys, capability) => {
+    const keySet = new Set(compoundKeys);
+    return dataArray
+      .filter(d => keySet.has(itemKey(d.instanceId, d.hash)) && getCapabilities(d.instanceId)[capability])
+      .map(d => ({ fileHash: d.hash, clientType: d.client, instanceId: d.instanceId, fileName: d.name }));
+  }, [dataArray, getCapabilities]);
+
   const handleBatchPause = useCallback(() => {
     const selectedKeys = getSelectedHashes(); // compound keys
     const items = bittorrentOnly
@@ -104,6 +127,65 @@ export function useItemActions({
     }
   }, [actions.files, getSelectedHashes, filterBittorrentItems]);
 
+  const handleBatchRecheck = useCallback(() => {
+    const items = filterBittorrentItems(getSelectedHashes());
+    if (items.length > 0) {
+      actions.files.recheck(items);
+    }
+  }, [actions.files, getSelectedHashes, filterBittorrentItems]);
+
+  const handleBatchQueueMove = useCallback((direction) => {
+    const items = filterCapableItems(getSelectedHashes(), 'queue');
+    if (items.length > 0) {
+      actions.files.queueMove(items, direction);
+    }
+  }, [actions.files, getSelectedHashes, filterCapableItems]);
+
+  const handleBatchForceStart = useCallback(() => {
+    const items = filterCapableItems(getSelectedHashes(), 'forceStart');
+    if (items.length > 0) {
+      actions.files.forceStart(items);
+    }
+  }, [actions.files, getSelectedHashes, filterCapableItems]);
+
+  const handleBatchSetDownloadPriority = useCallback((priority) => {
+    const items = filterCapableItems(getSelectedHashes(), 'ed2kPriority');
+    if (items.length > 0) {
+      actions.files.setDownloadPriority(items, priority);
+    }
+  }, [actions.files, getSelectedHashes, filterCapableItems]);
+
+  const handleBatchSetUploadPriority = useCallback((priority) => {
+    const items = filterCapableItems(getSelectedHashes(), 'ed2kPriority');
+    if (items.length > 0) {
+      actions.files.setUploadPriority(items, priority);
+    }
+  }, [actions.files, getSelectedHashes, filterCapableItems]);
+
+  const handleBatchSwapA4AF = useCallback((mode) => {
+    const items = filterCapableItems(getSelectedHashes(), 'a4af');
+    if (items.length > 0) {
+      actions.files.swapA4AF(items, mode);
+    }
+  }, [actions.files, getSelectedHashes, filterCapableItems]);
+
+  // Selected BitTorrent items, for actions that open a modal first (transfer)
+  const getSelectedBittorrentItems = useCallback(() =>
+    filterBittorrentItems(getSelectedHashes()),
+  [getSelectedHashes, filterBittorrentItems]);
+
+  // Selected items whose client supports per-item speed limits (speed limits modal)
+  const getSelectedSpeedLimitItems = useCallback(() =>
+    filterCapableItems(getSelectedHashes(), 'itemSpeedLimits'),
+  [getSelectedHashes, filterCapableItems]);
+
+  const handleBatchReannounce = useCallback(() => {
+    const items = filterBittorrentItems(getSelectedHashes());
+    if (items.length > 0) {
+      actions.trackers.reannounce(items);
+    }
+  }, [actions.trackers, getSelectedHashes, filterBittorrentItems]);
+
   return {
     // State
     copiedHash,
@@ -111,11 +193,23 @@ export function useItemActions({
     handlePause,
     handleResume,
     handleStop,
+    handleRecheck,
+    handleQueueMove,
+    handleForceStart,
     handleCopyLink,
     // Batch actions
     handleBatchPause,
     handleBatchResume,
-    handleBatchStop
+    handleBatchStop,
+    handleBatchRecheck,
+    handleBatchQueueMove,
+    handleBatchForceStart,
+    handleBatchSetDownloadPriority,
+    handleBatchSetUploadPriority,
+    handleBatchSwapA4AF,
+    handleBatchReannounce,
+    getSelectedBittorrentItems,
+    getSelectedSpeedLimitItems
   };
 }
 
@@ -6,7 +6,7 @@
  */
 
 import { useCallback } from 'https://esm.sh/react@18.2.0';
-import { getItemStatusInfo, getExportLink, getExportLinkLabel } from '../utils/index.js';
+import { getItemStatusInfo, getExportLink, getExportLinkLabel, downloadTorrentFile } from '../utils/index.js';
 import { itemKey } from '../utils/itemKey.js';
 import { useStaticData } from '../contexts/StaticDataContext.js';
 import { useCapabilities } from './useCapabilities.js';
@@ -24,9 +24,14 @@ import { useCapabilities } from './useCapabilities.js';
  * @param {Function} options.onPause - Handler for pausing item (optional)
  * @param {Function} options.onResume - Handler for resuming item (optional)
  * @param {Function} options.onStop - Handler for stopping item (optional - rtorrent only)
+ * @param {Function} options.onRecheck - Handler for forcing a hash recheck (optional - BitTorrent only)
+ * @param {Function} options.onQueueMove - Handler for moving an item in its client's queue: (item, direction) (optional - clients with queue capability)
+ * @param {Function} options.onForceStart - Handler for setting/clearing force start: (item, value) (optional - clients with forceStart capability)
+ * @param {Function} options.onTransfer - Handler for transferring to another instance (optional - shows menu item if provided)
+ * @param {Function} options.onSetSpeedLimits - Handler for editing the item's own speed limits (optional - clients with itemSpeedLimits capability)
  * @param {Function} options.onRename - Handler for renaming item (optional - shows menu item if provided)
  * @param {Function} options.onSetRatingComment - Handler for editing rating/comment (optional - shared files only, clients with fileRatingComment capability)
- * @param {Function} options.onCopyLink - Handler for copying export link (optional)
+ * @param {Function} options.onCopyLink - Handler for copying export link (optional - also enables Download .torrent for clients with exportTorrent capability)
  * @param {string|null} options.copiedHash - Hash of recently copied item for "Copied!" feedback
  * @param {string} options.infoLabel - Label for info menu item (default: 'File Details')
  * @param {boolean} options.actionsForBittorrentOnly - If true, pause/resume/stop only shown for BitTorrent items (rtorrent/qbittorrent)
@@ -46,6 +51,11 @@ export const useItemContextMenu = ({
   onPause,
   onResume,
   onStop,
+  onRecheck,
+  onQueueMove,
+  onForceStart,
+  onTransfer,
+  onSetSpeedLimits,
   onRename,
   onSetRatingComment,
   onCopyLink,
@@ -153,6 +163,78 @@ export const useItemContextMenu = ({
       });
     }
 
+    // Force Recheck (clients with recheck capability, not while already checking, gated on ownership)
+    if (onRecheck && caps.recheck && hasCap('pause_resume') && canMutate && status.key !== 'checking' && status.key !== 'hashing-queued') {
+      menuItems.push({
+        label: 'Force Recheck',
+        icon: 'fileCheck',
+        iconColor: 'text-cyan-600 dark:text-cyan-400',
+        onClick: () => {
+          onRecheck(item.hash, item.client, item.name, item.instanceId);
+          closeContextMenu?.();
+        }
+      });
+    }
+
+    // Force Start / Clear Force Start (clients with forceStart capability, gated on ownership)
+    if (onForceStart && caps.forceStart && hasCap('pause_resume') && canMutate && status.key !== 'checking' && status.key !== 'moving') {
+      menuItems.push({
+        label: item.forceStart ? 'Clear Force Start' : 'Force Start',
+        icon: 'zap',
+        iconColor: 'text-amber-600 dark:text-amber-400',
+        onClick: () => {
+          onForceStart(item, !item.forceStart);
+          closeContextMenu?.();
+        }
+      });
+    }
+
+    // Queue moves (clients with queue capability, only while the item holds a queue position, gated on ownership)
+    if (onQueueMove && caps.queue && hasCap('edit_downloads') && canMutate && item.queuePosition != null) {
+      [
+        { direction: 'top', label: 'Queue: Move to Top', icon: 'chevronUp' },
+        { direction: 'up', label: 'Queue: Move Up', icon: 'arrowUp' },
+        { direction: 'down', label: 'Queue: Move Down', icon: 'arrowDown' },
+        { direction: 'bottom', label: 'Queue: Move to Bottom', icon: 'chevronDown' }
+      ].forEach(({ direction, label, icon }) => {
+        menuItems.push({
+          label,
+          icon,
+          iconColor: 'text-blue-600 dark:text-blue-400',
+          onClick: () => {
+            onQueueMove(item, direction);
+            closeContextMenu?.();
+          }
+        });
+      });
+    }
+
+    // Transfer to another instance (clients with exportTorrent capability, gated on ownership)
+    if (onTransfer && caps.exportTorrent && hasCap('edit_downloads') && canMutate && status.key !== 'checking' && status.key !== 'moving') {
+      menuItems.push({
+        label: 'Transfer to...',
+        icon: 'folderSync',
+        iconColor: 'text-teal-600 dark:text-teal-400',
+        onClick: () => {
+          onTransfer(item);
+          closeContextMenu?.();
+        }
+      });
+    }
+
+    // Per-item speed limits (clients with itemSpeedLimits capability, gated on ownership)
+    if (onSetSpeedLimits && caps.itemSpeedLimits && hasCap('edit_downloads') && canMutate) {
+      menuItems.push({
+        label: 'Speed Limits...',
+        icon: 'activity',
+        iconColor: 'text-amber-600 dark:text-amber-400',
+        onClick: () => {
+          onSetSpeedLimits(item);
+          closeContextMenu?.();
+        }
+      });
+    }
+
     // Rename (only for clients with renameFile capability, gated on ownership)
     if (onRename && caps.renameFile && hasCap('rename_files') && canMutate) {
       menuItems.push({
@@ -195,6 +277,19 @@ export const useItemContextMenu = ({
           closeContextMenu?.();
         }
       });
+
+      // .torrent metainfo read back from the client
+      if (caps.exportTorrent) {
+        menuItems.push({
+          label: 'Download .torrent',
+          icon: 'download',
+          iconColor: 'text-cyan-600 dark:text-cyan-400',
+          onClick: () => {
+            downloadTorrentFile(item);
+            closeContextMenu?.();
+          }
+        });
+      }
     }
 
     // Select (enter selection mode with this item, gated on ownership)
@@ -236,6 +331,11 @@ export const useItemContextMenu = ({
     onPause,
     onResume,
     onStop,
+    onRecheck,
+    onQueueMove,
+    onForceStart,
+    onTransfer,
+    onSetSpeedLimits,
     onRename,
     onSetRatingComment,
     onCopyLink,
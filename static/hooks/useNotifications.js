@@ -17,6 +17,7 @@ export const useNotifications = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [testResult, setTestResult] = useState(null);
+  const [templateInfo, setTemplateInfo] = useState(null);
 
   /**
    * Fetch Apprise availability status
@@ -219,6 +220,68 @@ export const useNotifications = () => {
     }
   }, []);
 
+  /**
+   * Send a service's held notifications (quiet hours, digest) now
+   * @param {string} id - Service ID
+   */
+  const flushService = useCallback(async (id) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setTestResult(null);
+      const response = await fetch(`/api/notifications/services/${id}/flush`, { method: 'POST' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || `HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setTestResult(data);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Fetch default templates, template variables and output formats
+   */
+  const fetchTemplateInfo = useCallback(async () => {
+    try {
+      const response = await fetch('/api/notifications/templates');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const data = await response.json();
+      setTemplateInfo(data);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Render sample event data with templates being edited
+   * (doesn't touch loading/error state, so it can run while typing)
+   * @param {object} params - { eventType, format, serviceTemplates, globalTemplates }
+   * @returns {Promise<object>} { title, body, format }
+   */
+  const previewTemplate = useCallback(async (params) => {
+    const response = await fetch('/api/notifications/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+    return data.preview;
+  }, []);
+
   /**
    * Clear error state
    */
@@ -241,6 +304,7 @@ export const useNotifications = () => {
     loading,
     error,
     testResult,
+    templateInfo,
 
     // Methods
     fetchStatus,
@@ -251,6 +315,9 @@ export const useNotifications = () => {
     updateService,
     deleteService,
     testServices,
+    flushService,
+    fetchTemplateInfo,
+    previewTemplate,
     clearError,
     clearTestResult
   };
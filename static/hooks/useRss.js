@@ -0,0 +1,161 @@
+/**
+ * useRss Hook
+ *
+ * Manages RSS feed subscriptions via the /api/rss endpoints
+ */
+
+import { useState, useCallback } from 'https://esm.sh/react@18.2.0';
+
+/**
+ * Parse a JSON response, throwing the server's message on failure
+ * @param {Response} response - Fetch response
+ * @returns {Promise<object>}
+ */
+const readJson = async (response) => {
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.json();
+};
+
+/**
+ * Custom hook for RSS feed management
+ * @returns {object} Feed state and methods
+ */
+export const useRss = () => {
+  const [feeds, setFeeds] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [refreshingId, setRefreshingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const replaceFeed = (feed) => setFeeds(prev => (prev || []).map(f => f.id === feed.id ? feed : f));
+
+  /**
+   * Fetch all feeds
+   */
+  const fetchFeeds = useCallback(async () => {
+    try {
+      setError(null);
+      const data = await readJson(await fetch('/api/rss/feeds'));
+      setFeeds(data.feeds || []);
+      return data.feeds || [];
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Add a feed
+   * @param {object} feedData - { name, url, enabled, intervalMinutes, rules }
+   */
+  const addFeed = useCallback(async (feedData) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await readJson(await fetch('/api/rss/feeds', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(feedData)
+      }));
+      setFeeds(prev => [...(prev || []), data.feed]);
+      return data.feed;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Update a feed
+   * @param {number} id - Feed ID
+   * @param {object} updates - Fields to change
+   */
+  const updateFeed = useCallback(async (id, updates) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await readJson(await fetch(`/api/rss/feeds/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+      }));
+      replaceFeed(data.feed);
+      return data.feed;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Delete a feed
+   * @param {number} id - Feed ID
+   */
+  const deleteFeed = useCallback(async (id) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await readJson(await fetch(`/api/rss/feeds/${id}`, { method: 'DELETE' }));
+      setFeeds(prev => (prev || []).filter(f => f.id !== id));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Check a feed now
+   * @param {number} id - Feed ID
+   * @returns {Promise<object>} { success, items, added, error }
+   */
+  const refreshFeed = useCallback(async (id) => {
+    try {
+      setRefreshingId(id);
+      setError(null);
+      const data = await readJson(await fetch(`/api/rss/feeds/${id}/refresh`, { method: 'POST' }));
+      if (data.feed) replaceFeed(data.feed);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setRefreshingId(null);
+    }
+  }, []);
+
+  /**
+   * Fetch recently processed items for a feed
+   * @param {number} id - Feed ID
+   */
+  const fetchItems = useCallback(async (id) => {
+    const data = await readJson(await fetch(`/api/rss/feeds/${id}/items`));
+    return data.items || [];
+  }, []);
+
+  /**
+   * Clear error state
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  return {
+    // State
+    feeds,
+    loading,
+    refreshingId,
+    error,
+
+    // Methods
+    fetchFeeds,
+    addFeed,
+    updateFeed,
+    deleteFeed,
+    refreshFeed,
+    fetchItems,
+    clearError
+  };
+};
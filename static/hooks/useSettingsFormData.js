@@ -29,10 +29,34 @@ const buildFormData = (cfg) => ({
       downloadFinished: true,
       categoryChanged: true,
       fileMoved: true,
-      fileDeleted: true
+      fileDeleted: true,
+      seedingGoalReached: true,
+      recheckFinished: true,
+      downloadStalled: true,
+      downloadErrored: true,
+      moveFailed: true,
+      diskSpaceLow: true,
+      searchCompleted: true
     },
     timeout: 30000
-  }}
+  }},
+  eventDetectors: {
+    stalledMinutes: 60,
+    ...cfg.eventDetectors,
+    diskSpace: {
+      minFreePercent: 5,
+      minFreeGB: 0,
+      ...cfg.eventDetectors?.diskSpace,
+      mounts: (cfg.eventDetectors?.diskSpace?.mounts || []).map(m => ({ ...m }))
+    }
+  },
+  bandwidthSchedule: {
+    enabled: false,
+    defaultDownloadLimit: null,
+    defaultUploadLimit: null,
+    ...cfg.bandwidthSchedule,
+    rules: (cfg.bandwidthSchedule?.rules || []).map(r => ({ ...r }))
+  }
 });
 
 /**
@@ -45,6 +69,9 @@ const getUnmaskedConfig = (config) => {
   if (unmasked.server?.auth?.password === '********') {
     delete unmasked.server.auth.password;
   }
+  if (unmasked.server?.auth?.oidc?.clientSecret === '********') {
+    delete unmasked.server.auth.oidc.clientSecret;
+  }
   if (unmasked.integrations?.sonarr?.apiKey === '********') {
     delete unmasked.integrations.sonarr.apiKey;
   }
@@ -114,6 +141,12 @@ export const useSettingsFormData = ({ currentConfig, clearTestResults }) => {
     markChanged();
   }, [markChanged]);
 
+  // Replace a whole section (e.g., eventDetectors from its editor)
+  const updateSection = useCallback((section, value) => {
+    setFormData(prev => ({ ...prev, [section]: value }));
+    markChanged();
+  }, [markChanged]);
+
   // Update nested field value (e.g., integrations.sonarr.apiKey)
   const updateNestedField = useCallback((section, subsection, field, value) => {
     setFormData(prev => ({
@@ -141,6 +174,21 @@ export const useSettingsFormData = ({ currentConfig, clearTestResults }) => {
     markChanged();
   }, [markChanged]);
 
+  // Update a field inside server.auth.oidc
+  const updateOidc = useCallback((field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      server: {
+        ...prev.server,
+        auth: {
+          ...prev.server?.auth,
+          oidc: { ...prev.server?.auth?.oidc, [field]: value }
+        }
+      }
+    }));
+    markChanged();
+  }, [markChanged]);
+
   return {
     formData, setFormData,
     originalPasswords,
@@ -150,7 +198,9 @@ export const useSettingsFormData = ({ currentConfig, clearTestResults }) => {
     buildFormData,
     getUnmaskedConfig,
     updateField,
+    updateSection,
     updateNestedField,
-    updateTrustedProxy
+    updateTrustedProxy,
+    updateOidc
   };
 };
@@ -5,7 +5,7 @@
  * Reduces boilerplate across DownloadsView, UploadsView, SharedView, etc.
  */
 
-import { useMemo, useCallback } from 'https://esm.sh/react@18.2.0';
+import { useMemo, useCallback, useEffect } from 'https://esm.sh/react@18.2.0';
 import { useAppState } from '../contexts/AppStateContext.js';
 import { useTextFilter } from './useTextFilter.js';
 import { sortFiles, calculatePagination, calculateLoadMore } from '../utils/index.js';
@@ -40,7 +40,9 @@ export const useTableState = ({
     appSortConfig,
     setAppPage,
     setAppPageSize,
-    setAppSortConfig
+    setAppSortConfig,
+    appViewFilter,
+    setAppViewFilter
   } = useAppState();
 
   // Reset page when filter changes
@@ -54,6 +56,13 @@ export const useTableState = ({
     clearFilter
   } = useTextFilter(data, filterField, { onFilterChange: handleFilterChange });
 
+  // Apply a filter handed over on navigation to this view
+  useEffect(() => {
+    if (!filterField || appViewFilter?.view !== viewKey) return;
+    setFilterText(appViewFilter.text);
+    setAppViewFilter(null);
+  }, [appViewFilter, viewKey, filterField, setFilterText, setAppViewFilter]);
+
   // Get sort config for this view (defaults are centralized in AppStateContext)
   const sortConfig = appSortConfig[viewKey] || { sortBy: 'fileName', sortDirection: 'asc' };
 
@@ -0,0 +1,135 @@
+/**
+ * useTorrentCreate Hook
+ *
+ * Tracks torrent creation jobs via the /api/torrent-create endpoints.
+ * Progress arrives over WebSocket as torrent-create-progress messages.
+ */
+
+import { useState, useCallback, useEffect } from 'https://esm.sh/react@18.2.0';
+import { useWebSocketConnection } from '../contexts/WebSocketContext.js';
+
+/**
+ * Parse a JSON response, throwing the server's message on failure
+ * @param {Response} response - Fetch response
+ * @returns {Promise<object>}
+ */
+const readJson = async (response) => {
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.json();
+};
+
+/**
+ * Custom hook for torrent creation jobs
+ * @returns {object} Job state and methods
+ */
+export const useTorrentCreate = () => {
+  const { addMessageHandler, removeMessageHandler } = useWebSocketConnection();
+  const [jobs, setJobs] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Insert or replace a job, newest first
+  const upsertJob = (job) => setJobs(prev => {
+    const index = prev.findIndex(j => j.id === job.id);
+    if (index === -1) return [job, ...prev];
+    const next = [...prev];
+    next[index] = job;
+    return next;
+  });
+
+  useEffect(() => {
+    const handler = (data) => {
+      if (data.type === 'torrent-create-progress' && data.data?.id) upsertJob(data.data);
+    };
+    addMessageHandler(handler);
+    return () => removeMessageHandler(handler);
+  }, [addMessageHandler, removeMessageHandler]);
+
+  /**
+   * Fetch all jobs
+   */
+  const fetchJobs = useCallback(async () => {
+    try {
+      setError(null);
+      const data = await readJson(await fetch('/api/torrent-create/jobs'));
+      setJobs(data.jobs || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  /**
+   * Start a creation job
+   * @param {object} options - { sourcePath, pieceLength, isPrivate, trackers, webSeeds, comment, addToInstanceId, categoryName }
+   * @returns {Promise<object>} The queued job
+   */
+  const createJob = useCallback(async (options) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const data = await readJson(await fetch('/api/torrent-create/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(options)
+      }));
+      upsertJob(data.job);
+      return data.job;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setSubmitting(false);
+    }
+  }, []);
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   */
+  const cancelJob = useCallback(async (id) => {
+    try {
+      setError(null);
+      await readJson(await fetch(`/api/torrent-create/jobs/${id}/cancel`, { method: 'POST' }));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  /**
+   * Forget a finished job
+   * @param {string} id - Job ID
+   */
+  const removeJob = useCallback(async (id) => {
+    try {
+      setError(null);
+      await readJson(await fetch(`/api/torrent-create/jobs/${id}`, { method: 'DELETE' }));
+      setJobs(prev => prev.filter(j => j.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  /**
+   * Clear error state
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  return {
+    // State
+    jobs,
+    submitting,
+    error,
+
+    // Methods
+    fetchJobs,
+    createJob,
+    cancelJob,
+    removeJob,
+    clearError
+  };
+};
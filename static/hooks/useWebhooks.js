@@ -0,0 +1,170 @@
+/**
+ * useWebhooks Hook
+ *
+ * Manages webhook endpoints and their delivery history via the /api/webhooks endpoints
+ */
+
+import { useState, useCallback } from 'https://esm.sh/react@18.2.0';
+
+/**
+ * Parse a JSON response, throwing the server's message on failure
+ * @param {Response} response - Fetch response
+ * @returns {Promise<object>}
+ */
+const readJson = async (response) => {
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.json();
+};
+
+/**
+ * Custom hook for webhook management
+ * @returns {object} Webhook state and methods
+ */
+export const useWebhooks = () => {
+  const [endpoints, setEndpoints] = useState(null);
+  const [deliveries, setDeliveries] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const replaceEndpoint = (endpoint) => setEndpoints(prev => (prev || []).map(e => e.id === endpoint.id ? endpoint : e));
+
+  /**
+   * Fetch all endpoints
+   */
+  const fetchEndpoints = useCallback(async () => {
+    try {
+      setError(null);
+      const data = await readJson(await fetch('/api/webhooks/endpoints'));
+      setEndpoints(data.endpoints || []);
+      return data.endpoints || [];
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Add an endpoint
+   * @param {object} endpointData - { name, url, events, secret, enabled }
+   */
+  const addEndpoint = useCallback(async (endpointData) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await readJson(await fetch('/api/webhooks/endpoints', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(endpointData)
+      }));
+      setEndpoints(prev => [...(prev || []), data.endpoint]);
+      return data.endpoint;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Update an endpoint
+   * @param {number} id - Endpoint ID
+   * @param {object} updates - Fields to change
+   */
+  const updateEndpoint = useCallback(async (id, updates) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await readJson(await fetch(`/api/webhooks/endpoints/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+      }));
+      replaceEndpoint(data.endpoint);
+      return data.endpoint;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Delete an endpoint (and its delivery history)
+   * @param {number} id - Endpoint ID
+   */
+  const deleteEndpoint = useCallback(async (id) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await readJson(await fetch(`/api/webhooks/endpoints/${id}`, { method: 'DELETE' }));
+      setEndpoints(prev => (prev || []).filter(e => e.id !== id));
+      setDeliveries(prev => prev && prev.filter(d => d.endpointId !== id));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Fetch delivery history
+   * @param {object} filter - { endpointId, status, limit }
+   */
+  const fetchDeliveries = useCallback(async (filter = {}) => {
+    try {
+      setError(null);
+      const params = new URLSearchParams();
+      Object.entries(filter).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      const data = await readJson(await fetch(`/api/webhooks/deliveries?${params}`));
+      setDeliveries(data.deliveries || []);
+      return data.deliveries || [];
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Send a past delivery again
+   * @param {number} id - Delivery ID
+   * @returns {Promise<object>} The new delivery
+   */
+  const redeliver = useCallback(async (id) => {
+    try {
+      setError(null);
+      const data = await readJson(await fetch(`/api/webhooks/deliveries/${id}/redeliver`, { method: 'POST' }));
+      setDeliveries(prev => [data.delivery, ...(prev || [])]);
+      return data.delivery;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Clear error state
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  return {
+    // State
+    endpoints,
+    deliveries,
+    loading,
+    error,
+
+    // Methods
+    fetchEndpoints,
+    addEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    fetchDeliveries,
+    redeliver,
+    clearError
+  };
+};
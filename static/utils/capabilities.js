@@ -7,7 +7,7 @@
 export const ALL_CAPABILITIES = [
   'search', 'add_downloads', 'remove_downloads', 'pause_resume',
   'assign_categories', 'move_files', 'rename_files', 'set_comment',
-  'manage_categories',
+  'manage_categories', 'manage_bandwidth',
   'view_history', 'clear_history', 'view_shared', 'view_uploads',
   'view_statistics', 'view_logs', 'view_servers',
   'view_all_downloads', 'edit_all_downloads'
@@ -23,6 +23,7 @@ export const CAPABILITY_LABELS = {
   rename_files: 'Rename files',
   set_comment: 'Set rating & comment',
   manage_categories: 'Manage categories',
+  manage_bandwidth: 'Change speed and queue limits',
   view_history: 'View history',
   clear_history: 'Clear history',
   view_shared: 'View shared files',
@@ -36,7 +37,7 @@ export const CAPABILITY_LABELS = {
 
 export const CAPABILITY_GROUPS = [
   { label: 'Downloads', caps: ['search', 'add_downloads', 'remove_downloads', 'pause_resume', 'assign_categories', 'move_files', 'rename_files', 'set_comment'] },
-  { label: 'System', caps: ['manage_categories', 'view_history', 'view_logs', 'clear_history', 'view_servers'] },
+  { label: 'System', caps: ['manage_categories', 'manage_bandwidth', 'view_history', 'view_logs', 'clear_history', 'view_servers'] },
   { label: 'Viewing', caps: ['view_shared', 'view_uploads', 'view_statistics'] },
   { label: 'Multi-User', caps: ['view_all_downloads', 'edit_all_downloads'] }
 ];
@@ -48,7 +49,7 @@ export const PRESETS = {
 
 // SSO + history-import default capabilities. Frontend mirror — must match
 // SSO_EXCLUDED_CAPABILITIES in server/modules/userManager.js.
-const SSO_EXCLUDED = ['edit_all_downloads', 'manage_categories', 'view_servers', 'view_logs'];
+const SSO_EXCLUDED = ['edit_all_downloads', 'manage_categories', 'manage_bandwidth', 'view_servers', 'view_logs'];
 export const SSO_DEFAULT_CAPABILITIES = ALL_CAPABILITIES.filter(c => !SSO_EXCLUDED.includes(c));
 
 export function detectPreset(caps) {
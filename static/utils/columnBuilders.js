@@ -759,6 +759,68 @@ export const buildDownloadPathColumn = ({
   }
 });
 
+/**
+ * Create a Queue column showing the torrent's position in its client's queue
+ * Uses the normalized queuePosition (1-based, null when unqueued), queued and forceStart fields
+ * @param {Object} options
+ * @param {string} options.width - Column width (default '80px')
+ * @param {string} options.label - Column label (default 'Queue')
+ * @returns {Object} Column definition
+ */
+export const buildQueueColumn = ({
+  width = '80px',
+  label = 'Queue'
+} = {}) => ({
+  label,
+  key: 'queuePosition',
+  sortable: true,
+  width,
+  getValue: (item) => item.queuePosition,
+  render: (item) => {
+    if (item.forceStart) {
+      return h('span', { className: 'text-xs text-amber-600 dark:text-amber-400', title: 'Force started (ignores queue limits)' },
+        item.queuePosition != null ? `#${item.queuePosition} ⚡` : '⚡'
+      );
+    }
+    if (item.queuePosition == null) {
+      return h('span', { className: 'text-xs text-gray-400' }, '-');
+    }
+    return h('span', {
+      className: `text-xs font-mono ${item.queued ? 'text-gray-500 dark:text-gray-400' : ''}`,
+      title: item.queued ? 'Queued — waiting for a free active slot' : undefined
+    }, `#${item.queuePosition}`);
+  }
+});
+
+/**
+ * Create a Speed Limits column showing an item's own download/upload caps
+ * Uses the normalized downloadLimit/uploadLimit fields (bytes/s, 0 = unlimited,
+ * null when the client has no per-item limits)
+ * @param {Object} options
+ * @param {string} options.width - Column width (default '110px')
+ * @param {string} options.label - Column label (default 'Limits')
+ * @returns {Object} Column definition
+ */
+export const buildSpeedLimitsColumn = ({
+  width = '110px',
+  label = 'Limits'
+} = {}) => ({
+  label,
+  key: 'speedLimits',
+  sortable: true,
+  width,
+  getValue: (item) => item.downloadLimit || item.uploadLimit || 0,
+  render: (item) => {
+    if (!(item.downloadLimit > 0) && !(item.uploadLimit > 0)) {
+      return h('span', { className: 'text-xs text-gray-400' }, '-');
+    }
+    return h('div', { className: 'text-xs leading-tight' },
+      item.downloadLimit > 0 && h('div', { className: 'whitespace-nowrap' }, '↓ ', formatSpeed(item.downloadLimit)),
+      item.uploadLimit > 0 && h('div', { className: 'whitespace-nowrap' }, '↑ ', formatSpeed(item.uploadLimit))
+    );
+  }
+});
+
 /**
  * Create an ETA column showing estimated time to completion
  * Uses pre-calculated eta field from server (in seconds)
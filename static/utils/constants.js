@@ -91,6 +91,30 @@ export const PRIORITY_LABELS = {
   [PRIORITIES.AUTO]: 'Auto'
 };
 
+// aMule download/upload priority choices (values as accepted by the server)
+export const AMULE_DOWNLOAD_PRIORITY_OPTIONS = [
+  { value: 'low', label: 'Low' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'high', label: 'High' },
+  { value: 'auto', label: 'Auto' }
+];
+
+export const AMULE_UPLOAD_PRIORITY_OPTIONS = [
+  { value: 'veryLow', label: 'Very Low' },
+  { value: 'low', label: 'Low' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'high', label: 'High' },
+  { value: 'release', label: 'Release' },
+  { value: 'auto', label: 'Auto' }
+];
+
+// aMule A4AF (Asked For Another File) source swap modes
+export const AMULE_A4AF_MODE_OPTIONS = [
+  { value: 'this', label: 'Pull A4AF sources here' },
+  { value: 'others', label: 'Send A4AF sources elsewhere' },
+  { value: 'auto', label: 'Toggle auto A4AF swap' }
+];
+
 // aMule download status codes (EC protocol)
 export const AMULE_STATUS = {
   DOWNLOADING: 0,
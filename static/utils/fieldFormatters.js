@@ -38,13 +38,15 @@ export const formatDuration = (seconds) => {
 };
 
 /**
- * Format priority value to readable string (aMule 0-12 scale)
+ * Format priority value to readable string (aMule 0-12 scale; 3/4 are upload-only)
  */
 export const formatPriority = (value) => {
   switch (value) {
     case 0: return 'Low';
     case 1: return 'Normal';
     case 2: return 'High';
+    case 3: return 'Release';
+    case 4: return 'Very Low';
     case 10: return 'Auto (Low)';
     case 11: return 'Auto (Normal)';
     case 12: return 'Auto (High)';
@@ -299,6 +301,9 @@ const SPECIAL_FORMATTERS = {
   // Transmission fields
   'bandwidthPriority': (value) =>
     h('span', null, TRANSMISSION_BANDWIDTH_LABELS[String(value)] || `Unknown (${value})`),
+  // Deluge `queue` / Transmission `queuePosition` (0-based, Deluge -1 = not queued)
+  'queue': queuePositionFormatter,
+  'queuePosition': queuePositionFormatter,
   'error': (value) => {
     if (value === 0) return h('span', { className: 'text-gray-500 dark:text-gray-400 italic' }, 'None');
     return h('span', { className: 'text-red-600 dark:text-red-400' },
@@ -330,6 +335,12 @@ const SPECIAL_FORMATTERS = {
   },
 };
 
+function queuePositionFormatter(value) {
+  if (typeof value !== 'number') return undefined;
+  if (value < 0) return h('span', { className: 'text-gray-500 dark:text-gray-400 italic' }, 'Not queued');
+  return h('span', { className: 'font-mono' }, `#${value + 1}`);
+}
+
 function limitFormatter(value) {
   if (value === -1 || value === -2) {
     return h('span', { className: 'text-gray-500 dark:text-gray-400 italic' },
@@ -118,6 +118,7 @@ export const FIELD_LABELS = {
   'peersConnected': 'Connected Peers',
   'isFinished': 'Finished',
   'isStalled': 'Stalled',
+  'queuePosition': 'Queue Position',
   'bandwidthPriority': 'Priority',
   'pieceCount': 'Piece Count',
   'pieceSize': 'Piece Size',
@@ -133,6 +134,7 @@ export const FIELD_LABELS = {
   'move_on_completed_path': 'Move Path',
   'num_files': 'Number of Files',
   'num_peers': 'Peers',
+  'queue': 'Queue Position',
   'total_done': 'Downloaded',
   'total_payload_download': 'Downloaded (Session)',
   'total_payload_upload': 'Uploaded (Session)',
@@ -334,6 +336,8 @@ export const SPECIAL_FORMATTER_KEYS = new Set([
   'status',
   'progress',
   'bandwidthPriority',
+  'queue',
+  'queuePosition',
   'error',
   'dl_limit',
   'up_limit',
@@ -539,6 +543,7 @@ export const FIELD_CATEGORIES = {
     'ratio': 'Upload Statistics',
     // Priority & Category
     'label': 'Priority & Category',
+    'queue': 'Priority & Category',
     // Timing & Activity
     'time_added': 'Timing & Activity',
     'completed_time': 'Timing & Activity',
@@ -578,6 +583,7 @@ export const FIELD_CATEGORIES = {
     'uploadRatio': 'Upload Statistics',
     // Priority & Category
     'bandwidthPriority': 'Priority & Category',
+    'queuePosition': 'Priority & Category',
     // Timing & Activity
     'activityDate': 'Timing & Activity',
     'addedDate': 'Timing & Activity',
@@ -668,13 +674,14 @@ export const TRACKER_CONFIGS = {
     },
   },
   deluge: {
+    // Only the tracker Deluge last announced to carries a message (tracker_status)
     urlField: 'url',
     seedsField: null,
     leechersField: null,
     downloadedField: null,
-    messageField: null,
-    getEnabled: () => true,
-    getStatusLabel: () => 'Active',
+    messageField: 'message',
+    getEnabled: (t) => !/^error/i.test(t.message || ''),
+    getStatusLabel: (t) => /^error/i.test(t.message || '') ? 'Error' : 'Active',
   },
   transmission: {
     urlField: 'announce',
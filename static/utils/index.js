@@ -61,6 +61,9 @@ export {
   VIEWS,
   PRIORITIES,
   PRIORITY_LABELS,
+  AMULE_DOWNLOAD_PRIORITY_OPTIONS,
+  AMULE_UPLOAD_PRIORITY_OPTIONS,
+  AMULE_A4AF_MODE_OPTIONS,
   AMULE_STATUS,
   UI_TIMEOUTS,
   WIDGET_SETTINGS,
@@ -103,6 +106,13 @@ export {
   copyToClipboard
 } from './clipboard.js';
 
+// Torrent Export
+export {
+  downloadTorrentFile,
+  fetchExportLinks,
+  downloadExportZip
+} from './torrentExport.js';
+
 // Markdown
 export {
   parseMarkdownBold
@@ -169,6 +179,8 @@ export {
   buildClientColumn,
   buildAddedAtColumn,
   buildETAColumn,
+  buildQueueColumn,
+  buildSpeedLimitsColumn,
   buildDownloadPathColumn
 } from './columnBuilders.js';
 
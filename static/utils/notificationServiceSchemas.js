@@ -158,7 +158,7 @@ export const SERVICE_TYPES = {
         type: 'text',
         required: false,
         placeholder: 'ntfy.sh',
-        helpText: 'Default: ntfy.sh (leave empty for public server)'
+        helpText: 'Default: ntfy.sh. Self-hosted: host name (HTTP) or full URL, e.g. https://ntfy.example.com'
       }
     ],
     helpUrl: 'https://ntfy.sh/docs/',
@@ -178,7 +178,7 @@ export const SERVICE_TYPES = {
         type: 'text',
         required: true,
         placeholder: 'gotify.example.com',
-        helpText: 'Your Gotify server hostname (without https://)'
+        helpText: 'Host name (HTTP) or full URL, e.g. https://gotify.example.com'
       },
       {
         key: 'token',
@@ -246,6 +246,13 @@ export const SERVICE_TYPES = {
         type: 'checkbox',
         required: false,
         helpText: 'Enable for port 465 (SSL)'
+      },
+      {
+        key: 'smtp_allow_insecure_auth',
+        label: 'Allow Unencrypted Login',
+        type: 'checkbox',
+        required: false,
+        helpText: 'Send the password even if the server offers no STARTTLS (not recommended)'
       }
     ],
     helpUrl: 'https://github.com/caronc/apprise/wiki/Notify_email',
@@ -276,6 +283,7 @@ export const SERVICE_TYPES = {
     icon: 'settings',
     color: '#6b7280',
     description: 'Enter a custom Apprise URL for any supported service',
+    appriseOnly: true,
     fields: [
       {
         key: 'url',
@@ -291,6 +299,33 @@ export const SERVICE_TYPES = {
   }
 };
 
+/**
+ * Delivery transports a service can use
+ */
+export const TRANSPORT_OPTIONS = [
+  { value: 'auto', label: 'Automatic', description: 'Built-in, falling back to Apprise if it is installed' },
+  { value: 'native', label: 'Built-in', description: 'Sent directly by aMuTorrent, Apprise not needed' },
+  { value: 'apprise', label: 'Apprise', description: 'Sent through the Apprise CLI' }
+];
+
+/**
+ * Output formats for message bodies (titles are always plain text)
+ */
+export const MESSAGE_FORMAT_OPTIONS = [
+  { value: 'plain', label: 'Plain text' },
+  { value: 'markdown', label: 'Markdown', description: 'Telegram, Discord, Slack, ntfy and Gotify render it; values are escaped' },
+  { value: 'html', label: 'HTML', description: 'Telegram, Pushover and email render it; values are escaped' }
+];
+
+/**
+ * When a service sends its notifications (held ones go out as one digest)
+ */
+export const DIGEST_OPTIONS = [
+  { value: 'off', label: 'Immediately' },
+  { value: 'hourly', label: 'Hourly digest', description: 'Collected and sent once an hour' },
+  { value: 'daily', label: 'Daily digest', description: 'Collected and sent once a day at the time below' }
+];
+
 /**
  * Get list of service types for selection
  * @returns {Array} Array of { value, label, description, color }
@@ -368,6 +403,14 @@ export const EVENT_TYPES = {
     label: 'File Deleted',
     description: 'When a file is deleted from the client'
   },
+  seedingGoalReached: {
+    label: 'Seeding Goal Reached',
+    description: 'When a category seeding policy acts on a torrent'
+  },
+  recheckFinished: {
+    label: 'Recheck Finished',
+    description: 'When a torrent hash recheck completes'
+  },
   clientUnavailable: {
     label: 'Client Offline',
     description: 'When a download client becomes unreachable'
@@ -375,6 +418,26 @@ export const EVENT_TYPES = {
   clientAvailable: {
     label: 'Client Online',
     description: 'When a download client comes back online'
+  },
+  downloadStalled: {
+    label: 'Download Stalled',
+    description: 'When an active download makes no progress for the configured time'
+  },
+  downloadErrored: {
+    label: 'Download Error',
+    description: 'When a client reports an error for a download'
+  },
+  moveFailed: {
+    label: 'Move Failed',
+    description: 'When moving a file to a new location fails'
+  },
+  diskSpaceLow: {
+    label: 'Low Disk Space',
+    description: 'When a filesystem drops below its free space threshold'
+  },
+  searchCompleted: {
+    label: 'Search Completed',
+    description: 'When an aMule or Prowlarr search finishes'
   }
 };
 
@@ -28,6 +28,16 @@ const getEffectiveSpeedForSort = (item, speedField = 'downloadSpeed') => {
   return speed;
 };
 
+/**
+ * Get the tighter of an item's own download/upload speed limits
+ * @param {Object} item - Download item
+ * @returns {number|null} Limit in bytes/s, or null when neither direction is limited
+ */
+const getTightestLimit = (item) => {
+  const limits = [item.downloadLimit, item.uploadLimit].filter(limit => limit > 0);
+  return limits.length > 0 ? Math.min(...limits) : null;
+};
+
 /**
  * Sort files/items by a given property and direction
  * @param {Array} files - Array of items to sort
@@ -117,6 +127,26 @@ export const sortFiles = (files, sortBy, sortDirection, secondarySort = null, op
       else result = aETA - bETA;
     }
 
+    // Queue position - unqueued (null) always sorts last regardless of direction
+    else if (sortBy === 'queuePosition') {
+      const aPos = a.queuePosition ?? null;
+      const bPos = b.queuePosition ?? null;
+      if (aPos === null && bPos === null) result = 0;
+      else if (aPos === null) return 1;
+      else if (bPos === null) return -1;
+      else result = aPos - bPos;
+    }
+
+    // Per-item speed limits - tighter cap first, unlimited always sorts last regardless of direction
+    else if (sortBy === 'speedLimits') {
+      const aLimit = getTightestLimit(a);
+      const bLimit = getTightestLimit(b);
+      if (aLimit === null && bLimit === null) result = 0;
+      else if (aLimit === null) return 1;
+      else if (bLimit === null) return -1;
+      else result = aLimit - bLimit;
+    }
+
     // Category fields
     else if (sortBy === 'title') result = (a.title || '').localeCompare(b.title || '');
     else if (sortBy === 'path') result = (a.path || '').localeCompare(b.path || '');
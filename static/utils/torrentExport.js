@@ -0,0 +1,86 @@
+/**
+ * Torrent Export Utilities
+ *
+ * Client side of /api/torrent-export: .torrent downloads, full export links
+ * (magnets with every tracker, ED2K links) and zip exports of a selection.
+ */
+
+import { getExportLink } from './downloadHelpers.js';
+
+/**
+ * Parse a JSON response, throwing the server's message on failure
+ * @param {Response} response - Fetch response
+ * @returns {Promise<object>}
+ */
+const readJson = async (response) => {
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.json();
+};
+
+const toRequestItems = (items) => items.map(item => ({ instanceId: item.instanceId, hash: item.hash }));
+
+/**
+ * Save a blob through a temporary link
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Start a browser download of an item's .torrent file
+ * @param {Object} item - BitTorrent item ({ instanceId, hash })
+ */
+export const downloadTorrentFile = (item) => {
+  const params = new URLSearchParams({ instanceId: item.instanceId, hash: item.hash });
+  const a = document.createElement('a');
+  a.href = `/api/torrent-export/torrent?${params}`;
+  a.click();
+};
+
+/**
+ * Get export links for items from the server: magnets built from the
+ * client's metainfo (all tracker tiers, web seeds, size) and ED2K links.
+ * Falls back to the links built from live item data if the request fails.
+ * @param {Array} items - Download or shared file items
+ * @returns {Promise<Array<string>>} Links, in item order (items without one are skipped)
+ */
+export const fetchExportLinks = async (items) => {
+  if (items.length === 0) return [];
+  try {
+    const data = await readJson(await fetch('/api/torrent-export/links', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items: toRequestItems(items) })
+    }));
+    return (data.links || []).map((entry, i) => entry.link || getExportLink(items[i])).filter(Boolean);
+  } catch (err) {
+    console.warn('Export links unavailable, using local data:', err.message);
+    return items.map(getExportLink).filter(Boolean);
+  }
+};
+
+/**
+ * Download a zip with the .torrent files (and ED2K links) of items
+ * @param {Array} items - Download or shared file items
+ * @throws {Error} If nothing could be exported
+ */
+export const downloadExportZip = async (items) => {
+  const response = await fetch('/api/torrent-export/zip', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ items: toRequestItems(items) })
+  });
+  if (!response.ok) await readJson(response);
+  const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || 'amutorrent-export.zip';
+  saveBlob(await response.blob(), fileName);
+};
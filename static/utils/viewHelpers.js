@@ -18,7 +18,8 @@ import {
   StatisticsView,
   SettingsView,
   HistoryView,
-  NotificationsView
+  NotificationsView,
+  RssView
 } from '../components/views/index.js';
 
 /**
@@ -37,5 +38,6 @@ export const VIEW_COMPONENTS = {
   'logs': LogsView,
   'statistics': StatisticsView,
   'notifications': NotificationsView,
+  'rss': RssView,
   'settings': SettingsView
 };